@@ -314,6 +314,7 @@ export async function POST(request) {
           teamName: teamConfig.data.name,
           availableAgents: teamConfig.data.agents,
           projectContext: projectContext,
+          requiresApproval: teamInstance.teamConfig.constraints.requiresApproval,
           githubIntegration: {
             enabled: true,
             repository: projectContext.repository,
@@ -13,6 +13,7 @@ import WorkflowParser from '@/lib/bmad/WorkflowParser.js';
 import { pusherServer } from '@/lib/pusher/config.js';
 import { WorkflowId } from '@/lib/utils/workflowId.js';
 import logger from '@/lib/utils/logger.js';
+import { BudgetManager } from '@/lib/ai/services/BudgetManager.js';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
@@ -54,6 +55,20 @@ import yaml from 'js-yaml';
  *               userPrompt:
  *                 type: string
  *                 description: Optional initial project prompt. If omitted, agents will ask for clarification during workflow (following official BMAD methodology)
+ *               budget:
+ *                 type: object
+ *                 description: Spend caps for the whole deployment. A soft cap pauses the workflow for confirmation, a hard cap blocks further AI calls.
+ *                 properties:
+ *                   soft:
+ *                     type: object
+ *                     properties:
+ *                       cost: { type: number, description: "Dollars" }
+ *                       tokens: { type: integer }
+ *                   hard:
+ *                     type: object
+ *                     properties:
+ *                       cost: { type: number, description: "Dollars" }
+ *                       tokens: { type: integer }
  *     responses:
  *       201:
  *         description: Team deployed successfully
@@ -88,7 +103,7 @@ export async function POST(request) {
     if (error) return error;
 
     // Parse and validate request body
-    const { teamId, workflowId, projectContext = {}, userPrompt } = await request.json();
+    const { teamId, workflowId, projectContext = {}, userPrompt, budget } = await request.json();
 
     // Validate required fields with security checks
     if (!teamId || typeof teamId !== 'string') {
@@ -106,6 +121,16 @@ export async function POST(request) {
       }, { status: 400 });
     }
 
+    let budgetLimits;
+    try {
+      budgetLimits = BudgetManager.normalizeLimits(budget);
+    } catch (budgetError) {
+      return NextResponse.json({
+        success: false,
+        error: `Invalid budget: ${budgetError.message}`
+      }, { status: 400 });
+    }
+
     // userPrompt is optional - if empty/null, agents will ask for clarification during workflow
     // This follows the official BMAD methodology where workflows can start without detailed descriptions
 
@@ -177,6 +202,7 @@ export async function POST(request) {
         projectContext: projectContext,
         userPrompt: userPrompt?.trim() || '',
       },
+      budget: budgetLimits,
       settings: {
         notifications: {
           onStart: true,
@@ -246,6 +272,7 @@ export async function POST(request) {
             teamName: teamConfig.data.name,
             availableAgents: teamConfig.data.agents,
             projectContext: projectContext,
+            requiresApproval: teamInstance.teamConfig.constraints.requiresApproval,
           },
         });
 
@@ -1,7 +1,9 @@
 import { NextResponse } from 'next/server';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
 import { ApiKeyValidator } from '../../../../lib/ai/AIService.js';
+import { EndpointGuard } from '../../../../lib/ai/utils/EndpointGuard.js';
 import logger from '@/lib/utils/logger.js';
 
 /**
@@ -22,6 +24,8 @@ export async function POST(request) {
     const results = {
       openai: null,
       gemini: null,
+      anthropic: null,
+      openaiCompatible: null,
       valid: false
     };
 
@@ -90,8 +94,92 @@ export async function POST(request) {
       }
     }
 
+    // Validate Anthropic key if provided
+    if (apiKeys.anthropic) {
+      const validation = ApiKeyValidator.validateAnthropic(apiKeys.anthropic);
+      if (!validation.valid) {
+        results.anthropic = {
+          valid: false,
+          error: validation.error
+        };
+      } else {
+        try {
+          const anthropicClient = new Anthropic({ apiKey: apiKeys.anthropic });
+
+          // Test with a minimal request
+          const response = await anthropicClient.messages.create({
+            model: 'claude-3-5-haiku-latest',
+            max_tokens: 5,
+            messages: [{ role: 'user', content: 'test' }]
+          });
+
+          results.anthropic = {
+            valid: true,
+            model: response.model,
+            usage: response.usage
+          };
+        } catch (error) {
+          results.anthropic = {
+            valid: false,
+            error: error.message || 'Invalid Anthropic API key'
+          };
+        }
+      }
+    }
+
+    // Validate OpenAI-compatible endpoint if provided
+    if (apiKeys.openaiCompatible) {
+      const { baseUrl, model, apiKey } = apiKeys.openaiCompatible;
+      const validation = ApiKeyValidator.validateOpenAICompatible(apiKeys.openaiCompatible);
+      const guard = validation.valid && await EndpointGuard.check(baseUrl);
+      if (!validation.valid) {
+        results.openaiCompatible = {
+          valid: false,
+          error: validation.error
+        };
+      } else if (!guard.allowed) {
+        logger.warn(`⚠️ [VALIDATE KEYS] Refused OpenAI-compatible endpoint ${baseUrl}: ${guard.reason}`);
+        results.openaiCompatible = {
+          valid: false,
+          error: 'This endpoint address is not allowed. Ask an administrator to allow-list it.'
+        };
+      } else {
+        try {
+          const compatibleClient = new OpenAI({
+            baseURL: baseUrl,
+            apiKey: apiKey || 'not-required',
+            timeout: 30000,
+            maxRetries: 0,
+            // A redirect could lead to an address the guard refused
+            fetchOptions: { redirect: 'error' }
+          });
+
+          // Test the configured model with a minimal request
+          const response = await compatibleClient.chat.completions.create({
+            model,
+            messages: [{ role: 'user', content: 'test' }],
+            max_tokens: 5
+          });
+
+          results.openaiCompatible = {
+            valid: true,
+            model: response.model || model,
+            usage: response.usage
+          };
+        } catch (error) {
+          // The endpoint's own error text is not passed on - it could expose what the server reached
+          logger.warn(`⚠️ [VALIDATE KEYS] OpenAI-compatible endpoint ${baseUrl} failed: ${error.message}`);
+          results.openaiCompatible = {
+            valid: false,
+            error: 'Could not connect to the endpoint with this model'
+          };
+        }
+      }
+    }
+
     // Overall validation status
-    results.valid = (results.openai?.valid || results.gemini?.valid) || false;
+    results.valid = ['openai', 'gemini', 'anthropic', 'openaiCompatible']
+      .some(provider => results[provider]?.valid);
 
     return NextResponse.json({
       success: true,
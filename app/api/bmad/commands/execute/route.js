@@ -84,7 +84,9 @@ export async function POST(request) {
       bmadInstance = new BmadOrchestrator(null, { 
         apiKeys: hasApiKeys ? {
           openai: userApiKeys.openai,
-          gemini: userApiKeys.gemini
+          gemini: userApiKeys.gemini,
+          anthropic: userApiKeys.anthropic,
+          openaiCompatible: userApiKeys.openaiCompatible
         } : null,
         userId: user._id.toString()
       });
@@ -96,7 +98,9 @@ export async function POST(request) {
       if (hasApiKeys && bmadInstance.workflowEngine?.executor) {
         bmadInstance.workflowEngine.executor.updateApiKeys({
           openai: userApiKeys.openai,
-          gemini: userApiKeys.gemini
+          gemini: userApiKeys.gemini,
+          anthropic: userApiKeys.anthropic,
+          openaiCompatible: userApiKeys.openaiCompatible
         });
         console.log('🔄 Updated orchestrator with user API keys');
       }
@@ -159,7 +163,9 @@ export async function POST(request) {
       // API configuration
       apiKeys: hasApiKeys ? {
         openai: userApiKeys.openai,
-        gemini: userApiKeys.gemini
+        gemini: userApiKeys.gemini,
+        anthropic: userApiKeys.anthropic,
+        openaiCompatible: userApiKeys.openaiCompatible
       } : null,
       
       // Additional context
@@ -1,24 +1,36 @@
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth/config.js';
+import { renderPdf, renderDocx, createZipArchive } from '@/lib/utils/documentExport.js';
 
 /**
  * BMAD Document Export API
  * 
  * Exports BMAD documents in multiple formats (MD, PDF, DOC, HTML)
- * Handles single document and bulk export operations
+ * Handles single document and bulk (zip) export operations
  * Maintains BMAD formatting and metadata
+ *
+ * Responds with JSON carrying a data URL by default; with `options.download`
+ * the file itself is returned as an attachment.
  */
 
 export async function POST(request) {
   try {
-    const { documentId, documentIds, format, content, title, options = {} } = await request.json();
+    const { documentId, documents, format, content, title, options = {} } = await request.json();
+    const isBulk = Array.isArray(documents) && documents.length > 0;
 
     // Validate required fields
-    if (!format || (!documentId && !documentIds) || (!content && !documentId)) {
+    if (!format || (!isBulk && (!documentId || !content))) {
       return NextResponse.json({
         success: false,
-        error: 'Missing required fields: format and (documentId or documentIds) and content'
+        error: 'Missing required fields: format and either documentId with content, or documents'
+      }, { status: 400 });
+    }
+
+    if (isBulk && documents.some(doc => !doc?.documentId || !doc?.content)) {
+      return NextResponse.json({
+        success: false,
+        error: 'Each document in a bulk export requires documentId and content'
       }, { status: 400 });
     }
 
@@ -33,41 +45,49 @@ export async function POST(request) {
       }, { status: 401 });
     }
 
-    // Handle single document export
-    if (documentId && content) {
-      const exportResult = await exportDocument({
-        documentId,
-        content,
-        title: title || 'BMAD Document',
+    // Handle bulk export
+    if (isBulk) {
+      const { data, ...bulkExportResult } = await exportMultipleDocuments({
+        documents,
         format,
         options,
         userId: session.user.id
       });
 
+      if (options.download) {
+        return createFileResponse(bulkExportResult.filename, data, bulkExportResult.mimeType);
+      }
+
       return NextResponse.json({
         success: true,
-        documentId,
+        documentIds: documents.map(doc => doc.documentId),
         format,
         exportedAt: new Date().toISOString(),
-        ...exportResult
+        ...bulkExportResult
       });
     }
 
-    // Handle bulk export
-    if (documentIds && Array.isArray(documentIds)) {
-      const bulkExportResult = await exportMultipleDocuments({
-        documentIds,
+    // Handle single document export
+    if (documentId && content) {
+      const { data, ...exportResult } = await exportDocument({
+        documentId,
+        content,
+        title: title || 'BMAD Document',
         format,
         options,
         userId: session.user.id
       });
 
+      if (options.download) {
+        return createFileResponse(exportResult.filename, data, exportResult.mimeType);
+      }
+
       return NextResponse.json({
         success: true,
-        documentIds,
+        documentId,
         format,
         exportedAt: new Date().toISOString(),
-        ...bulkExportResult
+        ...exportResult
       });
     }
 
@@ -135,6 +155,8 @@ async function exportAsMarkdown({ documentId, content, title, options }) {
   return {
     format: 'markdown',
     filename,
+    mimeType: 'text/markdown',
+    data: processedContent,
     content: processedContent,
     size: Buffer.byteLength(processedContent, 'utf8'),
     downloadUrl: createDownloadUrl(filename, processedContent, 'text/markdown')
@@ -241,6 +263,8 @@ async function exportAsHTML({ documentId, content, title, options }) {
   return {
     format: 'html',
     filename,
+    mimeType: 'text/html',
+    data: htmlContent,
     content: htmlContent,
     size: Buffer.byteLength(htmlContent, 'utf8'),
     downloadUrl: createDownloadUrl(filename, htmlContent, 'text/html')
@@ -248,49 +272,31 @@ async function exportAsHTML({ documentId, content, title, options }) {
 }
 
 async function exportAsPDF({ documentId, content, title, options }) {
-  // For PDF generation, we'll create a structured response that could be processed
-  // by a PDF generation service or library like puppeteer/playwright
-  
-  const htmlExport = await exportAsHTML({ documentId, content, title, options });
-  
+  const pdfBuffer = await renderPdf({ documentId, content, title: title || 'BMAD Document', options });
+  const filename = `${sanitizeFilename(title || 'document')}.pdf`;
+
   return {
     format: 'pdf',
-    filename: `${sanitizeFilename(title || 'document')}.pdf`,
-    message: 'PDF export prepared - requires PDF generation service',
-    htmlContent: htmlExport.content,
-    pdfOptions: {
-      format: 'A4',
-      margin: { top: '1in', right: '1in', bottom: '1in', left: '1in' },
-      printBackground: true,
-      displayHeaderFooter: true,
-      headerTemplate: `<div style="font-size: 10px; text-align: center; width: 100%;">${escapeHtml(title || 'BMAD Document')}</div>`,
-      footerTemplate: `<div style="font-size: 10px; text-align: center; width: 100%;">Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>`
-    },
-    // Note: In production, this would generate actual PDF bytes
-    implementationNote: 'PDF generation requires server-side PDF library like puppeteer'
+    filename,
+    mimeType: 'application/pdf',
+    data: pdfBuffer,
+    size: pdfBuffer.length,
+    downloadUrl: createDownloadUrl(filename, pdfBuffer, 'application/pdf')
   };
 }
 
 async function exportAsWord({ documentId, content, title, options }) {
-  // For Word document generation, we'll create a structured response
-  // This would typically use a library like docx or mammoth
-  
+  const docxBuffer = await renderDocx({ documentId, content, title: title || 'BMAD Document', options });
+  const filename = `${sanitizeFilename(title || 'document')}.docx`;
+  const mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
   return {
     format: 'docx',
-    filename: `${sanitizeFilename(title || 'document')}.docx`,
-    message: 'Word export prepared - requires DOCX generation service',
-    content: content,
-    wordOptions: {
-      title: title || 'BMAD Document',
-      creator: 'BMAD System',
-      description: `BMAD document export for ${documentId}`,
-      styles: {
-        heading1: { size: 28, bold: true, color: '2563eb' },
-        heading2: { size: 24, bold: true, color: '2563eb' },
-        normal: { size: 11, font: 'Calibri' }
-      }
-    },
-    implementationNote: 'DOCX generation requires server-side Word library like docx'
+    filename,
+    mimeType,
+    data: docxBuffer,
+    size: docxBuffer.length,
+    downloadUrl: createDownloadUrl(filename, docxBuffer, mimeType)
   };
 }
 
@@ -316,29 +322,43 @@ async function exportAsJSON({ documentId, content, title, options }) {
   return {
     format: 'json',
     filename,
+    mimeType: 'application/json',
+    data: jsonContent,
     content: jsonContent,
     size: Buffer.byteLength(jsonContent, 'utf8'),
     downloadUrl: createDownloadUrl(filename, jsonContent, 'application/json')
   };
 }
 
-async function exportMultipleDocuments({ documentIds, format, options, userId }) {
-  console.log(`📄 Bulk exporting ${documentIds.length} documents as ${format}`);
-  
-  // For bulk export, we'll return export instructions
-  // In a production system, this might zip multiple files or create a single combined document
-  
+async function exportMultipleDocuments({ documents, format, options, userId }) {
+  console.log(`📄 Bulk exporting ${documents.length} documents as ${format}`);
+
+  const files = [];
+  for (const doc of documents) {
+    const { data, filename, size } = await exportDocument({
+      documentId: doc.documentId,
+      content: doc.content,
+      title: doc.title || doc.documentId,
+      format,
+      options,
+      userId
+    });
+    files.push({ documentId: doc.documentId, filename, size, data });
+  }
+
+  const zipBuffer = await createZipArchive(files.map(file => ({ name: file.filename, content: file.data })));
+  const filename = `bmad-documents-${new Date().toISOString().slice(0, 10)}.zip`;
+
   return {
     format,
     bulkExport: true,
-    documentCount: documentIds.length,
-    message: `Bulk export of ${documentIds.length} documents prepared`,
-    exportInstructions: {
-      method: 'Individual export recommended for now',
-      alternativeEndpoint: '/api/bmad/documents/bulk-export',
-      supportedFormats: ['zip', 'combined-pdf', 'combined-html']
-    },
-    implementationNote: 'Bulk export requires additional file processing and zipping capabilities'
+    documentCount: documents.length,
+    filename,
+    mimeType: 'application/zip',
+    data: zipBuffer,
+    size: zipBuffer.length,
+    files: files.map(({ documentId, filename, size }) => ({ documentId, filename, size })),
+    downloadUrl: createDownloadUrl(filename, zipBuffer, 'application/zip')
   };
 }
 
@@ -388,10 +408,22 @@ function escapeHtml(text) {
 function createDownloadUrl(filename, content, mimeType) {
   // In a real implementation, this would create a signed URL or file endpoint
   // For now, we'll return a data URL for immediate download
-  const base64Content = Buffer.from(content, 'utf8').toString('base64');
+  const base64Content = (Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8')).toString('base64');
   return `data:${mimeType};base64,${base64Content}`;
 }
 
+function createFileResponse(filename, content, mimeType) {
+  const body = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  return new NextResponse(body, {
+    status: 200,
+    headers: {
+      'Content-Type': mimeType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': body.length.toString(),
+    },
+  });
+}
+
 export async function GET() {
   return NextResponse.json({
     name: 'BMAD Document Export API',
@@ -407,14 +439,19 @@ export async function GET() {
         title: 'Document title',
         format: 'md | html | pdf | docx | json',
         options: 'Optional formatting and export options'
+      },
+      bulkBody: {
+        documents: 'Array of { documentId, content, title } - exported in `format` and zipped',
+        format: 'md | html | pdf | docx | json',
+        options: 'Optional formatting and export options'
       }
     },
     
     supportedFormats: {
       markdown: 'Clean markdown with BMAD metadata',
       html: 'Responsive HTML with embedded CSS',
-      pdf: 'Professional PDF layout (requires PDF service)',
-      docx: 'Microsoft Word format (requires DOCX service)',
+      pdf: 'A4 PDF with styled headings, tables, code blocks and page numbers',
+      docx: 'Microsoft Word document with headings, tables and code blocks',
       json: 'Structured data export with metadata'
     },
     
@@ -423,7 +460,7 @@ export async function GET() {
       'BMAD metadata preservation',
       'Table of contents generation',
       'Custom styling options',
-      'Bulk export capabilities',
+      'Bulk export as a single zip archive',
       'Professional formatting'
     ],
     
@@ -432,8 +469,8 @@ export async function GET() {
       includeTableOfContents: 'Generate table of contents (default: false)',
       includeBmadFooter: 'Include BMAD footer in HTML (default: true)',
       customCSS: 'Custom CSS for HTML export',
-      pdfOptions: 'PDF generation options',
-      wordOptions: 'Word document formatting options'
+      metadata: 'Extra key/value pairs for the BMAD header of PDF and DOCX exports',
+      download: 'Return the file itself instead of JSON with a data URL (default: false)'
     }
   });
 }
\ No newline at end of file
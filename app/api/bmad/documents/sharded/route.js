@@ -3,11 +3,13 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth/config.js';
+import { ShardingManager } from '@/lib/bmad/ShardingManager.js';
 
 /**
  * Get all sharded documents from the project
+ * Query: group - reassemble that group back into the original document
  */
-export async function GET() {
+export async function GET(request) {
   try {
     const session = await getServerSession(authOptions);
     if (!session?.user) {
@@ -17,6 +19,12 @@ export async function GET() {
       );
     }
 
+    const { searchParams } = new URL(request.url);
+    const group = searchParams.get('group');
+    if (group) {
+      return reassembleGroup(group);
+    }
+
     const shardedDocuments = await loadShardedDocuments();
 
     return NextResponse.json({
@@ -65,48 +73,61 @@ async function loadShardedDocuments() {
   return shardedDocuments;
 }
 
+async function reassembleGroup(groupName) {
+  // Group names are single directory names under docs/
+  if (path.basename(groupName) !== groupName || groupName.startsWith('.')) {
+    return NextResponse.json({ success: false, error: 'Invalid group name' }, { status: 400 });
+  }
+
+  const dirPath = path.join(process.cwd(), 'docs', groupName);
+  try {
+    const content = await new ShardingManager().reassembleDirectory(dirPath);
+    return NextResponse.json({
+      success: true,
+      group: groupName,
+      filename: `${groupName}.md`,
+      content
+    });
+  } catch (error) {
+    const notFound = error.code === 'ENOENT';
+    return NextResponse.json({
+      success: false,
+      error: notFound ? 'Sharded document not found' : 'Failed to reassemble sharded document',
+      details: error.message
+    }, { status: notFound ? 404 : 422 });
+  }
+}
+
 async function loadShardGroup(groupName, dirPath) {
   try {
-    const files = await fs.readdir(dirPath);
-    const markdownFiles = files.filter(file => file.endsWith('.md'));
-    
-    if (markdownFiles.length === 0) {
-      return null;
-    }
+    const { manifest, shards: loadedShards } = await new ShardingManager().loadShards(dirPath);
 
-    const shards = [];
-    
-    for (const file of markdownFiles) {
-      const filePath = path.join(dirPath, file);
-      const stats = await fs.stat(filePath);
-      
-      // Read first few lines to get title
-      const content = await fs.readFile(filePath, 'utf8');
-      const lines = content.split('\n');
-      const titleLine = lines.find(line => line.startsWith('#'));
-      const title = titleLine ? titleLine.replace(/^#+\s*/, '') : file.replace('.md', '');
-      
-      shards.push({
-        name: file,
-        title: title,
-        path: filePath,
-        relativePath: `docs/${groupName}/${file}`,
-        size: formatFileSize(stats.size),
-        type: inferShardType(file, content),
-        wordCount: content.split(/\s+/).length,
-        lastModified: stats.mtime.toISOString()
-      });
+    if (loadedShards.length === 0) {
+      return null;
     }
 
-    // Sort shards by filename (which should maintain order for epic-1, epic-2, etc.)
-    shards.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    // Shards come back in document order (manifest) or by filename for older shard directories
+    const shards = loadedShards.map(shard => ({
+      name: shard.filename,
+      title: shard.title,
+      path: path.join(dirPath, shard.filename),
+      relativePath: `docs/${groupName}/${shard.filename}`,
+      size: formatFileSize(shard.stats.size),
+      type: inferShardType(shard.filename, shard.content),
+      level: shard.level,
+      parent: shard.parent,
+      wordCount: shard.content.split(/\s+/).filter(Boolean).length,
+      lastModified: shard.stats.mtime.toISOString()
+    }));
 
     return {
       name: groupName,
-      displayName: formatGroupName(groupName),
+      displayName: manifest?.title || formatGroupName(groupName),
       path: dirPath,
       shards: shards,
       type: inferGroupType(groupName),
+      headingDepth: manifest?.depth ?? null,
+      reassemblable: Boolean(manifest),
       totalShards: shards.length,
       totalWords: shards.reduce((sum, shard) => sum + shard.wordCount, 0),
       lastModified: Math.max(...shards.map(s => new Date(s.lastModified).getTime()))
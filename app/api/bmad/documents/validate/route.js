@@ -4,6 +4,8 @@ import path from 'path';
 import yaml from 'js-yaml';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth/config.js';
+import { evaluateDeterministic } from '@/lib/bmad/services/ChecklistRunService.js';
+import { ChecklistItemResult } from '@/lib/bmad/types.js';
 
 /**
  * BMAD Document Validation API
@@ -442,6 +444,12 @@ async function validateAgainstChecklist(content, checklist, documentType) {
 }
 
 function checkRequirement(content, requirement, documentType) {
+  // Structural checks from the checklist run engine are exact - prefer them to keywords
+  const evaluation = evaluateDeterministic({ text: requirement }, content);
+  if (evaluation) {
+    return evaluation.result !== ChecklistItemResult.FAIL;
+  }
+
   const lowerContent = content.toLowerCase();
   const lowerReq = requirement.toLowerCase();
 
@@ -468,6 +476,11 @@ function checkRequirement(content, requirement, documentType) {
 }
 
 function checkQualityStandard(content, standard, documentType) {
+  const evaluation = evaluateDeterministic({ text: standard }, content);
+  if (evaluation) {
+    return evaluation.result !== ChecklistItemResult.FAIL;
+  }
+
   const lowerContent = content.toLowerCase();
   const lowerStandard = standard.toLowerCase();
 
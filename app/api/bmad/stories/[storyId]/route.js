@@ -1,9 +1,63 @@
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth/config.js';
+import { connectMongoose, mongoose } from '@/lib/database/mongodb.js';
+import Story from '@/lib/database/models/Story.js';
+import { StoryStatus, StoryStatusTransitions } from '@/lib/bmad/types.js';
+import { jiraStorySync } from '@/lib/integrations/JiraStorySync.js';
+
+// Fields a PATCH may change directly; status goes through the transition rules
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'acceptanceCriteria',
+  'storyPoints',
+  'assignee',
+  'epicNumber',
+  'epicName',
+  'storyNumber',
+  'content',
+  'devAgentRecord',
+  'qaResults'
+];
 
 /**
- * PATCH /api/bmad/stories/[storyId] - Update story status
+ * GET /api/bmad/stories/[storyId] - Get a story with its full content and history
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { storyId } = await params;
+    const story = await findUserStory(storyId, session.user.id);
+    if (!story) {
+      return NextResponse.json({ success: false, error: 'Story not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      story,
+      allowedTransitions: StoryStatusTransitions[story.status] || []
+    });
+
+  } catch (error) {
+    console.error('Error loading story:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load story',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/bmad/stories/[storyId] - Update story fields and/or status
  */
 export async function PATCH(request, { params }) {
   try {
@@ -16,19 +70,39 @@ export async function PATCH(request, { params }) {
     }
 
     const { storyId } = await params;
-    const updateData = await request.json();
+    const { status, statusNote, ...updateData } = await request.json();
+
+    const story = await findUserStory(storyId, session.user.id);
+    if (!story) {
+      return NextResponse.json({ success: false, error: 'Story not found' }, { status: 404 });
+    }
 
-    // TODO: Update story in database
-    // For now, return success response
-    const updatedStory = {
-      id: storyId,
-      ...updateData,
-      updatedAt: new Date().toISOString()
-    };
+    if (status && status !== story.status) {
+      if (!Object.values(StoryStatus).includes(status) || !story.canTransitionTo(status)) {
+        return NextResponse.json({
+          success: false,
+          error: `Cannot move story from ${story.status} to ${status}`,
+          details: { allowedTransitions: StoryStatusTransitions[story.status] || [] }
+        }, { status: 400 });
+      }
+      story.transitionTo(status, { changedBy: session.user.id, note: statusNote });
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (updateData[field] !== undefined) {
+        story.set(field, updateData[field]);
+      }
+    }
+
+    await story.save();
+
+    // Mirror the change to Jira (status transitions flow back through the Jira webhook)
+    await jiraStorySync.syncStory(story);
 
     return NextResponse.json({
       success: true,
-      story: updatedStory,
+      story,
+      allowedTransitions: StoryStatusTransitions[story.status] || [],
       message: 'Story updated successfully'
     });
 
@@ -38,6 +112,52 @@ export async function PATCH(request, { params }) {
       success: false,
       error: 'Failed to update story',
       details: error.message
+    }, { status: error.name === 'ValidationError' ? 400 : 500 });
+  }
+}
+
+/**
+ * DELETE /api/bmad/stories/[storyId] - Delete a story
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { storyId } = await params;
+    const story = await findUserStory(storyId, session.user.id);
+    if (!story) {
+      return NextResponse.json({ success: false, error: 'Story not found' }, { status: 404 });
+    }
+
+    await story.deleteOne();
+
+    return NextResponse.json({
+      success: true,
+      storyId,
+      message: 'Story deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting story:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to delete story',
+      details: error.message
     }, { status: 500 });
   }
-}
\ No newline at end of file
+}
+
+async function findUserStory(storyId, userId) {
+  if (!mongoose.isValidObjectId(storyId)) {
+    return null;
+  }
+
+  await connectMongoose();
+  return Story.findOne({ _id: storyId, userId });
+}
@@ -1,11 +1,16 @@
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth/config.js';
+import { connectMongoose } from '@/lib/database/mongodb.js';
+import Story from '@/lib/database/models/Story.js';
+import { StoryStatus } from '@/lib/bmad/types.js';
+import { jiraStorySync } from '@/lib/integrations/JiraStorySync.js';
 
 /**
- * GET /api/bmad/stories - Get all stories
+ * GET /api/bmad/stories - Get the user's stories
+ * Query: workflowId, status, epicNumber
  */
-export async function GET() {
+export async function GET(request) {
   try {
     const session = await getServerSession(authOptions);
     if (!session?.user) {
@@ -15,67 +20,23 @@ export async function GET() {
       );
     }
 
-    // TODO: Replace with actual database query
-    // For now, return sample data
-    const sampleStories = [
-      {
-        id: 'story-1',
-        title: 'User Registration with Email Validation',
-        description: 'As a new user, I want to register with email validation so that I can securely access the application.',
-        status: 'completed',
-        epicName: 'User Authentication',
-        storyPoints: 5,
-        assignee: 'James (Dev)',
-        createdAt: '2024-01-15T10:00:00Z',
-        updatedAt: '2024-01-20T15:30:00Z',
-        acceptanceCriteria: [
-          'User can enter email, password, and confirm password',
-          'Email validation is performed client-side and server-side',
-          'Confirmation email is sent to user',
-          'Account is activated only after email confirmation'
-        ]
-      },
-      {
-        id: 'story-2',
-        title: 'User Login with JWT Authentication',
-        description: 'As a registered user, I want to login with my credentials so that I can access my personal tasks.',
-        status: 'in_development',
-        epicName: 'User Authentication',
-        storyPoints: 3,
-        assignee: 'James (Dev)',
-        createdAt: '2024-01-16T09:00:00Z',
-        updatedAt: '2024-01-22T11:45:00Z',
-        acceptanceCriteria: [
-          'User can login with email and password',
-          'JWT token is generated and stored securely',
-          'Invalid credentials show appropriate error message',
-          'User is redirected to dashboard after successful login'
-        ]
-      },
-      {
-        id: 'story-3',
-        title: 'Password Reset Functionality',
-        description: 'As a user, I want to reset my password if I forget it so that I can regain access to my account.',
-        status: 'ready',
-        epicName: 'User Authentication',
-        storyPoints: 8,
-        createdAt: '2024-01-17T14:00:00Z',
-        updatedAt: '2024-01-22T16:20:00Z',
-        acceptanceCriteria: [
-          'User can request password reset via email',
-          'Reset link is sent to user email',
-          'Reset link expires after 24 hours',
-          'User can set new password using valid reset link'
-        ]
-      }
-    ];
+    const { searchParams } = new URL(request.url);
+    const epicNumber = searchParams.get('epicNumber');
+
+    await connectMongoose();
+
+    const stories = await Story.findUserStories(session.user.id, {
+      workflowId: searchParams.get('workflowId'),
+      status: searchParams.get('status'),
+      epicNumber: epicNumber ? Number(epicNumber) : null
+    });
 
     return NextResponse.json({
       success: true,
-      stories: sampleStories,
+      stories,
       meta: {
-        total: sampleStories.length,
-        statuses: sampleStories.reduce((acc, story) => {
+        total: stories.length,
+        statuses: stories.reduce((acc, story) => {
           acc[story.status] = (acc[story.status] || 0) + 1;
           return acc;
         }, {})
@@ -106,21 +67,50 @@ export async function POST(request) {
     }
 
     const storyData = await request.json();
+    const status = storyData.status || StoryStatus.DRAFT;
+
+    if (!storyData.title?.trim()) {
+      return NextResponse.json({
+        success: false,
+        error: 'Story title is required'
+      }, { status: 400 });
+    }
+
+    if (!Object.values(StoryStatus).includes(status)) {
+      return NextResponse.json({
+        success: false,
+        error: `Invalid story status: ${status}`,
+        details: { allowed: Object.values(StoryStatus) }
+      }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const newStory = await Story.create({
+      userId: session.user.id,
+      workflowId: storyData.workflowId,
+      epicNumber: storyData.epicNumber,
+      epicName: storyData.epicName,
+      storyNumber: storyData.storyNumber,
+      title: storyData.title,
+      description: storyData.description,
+      acceptanceCriteria: storyData.acceptanceCriteria || [],
+      storyPoints: storyData.storyPoints,
+      assignee: storyData.assignee,
+      content: storyData.content,
+      status,
+      statusHistory: [{ from: null, to: status, changedBy: session.user.id }],
+      source: 'manual',
+      createdBy: session.user.id
+    });
 
-    // TODO: Save to database
-    // For now, return the created story with generated ID
-    const newStory = {
-      ...storyData,
-      id: `story_${Date.now()}`,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    await jiraStorySync.syncStory(newStory);
 
     return NextResponse.json({
       success: true,
       story: newStory,
       message: 'Story created successfully'
-    });
+    }, { status: 201 });
 
   } catch (error) {
     console.error('Error creating story:', error);
@@ -128,6 +118,6 @@ export async function POST(request) {
       success: false,
       error: 'Failed to create story',
       details: error.message
-    }, { status: 500 });
+    }, { status: error.name === 'ValidationError' ? 400 : 500 });
   }
-}
\ No newline at end of file
+}
@@ -178,6 +178,10 @@ export async function GET(request) {
  *                 items:
  *                   type: string
  *                 description: List of tags for the workflow.
+ *               record:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Record every AI call so the run can be replayed without provider calls.
  *     responses:
  *       201:
  *         description: Workflow started successfully.
@@ -211,7 +215,7 @@ export async function POST(request) {
     if (error) return error;
 
     const body = await request.json();
-    const { userPrompt, name, description, sequence, priority, tags } = body;
+    const { userPrompt, name, description, sequence, priority, tags, record } = body;
     console.log({ body });
     
 
@@ -265,6 +269,7 @@ export async function POST(request) {
         userId: session.user.id,
         priority: priority || 'medium',
         tags: tags || [],
+        record: Boolean(record), // capture AI calls for replay
         context: {
           initiatedBy: session.user.id,
           userEmail: session.user.email,
@@ -0,0 +1,123 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth/config.js';
+import Integration from '../../../../../lib/database/models/Integration.js';
+import WebhookDeadLetter from '../../../../../lib/database/models/WebhookDeadLetter.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import WebhookPlugin from '../../../../../lib/integrations/webhook-plugin.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+async function findWebhookIntegration(id, userId) {
+  return await Integration.findOne({ _id: id, userId, pluginId: 'webhook' });
+}
+
+/**
+ * GET /api/integrations/[id]/dead-letters
+ * Events this webhook integration gave up delivering, newest first
+ * Query: ?status=dead|redelivered&limit=50
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    await connectMongoose();
+    const { id } = await params;
+
+    const integration = await findWebhookIntegration(id, session.user.id);
+    if (!integration) {
+      return NextResponse.json({ error: 'Webhook integration not found' }, { status: 404 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || undefined;
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 50, 200);
+
+    const deadLetters = await WebhookDeadLetter.findByIntegration(integration._id, { status, limit })
+      .select('-event.data')
+      .lean();
+
+    return NextResponse.json({
+      success: true,
+      data: deadLetters
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook dead letters:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch webhook dead letters', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/integrations/[id]/dead-letters
+ * Redeliver a dead-lettered event with the integration's current config
+ * Body: { deadLetterId }
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    await connectMongoose();
+    const { id } = await params;
+    const { deadLetterId } = await request.json();
+
+    if (!deadLetterId) {
+      return NextResponse.json({ error: 'deadLetterId is required' }, { status: 400 });
+    }
+
+    const integration = await findWebhookIntegration(id, session.user.id);
+    if (!integration) {
+      return NextResponse.json({ error: 'Webhook integration not found' }, { status: 404 });
+    }
+
+    const deadLetter = await WebhookDeadLetter.findOne({ _id: deadLetterId, integrationId: integration._id });
+    if (!deadLetter) {
+      return NextResponse.json({ error: 'Dead letter not found' }, { status: 404 });
+    }
+    if (deadLetter.status === 'redelivered') {
+      return NextResponse.json({ error: 'Event was already redelivered' }, { status: 409 });
+    }
+
+    const plugin = new WebhookPlugin();
+    await plugin.initialize(integration.config);
+
+    try {
+      const result = await plugin.deliver(deadLetter.event);
+
+      deadLetter.status = 'redelivered';
+      deadLetter.redeliveredAt = new Date();
+      deadLetter.attempts += result.attempts;
+      deadLetter.lastStatusCode = result.statusCode;
+      deadLetter.lastError = null;
+      await deadLetter.save();
+
+      return NextResponse.json({
+        success: true,
+        data: { deadLetter, delivery: result }
+      });
+    } catch (deliveryError) {
+      deadLetter.attempts += deliveryError.attempts || 0;
+      deadLetter.lastStatusCode = deliveryError.statusCode || null;
+      deadLetter.lastError = deliveryError.message;
+      await deadLetter.save();
+
+      return NextResponse.json(
+        { error: 'Redelivery failed', details: deliveryError.message },
+        { status: 502 }
+      );
+    }
+  } catch (error) {
+    logger.error('Error redelivering webhook dead letter:', error);
+    return NextResponse.json(
+      { error: 'Failed to redeliver webhook dead letter', details: error.message },
+      { status: 500 }
+    );
+  }
+}
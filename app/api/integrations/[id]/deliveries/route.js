@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth/config.js';
+import Integration from '../../../../../lib/database/models/Integration.js';
+import IntegrationDelivery from '../../../../../lib/database/models/IntegrationDelivery.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/integrations/[id]/deliveries
+ * Delivery log of lifecycle events sent to this integration, newest first
+ * Query: ?status=pending|delivered|failed|skipped&limit=50
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    await connectMongoose();
+    const { id } = await params;
+
+    const integration = await Integration.findOne({ _id: id, userId: session.user.id }).select('_id').lean();
+    if (!integration) {
+      return NextResponse.json({ error: 'Integration not found' }, { status: 404 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || undefined;
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 50, 200);
+
+    const deliveries = await IntegrationDelivery.findByIntegration(integration._id, { status, limit })
+      .select('-event.data')
+      .lean();
+
+    return NextResponse.json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    logger.error('Error fetching integration deliveries:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch integration deliveries', details: error.message },
+      { status: 500 }
+    );
+  }
+}
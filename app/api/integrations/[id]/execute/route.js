@@ -5,9 +5,11 @@ import Integration from '../../../../../lib/database/models/Integration.js';
 import { User } from '../../../../../lib/database/models/index.js';
 import { connectMongoose } from '../../../../../lib/database/mongodb.js';
 import { pluginManager } from '../../../../../lib/integrations/plugin-architecture.js';
+import logger from '../../../../../lib/utils/logger.js';
 import GitHubPlugin from '../../../../../lib/integrations/github-plugin.js';
 import SlackPlugin from '../../../../../lib/integrations/slack-plugin.js';
 import JiraPlugin from '../../../../../lib/integrations/jira-plugin.js';
+import WebhookPlugin from '../../../../../lib/integrations/webhook-plugin.js';
 
 // Initialize plugins
 if (!pluginManager.getPlugin('github')) {
@@ -19,6 +21,9 @@ if (!pluginManager.getPlugin('slack')) {
 if (!pluginManager.getPlugin('jira')) {
   pluginManager.registerPlugin('jira', new JiraPlugin());
 }
+if (!pluginManager.getPlugin('webhook')) {
+  pluginManager.registerPlugin('webhook', new WebhookPlugin());
+}
 
 export async function POST(request, { params }) {
   try {
@@ -71,8 +76,8 @@ export async function POST(request, { params }) {
     const plugin = new pluginTemplate.constructor();
     await plugin.initialize(integration.config, userContext);
 
-    // Execute the action
-    const result = await pluginManager.executePluginAction(integration.pluginId, action, data);
+    // Execute the action on the configured instance
+    const result = await pluginManager.executePluginAction(integration.pluginId, action, data, plugin);
 
     // Update last used timestamp
     integration.lastUsed = new Date();
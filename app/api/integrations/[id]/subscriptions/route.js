@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth/config.js';
+import Integration from '../../../../../lib/database/models/Integration.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import { IntegrationEventBus, LIFECYCLE_EVENTS } from '../../../../../lib/integrations/IntegrationEventBus.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/integrations/[id]/subscriptions
+ * Lifecycle events this integration receives, with their filters and retry policy
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    await connectMongoose();
+    const { id } = await params;
+
+    const integration = await Integration.findOne({ _id: id, userId: session.user.id })
+      .select('subscriptions deliveryPolicy')
+      .lean();
+    if (!integration) {
+      return NextResponse.json({ error: 'Integration not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        events: LIFECYCLE_EVENTS,
+        subscriptions: integration.subscriptions || [],
+        deliveryPolicy: { maxAttempts: integration.deliveryPolicy?.maxAttempts ?? 3 }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching integration subscriptions:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch integration subscriptions', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/integrations/[id]/subscriptions
+ * Replace the integration's subscriptions
+ * Body: { subscriptions: [{ event, filter?: { templates?, agents?, artifacts? } }], maxAttempts? }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { subscriptions, maxAttempts } = await request.json();
+
+    let normalized;
+    try {
+      normalized = IntegrationEventBus.normalizeSubscriptions(subscriptions);
+    } catch (validationError) {
+      return NextResponse.json({ error: validationError.message }, { status: 400 });
+    }
+    if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10)) {
+      return NextResponse.json({ error: 'maxAttempts must be a whole number from 1 to 10' }, { status: 400 });
+    }
+
+    await connectMongoose();
+    const { id } = await params;
+
+    const integration = await Integration.findOne({ _id: id, userId: session.user.id });
+    if (!integration) {
+      return NextResponse.json({ error: 'Integration not found' }, { status: 404 });
+    }
+
+    integration.subscriptions = normalized;
+    if (maxAttempts !== undefined) {
+      integration.deliveryPolicy = { maxAttempts };
+    }
+    await integration.save();
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        subscriptions: integration.subscriptions,
+        deliveryPolicy: integration.deliveryPolicy
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating integration subscriptions:', error);
+    return NextResponse.json(
+      { error: 'Failed to update integration subscriptions', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth/config.js';
+import Integration from '@/lib/database/models/Integration.js';
+import { connectMongoose } from '@/lib/database/mongodb.js';
+import { GitHubWebhookService, SUPPORTED_EVENTS } from '@/lib/integrations/GitHubWebhookService.js';
+import logger from '@/lib/utils/logger.js';
+
+/**
+ * GET /api/integrations/github/rules
+ * Webhook rules of the user's GitHub integration (the secret itself is never returned)
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ success: false, error: 'Authentication required' }, { status: 401 });
+    }
+
+    await connectMongoose();
+
+    const integration = await Integration.findOne({ userId: session.user.id, pluginId: 'github' }).lean();
+    if (!integration) {
+      return NextResponse.json({ success: false, error: 'GitHub integration not found' }, { status: 404 });
+    }
+
+    const webhook = integration.config?.webhook || {};
+    return NextResponse.json({
+      success: true,
+      integrationId: integration._id.toString(),
+      endpoint: '/api/integrations/github/webhook',
+      supportedEvents: SUPPORTED_EVENTS,
+      hasSecret: Boolean(webhook.secret),
+      rules: webhook.rules || []
+    });
+
+  } catch (error) {
+    logger.error('Error fetching GitHub webhook rules:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to fetch GitHub webhook rules',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/integrations/github/rules
+ * Replace the webhook rules of the user's GitHub integration
+ * Body: { rules: [{ event, workflow, repository?, label?, branch? }], secret? } - omit secret to keep the current one
+ */
+export async function PUT(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ success: false, error: 'Authentication required' }, { status: 401 });
+    }
+
+    const { rules, secret } = await request.json();
+
+    let normalizedRules;
+    try {
+      normalizedRules = GitHubWebhookService.normalizeRules(rules);
+    } catch (validationError) {
+      return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return NextResponse.json({ success: false, error: 'secret must be at least 16 characters' }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const integration = await Integration.findOne({ userId: session.user.id, pluginId: 'github' });
+    if (!integration) {
+      return NextResponse.json({ success: false, error: 'GitHub integration not found' }, { status: 404 });
+    }
+
+    const webhook = integration.config?.webhook || {};
+    integration.config = {
+      ...integration.config,
+      webhook: { ...webhook, ...(secret !== undefined && { secret }), rules: normalizedRules }
+    };
+    integration.markModified('config');
+    await integration.save();
+
+    logger.info(`🐙 GitHub webhook rules updated for user ${session.user.id}: ${normalizedRules.length} rule(s)`);
+
+    return NextResponse.json({
+      success: true,
+      hasSecret: Boolean(integration.config.webhook.secret),
+      rules: normalizedRules
+    });
+
+  } catch (error) {
+    logger.error('Error updating GitHub webhook rules:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to update GitHub webhook rules',
+      details: error.message
+    }, { status: 500 });
+  }
+}
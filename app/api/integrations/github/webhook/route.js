@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { connectMongoose } from '@/lib/database/mongodb.js';
+import { getOrchestrator } from '@/lib/bmad/BmadOrchestrator.js';
+import { GitHubWebhookService } from '@/lib/integrations/GitHubWebhookService.js';
+import logger from '@/lib/utils/logger.js';
+
+/**
+ * POST /api/integrations/github/webhook
+ * Receive GitHub webhook deliveries (signed with X-Hub-Signature-256) and start the BMAD
+ * workflows mapped to them in the GitHub integration's webhook rules
+ */
+export async function POST(request) {
+  const event = request.headers.get('x-github-event');
+  const deliveryId = request.headers.get('x-github-delivery');
+
+  try {
+    if (!event) {
+      return NextResponse.json({
+        success: false,
+        error: 'Missing X-GitHub-Event header'
+      }, { status: 400 });
+    }
+
+    // Signatures are computed over the exact bytes GitHub sent
+    const rawBody = await request.text();
+
+    await connectMongoose();
+
+    const orchestrator = await getOrchestrator();
+    const { status, error, ...result } = await new GitHubWebhookService(orchestrator).handleDelivery({
+      event,
+      deliveryId,
+      signature: request.headers.get('x-hub-signature-256'),
+      rawBody
+    });
+
+    if (error) {
+      return NextResponse.json({ success: false, error }, { status });
+    }
+    return NextResponse.json({ success: true, deliveryId, ...result }, { status });
+
+  } catch (error) {
+    logger.error(`GitHub webhook ${event} delivery ${deliveryId} failed:`, error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to process GitHub webhook',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { connectMongoose } from '@/lib/database/mongodb.js';
+import { jiraStorySync } from '@/lib/integrations/JiraStorySync.js';
+import logger from '@/lib/utils/logger.js';
+
+/**
+ * POST /api/integrations/jira/webhook?integrationId=...
+ * Receive Jira issue updates (signed with the integration's webhook secret in X-Hub-Signature)
+ * and move the mirrored BMAD stories to the issue's new status
+ */
+export async function POST(request) {
+  const { searchParams } = new URL(request.url);
+  const integrationId = searchParams.get('integrationId');
+
+  try {
+    if (!integrationId) {
+      return NextResponse.json({
+        success: false,
+        error: 'Missing integrationId query parameter'
+      }, { status: 400 });
+    }
+
+    // Signatures are computed over the exact bytes Jira sent
+    const rawBody = await request.text();
+
+    await connectMongoose();
+
+    const { status, error, ...result } = await jiraStorySync.applyIssueUpdate({
+      integrationId,
+      signature: request.headers.get('x-hub-signature'),
+      rawBody
+    });
+
+    if (error) {
+      return NextResponse.json({ success: false, error }, { status });
+    }
+    return NextResponse.json({ success: true, ...result }, { status });
+
+  } catch (error) {
+    logger.error(`Jira webhook for integration ${integrationId} failed:`, error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to process Jira webhook',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -7,6 +7,7 @@ import { pluginManager } from '../../../lib/integrations/plugin-architecture.js'
 import GitHubPlugin from '../../../lib/integrations/github-plugin.js';
 import SlackPlugin from '../../../lib/integrations/slack-plugin.js';
 import JiraPlugin from '../../../lib/integrations/jira-plugin.js';
+import WebhookPlugin from '../../../lib/integrations/webhook-plugin.js';
 import logger from '@/lib/utils/logger.js';
 
 // Initialize plugins
@@ -19,6 +20,9 @@ if (!pluginManager.getPlugin('slack')) {
 if (!pluginManager.getPlugin('jira')) {
   pluginManager.registerPlugin('jira', new JiraPlugin());
 }
+if (!pluginManager.getPlugin('webhook')) {
+  pluginManager.registerPlugin('webhook', new WebhookPlugin());
+}
 
 export async function GET() {
   try {
@@ -0,0 +1,46 @@
+import { NextResponse, after } from 'next/server';
+import { connectMongoose } from '@/lib/database/mongodb.js';
+import { getOrchestrator } from '@/lib/bmad/BmadOrchestrator.js';
+import { SlackInteractionService } from '@/lib/integrations/SlackInteractionService.js';
+import logger from '@/lib/utils/logger.js';
+
+/**
+ * POST /api/integrations/slack/interactivity
+ * Receive Slack button clicks and modal submissions (signed with X-Slack-Signature) on
+ * elicitation messages and resume the waiting workflows with the answers
+ */
+export async function POST(request) {
+  try {
+    // Signatures are computed over the exact bytes Slack sent
+    const rawBody = await request.text();
+
+    await connectMongoose();
+
+    const orchestrator = await getOrchestrator();
+    const { status, error, body, followUp } = await new SlackInteractionService(orchestrator).handleInteraction({
+      rawBody,
+      timestamp: request.headers.get('x-slack-request-timestamp'),
+      signature: request.headers.get('x-slack-signature')
+    });
+
+    if (error) {
+      return NextResponse.json({ success: false, error }, { status });
+    }
+
+    // Slack needs its answer within 3 seconds; resuming the workflow takes longer
+    if (followUp) {
+      after(followUp);
+    }
+
+    // Modal submissions close on an empty response and show errors from a response_action body
+    return body ? NextResponse.json(body, { status }) : new NextResponse(null, { status });
+
+  } catch (error) {
+    logger.error('Slack interactivity request failed:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to process Slack interaction',
+      details: error.message
+    }, { status: 500 });
+  }
+}
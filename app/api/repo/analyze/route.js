@@ -12,6 +12,9 @@ import RepoAnalysis from '@/lib/database/models/RepoAnalysis.js';
 import { connectMongoose } from '@/lib/database/mongodb.js';
 import logger from '@/lib/utils/logger.js';
 import { generateAISummary } from '@/lib/ai/summarizer.js';
+import { chunkFile } from '@/lib/ai/retrieval/textIndex.js';
+import { repoRetrievalIndex } from '@/lib/ai/retrieval/RepoRetrievalIndex.js';
+import { diffFileTree, buildHistoryEntry, reconcileInsights } from '@/lib/utils/repoAnalysisDiff.js';
 import { PusherService } from '@/lib/bmad/orchestration/PusherService.js';
 
 /**
@@ -20,6 +23,9 @@ import { PusherService } from '@/lib/bmad/orchestration/PusherService.js';
  */
 import { redisService } from '@/lib/utils/redis';
 
+// Regenerate the AI summary on incremental runs once this share of files changed
+const SUMMARY_REFRESH_RATIO = 0.2;
+
 export async function POST(request) {
   try {
     // Check authentication
@@ -44,32 +50,55 @@ export async function POST(request) {
       }, { status: 400 });
     }
 
-    // Check if analysis already exists and is recent (unless forcing restart)
-    const existingAnalysis = !forceRestart ? await RepoAnalysis.findOne({
+    // Latest analysis of this repository (its history carries over to a new analysis)
+    const existingAnalysis = await RepoAnalysis.findOne({
       $or: [
         { repositoryId },
         { owner, name, userId: session.user.id }
       ]
-    }).sort({ createdAt: -1 }) : null;
+    }).sort({ createdAt: -1 });
 
     if (existingAnalysis && !forceRestart) {
-      const analysisAge = Date.now() - new Date(existingAnalysis.createdAt).getTime();
+      const analysisAge = Date.now() - new Date(existingAnalysis.analyzedAt || existingAnalysis.createdAt).getTime();
       const maxAge = 24 * 60 * 60 * 1000; // 24 hours
       
-      // If analysis is completed and recent, return it
-      if (existingAnalysis.status === 'completed' && analysisAge < maxAge) {
-        logger.info(`Using existing completed analysis for ${owner}/${name}`);
-        return NextResponse.json({
-          success: true,
-          analysisId: existingAnalysis._id.toString(),
-          status: 'completed',
-          cached: true,
-          analysis: existingAnalysis
-        });
+      if (existingAnalysis.status === 'completed') {
+        const headSha = await resolveHeadCommit(session.user, owner, name, existingAnalysis.branch);
+
+        // Same commit (or GitHub unreachable and still recent) - nothing to re-analyze
+        if ((headSha && headSha === existingAnalysis.commitSha) || (!headSha && analysisAge < maxAge)) {
+          logger.info(`Using existing completed analysis for ${owner}/${name}`);
+          return NextResponse.json({
+            success: true,
+            analysisId: existingAnalysis._id.toString(),
+            status: 'completed',
+            cached: true,
+            analysis: existingAnalysis
+          });
+        }
+
+        // New commits - re-process only the files that changed since the stored index
+        if (headSha && existingAnalysis.fileIndex?.length > 0) {
+          existingAnalysis.status = 'pending';
+          await existingAnalysis.save();
+          await invalidateStatusCache(owner, name);
+          startBackgroundAnalysis(existingAnalysis._id, session.user, { incremental: true });
+
+          logger.info(`Started incremental analysis for ${owner}/${name} (${existingAnalysis.commitSha?.substring(0, 7) || 'unknown'} -> ${headSha.substring(0, 7)})`);
+          return NextResponse.json({
+            success: true,
+            analysisId: existingAnalysis._id.toString(),
+            status: 'pending',
+            incremental: true,
+            previousCommitSha: existingAnalysis.commitSha || null,
+            commitSha: headSha,
+            message: 'Incremental analysis started'
+          });
+        }
       }
       
       // If analysis is still processing, check if it's actually stuck
-      if (existingAnalysis.status === 'processing' || existingAnalysis.status === 'pending') {
+      if (['processing', 'pending', 'analyzing'].includes(existingAnalysis.status)) {
         const processingAge = Date.now() - new Date(existingAnalysis.updatedAt || existingAnalysis.createdAt).getTime();
         const maxProcessingTime = 10 * 60 * 1000; // 10 minutes max processing time
         
@@ -92,8 +121,7 @@ export async function POST(request) {
       // If analysis failed or is old, we'll create a new one
       const shouldCreateNew = existingAnalysis.status === 'failed' || 
                              analysisAge >= maxAge || 
-                             existingAnalysis.status === 'processing' || 
-                             existingAnalysis.status === 'pending';
+                             ['processing', 'pending', 'analyzing', 'completed'].includes(existingAnalysis.status);
                              
       if (shouldCreateNew) {
         logger.info(`Creating new analysis for ${owner}/${name} - reason: ${existingAnalysis.status} status or ${Math.round(analysisAge / 1000 / 60)} minutes old`);
@@ -115,39 +143,17 @@ export async function POST(request) {
       maxFileSize: options.maxFileSize || 1024 * 1024, // 1MB
       maxFiles: options.maxFiles || 10000,
       includeTests: options.includeTests !== false,
-      includeDocs: options.includeDocs || true
+      includeDocs: options.includeDocs || true,
+      history: existingAnalysis?.toObject().history || []
     };
 
     const analysis = new RepoAnalysis(analysisData);
     await analysis.save();
 
-    // --- START of Cache Invalidation Logic ---
-    const redisKey = `analysis:status:${owner}:${name}`;
-    try {
-      logger.info(`INVALIDATING CACHE for ${redisKey}`);
-      await redisService.del(redisKey);
-    } catch (error) {
-      logger.error(`Failed to invalidate cache for ${redisKey}:`, error);
-      // Do not block the main operation, just log the error
-    }
-    // --- END of Cache Invalidation Logic ---
+    await invalidateStatusCache(owner, name);
 
     // Start background analysis (don't await - let it run async)
-    performRepositoryAnalysis(analysis._id.toString(), session.user)
-      .catch(error => {
-        logger.error('Background analysis failed:', error);
-        // Mark analysis as failed in database
-        RepoAnalysis.findById(analysis._id)
-          .then(doc => {
-            if (doc) {
-              doc.markAsFailed(error.message, { 
-                stack: error.stack,
-                timestamp: new Date()
-              });
-            }
-          })
-          .catch(err => logger.error('Failed to mark analysis as failed:', err));
-      });
+    startBackgroundAnalysis(analysis._id, session.user);
 
     logger.info(`Started analysis for repository ${owner}/${name}`);
 
@@ -168,12 +174,63 @@ export async function POST(request) {
   }
 }
 
+/**
+ * Invalidate the cached /api/repo/status response for a repository
+ */
+async function invalidateStatusCache(owner, name) {
+  const redisKey = `analysis:status:${owner}:${name}`;
+  try {
+    logger.info(`INVALIDATING CACHE for ${redisKey}`);
+    await redisService.del(redisKey);
+  } catch (error) {
+    logger.error(`Failed to invalidate cache for ${redisKey}:`, error);
+    // Do not block the main operation, just log the error
+  }
+}
+
+/**
+ * Run performRepositoryAnalysis without awaiting it, marking the record failed on error
+ */
+function startBackgroundAnalysis(analysisId, user, options = {}) {
+  performRepositoryAnalysis(analysisId.toString(), user, options)
+    .catch(error => {
+      logger.error('Background analysis failed:', error);
+      // Mark analysis as failed in database
+      RepoAnalysis.findById(analysisId)
+        .then(doc => {
+          if (doc) {
+            doc.markAsFailed(error.message, { 
+              stack: error.stack,
+              timestamp: new Date()
+            });
+          }
+        })
+        .catch(err => logger.error('Failed to mark analysis as failed:', err));
+    });
+}
+
+/**
+ * Head commit of a branch, or null when GitHub cannot be reached
+ */
+async function resolveHeadCommit(user, owner, name, branch) {
+  try {
+    const gitService = new GitIntegrationService(user);
+    await gitService.initialize();
+    const head = await gitService.githubPlugin.getBranchHead(owner, name, branch);
+    return head.sha;
+  } catch (error) {
+    logger.warn(`Could not resolve head commit for ${owner}/${name}@${branch}: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Background analysis function
+ * @param {Object} [options] - { incremental: re-process only files changed since the stored index }
  */
-async function performRepositoryAnalysis(analysisId, user) {
+async function performRepositoryAnalysis(analysisId, user, { incremental = false } = {}) {
   const startTime = Date.now();
-  logger.info(`Starting background analysis: ${analysisId}`);
+  logger.info(`Starting background ${incremental ? 'incremental ' : ''}analysis: ${analysisId}`);
   
   // Initialize Pusher for real-time updates
   const pusherService = new PusherService();
@@ -205,7 +262,7 @@ async function performRepositoryAnalysis(analysisId, user) {
     const gitService = new GitIntegrationService(user);
     await gitService.initialize();
 
-    // Step 1: Get repository structure
+    // Step 1: Get repository structure at the branch head
     logger.info(`Fetching repository structure for ${analysis.fullName}`);
     await pusherService.trigger(channelName, 'analysis-progress', {
       step: 'repo-structure',
@@ -213,38 +270,67 @@ async function performRepositoryAnalysis(analysisId, user) {
       progress: 20
     });
     
-    const repoStructure = await gitService.githubPlugin.getRepositoryContents(
+    const head = await gitService.githubPlugin.getBranchHead(
       analysis.owner,
       analysis.name,
       analysis.branch
     );
+    const repoStructure = await gitService.githubPlugin.getRepositoryTree(
+      analysis.owner,
+      analysis.name,
+      head.sha
+    );
     
-    logger.info(`📁 Repository structure fetched: ${repoStructure?.length || 0} items`);
+    logger.info(`📁 Repository structure fetched: ${repoStructure?.length || 0} items at ${head.sha.substring(0, 7)}`);
     await pusherService.trigger(channelName, 'analysis-progress', {
       step: 'repo-structure-complete',
       message: `Found ${repoStructure?.length || 0} items in repository`,
       progress: 30
     });
 
+    const fileStatusCallback = (filePath, status) => {
+      pusherService.trigger(channelName, 'file-status', {
+        step: 'file-processing',
+        file: filePath,
+        message: `File ${filePath} ${status}`,
+        status: status
+      });
+    };
+
+    const files = selectFilesToIndex(repoStructure, {
+      maxFileSize: analysis.maxFileSize,
+      maxFiles: analysis.maxFiles,
+      includeTests: analysis.includeTests,
+      includeDocs: analysis.includeDocs
+    }, fileStatusCallback);
+
+    // Incremental: only files whose blob SHA differs from the stored index are re-read
+    const previousIndex = analysis.toObject().fileIndex || [];
+    const changes = incremental && previousIndex.length > 0 ? diffFileTree(previousIndex, files) : null;
+    const filesToProcess = changes ? [...changes.added, ...changes.modified] : files;
+
+    if (changes) {
+      logger.info(`🔁 Incremental analysis of ${analysis.fullName}: ${changes.added.length} added, ${changes.modified.length} modified, ${changes.removed.length} removed`);
+    }
+
     // Step 2: Build file index
     logger.info(`Building file index for ${analysis.fullName}`);
     await pusherService.trigger(channelName, 'analysis-progress', {
       step: 'file-indexing',
-      message: 'Building file index and reading code...',
+      message: changes
+        ? `Re-processing ${filesToProcess.length} changed files (${changes.removed.length} removed)...`
+        : 'Building file index and reading code...',
       progress: 40
     });
-    
-    const fileIndex = await buildFileIndex(
+
+    const chunks = [];
+    const processedIndex = await buildFileIndex(
       gitService,
       analysis.owner,
       analysis.name,
-      analysis.branch,
-      {
-        maxFileSize: analysis.maxFileSize,
-        maxFiles: analysis.maxFiles,
-        includeTests: analysis.includeTests,
-        includeDocs: analysis.includeDocs
-      },
+      head.sha,
+      filesToProcess,
+      analysis.maxFileSize,
       // Add progress callback for file processing
       (processed, total) => {
         const fileProgress = 40 + (processed / total) * 30; // 40-70%
@@ -255,19 +341,18 @@ async function performRepositoryAnalysis(analysisId, user) {
         });
       },
       // Add file status callback for individual file updates
-      (filePath, status) => {
-        pusherService.trigger(channelName, 'file-status', {
-          step: 'file-processing',
-          file: filePath,
-          message: `File ${filePath} ${status}`,
-          status: status
-        });
+      fileStatusCallback,
+      // Chunk file contents for the retrieval index
+      (filePath, content) => {
+        chunks.push(...chunkFile(filePath, content));
       }
     );
 
+    const fileIndex = changes ? [...changes.unchanged, ...processedIndex] : processedIndex;
+
     await pusherService.trigger(channelName, 'analysis-progress', {
       step: 'file-index-complete',
-      message: `Processed ${fileIndex.length} files`,
+      message: `Processed ${processedIndex.length} files`,
       progress: 70
     });
 
@@ -289,16 +374,42 @@ async function performRepositoryAnalysis(analysisId, user) {
       progress: 85
     });
     
-    const summaryResult = await generateAISummary(analysis, fileIndex, metrics, user.id);
+    // Small incremental changes keep the existing summary instead of paying for a new one
+    const summaryResult = needsSummaryRefresh(analysis, changes, fileIndex)
+      ? await generateAISummary(analysis, fileIndex, metrics, user.id)
+      : { success: false, skipped: true };
 
     // Log AI summary result
-    if (summaryResult.success) {
+    if (summaryResult.skipped) {
+      logger.info(`⏭️  Keeping existing AI summary for ${analysis.fullName}`);
+    } else if (summaryResult.success) {
       logger.info(`✅ AI summary generated successfully using ${summaryResult.provider}`);
     } else {
       logger.error(`❌ AI summary failed: ${summaryResult.error}`);
     }
 
-    // Step 5: Save results
+    // Step 5: Build retrieval index for repo chat (never fails the analysis)
+    await pusherService.trigger(channelName, 'analysis-progress', {
+      step: 'retrieval-index',
+      message: `Indexing ${chunks.length} code chunks for chat...`,
+      progress: 90
+    });
+
+    analysis.retrievalIndex = await buildRetrievalIndex(analysis, chunks, changes);
+
+    // Insights about removed or modified files are pruned or flagged stale
+    if (changes && analysis.insights?.generatedAt) {
+      const reconciled = reconcileInsights(analysis.toObject().insights, changes);
+      analysis.insights = reconciled.insights;
+      logger.info(`🔁 Insights updated: ${reconciled.removed} removed, ${reconciled.stale} marked stale`);
+      try {
+        await redisService.del(`insights:${analysisId}`);
+      } catch (error) {
+        logger.error(`Failed to invalidate insights cache for ${analysisId}:`, error);
+      }
+    }
+
+    // Step 6: Save results
     await pusherService.trigger(channelName, 'analysis-progress', {
       step: 'saving',
       message: 'Saving analysis results...',
@@ -306,11 +417,21 @@ async function performRepositoryAnalysis(analysisId, user) {
     });
 
     const duration = Date.now() - startTime;
+    const historyEntry = buildHistoryEntry({
+      commitSha: head.sha,
+      mode: changes ? 'incremental' : 'full',
+      changes: changes || { added: fileIndex },
+      metrics,
+      duration
+    }, analysis.history?.[analysis.history.length - 1]);
+
     await analysis.markAsCompleted({
       summary: summaryResult.success ? summaryResult.content : null, // Only save if successful
       metrics,
-      fileIndex: fileIndex.slice(0, 1000), // Limit stored file index
-      duration
+      fileIndex, // Complete index (bounded by maxFiles) - incremental runs diff against every SHA
+      duration,
+      commitSha: head.sha,
+      historyEntry
     });
 
     // --- START of Cache Invalidation on Success ---
@@ -377,41 +498,77 @@ async function performRepositoryAnalysis(analysisId, user) {
 }
 
 /**
- * Build comprehensive file index
+ * Build the chunk index used by repo chat retrieval
+ * Uses embeddings when the user's AI keys support them, BM25 otherwise.
+ * Incremental runs only re-index changed files, and only if a complete index exists.
  */
-async function buildFileIndex(gitService, owner, name, branch, options, progressCallback = null, fileStatusCallback = null) {
-  const fileIndex = [];
+async function buildRetrievalIndex(analysis, chunks, changes = null) {
+  try {
+    const { aiService } = await import('@/lib/ai/AIService.js');
+    const embedder = aiService.aiSdkService || null;
+
+    if (!changes) {
+      return await repoRetrievalIndex.buildIndex(analysis, chunks, { embedder });
+    }
+    if (analysis.retrievalIndex?.status !== 'ready') {
+      return analysis.retrievalIndex;
+    }
+
+    const stalePaths = [...changes.modified, ...changes.removed].map(file => file.path);
+    return await repoRetrievalIndex.updateIndex(analysis, chunks, stalePaths, { embedder });
+  } catch (error) {
+    logger.error(`❌ Failed to build retrieval index for ${analysis.fullName}: ${error.message}`);
+    return { status: 'failed', chunkCount: 0, error: error.message, builtAt: new Date() };
+  }
+}
+
+/**
+ * Whether an incremental run changed enough of the repository to regenerate the AI summary
+ */
+function needsSummaryRefresh(analysis, changes, fileIndex) {
+  if (!changes || !analysis.summary) {
+    return true;
+  }
+  const changed = changes.added.length + changes.modified.length + changes.removed.length;
+  return changed / Math.max(fileIndex.length, 1) >= SUMMARY_REFRESH_RATIO;
+}
+
+/**
+ * Tree entries that should be indexed (size, binary and pattern filters)
+ */
+function selectFilesToIndex(files, options, fileStatusCallback = null) {
   const { maxFileSize, maxFiles, includeTests, includeDocs } = options;
 
-  try {
-    // Get all files recursively
-    const files = await gitService.githubPlugin.getRepositoryContents(owner, name, branch);
-
-    logger.info(`🔍 Starting to process ${files?.length || 0} files from repository structure`);
-
-    const totalFiles = files?.length || 0;
-
-    // Filter files first (skip, size checks, etc.)
-    const filesToProcess = files
-      .slice(0, maxFiles) // Limit total files
-      .filter(file => {
-        // Skip large files
-        if (file.size > maxFileSize) {
-          logger.info(`⏭️  Skipping large file: ${file.path} (${file.size} > ${maxFileSize})`);
-          fileStatusCallback?.(file.path, 'skipped (too large)');
-          return false;
-        }
+  return (files || [])
+    .slice(0, maxFiles) // Limit total files
+    .filter(file => {
+      // Skip large files
+      if (file.size > maxFileSize) {
+        logger.info(`⏭️  Skipping large file: ${file.path} (${file.size} > ${maxFileSize})`);
+        fileStatusCallback?.(file.path, 'skipped (too large)');
+        return false;
+      }
 
-        // Skip binary files and unwanted directories
-        if (shouldSkipFile(file.path, { includeTests, includeDocs })) {
-          logger.info(`⏭️  Skipping file due to skip pattern: ${file.path}`);
-          fileStatusCallback?.(file.path, 'skipped (excluded pattern)');
-          return false;
-        }
+      // Skip binary files and unwanted directories
+      if (shouldSkipFile(file.path, { includeTests, includeDocs })) {
+        logger.info(`⏭️  Skipping file due to skip pattern: ${file.path}`);
+        fileStatusCallback?.(file.path, 'skipped (excluded pattern)');
+        return false;
+      }
 
-        return true;
-      });
+      return true;
+    });
+}
 
+/**
+ * Build comprehensive file index
+ * @param {string} ref - Commit SHA the tree was read at (file contents are fetched at the same commit)
+ * @param {Array} filesToProcess - Tree entries from selectFilesToIndex()
+ */
+async function buildFileIndex(gitService, owner, name, ref, filesToProcess, maxFileSize, progressCallback = null, fileStatusCallback = null, contentCallback = null) {
+  const fileIndex = [];
+
+  try {
     logger.info(`📋 Processing ${filesToProcess.length} files after filtering`);
 
     // Process files in parallel batches (10 at a time to avoid rate limits)
@@ -437,11 +594,12 @@ async function buildFileIndex(gitService, owner, name, branch, options, progress
           if (sizeOk && isText) {
             try {
               const content = await gitService.githubPlugin.getFileContent(
-                owner, name, file.path, branch
+                owner, name, file.path, ref
               );
 
               if (content) {
                 lines = countLines(content);
+                contentCallback?.(file.path, content);
                 logger.info(`✅ Processed ${file.path}: ${lines} lines`);
                 fileStatusCallback?.(file.path, `processed (${lines} lines)`);
               } else {
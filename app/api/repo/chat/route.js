@@ -11,6 +11,8 @@ import RepoChatSession from '@/lib/database/models/RepoChatSession.js';
 import { connectMongoose } from '@/lib/database/mongodb.js';
 import logger from '@/lib/utils/logger.js';
 import redisService from '@/lib/utils/redis.js';
+import { repoRetrievalIndex } from '@/lib/ai/retrieval/RepoRetrievalIndex.js';
+import { formatRetrievedContext, resolveCitations } from '@/lib/ai/retrieval/textIndex.js';
 
 /**
  * POST /api/repo/chat
@@ -270,8 +272,11 @@ async function generateAIResponse(userMessage, analysis, chatSession, userId) {
       }
     }
 
+    // Retrieve the code chunks most relevant to the question
+    const retrieved = await retrieveRelevantCode(analysis, userMessage, aiService);
+
     // Prepare repository context
-    const repoContext = buildRepositoryContext(analysis, userMessage);
+    const repoContext = buildRepositoryContext(analysis, userMessage, retrieved);
     
     // Get recent conversation context (reduced to save memory)
     const conversationContext = chatSession.getContext(5);
@@ -300,7 +305,7 @@ async function generateAIResponse(userMessage, analysis, chatSession, userId) {
     }, chatSession.userId.toString()); // Enable tools
 
     // Extract citations from response (if AI includes file references)
-    const citations = extractCitations(response.content || response.text, analysis);
+    const citations = extractCitations(response.content || response.text, analysis, retrieved);
 
     // Handle tool executions - process ALL steps, not just final toolCalls
     let toolResults = [];
@@ -514,10 +519,24 @@ async function generateAIResponse(userMessage, analysis, chatSession, userId) {
   }
 }
 
+/**
+ * Top-k chunks from the analysis retrieval index (empty when it was not built)
+ */
+async function retrieveRelevantCode(analysis, userMessage, aiService) {
+  try {
+    return await repoRetrievalIndex.search(analysis, userMessage, {
+      embedder: aiService.aiSdkService || null
+    });
+  } catch (error) {
+    logger.warn(`Retrieval failed for ${analysis.fullName}: ${error.message}`);
+    return [];
+  }
+}
+
 /**
  * Build repository context for AI
  */
-function buildRepositoryContext(analysis, userMessage) {
+function buildRepositoryContext(analysis, userMessage, retrieved = []) {
   const hasMetrics = analysis.metrics && analysis.metrics.fileCount > 0;
   const hasFileIndex = analysis.fileIndex && analysis.fileIndex.length > 0;
   
@@ -549,7 +568,8 @@ function buildRepositoryContext(analysis, userMessage) {
       hasFileIndex,
       totalIndexedFiles: analysis.fileIndex?.length || 0,
       analysisComplete: analysis.status === 'completed'
-    }
+    },
+    relevantCode: retrieved
   };
 
   return context;
@@ -667,6 +687,8 @@ Note: Git operations will be performed on the repository "${repoContext.reposito
 
 ${contextSection}
 
+${formatRetrievedContext(repoContext.relevantCode)}
+
 ${conversationContext.messages.length > 0 ? `
 CONVERSATION HISTORY:
 ${conversationContext.messages.slice(-5).map(msg => `${msg.role}: ${msg.content}`).join('\n')}
@@ -688,9 +710,14 @@ If analysis data is missing or limited, explain what information is available an
 
 /**
  * Extract file citations from AI response
+ * Exact path#Lstart-Lend anchors from retrieved chunks come first, then file mentions
  */
-function extractCitations(content, analysis) {
-  const citations = [];
+function extractCitations(content, analysis, retrieved = []) {
+  if (!content) {
+    return [];
+  }
+
+  const citations = resolveCitations(content, retrieved);
   
   // Look for file path patterns in the response
   const filePathRegex = /(?:^|[\s])([a-zA-Z0-9._/-]+\.(js|jsx|ts|tsx|py|java|go|rs|cpp|c|cs|php|rb|swift|kt|html|css|scss|json|yaml|yml|md|txt|sh))/gm;
@@ -11,6 +11,8 @@ import { connectMongoose } from '@/lib/database/mongodb.js';
 import logger from '@/lib/utils/logger.js';
 import { streamText, stepCountIs } from 'ai';
 import { tools } from '@/lib/ai/tools/index.js';
+import { repoRetrievalIndex } from '@/lib/ai/retrieval/RepoRetrievalIndex.js';
+import { formatRetrievedContext, resolveCitations } from '@/lib/ai/retrieval/textIndex.js';
 
 export const maxDuration = 30;
 export const runtime = 'nodejs';
@@ -104,8 +106,18 @@ export async function POST(request) {
       toolExecutor.setWorkingBranch(chatSession.metadata.workingBranch);
     }
 
+    // Retrieve the code chunks most relevant to the question
+    let retrieved = [];
+    try {
+      retrieved = await repoRetrievalIndex.search(analysis, message, {
+        embedder: aiService.aiSdkService || null
+      });
+    } catch (error) {
+      logger.warn(`Retrieval failed for ${analysis.fullName}: ${error.message}`);
+    }
+
     // Prepare prompt
-    const repoContext = buildRepositoryContext(analysis);
+    const repoContext = buildRepositoryContext(analysis, retrieved);
     const conversationContext = chatSession.getContext(5);
     const workingBranch = toolExecutor.getCurrentWorkingBranch();
     const systemPrompt = buildSystemPrompt(repoContext, workingBranch, agent);
@@ -149,6 +161,7 @@ export async function POST(request) {
         try {
           // Add AI message to chat session
           const aiMessage = chatSession.addMessage('assistant', text || 'Operation completed', {
+            citations: resolveCitations(text, retrieved),
             toolResults: toolResults || [],
             usage,
             steps: steps?.length || 0
@@ -176,7 +189,12 @@ export async function POST(request) {
     });
 
     // Return AI SDK stream as UI Message Stream (like recruiter-ai)
-    return result.toUIMessageStreamResponse();
+    return result.toUIMessageStreamResponse({
+      // Retrieved chunks ride on the start chunk so the client can resolve path#L anchors
+      messageMetadata: ({ part }) => (part.type === 'start' ? {
+        retrieved: retrieved.map(({ path, startLine, endLine, text, score }) => ({ path, startLine, endLine, text, score }))
+      } : undefined)
+    });
 
   } catch (error) {
     logger.error('Repository chat stream error:', error);
@@ -190,7 +208,7 @@ export async function POST(request) {
 /**
  * Build repository context
  */
-function buildRepositoryContext(analysis) {
+function buildRepositoryContext(analysis, retrieved = []) {
   return {
     repository: {
       name: analysis.fullName,
@@ -212,7 +230,8 @@ function buildRepositoryContext(analysis) {
         path: f.path,
         language: f.language,
         lines: f.lines
-      })) : []
+      })) : [],
+    relevantCode: retrieved
   };
 }
 
@@ -272,6 +291,11 @@ function buildSystemPrompt(repoContext, workingBranch = null, agent = null) {
   prompt += repoContext.structure.map(f => `- ${f.path} (${f.language}, ${f.lines} lines)`).join('\n');
   prompt += `\n\n`;
 
+  // Add retrieved code with citable line ranges
+  if (repoContext.relevantCode?.length > 0) {
+    prompt += `# ${formatRetrievedContext(repoContext.relevantCode)}\n\n`;
+  }
+
   // Add tool usage rules
   prompt += `# AVAILABLE TOOLS\n`;
   prompt += `You have access to tools for reading files, creating/updating files, managing branches, and making commits.\n\n`;
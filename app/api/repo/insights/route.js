@@ -10,6 +10,7 @@ import RepoAnalysis from '@/lib/database/models/RepoAnalysis.js';
 import { connectMongoose } from '@/lib/database/mongodb.js';
 import logger from '@/lib/utils/logger.js';
 import { redisService } from '@/lib/utils/redis.js';
+import { calculateInsightsSummary } from '@/lib/utils/repoAnalysisDiff.js';
 
 /**
  * POST /api/repo/insights
@@ -703,36 +704,3 @@ function mergeAIInsights(insights, aiInsights) {
     }
   });
 }
-
-/**
- * Calculate insights summary
- */
-function calculateInsightsSummary(insights) {
-  let critical = 0;
-  let warnings = 0;
-  let suggestions = 0;
-
-  Object.values(insights.categories).forEach(category => {
-    category.forEach(insight => {
-      switch (insight.type) {
-        case 'bug':
-          critical++;
-          break;
-        case 'warning':
-          warnings++;
-          break;
-        case 'suggestion':
-        case 'info':
-          suggestions++;
-          break;
-      }
-    });
-  });
-
-  return {
-    total: critical + warnings + suggestions,
-    critical,
-    warnings,
-    suggestions
-  };
-}
\ No newline at end of file
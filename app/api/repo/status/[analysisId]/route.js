@@ -77,11 +77,13 @@ export async function GET(request, { params }) {
         name: analysis.name,
         fullName: analysis.fullName,
         branch: analysis.branch,
+        commitSha: analysis.commitSha || null,
         status: analysis.status,
         // Only include complete analysis results if status is 'completed'
         summary: isCompleted ? analysis.summary : null,
         metrics: isCompleted ? analysis.metrics : null,
         fileIndex: isCompleted ? analysis.fileIndex : null,
+        history: analysis.history || [],
         analyzedAt: analysis.analyzedAt,
         duration: isCompleted ? analysis.duration : null,
         error: analysis.error,
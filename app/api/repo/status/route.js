@@ -110,10 +110,12 @@ export async function GET(request) {
         name: analysis.name,
         fullName: analysis.fullName,
         branch: analysis.branch,
+        commitSha: analysis.commitSha || null,
         status: analysis.status,
         summary: isCompleted ? analysis.summary : null,
         metrics: isCompleted ? analysis.metrics : null,
         fileIndex: isCompleted ? analysis.fileIndex : null,
+        history: analysis.history || [],
         analyzedAt: analysis.analyzedAt,
         duration: isCompleted ? analysis.duration : null,
         error: analysis.error,
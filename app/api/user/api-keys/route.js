@@ -3,8 +3,25 @@ import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../../../lib/auth/config.js';
 import { validateSessionAndGetUser } from '../../../../lib/utils/userLookup.js';
 import { ApiKeyValidator } from '../../../../lib/ai/AIService.js';
+import { EndpointGuard } from '../../../../lib/ai/utils/EndpointGuard.js';
 import logger from '@/lib/utils/logger.js';
 
+const PROVIDERS = ['openai', 'gemini', 'anthropic', 'openaiCompatible'];
+
+const maskKey = (key) => key ? key.substring(0, 8) + '...' + key.slice(-4) : null;
+
+const ENDPOINT_NOT_ALLOWED = 'This endpoint address is not allowed. Ask an administrator to allow-list it.';
+
+/**
+ * Availability flags for every provider (hasOpenai, hasGemini, hasAnthropic, hasOpenaiCompatible)
+ */
+const providerFlags = (apiKeys) => ({
+  hasOpenai: !!apiKeys.openai,
+  hasGemini: !!apiKeys.gemini,
+  hasAnthropic: !!apiKeys.anthropic,
+  hasOpenaiCompatible: !!apiKeys.openaiCompatible?.baseUrl
+});
+
 /**
  * GET /api/user/api-keys - Get user's API keys (returns masked versions for security)
  * Query parameter: ?includeValues=true to get actual values
@@ -31,15 +48,15 @@ export async function GET(request) {
       result = {
         openai: apiKeys.openai || '',
         gemini: apiKeys.gemini || '',
-        hasOpenai: !!apiKeys.openai,
-        hasGemini: !!apiKeys.gemini,
+        anthropic: apiKeys.anthropic || '',
+        openaiCompatible: apiKeys.openaiCompatible || null,
+        ...providerFlags(apiKeys),
         updatedAt: apiKeys.updatedAt
       };
     } else {
       // Return only boolean flags for security
       result = {
-        hasOpenai: !!apiKeys.openai,
-        hasGemini: !!apiKeys.gemini,
+        ...providerFlags(apiKeys),
         updatedAt: apiKeys.updatedAt
       };
     }
@@ -80,17 +97,16 @@ export async function POST(request) {
     }
 
     // Validate that at least one key is provided
-    if (!apiKeys.openai && !apiKeys.gemini) {
+    if (!ApiKeyValidator.hasAnyKey(apiKeys)) {
       return NextResponse.json(
-        { error: 'At least one API key (OpenAI or Gemini) must be provided' },
+        { error: 'At least one API key (OpenAI, Gemini, Anthropic) or an OpenAI-compatible endpoint must be provided' },
         { status: 400 }
       );
     }
 
     // Validate API key formats using our validator
     logger.info('Validating API keys:', { 
-      hasOpenai: !!apiKeys.openai, 
-      hasGemini: !!apiKeys.gemini,
+      ...providerFlags(apiKeys),
       openaiPrefix: apiKeys.openai?.substring(0, 5),
       geminiPrefix: apiKeys.gemini?.substring(0, 5)
     });
@@ -106,8 +122,12 @@ export async function POST(request) {
       );
     }
 
+    if (apiKeys.openaiCompatible?.baseUrl && !(await endpointAllowed(apiKeys.openaiCompatible.baseUrl))) {
+      return NextResponse.json({ error: ENDPOINT_NOT_ALLOWED }, { status: 400 });
+    }
+
     // Set API keys
-    logger.info('📝 About to call user.setApiKeys with:', { hasOpenai: !!apiKeys.openai, hasGemini: !!apiKeys.gemini });
+    logger.info('📝 About to call user.setApiKeys with:', providerFlags(apiKeys));
     user.setApiKeys(apiKeys);
         logger.info('💾 About to save user...');
     await user.save();
@@ -123,10 +143,17 @@ export async function POST(request) {
     // Return success with masked keys
     const savedKeys = user.getApiKeys();
     const maskedKeys = {
-      openai: savedKeys.openai ? savedKeys.openai.substring(0, 8) + '...' + savedKeys.openai.slice(-4) : null,
-      gemini: savedKeys.gemini ? savedKeys.gemini.substring(0, 8) + '...' + savedKeys.gemini.slice(-4) : null,
-      hasOpenai: !!savedKeys.openai,
-      hasGemini: !!savedKeys.gemini,
+      openai: maskKey(savedKeys.openai),
+      gemini: maskKey(savedKeys.gemini),
+      anthropic: maskKey(savedKeys.anthropic),
+      openaiCompatible: savedKeys.openaiCompatible ? {
+        baseUrl: savedKeys.openaiCompatible.baseUrl,
+        model: savedKeys.openaiCompatible.model,
+        apiKey: maskKey(savedKeys.openaiCompatible.apiKey),
+        exclusive: savedKeys.openaiCompatible.exclusive,
+        pricePerMillionTokens: savedKeys.openaiCompatible.pricePerMillionTokens
+      } : null,
+      ...providerFlags(savedKeys),
       updatedAt: savedKeys.updatedAt
     };
 
@@ -147,6 +174,7 @@ export async function POST(request) {
 
 /**
  * PATCH /api/user/api-keys - Update individual API key
+ * For `openaiCompatible`, `apiKey` is the endpoint config: { baseUrl, model, apiKey?, exclusive?, pricePerMillionTokens? }
  */
 export async function PATCH(request) {
   try {
@@ -160,9 +188,9 @@ export async function PATCH(request) {
     const { provider, apiKey, action } = await request.json();
     
     // Validate provider
-    if (!provider || !['openai', 'gemini'].includes(provider)) {
+    if (!provider || !PROVIDERS.includes(provider)) {
       return NextResponse.json(
-        { error: 'Invalid provider. Must be "openai" or "gemini"' },
+        { error: `Invalid provider. Must be one of: ${PROVIDERS.join(', ')}` },
         { status: 400 }
       );
     }
@@ -170,17 +198,9 @@ export async function PATCH(request) {
     // Handle different actions
     if (action === 'clear') {
       // Clear specific provider key
-      const currentKeys = user.getApiKeys();
-      const updatedKeys = { ...currentKeys };
-      updatedKeys[provider] = null;
-      
-      // Remove null values for setApiKeys
-      const keysToSave = {};
-      if (updatedKeys.openai) keysToSave.openai = updatedKeys.openai;
-      if (updatedKeys.gemini) keysToSave.gemini = updatedKeys.gemini;
-      
-      user.setApiKeys(keysToSave);
+      user.clearApiKey(provider);
       await user.save();
+      const keysToSave = user.getApiKeys();
 
       // Reinitialize AI service
       const { AIService } = await import('../../../../lib/ai/AIService.js');
@@ -195,15 +215,19 @@ export async function PATCH(request) {
       });
     } else {
       // Save/update API key
-      if (!apiKey || !apiKey.trim()) {
+      const value = provider === 'openaiCompatible'
+        ? normalizeEndpointConfig(apiKey)
+        : (typeof apiKey === 'string' ? apiKey.trim() : '');
+
+      if (!value) {
         return NextResponse.json(
-          { error: 'API key is required' },
+          { error: provider === 'openaiCompatible' ? 'Endpoint base URL and model are required' : 'API key is required' },
           { status: 400 }
         );
       }
 
       // Validate API key format
-      const keysToValidate = { [provider]: apiKey.trim() };
+      const keysToValidate = { [provider]: value };
       const validation = ApiKeyValidator.validateAll(keysToValidate);
       
       if (!validation.valid) {
@@ -213,21 +237,14 @@ export async function PATCH(request) {
         );
       }
 
-      // Get current keys and update specific provider
-      const currentKeys = user.getApiKeys();
-      const updatedKeys = {
-        openai: currentKeys.openai || '',
-        gemini: currentKeys.gemini || '',
-        [provider]: apiKey.trim()
-      };
-
-      // Remove empty values
-      const keysToSave = {};
-      if (updatedKeys.openai) keysToSave.openai = updatedKeys.openai;
-      if (updatedKeys.gemini) keysToSave.gemini = updatedKeys.gemini;
+      if (provider === 'openaiCompatible' && !(await endpointAllowed(value.baseUrl))) {
+        return NextResponse.json({ error: ENDPOINT_NOT_ALLOWED }, { status: 400 });
+      }
 
-      user.setApiKeys(keysToSave);
+      // Update only this provider - setApiKeys leaves the others untouched
+      user.setApiKeys({ [provider]: value });
       await user.save();
+      const keysToSave = user.getApiKeys();
 
       // Reinitialize AI service
       const { AIService } = await import('../../../../lib/ai/AIService.js');
@@ -277,4 +294,34 @@ export async function DELETE() {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
+
+/**
+ * The server connects to saved endpoints, so internal addresses need an admin allow-list entry
+ */
+async function endpointAllowed(baseUrl) {
+  const guard = await EndpointGuard.check(baseUrl);
+  if (!guard.allowed) {
+    logger.warn(`⚠️ [API KEYS] Refused OpenAI-compatible endpoint ${baseUrl}: ${guard.reason}`);
+  }
+  return guard.allowed;
+}
+
+/**
+ * Trim an OpenAI-compatible endpoint config; returns null when base URL or model is missing
+ */
+function normalizeEndpointConfig(config) {
+  if (!config || typeof config !== 'object' || !config.baseUrl?.trim() || !config.model?.trim()) {
+    return null;
+  }
+  return {
+    baseUrl: config.baseUrl.trim().replace(/\/+$/, ''),
+    model: config.model.trim(),
+    apiKey: config.apiKey?.trim() || null,
+    exclusive: !!config.exclusive,
+    // Empty means free; anything else is checked by ApiKeyValidator
+    pricePerMillionTokens: config.pricePerMillionTokens === undefined || config.pricePerMillionTokens === null || config.pricePerMillionTokens === ''
+      ? null
+      : Number(config.pricePerMillionTokens)
+  };
+}
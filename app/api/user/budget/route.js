@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../lib/auth/config.js';
+import User from '../../../../lib/database/models/User.js';
+import { connectMongoose } from '../../../../lib/database/mongodb.js';
+import { BudgetManager, BUDGET_PERIODS } from '../../../../lib/ai/services/BudgetManager.js';
+
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.email) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    await connectMongoose();
+
+    const user = await User.findByEmail(session.user.email);
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    const status = await new BudgetManager().getBudgetStatus({ userId: user._id.toString() });
+    const userScope = status.scopes.find(scope => scope.scope === 'user') || null;
+
+    return NextResponse.json({
+      budget: user.budget,
+      spent: userScope?.spent || null,
+      status: userScope?.status || 'ok',
+      remaining: userScope?.remaining || { cost: null, tokens: null },
+      periodStart: userScope?.periodStart || null
+    });
+
+  } catch (error) {
+    console.error('Error fetching user budget:', error);
+    return NextResponse.json({
+      error: 'Failed to fetch budget'
+    }, { status: 500 });
+  }
+}
+
+export async function PATCH(request) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.email) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { period = 'monthly', soft, hard } = await request.json();
+
+    if (!BUDGET_PERIODS.includes(period)) {
+      return NextResponse.json({ error: `period must be one of: ${BUDGET_PERIODS.join(', ')}` }, { status: 400 });
+    }
+
+    let limits;
+    try {
+      limits = BudgetManager.normalizeLimits({ soft, hard });
+    } catch (validationError) {
+      return NextResponse.json({ error: validationError.message }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const user = await User.findByEmail(session.user.email);
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    user.budget = { period, ...limits };
+    await user.save();
+
+    return NextResponse.json({
+      message: 'Budget updated successfully',
+      budget: user.budget
+    });
+
+  } catch (error) {
+    console.error('Error updating user budget:', error);
+    return NextResponse.json({
+      error: 'Failed to update budget'
+    }, { status: 500 });
+  }
+}
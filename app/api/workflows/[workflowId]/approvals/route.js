@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import { getOrchestrator } from '../../../../../lib/bmad/BmadOrchestrator.js';
+import { APPROVAL_ELICITATION_TYPE } from '../../../../../lib/bmad/services/ApprovalService.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+const ACTIONS = {
+  approve: 'approve',
+  request_changes: 'request changes',
+  reject: 'reject'
+};
+
+/**
+ * GET /api/workflows/[workflowId]/approvals
+ * Approval policy, the pending approval (if any) and every request/decision, newest first
+ */
+export async function GET(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId })
+      .select('workflowId userId approvalPolicy approvals elicitationDetails')
+      .populate('approvals.reviewedBy', 'name email')
+      .lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const approvals = [...(workflow.approvals || [])].reverse();
+
+    return NextResponse.json({
+      success: true,
+      workflowId,
+      policy: workflow.approvalPolicy || { requiresApproval: false },
+      pending: approvals.find(approval => approval.status === 'pending') || null,
+      approvals
+    });
+  } catch (error) {
+    logger.error(`Error fetching approvals for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch approvals', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/workflows/[workflowId]/approvals
+ * Decide the pending approval and resume the workflow
+ * Body: { action: 'approve' | 'request_changes' | 'reject', comments?: string }
+ */
+export async function POST(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const { action, comments = '' } = await request.json();
+    if (!ACTIONS[action]) {
+      return NextResponse.json(
+        { success: false, error: `action must be one of: ${Object.keys(ACTIONS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+    if (action === 'request_changes' && !comments.trim()) {
+      return NextResponse.json(
+        { success: false, error: 'comments are required when requesting changes' },
+        { status: 400 }
+      );
+    }
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId elicitationDetails').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+    if (workflow.elicitationDetails?.type !== APPROVAL_ELICITATION_TYPE) {
+      return NextResponse.json({ success: false, error: 'Workflow is not waiting for an approval' }, { status: 409 });
+    }
+
+    const orchestrator = await getOrchestrator();
+    const result = await orchestrator.resumeWorkflowWithElicitation(
+      workflowId,
+      { action: ACTIONS[action], comments },
+      workflow.elicitationDetails.agentId,
+      user._id.toString()
+    );
+
+    logger.info(`📝 [APPROVAL] ${action} on ${workflowId} by ${user._id}`);
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`Error deciding approval for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to record approval decision', details: error.message },
+      { status: 500 }
+    );
+  }
+}
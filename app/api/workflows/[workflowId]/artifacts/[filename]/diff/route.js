@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../../../lib/database/models/Workflow.js';
+import ArtifactManager from '../../../../../../../lib/bmad/services/ArtifactManager.js';
+import logger from '../../../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/artifacts/[filename]/diff
+ * Side-by-side diff between two versions
+ * Query: to (default latest), from (default the version before `to`)
+ */
+export async function GET(request, { params }) {
+  const { workflowId, filename } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const invalid = ['from', 'to'].find(key => searchParams.has(key) && !/^\d+$/.test(searchParams.get(key)));
+    if (invalid) {
+      return NextResponse.json({ success: false, error: `${invalid} must be a positive version number` }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const artifactManager = new ArtifactManager();
+    const latest = (await artifactManager.listVersions(workflowId, filename))[0]?.version;
+    const to = Number(searchParams.get('to') || latest);
+    const from = Number(searchParams.get('from') || to - 1);
+
+    const diff = to && from ? await artifactManager.diffVersions(workflowId, filename, from, to) : null;
+    if (!diff) {
+      return NextResponse.json(
+        { success: false, error: `Cannot diff ${filename} v${from || '?'} against v${to || '?'} - version not found` },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true, workflowId, ...diff });
+  } catch (error) {
+    logger.error(`Error diffing ${filename} in workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to diff artifact versions', details: error.message },
+      { status: 500 }
+    );
+  }
+}
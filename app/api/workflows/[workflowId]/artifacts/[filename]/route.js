@@ -1,10 +1,16 @@
 /**
  * API endpoint for downloading individual workflow artifacts
  * GET: Download specific artifact file
+ * PUT: Save edited content as a new version
  */
 
 import { NextResponse } from 'next/server';
 import { BmadOrchestrator } from '../../../../../../lib/bmad/index.js';
+import { authenticateRoute } from '../../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../../lib/database/models/Workflow.js';
+import ArtifactManager from '../../../../../../lib/bmad/services/ArtifactManager.js';
+import WorkflowLifecycleManager from '../../../../../../lib/bmad/services/WorkflowLifecycleManager.js';
 import logger from '../../../../../../lib/utils/logger.js';
 const path = require('path');
 
@@ -72,4 +78,44 @@ export async function GET(request, { params }) {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
+
+/**
+ * PUT /api/workflows/[workflowId]/artifacts/[filename]
+ * Body: { content: string, reason?: string } - recorded as a user-authored version
+ */
+export async function PUT(request, { params }) {
+  const { workflowId, filename } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const { content, reason } = await request.json();
+    if (typeof content !== 'string') {
+      return NextResponse.json({ success: false, error: 'content must be a string' }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const artifact = await new ArtifactManager().updateArtifact(workflowId, filename, content, new WorkflowLifecycleManager(), {
+      author: { type: 'user', id: user._id.toString(), name: user.profile?.name || user.email },
+      reason: reason?.trim() || 'edited'
+    });
+
+    return NextResponse.json({ success: true, workflowId, artifactName: filename, version: artifact.metadata.version });
+  } catch (error) {
+    if (/not found/.test(error.message)) {
+      return NextResponse.json({ success: false, error: error.message }, { status: 404 });
+    }
+    logger.error(`Error saving ${filename} in workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to save artifact', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../../../../../lib/database/models/Workflow.js';
+import ArtifactManager from '../../../../../../../../../lib/bmad/services/ArtifactManager.js';
+import WorkflowLifecycleManager from '../../../../../../../../../lib/bmad/services/WorkflowLifecycleManager.js';
+import logger from '../../../../../../../../../lib/utils/logger.js';
+
+/**
+ * POST /api/workflows/[workflowId]/artifacts/[filename]/versions/[version]/restore
+ * Make this version current again; the restore is recorded as a new version
+ */
+export async function POST(request, { params }) {
+  const { workflowId, filename, version } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    if (!/^\d+$/.test(version)) {
+      return NextResponse.json({ success: false, error: 'Version must be a positive number' }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const artifactManager = new ArtifactManager();
+    if (!await artifactManager.getVersion(workflowId, filename, version)) {
+      return NextResponse.json({ success: false, error: `Version ${version} of ${filename} not found` }, { status: 404 });
+    }
+
+    const artifact = await artifactManager.restoreVersion(
+      workflowId,
+      filename,
+      version,
+      new WorkflowLifecycleManager(),
+      { type: 'user', id: user._id.toString(), name: user.profile?.name || user.email }
+    );
+
+    return NextResponse.json({
+      success: true,
+      workflowId,
+      artifactName: filename,
+      restoredFrom: Number(version),
+      version: artifact.metadata.version
+    });
+  } catch (error) {
+    logger.error(`Error restoring ${filename} to version ${version} in workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to restore artifact version', details: error.message },
+      { status: 500 }
+    );
+  }
+}
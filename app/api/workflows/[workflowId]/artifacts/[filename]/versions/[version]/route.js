@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../../../../lib/database/models/Workflow.js';
+import ArtifactManager from '../../../../../../../../lib/bmad/services/ArtifactManager.js';
+import logger from '../../../../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/artifacts/[filename]/versions/[version]
+ * One version of the artifact with its content
+ */
+export async function GET(request, { params }) {
+  const { workflowId, filename, version } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    if (!/^\d+$/.test(version)) {
+      return NextResponse.json({ success: false, error: 'Version must be a positive number' }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const artifactVersion = await new ArtifactManager().getVersion(workflowId, filename, version);
+    if (!artifactVersion) {
+      return NextResponse.json({ success: false, error: `Version ${version} of ${filename} not found` }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, workflowId, version: artifactVersion });
+  } catch (error) {
+    logger.error(`Error fetching version ${version} of ${filename} in workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch artifact version', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../../../lib/database/models/Workflow.js';
+import ArtifactManager from '../../../../../../../lib/bmad/services/ArtifactManager.js';
+import logger from '../../../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/artifacts/[filename]/versions
+ * Every saved version of the artifact, newest first (without content)
+ */
+export async function GET(request, { params }) {
+  const { workflowId, filename } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const versions = await new ArtifactManager().listVersions(workflowId, filename);
+
+    return NextResponse.json({
+      success: true,
+      workflowId,
+      artifactName: filename,
+      currentVersion: versions[0]?.version ?? null,
+      versions
+    });
+  } catch (error) {
+    logger.error(`Error listing versions of ${filename} in workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to list artifact versions', details: error.message },
+      { status: 500 }
+    );
+  }
+}
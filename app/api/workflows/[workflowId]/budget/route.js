@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import { BudgetManager } from '../../../../../lib/ai/services/BudgetManager.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/budget
+ * Caps, spend and remaining budget for every scope that applies to this workflow
+ */
+export async function GET(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const status = await new BudgetManager().getBudgetStatus({ userId: user._id.toString(), workflowId });
+
+    return NextResponse.json({ success: true, workflowId, ...status });
+  } catch (error) {
+    logger.error(`Error fetching budget for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch workflow budget', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PATCH /api/workflows/[workflowId]/budget
+ * Body: { soft: { cost, tokens }, hard: { cost, tokens } } - empty or 0 removes a cap
+ */
+export async function PATCH(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const { soft, hard } = await request.json();
+
+    let limits;
+    try {
+      limits = BudgetManager.normalizeLimits({ soft, hard });
+    } catch (validationError) {
+      return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    // Raising a cap re-arms the soft cap prompt for this workflow
+    const result = await Workflow.updateOne(
+      { workflowId, userId: user._id },
+      { $set: { 'budget.soft': limits.soft, 'budget.hard': limits.hard, 'budget.acknowledged': [] } }
+    );
+
+    if (result.matchedCount === 0) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    logger.info(`💰 [BUDGET] Updated caps for workflow ${workflowId}`);
+    const status = await new BudgetManager().getBudgetStatus({ userId: user._id.toString(), workflowId });
+
+    return NextResponse.json({ success: true, workflowId, ...status });
+  } catch (error) {
+    logger.error(`Error updating budget for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to update workflow budget', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../../lib/utils/routeAuth.js';
+import { connectMongoose, mongoose } from '../../../../../../lib/database/mongodb.js';
+import ChecklistRun from '../../../../../../lib/database/models/ChecklistRun.js';
+import ChecklistRunService from '../../../../../../lib/bmad/services/ChecklistRunService.js';
+import logger from '../../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/checklists/[runId]
+ * One checklist run with per-item results, evidence and overrides
+ */
+export async function GET(request, { params }) {
+  const { workflowId, runId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const run = await findRun(workflowId, runId, user._id);
+    if (!run) {
+      return NextResponse.json({ success: false, error: 'Checklist run not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, workflowId, run });
+  } catch (error) {
+    logger.error(`Error fetching checklist run ${runId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch checklist run', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PATCH /api/workflows/[workflowId]/checklists/[runId]
+ * Override item results - a gated workflow step continues on resume once the run passes
+ * Body: { itemId, result, note } or { overrides: [{ itemId, result, note }] }
+ */
+export async function PATCH(request, { params }) {
+  const { workflowId, runId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const body = await request.json();
+    const overrides = Array.isArray(body.overrides) ? body.overrides : [body];
+    if (overrides.length === 0 || overrides.some(override => !override?.itemId || !override?.result)) {
+      return NextResponse.json(
+        { success: false, error: 'Each override needs an itemId and a result' },
+        { status: 400 }
+      );
+    }
+
+    const run = await findRun(workflowId, runId, user._id);
+    if (!run) {
+      return NextResponse.json({ success: false, error: 'Checklist run not found' }, { status: 404 });
+    }
+
+    const service = new ChecklistRunService();
+    try {
+      for (const { itemId, result, note } of overrides) {
+        await service.overrideItem(run, itemId, { result, note, userId: user._id.toString() });
+      }
+    } catch (overrideError) {
+      return NextResponse.json({ success: false, error: overrideError.message }, { status: 400 });
+    }
+
+    return NextResponse.json({ success: true, workflowId, run });
+  } catch (error) {
+    logger.error(`Error overriding checklist run ${runId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to update checklist run', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+async function findRun(workflowId, runId, userId) {
+  if (!mongoose.isValidObjectId(runId)) {
+    return null;
+  }
+
+  await connectMongoose();
+  return ChecklistRun.findOne({ _id: runId, workflowId, userId });
+}
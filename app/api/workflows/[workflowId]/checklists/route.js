@@ -0,0 +1,104 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import ChecklistRun from '../../../../../lib/database/models/ChecklistRun.js';
+import ChecklistRunService, { resolveArtifactContent } from '../../../../../lib/bmad/services/ChecklistRunService.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/checklists
+ * Checklist runs stored against this workflow, newest first
+ * Query: checklist, artifact, status
+ */
+export async function GET(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    await connectMongoose();
+
+    const { searchParams } = new URL(request.url);
+    const runs = await ChecklistRun.findWorkflowRuns(workflowId, {
+      userId: user._id,
+      checklistName: searchParams.get('checklist'),
+      artifactName: searchParams.get('artifact'),
+      status: searchParams.get('status')
+    });
+
+    return NextResponse.json({ success: true, workflowId, runs, count: runs.length });
+  } catch (error) {
+    logger.error(`Error fetching checklist runs for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch checklist runs', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/workflows/[workflowId]/checklists
+ * Run a checklist against a workflow artifact (or supplied content)
+ * Body: { checklist: 'story-dod-checklist', artifactName?, content? }
+ */
+export async function POST(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const { checklist, artifactName, content } = await request.json();
+    if (!checklist || (!artifactName && !content)) {
+      return NextResponse.json(
+        { success: false, error: 'checklist and either artifactName or content are required' },
+        { status: 400 }
+      );
+    }
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('workflowId userId context').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const targetContent = content ?? resolveArtifactContent(workflow, artifactName);
+    if (!targetContent) {
+      return NextResponse.json(
+        { success: false, error: `Artifact ${artifactName} not found in workflow` },
+        { status: 404 }
+      );
+    }
+
+    const { aiServiceV2 } = await import('../../../../../lib/ai/AIServiceV2.js');
+    if (!aiServiceV2.initialized) {
+      await aiServiceV2.initialize({ userId: user._id.toString() });
+    }
+
+    let run;
+    try {
+      run = await new ChecklistRunService({ aiService: aiServiceV2 }).runChecklist({
+        checklistName: checklist,
+        content: targetContent,
+        artifactName,
+        workflow,
+        trigger: 'manual',
+        createdBy: user._id.toString()
+      });
+    } catch (runError) {
+      return NextResponse.json(
+        { success: false, error: 'Checklist could not be run', details: runError.message },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({ success: true, workflowId, run }, { status: 201 });
+  } catch (error) {
+    logger.error(`Error running checklist for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to run checklist', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import { getOrchestrator } from '../../../../../lib/bmad/BmadOrchestrator.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/checkpoints
+ * Checkpoints a fork can branch from, newest first (without the saved state)
+ */
+export async function GET(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const orchestrator = await getOrchestrator();
+    const checkpoints = await orchestrator.getWorkflowCheckpoints(workflowId);
+
+    return NextResponse.json({
+      success: true,
+      workflowId,
+      checkpoints: checkpoints.map(checkpoint => ({
+        checkpointId: checkpoint.checkpointId,
+        type: checkpoint.type,
+        description: checkpoint.description,
+        step: checkpoint.step,
+        currentAgent: checkpoint.currentAgent,
+        status: checkpoint.status,
+        timestamp: checkpoint.timestamp
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error fetching checkpoints for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch checkpoints', details: error.message },
+      { status: 500 }
+    );
+  }
+}
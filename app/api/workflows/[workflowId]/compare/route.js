@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import { getOrchestrator } from '../../../../../lib/bmad/BmadOrchestrator.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/compare?with=<otherWorkflowId>&artifact=<name>
+ * Compare this workflow with another (typically a fork or its parent): the step they diverged
+ * at and per-artifact status and line stats. With artifact, that entry includes diff rows and a patch.
+ */
+export async function GET(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const otherId = searchParams.get('with');
+    if (!otherId) {
+      return NextResponse.json({ success: false, error: 'with is required' }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const owned = await Workflow.find({ workflowId: { $in: [workflowId, otherId] } }).select('workflowId userId').lean();
+    const isOwned = id => owned.some(workflow =>
+      workflow.workflowId === id && workflow.userId?.toString() === user._id.toString()
+    );
+    if (!isOwned(workflowId) || !isOwned(otherId)) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const orchestrator = await getOrchestrator();
+    const comparison = await orchestrator.compareWorkflows(workflowId, otherId, {
+      artifactName: searchParams.get('artifact') || undefined
+    });
+
+    return NextResponse.json({ success: true, ...comparison });
+  } catch (error) {
+    logger.error(`Error comparing workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to compare workflows', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import { getOrchestrator } from '../../../../../lib/bmad/BmadOrchestrator.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * POST /api/workflows/[workflowId]/fork
+ * Branch a new workflow from one of this workflow's checkpoints
+ * Body: { checkpointId: string, name?: string, start?: boolean }
+ */
+export async function POST(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const { checkpointId, name, start = false } = await request.json();
+    if (!checkpointId || typeof checkpointId !== 'string') {
+      return NextResponse.json({ success: false, error: 'checkpointId is required' }, { status: 400 });
+    }
+    if (name !== undefined && typeof name !== 'string') {
+      return NextResponse.json({ success: false, error: 'name must be a string' }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const orchestrator = await getOrchestrator();
+    const result = await orchestrator.forkWorkflow(workflowId, checkpointId, { name, start: Boolean(start) });
+
+    logger.info(`🌿 [FORK] ${workflowId} forked into ${result.workflowId} by ${user._id}`);
+    return NextResponse.json({ success: true, parentWorkflowId: workflowId, ...result }, { status: 201 });
+  } catch (error) {
+    if (/not found/.test(error.message)) {
+      return NextResponse.json({ success: false, error: error.message }, { status: 404 });
+    }
+    logger.error(`Error forking workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fork workflow', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import QualityGateManager from '../../../../../lib/bmad/services/QualityGateManager.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/quality-gates
+ * Quality gate configuration, the available gates and recent results (newest first)
+ * Query: limit (default 10)
+ */
+export async function GET(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('workflowId userId qualityGates').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || 10, 1), 50);
+    const { failOn = null, gates = {}, maxRemediationAttempts = 3, results = [] } = workflow.qualityGates || {};
+
+    return NextResponse.json({
+      success: true,
+      workflowId,
+      config: { failOn, gates, maxRemediationAttempts },
+      availableGates: new QualityGateManager({ persistResults: false }).registry.describe(),
+      results: results.slice(-limit).reverse()
+    });
+  } catch (error) {
+    logger.error(`Error fetching quality gates for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch quality gates', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/workflows/[workflowId]/quality-gates
+ * Replace the workflow's quality gate configuration
+ * Body: { failOn?: 'high', gates?: { [gateId]: { enabled?, failOn?, options? } }, maxRemediationAttempts?: 3 }
+ */
+export async function PUT(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const { failOn = null, gates = {}, maxRemediationAttempts = 3 } = await request.json();
+    const manager = new QualityGateManager({ persistResults: false });
+
+    const unknownGates = Object.keys(gates).filter(gateId => !manager.registry.has(gateId));
+    if (unknownGates.length > 0) {
+      return NextResponse.json(
+        { success: false, error: `Unknown quality gates: ${unknownGates.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    if (!Number.isInteger(maxRemediationAttempts) || maxRemediationAttempts < 0 || maxRemediationAttempts > 10) {
+      return NextResponse.json(
+        { success: false, error: 'maxRemediationAttempts must be a whole number from 0 to 10' },
+        { status: 400 }
+      );
+    }
+    try {
+      manager.resolveConfig({ failOn, gates });
+    } catch (validationError) {
+      return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+    }
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOneAndUpdate(
+      { workflowId, userId: user._id },
+      { $set: { 'qualityGates.failOn': failOn, 'qualityGates.gates': gates, 'qualityGates.maxRemediationAttempts': maxRemediationAttempts } },
+      { new: true }
+    ).select('workflowId qualityGates.failOn qualityGates.gates qualityGates.maxRemediationAttempts').lean();
+
+    if (!workflow) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    logger.info(`🚦 [QUALITY] Updated quality gate config for ${workflowId}`);
+    return NextResponse.json({ success: true, workflowId, config: workflow.qualityGates });
+  } catch (error) {
+    logger.error(`Error updating quality gates for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to update quality gates', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import AICallRecord from '../../../../../lib/database/models/AICallRecord.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/recording
+ * AI calls captured for a recorded workflow, in order (prompts and responses omitted)
+ * ?format=fixture downloads the full recording as JSON, for AICallRecorder.replayFrom in tests.
+ */
+export async function GET(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId template prompt recording').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+    if (workflow.recording?.mode !== 'record') {
+      return NextResponse.json({ success: false, error: 'Workflow was not recorded' }, { status: 404 });
+    }
+
+    const { recordingId } = workflow.recording;
+    const fixture = new URL(request.url).searchParams.get('format') === 'fixture';
+
+    const calls = await AICallRecord.findRecording(recordingId)
+      .select(fixture ? '-_id -__v' : '-prompt -response -toolResults -_id -__v')
+      .lean();
+
+    if (fixture) {
+      const body = JSON.stringify({ recordingId, workflowId, template: workflow.template, prompt: workflow.prompt, calls }, null, 2);
+      return new NextResponse(body, {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="${recordingId}.json"`
+        }
+      });
+    }
+
+    return NextResponse.json({ success: true, workflowId, recordingId, totalCalls: calls.length, calls });
+  } catch (error) {
+    logger.error(`Error fetching recording of workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch recording', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '../../../../../lib/utils/routeAuth.js';
+import { connectMongoose } from '../../../../../lib/database/mongodb.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import { getOrchestrator } from '../../../../../lib/bmad/BmadOrchestrator.js';
+import logger from '../../../../../lib/utils/logger.js';
+
+/**
+ * GET /api/workflows/[workflowId]/replay
+ * Replay report of a replaying workflow: calls answered, recorded calls unused, divergences
+ */
+export async function GET(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const orchestrator = await getOrchestrator();
+    const report = await orchestrator.getReplayReport(workflowId);
+    if (!report) {
+      return NextResponse.json({ success: false, error: 'Workflow is not a replay' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, workflowId, ...report });
+  } catch (error) {
+    logger.error(`Error fetching replay report for workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch replay report', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/workflows/[workflowId]/replay
+ * Re-run this recorded workflow as a new workflow, answering every AI call from the recording
+ * Body: { strict?: boolean, name?: string } - strict fails the run on the first changed prompt
+ */
+export async function POST(request, { params }) {
+  const { workflowId } = await params;
+  try {
+    const { user, error } = await authenticateRoute(request);
+    if (error) return error;
+
+    const { strict = false, name } = await request.json().catch(() => ({}));
+
+    await connectMongoose();
+
+    const workflow = await Workflow.findOne({ workflowId }).select('userId recording').lean();
+    if (!workflow || workflow.userId?.toString() !== user._id.toString()) {
+      return NextResponse.json({ success: false, error: 'Workflow not found' }, { status: 404 });
+    }
+    if (workflow.recording?.mode !== 'record') {
+      return NextResponse.json({ success: false, error: 'Workflow was not recorded' }, { status: 409 });
+    }
+
+    const orchestrator = await getOrchestrator();
+    const result = await orchestrator.replayRecording(workflow.recording.recordingId, {
+      userId: user._id.toString(),
+      strict: Boolean(strict),
+      name: typeof name === 'string' && name.trim() ? name.trim() : undefined
+    });
+
+    logger.info(`🎞️ [REPLAY] ${workflowId} replayed as ${result.workflowId} by ${user._id}`);
+    return NextResponse.json({ success: true, recordingId: workflow.recording.recordingId, ...result }, { status: 201 });
+  } catch (error) {
+    logger.error(`Error replaying workflow ${workflowId}:`, error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to replay workflow', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -46,6 +46,9 @@ export async function GET(request) {
       id: w._id.toString(),
       _id: w._id.toString(),
       workflowId: w._id.toString(),
+      bmadWorkflowId: w.workflowId,
+      // Forks nest under their parent in the workflow list
+      fork: w.fork?.parentWorkflowId ? w.fork : null,
       name: w.title,
       title: w.title,
       description: w.description,
@@ -4,6 +4,7 @@ import { BmadOrchestrator } from '../../../../../lib/bmad/BmadOrchestrator.js';
 import { connectMongoose } from '../../../../../lib/database/mongodb.js';
 import Workflow from '../../../../../lib/database/models/Workflow.js';
 import AgentTeam from '../../../../../lib/database/models/AgentTeam.js';
+import { BudgetManager, BUDGET_ELICITATION_TYPE } from '../../../../../lib/ai/services/BudgetManager.js';
 import logger from '@/lib/utils/logger.js';
 
 export async function GET(request, { params }) {
@@ -67,6 +68,17 @@ export async function GET(request, { params }) {
       logger.warn(`Failed to load messages for workflow ${workflowInstanceId}:`, messageError.message);
     }
 
+    // Remaining spend for the header (workflow, team deployment and user caps)
+    let budget = null;
+    try {
+      budget = await new BudgetManager().getBudgetStatus({
+        userId: workflowDoc?.userId || agentTeamDoc?.userId,
+        workflowId: workflowInstanceId
+      });
+      delete budget.workflowBudget;
+    } catch (budgetError) {
+      logger.warn(`Budget status unavailable for ${workflowInstanceId}:`, budgetError.message);
+    }
 
     // Build comprehensive workflow instance response
     const workflowInstance = {
@@ -86,7 +98,7 @@ export async function GET(request, { params }) {
                  'default',
         agents: bmadWorkflowState?.sequence ? 
           // Extract unique agents from workflow sequence steps
-          [...new Set(bmadWorkflowState.sequence.map(step => step.agent).filter(Boolean))] :
+          [...new Set(bmadWorkflowState.sequence.flatMap(step => step.branches || [step]).map(step => step.agent).filter(Boolean))] :
           // Use team agents if available
           agentTeamDoc?.teamConfig?.agentIds || []
       },
@@ -126,6 +138,12 @@ export async function GET(request, { params }) {
         // CRITICAL FIX: Read elicitation from messages array instead of separate field
         const status = bmadWorkflowState?.status || workflowDoc?.status;
         if (status === 'PAUSED_FOR_ELICITATION') {
+          // Budget soft caps pause from the executor without an agent message
+          if (workflowDoc?.elicitationDetails?.type === BUDGET_ELICITATION_TYPE) {
+            const { sectionTitle, instruction, sectionId, agentId, type, options } = workflowDoc.elicitationDetails;
+            return { sectionTitle, instruction, sectionId, agent: agentId, type, options };
+          }
+
           // Find the most recent elicitation message
           const elicitationMessage = messages.find(msg => 
             msg.type === 'elicitation_request' && 
@@ -155,7 +173,13 @@ export async function GET(request, { params }) {
         if (typeof agent === 'object' && agent.agent) return agent.agent;
         if (typeof agent === 'object' && agent.id) return agent.id;
         return null;
-      })()
+      })(),
+      // Agents currently running inside a parallel group
+      activeAgents: Object.values(workflowDoc?.bmadWorkflowData?.context?.parallel || {})
+        .flatMap(group => group.active || []),
+      // Token budget report for the most recent agent step
+      contextUsage: workflowDoc?.bmadWorkflowData?.context?.contextUsage || null,
+      budget
     };
 
     // logger.info('🔍 [API DEBUG] Workflow status sources:', {
@@ -0,0 +1,71 @@
+/**
+ * Workflow Template Validation API
+ * Statically checks a workflow definition before it is saved or executed
+ */
+
+import { NextResponse } from 'next/server';
+import { authenticateRoute } from '@/lib/utils/routeAuth.js';
+import WorkflowValidator from '@/lib/bmad/WorkflowValidator.js';
+import logger from '@/lib/utils/logger.js';
+
+/**
+ * @swagger
+ * /api/workflows/templates/validate:
+ *   post:
+ *     summary: Validate a BMAD workflow definition
+ *     description: Checks that agents resolve, every required artifact is created by an earlier step, routing targets exist and referenced templates are present
+ *     tags:
+ *       - Workflows
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               yaml:
+ *                 type: string
+ *                 description: Raw workflow YAML
+ *               workflow:
+ *                 type: object
+ *                 description: Parsed workflow definition (alternative to yaml)
+ *     responses:
+ *       200:
+ *         description: Validation report with errors and warnings
+ *       400:
+ *         description: No workflow definition provided
+ */
+export async function POST(request) {
+  try {
+    const { error: authError } = await authenticateRoute();
+    if (authError) return authError;
+
+    const body = await request.json();
+    const definition = typeof body?.yaml === 'string' ? body.yaml : body?.workflow;
+
+    if (!definition) {
+      return NextResponse.json(
+        { success: false, error: 'Provide a workflow definition as `yaml` or `workflow`' },
+        { status: 400 }
+      );
+    }
+
+    const validator = new WorkflowValidator();
+    const result = await validator.validate(definition);
+
+    return NextResponse.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('❌ Error validating workflow template:', error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to validate workflow template',
+        details: error.message
+      },
+      { status: 500 }
+    );
+  }
+}
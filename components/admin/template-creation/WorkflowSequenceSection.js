@@ -1,7 +1,7 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { Plus, Trash2, ChevronDown, ChevronUp } from 'lucide-react';
+import { Plus, Trash2, ChevronDown, ChevronUp, AlertTriangle, CheckCircle, XCircle } from 'lucide-react';
 import { Badge } from '../../common/Badge';
 import InfoTooltip from '../../common/InfoTooltip';
 import { fetchWithAuth } from '../../../lib/react-query';
@@ -24,6 +24,8 @@ export default function WorkflowSequenceSection({
   
   const [availableAgents, setAvailableAgents] = useState([]);
   const [loadingAgents, setLoadingAgents] = useState(true);
+  const [validation, setValidation] = useState(null);
+  const [validating, setValidating] = useState(false);
 
   // Load agents from database API
   useEffect(() => {
@@ -62,6 +64,47 @@ export default function WorkflowSequenceSection({
     loadAgents();
   }, []);
 
+  // Live definition check - debounced so typing in the step form doesn't spam the API
+  useEffect(() => {
+    if (formData.sequence.length === 0) {
+      setValidation(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setValidating(true);
+        const result = await fetchWithAuth('/api/workflows/templates/validate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            workflow: {
+              name: formData.name || 'Untitled workflow',
+              sequence: formData.sequence
+            }
+          }),
+        });
+        if (!cancelled) setValidation(result);
+      } catch (error) {
+        console.error('Failed to validate workflow sequence:', error);
+        if (!cancelled) setValidation(null);
+      } finally {
+        if (!cancelled) setValidating(false);
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.name, formData.sequence]);
+
+  const issuesForStep = (index) => [
+    ...(validation?.errors || []),
+    ...(validation?.warnings || [])
+  ].filter(issue => issue.stepIndex === index);
+
   const handleStepChange = (field, value) => {
     setCurrentStep(prev => ({
       ...prev,
@@ -265,8 +308,17 @@ export default function WorkflowSequenceSection({
           {formData.sequence.length > 0 && (
             <div className="space-y-2">
               <h4 className="font-medium text-gray-900 dark:text-white">Workflow Steps</h4>
-              {formData.sequence.map((step, index) => (
-                <div key={index} className="flex items-start space-x-3 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+              {formData.sequence.map((step, index) => {
+                const stepIssues = issuesForStep(index);
+                const hasError = stepIssues.some(issue => issue.severity === 'error');
+
+                return (
+                <div
+                  key={index}
+                  className={`flex items-start space-x-3 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg border ${
+                    hasError ? 'border-red-300 dark:border-red-700' : stepIssues.length > 0 ? 'border-yellow-300 dark:border-yellow-700' : 'border-transparent'
+                  }`}
+                >
                   <div className="flex-shrink-0 w-6 h-6 bg-blue-600 text-white rounded-full flex items-center justify-center text-sm">
                     {index + 1}
                   </div>
@@ -287,6 +339,14 @@ export default function WorkflowSequenceSection({
                         Condition: {step.condition}
                       </p>
                     )}
+                    {stepIssues.map((issue, issueIndex) => (
+                      <p
+                        key={issueIndex}
+                        className={`text-xs mt-1 ${issue.severity === 'error' ? 'text-red-600 dark:text-red-400' : 'text-yellow-700 dark:text-yellow-400'}`}
+                      >
+                        {issue.message}
+                      </p>
+                    ))}
                   </div>
                   <div className="flex items-center space-x-1">
                     <button
@@ -314,7 +374,39 @@ export default function WorkflowSequenceSection({
                     </button>
                   </div>
                 </div>
-              ))}
+                );
+              })}
+
+              {/* Definition Check */}
+              <div className="flex items-start space-x-2 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 text-sm">
+                {validating || !validation ? (
+                  <span className="text-gray-500 dark:text-gray-400">Checking workflow definition...</span>
+                ) : validation.valid ? (
+                  <>
+                    {validation.warnings.length > 0 ? (
+                      <AlertTriangle className="w-4 h-4 mt-0.5 text-yellow-600 flex-shrink-0" />
+                    ) : (
+                      <CheckCircle className="w-4 h-4 mt-0.5 text-green-600 flex-shrink-0" />
+                    )}
+                    <span className="text-green-700 dark:text-green-400">
+                      Definition looks good
+                      {validation.warnings.length > 0 && ` (${validation.warnings.length} warning${validation.warnings.length === 1 ? '' : 's'})`}
+                    </span>
+                  </>
+                ) : (
+                  <>
+                    <XCircle className="w-4 h-4 mt-0.5 text-red-600 flex-shrink-0" />
+                    <div className="text-red-700 dark:text-red-400">
+                      <p>{validation.errors.length} problem{validation.errors.length === 1 ? '' : 's'} found</p>
+                      {validation.errors
+                        .filter(issue => issue.stepIndex === undefined)
+                        .map((issue, issueIndex) => (
+                          <p key={issueIndex} className="text-xs mt-1">{issue.message}</p>
+                        ))}
+                    </div>
+                  </>
+                )}
+              </div>
             </div>
           )}
         </div>
@@ -9,10 +9,39 @@ import {
   Users, 
   Loader2, 
   AlertCircle,
-  RefreshCw
+  RefreshCw,
+  GitBranch
 } from 'lucide-react';
 import { Card, CardContent } from '../../common/Card';
 import { Badge } from '../../common/Badge';
+import WorkflowForkComparison from '../../workflow/WorkflowForkComparison';
+
+/**
+ * Order workflows as a tree: each fork follows the workflow it branched from, one level deeper
+ * Forks whose parent is not in the list are shown at the top level.
+ */
+const buildWorkflowTree = (workflows) => {
+  const byId = new Map(workflows.filter(workflow => workflow.bmadWorkflowId).map(workflow => [workflow.bmadWorkflowId, workflow]));
+  const children = new Map();
+  const roots = [];
+
+  workflows.forEach(workflow => {
+    const parentId = workflow.fork?.parentWorkflowId;
+    if (parentId && byId.has(parentId) && parentId !== workflow.bmadWorkflowId) {
+      children.set(parentId, [...(children.get(parentId) || []), workflow]);
+    } else {
+      roots.push(workflow);
+    }
+  });
+
+  const ordered = [];
+  const visit = (workflow, depth) => {
+    ordered.push({ workflow, depth });
+    (children.get(workflow.bmadWorkflowId) || []).forEach(child => visit(child, depth + 1));
+  };
+  roots.forEach(workflow => visit(workflow, 0));
+  return ordered;
+};
 
 /**
  * Workflow Selector Component
@@ -34,6 +63,7 @@ const WorkflowSelector = ({
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all'); // 'all', 'active', 'completed'
+  const [comparingId, setComparingId] = useState(null);
 
   // Fetch active workflows
   useEffect(() => {
@@ -97,6 +127,7 @@ const WorkflowSelector = ({
 
     return matchesSearch && matchesStatus;
   });
+  const workflowTree = buildWorkflowTree(filteredWorkflows);
 
   const getStatusColor = (status) => {
     switch (status?.toLowerCase()) {
@@ -238,9 +269,9 @@ const WorkflowSelector = ({
                 </p>
               </div>
             ) : (
-              filteredWorkflows.map((workflow) => (
+              workflowTree.map(({ workflow, depth }) => (
+                <div key={workflow.workflowInstanceId} style={{ marginLeft: depth * 24 }}>
                 <motion.div
-                  key={workflow.workflowInstanceId}
                   whileHover={{ scale: 1.01 }}
                   whileTap={{ scale: 0.99 }}
                   onClick={() => onSelectWorkflow(workflow)}
@@ -248,10 +279,11 @@ const WorkflowSelector = ({
                     selectedWorkflowId === workflow.workflowInstanceId
                       ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
                       : 'border-gray-200 hover:border-gray-300 hover:bg-gray-50'
-                  }`}
+                  } ${depth > 0 ? 'border-l-4 border-l-purple-300' : ''}`}
                 >
                   <div className="flex items-center justify-between mb-2">
-                    <h4 className="font-semibold text-gray-800 dark:text-white">
+                    <h4 className="font-semibold text-gray-800 dark:text-white flex items-center gap-2">
+                      {workflow.fork && <GitBranch className="w-4 h-4 text-purple-500" />}
                       {workflow.displayName}
                     </h4>
                     <Badge className={getStatusColor(workflow.status)}>
@@ -272,8 +304,19 @@ const WorkflowSelector = ({
                       </div>
                     )}
                     <div className="text-xs bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">
-                      {workflow.type === 'team-deployment' ? 'Team' : 'Workflow'}
+                      {workflow.type === 'team-deployment' ? 'Team' : workflow.fork ? `Fork @ step ${workflow.fork.checkpointStep + 1}` : 'Workflow'}
                     </div>
+                    {workflow.fork && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setComparingId(comparingId === workflow.bmadWorkflowId ? null : workflow.bmadWorkflowId);
+                        }}
+                        className="text-xs text-purple-600 hover:text-purple-800"
+                      >
+                        {comparingId === workflow.bmadWorkflowId ? 'Hide comparison' : 'Compare with parent'}
+                      </button>
+                    )}
                   </div>
 
                   {workflow.workflowInstanceId && (
@@ -282,6 +325,15 @@ const WorkflowSelector = ({
                     </p>
                   )}
                 </motion.div>
+                {comparingId === workflow.bmadWorkflowId && (
+                  <div className="mt-2">
+                    <WorkflowForkComparison
+                      leftWorkflowId={workflow.fork.parentWorkflowId}
+                      rightWorkflowId={workflow.bmadWorkflowId}
+                    />
+                  </div>
+                )}
+                </div>
               ))
             )}
           </div>
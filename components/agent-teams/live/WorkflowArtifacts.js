@@ -52,11 +52,24 @@ const WorkflowArtifacts = ({
       {/* Document Viewer Modal */}
       <BmadDocumentViewer
         document={viewingDocument}
+        workflowId={workflowInstanceId}
         isOpen={!!viewingDocument}
         onClose={() => setViewingDocument(null)}
         onSave={async (docId, content) => {
-          console.log('Save document:', docId, content);
-          // TODO: Implement save functionality
+          // Saved as a new user-authored version
+          const response = await fetch(
+            `/api/workflows/${encodeURIComponent(workflowInstanceId)}/artifacts/${encodeURIComponent(docId)}`,
+            { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ content }) }
+          );
+          if (!response.ok) {
+            throw new Error((await response.json()).error || 'Failed to save document');
+          }
+          setViewingDocument(prev => prev && { ...prev, content });
+          onRefreshArtifacts?.();
+        }}
+        onRestore={(docId, content) => {
+          setViewingDocument(prev => prev && { ...prev, content });
+          onRefreshArtifacts?.();
         }}
         onValidate={async (docId, content) => {
           console.log('Validate document:', docId, content);
@@ -2,7 +2,7 @@
 
 import React from 'react';
 import { Badge } from '../../common/Badge';
-import { Activity, Wifi, WifiOff, Zap, Github, ExternalLink } from 'lucide-react';
+import { Activity, Wifi, WifiOff, Zap, Github, ExternalLink, Wallet, Layers } from 'lucide-react';
 
 const WorkflowHeader = ({ 
   workflowInstance, 
@@ -26,6 +26,34 @@ const WorkflowHeader = ({
   const githubInfo = workflowInstance.workflow?.metadata?.github;
   const teamInfo = workflowInstance.workflow?.metadata?.team;
 
+  // Tightest remaining budget across user, workflow and team caps
+  const budget = workflowInstance.budget;
+  const hasBudget = budget?.scopes?.length > 0;
+  const getBudgetColor = (status) => {
+    switch (status) {
+      case 'hard': return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
+      case 'soft': return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200';
+      default: return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
+    }
+  };
+  const formatRemaining = (remaining = {}) => {
+    const parts = [];
+    if (remaining.cost !== null && remaining.cost !== undefined) {
+      parts.push(`$${remaining.cost.toFixed(2)}`);
+    }
+    if (remaining.tokens !== null && remaining.tokens !== undefined) {
+      parts.push(`${remaining.tokens.toLocaleString()} tokens`);
+    }
+    return parts.length > 0 ? `${parts.join(' / ')} left` : 'No cap';
+  };
+
+  // Token budget of the last agent step's context and what did not fit
+  const contextUsage = workflowInstance.contextUsage;
+  const formatTokens = (tokens = 0) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : `${tokens}`);
+  const describeDropped = (dropped = []) => dropped
+    .map(piece => `${piece.section}: ${piece.name} (${piece.reason === 'condensed' ? 'condensed' : 'dropped'})`)
+    .join('\n');
+
   return (
     <div className="flex items-center justify-between">
       <div>
@@ -87,6 +115,34 @@ const WorkflowHeader = ({
               {realTimeData.isConnected ? 'Live Updates Active' : 'Connection Lost'}
             </span>
           </div>
+          {hasBudget && (
+            <div
+              className="flex items-center"
+              title={budget.scopes.map(scope => `${scope.scope}: ${scope.status}`).join(', ')}
+            >
+              <p className="text-sm text-gray-600 dark:text-gray-400 mr-2">Budget:</p>
+              <Badge className={getBudgetColor(budget.status)}>
+                <Wallet className="w-3 h-3 mr-1" />
+                {budget.status === 'hard' ? 'Budget exhausted' : formatRemaining(budget.remaining)}
+              </Badge>
+            </div>
+          )}
+          {contextUsage && (
+            <div
+              className="flex items-center"
+              title={contextUsage.dropped?.length > 0
+                ? describeDropped(contextUsage.dropped)
+                : 'All available context fit in the budget'}
+            >
+              <Layers className="w-4 h-4 text-gray-500 mr-2" />
+              <span className="text-sm text-gray-600 dark:text-gray-400">
+                Context used: {formatTokens(contextUsage.used)} / {formatTokens(contextUsage.budget)} tokens
+                {contextUsage.dropped?.length > 0 && (
+                  <span className="text-yellow-700 dark:text-yellow-300"> · {contextUsage.dropped.length} left out</span>
+                )}
+              </span>
+            </div>
+          )}
           {/* GitHub Capabilities indicator */}
           {isGitHubWorkflow && githubInfo?.capabilities && (
             <div className="flex items-center">
@@ -81,7 +81,9 @@ export const useLiveWorkflow = (workflowInstanceId) => {
             
             // Enhanced status determination
             let status = 'pending';
-            if (data.currentAgent === agentId) {
+            if (data.activeAgents?.includes(agentId)) {
+              status = 'active';
+            } else if (data.currentAgent === agentId) {
               if (data.status === 'PAUSED_FOR_ELICITATION') {
                 status = 'waiting_for_input';
               } else if (data.status === 'RUNNING') {
@@ -95,7 +97,7 @@ export const useLiveWorkflow = (workflowInstanceId) => {
               id: agentId,
               name: agentName,
               status,
-              startTime: data.currentAgent === agentId ? (data.metadata?.startTime || new Date()) : null,
+              startTime: (data.currentAgent === agentId || data.activeAgents?.includes(agentId)) ? (data.metadata?.startTime || new Date()) : null,
               endTime: null,
               order: index + 1
             };
@@ -163,9 +165,10 @@ export const useLiveWorkflow = (workflowInstanceId) => {
           agents: prev.agents.map(agent => {
             if (agent.id === data.agentId) {
               return agent.status !== 'active' 
-                ? { ...agent, status: 'active', startTime: data.timestamp, progress: 0 }
+                ? { ...agent, status: 'active', startTime: data.timestamp, progress: 0, parallelGroup: data.parallelGroup }
                 : agent;
-            } else if (agent.status === 'active' && agent.id !== data.agentId) {
+            } else if (agent.status === 'active' && !data.concurrent) {
+              // Sequential hand-off; parallel branches keep their siblings active
               return { ...agent, status: 'completed', endTime: data.timestamp, progress: 100 };
             }
             return agent;
@@ -184,7 +187,7 @@ export const useLiveWorkflow = (workflowInstanceId) => {
           lastUpdate: data.timestamp,
           agents: prev.agents.map(agent => 
             agent.id === data.agentId 
-              ? { ...agent, status: 'completed', endTime: data.timestamp, progress: 100 }
+              ? { ...agent, status: data.status === 'error' ? 'error' : 'completed', endTime: data.timestamp, progress: 100 }
               : agent
           ),
           progress: Math.min(prev.progress + (100 / Math.max(prev.agents.length, 1)), 100)
@@ -334,7 +337,9 @@ export const useLiveWorkflow = (workflowInstanceId) => {
             ...prev, 
             status: data.status,
             progress: data.progress,
-            currentAgent: data.currentAgent
+            currentAgent: data.currentAgent,
+            budget: data.budget,
+            contextUsage: data.contextUsage
           }));
           
           if (loading) {
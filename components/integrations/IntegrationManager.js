@@ -11,6 +11,7 @@ import { useGitHubIntegration } from './hooks/useGitHubIntegration.js';
 import GitHubIntegrationForm from './GitHubIntegrationForm.js';
 import SlackIntegrationForm from './SlackIntegrationForm.js';
 import JiraIntegrationForm from './JiraIntegrationForm.js';
+import WebhookIntegrationForm from './WebhookIntegrationForm.js';
 
 export default function IntegrationManager() {
   const dispatch = useDispatch();
@@ -89,7 +90,8 @@ export default function IntegrationManager() {
     const testActions = {
       github: { action: 'getRepositories', data: { per_page: 5 } },
       slack: { action: 'getChannels', data: { limit: 5 } },
-      jira: { action: 'getProjects', data: {} }
+      jira: { action: 'getProjects', data: {} },
+      webhook: { action: 'sendTestEvent', data: {} }
     };
     
     const testAction = testActions[integration.pluginId];
@@ -171,6 +173,8 @@ export default function IntegrationManager() {
         return <SlackIntegrationForm {...formProps} />;
       case 'jira':
         return <JiraIntegrationForm {...formProps} />;
+      case 'webhook':
+        return <WebhookIntegrationForm {...formProps} />;
       default:
         return null;
     }
@@ -396,7 +400,9 @@ export default function IntegrationManager() {
                       disabled={isTesting && testingIntegration?._id === integration._id}
                       className="px-3 py-1 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50"
                     >
-                      {isTesting && testingIntegration?._id === integration._id ? 'Testing...' : 'Test'}
+                      {integration.pluginId === 'webhook'
+                        ? (isTesting && testingIntegration?._id === integration._id ? 'Sending...' : 'Send test event')
+                        : (isTesting && testingIntegration?._id === integration._id ? 'Testing...' : 'Test')}
                     </button>
                     <button
                       onClick={() => handleStartEdit(integration)}
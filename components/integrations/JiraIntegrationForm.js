@@ -8,7 +8,9 @@ export default function JiraIntegrationForm({ onSubmit, onCancel, isLoading, ini
     domain: '',
     email: '',
     apiToken: '',
-    defaultProject: ''
+    defaultProject: '',
+    syncStories: false,
+    webhookSecret: ''
   });
 
   useEffect(() => {
@@ -18,16 +20,18 @@ export default function JiraIntegrationForm({ onSubmit, onCancel, isLoading, ini
         domain: initialData.config?.domain || '',
         email: initialData.config?.email || '',
         apiToken: initialData.config?.apiToken || '',
-        defaultProject: initialData.config?.defaultProject || ''
+        defaultProject: initialData.config?.defaultProject || '',
+        syncStories: Boolean(initialData.config?.syncStories),
+        webhookSecret: initialData.config?.webhookSecret || ''
       });
     }
   }, [initialData]);
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
   };
 
@@ -38,7 +42,10 @@ export default function JiraIntegrationForm({ onSubmit, onCancel, isLoading, ini
       domain: formData.domain,
       email: formData.email,
       apiToken: formData.apiToken,
-      ...(formData.defaultProject && { defaultProject: formData.defaultProject })
+      ...(formData.defaultProject && { defaultProject: formData.defaultProject }),
+      ...(formData.syncStories && { syncStories: true }),
+      ...(formData.webhookSecret && { webhookSecret: formData.webhookSecret }),
+      ...(initialData?.config?.statusMap && { statusMap: initialData.config.statusMap })
     };
 
     onSubmit({
@@ -165,6 +172,47 @@ export default function JiraIntegrationForm({ onSubmit, onCancel, isLoading, ini
           </p>
         </div>
 
+        <div>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              id="syncStories"
+              name="syncStories"
+              checked={formData.syncStories}
+              onChange={handleChange}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              Mirror BMAD epics and stories in the default project
+            </span>
+          </label>
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Stories become Story issues under an Epic with their acceptance criteria; status changes and dev/QA notes are synced
+          </p>
+        </div>
+
+        {formData.syncStories && (
+          <div>
+            <label htmlFor="webhookSecret" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Webhook Secret
+            </label>
+            <input
+              type="password"
+              id="webhookSecret"
+              name="webhookSecret"
+              value={formData.webhookSecret}
+              onChange={handleChange}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white"
+              placeholder="The secret set on the JIRA webhook"
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              To bring JIRA status changes back, add a webhook for &quot;Issue updated&quot; in JIRA settings → System → WebHooks
+              with this secret and the URL{' '}
+              <code>/api/integrations/jira/webhook?integrationId={initialData?._id || '<integration id>'}</code>
+            </p>
+          </div>
+        )}
+
         <div className="bg-blue-50 dark:bg-blue-900/20 p-4 rounded-lg">
           <h4 className="font-medium text-blue-900 dark:text-blue-100 mb-2">
             📋 Setup Instructions
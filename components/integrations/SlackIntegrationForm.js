@@ -7,7 +7,8 @@ export default function SlackIntegrationForm({ onSubmit, onCancel, isLoading, in
     name: '',
     botToken: '',
     defaultChannel: '',
-    workspaceUrl: ''
+    workspaceUrl: '',
+    signingSecret: ''
   });
 
   useEffect(() => {
@@ -16,7 +17,8 @@ export default function SlackIntegrationForm({ onSubmit, onCancel, isLoading, in
         name: initialData.name || '',
         botToken: initialData.config?.botToken || '',
         defaultChannel: initialData.config?.defaultChannel || '',
-        workspaceUrl: initialData.config?.workspaceUrl || ''
+        workspaceUrl: initialData.config?.workspaceUrl || '',
+        signingSecret: initialData.config?.signingSecret || ''
       });
     }
   }, [initialData]);
@@ -35,7 +37,8 @@ export default function SlackIntegrationForm({ onSubmit, onCancel, isLoading, in
     const config = {
       botToken: formData.botToken,
       ...(formData.defaultChannel && { defaultChannel: formData.defaultChannel }),
-      ...(formData.workspaceUrl && { workspaceUrl: formData.workspaceUrl })
+      ...(formData.workspaceUrl && { workspaceUrl: formData.workspaceUrl }),
+      ...(formData.signingSecret && { signingSecret: formData.signingSecret })
     };
 
     onSubmit({
@@ -134,6 +137,25 @@ export default function SlackIntegrationForm({ onSubmit, onCancel, isLoading, in
           </p>
         </div>
 
+        <div>
+          <label htmlFor="signingSecret" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Signing Secret
+          </label>
+          <input
+            type="password"
+            id="signingSecret"
+            name="signingSecret"
+            value={formData.signingSecret}
+            onChange={handleChange}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white"
+            placeholder="From Basic Information → App Credentials"
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Required to answer agent questions from Slack: turn on &quot;Interactivity &amp; Shortcuts&quot; in your app with the Request URL{' '}
+            <code>/api/integrations/slack/interactivity</code>
+          </p>
+        </div>
+
         <div className="bg-green-50 dark:bg-green-900/20 p-4 rounded-lg">
           <h4 className="font-medium text-green-900 dark:text-green-100 mb-2">
             🔑 Required OAuth Scopes
@@ -164,6 +186,7 @@ export default function SlackIntegrationForm({ onSubmit, onCancel, isLoading, in
             <li>Install the app to your workspace</li>
             <li>Copy the &quot;Bot User OAuth Token&quot; that starts with &quot;xoxb-&quot;</li>
             <li>Invite your bot to channels where you want to send notifications</li>
+            <li>Subscribe the integration to &quot;elicitation.requested&quot; to answer agent questions with buttons</li>
           </ol>
         </div>
 
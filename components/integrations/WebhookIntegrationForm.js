@@ -0,0 +1,215 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white';
+
+// "Name: value" per line <-> { Name: 'value' }
+const headersToText = (headers = {}) =>
+  Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+
+const textToHeaders = (text) => {
+  const headers = {};
+  for (const line of text.split('\n').map(line => line.trim()).filter(Boolean)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`"${line}" is not a "Name: value" header`);
+    }
+    headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+  return headers;
+};
+
+export default function WebhookIntegrationForm({ onSubmit, onCancel, isLoading, initialData }) {
+  const [formData, setFormData] = useState({
+    name: '',
+    url: '',
+    secret: '',
+    headers: '',
+    payloadTemplate: ''
+  });
+  const [headersError, setHeadersError] = useState(null);
+
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        name: initialData.name || '',
+        url: initialData.config?.url || '',
+        secret: initialData.config?.secret || '',
+        headers: headersToText(initialData.config?.headers),
+        payloadTemplate: initialData.config?.payloadTemplate || ''
+      });
+    }
+  }, [initialData]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    if (name === 'headers') {
+      setHeadersError(null);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    let headers;
+    try {
+      headers = textToHeaders(formData.headers);
+    } catch (error) {
+      setHeadersError(error.message);
+      return;
+    }
+
+    const config = {
+      url: formData.url,
+      ...(formData.secret && { secret: formData.secret }),
+      ...(Object.keys(headers).length > 0 && { headers }),
+      ...(formData.payloadTemplate.trim() && { payloadTemplate: formData.payloadTemplate })
+    };
+
+    onSubmit({
+      name: formData.name,
+      config
+    });
+  };
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-6">
+      <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+        {initialData ? 'Edit Webhook Integration' : 'Configure Webhook Integration'}
+      </h3>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Integration Name *
+          </label>
+          <input
+            type="text"
+            id="name"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            className={inputClassName}
+            placeholder="Deploy pipeline"
+            required
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            A friendly name for this integration
+          </p>
+        </div>
+
+        <div>
+          <label htmlFor="url" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Payload URL *
+          </label>
+          <input
+            type="url"
+            id="url"
+            name="url"
+            value={formData.url}
+            onChange={handleChange}
+            className={inputClassName}
+            placeholder="https://example.com/hooks/bmad"
+            required
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Events are sent as JSON in a POST request
+          </p>
+        </div>
+
+        <div>
+          <label htmlFor="secret" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Signing Secret
+          </label>
+          <input
+            type="password"
+            id="secret"
+            name="secret"
+            value={formData.secret}
+            onChange={handleChange}
+            className={inputClassName}
+            placeholder="A long random string"
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            When set, each request carries an <code>X-BMAD-Signature-256: sha256=…</code> HMAC of the body
+          </p>
+        </div>
+
+        <div>
+          <label htmlFor="headers" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Custom Headers
+          </label>
+          <textarea
+            id="headers"
+            name="headers"
+            rows={3}
+            value={formData.headers}
+            onChange={handleChange}
+            className={`${inputClassName} font-mono text-sm`}
+            placeholder={'Authorization: Bearer abc123\nX-Team: platform'}
+          />
+          {headersError ? (
+            <p className="mt-1 text-xs text-red-600 dark:text-red-400">{headersError}</p>
+          ) : (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              One &quot;Name: value&quot; header per line
+            </p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="payloadTemplate" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Payload Template
+          </label>
+          <textarea
+            id="payloadTemplate"
+            name="payloadTemplate"
+            rows={6}
+            value={formData.payloadTemplate}
+            onChange={handleChange}
+            className={`${inputClassName} font-mono text-sm`}
+            placeholder={'{\n  "text": {{json title}},\n  "event": "{{type}}",\n  "artifact": {{json data.artifactName}}\n}'}
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Optional Handlebars template that must render JSON. Leave empty to send the event as is.
+          </p>
+        </div>
+
+        <div className="bg-blue-50 dark:bg-blue-900/20 p-4 rounded-lg">
+          <h4 className="font-medium text-blue-900 dark:text-blue-100 mb-2">
+            📋 Event Payload
+          </h4>
+          <ul className="text-sm text-blue-800 dark:text-blue-200 space-y-1">
+            <li>• Fields: <strong>id, type, occurredAt, workflowId, template, title, data</strong></li>
+            <li>• Use <code>{'{{json value}}'}</code> to embed any field as JSON in a template</li>
+            <li>• Leave a space before a closing brace: <code>{'{{json title}} }'}</code>, not <code>{'{{json title}}}'}</code></li>
+            <li>• Failed requests are retried with backoff, then kept in the dead-letter list</li>
+            <li>• Subscribe the integration to events to start receiving them</li>
+          </ul>
+        </div>
+
+        <div className="flex space-x-4">
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Saving...' : (initialData ? 'Update Integration' : 'Create Integration')}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-lg hover:bg-gray-400 dark:hover:bg-gray-500"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
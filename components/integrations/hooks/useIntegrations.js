@@ -57,7 +57,7 @@ async function testIntegration(id, action, data) {
   });
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.error || 'Failed to test integration');
+    throw new Error(error.details ? `${error.error}: ${error.details}` : error.error || 'Failed to test integration');
   }
   return response.json();
 }
@@ -16,6 +16,7 @@ import {
   XCircleIcon
 } from '@heroicons/react/24/outline';
 import { useAgents } from '@/lib/hooks/useAgents';
+import { formatAnchor, resolveCitations } from '@/lib/ai/retrieval/textIndex';
 
 /**
  * Build dynamic welcome message based on agent capabilities
@@ -242,7 +243,14 @@ const RepoChatInterface = ({ repository, analysisData }) => {
               const data = JSON.parse(dataContent);
 
               // Handle AI SDK UI Message Stream events
-              if (data.type === 'text-delta' && data.delta) {
+              if (data.type === 'start' && data.messageMetadata?.retrieved) {
+                // Code chunks the answer was grounded on, used to resolve path#L citations
+                setMessages(prev => prev.map(msg =>
+                  msg.id === assistantMessageId
+                    ? { ...msg, retrieved: data.messageMetadata.retrieved }
+                    : msg
+                ));
+              } else if (data.type === 'text-delta' && data.delta) {
                 // Append streaming text (AI SDK sends 'delta', not 'textDelta')
                 setMessages(prev => prev.map(msg =>
                   msg.id === assistantMessageId
@@ -272,7 +280,7 @@ const RepoChatInterface = ({ repository, analysisData }) => {
                 // Stream complete
                 setMessages(prev => prev.map(msg =>
                   msg.id === assistantMessageId
-                    ? { ...msg, isStreaming: false }
+                    ? { ...msg, isStreaming: false, citations: resolveCitations(msg.content, msg.retrieved) }
                     : msg
                 ));
               } else if (data.type === 'error') {
@@ -315,6 +323,15 @@ const RepoChatInterface = ({ repository, analysisData }) => {
     // Could add a toast notification here
   };
 
+  /**
+   * GitHub link for a citation, at the cited line range when there is one
+   */
+  const getCitationUrl = (citation) => {
+    const branch = analysisData?.branch || repository.default_branch || 'main';
+    const [, anchor] = formatAnchor(citation).split('#');
+    return `https://github.com/${repository.full_name}/blob/${branch}/${citation.filePath}${anchor ? `#${anchor}` : ''}`;
+  };
+
   const renderMessage = (message) => {
     const isUser = message.role === 'user';
 
@@ -408,9 +425,14 @@ const RepoChatInterface = ({ repository, analysisData }) => {
                   <div className="flex items-center justify-between mb-2">
                     <div className="flex items-center space-x-2">
                       <DocumentIcon className="w-4 h-4 text-blue-600 dark:text-blue-400" />
-                      <span className="text-sm font-medium text-blue-800 dark:text-blue-200">
-                        {citation.filePath}
-                      </span>
+                      <a
+                        href={getCitationUrl(citation)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-sm font-medium font-mono text-blue-800 dark:text-blue-200 hover:underline"
+                      >
+                        {formatAnchor(citation)}
+                      </a>
                       {citation.lineStart && (
                         <span className="text-xs text-blue-600 dark:text-blue-400">
                           Lines {citation.lineStart}-{citation.lineEnd || citation.lineStart}
@@ -13,7 +13,9 @@ import {
   ChartBarIcon,
   ClockIcon,
   ExclamationTriangleIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  ArrowTrendingUpIcon,
+  ArrowTrendingDownIcon
 } from '@heroicons/react/24/outline';
 import { CodeBracketSquareIcon } from '@heroicons/react/24/outline';
 import { StarIcon as StarIconSolid } from '@heroicons/react/24/solid';
@@ -36,6 +38,21 @@ const RepoOverview = ({ repository, analysisData, isAnalyzing, onRegenerateSumma
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
   };
 
+  // Latest history entry: metric changes since the previously analyzed commit
+  const history = analysisData?.history || [];
+  const latestChange = history.length > 1 ? history[history.length - 1] : null;
+
+  const renderDelta = (value, format = (v) => Math.abs(v).toLocaleString()) => {
+    if (!latestChange?.delta || !value) return null;
+    const Icon = value > 0 ? ArrowTrendingUpIcon : ArrowTrendingDownIcon;
+    return (
+      <p className={`flex items-center space-x-1 text-xs mt-1 ${value > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+        <Icon className="w-3 h-3" />
+        <span>{value > 0 ? '+' : '-'}{format(value)} since last analysis</span>
+      </p>
+    );
+  };
+
   const getLanguageColor = (language) => {
     const colors = {
       'JavaScript': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-300',
@@ -181,6 +198,7 @@ const RepoOverview = ({ repository, analysisData, isAnalyzing, onRegenerateSumma
                   <p className="text-2xl font-bold text-gray-900 dark:text-white">
                     {analysisData.metrics?.fileCount?.toLocaleString() || 0}
                   </p>
+                  {renderDelta(latestChange?.delta?.fileCount)}
                 </div>
                 <DocumentTextIcon className="w-8 h-8 text-blue-500" />
               </div>
@@ -193,6 +211,7 @@ const RepoOverview = ({ repository, analysisData, isAnalyzing, onRegenerateSumma
                   <p className="text-2xl font-bold text-gray-900 dark:text-white">
                     {analysisData.metrics?.totalLines?.toLocaleString() || 0}
                   </p>
+                  {renderDelta(latestChange?.delta?.totalLines)}
                 </div>
                 <CodeBracketIcon className="w-8 h-8 text-green-500" />
               </div>
@@ -205,6 +224,7 @@ const RepoOverview = ({ repository, analysisData, isAnalyzing, onRegenerateSumma
                   <p className="text-2xl font-bold text-gray-900 dark:text-white">
                     {analysisData.metrics?.languageCount || 0}
                   </p>
+                  {renderDelta(latestChange?.delta?.languageCount)}
                 </div>
                 <TagIcon className="w-8 h-8 text-purple-500" />
               </div>
@@ -220,6 +240,7 @@ const RepoOverview = ({ repository, analysisData, isAnalyzing, onRegenerateSumma
                       '0 B'
                     }
                   </p>
+                  {renderDelta(latestChange?.delta?.totalSize, (v) => formatFileSize(Math.abs(v)))}
                 </div>
                 <ChartBarIcon className="w-8 h-8 text-orange-500" />
               </div>
@@ -263,6 +284,44 @@ const RepoOverview = ({ repository, analysisData, isAnalyzing, onRegenerateSumma
             </div>
           )}
 
+          {/* Analysis History */}
+          {history.length > 1 && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-700">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                Analysis History
+              </h3>
+              <div className="space-y-2">
+                {history.slice(-5).reverse().map((entry) => (
+                  <div key={`${entry.commitSha}-${entry.analyzedAt}`} className="flex items-center justify-between py-2 border-b border-gray-100 dark:border-gray-700 last:border-b-0">
+                    <div className="flex items-center space-x-3 min-w-0">
+                      <ClockIcon className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium font-mono text-gray-900 dark:text-white">
+                          {entry.commitSha?.substring(0, 7) || 'unknown'}
+                        </p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {formatDate(entry.analyzedAt)} · {entry.mode === 'incremental'
+                            ? `${entry.changes?.added || 0} added, ${entry.changes?.modified || 0} modified, ${entry.changes?.removed || 0} removed`
+                            : 'full analysis'}
+                        </p>
+                      </div>
+                    </div>
+                    {entry.delta && (
+                      <div className="flex items-center space-x-4 text-sm text-gray-500 dark:text-gray-400">
+                        <span className={entry.delta.totalLines > 0 ? 'text-green-600 dark:text-green-400' : entry.delta.totalLines < 0 ? 'text-red-600 dark:text-red-400' : ''}>
+                          {entry.delta.totalLines > 0 ? '+' : ''}{entry.delta.totalLines.toLocaleString()} lines
+                        </span>
+                        <span>
+                          {entry.delta.fileCount > 0 ? '+' : ''}{entry.delta.fileCount.toLocaleString()} files
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Largest Files */}
           {analysisData.metrics?.largestFiles && analysisData.metrics.largestFiles.length > 0 && (
             <div className="bg-white dark:bg-gray-800 rounded-lg p-6 border border-gray-200 dark:border-gray-700">
@@ -68,6 +68,9 @@ export const useRepositoryData = () => {
       if (data.status === 'completed' && data.analysis) {
         // If the API returned a cached, completed analysis, update the cache with the full data.
         queryClient.setQueryData(queryKey, data.analysis);
+      } else if (data.incremental && queryClient.getQueryData(queryKey)) {
+        // Incremental re-analysis updates the same record - keep showing its current results
+        queryClient.setQueryData(queryKey, (previous) => ({ ...previous, status: data.status }));
       } else if (data.analysisId) {
         // Otherwise, if a new analysis was started, set its status to pending.
         queryClient.setQueryData(queryKey, {
@@ -8,21 +8,28 @@ import {
   Shield,
   Zap,
   Brain,
-  Plus
+  Plus,
+  Sparkles,
+  Server
 } from 'lucide-react';
 import ApiKeyInput from './ApiKeyInput';
+import EndpointConfigInput from './EndpointConfigInput';
 
 const ApiKeysSettings = () => {
   const queryClient = useQueryClient();
   
   const [apiKeys, setApiKeys] = useState({
     openai: '',
-    gemini: ''
+    gemini: '',
+    anthropic: '',
+    openaiCompatible: null
   });
   
   const [existingKeys, setExistingKeys] = useState({
     openai: false,
-    gemini: false
+    gemini: false,
+    anthropic: false,
+    openaiCompatible: false
   });
 
 
@@ -52,6 +59,33 @@ const ApiKeysSettings = () => {
       getKeyUrl: 'https://aistudio.google.com/app/apikey',
       docsUrl: 'https://ai.google.dev/docs',
       features: ['Gemini Pro', 'Vision Analysis', 'Fast Responses', 'Multimodal']
+    },
+    {
+      id: 'anthropic',
+      name: 'Anthropic',
+      description: 'Claude models for long-context reasoning, writing and coding',
+      icon: <Sparkles className="w-6 h-6" />,
+      color: 'text-orange-600 dark:text-orange-400',
+      bgColor: 'bg-orange-100 dark:bg-orange-900',
+      borderColor: 'border-orange-200 dark:border-orange-800',
+      placeholder: 'sk-ant-...',
+      getKeyUrl: 'https://console.anthropic.com/settings/keys',
+      docsUrl: 'https://docs.anthropic.com/en/api/getting-started',
+      features: ['Claude Haiku', 'Long Context', 'Code Generation', 'Tool Use']
+    },
+    {
+      id: 'openaiCompatible',
+      type: 'endpoint',
+      name: 'Local / OpenAI-compatible',
+      description: 'Any server exposing the OpenAI Chat Completions API, such as Ollama or vLLM',
+      icon: <Server className="w-6 h-6" />,
+      color: 'text-purple-600 dark:text-purple-400',
+      bgColor: 'bg-purple-100 dark:bg-purple-900',
+      borderColor: 'border-purple-200 dark:border-purple-800',
+      getKeyUrl: 'https://ollama.com/download',
+      getKeyLabel: 'Get Ollama',
+      docsUrl: 'https://github.com/ollama/ollama/blob/main/docs/openai.md',
+      features: ['Self-hosted', 'No usage cost', 'Ollama', 'vLLM']
     }
   ];
 
@@ -112,7 +146,7 @@ const ApiKeysSettings = () => {
     // Update local state
     setApiKeys(prev => ({
       ...prev,
-      [provider]: ''
+      [provider]: provider === 'openaiCompatible' ? null : ''
     }));
     
     setExistingKeys(prev => ({
@@ -134,18 +168,23 @@ const ApiKeysSettings = () => {
         const response = await fetch('/api/user/api-keys');
         if (response.ok) {
           const result = await response.json();
-          setExistingKeys({
+          const keyStatus = {
             openai: result.apiKeys.hasOpenai,
-            gemini: result.apiKeys.hasGemini
-          });
+            gemini: result.apiKeys.hasGemini,
+            anthropic: result.apiKeys.hasAnthropic,
+            openaiCompatible: result.apiKeys.hasOpenaiCompatible
+          };
+          setExistingKeys(keyStatus);
           
-          if (result.apiKeys.hasOpenai || result.apiKeys.hasGemini) {
+          if (Object.values(keyStatus).some(Boolean)) {
             const valueResponse = await fetch('/api/user/api-keys?includeValues=true');
             if (valueResponse.ok) {
               const valueResult = await valueResponse.json();
               setApiKeys({
                 openai: valueResult.apiKeys.openai || '',
-                gemini: valueResult.apiKeys.gemini || ''
+                gemini: valueResult.apiKeys.gemini || '',
+                anthropic: valueResult.apiKeys.anthropic || '',
+                openaiCompatible: valueResult.apiKeys.openaiCompatible || null
               });
             }
           }
@@ -248,7 +287,7 @@ const ApiKeysSettings = () => {
                     className="inline-flex items-center px-3 py-2 text-sm text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg transition-colors"
                   >
                     <Plus className="w-4 h-4 mr-1" />
-                    Get Key
+                    {provider.getKeyLabel || 'Get Key'}
                     <ExternalLink className="w-3 h-3 ml-1" />
                   </a>
                 </div>
@@ -257,16 +296,26 @@ const ApiKeysSettings = () => {
               {/* Individual API Key Input Component */}
               <div className="space-y-3">
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                  API Key
+                  {provider.type === 'endpoint' ? 'Endpoint' : 'API Key'}
                 </label>
-                <ApiKeyInput
-                  provider={provider.id}
-                  initialValue={currentValue}
-                  hasExistingKey={hasKey}
-                  onSave={handleSaveApiKey}
-                  onClear={handleClearApiKey}
-                  placeholder={provider.placeholder}
-                />
+                {provider.type === 'endpoint' ? (
+                  <EndpointConfigInput
+                    provider={provider.id}
+                    initialValue={currentValue}
+                    hasExistingKey={hasKey}
+                    onSave={handleSaveApiKey}
+                    onClear={handleClearApiKey}
+                  />
+                ) : (
+                  <ApiKeyInput
+                    provider={provider.id}
+                    initialValue={currentValue}
+                    hasExistingKey={hasKey}
+                    onSave={handleSaveApiKey}
+                    onClear={handleClearApiKey}
+                    placeholder={provider.placeholder}
+                  />
+                )}
               </div>
             </div>
           );
@@ -0,0 +1,263 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import {
+  Save,
+  CheckCircle,
+  AlertTriangle,
+  Trash2,
+  RefreshCw,
+  PlugZap
+} from 'lucide-react';
+
+const EMPTY_CONFIG = { baseUrl: '', model: '', apiKey: '', exclusive: false, pricePerMillionTokens: '' };
+
+/**
+ * Base URL / model / optional key form for an OpenAI-compatible endpoint
+ * (Ollama, vLLM, LM Studio...). Mirrors ApiKeyInput's save/clear behaviour.
+ */
+const EndpointConfigInput = ({
+  provider,
+  initialValue = null,
+  hasExistingKey = false,
+  onSave,
+  onClear,
+  className = ''
+}) => {
+  const [config, setConfig] = useState({ ...EMPTY_CONFIG, ...initialValue });
+  const [isLoading, setIsLoading] = useState(false);
+  const [isTesting, setIsTesting] = useState(false);
+  const [status, setStatus] = useState(null); // 'saved', 'error', 'cleared', 'tested'
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    setConfig({
+      ...EMPTY_CONFIG,
+      ...initialValue,
+      apiKey: initialValue?.apiKey || '',
+      exclusive: !!initialValue?.exclusive,
+      pricePerMillionTokens: initialValue?.pricePerMillionTokens ?? ''
+    });
+  }, [initialValue]);
+
+  const showStatus = (nextStatus, nextMessage = '') => {
+    setStatus(nextStatus);
+    setMessage(nextMessage);
+    setTimeout(() => setStatus(null), 4000);
+  };
+
+  const handleChange = (field) => (e) => {
+    setConfig(prev => ({ ...prev, [field]: e.target.value }));
+    if (status) setStatus(null);
+  };
+
+  const isComplete = config.baseUrl.trim() && config.model.trim();
+  const hasChanges = ['baseUrl', 'model', 'apiKey'].some(
+    field => (config[field] || '') !== (initialValue?.[field] || '')
+  ) || config.exclusive !== !!initialValue?.exclusive
+    || String(config.pricePerMillionTokens) !== String(initialValue?.pricePerMillionTokens ?? '');
+
+  const handleTest = async () => {
+    setIsTesting(true);
+    setStatus(null);
+
+    try {
+      const response = await fetch('/api/ai/validate-keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ apiKeys: { openaiCompatible: config } })
+      });
+      const data = await response.json();
+      const result = data.results?.openaiCompatible;
+
+      if (result?.valid) {
+        showStatus('tested', `Connected to ${result.model}`);
+      } else {
+        showStatus('error', result?.error || data.error || 'Connection failed');
+      }
+    } catch (error) {
+      showStatus('error', error.message);
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!isComplete) {
+      showStatus('error', 'Base URL and model are required');
+      return;
+    }
+
+    setIsLoading(true);
+    setStatus(null);
+
+    try {
+      await onSave(provider, {
+        baseUrl: config.baseUrl.trim(),
+        model: config.model.trim(),
+        apiKey: config.apiKey.trim(),
+        exclusive: config.exclusive,
+        pricePerMillionTokens: config.pricePerMillionTokens === '' ? null : Number(config.pricePerMillionTokens)
+      });
+      showStatus('saved', 'Endpoint saved successfully!');
+    } catch (error) {
+      console.error(`Error saving ${provider} endpoint:`, error);
+      showStatus('error', error.message || 'Failed to save endpoint. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleClear = async () => {
+    setIsLoading(true);
+    setStatus(null);
+
+    try {
+      await onClear(provider);
+      setConfig(EMPTY_CONFIG);
+      showStatus('cleared', 'Endpoint removed successfully!');
+    } catch (error) {
+      console.error(`Error clearing ${provider} endpoint:`, error);
+      showStatus('error', 'Failed to remove endpoint. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <div className="grid md:grid-cols-2 gap-3">
+        <div className="md:col-span-2">
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+            Base URL
+          </label>
+          <input
+            type="url"
+            value={config.baseUrl}
+            onChange={handleChange('baseUrl')}
+            placeholder="http://localhost:11434/v1"
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+            Model
+          </label>
+          <input
+            type="text"
+            value={config.model}
+            onChange={handleChange('model')}
+            placeholder="llama3.1:8b"
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+            API Key (optional)
+          </label>
+          <input
+            type="password"
+            value={config.apiKey}
+            onChange={handleChange('apiKey')}
+            placeholder="Leave empty for local servers"
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+            Cost per 1M tokens in USD (optional)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={config.pricePerMillionTokens}
+            onChange={handleChange('pricePerMillionTokens')}
+            placeholder="0.50"
+            className={inputClassName}
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Counts toward dollar budgets. Leave empty if the endpoint is free; token budgets apply either way.
+          </p>
+        </div>
+      </div>
+
+      <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={config.exclusive}
+          onChange={(e) => setConfig(prev => ({ ...prev, exclusive: e.target.checked }))}
+          className="mt-0.5 rounded border-gray-300 dark:border-gray-600"
+        />
+        <span>
+          Only use this endpoint
+          <span className="block text-xs text-gray-500 dark:text-gray-400">
+            Prompts are never sent to hosted providers, even when the endpoint is unavailable.
+          </span>
+        </span>
+      </label>
+
+      <div className="flex gap-2 justify-end">
+        <button
+          onClick={handleTest}
+          disabled={!isComplete || isTesting || isLoading}
+          className="inline-flex items-center px-4 py-3 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {isTesting ? (
+            <RefreshCw className="w-4 h-4 animate-spin" />
+          ) : (
+            <>
+              <PlugZap className="w-4 h-4 mr-2" />
+              Test
+            </>
+          )}
+        </button>
+
+        <button
+          onClick={handleSave}
+          disabled={!hasChanges || !isComplete || isLoading}
+          className="inline-flex items-center px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors min-w-[100px] justify-center"
+        >
+          {isLoading ? (
+            <RefreshCw className="w-4 h-4 animate-spin" />
+          ) : (
+            <>
+              <Save className="w-4 h-4 mr-2" />
+              Save
+            </>
+          )}
+        </button>
+
+        {hasExistingKey && (
+          <button
+            onClick={handleClear}
+            disabled={isLoading}
+            className="inline-flex items-center px-3 py-3 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+            title="Remove endpoint"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {status && (
+        <div className={`flex items-center space-x-2 text-sm ${
+          status === 'error'
+            ? 'text-red-700 dark:text-red-300'
+            : 'text-green-700 dark:text-green-300'
+        }`}>
+          {status === 'error' ? (
+            <AlertTriangle className="w-4 h-4" />
+          ) : (
+            <CheckCircle className="w-4 h-4" />
+          )}
+          <span>{message}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EndpointConfigInput;
@@ -141,6 +141,9 @@ const AgentPipeline = ({
           <div className="flex items-center gap-4 text-sm text-blue-600 dark:text-blue-300 mt-2">
             <span>👥 {agents.length} agents</span>
             <span>🔄 {agents.filter(a => a.status === 'active').length} active</span>
+            {agents.filter(a => a.status === 'active').length > 1 && (
+              <span>🔀 running in parallel</span>
+            )}
             <span>✅ {agents.filter(a => a.status === 'completed').length} completed</span>
             {agents.filter(a => a.status === 'waiting_for_input').length > 0 && (
               <span>⏳ {agents.filter(a => a.status === 'waiting_for_input').length} waiting for input</span>
@@ -203,6 +206,11 @@ const AgentPipeline = ({
                           STEP {String(index + 1).padStart(2, '0')}
                           {totalWorkflowSteps && ` of ${totalWorkflowSteps}`}
                         </div>
+                        {agent.parallelGroup && (
+                          <div className="text-xs text-indigo-500 dark:text-indigo-300 mt-1">
+                            🔀 {agent.parallelGroup.replace(/_/g, ' ')}
+                          </div>
+                        )}
                       </div>
                       
                       {/* Enhanced Status indicator */}
@@ -0,0 +1,168 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+import SideBySideDiff from './SideBySideDiff';
+
+/**
+ * Version list and side-by-side diff for one workflow artifact, with restore-to-version
+ * Used by BmadDocumentViewer's History tab.
+ */
+export default function ArtifactVersionHistory({ workflowId, artifactName, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const baseUrl = `/api/workflows/${encodeURIComponent(workflowId)}/artifacts/${encodeURIComponent(artifactName)}`;
+
+  const loadVersions = useCallback(async () => {
+    setError(null);
+    try {
+      const response = await fetch(`${baseUrl}/versions`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load versions');
+
+      setVersions(data.versions);
+      const latest = data.versions[0]?.version ?? null;
+      setToVersion(latest);
+      setFromVersion(data.versions[1]?.version ?? latest);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  }, [baseUrl]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  useEffect(() => {
+    if (!fromVersion || !toVersion) {
+      setDiff(null);
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    fetch(`${baseUrl}/diff?from=${fromVersion}&to=${toVersion}`)
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load diff');
+        if (!cancelled) setDiff(data);
+      })
+      .catch(diffError => !cancelled && setError(diffError.message))
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => { cancelled = true; };
+  }, [baseUrl, fromVersion, toVersion]);
+
+  const handleRestore = async (version) => {
+    setIsRestoring(true);
+    setError(null);
+    try {
+      const response = await fetch(`${baseUrl}/versions/${version}/restore`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to restore version');
+
+      const restored = await fetch(`${baseUrl}/versions/${data.version}`).then(res => res.json());
+      await loadVersions();
+      onRestored?.(restored.version?.content ?? '', data.version);
+    } catch (restoreError) {
+      setError(restoreError.message);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const latestVersion = versions[0]?.version;
+  const formatVersion = (version) => {
+    const author = version.author?.name || version.author?.id || version.author?.type;
+    return `v${version.version} • ${author}${version.reason ? ` • ${version.reason}` : ''}`;
+  };
+
+  if (versions.length === 0) {
+    return (
+      <div className="p-6 text-sm text-gray-500">
+        {error || 'No saved versions yet.'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full flex">
+      {/* Version list */}
+      <div className="w-72 border-r border-gray-200 overflow-y-auto">
+        {versions.map(version => (
+          <div
+            key={version.version}
+            className={`px-4 py-3 border-b border-gray-100 ${version.version === fromVersion ? 'bg-blue-50' : ''}`}
+          >
+            <button onClick={() => setFromVersion(version.version)} className="w-full text-left">
+              <div className="text-sm font-medium text-gray-900">
+                v{version.version}
+                {version.version === latestVersion && <span className="ml-2 text-xs text-green-700">current</span>}
+              </div>
+              <div className="text-xs text-gray-500">
+                {version.author?.type === 'agent' ? '🤖' : '👤'} {version.author?.name || version.author?.id || version.author?.type}
+                {version.stepName && ` • ${version.stepName}`}
+              </div>
+              {version.reason && <div className="text-xs text-gray-600 mt-0.5">{version.reason}</div>}
+              <div className="text-xs text-gray-400 mt-0.5">{new Date(version.createdAt).toLocaleString()}</div>
+            </button>
+            {version.version !== latestVersion && (
+              <button
+                onClick={() => handleRestore(version.version)}
+                disabled={isRestoring}
+                className="mt-2 px-2 py-1 text-xs font-medium text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 flex items-center space-x-1"
+              >
+                <ArrowUturnLeftIcon className="w-3 h-3" />
+                <span>{isRestoring ? 'Restoring...' : `Restore v${version.version}`}</span>
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Side-by-side diff */}
+      <div className="flex-1 flex flex-col overflow-hidden">
+        <div className="flex items-center space-x-3 px-4 py-2 border-b border-gray-200 text-sm">
+          <select
+            value={fromVersion ?? ''}
+            onChange={(e) => setFromVersion(Number(e.target.value))}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          >
+            {versions.map(version => <option key={version.version} value={version.version}>{formatVersion(version)}</option>)}
+          </select>
+          <span className="text-gray-400">→</span>
+          <select
+            value={toVersion ?? ''}
+            onChange={(e) => setToVersion(Number(e.target.value))}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          >
+            {versions.map(version => <option key={version.version} value={version.version}>{formatVersion(version)}</option>)}
+          </select>
+          {diff && (
+            <span className="text-xs text-gray-500">
+              <span className="text-green-700">+{diff.stats.added}</span>{' '}
+              <span className="text-red-700">-{diff.stats.removed}</span>{' '}
+              <span className="text-amber-700">~{diff.stats.changed}</span>
+            </span>
+          )}
+        </div>
+
+        {error && <div className="px-4 py-2 text-sm text-red-700 bg-red-50">{error}</div>}
+
+        <div className="flex-1 overflow-auto">
+          {isLoading && !diff ? (
+            <div className="p-6 text-sm text-gray-500">Loading diff...</div>
+          ) : diff && (
+            <SideBySideDiff rows={diff.rows} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
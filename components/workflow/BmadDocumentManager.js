@@ -466,6 +466,7 @@ const BmadDocumentManager = ({
     {/* Document Viewer Modal */}
     <BmadDocumentViewer
       document={selectedDocument}
+      workflowId={workflowId}
       isOpen={showDocumentViewer}
       onClose={() => {
         setShowDocumentViewer(false);
@@ -29,6 +29,8 @@ const BmadDocumentSharding = ({
   const [shardingResult, setShardingResult] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('available');
+  const [headingDepth, setHeadingDepth] = useState(2);
+  const [reassemblingGroup, setReassemblingGroup] = useState(null);
 
   useEffect(() => {
     loadDocuments();
@@ -71,7 +73,8 @@ const BmadDocumentSharding = ({
         body: JSON.stringify({
           documentPath: document.path,
           documentName: document.name,
-          outputDirectory: `docs/${document.name.replace('.md', '')}`
+          outputDirectory: `docs/${document.name.replace('.md', '')}`,
+          headingDepth
         })
       });
 
@@ -82,6 +85,7 @@ const BmadDocumentSharding = ({
           success: true,
           message: result.message || 'Document sharded successfully',
           shardedFiles: result.shardedFiles || [],
+          shards: result.shards || [],
           outputDirectory: result.outputDirectory
         });
 
@@ -108,6 +112,30 @@ const BmadDocumentSharding = ({
     }
   };
 
+  // Rebuild the original document from its shards and download it
+  const handleReassemble = async (shardGroup) => {
+    setReassemblingGroup(shardGroup.name);
+    try {
+      const response = await fetch(`/api/bmad/documents/sharded?group=${encodeURIComponent(shardGroup.name)}`);
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.details || result.error || 'Failed to reassemble document');
+      }
+
+      const url = URL.createObjectURL(new Blob([result.content], { type: 'text/markdown' }));
+      const link = window.document.createElement('a');
+      link.href = url;
+      link.download = result.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error reassembling document:', error);
+      alert(`Could not reassemble ${shardGroup.name}: ${error.message}`);
+    } finally {
+      setReassemblingGroup(null);
+    }
+  };
+
   const getDocumentIcon = (document) => {
     if (document.name.includes('prd')) return '📋';
     if (document.name.includes('architecture')) return '🏗️';
@@ -224,12 +252,28 @@ const BmadDocumentSharding = ({
                 <div className="w-10 h-10 bg-green-50 dark:bg-green-900/30 rounded-lg flex items-center justify-center">
                   <FolderOpen className="w-5 h-5 text-green-600 dark:text-green-400" />
                 </div>
-                <div>
-                  <div className="text-lg">{shardGroup.name}</div>
+                <div className="flex-1">
+                  <div className="text-lg">{shardGroup.displayName || shardGroup.name}</div>
                   <div className="text-sm font-normal text-gray-600 dark:text-gray-400">
                     {shardGroup.shards?.length || 0} sharded pieces
+                    {shardGroup.headingDepth && ` · split to H${shardGroup.headingDepth}`}
                   </div>
                 </div>
+                {shardGroup.reassemblable && (
+                  <button
+                    onClick={() => handleReassemble(shardGroup)}
+                    disabled={reassemblingGroup === shardGroup.name}
+                    className="px-3 py-2 text-sm font-normal border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors flex items-center gap-2"
+                    title="Download the original document rebuilt from its shards"
+                  >
+                    {reassemblingGroup === shardGroup.name ? (
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                    ) : (
+                      <Download className="w-4 h-4" />
+                    )}
+                    Reassemble
+                  </button>
+                )}
               </CardTitle>
             </CardHeader>
             <CardContent>
@@ -242,11 +286,11 @@ const BmadDocumentSharding = ({
                     <div className="flex items-start gap-2">
                       <File className="w-4 h-4 text-blue-500 mt-1 flex-shrink-0" />
                       <div className="flex-1 min-w-0">
-                        <div className="text-sm font-medium text-gray-800 dark:text-white truncate">
-                          {shard.name}
+                        <div className="text-sm font-medium text-gray-800 dark:text-white truncate" title={shard.name}>
+                          {shard.title || shard.name}
                         </div>
                         <div className="text-xs text-gray-600 dark:text-gray-400">
-                          {shard.type || 'Section'}
+                          {shard.level ? `H${shard.level} · ` : ''}{shard.type || 'Section'}
                         </div>
                       </div>
                     </div>
@@ -300,7 +344,11 @@ const BmadDocumentSharding = ({
               <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-3">
                 <ul className="text-sm space-y-1">
                   {shardingResult.shardedFiles.map((file, index) => (
-                    <li key={index} className="flex items-center gap-2 text-gray-600 dark:text-gray-400">
+                    <li
+                      key={index}
+                      className="flex items-center gap-2 text-gray-600 dark:text-gray-400"
+                      style={{ paddingLeft: `${Math.max(0, (shardingResult.shards[index]?.level || 2) - 2)}rem` }}
+                    >
                       <ArrowRight className="w-3 h-3" />
                       {file}
                     </li>
@@ -372,7 +420,19 @@ const BmadDocumentSharding = ({
               Sharded Documents
             </button>
             
-            <div className="ml-auto">
+            <div className="ml-auto flex items-center gap-2">
+              {activeTab === 'available' && (
+                <select
+                  value={headingDepth}
+                  onChange={(e) => setHeadingDepth(Number(e.target.value))}
+                  className="text-sm border border-gray-300 dark:border-gray-600 rounded-lg px-2 py-1 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+                  title="Deepest heading level that starts a new shard"
+                >
+                  <option value={2}>Split at H2</option>
+                  <option value={3}>Split at H2-H3</option>
+                  <option value={4}>Split at H2-H4</option>
+                </select>
+              )}
               <button
                 onClick={loadDocuments}
                 disabled={loading}
@@ -8,24 +8,29 @@ import {
   ArrowDownTrayIcon,
   XMarkIcon,
   CheckIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
 import ReactMarkdown from 'react-markdown';
+import ArtifactVersionHistory from './ArtifactVersionHistory';
 
 /**
  * BMAD Document Viewer Component
  * 
  * Displays generated BMAD documents inline with editing capabilities
  * Supports markdown rendering, validation feedback, and export options
+ * With a workflowId, the History tab lists saved versions with a side-by-side diff and restore
  */
 export default function BmadDocumentViewer({ 
   document, 
+  workflowId,
   onClose, 
   onSave, 
   onValidate,
   onExport,
+  onRestore,
   isOpen = false,
-  mode = 'view' // 'view' | 'edit'
+  mode = 'view' // 'view' | 'edit' | 'history'
 }) {
   const [viewMode, setViewMode] = useState(mode);
   const [content, setContent] = useState(document?.content || '');
@@ -60,6 +65,12 @@ export default function BmadDocumentViewer({
     }
   };
 
+  const handleRestored = (restoredContent, version) => {
+    setContent(restoredContent);
+    setHasUnsavedChanges(false);
+    onRestore?.(document.id, restoredContent, version);
+  };
+
   const handleValidate = async () => {
     setIsValidating(true);
     try {
@@ -153,6 +164,19 @@ export default function BmadDocumentViewer({
                   <PencilIcon className="w-4 h-4" />
                   <span>Edit</span>
                 </button>
+                {workflowId && (
+                  <button
+                    onClick={() => setViewMode('history')}
+                    className={`px-3 py-1.5 text-sm font-medium flex items-center space-x-1 border-l ${
+                      viewMode === 'history'
+                        ? 'bg-blue-50 text-blue-700 border-blue-200'
+                        : 'text-gray-700 hover:bg-gray-50 border-gray-200'
+                    }`}
+                  >
+                    <ClockIcon className="w-4 h-4" />
+                    <span>History</span>
+                  </button>
+                )}
               </div>
 
               {/* Action Buttons */}
@@ -227,7 +251,13 @@ export default function BmadDocumentViewer({
 
           {/* Content */}
           <div className="flex-1 overflow-hidden">
-            {viewMode === 'view' ? (
+            {viewMode === 'history' && workflowId ? (
+              <ArtifactVersionHistory
+                workflowId={workflowId}
+                artifactName={document.id}
+                onRestored={handleRestored}
+              />
+            ) : viewMode === 'view' ? (
               <div className="h-full overflow-y-auto p-6">
                 <div className="prose prose-blue max-w-none">
                   <ReactMarkdown>{content}</ReactMarkdown>
@@ -9,7 +9,6 @@ import {
   Clock, 
   User, 
   Code, 
-  TestTube,
   Eye,
   ArrowRight,
   Loader2,
@@ -19,6 +18,7 @@ import {
 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '../common/Card';
 import { Badge } from '../common/Badge';
+import { StoryStatusTransitions } from '../../lib/bmad/types.js';
 
 const STORY_STATUSES = {
   'draft': {
@@ -26,8 +26,8 @@ const STORY_STATUSES = {
     color: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
     icon: Edit
   },
-  'ready': {
-    label: 'Ready for Dev',
+  'approved': {
+    label: 'Approved',
     color: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
     icon: Clock
   },
@@ -36,25 +36,15 @@ const STORY_STATUSES = {
     color: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
     icon: Code
   },
-  'ready_for_review': {
-    label: 'Ready for Review',
+  'review': {
+    label: 'In Review',
     color: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300',
     icon: Eye
   },
-  'in_qa': {
-    label: 'In QA',
-    color: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300',
-    icon: TestTube
-  },
-  'completed': {
-    label: 'Completed',
+  'done': {
+    label: 'Done',
     color: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
     icon: CheckCircle
-  },
-  'blocked': {
-    label: 'Blocked',
-    color: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
-    icon: Clock
   }
 };
 
@@ -84,8 +74,7 @@ const BmadStoryManager = ({
       }
     } catch (error) {
       console.error('Error loading stories:', error);
-      // Load sample stories for demo
-      setStories(getSampleStories());
+      setStories([]);
     } finally {
       setLoading(false);
     }
@@ -127,13 +116,12 @@ const BmadStoryManager = ({
 
       if (response.ok) {
         await loadStories(); // Reload stories
+      } else {
+        const result = await response.json();
+        alert(`❌ ${result.error || 'Failed to update story status'}`);
       }
     } catch (error) {
       console.error('Error updating story status:', error);
-      // Update locally for demo
-      setStories(prev => prev.map(story => 
-        story.id === storyId ? { ...story, status: newStatus } : story
-      ));
     }
   };
 
@@ -396,10 +384,7 @@ const CreateStoryModal = ({ onClose, onCreate }) => {
     if (formData.title.trim()) {
       onCreate({
         ...formData,
-        id: `story_${Date.now()}`,
         status: 'draft',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
         acceptanceCriteria: formData.acceptanceCriteria.filter(ac => ac.trim())
       });
     }
@@ -553,6 +538,8 @@ const StoryDetailsModal = ({ story, onClose, onStatusUpdate }) => {
               <div className="flex flex-wrap gap-2">
                 {Object.entries(STORY_STATUSES).map(([status, info]) => {
                   const Icon = info.icon;
+                  // Only the next steps of the story lifecycle are available
+                  const reachable = (StoryStatusTransitions[story.status] || []).includes(status);
                   return (
                     <button
                       key={status}
@@ -560,7 +547,7 @@ const StoryDetailsModal = ({ story, onClose, onStatusUpdate }) => {
                         onStatusUpdate(story.id, status);
                         onClose();
                       }}
-                      disabled={story.status === status}
+                      disabled={!reachable}
                       className={`px-3 py-2 rounded-lg text-sm transition-colors flex items-center gap-1 ${
                         story.status === status
                           ? info.color
@@ -581,60 +568,4 @@ const StoryDetailsModal = ({ story, onClose, onStatusUpdate }) => {
   );
 };
 
-// Sample data for demo
-function getSampleStories() {
-  return [
-    {
-      id: 'story-1',
-      title: 'User Registration with Email Validation',
-      description: 'As a new user, I want to register with email validation so that I can securely access the application.',
-      status: 'completed',
-      epicName: 'User Authentication',
-      storyPoints: 5,
-      assignee: 'James (Dev)',
-      createdAt: '2024-01-15T10:00:00Z',
-      updatedAt: '2024-01-20T15:30:00Z',
-      acceptanceCriteria: [
-        'User can enter email, password, and confirm password',
-        'Email validation is performed client-side and server-side',
-        'Confirmation email is sent to user',
-        'Account is activated only after email confirmation'
-      ]
-    },
-    {
-      id: 'story-2',
-      title: 'User Login with JWT Authentication',
-      description: 'As a registered user, I want to login with my credentials so that I can access my personal tasks.',
-      status: 'in_development',
-      epicName: 'User Authentication',
-      storyPoints: 3,
-      assignee: 'James (Dev)',
-      createdAt: '2024-01-16T09:00:00Z',
-      updatedAt: '2024-01-22T11:45:00Z',
-      acceptanceCriteria: [
-        'User can login with email and password',
-        'JWT token is generated and stored securely',
-        'Invalid credentials show appropriate error message',
-        'User is redirected to dashboard after successful login'
-      ]
-    },
-    {
-      id: 'story-3',
-      title: 'Password Reset Functionality',
-      description: 'As a user, I want to reset my password if I forget it so that I can regain access to my account.',
-      status: 'ready',
-      epicName: 'User Authentication',
-      storyPoints: 8,
-      createdAt: '2024-01-17T14:00:00Z',
-      updatedAt: '2024-01-22T16:20:00Z',
-      acceptanceCriteria: [
-        'User can request password reset via email',
-        'Reset link is sent to user email',
-        'Reset link expires after 24 hours',
-        'User can set new password using valid reset link'
-      ]
-    }
-  ];
-}
-
-export default BmadStoryManager;
\ No newline at end of file
+export default BmadStoryManager;
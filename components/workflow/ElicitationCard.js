@@ -73,11 +73,15 @@ const ElicitationCard = memo(({
             <div className="mb-6">
               <h5 className="text-md font-semibold text-gray-900 dark:text-gray-100 mb-2">Options:</h5>
               <ul className="list-none p-0 m-0">
-                {elicitationPrompt.options.map(option => (
-                  <li key={option.number} className="mb-1 text-gray-700 dark:text-gray-300">
-                    <strong>{option.number}.</strong> {option.text}
-                  </li>
-                ))}
+                {elicitationPrompt.options.map((option, index) => {
+                  // Persisted cards (budget, remediation, approval) store options as plain strings
+                  const { number, text } = typeof option === 'string' ? { number: index + 1, text: option } : option;
+                  return (
+                    <li key={number} className="mb-1 text-gray-700 dark:text-gray-300">
+                      <strong>{number}.</strong> {text}
+                    </li>
+                  );
+                })}
               </ul>
             </div>
           )}
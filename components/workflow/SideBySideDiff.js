@@ -0,0 +1,32 @@
+'use client';
+
+const ROW_STYLES = {
+  equal: { left: '', right: '' },
+  removed: { left: 'bg-red-50 text-red-900', right: 'bg-gray-50' },
+  added: { left: 'bg-gray-50', right: 'bg-green-50 text-green-900' },
+  changed: { left: 'bg-red-50 text-red-900', right: 'bg-green-50 text-green-900' }
+};
+
+/**
+ * Side-by-side table for the rows produced by lib/utils/textDiff.js diffText
+ */
+export default function SideBySideDiff({ rows = [] }) {
+  return (
+    <table className="w-full table-fixed font-mono text-xs">
+      <tbody>
+        {rows.map((row, index) => (
+          <tr key={index}>
+            <td className="w-10 px-2 text-right text-gray-400 select-none align-top">{row.left?.number}</td>
+            <td className={`px-2 whitespace-pre-wrap break-words align-top border-r border-gray-200 ${ROW_STYLES[row.type].left}`}>
+              {row.left?.text}
+            </td>
+            <td className="w-10 px-2 text-right text-gray-400 select-none align-top">{row.right?.number}</td>
+            <td className={`px-2 whitespace-pre-wrap break-words align-top ${ROW_STYLES[row.type].right}`}>
+              {row.right?.text}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,104 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import SideBySideDiff from './SideBySideDiff';
+
+const STATUS_LABELS = {
+  same: { label: 'same', className: 'text-gray-500' },
+  changed: { label: 'changed', className: 'text-amber-700' },
+  only_left: { label: 'only in parent', className: 'text-red-700' },
+  only_right: { label: 'only in fork', className: 'text-green-700' }
+};
+
+/**
+ * Side-by-side comparison of two workflow runs (parent on the left, fork on the right)
+ * Lists every artifact with its status; selecting a changed one shows the line diff.
+ */
+export default function WorkflowForkComparison({ leftWorkflowId, rightWorkflowId }) {
+  const [comparison, setComparison] = useState(null);
+  const [selectedArtifact, setSelectedArtifact] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const query = new URLSearchParams({ with: rightWorkflowId });
+    if (selectedArtifact) query.set('artifact', selectedArtifact);
+
+    setIsLoading(true);
+    setError(null);
+    fetch(`/api/workflows/${encodeURIComponent(leftWorkflowId)}/compare?${query}`)
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to compare workflows');
+        if (!cancelled) setComparison(data);
+      })
+      .catch(compareError => !cancelled && setError(compareError.message))
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => { cancelled = true; };
+  }, [leftWorkflowId, rightWorkflowId, selectedArtifact]);
+
+  if (!comparison) {
+    return (
+      <div className="p-4 text-sm text-gray-500">
+        {error || (isLoading ? 'Comparing workflows...' : 'Nothing to compare.')}
+      </div>
+    );
+  }
+
+  const selected = comparison.artifacts.find(artifact => artifact.artifactName === selectedArtifact);
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden">
+      <div className="grid grid-cols-2 text-sm border-b border-gray-200 bg-gray-50">
+        {[comparison.left, comparison.right].map(workflow => (
+          <div key={workflow.workflowId} className="px-3 py-2">
+            <div className="font-medium text-gray-900">{workflow.title}</div>
+            <div className="text-xs text-gray-500">
+              {workflow.status} • step {Math.min(workflow.currentStep + 1, workflow.totalSteps)}/{workflow.totalSteps}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {comparison.divergedAtStep !== null && (
+        <div className="px-3 py-1.5 text-xs text-gray-600 border-b border-gray-200">
+          Runs share everything before step {comparison.divergedAtStep + 1}
+        </div>
+      )}
+
+      {error && <div className="px-3 py-2 text-sm text-red-700 bg-red-50">{error}</div>}
+
+      <ul className="divide-y divide-gray-100 text-sm">
+        {comparison.artifacts.map(artifact => (
+          <li key={artifact.artifactName}>
+            <button
+              onClick={() => setSelectedArtifact(artifact.status === 'changed' ? artifact.artifactName : null)}
+              disabled={artifact.status !== 'changed'}
+              className={`w-full flex items-center justify-between px-3 py-2 text-left ${
+                artifact.artifactName === selectedArtifact ? 'bg-blue-50' : 'hover:bg-gray-50'
+              }`}
+            >
+              <span className="font-mono text-xs text-gray-800">{artifact.artifactName}</span>
+              <span className="text-xs">
+                <span className={STATUS_LABELS[artifact.status].className}>{STATUS_LABELS[artifact.status].label}</span>
+                {artifact.stats && artifact.status === 'changed' && (
+                  <span className="ml-2 text-gray-500">
+                    +{artifact.stats.added} -{artifact.stats.removed} ~{artifact.stats.changed}
+                  </span>
+                )}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {selected?.rows && (
+        <div className="max-h-96 overflow-auto border-t border-gray-200">
+          <SideBySideDiff rows={selected.rows} />
+        </div>
+      )}
+    </div>
+  );
+}
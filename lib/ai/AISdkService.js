@@ -4,14 +4,33 @@
  * Integrates with existing AIService architecture
  */
 
-import { generateText, streamText, generateObject, stepCountIs } from 'ai';
-import { openai } from '@ai-sdk/openai';
+import { generateText, streamText, generateObject, stepCountIs, embedMany } from 'ai';
+import { openai, createOpenAI } from '@ai-sdk/openai';
 import { createGoogleGenerativeAI } from '@ai-sdk/google';
+import { createAnthropic } from '@ai-sdk/anthropic';
 import logger from '../utils/logger.js';
+import { EndpointGuard } from './utils/EndpointGuard.js';
+
+// Default model per provider; openaiCompatible uses the model configured with its base URL
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash',
+  openai: 'gpt-3.5-turbo',
+  anthropic: 'claude-3-5-haiku-latest'
+};
+
+// Order used by 'auto' provider selection - a configured self-hosted endpoint is preferred
+const AUTO_PRIORITY = ['openaiCompatible', 'gemini', 'openai', 'anthropic'];
+
+// Embedding models (Anthropic has no embeddings API)
+const EMBEDDING_MODELS = {
+  openai: 'text-embedding-3-small',
+  gemini: 'text-embedding-004'
+};
 
 export class AISdkService {
   constructor(apiKeys = {}) {
     this.providers = {};
+    this.embeddingProviders = {};
     this.currentApiKeys = apiKeys;
     this.initialized = false;
     
@@ -23,19 +42,47 @@ export class AISdkService {
       // Store API keys for provider configuration
       this.apiKeys = apiKeys;
 
+      // An exclusive endpoint is the only provider, so prompts and embeddings never leave it
+      const exclusive = !!(apiKeys.openaiCompatible?.baseUrl && apiKeys.openaiCompatible.exclusive);
+      if (exclusive) {
+        logger.info('🔒 OpenAI-compatible endpoint is exclusive - other providers are not initialized');
+      }
+
       // Set up provider functions with API keys
-      if (apiKeys.openai) {
+      if (apiKeys.openai && !exclusive) {
         this.providers.openai = (modelName) => openai(modelName, { apiKey: apiKeys.openai });
+        const openaiProvider = createOpenAI({ apiKey: apiKeys.openai });
+        this.embeddingProviders.openai = (modelName) => openaiProvider.textEmbeddingModel(modelName);
         logger.info('✅ AI SDK OpenAI provider initialized');
       }
 
-      if (apiKeys.gemini) {
+      if (apiKeys.gemini && !exclusive) {
         logger.info(`🔑 Initializing Gemini provider with API key: ${apiKeys.gemini.substring(0, 10)}...`);
         const googleProvider = createGoogleGenerativeAI({ apiKey: apiKeys.gemini });
         this.providers.gemini = (modelName) => googleProvider(modelName);
+        this.embeddingProviders.gemini = (modelName) => googleProvider.textEmbeddingModel(modelName);
         logger.info('✅ AI SDK Gemini provider initialized');
       }
 
+      if (apiKeys.anthropic && !exclusive) {
+        const anthropicProvider = createAnthropic({ apiKey: apiKeys.anthropic });
+        this.providers.anthropic = (modelName) => anthropicProvider(modelName);
+        logger.info('✅ AI SDK Anthropic provider initialized');
+      }
+
+      if (apiKeys.openaiCompatible?.baseUrl) {
+        const compatibleProvider = createOpenAI({
+          baseURL: apiKeys.openaiCompatible.baseUrl,
+          apiKey: apiKeys.openaiCompatible.apiKey || 'not-required',
+          name: 'openai-compatible',
+          // The address is checked again here, as the host may resolve elsewhere than when it was saved
+          fetch: EndpointGuard.guardedFetch(apiKeys.openaiCompatible.baseUrl)
+        });
+        // Chat Completions is the API local servers actually implement
+        this.providers.openaiCompatible = (modelName) => compatibleProvider.chat(modelName);
+        logger.info(`✅ AI SDK OpenAI-compatible provider initialized (${apiKeys.openaiCompatible.baseUrl})`);
+      }
+
       this.initialized = Object.keys(this.providers).length > 0;
       
       if (!this.initialized) {
@@ -47,63 +94,85 @@ export class AISdkService {
     }
   }
 
-  getModel(providerName = 'auto') {
+  /**
+   * @param {string} providerName - 'auto' or a configured provider
+   * @param {string} [modelId] - Model override (e.g. from the routing policy)
+   */
+  getModel(providerName = 'auto', modelId = null) {
     if (!this.initialized) {
       throw new Error('AI SDK service not initialized');
     }
 
-    // Auto-select provider based on availability (prefer Gemini, fallback to OpenAI)
+    // Auto-select provider based on availability (see AUTO_PRIORITY)
     if (providerName === 'auto') {
-      if (this.providers.gemini) {
-        logger.info('🔑 Getting Gemini model with provider function');
-        return this.providers.gemini('gemini-2.5-flash');
-      } else if (this.providers.openai) {
-        logger.info('🔑 Getting OpenAI model with provider function');
-        return this.providers.openai('gpt-3.5-turbo');
+      const available = this.resolveProviderName('auto');
+      if (available === 'unknown') {
+        throw new Error('No AI providers available');
       }
-      throw new Error('No AI providers available');
+      logger.info(`🔑 Getting ${available} model with provider function`);
+      return this.providers[available](modelId || this.getModelName(available));
     }
 
     // Specific provider selection
     switch (providerName) {
       case 'openai':
         if (!this.providers.openai) throw new Error('OpenAI provider not available');
-        return this.providers.openai('gpt-3.5-turbo');
+        return this.providers.openai(modelId || this.getModelName('openai'));
       
       case 'gemini':
         if (!this.providers.gemini) throw new Error('Gemini provider not available');
-        return this.providers.gemini('gemini-2.5-flash');
+        return this.providers.gemini(modelId || this.getModelName('gemini'));
+
+      case 'anthropic':
+        if (!this.providers.anthropic) throw new Error('Anthropic provider not available');
+        return this.providers.anthropic(modelId || this.getModelName('anthropic'));
+
+      case 'openaiCompatible':
+        if (!this.providers.openaiCompatible) throw new Error('OpenAI-compatible provider not available');
+        return this.providers.openaiCompatible(modelId || this.getModelName('openaiCompatible'));
       
       default:
         throw new Error(`Unknown provider: ${providerName}`);
     }
   }
 
+  /**
+   * Model used for a provider when none is requested explicitly
+   */
+  getModelName(providerName) {
+    if (providerName === 'openaiCompatible') {
+      return this.apiKeys.openaiCompatible?.model;
+    }
+    return DEFAULT_MODELS[providerName];
+  }
+
+  /**
+   * Resolve 'auto' to the first available provider
+   */
+  resolveProviderName(providerName = 'auto') {
+    if (providerName !== 'auto') {
+      return providerName;
+    }
+    return AUTO_PRIORITY.find(name => this.providers[name]) || 'unknown';
+  }
+
   /**
    * Generate text response using AI SDK
    */
   async generateText(prompt, options = {}) {
     try {
-      const model = this.getModel(options.provider);
+      const { provider: providerName, modelId, ...sdkOptions } = options;
+      const model = this.getModel(providerName, modelId);
       
       const result = await generateText({
         model,
         prompt,
         maxTokens: options.maxTokens || 4000,
         temperature: options.temperature || 0.7,
-        ...options
+        ...sdkOptions
       });
 
-      let provider = options.provider;
-      if (provider === 'auto') {
-        if (this.providers.gemini) {
-          provider = 'gemini';
-        } else if (this.providers.openai) {
-          provider = 'openai';
-        } else {
-          provider = 'unknown';
-        }
-      }
+      const provider = this.resolveProviderName(providerName);
 
       logger.info('📝 AI SDK text generation completed:', {
         provider: provider,
@@ -115,6 +184,7 @@ export class AISdkService {
       return {
         content: result.text,
         provider: provider,
+        model: model.modelId,
         usage: result.usage,
         finishReason: result.finishReason
       };
@@ -133,7 +203,8 @@ export class AISdkService {
    */
   async generateObject(prompt, schema, options = {}) {
     try {
-      const model = this.getModel(options.provider);
+      const { provider: providerName, modelId, ...sdkOptions } = options;
+      const model = this.getModel(providerName, modelId);
       
       const result = await generateObject({
         model,
@@ -141,19 +212,10 @@ export class AISdkService {
         schema,
         maxTokens: options.maxTokens || 4000,
         temperature: options.temperature || 0.3, // Lower temp for structured output
-        ...options
+        ...sdkOptions
       });
 
-      let provider = options.provider;
-      if (provider === 'auto') {
-        if (this.providers.gemini) {
-          provider = 'gemini';
-        } else if (this.providers.openai) {
-          provider = 'openai';
-        } else {
-          provider = 'unknown';
-        }
-      }
+      const provider = this.resolveProviderName(providerName);
 
       logger.info('🏗️ AI SDK object generation completed:', {
         provider: provider,
@@ -178,9 +240,10 @@ export class AISdkService {
    */
   async generateWithTools(messages, tools, options = {}) {
     try {
-      const model = this.getModel(options.provider);
+      const { provider: providerName, modelId, ...sdkOptions } = options;
+      const model = this.getModel(providerName, modelId);
 
-      logger.info(`🛠️ Generating with tools using ${options.provider || 'auto'} provider`);
+      logger.info(`🛠️ Generating with tools using ${providerName || 'auto'} provider (${model.modelId})`);
 
       const result = await generateText({
         model,
@@ -189,7 +252,7 @@ export class AISdkService {
         maxTokens: options.maxTokens || 4000,
         temperature: options.temperature || 0.7,
         stopWhen: stepCountIs(5), // Allow up to 5 tool execution rounds (AI SDK v5 syntax)
-        ...options
+        ...sdkOptions
       });
 
       logger.info(`✅ Tool generation completed with ${result.toolCalls?.length || 0} tool calls, ${result.steps?.length || 1} steps`);
@@ -198,6 +261,8 @@ export class AISdkService {
         text: result.text,
         content: result.text, // Add content alias for compatibility
         toolCalls: result.toolCalls || [],
+        provider: this.resolveProviderName(providerName),
+        model: model.modelId,
         usage: result.usage || {},
         finishReason: result.finishReason,
         steps: result.steps || []
@@ -213,13 +278,44 @@ export class AISdkService {
    * Update API keys and reinitialize providers
    */
   updateApiKeys(newApiKeys) {
-    logger.info(`🔑 AISdkService.updateApiKeys called with: gemini=${!!newApiKeys.gemini}, openai=${!!newApiKeys.openai}`);
+    logger.info(`🔑 AISdkService.updateApiKeys called with: gemini=${!!newApiKeys.gemini}, openai=${!!newApiKeys.openai}, anthropic=${!!newApiKeys.anthropic}, openaiCompatible=${!!newApiKeys.openaiCompatible}`);
     this.currentApiKeys = { ...this.currentApiKeys, ...newApiKeys };
-    logger.info(`🔑 Current keys after update: gemini=${!!this.currentApiKeys.gemini}, openai=${!!this.currentApiKeys.openai}`);
+    this.providers = {};
+    this.embeddingProviders = {};
     this.initializeProviders(this.currentApiKeys);
     logger.info('🔄 AI SDK providers updated with new API keys');
   }
 
+  /**
+   * Check if any configured provider can embed text
+   */
+  supportsEmbeddings() {
+    return Object.keys(this.embeddingProviders).length > 0;
+  }
+
+  /**
+   * Embed texts with the first provider that has an embeddings API
+   * @param {string[]} values
+   * @returns {Promise<{embeddings: number[][], provider: string, model: string}>}
+   */
+  async embedTexts(values, { provider: providerName = 'auto' } = {}) {
+    const provider = providerName === 'auto'
+      ? AUTO_PRIORITY.find(name => this.embeddingProviders[name])
+      : providerName;
+
+    if (!provider || !this.embeddingProviders[provider]) {
+      throw new Error(`No embedding model available for provider: ${providerName}`);
+    }
+
+    const modelName = EMBEDDING_MODELS[provider];
+    const { embeddings } = await embedMany({
+      model: this.embeddingProviders[provider](modelName),
+      values
+    });
+
+    return { embeddings, provider, model: modelName };
+  }
+
   /**
    * Check if streaming is supported
    */
@@ -249,10 +345,8 @@ export class AISdkService {
     
     for (const [providerName, provider] of Object.entries(this.providers)) {
       try {
-        const model = providerName === 'openai' 
-          ? provider('gpt-3.5-turbo') 
-          : provider('gemini-2.5-flash');
-          
+        const model = provider(this.getModelName(providerName));
+
         const result = await generateText({
           model,
           prompt: 'Hello',
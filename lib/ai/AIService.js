@@ -17,6 +17,13 @@ import { ApiKeyValidator } from './utils/ApiKeyValidator.js';
 import { UsageTracker } from './services/UsageTracker.js';
 import { ClientSideCrypto } from './utils/ClientSideCrypto.js';
 import { AISdkService } from './AISdkService.js';
+import { ModelRouter } from './ModelRouter.js';
+import { BudgetManager } from './services/BudgetManager.js';
+import { aiCallRecorder } from './services/AICallRecorder.js';
+
+// Providers served through AISdkService rather than a dedicated client
+const SDK_PROVIDERS = ['anthropic', 'openaiCompatible'];
+const DEFAULT_PROVIDER_PRIORITY = ['gemini', 'openai', 'anthropic', 'openaiCompatible'];
 import { tools, toolExecutor } from '@/lib/ai/tools/index.js';
 
 export class AIService {
@@ -39,6 +46,18 @@ export class AIService {
       resetTimeout: 30000, // 30 seconds
       monitoringPeriod: 300000 // 5 minutes
     });
+
+    this.anthropicCircuitBreaker = new CircuitBreaker({
+      failureThreshold: 3,
+      resetTimeout: 30000, // 30 seconds
+      monitoringPeriod: 300000 // 5 minutes
+    });
+
+    this.openaiCompatibleCircuitBreaker = new CircuitBreaker({
+      failureThreshold: 2,
+      resetTimeout: 15000, // 15 seconds - local servers come and go
+      monitoringPeriod: 300000 // 5 minutes
+    });
     
     // Initialize retry policies
     this.retryPolicy = new RetryPolicy({
@@ -57,15 +76,28 @@ export class AIService {
     
     // Initialize usage tracker
     this.usageTracker = new UsageTracker();
+
+    // Spend caps per user, workflow and team deployment
+    this.budgetManager = new BudgetManager();
+
+    // Provider/model selection per agent, step type and complexity
+    this.modelRouter = new ModelRouter();
     
     
     // Provider priority - only real AI providers, no fallback
-    this.providerPriority = ['gemini', 'openai'];
+    this.providerPriority = [...DEFAULT_PROVIDER_PRIORITY];
     
     // Health monitoring
-    this.healthStats = {
-      gemini: { healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false, lastQuotaError: null },
-      openai: { healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false, lastQuotaError: null }
+    this.healthStats = this.createHealthStats();
+  }
+
+  createHealthStats() {
+    const initial = () => ({ healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false, lastQuotaError: null });
+    return {
+      gemini: initial(),
+      openai: initial(),
+      anthropic: initial(),
+      openaiCompatible: initial()
     };
   }
 
@@ -95,7 +127,7 @@ export class AIService {
       }
       
       // REMOVED: No longer fall back to environment variables - users must provide their own keys
-      if (!apiKeys || (!apiKeys.gemini && !apiKeys.openai)) {
+      if (!ApiKeyValidator.hasAnyKey(apiKeys)) {
         logger.info('🔧 No API keys provided. AI service will run in limited mode - users must provide their own API keys.');
         return false;
       }
@@ -139,11 +171,13 @@ export class AIService {
       const user = await User.findById(userId);
       if (user) {
         const userApiKeys = user.getApiKeys();
-        if (userApiKeys.openai || userApiKeys.gemini) {
+        if (ApiKeyValidator.hasAnyKey(userApiKeys)) {
           logger.info('📚 Loaded user API keys from database');
           return {
             openai: userApiKeys.openai,
-            gemini: userApiKeys.gemini
+            gemini: userApiKeys.gemini,
+            anthropic: userApiKeys.anthropic,
+            openaiCompatible: userApiKeys.openaiCompatible
           };
         }
       }
@@ -167,6 +201,9 @@ export class AIService {
         if (parsedKeys.gemini) {
           decryptedKeys.gemini = await ClientSideCrypto.decrypt(parsedKeys.gemini);
         }
+        if (parsedKeys.anthropic) {
+          decryptedKeys.anthropic = await ClientSideCrypto.decrypt(parsedKeys.anthropic);
+        }
         
         logger.info('🔑 Loaded encrypted API keys from localStorage');
         return decryptedKeys;
@@ -182,8 +219,15 @@ export class AIService {
   async initializeClients(apiKeys) {
     this.currentApiKeys = apiKeys;
 
+    // A self-hosted endpoint is tried first; an exclusive one is the only provider (see AISdkService)
+    const exclusive = !!(apiKeys.openaiCompatible?.baseUrl && apiKeys.openaiCompatible.exclusive);
+    this.providerPriority = ModelRouter.providerPriority(
+      DEFAULT_PROVIDER_PRIORITY.filter(provider => provider !== 'openaiCompatible' || apiKeys.openaiCompatible?.baseUrl),
+      { openaiCompatibleExclusive: exclusive }
+    );
+
     // Initialize Gemini
-    if (apiKeys.gemini) {
+    if (apiKeys.gemini && !exclusive) {
       try {
         this.geminiClient = new GoogleGenerativeAI(apiKeys.gemini);
         logger.info('✅ Gemini AI initialized (user key)');
@@ -194,7 +238,7 @@ export class AIService {
     }
 
     // Initialize OpenAI
-    if (apiKeys.openai) {
+    if (apiKeys.openai && !exclusive) {
       try {
         this.openaiClient = new OpenAI({
           apiKey: apiKeys.openai,
@@ -211,8 +255,16 @@ export class AIService {
 
   /**
    * Main AI call method with circuit breakers, retry, and fallback
+   * Recorded workflows store the call; replayed ones are answered without a provider (AICallRecorder).
    */
   async call(prompt, agent = null, complexity = 1, context = {}, userId = null, useTools = false) {
+    const request = { prompt, agent, complexity, context, stepType: context?.stepType };
+    return aiCallRecorder.intercept(useTools ? 'callWithTools' : 'call', request, () =>
+      this.executeCall(prompt, agent, complexity, context, userId, useTools)
+    );
+  }
+
+  async executeCall(prompt, agent, complexity, context, userId, useTools) {
     // Auto-initialize with user keys if not initialized and userId is provided
     if (!this.initialized && userId) {
       logger.info(`🔧 Auto-initializing AI Service for user: ${userId}`);
@@ -225,7 +277,7 @@ export class AIService {
     }
 
     if (useTools) {
-      return this.callWithTools(prompt, agent, complexity, context, userId);
+      return this.executeToolCall(prompt, agent, complexity, context, userId);
     }
 
     // Check user limits (now async)
@@ -235,6 +287,7 @@ export class AIService {
         throw new Error(`Usage limit exceeded: ${limitsCheck.reason}`);
       }
     }
+    await this.enforceBudget(userId, context);
 
     // Queue the request to prevent rate limiting
     return this.requestQueue.enqueue(userId || 'anonymous', async () => {
@@ -242,6 +295,23 @@ export class AIService {
     });
   }
 
+  /**
+   * Block the call once a hard budget cap (user, workflow or team) is reached
+   */
+  async enforceBudget(userId, context) {
+    const budgetCheck = await this.budgetManager.checkBudget({ userId, workflowId: context?.workflowId });
+    if (!budgetCheck.allowed) {
+      throw new Error(`Budget exceeded: ${budgetCheck.reason}`);
+    }
+  }
+
+  /**
+   * Set the global routing policy (core-config.yaml `modelRouting`)
+   */
+  setRoutingPolicy(policy) {
+    this.modelRouter.setPolicy(policy);
+  }
+
   /**
    * Build agent persona prompt
    */
@@ -268,6 +338,13 @@ export class AIService {
   }
 
   async callWithTools(prompt, agent, complexity, context, userId) {
+    const request = { prompt, agent, complexity, context, stepType: context?.stepType };
+    return aiCallRecorder.intercept('callWithTools', request, () =>
+      this.executeToolCall(prompt, agent, complexity, context, userId)
+    );
+  }
+
+  async executeToolCall(prompt, agent, complexity, context, userId) {
     // Validate user permissions and rate limits (now async)
     if (userId) {
       const limitsCheck = await this.usageTracker.checkUserLimits(userId);
@@ -275,6 +352,7 @@ export class AIService {
         throw new Error(`Rate limit exceeded: ${limitsCheck.reason}`);
       }
     }
+    await this.enforceBudget(userId, context);
 
     if (!this.aiSdkService) {
       throw new Error('AI SDK Service not available for tool calling.');
@@ -312,22 +390,42 @@ export class AIService {
       }
 
       // Ensure AISdkService has current API keys
-      if (this.currentApiKeys && (this.currentApiKeys.gemini || this.currentApiKeys.openai)) {
-        logger.info(`🔑 Updating AISdkService with keys: gemini=${!!this.currentApiKeys.gemini}, openai=${!!this.currentApiKeys.openai}`);
+      if (ApiKeyValidator.hasAnyKey(this.currentApiKeys)) {
+        logger.info(`🔑 Updating AISdkService with keys: gemini=${!!this.currentApiKeys.gemini}, openai=${!!this.currentApiKeys.openai}, anthropic=${!!this.currentApiKeys.anthropic}`);
         this.aiSdkService.updateApiKeys(this.currentApiKeys);
       }
 
+      // Routed provider only if the SDK has it configured - otherwise 'auto'
+      const route = this.modelRouter.resolve({ agent, stepType: context?.stepType, complexity });
+      const routed = route && this.aiSdkService.getAvailableProviders().includes(route.provider);
+
       // Use the AI SDK's generate function with tools
       const result = await this.aiSdkService.generateWithTools(messages, tools, {
         maxTokens: this.calculateMaxTokens(complexity),
         temperature: 0.7,
-        userId: userId // Pass userId for security validation
+        userId: userId, // Pass userId for security validation
+        ...(routed && { provider: route.provider, modelId: route.model })
       });
 
       // Track usage if userId provided (now async)
       if (userId) {
+        const promptTokens = result.usage?.inputTokens || 0;
+        const completionTokens = result.usage?.outputTokens || 0;
         await this.usageTracker.trackUsage(userId, 'tools', result.usage?.totalTokens || 0, 0,
-          result.usage?.inputTokens || 0, result.usage?.outputTokens || 0);
+          promptTokens, completionTokens);
+        this.usageTracker.logModelUsage({
+          userId,
+          provider: result.provider,
+          model: result.model,
+          totalTokens: result.usage?.totalTokens || promptTokens + completionTokens,
+          promptTokens,
+          completionTokens,
+          estimatedCost: UsageTracker.estimateCost(result.provider, { promptTokens, completionTokens }, result.model, this.currentApiKeys?.openaiCompatible),
+          workflowId: context?.workflowId,
+          agentId: agent?.id,
+          stepType: context?.stepType,
+          routeSource: routed ? route.source : null
+        });
       }
 
       return result;
@@ -356,8 +454,15 @@ export class AIService {
 
   async executeWithRetryAndFallback(prompt, agent, complexity, context, userId) {
     const errors = [];
+
+    const route = this.modelRouter.resolve({ agent, stepType: context?.stepType, complexity });
+    if (route) {
+      logger.info(`🧭 [MODEL ROUTING] ${route.provider}/${route.model || 'default'} via ${route.source}`);
+    }
     
-    for (const provider of this.providerPriority) {
+    for (const provider of this.modelRouter.orderProviders(this.providerPriority, route)) {
+      const model = this.modelRouter.modelFor(provider, route);
+      const callContext = provider === route?.provider ? { ...context, routeSource: route.source } : context;
       
       // Skip provider if client is not available
       if (provider === 'gemini' && !this.geminiClient) {
@@ -368,16 +473,22 @@ export class AIService {
         logger.info(`⏭️ Skipping ${provider} - client not initialized`);
         continue;
       }
+      if (SDK_PROVIDERS.includes(provider) && !this.aiSdkService?.providers[provider]) {
+        logger.info(`⏭️ Skipping ${provider} - provider not configured`);
+        continue;
+      }
       
       try {
-        const circuitBreaker = provider === 'gemini' ? this.geminiCircuitBreaker : this.openaiCircuitBreaker;
+        const circuitBreaker = this[`${provider}CircuitBreaker`];
         
         const result = await circuitBreaker.execute(async () => {
           return this.retryPolicy.execute(async () => {
             if (provider === 'gemini') {
-              return await this.callGemini(prompt, agent, complexity, context, userId);
+              return await this.callGemini(prompt, agent, complexity, callContext, userId, model);
             } else if (provider === 'openai') {
-              return await this.callOpenAI(prompt, agent, complexity, context, userId);
+              return await this.callOpenAI(prompt, agent, complexity, callContext, userId, model);
+            } else if (SDK_PROVIDERS.includes(provider)) {
+              return await this.callSdkProvider(provider, prompt, complexity, userId, model, agent, callContext);
             }
             throw new Error(`${provider} client not available`);
           });
@@ -407,8 +518,9 @@ export class AIService {
     throw new Error(`All AI providers failed: ${JSON.stringify(errors)}`);
   }
 
-  async callGemini(prompt, agent, complexity, context, userId) {
+  async callGemini(prompt, agent, complexity, context, userId, modelName = null) {
     if (!this.geminiClient) throw new Error('Gemini client not initialized');
+    modelName = modelName || 'gemini-2.5-flash';
 
     try {
       // Use context.maxTokens if provided, otherwise calculate from complexity
@@ -424,7 +536,7 @@ export class AIService {
       }
 
       const model = this.geminiClient.getGenerativeModel({
-        model: 'gemini-2.5-flash',
+        model: modelName,
         generationConfig: {
           maxOutputTokens: maxTokens,
           temperature: 0.7
@@ -531,7 +643,11 @@ export class AIService {
         const usageDetails = {
           userId: userId,
           provider: 'gemini',
-          model: 'gemini-2.5-flash',
+          model: modelName,
+          workflowId: context?.workflowId || null,
+          agentId: agent?.id || null,
+          stepType: context?.stepType || null,
+          routeSource: context?.routeSource || null,
           totalTokens: totalTokens,
           promptTokens: promptTokens,
           candidatesTokens: candidatesTokens,
@@ -569,6 +685,7 @@ export class AIService {
       return {
         content: text,
         provider: 'gemini',
+        model: modelName,
         usage: response.usageMetadata
       };
     } catch (error) {
@@ -577,12 +694,13 @@ export class AIService {
     }
   }
 
-  async callOpenAI(prompt, agent, complexity, context, userId) {
+  async callOpenAI(prompt, agent, complexity, context, userId, modelName = null) {
     if (!this.openaiClient) throw new Error('OpenAI client not initialized');
+    modelName = modelName || 'gpt-3.5-turbo';
     
     try {
       const completion = await this.openaiClient.chat.completions.create({
-        model: 'gpt-3.5-turbo',
+        model: modelName,
         messages: [{ role: 'user', content: prompt }],
         max_tokens: Math.min(4000, 1000 * complexity),
         temperature: 0.7
@@ -606,16 +724,32 @@ export class AIService {
         );
         
         logger.info('📊 OpenAI usage:', {
+          model: modelName,
           totalTokens: usage?.total_tokens,
           promptTokens: usage?.prompt_tokens,
           completionTokens: usage?.completion_tokens,
           estimatedCost: `${cost.toFixed(4)}`
         });
+
+        this.usageTracker.logModelUsage({
+          userId,
+          provider: 'openai',
+          model: modelName,
+          totalTokens: tokens,
+          promptTokens: usage?.prompt_tokens,
+          completionTokens: usage?.completion_tokens,
+          estimatedCost: cost,
+          workflowId: context?.workflowId,
+          agentId: agent?.id,
+          stepType: context?.stepType,
+          routeSource: context?.routeSource
+        });
       }
       
       return {
         content: text,
         provider: 'openai',
+        model: modelName,
         usage: completion.usage
       };
     } catch (error) {
@@ -624,7 +758,54 @@ export class AIService {
     }
   }
 
-  
+  /**
+   * Call Anthropic or an OpenAI-compatible endpoint through the AI SDK
+   */
+  async callSdkProvider(provider, prompt, complexity, userId, modelId = null, agent = null, context = {}) {
+    const result = await this.aiSdkService.generateText(prompt, {
+      provider,
+      modelId,
+      maxTokens: this.calculateMaxTokens(complexity)
+    });
+
+    if (!result.content || result.content.trim() === '') {
+      throw new Error(`${provider} returned empty response`);
+    }
+
+    // AI SDK v5 usage shape: inputTokens / outputTokens / totalTokens
+    const promptTokens = result.usage?.inputTokens || 0;
+    const completionTokens = result.usage?.outputTokens || 0;
+    const usage = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: result.usage?.totalTokens || promptTokens + completionTokens
+    };
+
+    if (userId) {
+      const cost = UsageTracker.estimateCost(provider, { promptTokens, completionTokens }, result.model, this.currentApiKeys?.openaiCompatible);
+      await this.usageTracker.trackUsage(userId, provider, usage.total_tokens, cost, promptTokens, completionTokens);
+      this.usageTracker.logModelUsage({
+        userId,
+        provider,
+        model: result.model,
+        totalTokens: usage.total_tokens,
+        promptTokens,
+        completionTokens,
+        estimatedCost: cost,
+        workflowId: context?.workflowId,
+        agentId: agent?.id,
+        stepType: context?.stepType,
+        routeSource: context?.routeSource
+      });
+    }
+
+    return {
+      content: result.content,
+      provider,
+      model: result.model,
+      usage
+    };
+  }
 
   estimateGeminiCost(tokens) {
     // Gemini 1.5 Flash pricing (approximate)
@@ -684,6 +865,8 @@ export class AIService {
         timestamp: new Date(usageDetails.timestamp),
         workflowId: usageDetails.workflowId || null,
         agentId: usageDetails.agentId || null,
+        stepType: usageDetails.stepType || null,
+        routeSource: usageDetails.routeSource || null,
         requestType: usageDetails.requestType || 'direct'
       };
       
@@ -965,6 +1148,8 @@ export class AIService {
   resetCircuitBreakers() {
     this.geminiCircuitBreaker.reset();
     this.openaiCircuitBreaker.reset();
+    this.anthropicCircuitBreaker.reset();
+    this.openaiCompatibleCircuitBreaker.reset();
   }
 
   setProviderPriority(priority) {
@@ -1006,10 +1191,7 @@ export class AIService {
       this.initialized = false;
       
       // Reset health stats
-      this.healthStats = {
-        gemini: { healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false, lastQuotaError: null },
-        openai: { healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false, lastQuotaError: null }
-      };
+      this.healthStats = this.createHealthStats();
       
       // Reset circuit breakers
       this.resetCircuitBreakers();
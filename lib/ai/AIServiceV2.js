@@ -12,10 +12,13 @@
 
 import logger from '../utils/logger.js';
 import { AIServiceInitializer } from './core/AIServiceInitializer.js';
-import { AIServiceCore } from './core/AIServiceCore.js';
+import { AIServiceCore, PROVIDERS } from './core/AIServiceCore.js';
 import { RequestQueue } from './services/RequestQueue.js';
 import { UsageTracker } from './services/UsageTracker.js';
+import { BudgetManager } from './services/BudgetManager.js';
+import { aiCallRecorder } from './services/AICallRecorder.js';
 import { AISdkService } from './AISdkService.js';
+import { ModelRouter } from './ModelRouter.js';
 import { tools } from './tools/index.js';
 
 export class AIServiceV2 {
@@ -33,6 +36,12 @@ export class AIServiceV2 {
     // Usage tracking
     this.usageTracker = new UsageTracker();
 
+    // Spend caps per user, workflow and team deployment
+    this.budgetManager = new BudgetManager();
+
+    // Provider/model selection per agent, step type and complexity
+    this.modelRouter = new ModelRouter();
+
     // Current state
     this.initialized = false;
     this.currentApiKeys = null;
@@ -46,7 +55,7 @@ export class AIServiceV2 {
    * Initialize AI service with API keys
    *
    * @param {Object} options - Initialization options
-   * @param {Object} options.apiKeys - Direct API keys { gemini?, openai? }
+   * @param {Object} options.apiKeys - Direct API keys { gemini?, openai?, anthropic?, openaiCompatible?: { baseUrl, model, apiKey?, exclusive?, pricePerMillionTokens? } }
    * @param {string} options.userId - User ID for database lookup
    * @param {boolean} options.useLocalStorage - Try localStorage (default: true)
    * @returns {Promise<InitResult>}
@@ -85,7 +94,11 @@ export class AIServiceV2 {
       }
 
       // Initialize core with clients
-      this.core = new AIServiceCore(initResult.clients);
+      this.core = new AIServiceCore(initResult.clients, {
+        openaiCompatibleModel: initResult.apiKeys.openaiCompatible?.model,
+        openaiCompatibleExclusive: !!initResult.apiKeys.openaiCompatible?.exclusive,
+        modelRouter: this.modelRouter
+      });
       this.currentApiKeys = initResult.apiKeys;
 
       // Initialize AI SDK service for tool calling
@@ -163,43 +176,47 @@ export class AIServiceV2 {
    * @param {Object} options.context - Additional context
    * @param {string} options.userId - User ID for usage tracking
    * @param {boolean} options.useTools - Whether to use tool calling
-   * @returns {Promise<{content: string, provider: string, usage: Object}>}
+   * @param {string} options.stepType - routing | elicitation | document (for model routing)
+   * @returns {Promise<{content: string, provider: string, model: string, usage: Object}>}
    */
   async call(prompt, options = {}) {
-    // Check initialization state
-    if (!this.initialized) {
-      throw new Error(
-        `AI Service not initialized. ${this.initializationError ?
-          `Initialization error: ${this.initializationError.message}` :
-          'Please call initialize() first.'}`
-      );
-    }
-
     const { agent, complexity = 1, context = {}, userId, useTools = false } = options;
+    const stepType = options.stepType || context.stepType || null;
 
     // Route to appropriate handler
     if (useTools) {
-      return await this.callWithTools(prompt, { agent, complexity, context, userId });
+      return await this.callWithTools(prompt, { agent, complexity, context, userId, stepType });
     }
 
-    // Check usage limits
-    if (userId) {
-      const limitsCheck = await this.usageTracker.checkUserLimits(userId);
-      if (!limitsCheck.allowed) {
-        throw new Error(`Usage limit exceeded: ${limitsCheck.reason}`);
-      }
-    }
+    // Recorded workflows store this call; replayed ones are answered without a provider
+    return await aiCallRecorder.intercept('call', { prompt, agent, complexity, context, stepType }, async () => {
+      this.assertInitialized();
 
-    // Queue request and execute through core
-    return await this.requestQueue.enqueue(userId || 'anonymous', async () => {
-      const result = await this.core.call(prompt, { agent, complexity, context });
-
-      // Track usage
+      // Check usage limits
       if (userId) {
-        await this.trackUsage(userId, result);
+        const limitsCheck = await this.usageTracker.checkUserLimits(userId);
+        if (!limitsCheck.allowed) {
+          throw new Error(`Usage limit exceeded: ${limitsCheck.reason}`);
+        }
       }
+      await this.enforceBudget(userId, context);
 
-      return result;
+      // Queue request and execute through core
+      const route = this.modelRouter.resolve({ agent, stepType, complexity });
+      if (route) {
+        logger.info(`🧭 [MODEL ROUTING] ${route.provider}/${route.model || 'default'} via ${route.source}`);
+      }
+
+      return await this.requestQueue.enqueue(userId || 'anonymous', async () => {
+        const result = await this.core.call(prompt, { agent, complexity, context, route });
+
+        // Track usage
+        if (userId) {
+          await this.trackUsage(userId, result, { agent, context, stepType, route });
+        }
+
+        return result;
+      });
     });
   }
 
@@ -208,7 +225,17 @@ export class AIServiceV2 {
    */
   async callWithTools(prompt, options = {}) {
     const { agent, complexity, context, userId } = options;
+    const stepType = options.stepType || context?.stepType || null;
+
+    return await aiCallRecorder.intercept('callWithTools', { prompt, agent, complexity, context, stepType }, () =>
+      this.executeToolCall(prompt, { agent, complexity, context, userId, stepType })
+    );
+  }
 
+  /**
+   * Provider call behind callWithTools
+   */
+  async executeToolCall(prompt, { agent, complexity, context, userId, stepType }) {
     // Check SDK service availability
     if (!this.aiSdkService) {
       throw new Error('AI SDK Service not available for tool calling');
@@ -221,6 +248,7 @@ export class AIServiceV2 {
         throw new Error(`Usage limit exceeded: ${limitsCheck.reason}`);
       }
     }
+    await this.enforceBudget(userId, context);
 
     // Build messages with agent context
     const messages = this.buildToolMessages(prompt, agent);
@@ -244,11 +272,16 @@ export class AIServiceV2 {
         this.aiSdkService.updateApiKeys(this.currentApiKeys);
       }
 
+      // Routed provider only if the SDK has it configured - otherwise 'auto'
+      const route = this.modelRouter.resolve({ agent, stepType, complexity });
+      const routed = route && this.aiSdkService.getAvailableProviders().includes(route.provider);
+
       // Generate with tools
       const result = await this.aiSdkService.generateWithTools(messages, tools, {
         maxTokens: this.core.calculateMaxTokens(complexity, context),
         temperature: 0.7,
-        userId
+        userId,
+        ...(routed && { provider: route.provider, modelId: route.model })
       });
 
       // Track usage
@@ -261,6 +294,19 @@ export class AIServiceV2 {
           result.usage?.inputTokens || 0,
           result.usage?.outputTokens || 0
         );
+
+        const promptTokens = result.usage?.inputTokens || 0;
+        const completionTokens = result.usage?.outputTokens || 0;
+        this.usageTracker.logModelUsage({
+          userId,
+          provider: result.provider,
+          model: result.model,
+          totalTokens: result.usage?.totalTokens || promptTokens + completionTokens,
+          promptTokens,
+          completionTokens,
+          estimatedCost: UsageTracker.estimateCost(result.provider, { promptTokens, completionTokens }, result.model, this.currentApiKeys?.openaiCompatible),
+          ...this.usageAttribution(agent, context, stepType, routed ? route : null)
+        });
       }
 
       return result;
@@ -317,11 +363,11 @@ export class AIServiceV2 {
   /**
    * Track usage for a user
    */
-  async trackUsage(userId, result) {
+  async trackUsage(userId, result, attribution = {}) {
     const usage = result.usage || {};
     const provider = result.provider;
 
-    const cost = this.estimateCost(provider, usage);
+    const cost = this.estimateCost(provider, usage, result.model);
     const totalTokens = usage.total_tokens || usage.totalTokenCount || 0;
     const promptTokens = usage.prompt_tokens || usage.promptTokenCount || 0;
     const completionTokens = usage.completion_tokens || usage.candidatesTokenCount || 0;
@@ -335,28 +381,65 @@ export class AIServiceV2 {
       completionTokens
     );
 
+    // Per-model record in UsageLog (fire-and-forget)
+    const { agent, context, stepType, route } = attribution;
+    this.usageTracker.logModelUsage({
+      userId,
+      provider,
+      model: result.model,
+      totalTokens,
+      promptTokens,
+      completionTokens,
+      estimatedCost: cost,
+      ...this.usageAttribution(agent, context, stepType, route?.provider === provider ? route : null)
+    });
+
     logger.info(`📊 Usage tracked for user ${userId}:`, {
       provider,
+      model: result.model,
       totalTokens,
       cost: cost.toFixed(6)
     });
   }
 
   /**
-   * Estimate cost based on provider and usage
+   * Workflow/agent/step fields recorded with each UsageLog entry
+   */
+  usageAttribution(agent, context, stepType, route) {
+    return {
+      workflowId: context?.workflowId || null,
+      agentId: agent?.id || null,
+      stepType: stepType || null,
+      routeSource: route?.source || null
+    };
+  }
+
+  /**
+   * Block the call once a hard budget cap (user, workflow or team) is reached
    */
-  estimateCost(provider, usage) {
-    if (provider === 'gemini') {
-      const tokens = usage.totalTokenCount || usage.total_tokens || 0;
-      return tokens * 0.000001; // $0.000001 per token
-    } else if (provider === 'openai') {
-      const promptTokens = usage.prompt_tokens || 0;
-      const completionTokens = usage.completion_tokens || 0;
-      const promptCost = promptTokens * 0.00000015;
-      const completionCost = completionTokens * 0.0000006;
-      return promptCost + completionCost;
+  async enforceBudget(userId, context) {
+    const budgetCheck = await this.budgetManager.checkBudget({ userId, workflowId: context?.workflowId });
+    if (!budgetCheck.allowed) {
+      throw new Error(`Budget exceeded: ${budgetCheck.reason}`);
     }
-    return 0;
+  }
+
+  /**
+   * Set the global routing policy (core-config.yaml `modelRouting`)
+   */
+  setRoutingPolicy(policy) {
+    this.modelRouter.setPolicy(policy);
+  }
+
+  /**
+   * Estimate cost based on provider, model and usage
+   */
+  estimateCost(provider, usage, model = null) {
+    return UsageTracker.estimateCost(provider, {
+      promptTokens: usage.prompt_tokens || usage.promptTokenCount || 0,
+      completionTokens: usage.completion_tokens || usage.candidatesTokenCount || 0,
+      totalTokens: usage.totalTokenCount || usage.total_tokens || 0
+    }, model, this.currentApiKeys?.openaiCompatible);
   }
 
   /**
@@ -377,6 +460,13 @@ export class AIServiceV2 {
       openai: await this.core.checkProviderHealth('openai')
     };
 
+    // Optional providers are only reported once configured
+    for (const provider of PROVIDERS.filter(p => !results[p])) {
+      if (this.core.getClient(provider)) {
+        results[provider] = await this.core.checkProviderHealth(provider);
+      }
+    }
+
     const healthyProviders = Object.entries(results)
       .filter(([_, stats]) => stats.healthy)
       .map(([provider]) => provider);
@@ -389,6 +479,19 @@ export class AIServiceV2 {
     };
   }
 
+  /**
+   * Throw unless initialize() succeeded
+   */
+  assertInitialized() {
+    if (!this.initialized) {
+      throw new Error(
+        `AI Service not initialized. ${this.initializationError ?
+          `Initialization error: ${this.initializationError.message}` :
+          'Please call initialize() first.'}`
+      );
+    }
+  }
+
   /**
    * Get initialization state
    */
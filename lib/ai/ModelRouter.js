@@ -0,0 +1,189 @@
+/**
+ * Model Router
+ * Resolves which provider and model serve a call from a routing policy declared
+ * in core-config.yaml (`modelRouting`) and/or per agent in .bmad-core/agents/*.md
+ *
+ * Policy shape (same keys at the top level and under `agents.<id>` / an agent's own `modelRouting`):
+ *
+ *   modelRouting:
+ *     default: { provider: gemini, model: gemini-2.5-flash }
+ *     stepTypes:
+ *       routing: { provider: openai, model: gpt-4o-mini }
+ *     complexity:
+ *       complex: { provider: anthropic, model: claude-sonnet-4-20250514 }
+ *     agents:
+ *       architect:
+ *         default: { provider: anthropic, model: claude-sonnet-4-20250514 }
+ *
+ * Most specific rule wins: agent step type > agent complexity tier > agent default >
+ * global step type > global complexity tier > global default.
+ */
+
+import logger from '../utils/logger.js';
+
+export const STEP_TYPES = ['routing', 'elicitation', 'document'];
+export const COMPLEXITY_TIERS = ['simple', 'moderate', 'complex'];
+
+const KNOWN_PROVIDERS = ['gemini', 'openai', 'anthropic', 'openaiCompatible'];
+
+export class ModelRouter {
+  constructor(policy = null) {
+    this.setPolicy(policy);
+  }
+
+  /**
+   * Replace the global (core-config) policy
+   */
+  setPolicy(policy) {
+    this.policy = policy && typeof policy === 'object' ? policy : {};
+    const issues = this.validatePolicy(this.policy);
+    issues.forEach(issue => logger.warn(`⚠️ [MODEL ROUTING] ${issue}`));
+  }
+
+  hasPolicy() {
+    return Object.keys(this.policy).length > 0;
+  }
+
+  /**
+   * Resolve the route for a call
+   * @param {Object} request
+   * @param {Object|string} [request.agent] - Loaded agent (may carry its own `modelRouting`) or agent id
+   * @param {string} [request.stepType] - routing | elicitation | document
+   * @param {number|string} [request.complexity] - 1-4 or simple/moderate/complex
+   * @returns {{provider: string, model: string|null, source: string}|null} null when no rule applies
+   */
+  resolve({ agent = null, stepType = null, complexity = null } = {}) {
+    const agentId = typeof agent === 'string' ? agent : (agent?.id || agent?.agent?.id || null);
+    const tier = ModelRouter.complexityTier(complexity);
+
+    const scopes = [];
+    if (agentId) {
+      // Project config overrides what the agent file ships with
+      const agentPolicy = {
+        ...(typeof agent === 'object' ? agent?.modelRouting : null),
+        ...this.policy.agents?.[agentId]
+      };
+      scopes.push({ name: `agents.${agentId}`, policy: agentPolicy });
+    }
+    scopes.push({ name: 'modelRouting', policy: this.policy });
+
+    for (const scope of scopes) {
+      const candidates = [
+        stepType && { path: `stepTypes.${stepType}`, rule: scope.policy.stepTypes?.[stepType] },
+        tier && { path: `complexity.${tier}`, rule: scope.policy.complexity?.[tier] },
+        { path: 'default', rule: scope.policy.default }
+      ].filter(Boolean);
+
+      for (const { path, rule } of candidates) {
+        const route = ModelRouter.normalizeRule(rule);
+        if (route) {
+          return { ...route, source: `${scope.name}.${path}` };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Order providers so the routed one is tried first; the rest stay as fallbacks
+   */
+  orderProviders(providerPriority, route) {
+    if (!route?.provider || !providerPriority.includes(route.provider)) {
+      return providerPriority;
+    }
+    return [route.provider, ...providerPriority.filter(provider => provider !== route.provider)];
+  }
+
+  /**
+   * Fallback order for the configured providers
+   * A self-hosted OpenAI-compatible endpoint is tried first; an exclusive one is the only provider,
+   * so prompts never leave it (routes to other providers then fall back to it too).
+   * @param {string[]} configured - Configured providers in their default order
+   * @param {Object} [options]
+   * @param {boolean} [options.openaiCompatibleExclusive] - Never fall back from the endpoint
+   */
+  static providerPriority(configured, { openaiCompatibleExclusive = false } = {}) {
+    if (!configured.includes('openaiCompatible')) {
+      return configured;
+    }
+    if (openaiCompatibleExclusive) {
+      return ['openaiCompatible'];
+    }
+    return ['openaiCompatible', ...configured.filter(provider => provider !== 'openaiCompatible')];
+  }
+
+  /**
+   * Model to request from a provider for this route (null = provider default)
+   */
+  modelFor(provider, route) {
+    return route?.provider === provider ? route.model : null;
+  }
+
+  /**
+   * Map numeric (1-4) or named complexity onto a tier
+   */
+  static complexityTier(complexity) {
+    if (complexity === null || complexity === undefined) {
+      return null;
+    }
+    if (typeof complexity === 'string') {
+      if (complexity === 'medium') return 'moderate';
+      return COMPLEXITY_TIERS.includes(complexity) ? complexity : null;
+    }
+    if (complexity <= 1) return 'simple';
+    if (complexity >= 4) return 'complex';
+    return 'moderate';
+  }
+
+  /**
+   * Accept `{ provider, model }` or the `provider/model` shorthand
+   */
+  static normalizeRule(rule) {
+    if (!rule) {
+      return null;
+    }
+    if (typeof rule === 'string') {
+      const [provider, ...model] = rule.split('/');
+      return { provider, model: model.join('/') || null };
+    }
+    if (typeof rule === 'object' && rule.provider) {
+      return { provider: rule.provider, model: rule.model || null };
+    }
+    return null;
+  }
+
+  validatePolicy(policy, scope = 'modelRouting') {
+    const issues = [];
+
+    const checkRule = (rule, path) => {
+      const route = ModelRouter.normalizeRule(rule);
+      if (!route) {
+        issues.push(`${path} must be { provider, model } or "provider/model"`);
+      } else if (!KNOWN_PROVIDERS.includes(route.provider)) {
+        issues.push(`${path} uses unknown provider "${route.provider}"`);
+      }
+    };
+
+    if (policy.default) checkRule(policy.default, `${scope}.default`);
+    Object.entries(policy.stepTypes || {}).forEach(([stepType, rule]) => {
+      if (!STEP_TYPES.includes(stepType)) {
+        issues.push(`${scope}.stepTypes.${stepType} is not a known step type (${STEP_TYPES.join(', ')})`);
+      }
+      checkRule(rule, `${scope}.stepTypes.${stepType}`);
+    });
+    Object.entries(policy.complexity || {}).forEach(([tier, rule]) => {
+      if (!COMPLEXITY_TIERS.includes(tier)) {
+        issues.push(`${scope}.complexity.${tier} is not a known tier (${COMPLEXITY_TIERS.join(', ')})`);
+      }
+      checkRule(rule, `${scope}.complexity.${tier}`);
+    });
+    Object.entries(policy.agents || {}).forEach(([agentId, agentPolicy]) => {
+      issues.push(...this.validatePolicy(agentPolicy || {}, `${scope}.agents.${agentId}`));
+    });
+
+    return issues;
+  }
+}
+
+export default ModelRouter;
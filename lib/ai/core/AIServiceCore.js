@@ -8,16 +8,28 @@ import logger from '../../utils/logger.js';
 import { CircuitBreaker } from '../handlers/CircuitBreaker.js';
 import { RetryPolicy } from '../utils/RetryPolicy.js';
 import { ErrorHandler } from '../handlers/ErrorHandler.js';
+import { ModelRouter } from '../ModelRouter.js';
+
+export const PROVIDERS = ['gemini', 'openai', 'anthropic', 'openaiCompatible'];
+
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-haiku-latest';
 
 export class AIServiceCore {
   constructor(clients, options = {}) {
     // Require initialized clients
-    if (!clients.gemini && !clients.openai) {
+    if (!PROVIDERS.some(provider => clients[provider])) {
       throw new Error('At least one AI provider client must be provided');
     }
 
     this.geminiClient = clients.gemini;
     this.openaiClient = clients.openai;
+    this.anthropicClient = clients.anthropic || null;
+    this.openaiCompatibleClient = clients.openaiCompatible || null;
+
+    this.anthropicModel = options.anthropicModel || DEFAULT_ANTHROPIC_MODEL;
+    this.openaiCompatibleModel = options.openaiCompatibleModel || null;
+    // Prompts never leave a self-hosted endpoint marked exclusive
+    this.openaiCompatibleExclusive = !!(options.openaiCompatibleExclusive && this.openaiCompatibleClient);
 
     // Initialize circuit breakers
     this.geminiCircuitBreaker = new CircuitBreaker({
@@ -32,6 +44,19 @@ export class AIServiceCore {
       monitoringPeriod: options.monitoringPeriod || 300000
     });
 
+    this.anthropicCircuitBreaker = new CircuitBreaker({
+      failureThreshold: options.anthropicFailureThreshold || 3,
+      resetTimeout: options.anthropicResetTimeout || 30000,
+      monitoringPeriod: options.monitoringPeriod || 300000
+    });
+
+    // Local servers are often simply not running - trip quickly, recover quickly
+    this.openaiCompatibleCircuitBreaker = new CircuitBreaker({
+      failureThreshold: options.openaiCompatibleFailureThreshold || 2,
+      resetTimeout: options.openaiCompatibleResetTimeout || 15000,
+      monitoringPeriod: options.monitoringPeriod || 300000
+    });
+
     // Initialize retry policy
     this.retryPolicy = new RetryPolicy({
       maxRetries: options.maxRetries || 2,
@@ -40,28 +65,48 @@ export class AIServiceCore {
       backoffMultiplier: options.backoffMultiplier || 3
     });
 
+    // Orders providers for routed calls (AIServiceV2 passes the router it resolves routes with)
+    this.modelRouter = options.modelRouter || new ModelRouter();
+
     // Provider priority
     this.providerPriority = this.determineProviderPriority(clients, options.providerPriority);
 
     // Health stats
     this.healthStats = {
       gemini: { healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false },
-      openai: { healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false }
+      openai: { healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false },
+      anthropic: { healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false },
+      openaiCompatible: { healthy: true, lastCheck: null, errorCount: 0, quotaExhausted: false }
     };
   }
 
+  /**
+   * Get the SDK client for a provider
+   */
+  getClient(provider) {
+    return this[`${provider}Client`] || null;
+  }
+
+  /**
+   * Get the circuit breaker guarding a provider
+   */
+  getCircuitBreaker(provider) {
+    return this[`${provider}CircuitBreaker`];
+  }
+
   /**
    * Determine provider priority based on available clients
+   * A configured OpenAI-compatible endpoint comes first unless a custom priority says otherwise;
+   * an exclusive one is the only provider either way.
    */
   determineProviderPriority(clients, customPriority) {
-    if (customPriority && Array.isArray(customPriority)) {
+    if (customPriority && Array.isArray(customPriority) && !this.openaiCompatibleExclusive) {
       return customPriority.filter(p => clients[p]);
     }
 
-    const priority = [];
-    if (clients.gemini) priority.push('gemini');
-    if (clients.openai) priority.push('openai');
-    return priority;
+    return ModelRouter.providerPriority(PROVIDERS.filter(p => clients[p]), {
+      openaiCompatibleExclusive: this.openaiCompatibleExclusive
+    });
   }
 
   /**
@@ -72,24 +117,37 @@ export class AIServiceCore {
    * @param {number} options.complexity - Complexity level (1-4)
    * @param {Object} options.context - Additional context
    * @param {number} options.maxTokens - Max tokens to generate
-   * @returns {Promise<{content: string, provider: string, usage: Object}>}
+   * @param {Object} options.route - Routing decision { provider, model } from ModelRouter.resolve
+   * @returns {Promise<{content: string, provider: string, model: string, usage: Object}>}
    */
   async call(prompt, options = {}) {
-    const { agent, complexity = 1, context = {}, maxTokens } = options;
+    const { agent, complexity = 1, context = {}, maxTokens, route } = options;
+
+    // Routed provider first, remaining providers stay as fallbacks
+    const providers = this.modelRouter.orderProviders(this.providerPriority, route);
+
+    if (route?.provider && providers[0] !== route.provider) {
+      logger.warn(`⚠️ Routed provider ${route.provider} is not configured - using ${providers[0]}`);
+    }
 
     // Try each provider in priority order
     const errors = [];
 
-    for (const provider of this.providerPriority) {
+    for (const provider of providers) {
+      const model = this.modelRouter.modelFor(provider, route);
       try {
-        const circuitBreaker = provider === 'gemini' ? this.geminiCircuitBreaker : this.openaiCircuitBreaker;
+        const circuitBreaker = this.getCircuitBreaker(provider);
 
         const result = await circuitBreaker.execute(async () => {
           return this.retryPolicy.execute(async () => {
             if (provider === 'gemini') {
-              return await this.callGemini(prompt, { agent, complexity, context, maxTokens });
+              return await this.callGemini(prompt, { agent, complexity, context, maxTokens, model });
             } else if (provider === 'openai') {
-              return await this.callOpenAI(prompt, { agent, complexity, context, maxTokens });
+              return await this.callOpenAI(prompt, { agent, complexity, context, maxTokens, model });
+            } else if (provider === 'anthropic') {
+              return await this.callAnthropic(prompt, { agent, complexity, context, maxTokens, model });
+            } else if (provider === 'openaiCompatible') {
+              return await this.callOpenAICompatible(prompt, { agent, complexity, context, maxTokens, model });
             }
           });
         });
@@ -138,20 +196,21 @@ export class AIServiceCore {
     }
 
     const { complexity = 1, context = {}, maxTokens } = options;
+    const modelName = options.model || 'gemini-2.5-flash';
 
     try {
       // Calculate max tokens
       const calculatedMaxTokens = maxTokens || this.calculateMaxTokens(complexity, context);
 
       const model = this.geminiClient.getGenerativeModel({
-        model: 'gemini-2.5-flash',
+        model: modelName,
         generationConfig: {
           maxOutputTokens: calculatedMaxTokens,
           temperature: 0.7
         }
       });
 
-      logger.info(`🔍 [GEMINI] Making API call (complexity: ${complexity}, maxTokens: ${calculatedMaxTokens})`);
+      logger.info(`🔍 [GEMINI] Making API call (model: ${modelName}, complexity: ${complexity}, maxTokens: ${calculatedMaxTokens})`);
 
       const result = await model.generateContent(prompt);
       const response = await result.response;
@@ -168,6 +227,7 @@ export class AIServiceCore {
       return {
         content: text,
         provider: 'gemini',
+        model: modelName,
         usage: response.usageMetadata || {
           promptTokenCount: 0,
           candidatesTokenCount: 0,
@@ -218,13 +278,14 @@ export class AIServiceCore {
       throw new Error('OpenAI client not initialized');
     }
 
-    const { complexity = 1, context = {}, maxTokens } = options;
+    const { complexity = 1, maxTokens } = options;
+    const modelName = options.model || 'gpt-3.5-turbo';
 
     try {
       const calculatedMaxTokens = maxTokens || Math.min(4000, 1000 * complexity);
 
       const completion = await this.openaiClient.chat.completions.create({
-        model: 'gpt-3.5-turbo',
+        model: modelName,
         messages: [{ role: 'user', content: prompt }],
         max_tokens: calculatedMaxTokens,
         temperature: 0.7
@@ -239,6 +300,7 @@ export class AIServiceCore {
       return {
         content: text,
         provider: 'openai',
+        model: modelName,
         usage: completion.usage
       };
 
@@ -248,6 +310,110 @@ export class AIServiceCore {
     }
   }
 
+  /**
+   * Call Anthropic Messages API
+   */
+  async callAnthropic(prompt, options = {}) {
+    if (!this.anthropicClient) {
+      throw new Error('Anthropic client not initialized');
+    }
+
+    const { complexity = 1, context = {}, maxTokens } = options;
+    const modelName = options.model || this.anthropicModel;
+
+    try {
+      const calculatedMaxTokens = maxTokens || this.calculateMaxTokens(complexity, context);
+
+      logger.info(`🔍 [ANTHROPIC] Making API call (model: ${modelName}, maxTokens: ${calculatedMaxTokens})`);
+
+      const message = await this.anthropicClient.messages.create({
+        model: modelName,
+        max_tokens: calculatedMaxTokens,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.7
+      });
+
+      const text = (message.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      if (!text || text.trim() === '') {
+        throw new Error('Anthropic returned empty response');
+      }
+
+      if (message.stop_reason === 'max_tokens') {
+        logger.warn('⚠️ Anthropic response truncated due to max tokens limit');
+      }
+
+      const inputTokens = message.usage?.input_tokens || 0;
+      const outputTokens = message.usage?.output_tokens || 0;
+
+      return {
+        content: text,
+        provider: 'anthropic',
+        model: message.model || modelName,
+        // Same shape as OpenAI usage so tracking stays provider-agnostic
+        usage: {
+          prompt_tokens: inputTokens,
+          completion_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        }
+      };
+
+    } catch (error) {
+      logger.error('Anthropic API error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Call a self-hosted OpenAI-compatible endpoint (Ollama, vLLM, LM Studio...)
+   */
+  async callOpenAICompatible(prompt, options = {}) {
+    if (!this.openaiCompatibleClient) {
+      throw new Error('OpenAI-compatible client not initialized');
+    }
+
+    const { complexity = 1, context = {}, maxTokens } = options;
+    const modelName = options.model || this.openaiCompatibleModel;
+
+    try {
+      const calculatedMaxTokens = maxTokens || this.calculateMaxTokens(complexity, context);
+
+      logger.info(`🔍 [OPENAI-COMPATIBLE] Making API call (model: ${modelName}, maxTokens: ${calculatedMaxTokens})`);
+
+      const completion = await this.openaiCompatibleClient.chat.completions.create({
+        model: modelName,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: calculatedMaxTokens,
+        temperature: 0.7
+      });
+
+      const text = completion.choices?.[0]?.message?.content || '';
+
+      if (!text || text.trim() === '') {
+        throw new Error('OpenAI-compatible endpoint returned empty response');
+      }
+
+      return {
+        content: text,
+        provider: 'openaiCompatible',
+        model: completion.model || modelName,
+        // Some servers omit usage - fall back to a character estimate
+        usage: completion.usage || {
+          prompt_tokens: Math.ceil(prompt.length / 4),
+          completion_tokens: Math.ceil(text.length / 4),
+          total_tokens: Math.ceil((prompt.length + text.length) / 4)
+        }
+      };
+
+    } catch (error) {
+      logger.error('OpenAI-compatible API error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Calculate max tokens based on complexity and context
    */
@@ -271,10 +437,44 @@ export class AIServiceCore {
       return await this.checkGeminiHealth();
     } else if (provider === 'openai' && this.openaiClient) {
       return await this.checkOpenAIHealth();
+    } else if (provider === 'anthropic' && this.anthropicClient) {
+      return await this.runHealthProbe('anthropic', this.anthropicModel, () =>
+        this.anthropicClient.messages.create({
+          model: this.anthropicModel,
+          max_tokens: 10,
+          messages: [{ role: 'user', content: 'Hello' }]
+        })
+      );
+    } else if (provider === 'openaiCompatible' && this.openaiCompatibleClient) {
+      return await this.runHealthProbe('openaiCompatible', this.openaiCompatibleModel, () =>
+        this.openaiCompatibleClient.chat.completions.create({
+          model: this.openaiCompatibleModel,
+          messages: [{ role: 'user', content: 'Hello' }],
+          max_tokens: 10
+        })
+      );
     }
     return { healthy: false, error: 'Provider not available' };
   }
 
+  async runHealthProbe(provider, model, probe) {
+    try {
+      await probe();
+
+      this.healthStats[provider].healthy = true;
+      this.healthStats[provider].lastCheck = new Date();
+      this.healthStats[provider].errorCount = 0;
+
+      return { healthy: true, provider, model };
+    } catch (error) {
+      this.healthStats[provider].healthy = false;
+      this.healthStats[provider].lastCheck = new Date();
+      this.healthStats[provider].errorCount++;
+
+      return { healthy: false, provider, error: error.message };
+    }
+  }
+
   async checkGeminiHealth() {
     try {
       const model = this.geminiClient.getGenerativeModel({ model: 'gemini-2.5-flash' });
@@ -344,19 +544,15 @@ export class AIServiceCore {
    * Reset circuit breakers
    */
   resetCircuitBreakers() {
-    this.geminiCircuitBreaker.reset();
-    this.openaiCircuitBreaker.reset();
+    PROVIDERS.forEach(provider => this.getCircuitBreaker(provider).reset());
   }
 
   /**
-   * Set provider priority
+   * Set provider priority (ignored while the OpenAI-compatible endpoint is exclusive)
    */
   setProviderPriority(priority) {
-    if (Array.isArray(priority)) {
-      this.providerPriority = priority.filter(p =>
-        (p === 'gemini' && this.geminiClient) ||
-        (p === 'openai' && this.openaiClient)
-      );
+    if (Array.isArray(priority) && !this.openaiCompatibleExclusive) {
+      this.providerPriority = priority.filter(p => PROVIDERS.includes(p) && this.getClient(p));
     }
   }
 }
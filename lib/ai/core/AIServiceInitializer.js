@@ -6,9 +6,18 @@
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
 import logger from '../../utils/logger.js';
 import { ApiKeyValidator } from '../utils/ApiKeyValidator.js';
 import { ClientSideCrypto } from '../utils/ClientSideCrypto.js';
+import { EndpointGuard } from '../utils/EndpointGuard.js';
+
+const EMPTY_CLIENTS = {
+  gemini: null,
+  openai: null,
+  anthropic: null,
+  openaiCompatible: null
+};
 
 export class AIServiceInitializer {
   /**
@@ -26,12 +35,12 @@ export class AIServiceInitializer {
     const apiKeys = await this.getApiKeys(providedKeys, userId, useLocalStorage);
 
     // Step 2: Validate we have at least one provider
-    if (!apiKeys || (!apiKeys.gemini && !apiKeys.openai)) {
+    if (!ApiKeyValidator.hasAnyKey(apiKeys)) {
       return {
         success: false,
         error: 'NO_API_KEYS',
         message: 'No API keys provided. Users must configure their own API keys.',
-        clients: { gemini: null, openai: null },
+        clients: { ...EMPTY_CLIENTS },
         apiKeys: null
       };
     }
@@ -44,7 +53,7 @@ export class AIServiceInitializer {
         error: 'INVALID_API_KEYS',
         message: `Invalid API keys: ${validation.errors.join(', ')}`,
         validationErrors: validation.errors,
-        clients: { gemini: null, openai: null },
+        clients: { ...EMPTY_CLIENTS },
         apiKeys: null
       };
     }
@@ -53,7 +62,7 @@ export class AIServiceInitializer {
     const clients = await this.initializeClients(apiKeys);
 
     // Step 5: Verify at least one client initialized successfully
-    if (!clients.gemini && !clients.openai) {
+    if (!Object.values(clients).some(Boolean)) {
       return {
         success: false,
         error: 'CLIENT_INIT_FAILED',
@@ -67,10 +76,9 @@ export class AIServiceInitializer {
       success: true,
       clients,
       apiKeys,
-      providers: {
-        gemini: !!clients.gemini,
-        openai: !!clients.openai
-      }
+      providers: Object.fromEntries(
+        Object.entries(clients).map(([provider, client]) => [provider, !!client])
+      )
     };
   }
 
@@ -80,7 +88,7 @@ export class AIServiceInitializer {
    */
   static async getApiKeys(providedKeys, userId, useLocalStorage) {
     // Priority 1: Explicitly provided keys (highest priority)
-    if (providedKeys && (providedKeys.gemini || providedKeys.openai)) {
+    if (ApiKeyValidator.hasAnyKey(providedKeys)) {
       logger.info('🔑 Using explicitly provided API keys');
       return providedKeys;
     }
@@ -132,13 +140,15 @@ export class AIServiceInitializer {
 
       const userApiKeys = user.getApiKeys();
 
-      if (!userApiKeys.openai && !userApiKeys.gemini) {
+      if (!ApiKeyValidator.hasAnyKey(userApiKeys)) {
         return null;
       }
 
       return {
         openai: userApiKeys.openai || null,
-        gemini: userApiKeys.gemini || null
+        gemini: userApiKeys.gemini || null,
+        anthropic: userApiKeys.anthropic || null,
+        openaiCompatible: userApiKeys.openaiCompatible || null
       };
     } catch (error) {
       logger.error('Failed to load API keys from database:', error);
@@ -170,8 +180,19 @@ export class AIServiceInitializer {
       if (parsedKeys.gemini) {
         decryptedKeys.gemini = await ClientSideCrypto.decrypt(parsedKeys.gemini);
       }
+      if (parsedKeys.anthropic) {
+        decryptedKeys.anthropic = await ClientSideCrypto.decrypt(parsedKeys.anthropic);
+      }
+      if (parsedKeys.openaiCompatible?.baseUrl) {
+        decryptedKeys.openaiCompatible = {
+          ...parsedKeys.openaiCompatible,
+          apiKey: parsedKeys.openaiCompatible.apiKey
+            ? await ClientSideCrypto.decrypt(parsedKeys.openaiCompatible.apiKey)
+            : null
+        };
+      }
 
-      if (!decryptedKeys.openai && !decryptedKeys.gemini) {
+      if (!ApiKeyValidator.hasAnyKey(decryptedKeys)) {
         return null;
       }
 
@@ -186,13 +207,12 @@ export class AIServiceInitializer {
    * Initialize AI provider clients
    */
   static async initializeClients(apiKeys) {
-    const clients = {
-      gemini: null,
-      openai: null
-    };
+    const clients = { ...EMPTY_CLIENTS };
+    // An exclusive endpoint is the only client, so a refused one leaves no provider to fall back to
+    const exclusive = !!(apiKeys.openaiCompatible?.baseUrl && apiKeys.openaiCompatible.exclusive);
 
     // Initialize Gemini client
-    if (apiKeys.gemini) {
+    if (apiKeys.gemini && !exclusive) {
       try {
         clients.gemini = new GoogleGenerativeAI(apiKeys.gemini);
         // Verify client works with a quick test
@@ -205,7 +225,7 @@ export class AIServiceInitializer {
     }
 
     // Initialize OpenAI client
-    if (apiKeys.openai) {
+    if (apiKeys.openai && !exclusive) {
       try {
         clients.openai = new OpenAI({
           apiKey: apiKeys.openai,
@@ -219,6 +239,46 @@ export class AIServiceInitializer {
       }
     }
 
+    // Initialize Anthropic client
+    if (apiKeys.anthropic && !exclusive) {
+      try {
+        clients.anthropic = new Anthropic({
+          apiKey: apiKeys.anthropic,
+          timeout: 60000,
+          maxRetries: 1
+        });
+        logger.info('✅ Anthropic client initialized successfully');
+      } catch (error) {
+        logger.error('Failed to initialize Anthropic client:', error);
+        clients.anthropic = null;
+      }
+    }
+
+    // Initialize OpenAI-compatible endpoint client (Ollama, vLLM, ...)
+    if (apiKeys.openaiCompatible?.baseUrl) {
+      try {
+        // Checked again here, as the host may resolve elsewhere than when it was saved
+        const guard = await EndpointGuard.check(apiKeys.openaiCompatible.baseUrl);
+        if (guard.allowed) {
+          clients.openaiCompatible = new OpenAI({
+            baseURL: apiKeys.openaiCompatible.baseUrl,
+            // The SDK requires a key even though most local servers ignore it
+            apiKey: apiKeys.openaiCompatible.apiKey || 'not-required',
+            timeout: 120000,
+            maxRetries: 1,
+            // A redirect could lead to an address the guard refused
+            fetchOptions: { redirect: 'error' }
+          });
+          logger.info(`✅ OpenAI-compatible client initialized (${apiKeys.openaiCompatible.baseUrl})`);
+        } else {
+          logger.warn(`⚠️ OpenAI-compatible endpoint refused (${apiKeys.openaiCompatible.baseUrl}): ${guard.reason}`);
+        }
+      } catch (error) {
+        logger.error('Failed to initialize OpenAI-compatible client:', error);
+        clients.openaiCompatible = null;
+      }
+    }
+
     return clients;
   }
 
@@ -243,9 +303,13 @@ export class AIServiceInitializer {
  * @property {Object} clients - Initialized clients
  * @property {GoogleGenerativeAI} clients.gemini - Gemini client (null if not initialized)
  * @property {OpenAI} clients.openai - OpenAI client (null if not initialized)
+ * @property {Anthropic} clients.anthropic - Anthropic client (null if not initialized)
+ * @property {OpenAI} clients.openaiCompatible - Client for a custom OpenAI-compatible base URL (null if not configured)
  * @property {Object} [apiKeys] - API keys used (null if failed)
  * @property {Object} [providers] - Provider availability status
  * @property {boolean} [providers.gemini] - Whether Gemini is available
  * @property {boolean} [providers.openai] - Whether OpenAI is available
+ * @property {boolean} [providers.anthropic] - Whether Anthropic is available
+ * @property {boolean} [providers.openaiCompatible] - Whether the OpenAI-compatible endpoint is available
  * @property {Array<string>} [validationErrors] - Validation errors if applicable
  */
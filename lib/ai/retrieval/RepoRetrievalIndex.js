@@ -0,0 +1,241 @@
+/**
+ * Retrieval index for repository chat
+ *
+ * Built from chunked file contents during a full analysis, patched per changed file on
+ * incremental re-analysis, and stored as RepoIndexChunk documents next to the RepoAnalysis.
+ * Search is BM25 over the stored term frequencies; when an embedder is available chunks
+ * are embedded too and the two rankings are fused ("hybrid").
+ */
+
+import { cosineSimilarity } from 'ai';
+import logger from '../../utils/logger.js';
+import { tokenize, termFrequencies, bm25Rank, reciprocalRankFusion, formatAnchor } from './textIndex.js';
+
+// Embedding every chunk of a very large repository is slow and costly - fall back to BM25
+const MAX_EMBEDDED_CHUNKS = 3000;
+const EMBED_BATCH_SIZE = 100;
+const INSERT_BATCH_SIZE = 500;
+const MAX_CANDIDATES = 2000;
+
+export class RepoRetrievalIndex {
+  constructor(options = {}) {
+    this.maxEmbeddedChunks = options.maxEmbeddedChunks ?? MAX_EMBEDDED_CHUNKS;
+  }
+
+  /**
+   * Replace the index for an analysis
+   * @param {Object} analysis - RepoAnalysis document
+   * @param {Array<{path, startLine, endLine, text}>} chunks - From chunkFile()
+   * @param {Object} [options] - { embedder: AISdkService-like with embedTexts() }
+   * @returns {Promise<Object>} Stats stored in analysis.retrievalIndex
+   */
+  async buildIndex(analysis, chunks, { embedder = null } = {}) {
+    const { default: RepoIndexChunk } = await import('../../database/models/RepoIndexChunk.js');
+
+    await RepoIndexChunk.deleteMany({ analysisId: analysis._id });
+
+    const documents = this.toDocuments(analysis, chunks);
+    const stats = {
+      status: 'ready',
+      method: 'bm25',
+      chunkCount: documents.length,
+      avgChunkLength: documents.length > 0
+        ? documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length
+        : 0,
+      embeddingProvider: null,
+      embeddingModel: null,
+      builtAt: new Date(),
+      error: null
+    };
+
+    if (documents.length <= this.maxEmbeddedChunks) {
+      const embedded = await this.embedDocuments(documents, embedder);
+      if (embedded) {
+        Object.assign(stats, { method: 'hybrid', embeddingProvider: embedded.provider, embeddingModel: embedded.model });
+      }
+    }
+
+    await this.insertDocuments(RepoIndexChunk, documents);
+
+    logger.info(`📚 [RETRIEVAL] Indexed ${stats.chunkCount} chunks for ${analysis.fullName} (${stats.method})`);
+    return stats;
+  }
+
+  /**
+   * Re-index only the files that changed since the index was built
+   * @param {Object} analysis - RepoAnalysis with a ready retrievalIndex
+   * @param {Array} chunks - Chunks of added and modified files
+   * @param {string[]} stalePaths - Modified and removed paths whose chunks are replaced
+   * @returns {Promise<Object>} Updated retrievalIndex stats
+   */
+  async updateIndex(analysis, chunks, stalePaths, { embedder = null } = {}) {
+    const index = analysis.retrievalIndex;
+    const { default: RepoIndexChunk } = await import('../../database/models/RepoIndexChunk.js');
+
+    const removed = stalePaths.length > 0
+      ? await RepoIndexChunk.deleteMany({ analysisId: analysis._id, path: { $in: stalePaths } })
+      : { deletedCount: 0 };
+
+    const documents = this.toDocuments(analysis, chunks);
+    let method = index.method;
+
+    if (method === 'hybrid' && documents.length > 0) {
+      const embedded = await this.embedDocuments(documents, embedder);
+      if (!embedded || embedded.model !== index.embeddingModel) {
+        // New chunks must share the stored embedding model; otherwise fall back to BM25
+        documents.forEach(doc => { delete doc.embedding; });
+        method = 'bm25';
+      }
+    }
+
+    await this.insertDocuments(RepoIndexChunk, documents);
+
+    const [totals] = await RepoIndexChunk.aggregate([
+      { $match: { analysisId: analysis._id } },
+      { $group: { _id: null, count: { $sum: 1 }, avgLength: { $avg: '$length' } } }
+    ]);
+
+    logger.info(`📚 [RETRIEVAL] Updated index for ${analysis.fullName}: -${removed.deletedCount} +${documents.length} chunks`);
+    return {
+      status: 'ready',
+      method,
+      chunkCount: totals?.count || 0,
+      avgChunkLength: totals?.avgLength || 0,
+      embeddingProvider: method === 'hybrid' ? index.embeddingProvider : null,
+      embeddingModel: method === 'hybrid' ? index.embeddingModel : null,
+      builtAt: new Date(),
+      error: null
+    };
+  }
+
+  /**
+   * Top-k chunks for a question
+   * @param {Object} analysis - RepoAnalysis with retrievalIndex stats
+   * @param {string} query
+   * @param {Object} [options] - { topK, embedder }
+   * @returns {Promise<Array<{path, startLine, endLine, text, score, anchor}>>}
+   */
+  async search(analysis, query, { topK = 6, embedder = null } = {}) {
+    const index = analysis?.retrievalIndex;
+    if (index?.status !== 'ready' || !index.chunkCount) {
+      return [];
+    }
+
+    const { default: RepoIndexChunk } = await import('../../database/models/RepoIndexChunk.js');
+    const terms = [...new Set(tokenize(query))];
+
+    let lexical = [];
+    if (terms.length > 0) {
+      const candidates = await RepoIndexChunk.find({ analysisId: analysis._id, terms: { $in: terms } })
+        .select('path startLine endLine text termFreqs length')
+        .limit(MAX_CANDIDATES)
+        .lean();
+
+      lexical = bm25Rank(terms, candidates, {
+        totalChunks: index.chunkCount,
+        avgLength: index.avgChunkLength
+      });
+    }
+
+    let results = lexical;
+
+    if (index.method === 'hybrid' && embedder?.supportsEmbeddings?.()) {
+      try {
+        const semantic = await this.semanticRank(analysis, query, embedder);
+        results = reciprocalRankFusion([lexical.slice(0, topK * 4), semantic.slice(0, topK * 4)]);
+      } catch (error) {
+        logger.warn(`⚠️ [RETRIEVAL] Semantic search failed, using BM25 only: ${error.message}`);
+      }
+    }
+
+    return results.slice(0, topK).map(chunk => ({
+      path: chunk.path,
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      text: chunk.text,
+      score: chunk.score,
+      anchor: formatAnchor(chunk)
+    }));
+  }
+
+  /**
+   * Remove the stored chunks for an analysis
+   */
+  async deleteIndex(analysisId) {
+    const { default: RepoIndexChunk } = await import('../../database/models/RepoIndexChunk.js');
+    await RepoIndexChunk.deleteMany({ analysisId });
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  toDocuments(analysis, chunks) {
+    return chunks.map(chunk => {
+      const termFreqs = termFrequencies(chunk);
+      return {
+        analysisId: analysis._id,
+        path: chunk.path,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        text: chunk.text,
+        terms: Object.keys(termFreqs),
+        termFreqs,
+        length: Object.values(termFreqs).reduce((sum, count) => sum + count, 0)
+      };
+    });
+  }
+
+  /**
+   * Attach embeddings in place; returns { provider, model } or null when not embedded
+   */
+  async embedDocuments(documents, embedder) {
+    if (!embedder?.supportsEmbeddings?.() || documents.length === 0) {
+      return null;
+    }
+
+    try {
+      let result = null;
+      for (let i = 0; i < documents.length; i += EMBED_BATCH_SIZE) {
+        const batch = documents.slice(i, i + EMBED_BATCH_SIZE);
+        const { embeddings, provider, model } = await embedder.embedTexts(
+          batch.map(doc => `${doc.path}\n${doc.text}`)
+        );
+        batch.forEach((doc, index) => { doc.embedding = embeddings[index]; });
+        result = { provider, model };
+      }
+      return result;
+    } catch (error) {
+      logger.warn(`⚠️ [RETRIEVAL] Embedding failed, using BM25 only: ${error.message}`);
+      documents.forEach(doc => { delete doc.embedding; });
+      return null;
+    }
+  }
+
+  async insertDocuments(RepoIndexChunk, documents) {
+    for (let i = 0; i < documents.length; i += INSERT_BATCH_SIZE) {
+      await RepoIndexChunk.insertMany(documents.slice(i, i + INSERT_BATCH_SIZE), { ordered: false });
+    }
+  }
+
+  async semanticRank(analysis, query, embedder) {
+    const { default: RepoIndexChunk } = await import('../../database/models/RepoIndexChunk.js');
+
+    const { embeddings: [queryEmbedding], model } = await embedder.embedTexts([query]);
+    if (model !== analysis.retrievalIndex.embeddingModel) {
+      // Vectors from different models are not comparable
+      return [];
+    }
+
+    const chunks = await RepoIndexChunk.find({ analysisId: analysis._id })
+      .select('path startLine endLine text +embedding')
+      .lean();
+
+    return chunks
+      .filter(chunk => chunk.embedding?.length === queryEmbedding.length)
+      .map(({ embedding, ...chunk }) => ({ ...chunk, score: cosineSimilarity(queryEmbedding, embedding) }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+export const repoRetrievalIndex = new RepoRetrievalIndex();
+
+export default repoRetrievalIndex;
@@ -0,0 +1,240 @@
+/**
+ * Text retrieval primitives for repository chat
+ * Pure functions (no database or SDK imports) so the chat UI can share citation parsing.
+ *
+ * - chunkFile: split a file into overlapping line-ranged chunks
+ * - tokenize: code-aware terms (splits camelCase / snake_case)
+ * - bm25Rank / reciprocalRankFusion: lexical ranking and hybrid merging
+ * - formatAnchor / resolveCitations: `path#Lstart-Lend` citations
+ */
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'was', 'one',
+  'our', 'out', 'has', 'how', 'its', 'who', 'did', 'get', 'may', 'use', 'this', 'that', 'with',
+  'from', 'what', 'when', 'where', 'which', 'does', 'into', 'there', 'their', 'then', 'than',
+  'them', 'these', 'those', 'have', 'been', 'will', 'would', 'should', 'could', 'about', 'show',
+  'const', 'let', 'var', 'return', 'import', 'export', 'default', 'function', 'new'
+]);
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RRF_K = 60;
+
+/**
+ * Split file content into chunks of up to `maxLines`, preferring to break on blank lines
+ * @returns {Array<{path: string, startLine: number, endLine: number, text: string}>} 1-based, inclusive lines
+ */
+export function chunkFile(path, content, { maxLines = 60, overlap = 10, minBreak = 20 } = {}) {
+  if (!content || !content.trim()) {
+    return [];
+  }
+
+  const lines = content.split('\n');
+  const chunks = [];
+  let start = 0;
+
+  while (start < lines.length) {
+    let end = Math.min(start + maxLines, lines.length);
+
+    // Break on the last blank line in the window so functions stay together
+    if (end < lines.length) {
+      for (let i = end - 1; i >= start + minBreak; i--) {
+        if (!lines[i].trim()) {
+          end = i + 1;
+          break;
+        }
+      }
+    }
+
+    const text = lines.slice(start, end).join('\n');
+    if (text.trim()) {
+      chunks.push({ path, startLine: start + 1, endLine: end, text });
+    }
+
+    if (end >= lines.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Lowercased search terms; identifiers are also split into their parts
+ */
+export function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+
+  const terms = [];
+  for (const word of text.match(/[A-Za-z_][A-Za-z0-9_]*|\d+/g) || []) {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_]+/)
+      .map(part => part.toLowerCase())
+      .filter(Boolean);
+
+    const whole = word.toLowerCase();
+    if (parts.length > 1 && whole.length > 2) {
+      terms.push(whole);
+    }
+    terms.push(...parts);
+  }
+
+  return terms.filter(term => term.length > 2 && term.length < 40 && !STOPWORDS.has(term));
+}
+
+/**
+ * Term frequencies for a chunk (path terms included so file names match)
+ */
+export function termFrequencies(chunk) {
+  const frequencies = {};
+  for (const term of [...tokenize(chunk.path), ...tokenize(chunk.text)]) {
+    frequencies[term] = (frequencies[term] || 0) + 1;
+  }
+  return frequencies;
+}
+
+/**
+ * Okapi BM25 over candidate chunks
+ * @param {string[]} queryTerms
+ * @param {Array<{termFreqs: Object, length: number}>} candidates - Chunks containing at least one query term
+ * @param {Object} stats - { totalChunks, avgLength }
+ * @returns {Array} candidates with `score`, best first
+ */
+export function bm25Rank(queryTerms, candidates, { totalChunks, avgLength }) {
+  const terms = [...new Set(queryTerms)];
+  const frequencyOf = (chunk, term) => (chunk.termFreqs instanceof Map ? chunk.termFreqs.get(term) : chunk.termFreqs?.[term]) || 0;
+
+  const documentFrequency = {};
+  for (const term of terms) {
+    documentFrequency[term] = candidates.filter(chunk => frequencyOf(chunk, term) > 0).length;
+  }
+
+  const total = Math.max(totalChunks || candidates.length, 1);
+  const average = avgLength || 1;
+
+  return candidates
+    .map(chunk => {
+      let score = 0;
+      for (const term of terms) {
+        const tf = frequencyOf(chunk, term);
+        if (!tf) continue;
+        const df = documentFrequency[term];
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * (chunk.length || 0) / average));
+      }
+      return { ...chunk, score };
+    })
+    .filter(chunk => chunk.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Merge ranked lists (e.g. BM25 and embedding similarity) by reciprocal rank
+ * @param {Array<Array<Object>>} rankings - Each list ordered best first
+ * @param {Function} keyOf - Identity of an item across lists
+ */
+export function reciprocalRankFusion(rankings, keyOf = item => formatAnchor(item)) {
+  const fused = new Map();
+
+  rankings.forEach(ranking => {
+    ranking.forEach((item, rank) => {
+      const key = keyOf(item);
+      const entry = fused.get(key) || { item, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(key, entry);
+    });
+  });
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .map(({ item, score }) => ({ ...item, score }));
+}
+
+/**
+ * `path#Lstart-Lend` (or `path#Lline` for a single line)
+ */
+export function formatAnchor({ path, filePath, startLine, endLine, lineStart, lineEnd }) {
+  const file = path || filePath;
+  const start = startLine ?? lineStart;
+  const end = endLine ?? lineEnd ?? start;
+  if (!start) return file;
+  return start === end ? `${file}#L${start}` : `${file}#L${start}-L${end}`;
+}
+
+/**
+ * Citations for an answer: explicit `path#L..` anchors first (resolved against the
+ * retrieved chunks for their code), then retrieved chunks whose file the answer names.
+ * @param {string} content - Assistant answer
+ * @param {Array} retrieved - Chunks given to the model ({ path, startLine, endLine, text, score })
+ * @returns {Array<{filePath, lineStart, lineEnd, code, relevance}>}
+ */
+export function resolveCitations(content, retrieved = [], { limit = 5 } = {}) {
+  if (!content) {
+    return [];
+  }
+
+  const citations = [];
+  const seen = new Set();
+  const topScore = Math.max(...retrieved.map(chunk => chunk.score || 0), 0) || 1;
+
+  const add = (filePath, lineStart, lineEnd, chunk) => {
+    const key = `${filePath}#${lineStart}-${lineEnd}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    let code = null;
+    if (chunk) {
+      const offset = lineStart - chunk.startLine;
+      code = chunk.text.split('\n').slice(Math.max(0, offset), Math.max(0, offset) + (lineEnd - lineStart + 1)).join('\n');
+    }
+    citations.push({
+      filePath,
+      lineStart,
+      lineEnd,
+      code,
+      relevance: chunk ? Number(((chunk.score || 0) / topScore).toFixed(2)) : 0.5
+    });
+  };
+
+  const anchorPattern = /([\w./-]+\.[\w]+)#L(\d+)(?:-L?(\d+))?/g;
+  let match;
+  while ((match = anchorPattern.exec(content)) !== null) {
+    const [, filePath, start, end] = match;
+    const lineStart = Number(start);
+    const lineEnd = Number(end || start);
+    const chunk = retrieved.find(item =>
+      item.path === filePath && item.startLine <= lineStart && item.endLine >= lineEnd
+    );
+    add(filePath, lineStart, lineEnd, chunk);
+  }
+
+  for (const chunk of retrieved) {
+    if (citations.length >= limit) break;
+    if (!citations.some(citation => citation.filePath === chunk.path) && content.includes(chunk.path)) {
+      add(chunk.path, chunk.startLine, chunk.endLine, chunk);
+    }
+  }
+
+  return citations.slice(0, limit);
+}
+
+/**
+ * Prompt section listing retrieved chunks with the anchors the model should cite
+ */
+export function formatRetrievedContext(retrieved = []) {
+  if (retrieved.length === 0) {
+    return '';
+  }
+
+  const blocks = retrieved.map((chunk, index) =>
+    `[${index + 1}] ${formatAnchor(chunk)}\n\`\`\`\n${chunk.text}\n\`\`\``
+  );
+
+  return `RELEVANT CODE (retrieved from the repository index):
+${blocks.join('\n\n')}
+
+When you rely on this code, cite the exact location as path#Lstart-Lend (for example ${formatAnchor(retrieved[0])}). Only cite line ranges shown above or that you read with a tool.`;
+}
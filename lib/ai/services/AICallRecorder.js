@@ -0,0 +1,315 @@
+/**
+ * Record and replay of a workflow's AI calls
+ *
+ * Recording captures every prompt and response crossing AIServiceV2 / AIService `call` and
+ * `callWithTools` for one workflow run (tool calls and their results included) as
+ * AICallRecord documents. Replaying runs a new workflow from the same template and prompt with
+ * each AI call answered from the recording: no provider is called and nothing is billed.
+ *
+ * Replayed calls are matched by method, agent and step type in recorded order. A prompt that
+ * no longer matches its recording is reported as a divergence on the replaying workflow
+ * (workflow.recording.divergences); in strict mode the call fails instead.
+ *
+ * The mode comes from workflow.recording and is picked up by attach() whenever the engine
+ * starts executing the workflow; WorkflowManagerV2 detaches the session once the workflow
+ * completes, fails or is cancelled.
+ */
+
+import { createHash } from 'crypto';
+import logger from '../../utils/logger.js';
+import { diffText } from '../../utils/textDiff.js';
+
+export const RecordingMode = {
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+export const DivergenceType = {
+  PROMPT_CHANGED: 'prompt_changed',
+  MISSING_CALL: 'missing_call'
+};
+
+export class AICallRecorder {
+  constructor() {
+    this.sessions = new Map(); // workflowId -> recording or replay session
+  }
+
+  static generateRecordingId() {
+    return `recording_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  static hashPrompt(prompt) {
+    return createHash('sha256').update(String(prompt ?? '')).digest('hex');
+  }
+
+  /**
+   * Start capturing or replaying AI calls for a workflow, as set in workflow.recording
+   * Safe to call on every (re)start; a replay keeps the calls it already answered.
+   * @returns {Promise<Object|null>} the session, or null when the workflow is not recorded or replayed
+   */
+  async attach(workflowId) {
+    const Workflow = await loadWorkflowModel();
+    const workflow = await Workflow.findOne({ workflowId }).select('recording').lean();
+    const { mode, recordingId, strict, consumed } = workflow?.recording || {};
+
+    if (!mode || !recordingId) {
+      this.sessions.delete(workflowId);
+      return null;
+    }
+
+    const existing = this.sessions.get(workflowId);
+    if (existing?.mode === mode && existing.recordingId === recordingId) {
+      return existing;
+    }
+
+    const AICallRecord = await loadRecordModel();
+    const session = { workflowId, mode, recordingId, strict: Boolean(strict), persist: true, divergences: [] };
+
+    if (mode === RecordingMode.RECORD) {
+      const last = await AICallRecord.findOne({ recordingId }).sort({ sequence: -1 }).select('sequence').lean();
+      session.nextSequence = (last?.sequence || 0) + 1;
+    } else {
+      session.calls = await AICallRecord.findRecording(recordingId).lean();
+      session.consumed = new Set(consumed || []);
+      if (session.calls.length === 0) {
+        logger.warn(`⚠️ [REPLAY] Recording ${recordingId} has no calls - every AI call of ${workflowId} will fail`);
+      }
+    }
+
+    this.sessions.set(workflowId, session);
+    logger.info(`🎞️ [${mode.toUpperCase()}] ${workflowId} attached to ${recordingId}`);
+    return session;
+  }
+
+  /**
+   * Replay a workflow from recorded calls held in memory, e.g. a JSON fixture exported from
+   * GET /api/workflows/[workflowId]/recording?format=fixture. Nothing is written to the database;
+   * divergences are kept on the returned session.
+   */
+  replayFrom(workflowId, recording, { strict = false } = {}) {
+    const session = {
+      workflowId,
+      mode: RecordingMode.REPLAY,
+      recordingId: recording.recordingId || 'fixture',
+      strict,
+      persist: false,
+      calls: recording.calls
+        .map(call => ({ ...call, promptHash: call.promptHash || AICallRecorder.hashPrompt(call.prompt) }))
+        .sort((a, b) => a.sequence - b.sequence),
+      consumed: new Set(),
+      divergences: []
+    };
+    this.sessions.set(workflowId, session);
+    return session;
+  }
+
+  detach(workflowId) {
+    this.sessions.delete(workflowId);
+  }
+
+  isReplaying(workflowId) {
+    return this.sessions.get(workflowId)?.mode === RecordingMode.REPLAY;
+  }
+
+  /**
+   * Run an AI call through the workflow's session, if it has one
+   * Recording sessions perform the call and store it; replay sessions answer from the recording.
+   * @param {string} method - 'call' | 'callWithTools'
+   * @param {Object} request - { prompt, agent, complexity, context, stepType }; context.workflowId selects the session
+   * @param {Function} execute - performs the real call
+   */
+  async intercept(method, request, execute) {
+    const workflowId = request.context?.workflowId;
+    const session = workflowId ? this.sessions.get(workflowId) : null;
+
+    if (!session) {
+      return execute();
+    }
+    if (session.mode === RecordingMode.REPLAY) {
+      return this.replay(session, method, request);
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await execute();
+      await this.record(session, method, request, { result, durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      await this.record(session, method, request, { error, durationMs: Date.now() - startedAt });
+      throw error;
+    }
+  }
+
+  /**
+   * Replay summary: calls answered, recorded calls never asked for, and divergences
+   */
+  async getReplayReport(workflowId) {
+    const Workflow = await loadWorkflowModel();
+    const workflow = await Workflow.findOne({ workflowId }).select('recording').lean();
+    const recording = workflow?.recording;
+    if (recording?.mode !== RecordingMode.REPLAY) {
+      return null;
+    }
+
+    const AICallRecord = await loadRecordModel();
+    const calls = await AICallRecord.findRecording(recording.recordingId)
+      .select('sequence method agentId stepType')
+      .lean();
+    const consumed = new Set(recording.consumed || []);
+
+    return {
+      recordingId: recording.recordingId,
+      strict: Boolean(recording.strict),
+      totalCalls: calls.length,
+      replayedCalls: consumed.size,
+      unusedCalls: calls.filter(call => !consumed.has(call.sequence)),
+      divergences: recording.divergences || []
+    };
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  async record(session, method, request, { result = null, error = null, durationMs }) {
+    const sequence = session.nextSequence++;
+
+    // A failed save must never fail the run being recorded
+    try {
+      const AICallRecord = await loadRecordModel();
+      await AICallRecord.create({
+        recordingId: session.recordingId,
+        workflowId: session.workflowId,
+        sequence,
+        method,
+        agentId: request.agent?.id || null,
+        stepType: request.stepType || null,
+        complexity: request.complexity == null ? null : String(request.complexity),
+        prompt: String(request.prompt ?? ''),
+        promptHash: AICallRecorder.hashPrompt(request.prompt),
+        response: result ? serializeResponse(result) : null,
+        toolResults: result ? extractToolResults(result) : [],
+        error: error?.message || null,
+        provider: result?.provider,
+        model: result?.model,
+        durationMs
+      });
+    } catch (saveError) {
+      logger.warn(`⚠️ [RECORD] Could not save call ${sequence} of ${session.workflowId}: ${saveError.message}`);
+    }
+  }
+
+  async replay(session, method, request) {
+    const agentId = request.agent?.id || null;
+    const stepType = request.stepType || null;
+    const promptHash = AICallRecorder.hashPrompt(request.prompt);
+
+    const candidates = session.calls.filter(call =>
+      !session.consumed.has(call.sequence) &&
+      call.method === method &&
+      call.agentId === agentId &&
+      call.stepType === stepType
+    );
+    const exact = candidates.find(call => call.promptHash === promptHash);
+    const match = exact || candidates[0];
+    const caller = `${agentId || 'system'}${stepType ? ` (${stepType})` : ''}`;
+
+    if (!match) {
+      await this.reportDivergence(session, {
+        type: DivergenceType.MISSING_CALL,
+        sequence: null,
+        method,
+        agentId,
+        stepType,
+        actualHash: promptHash
+      });
+      throw new Error(`Replay of ${session.recordingId} has no recorded ${method} left for ${caller}`);
+    }
+
+    // Claimed before any await so concurrent (parallel step) calls never share a recording
+    session.consumed.add(match.sequence);
+
+    if (!exact) {
+      await this.reportDivergence(session, {
+        type: DivergenceType.PROMPT_CHANGED,
+        sequence: match.sequence,
+        method,
+        agentId,
+        stepType,
+        expectedHash: match.promptHash,
+        actualHash: promptHash,
+        stats: diffText(match.prompt, String(request.prompt ?? '')).stats
+      });
+      if (session.strict) {
+        throw new Error(`Replay of ${session.recordingId} diverged at call ${match.sequence}: prompt for ${caller} changed`);
+      }
+    }
+
+    if (session.persist) {
+      await updateWorkflowRecording(session.workflowId, { $addToSet: { 'recording.consumed': match.sequence } });
+    }
+
+    if (match.error) {
+      throw new Error(match.error);
+    }
+    return {
+      ...JSON.parse(JSON.stringify(match.response)),
+      replay: { recordingId: session.recordingId, sequence: match.sequence }
+    };
+  }
+
+  async reportDivergence(session, divergence) {
+    const entry = { ...divergence, detectedAt: new Date() };
+    session.divergences.push(entry);
+    logger.warn(`⚠️ [REPLAY] ${divergence.type} in ${session.workflowId}: ${divergence.agentId || 'system'} call ${divergence.sequence ?? '-'}`);
+
+    if (session.persist) {
+      await updateWorkflowRecording(session.workflowId, { $push: { 'recording.divergences': entry } });
+    }
+  }
+}
+
+async function loadRecordModel() {
+  const { default: AICallRecord } = await import('../../database/models/AICallRecord.js');
+  return AICallRecord;
+}
+
+async function loadWorkflowModel() {
+  const { default: Workflow } = await import('../../database/models/Workflow.js');
+  return Workflow;
+}
+
+async function updateWorkflowRecording(workflowId, update) {
+  try {
+    const Workflow = await loadWorkflowModel();
+    await Workflow.updateOne({ workflowId }, update);
+  } catch (error) {
+    logger.warn(`⚠️ [REPLAY] Could not update replay state of ${workflowId}: ${error.message}`);
+  }
+}
+
+// Tool-calling results carry full provider requests/responses per step; keep what callers read
+function serializeResponse(result) {
+  const { steps, ...rest } = result;
+  const response = JSON.parse(JSON.stringify(rest));
+  if (Array.isArray(steps)) {
+    response.steps = JSON.parse(JSON.stringify(steps.map(step => ({
+      text: step.text,
+      toolCalls: step.toolCalls || [],
+      toolResults: step.toolResults || [],
+      finishReason: step.finishReason
+    }))));
+  }
+  return response;
+}
+
+function extractToolResults(result) {
+  const toolResults = (result.steps || []).flatMap(step => step.toolResults || []);
+  return JSON.parse(JSON.stringify(toolResults.map(toolResult => ({
+    toolCallId: toolResult.toolCallId,
+    toolName: toolResult.toolName,
+    input: toolResult.input ?? toolResult.args,
+    output: toolResult.output ?? toolResult.result
+  }))));
+}
+
+export const aiCallRecorder = new AICallRecorder();
+export default aiCallRecorder;
@@ -0,0 +1,260 @@
+/**
+ * Budget enforcement for AI spend
+ *
+ * Soft and hard caps, in dollars and in tokens, at three levels:
+ * - user: User.budget, per daily or monthly period
+ * - workflow: Workflow.budget, one workflow instance
+ * - team: AgentTeam.budget, one team deployment (workflows linked via Workflow.budget.teamInstanceId)
+ *
+ * Spend is summed from UsageLog, so every call attributed to a user/workflow counts once.
+ * Costs are priced per model (UsageTracker.estimateCost); a self-hosted endpoint only counts
+ * toward dollar caps when the user sets a price for it, but always counts toward token caps.
+ * Hard caps block further AI calls (AIServiceV2 / AIService); soft caps pause the
+ * workflow and ask the user whether to continue (WorkflowExecutor).
+ */
+
+import logger from '../../utils/logger.js';
+
+export const BUDGET_SCOPES = ['user', 'workflow', 'team'];
+export const BUDGET_METRICS = ['cost', 'tokens'];
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+
+export const BudgetStatus = {
+  OK: 'ok',
+  SOFT: 'soft',
+  HARD: 'hard'
+};
+
+/** elicitationDetails.type used when a soft cap pauses a workflow */
+export const BUDGET_ELICITATION_TYPE = 'budget_soft_cap';
+
+const STATUS_RANK = { ok: 0, soft: 1, hard: 2 };
+
+export class BudgetManager {
+  /**
+   * Validate and normalize caps from user input
+   * @param {Object} input - { soft: { cost, tokens }, hard: { cost, tokens } }
+   * @returns {{soft: Object, hard: Object}} Missing, null or 0 values mean "no cap"
+   */
+  static normalizeLimits(input = {}) {
+    const limits = { soft: {}, hard: {} };
+
+    for (const level of ['soft', 'hard']) {
+      for (const metric of BUDGET_METRICS) {
+        const value = input?.[level]?.[metric];
+        if (value === undefined || value === null || value === '' || Number(value) === 0) {
+          limits[level][metric] = null;
+          continue;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+          throw new Error(`${level}.${metric} must be a positive number`);
+        }
+        limits[level][metric] = metric === 'tokens' ? Math.round(number) : number;
+      }
+    }
+
+    for (const metric of BUDGET_METRICS) {
+      const soft = limits.soft[metric];
+      const hard = limits.hard[metric];
+      if (soft && hard && soft > hard) {
+        throw new Error(`soft.${metric} cannot exceed hard.${metric}`);
+      }
+    }
+
+    return limits;
+  }
+
+  static hasLimits(limits) {
+    return ['soft', 'hard'].some(level =>
+      BUDGET_METRICS.some(metric => limits?.[level]?.[metric] > 0)
+    );
+  }
+
+  /**
+   * Evaluate one scope's spend against its caps
+   * @returns {{status: string, exceeded: Object[], remaining: {cost: number|null, tokens: number|null}}}
+   */
+  static evaluate(limits = {}, spent = {}) {
+    const exceeded = [];
+    const remaining = {};
+
+    for (const metric of BUDGET_METRICS) {
+      const used = spent[metric] || 0;
+      for (const level of ['hard', 'soft']) {
+        const limit = limits?.[level]?.[metric];
+        if (limit > 0 && used >= limit) {
+          exceeded.push({ level, metric, limit, spent: used });
+        }
+      }
+
+      // Remaining is measured against the hard cap, or the soft cap when there is none
+      const cap = limits?.hard?.[metric] || limits?.soft?.[metric] || null;
+      remaining[metric] = cap ? Math.max(0, cap - used) : null;
+    }
+
+    const status = exceeded.some(item => item.level === 'hard')
+      ? BudgetStatus.HARD
+      : exceeded.length > 0 ? BudgetStatus.SOFT : BudgetStatus.OK;
+
+    return { status, exceeded, remaining };
+  }
+
+  /**
+   * Start of the user's current budget period (UTC)
+   */
+  static periodStart(period = 'monthly', now = new Date()) {
+    if (period === 'daily') {
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    }
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  /**
+   * Human readable reason for the first cap a scope has hit
+   */
+  static describe(scope) {
+    const [first] = scope.exceeded.filter(item => item.level === scope.status);
+    if (!first) {
+      return `${scope.scope} budget is within limits`;
+    }
+    const format = first.metric === 'cost'
+      ? value => `$${value.toFixed(2)}`
+      : value => `${Math.round(value).toLocaleString()} tokens`;
+    return `${scope.scope} ${first.level} cap of ${format(first.limit)} reached (${format(first.spent)} spent)`;
+  }
+
+  /**
+   * Elicitation shown when a soft cap pauses a workflow
+   */
+  static softCapElicitation(scope) {
+    return {
+      type: BUDGET_ELICITATION_TYPE,
+      sectionTitle: 'Budget soft cap reached',
+      sectionId: `budget:${scope.scope}`,
+      agentId: 'system',
+      instruction: `${BudgetManager.describe(scope)}. Reply "continue" to keep running this workflow or "stop" to cancel it.`,
+      options: ['continue', 'stop']
+    };
+  }
+
+  /**
+   * Resolve caps and spend for every scope that applies to a call or workflow
+   * @param {Object} attribution - { userId, workflowId }
+   * @returns {Promise<{status: string, scopes: Object[], remaining: Object, workflowBudget: Object|null}>}
+   */
+  async getBudgetStatus({ userId = null, workflowId = null } = {}) {
+    const { default: mongoose } = await import('mongoose');
+    const empty = { status: BudgetStatus.OK, scopes: [], remaining: { cost: null, tokens: null }, workflowBudget: null };
+
+    // Budgets live in MongoDB - without a connection there is nothing to enforce
+    if (mongoose.connection.readyState !== 1) {
+      return empty;
+    }
+
+    const [{ default: UsageLog }, { default: Workflow }, { default: AgentTeam }, { default: User }] = await Promise.all([
+      import('../../database/models/UsageLog.js'),
+      import('../../database/models/Workflow.js'),
+      import('../../database/models/AgentTeam.js'),
+      import('../../database/models/User.js')
+    ]);
+
+    const scopes = [];
+    const workflow = workflowId
+      ? await Workflow.findOne({ workflowId }).select('workflowId userId budget').lean()
+      : null;
+
+    if (workflow && BudgetManager.hasLimits(workflow.budget)) {
+      const spent = await UsageLog.getSpend({ workflowId });
+      scopes.push(this.buildScope('workflow', workflowId, workflow.budget, spent));
+    }
+
+    if (workflowId) {
+      const teamInstanceId = workflow?.budget?.teamInstanceId;
+      const team = await AgentTeam.findOne(teamInstanceId
+        ? { teamInstanceId }
+        : { 'deployment.workflowInstanceId': workflowId }
+      ).select('teamInstanceId budget deployment.workflowInstanceId').lean();
+
+      if (team && BudgetManager.hasLimits(team.budget)) {
+        const linked = await Workflow.find({ 'budget.teamInstanceId': team.teamInstanceId }).distinct('workflowId');
+        const workflowIds = [...new Set([...linked, team.deployment?.workflowInstanceId, workflowId].filter(Boolean))];
+        const spent = await UsageLog.getSpend({ workflowId: workflowIds });
+        scopes.push(this.buildScope('team', team.teamInstanceId, team.budget, spent));
+      }
+    }
+
+    const ownerId = userId || workflow?.userId;
+    if (ownerId && mongoose.isValidObjectId(ownerId)) {
+      const user = await User.findById(ownerId).select('budget').lean();
+      if (user && BudgetManager.hasLimits(user.budget)) {
+        const since = BudgetManager.periodStart(user.budget.period);
+        const spent = await UsageLog.getSpend({ userId: ownerId, since });
+        scopes.push({
+          ...this.buildScope('user', String(ownerId), user.budget, spent),
+          period: user.budget.period || 'monthly',
+          periodStart: since
+        });
+      }
+    }
+
+    if (scopes.length === 0) {
+      return { ...empty, workflowBudget: workflow?.budget || null };
+    }
+
+    const status = scopes.reduce(
+      (worst, scope) => (STATUS_RANK[scope.status] > STATUS_RANK[worst] ? scope.status : worst),
+      BudgetStatus.OK
+    );
+
+    // Tightest remaining amount across scopes
+    const remaining = {};
+    for (const metric of BUDGET_METRICS) {
+      const values = scopes.map(scope => scope.remaining[metric]).filter(value => value !== null);
+      remaining[metric] = values.length > 0 ? Math.min(...values) : null;
+    }
+
+    return { status, scopes, remaining, workflowBudget: workflow?.budget || null };
+  }
+
+  /**
+   * Gate for an AI call: blocked only by hard caps. Errors never block.
+   * @returns {Promise<{allowed: boolean, reason?: string, status: string, scopes: Object[]}>}
+   */
+  async checkBudget({ userId = null, workflowId = null } = {}) {
+    if (!userId && !workflowId) {
+      return { allowed: true, status: BudgetStatus.OK, scopes: [] };
+    }
+
+    try {
+      const budget = await this.getBudgetStatus({ userId, workflowId });
+      const blocked = budget.scopes.find(scope => scope.status === BudgetStatus.HARD);
+
+      return {
+        allowed: !blocked,
+        ...(blocked && { reason: BudgetManager.describe(blocked) }),
+        status: budget.status,
+        scopes: budget.scopes,
+        remaining: budget.remaining
+      };
+    } catch (error) {
+      logger.warn(`⚠️ [BUDGET] Could not evaluate budget, allowing request: ${error.message}`);
+      return { allowed: true, status: BudgetStatus.OK, scopes: [] };
+    }
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  buildScope(scope, id, budget, spent) {
+    const limits = { soft: budget.soft || {}, hard: budget.hard || {} };
+    return {
+      scope,
+      id,
+      limits,
+      spent,
+      ...BudgetManager.evaluate(limits, spent)
+    };
+  }
+}
+
+export default BudgetManager;
@@ -14,6 +14,52 @@
 import logger from '../../utils/logger.js';
 import { redisService } from '../../utils/redis.js';
 
+/**
+ * USD per token by provider, used for models MODEL_PRICING does not list. Gemini is billed
+ * on total tokens; self-hosted OpenAI-compatible endpoints cost what the user sets for them
+ * (pricePerMillionTokens), free otherwise.
+ */
+export const PROVIDER_PRICING = {
+  gemini: { total: 0.000001 },
+  openai: { prompt: 0.00000015, completion: 0.0000006 }, // GPT-4o-mini
+  anthropic: { prompt: 0.0000008, completion: 0.000004 }, // Claude 3.5 Haiku
+  openaiCompatible: { prompt: 0, completion: 0 }
+};
+
+/**
+ * USD per token by hosted model, matched on the longest model id prefix so dated and
+ * "-latest" variants share a price
+ */
+export const MODEL_PRICING = {
+  'gpt-3.5-turbo': { prompt: 0.0000005, completion: 0.0000015 },
+  'gpt-4-turbo': { prompt: 0.00001, completion: 0.00003 },
+  'gpt-4o': { prompt: 0.0000025, completion: 0.00001 },
+  'gpt-4o-mini': { prompt: 0.00000015, completion: 0.0000006 },
+  'gpt-4.1': { prompt: 0.000002, completion: 0.000008 },
+  'gpt-4.1-mini': { prompt: 0.0000004, completion: 0.0000016 },
+  'gpt-4.1-nano': { prompt: 0.0000001, completion: 0.0000004 },
+  'o3-mini': { prompt: 0.0000011, completion: 0.0000044 },
+  'claude-3-haiku': { prompt: 0.00000025, completion: 0.00000125 },
+  'claude-3-5-haiku': { prompt: 0.0000008, completion: 0.000004 },
+  'claude-3-5-sonnet': { prompt: 0.000003, completion: 0.000015 },
+  'claude-3-7-sonnet': { prompt: 0.000003, completion: 0.000015 },
+  'claude-sonnet-4': { prompt: 0.000003, completion: 0.000015 },
+  'claude-3-opus': { prompt: 0.000015, completion: 0.000075 },
+  'claude-opus-4': { prompt: 0.000015, completion: 0.000075 },
+  'gemini-1.5-flash': { prompt: 0.000000075, completion: 0.0000003 },
+  'gemini-1.5-pro': { prompt: 0.00000125, completion: 0.000005 },
+  'gemini-2.0-flash': { prompt: 0.0000001, completion: 0.0000004 },
+  'gemini-2.5-flash': { prompt: 0.0000003, completion: 0.0000025 },
+  'gemini-2.5-flash-lite': { prompt: 0.0000001, completion: 0.0000004 },
+  'gemini-2.5-pro': { prompt: 0.00000125, completion: 0.00001 }
+};
+
+// Longest first, so gpt-4o-mini is not priced as gpt-4o
+const MODEL_PREFIXES = Object.keys(MODEL_PRICING).sort((a, b) => b.length - a.length);
+
+// A self-hosted model named like a hosted one (e.g. served by vLLM) is not billed as one
+const MODEL_PRICED_PROVIDERS = ['gemini', 'openai', 'anthropic'];
+
 export class UsageTracker {
   constructor() {
     // Verify Redis is available
@@ -60,6 +106,83 @@ export class UsageTracker {
     }
   }
 
+  /**
+   * Estimate the cost of a call from normalized token counts
+   * @param {string} provider - gemini | openai | anthropic | openaiCompatible
+   * @param {Object} tokens - { promptTokens, completionTokens, totalTokens }
+   * @param {string} [model] - Model that served the call; unlisted models use the provider price
+   * @param {Object} [endpoint] - { pricePerMillionTokens } set for the user's OpenAI-compatible endpoint
+   * @returns {number} Cost in USD (0 for unknown providers)
+   */
+  static estimateCost(provider, { promptTokens = 0, completionTokens = 0, totalTokens = 0 } = {}, model = null, endpoint = null) {
+    const pricing = UsageTracker.pricingFor(provider, model, endpoint);
+    if (!pricing) {
+      return 0;
+    }
+
+    if (pricing.total !== undefined) {
+      return (totalTokens || promptTokens + completionTokens) * pricing.total;
+    }
+
+    return promptTokens * pricing.prompt + completionTokens * pricing.completion;
+  }
+
+  /**
+   * Per-token price for a provider's model
+   * @returns {Object|null} { prompt, completion } or { total }; null for unknown providers
+   */
+  static pricingFor(provider, model = null, endpoint = null) {
+    if (provider === 'openaiCompatible' && endpoint?.pricePerMillionTokens > 0) {
+      return { total: endpoint.pricePerMillionTokens / 1000000 };
+    }
+    if (model && MODEL_PRICED_PROVIDERS.includes(provider)) {
+      // "models/gemini-2.5-pro" and "openai/gpt-4o" name the same models
+      const modelId = model.split('/').pop().toLowerCase();
+      const prefix = MODEL_PREFIXES.find(candidate => modelId.startsWith(candidate));
+      if (prefix) {
+        return MODEL_PRICING[prefix];
+      }
+    }
+    return PROVIDER_PRICING[provider] || null;
+  }
+
+  /**
+   * Persist a per-model usage record to UsageLog (MongoDB).
+   * Non-blocking for callers: failures are logged, never thrown.
+   * @param {Object} details - { userId, provider, model, totalTokens, promptTokens, completionTokens,
+   *                             estimatedCost, workflowId, agentId, stepType, routeSource, requestType }
+   */
+  async logModelUsage(details) {
+    const { default: mongoose } = await import('mongoose');
+    // System calls (e.g. userId 'system') have no user document to attribute to
+    if (!details.userId || !mongoose.isValidObjectId(details.userId) || !details.model) {
+      return null;
+    }
+
+    try {
+      const { default: UsageLog } = await import('../../database/models/UsageLog.js');
+      return await UsageLog.logUsage({
+        userId: details.userId,
+        provider: details.provider,
+        model: details.model,
+        totalTokens: details.totalTokens || 0,
+        promptTokens: details.promptTokens || 0,
+        candidatesTokens: details.completionTokens || 0,
+        estimatedCost: details.estimatedCost || 0,
+        hasActualMetadata: true,
+        workflowId: details.workflowId || null,
+        agentId: details.agentId || null,
+        stepType: details.stepType || null,
+        routeSource: details.routeSource || null,
+        requestType: details.requestType || (details.workflowId ? 'workflow' : 'direct'),
+        timestamp: new Date()
+      });
+    } catch (error) {
+      logger.warn(`Failed to persist model usage: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Track usage in Redis
    */
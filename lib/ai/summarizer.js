@@ -209,3 +209,56 @@ export async function generateAISummary(analysis, fileIndex, metrics, userId) {
     };
   }
 }
+
+/**
+ * Condense older elicitation/interaction history into a short brief for agent context.
+ * Uses the workflow's AI service when available; otherwise keeps the first line of each
+ * exchange so nothing silently disappears.
+ *
+ * @param {Object[]} items - History items ({ agent, message, userResponse, timestamp })
+ * @param {Object} [options] - { aiService, userId, workflowId, maxTokens }
+ * @returns {Promise<{content: string, type: string}>} type is 'ai-summary' or 'extractive'
+ */
+export async function summarizeHistory(items, options = {}) {
+  const { aiService = null, userId = null, workflowId = null, maxTokens = 400 } = options;
+
+  if (!items || items.length === 0) {
+    return { content: '', type: 'extractive' };
+  }
+
+  const transcript = items.map(item => {
+    const question = `${item.agent || 'system'}: ${item.message || ''}`.trim();
+    return item.userResponse ? `${question}\nuser: ${item.userResponse}` : question;
+  }).join('\n\n');
+
+  if (aiService?.initialized) {
+    try {
+      const prompt = `Summarize this earlier conversation between BMAD agents and the user for an agent picking up the work.
+Keep every decision, requirement, constraint and open question; drop pleasantries.
+Respond with at most ${Math.round(maxTokens * 0.75)} words of plain bullet points.
+
+${transcript}`;
+
+      const response = await aiService.call(prompt, {
+        agent: null,
+        complexity: 1,
+        context: { action: 'history_summary', workflowId, maxTokens },
+        userId
+      });
+
+      if (response?.content?.trim()) {
+        return { content: response.content.trim(), type: 'ai-summary' };
+      }
+    } catch (error) {
+      logger.warn(`⚠️ History summary failed, using extractive summary: ${error.message}`);
+    }
+  }
+
+  const lines = items.map(item => {
+    const question = (item.message || '').split('\n')[0].slice(0, 160);
+    const answer = (item.userResponse || '').split('\n')[0].slice(0, 160);
+    return `- ${item.agent || 'system'}: ${question}${answer ? ` → user: ${answer}` : ''}`;
+  });
+
+  return { content: lines.join('\n'), type: 'extractive' };
+}
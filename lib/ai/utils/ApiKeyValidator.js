@@ -50,6 +50,71 @@ export class ApiKeyValidator {
     return { valid: true };
   }
 
+  static validateAnthropic(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') {
+      return { valid: false, error: 'API key must be a non-empty string' };
+    }
+
+    // Anthropic API keys start with 'sk-ant-'
+    if (!apiKey.startsWith('sk-ant-')) {
+      return { valid: false, error: 'Anthropic API key must start with "sk-ant-"' };
+    }
+
+    if (apiKey.length < 20 || apiKey.length > 300) {
+      return { valid: false, error: 'Anthropic API key has invalid length' };
+    }
+
+    if (!/^sk-ant-[A-Za-z0-9\-_]+$/.test(apiKey)) {
+      return { valid: false, error: 'Anthropic API key contains invalid characters' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate an OpenAI-compatible endpoint (Ollama, vLLM, LM Studio...)
+   * @param {Object} config - { baseUrl, model, apiKey?, pricePerMillionTokens? }
+   */
+  static validateOpenAICompatible(config) {
+    if (!config || typeof config !== 'object') {
+      return { valid: false, error: 'Endpoint configuration must be an object with baseUrl and model' };
+    }
+
+    let url;
+    try {
+      url = new URL(config.baseUrl);
+    } catch {
+      return { valid: false, error: 'Base URL must be a valid URL' };
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { valid: false, error: 'Base URL must use http or https' };
+    }
+
+    if (!config.model || typeof config.model !== 'string' || !config.model.trim()) {
+      return { valid: false, error: 'Model name is required' };
+    }
+
+    // Local servers usually ignore the key, so it is optional
+    if (config.apiKey && (typeof config.apiKey !== 'string' || config.apiKey.length > 500)) {
+      return { valid: false, error: 'Endpoint API key has invalid length' };
+    }
+
+    const price = config.pricePerMillionTokens;
+    if (price !== undefined && price !== null && !(Number.isFinite(price) && price >= 0)) {
+      return { valid: false, error: 'Price per million tokens must be a positive number' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Whether at least one provider is configured
+   */
+  static hasAnyKey(apiKeys) {
+    return !!(apiKeys && (apiKeys.openai || apiKeys.gemini || apiKeys.anthropic || apiKeys.openaiCompatible?.baseUrl));
+  }
+
   static validateAll(apiKeys) {
     const results = {};
     
@@ -61,6 +126,14 @@ export class ApiKeyValidator {
       results.gemini = this.validateGemini(apiKeys.gemini);
     }
 
+    if (apiKeys.anthropic) {
+      results.anthropic = this.validateAnthropic(apiKeys.anthropic);
+    }
+
+    if (apiKeys.openaiCompatible) {
+      results.openaiCompatible = this.validateOpenAICompatible(apiKeys.openaiCompatible);
+    }
+
     const hasValidKey = Object.values(results).some(result => result.valid);
     const errors = Object.entries(results)
       .filter(([_, result]) => !result.valid)
@@ -0,0 +1,135 @@
+/**
+ * Endpoint Guard
+ * Checks user-supplied URLs (OpenAI-compatible base URLs, webhooks) before the server connects to them
+ *
+ * Hosts that resolve to loopback, private, link-local or other internal ranges are refused, so
+ * these settings cannot be used to reach the server's own network or cloud metadata services.
+ * Admins can allow self-hosted servers on those ranges by name or address with an allow-list,
+ * by default OPENAI_COMPATIBLE_ALLOWED_HOSTS (comma-separated, e.g. "localhost,ollama.internal,10.0.0.5").
+ *
+ * Server-side only.
+ */
+
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import logger from '../../utils/logger.js';
+
+const BLOCKED_RANGES = new BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+export class EndpointGuard {
+  /**
+   * Check a base URL and the addresses its host resolves to
+   * @param {string} baseUrl
+   * @param {Object} [options]
+   * @param {string} [options.allowedHosts] - Comma-separated admin allow-list
+   * @param {Function} [options.resolve] - host => Promise<[{ address, family }]>
+   * @returns {Promise<{allowed: boolean, reason?: string}>} reason is logged, never shown to users
+   */
+  static async check(baseUrl, {
+    allowedHosts = process.env.OPENAI_COMPATIBLE_ALLOWED_HOSTS,
+    resolve = (host) => lookup(host, { all: true, verbatim: true })
+  } = {}) {
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch {
+      return { allowed: false, reason: 'invalid URL' };
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { allowed: false, reason: `scheme ${url.protocol} is not http or https` };
+    }
+    if (url.username || url.password) {
+      return { allowed: false, reason: 'credentials in the URL' };
+    }
+
+    // IPv6 literals keep their brackets in URL.hostname
+    const host = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    if (!host) {
+      return { allowed: false, reason: 'missing host' };
+    }
+    if (EndpointGuard.parseAllowList(allowedHosts).includes(host)) {
+      return { allowed: true };
+    }
+
+    let addresses;
+    try {
+      addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await resolve(host);
+    } catch (error) {
+      return { allowed: false, reason: `${host} did not resolve (${error.code || error.message})` };
+    }
+
+    const blocked = addresses.find(({ address }) => EndpointGuard.isInternalAddress(address));
+    if (!addresses.length || blocked) {
+      return { allowed: false, reason: `${host} resolves to internal address ${blocked?.address || 'none'}` };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * fetch for SDK clients that are built synchronously (AI SDK providers): the base URL is
+   * checked before the first request and redirects are never followed
+   * @param {string} baseUrl
+   * @param {Object} [options] - check() options, plus fetch (defaults to the global fetch)
+   * @returns {Function} (input, init) => Promise<Response>
+   */
+  static guardedFetch(baseUrl, { fetch: fetchImpl = (...args) => globalThis.fetch(...args), ...options } = {}) {
+    let checked = null;
+    return async (input, init = {}) => {
+      checked ||= EndpointGuard.check(baseUrl, options);
+      const guard = await checked;
+      if (!guard.allowed) {
+        logger.warn(`⚠️ [ENDPOINT GUARD] Refused ${baseUrl}: ${guard.reason}`);
+        throw new Error('Endpoint points to an address that is not allowed. Ask an administrator to allow-list it.');
+      }
+      return fetchImpl(input, { ...init, redirect: 'error' });
+    };
+  }
+
+  /**
+   * Whether an address is in a loopback, private, link-local or otherwise internal range
+   */
+  static isInternalAddress(address) {
+    const family = isIP(address);
+    if (!family) {
+      return true;
+    }
+    if (family === 6) {
+      // IPv4-mapped addresses (::ffff:127.0.0.1) are checked as IPv4
+      const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+      if (mapped) {
+        return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+      }
+    }
+    return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  static parseAllowList(allowedHosts) {
+    return (allowedHosts || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+  }
+}
+
+export default EndpointGuard;
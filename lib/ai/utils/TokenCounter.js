@@ -0,0 +1,93 @@
+/**
+ * Token counting and context window sizes per provider and model
+ * No tokenizer ships with the SDKs we use, so counts are estimates calibrated per
+ * tokenizer family - close enough to budget a prompt, not to bill it.
+ */
+
+// Average characters per token for English/code text
+const CHARS_PER_TOKEN = {
+  openai: 4,
+  openaiCompatible: 3.8,
+  anthropic: 3.5,
+  gemini: 4
+};
+
+// Context window by model prefix (most specific first), then per provider default
+const MODEL_WINDOWS = [
+  ['gpt-4.1', 1047576],
+  ['gpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['o1', 200000],
+  ['o3', 200000],
+  ['claude', 200000],
+  ['gemini-1.0', 32768],
+  ['gemini', 1048576]
+];
+
+const PROVIDER_WINDOWS = {
+  openai: 128000,
+  anthropic: 200000,
+  gemini: 1048576,
+  // Self-hosted servers are often started with a small context (Ollama defaults to 8k)
+  openaiCompatible: Number(process.env.OPENAI_COMPATIBLE_CONTEXT_WINDOW) || 8192
+};
+
+const DEFAULT_WINDOW = 8192;
+
+export class TokenCounter {
+  /**
+   * Estimate tokens for text (objects are counted as their JSON)
+   * @param {string|Object} text
+   * @param {Object} [target] - { provider, model }
+   * @returns {number}
+   */
+  static count(text, { provider = null } = {}) {
+    if (text === null || text === undefined) {
+      return 0;
+    }
+    const value = typeof text === 'string' ? text : JSON.stringify(text);
+    if (!value) {
+      return 0;
+    }
+
+    const ratio = CHARS_PER_TOKEN[provider] || 4;
+    // Non-Latin scripts tokenize at roughly one token per character
+    const nonAscii = (value.match(/[\u0080-\uFFFF]/g) || []).length;
+    return Math.ceil((value.length - nonAscii) / ratio + nonAscii);
+  }
+
+  /**
+   * Context window (input + output tokens) for a provider/model
+   */
+  static contextWindow({ provider = null, model = null } = {}) {
+    if (model) {
+      const match = MODEL_WINDOWS.find(([prefix]) => model.startsWith(prefix));
+      if (match && provider !== 'openaiCompatible') {
+        return match[1];
+      }
+    }
+    return PROVIDER_WINDOWS[provider] || DEFAULT_WINDOW;
+  }
+
+  /**
+   * Cut text down to roughly `maxTokens`, on a line boundary when one is close
+   */
+  static truncate(text, maxTokens, target = {}) {
+    if (!text || TokenCounter.count(text, target) <= maxTokens) {
+      return text || '';
+    }
+    const suffix = '\n...';
+    const limit = maxTokens - TokenCounter.count(suffix, target);
+    const ratio = CHARS_PER_TOKEN[target.provider] || 4;
+    let cut = text.slice(0, Math.max(0, Math.floor(limit * ratio)));
+    while (cut && TokenCounter.count(cut, target) > limit) {
+      cut = cut.slice(0, Math.floor(cut.length * 0.9));
+    }
+    const lastBreak = cut.lastIndexOf('\n');
+    return (lastBreak > cut.length * 0.8 ? cut.slice(0, lastBreak) : cut) + suffix;
+  }
+}
+
+export default TokenCounter;
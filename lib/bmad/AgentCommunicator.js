@@ -6,9 +6,10 @@
 const { EventEmitter } = require('events');
 const { MessageType } = require('./types.js');
 import logger from '../utils/logger.js';
+import { integrationEventBus, LifecycleEvent } from '../integrations/IntegrationEventBus.js';
 
 class AgentCommunicator extends EventEmitter {
-  constructor(webSocketServer = null, messageService = null, pusherService = null) {
+  constructor(webSocketServer = null, messageService = null, pusherService = null, eventBus = integrationEventBus) {
     super();
     this.messageHandlers = new Map(); // messageType -> handler function
     // For serverless: activeChannels should be stored in database, not memory
@@ -17,6 +18,7 @@ class AgentCommunicator extends EventEmitter {
     this.webSocketServer = webSocketServer; // For real-time broadcasting
     this.messageService = messageService; // For database persistence
     this.pusherService = pusherService; // For real-time Pusher events
+    this.eventBus = eventBus; // Lifecycle events for integrations
     this.setupDefaultHandlers();
   }
 
@@ -215,11 +217,12 @@ class AgentCommunicator extends EventEmitter {
         const WorkflowModel = require('../database/models/Workflow.js').default;
         
         // Update workflow status and elicitation details
-        await WorkflowModel.findOneAndUpdate(
+        const elicitation = { ...message.content, agentId: message.content?.agentId || message.from };
+        const workflow = await WorkflowModel.findOneAndUpdate(
           { workflowId: message.workflowId }, 
           { 
             status: 'PAUSED_FOR_ELICITATION',
-            elicitationDetails: message.content,
+            elicitationDetails: elicitation,
             updatedAt: new Date()
           }, 
           { new: true }
@@ -234,6 +237,17 @@ class AgentCommunicator extends EventEmitter {
         });
         
         logger.info('📝 [DATABASE] Elicitation details saved and Pusher event sent');
+
+        // Same lifecycle events as WorkflowLifecycleManager.pauseWorkflow, so integrations can answer
+        if (workflow) {
+          const step = workflow.bmadWorkflowData?.currentStep;
+          await this.eventBus?.emit(LifecycleEvent.WORKFLOW_PAUSED, workflow, { reason: 'elicitation', step });
+          await this.eventBus?.emit(LifecycleEvent.ELICITATION_REQUESTED, workflow, {
+            elicitation,
+            step,
+            agentId: elicitation.agentId
+          });
+        }
         
       } catch (error) {
         logger.error('❌ [DATABASE] Failed to update workflow with elicitation details:', error);
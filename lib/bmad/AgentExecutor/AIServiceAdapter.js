@@ -53,7 +53,8 @@ class AIServiceAdapter {
         agent,
         complexity,
         context,
-        userId
+        userId,
+        stepType: context?.creates ? 'document' : context?.stepType
       });
 
       // FIXED: Use proper logging instead of console.log which may cause serialization issues
@@ -7,6 +7,9 @@ const fs = require('fs').promises;
 const path = require('path');
 import logger from '../../utils/logger.js';
 
+// Tag calls so the model routing policy can send elicitation to its own model
+const elicitationContext = (context) => ({ ...context, stepType: 'elicitation' });
+
 class ElicitationManager {
   constructor(configurationManager) {
     this.configurationManager = configurationManager;
@@ -129,7 +132,7 @@ class ElicitationManager {
         Return the questions as a JSON array of strings. For example: ["What is the primary goal of this feature?", "Who is the target audience?"].
       `;
 
-      const response = await aiService.call(prompt, agent, 'simple', context);
+      const response = await aiService.call(prompt, agent, 'simple', elicitationContext(context));
 
       if (response && response.content) {
         try {
@@ -293,7 +296,7 @@ Generate a natural follow-up response that:
 
 Response:`;
       
-      const response = await aiService.call(prompt, agent, 'simple', context);
+      const response = await aiService.call(prompt, agent, 'simple', elicitationContext(context));
       
       if (response && response.content) {
         return response.content;
@@ -315,7 +318,7 @@ Response:`;
       throw new Error('AI service required');
     }
     
-    const response = await aiService.call('', agent, 1, { userPrompt: userInput }, null);
+    const response = await aiService.call('', agent, 1, elicitationContext({ userPrompt: userInput }), null);
     
     if (!response || !response.content) {
       throw new Error('AI generation failed');
@@ -350,7 +353,7 @@ Generate a natural follow-up response that:
 
 Response:`;
       
-      const response = await aiService.call(prompt, agent, 'simple', context);
+      const response = await aiService.call(prompt, agent, 'simple', elicitationContext(context));
       
       if (response && response.content) {
         return response.content;
@@ -372,7 +375,7 @@ Response:`;
       throw new Error('AI service required');
     }
     
-    const response = await aiService.call('', agent, 1, { userPrompt: userInput, templateName }, null);
+    const response = await aiService.call('', agent, 1, elicitationContext({ userPrompt: userInput, templateName }), null);
     
     if (!response || !response.content) {
       throw new Error('AI generation failed');
@@ -393,7 +396,7 @@ Response:`;
       throw new Error('AI service required');
     }
     
-    const response = await aiService.call('', agent, 1, context, context.userId);
+    const response = await aiService.call('', agent, 1, elicitationContext(context), context.userId);
     if (!response || !response.content) {
       throw new Error('AI generation failed');
     }
@@ -413,7 +416,7 @@ Response:`;
       throw new Error('AI service required');
     }
     
-    const response = await aiService.call('', agent, 1, context, context.userId);
+    const response = await aiService.call('', agent, 1, elicitationContext(context), context.userId);
     if (!response || !response.content) {
       throw new Error('AI generation failed');
     }
@@ -433,7 +436,7 @@ Response:`;
       throw new Error('AI service required');
     }
     
-    const response = await aiService.call('', agent, 1, context, context.userId);
+    const response = await aiService.call('', agent, 1, elicitationContext(context), context.userId);
     if (!response || !response.content) {
       throw new Error('AI generation failed');
     }
@@ -453,7 +456,7 @@ Response:`;
       throw new Error('AI service required');
     }
     
-    const response = await aiService.call('', agent, 1, context, context.userId);
+    const response = await aiService.call('', agent, 1, elicitationContext(context), context.userId);
     if (!response || !response.content) {
       throw new Error('AI generation failed');
     }
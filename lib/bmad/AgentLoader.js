@@ -52,6 +52,7 @@ class AgentLoader {
         persona: agentData.persona || {},
         commands: agentData.commands || [],
         dependencies: agentData.dependencies || {},
+        modelRouting: agentData.modelRouting || agentData.agent.modelRouting || null,
         agent: agentData.agent
       };
 
@@ -64,6 +64,7 @@ class BmadOrchestrator {
       await this.configurationManager.loadConfiguration();
       await this.agentLoader.loadAllAgents();
       await this.artifactManager.initialize(this.configurationManager, this.agentLoader);
+      await this.applyModelRoutingPolicy();
       
       this.initialized = true;
       logger.info(`BMAD Orchestrator initialized successfully${modeText}`);
@@ -84,6 +85,22 @@ class BmadOrchestrator {
     }
   }
 
+  /**
+   * Push core-config.yaml `modelRouting` into both AI services
+   * (AIServiceV2 for workflow steps, legacy AIService for routing/elicitation calls)
+   */
+  async applyModelRoutingPolicy() {
+    const policy = this.configurationManager.get('modelRouting', {});
+
+    this.aiService?.setRoutingPolicy?.(policy);
+    try {
+      const { aiService: legacyAiService } = await import('../ai/AIService.js');
+      legacyAiService?.setRoutingPolicy?.(policy);
+    } catch (error) {
+      logger.warn('Could not apply model routing policy to AIService:', error.message);
+    }
+  }
+
   async startWorkflow(userPrompt, options = {}) {
     if (!this.initialized) {
       throw new Error('BMAD Orchestrator not initialized');
@@ -386,6 +403,36 @@ class BmadOrchestrator {
     return await this.workflowManager.getWorkflowCheckpoints(workflowId);
   }
 
+  async forkWorkflow(workflowId, checkpointId, options = {}) {
+    try {
+      const result = await this.workflowManager.forkWorkflow(workflowId, checkpointId, options);
+      this.store?.dispatch({ type: 'workflow/forked', payload: { parentWorkflowId: workflowId, ...result }});
+      return result;
+    } catch (error) {
+      logger.error('Error forking workflow:', error);
+      throw error;
+    }
+  }
+
+  async compareWorkflows(leftId, rightId, options = {}) {
+    return await this.workflowManager.compareWorkflows(leftId, rightId, options);
+  }
+
+  async replayRecording(recordingId, options = {}) {
+    try {
+      const result = await this.workflowManager.replayRecording(recordingId, options);
+      this.store?.dispatch({ type: 'workflow/replayStarted', payload: { recordingId, ...result }});
+      return result;
+    } catch (error) {
+      logger.error('Error replaying workflow recording:', error);
+      throw error;
+    }
+  }
+
+  async getReplayReport(workflowId) {
+    return await this.workflowManager.getReplayReport(workflowId);
+  }
+
   async resumeFromRollback(workflowId) {
     if (!this.initialized) {
       throw new Error('BMAD Orchestrator not initialized');
@@ -580,6 +627,7 @@ const getOrchestrator = async () => {
             if (orchestratorInstance.workflowManager.updateAiService) {
               orchestratorInstance.workflowManager.updateAiService(aiService);
             }
+            await orchestratorInstance.applyModelRoutingPolicy();
             logger.info('✅ AIServiceV2 updated in existing orchestrator instance');
           }
         }
@@ -1,70 +1,125 @@
 /**
  * BMAD Checklist Validation System
- * 
+ *
  * A key component of Phase 3, this system allows agents to execute and validate
  * checklists, ensuring process adherence and quality control.
- * 
+ *
  * Key Features:
  * - Loads checklist definitions from markdown files.
- * - Parses checklists into a structured, executable format.
- * - (Future) Supports interactive checklist execution.
- * - Integrates with the WorkflowEngine to be available to all agents.
+ * - Parses checklists into a structured, executable format (sections, items, LLM guidance).
+ * - Checklist runs against artifacts are executed by services/ChecklistRunService.js.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { validateFilePath } = require('../utils/fileValidator');
+import { promises as fs } from 'fs';
+import path from 'path';
 import logger from '../utils/logger.js';
 
-class ChecklistManager {
-  constructor(configurationManager) {
+const HEADING_PATTERN = /^#{2,6}\s+(.*?)\s*#*\s*$/;
+const NUMBERED_SECTION_PATTERN = /^\s*\d+\.\s+\*\*(.+?)\*\*\s*$/;
+const ITEM_PATTERN = /^\s*[-*]\s+\[( |x|X)\]\s+(.*)$/;
+
+export class ChecklistManager {
+  constructor(configurationManager = null) {
     this.configManager = configurationManager;
   }
 
   /**
-   * Execute a checklist.
+   * Load and parse a checklist.
    * @param {string} checklistName - The name of the checklist (e.g., 'story-dod-checklist').
-   * @returns {Object} An object representing the parsed checklist.
+   * @returns {Promise<Object>} { name, title, instructions, sections, items } - see parseChecklist().
    */
-  async executeChecklist(checklistName) {
-    logger.info(`[CHECKLIST] Executing checklist: ${checklistName}`);
-    const checklistsPath = this.configManager.getBmadCorePaths().checklists;
-    const checklistPath = path.join(checklistsPath, `${checklistName}.md`);
+  async loadChecklist(checklistName) {
+    if (!/^[\w.-]+$/.test(checklistName || '')) {
+      throw new Error(`Invalid checklist name: ${checklistName}`);
+    }
+
+    logger.info(`[CHECKLIST] Loading checklist: ${checklistName}`);
+    const checklistsPath = this.configManager?.getBmadCorePaths().checklists
+      || path.join(process.cwd(), '.bmad-core', 'checklists');
+    const checklistPath = path.join(checklistsPath, `${checklistName.replace(/\.md$/, '')}.md`);
 
     try {
-      validateFilePath(checklistPath);
       const content = await fs.readFile(checklistPath, 'utf8');
-      const parsedChecklist = this.parseChecklist(content);
+      const checklist = this.parseChecklist(content, checklistName);
 
-      logger.info(`✅ [CHECKLIST] Successfully parsed checklist: ${checklistName}`);
-      return { name: checklistName, items: parsedChecklist };
+      logger.info(`✅ [CHECKLIST] Parsed ${checklist.items.length} items from checklist: ${checklistName}`);
+      return checklist;
 
     } catch (error) {
-      logger.error(`❌ [CHECKLIST] Failed to execute checklist ${checklistName}:`, error.message);
-      throw new Error(`Failed to execute checklist ${checklistName}: ${error.message}`);
+      logger.error(`❌ [CHECKLIST] Failed to load checklist ${checklistName}:`, error.message);
+      throw new Error(`Failed to load checklist ${checklistName}: ${error.message}`);
     }
   }
 
   /**
    * Parse the markdown content of a checklist file.
+   * Sections come from headings or numbered bold lines (`1. **Requirements Met:**`);
+   * `[[LLM: ...]]` blocks become guidance for the section they appear in.
    * @param {string} checklistContent - The full markdown content.
-   * @returns {Array<Object>} An array of checklist item objects.
+   * @param {string} [checklistName]
+   * @returns {Object} { name, title, instructions, sections: [{ title, guidance }],
+   *   items: [{ id, section, text, guidance, checked }] }
    */
-  parseChecklist(checklistContent) {
-    const items = [];
-    const lines = checklistContent.split('\n');
+  parseChecklist(checklistContent, checklistName = null) {
+    const checklist = { name: checklistName, title: null, instructions: [], sections: [], items: [] };
+    const lines = String(checklistContent).replace(/\r\n?/g, '\n').split('\n');
+    let section = null;
+    let guidance = null;
+    let sectionNumber = 0;
+    let itemNumber = 0;
+
+    const startSection = (title) => {
+      section = { title: title.replace(/:$/, '').trim(), guidance: [] };
+      checklist.sections.push(section);
+      itemNumber = 0;
+    };
 
     for (const line of lines) {
-      if (line.startsWith('- [ ]') || line.startsWith('- [x]')) {
-        items.push({
-          text: line.substring(5).trim(),
-          checked: line.startsWith('- [x]'),
+      // Multi-line [[LLM: ...]] guidance blocks
+      if (guidance !== null || line.includes('[[LLM:')) {
+        guidance = `${guidance ?? ''}${line}\n`;
+        if (line.includes(']]')) {
+          const text = guidance.replace(/^[\s\S]*?\[\[LLM:\s*/, '').replace(/\]\][\s\S]*$/, '').trim();
+          (section ? section.guidance : checklist.instructions).push(text);
+          guidance = null;
+        }
+        continue;
+      }
+
+      const title = !checklist.title && line.match(/^#\s+(.*)$/);
+      if (title) {
+        checklist.title = title[1].trim();
+        continue;
+      }
+
+      const heading = line.match(HEADING_PATTERN) || line.match(NUMBERED_SECTION_PATTERN);
+      if (heading) {
+        startSection(heading[1]);
+        continue;
+      }
+
+      const item = line.match(ITEM_PATTERN);
+      if (item) {
+        if (!section) startSection('General');
+        if (itemNumber === 0) sectionNumber++;
+        itemNumber++;
+        checklist.items.push({
+          id: `${sectionNumber}.${itemNumber}`,
+          section: section.title,
+          text: item[2].trim(),
+          guidance: section.guidance.join('\n\n') || null,
+          checked: item[1].toLowerCase() === 'x'
         });
       }
     }
 
-    return items;
+    // Sections that only held instructions are not part of the checklist
+    checklist.sections = checklist.sections.filter(candidate =>
+      checklist.items.some(item => item.section === candidate.title)
+    );
+
+    return checklist;
   }
 }
 
-module.exports = { ChecklistManager };
+export default ChecklistManager;
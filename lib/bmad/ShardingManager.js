@@ -1,125 +1,486 @@
 /**
  * BMAD Document Sharding Engine
- * 
- * A critical component of Phase 3, this engine breaks down large markdown documents
- * into smaller, manageable, and linked files, optimized for IDE-based agent workflows.
- * 
+ *
+ * Breaks large markdown documents (PRD, architecture) into smaller linked files,
+ * optimized for IDE-based agent workflows.
+ *
  * Key Features:
- * - Splits markdown by heading levels (H2, H3, etc.).
- * - Creates an `index.md` file to maintain the document structure.
- * - Uses core-config.yaml for output locations.
- * - Integrates with the ArtifactManager for a seamless workflow.
+ * - Splits at a configurable heading depth (H2, H2-H3, ...), optionally capping shard size.
+ * - Never splits inside fenced code blocks or tables.
+ * - Rewrites intra-document links (`#anchor`) to point at the shard holding the heading.
+ * - Writes `index.md` (document preamble + table of contents) and a manifest that lets
+ *   the shards be reassembled into the original document byte-for-byte.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { ensureDirectoryExists } = require('../utils/fileValidator');
+import { promises as fs } from 'fs';
+import path from 'path';
 import logger from '../utils/logger.js';
 
-class ShardingManager {
-  constructor(configurationManager) {
+export const SHARD_INDEX_FILE = 'index.md';
+export const SHARD_MANIFEST_FILE = 'shard-manifest.json';
+
+// Everything from this marker on in index.md is generated and dropped on reassembly
+const INDEX_MARKER = '\n<!-- bmad-shards:index -->\n';
+
+const FENCE_OPEN_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const ANCHOR_LINK_PATTERN = /\]\((#[^)\s]+)\)|^(\s*\[[^\]]+\]:\s*)(#\S+)/gm;
+
+export class ShardingManager {
+  constructor(configurationManager = null) {
     this.configManager = configurationManager;
   }
 
   /**
-   * Shard a markdown document into smaller files.
+   * Shard a markdown document into files in the configured location.
    * @param {string} documentContent - The full markdown content of the document.
    * @param {string} documentType - The type of document ('prd' or 'architecture').
-   * @returns {Object} An object containing the paths to the sharded files.
+   * @param {Object} [options] - shardContent() options.
+   * @returns {Object|null} { shardedFiles, indexPath, manifestPath }, or null when sharding is disabled.
    */
-  async shardDocument(documentContent, documentType) {
-    const shardingConfig = this.getShardingConfig(documentType);
-    if (!shardingConfig.sharded) {
+  async shardDocument(documentContent, documentType, options = {}) {
+    if (!this.configManager?.isShardingEnabled(documentType)) {
       logger.info(`[SHARDING] Sharding is disabled for document type: ${documentType}`);
       return null;
     }
 
-    logger.info(`[SHARDING] Starting to shard document type: ${documentType}`);
-    await ensureDirectoryExists(shardingConfig.location);
-
-    const sections = this.parseSections(documentContent);
-    const shardedFiles = [];
-
-    for (const section of sections) {
-      const fileName = this.generateFileName(section.title);
-      const filePath = path.join(shardingConfig.location, fileName);
-      await fs.writeFile(filePath, section.content, 'utf8');
-      shardedFiles.push({ title: section.title, path: fileName });
+    const location = this.configManager.getShardedLocation(documentType);
+    if (!location) {
+      throw new Error(`No sharded location configured for document type: ${documentType}`);
     }
 
-    await this.createIndexFile(shardingConfig.location, shardedFiles);
+    logger.info(`[SHARDING] Starting to shard document type: ${documentType}`);
+    const result = this.shardContent(documentContent, options);
+    await this.writeShards(result, location);
 
-    logger.info(`✅ [SHARDING] Successfully sharded ${sections.length} sections for ${documentType}.`);
-    return { shardedFiles, indexPath: path.join(shardingConfig.location, 'index.md') };
+    logger.info(`✅ [SHARDING] Successfully sharded ${result.shards.length} sections for ${documentType}.`);
+    return {
+      shardedFiles: result.shards.map(shard => ({ title: shard.title, path: shard.filename })),
+      indexPath: path.join(location, SHARD_INDEX_FILE),
+      manifestPath: path.join(location, SHARD_MANIFEST_FILE)
+    };
   }
 
   /**
-   * Get the sharding configuration for a given document type.
-   * @param {string} documentType - The type of document.
-   * @returns {Object} The sharding configuration.
+   * Split markdown into shards without touching the filesystem.
+   * @param {string} content - The full markdown content.
+   * @param {Object} [options]
+   * @param {number} [options.depth=2] - Deepest heading level that starts a new shard.
+   * @param {number} [options.maxWords] - Split larger sections at paragraph breaks.
+   * @param {string} [options.title] - Document title; defaults to its first H1.
+   * @returns {Object} { title, index: { filename, content, links }, shards, manifest }
    */
-  getShardingConfig(documentType) {
-    const config = this.configManager.get(documentType);
+  shardContent(content, { depth = 2, maxWords = null, title = null } = {}) {
+    const lines = splitLines(content);
+    const sections = this.parseSections(content, { depth });
+    const parts = maxWords
+      ? sections.flatMap(section => this.splitLargeSection(section, lines, maxWords))
+      : sections;
+
+    const preambleEnd = parts.length > 0 ? parts[0].startLine : lines.length;
+    const documentTitle = title || this.findTitle(lines.slice(0, preambleEnd)) || 'Document';
+
+    const usedNames = new Set([SHARD_INDEX_FILE]);
+    const shards = parts.map(part => ({
+      ...part,
+      filename: uniqueFileName(part.slug, usedNames),
+      content: lines.slice(part.startLine, part.endLine).join('')
+    }));
+    shards.forEach(shard => {
+      shard.parent = shard.parentIndex != null ? shards[shard.parentIndex].filename : null;
+      delete shard.parentIndex;
+      delete shard.slug;
+    });
+
+    // Rewrite links to headings that ended up in another file
+    const anchorFiles = this.mapAnchorsToFiles(lines, shards);
+    const preamble = this.rewriteLinks(lines.slice(0, preambleEnd).join(''), SHARD_INDEX_FILE, anchorFiles);
+    shards.forEach(shard => {
+      const rewritten = this.rewriteLinks(shard.content, shard.filename, anchorFiles);
+      shard.content = rewritten.content;
+      shard.links = rewritten.links;
+      shard.wordCount = countWords(shard.content);
+    });
+
+    const index = {
+      filename: SHARD_INDEX_FILE,
+      content: preamble.content + this.buildIndex(documentTitle, shards),
+      links: preamble.links
+    };
+
     return {
-      sharded: config.sharded,
-      location: this.configManager.getAbsolutePath(config.shardedLocation),
+      title: documentTitle,
+      index,
+      shards,
+      manifest: {
+        version: 1,
+        title: documentTitle,
+        depth,
+        maxWords,
+        createdAt: new Date().toISOString(),
+        index: { filename: index.filename, links: index.links },
+        shards: shards.map(shard => ({
+          filename: shard.filename,
+          title: shard.title,
+          level: shard.level,
+          parent: shard.parent,
+          anchor: shard.anchor,
+          startLine: shard.startLine,
+          endLine: shard.endLine,
+          wordCount: shard.wordCount,
+          links: shard.links
+        }))
+      }
     };
   }
 
   /**
-   * Parse the markdown content into sections based on H2 headings.
+   * Rebuild the original document from shardContent() output (or loadShards()).
+   * @param {Object} sharded - { index: { content, links }, shards: [{ content, links }] }
+   * @returns {string}
+   */
+  reassemble({ index, shards }) {
+    const markerAt = index.content.lastIndexOf(INDEX_MARKER);
+    const preamble = markerAt >= 0 ? index.content.slice(0, markerAt) : index.content;
+
+    return [
+      restoreLinks(preamble, index.links),
+      ...shards.map(shard => restoreLinks(shard.content, shard.links))
+    ].join('');
+  }
+
+  /**
+   * Parse the markdown content into sections that start at headings up to `depth`.
+   * Heading-like lines inside fenced code blocks are ignored.
    * @param {string} documentContent - The full markdown content.
-   * @returns {Array<Object>} An array of section objects.
+   * @param {Object} [options] - { depth }
+   * @returns {Array<Object>} { title, level, slug, anchor, startLine, endLine, parentIndex }
+   *   with 0-based line ranges, end exclusive.
    */
-  parseSections(documentContent) {
+  parseSections(documentContent, { depth = 2 } = {}) {
+    const lines = splitLines(documentContent);
+    const minLevel = Math.min(2, depth);
     const sections = [];
-    const lines = documentContent.split('\n');
-    let currentSection = null;
+    const anchors = createAnchorTracker();
+
+    forEachLine(lines, (line, index, inFence) => {
+      const heading = !inFence && line.match(HEADING_PATTERN);
+      if (!heading) return;
+
+      const level = heading[1].length;
+      const anchor = anchors.next(heading[2]);
+      if (level < minLevel || level > depth) return;
 
-    for (const line of lines) {
-      if (line.startsWith('## ')) {
-        if (currentSection) {
-          sections.push(currentSection);
+      if (sections.length > 0) {
+        sections[sections.length - 1].endLine = index;
+      }
+
+      const title = plainHeading(heading[2]);
+      let parentIndex = null;
+      for (let i = sections.length - 1; i >= 0; i--) {
+        if (sections[i].level < level) {
+          parentIndex = i;
+          break;
         }
-        currentSection = {
-          title: line.substring(3).trim(),
-          content: line + '\n',
-        };
-      } else if (currentSection) {
-        currentSection.content += line + '\n';
       }
-    }
 
-    if (currentSection) {
-      sections.push(currentSection);
-    }
+      sections.push({
+        title,
+        level,
+        slug: this.generateFileName(title, parentIndex != null ? sections[parentIndex].slug : null),
+        anchor,
+        startLine: index,
+        endLine: lines.length,
+        parentIndex
+      });
+    });
 
     return sections;
   }
 
   /**
-   * Generate a safe filename from a section title.
+   * Split a section larger than maxWords at blank lines outside code blocks.
+   * Tables contain no blank lines, so they always stay whole.
+   */
+  splitLargeSection(section, lines, maxWords) {
+    const breaks = [];
+    let words = 0;
+    let partStart = section.startLine;
+
+    forEachLine(lines, (line, index, inFence) => {
+      if (index < section.startLine || index >= section.endLine) return;
+      words += countWords(line);
+      if (!inFence && !line.trim() && words >= maxWords && index + 1 < section.endLine) {
+        breaks.push(index + 1);
+        partStart = index + 1;
+        words = 0;
+      }
+    });
+
+    if (breaks.length === 0 || partStart === section.startLine) {
+      return [section];
+    }
+
+    const bounds = [section.startLine, ...breaks, section.endLine];
+    return bounds.slice(0, -1).map((startLine, part) => ({
+      ...section,
+      title: part === 0 ? section.title : `${section.title} (Part ${part + 1})`,
+      slug: part === 0 ? section.slug : `${section.slug}-part-${part + 1}`,
+      anchor: part === 0 ? section.anchor : null,
+      startLine,
+      endLine: bounds[part + 1]
+    }));
+  }
+
+  /**
+   * Generate a safe, lowercase-dash-case name from a section title.
    * @param {string} title - The title of the section.
-   * @returns {string} A safe filename.
+   * @param {string} [parentSlug] - Prefix for nested sections.
+   * @returns {string}
+   */
+  generateFileName(title, parentSlug = null) {
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+    return parentSlug ? `${parentSlug}-${slug}` : slug;
+  }
+
+  /**
+   * Table of contents appended to index.md, nested by heading level.
+   */
+  buildIndex(title, shards) {
+    const topLevel = Math.min(...shards.map(shard => shard.level));
+    const entries = shards.map(shard =>
+      `${'  '.repeat(shard.level - topLevel)}- [${shard.title}](./${shard.filename})`
+    );
+    return `${INDEX_MARKER}\n## ${title} - Sections\n\n${entries.join('\n')}\n`;
+  }
+
+  // ========== FILESYSTEM ==========
+
+  /**
+   * Write shards, index.md and the manifest to a directory.
+   * @param {Object} sharded - shardContent() output.
+   * @param {string} outputDirectory
+   */
+  async writeShards(sharded, outputDirectory) {
+    await fs.mkdir(outputDirectory, { recursive: true });
+
+    for (const shard of sharded.shards) {
+      await fs.writeFile(path.join(outputDirectory, shard.filename), shard.content, 'utf8');
+    }
+    await fs.writeFile(path.join(outputDirectory, SHARD_INDEX_FILE), sharded.index.content, 'utf8');
+    await fs.writeFile(
+      path.join(outputDirectory, SHARD_MANIFEST_FILE),
+      JSON.stringify(sharded.manifest, null, 2),
+      'utf8'
+    );
+
+    logger.info(`📝 [SHARDING] Wrote ${sharded.shards.length} shards to ${outputDirectory}`);
+  }
+
+  /**
+   * Load a sharded document directory in document order.
+   * Directories without a manifest (sharded before it existed) list their markdown files by name.
+   * @returns {Promise<Object>} { manifest, index, shards: [{ filename, title, level, parent, content, links, stats }] }
    */
-  generateFileName(title) {
-    return `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.md`;
+  async loadShards(directory) {
+    const manifest = await readManifest(directory);
+
+    if (!manifest) {
+      const files = (await fs.readdir(directory))
+        .filter(file => file.endsWith('.md') && file !== SHARD_INDEX_FILE)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      const shards = await Promise.all(files.map(async filename => {
+        const { content, stats } = await readShardFile(directory, filename);
+        const heading = content.match(/^#+\s*(.*)$/m);
+        return { filename, title: heading ? plainHeading(heading[1]) : filename.replace('.md', ''), level: null, parent: null, content, links: [], stats };
+      }));
+      return { manifest: null, index: null, shards };
+    }
+
+    const index = await readShardFile(directory, manifest.index.filename);
+    const shards = await Promise.all(manifest.shards.map(async shard => ({
+      ...shard,
+      ...(await readShardFile(directory, shard.filename))
+    })));
+
+    return { manifest, index: { ...manifest.index, ...index }, shards };
+  }
+
+  /**
+   * Rebuild the original document from a sharded directory.
+   * @returns {Promise<string>}
+   */
+  async reassembleDirectory(directory) {
+    const sharded = await this.loadShards(directory);
+    if (!sharded.manifest) {
+      throw new Error(`No ${SHARD_MANIFEST_FILE} in ${directory} - the document was not sharded by the sharding engine`);
+    }
+    return this.reassemble(sharded);
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  findTitle(lines) {
+    let title = null;
+    forEachLine(lines, (line, index, inFence) => {
+      const heading = !title && !inFence && line.match(HEADING_PATTERN);
+      if (heading && heading[1].length === 1) {
+        title = plainHeading(heading[2]);
+      }
+    });
+    return title;
   }
 
   /**
-   * Create the index.md file that links to all sharded files.
-   * @param {string} location - The directory where the sharded files are saved.
-   * @param {Array<Object>} shardedFiles - An array of the sharded file details.
+   * Anchor of every heading -> file that contains it
    */
-  async createIndexFile(location, shardedFiles) {
-    let indexContent = '# Document Index\n\n';
-    for (const file of shardedFiles) {
-      indexContent += `- [${file.title}](./${file.path})\n`;
+  mapAnchorsToFiles(lines, shards) {
+    const anchorFiles = new Map();
+    const anchors = createAnchorTracker();
+    let shardIndex = -1;
+
+    forEachLine(lines, (line, index, inFence) => {
+      while (shardIndex + 1 < shards.length && shards[shardIndex + 1].startLine <= index) {
+        shardIndex++;
+      }
+      const heading = !inFence && line.match(HEADING_PATTERN);
+      if (heading) {
+        anchorFiles.set(anchors.next(heading[2]), shardIndex >= 0 ? shards[shardIndex].filename : SHARD_INDEX_FILE);
+      }
+    });
+
+    return anchorFiles;
+  }
+
+  /**
+   * Point `#anchor` links at `./file.md#anchor` when the heading lives in another file.
+   * Links inside fenced code blocks are left alone.
+   * @returns {{content: string, links: Array<{original, rewritten}>}} links in document order
+   */
+  rewriteLinks(content, filename, anchorFiles) {
+    const links = [];
+    const lines = splitLines(content);
+
+    forEachLine(lines, (line, index, inFence) => {
+      if (inFence) return;
+      lines[index] = line.replace(ANCHOR_LINK_PATTERN, (match, inlineTarget, refPrefix, refTarget) => {
+        const target = inlineTarget || refTarget;
+        const file = anchorFiles.get(decodeAnchor(target.slice(1)));
+        if (!file || file === filename) return match;
+
+        const rewritten = inlineTarget
+          ? `](./${file}${target})`
+          : `${refPrefix}./${file}${target}`;
+        links.push({ original: match, rewritten });
+        return rewritten;
+      });
+    });
+
+    return { content: lines.join(''), links };
+  }
+}
+
+// Lines including their line endings, so slices join back to the exact original
+function splitLines(content) {
+  return String(content).match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Calls fn(line, index, inFence) - fence delimiter lines count as inside the fence
+function forEachLine(lines, fn) {
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const delimiter = line.match(FENCE_OPEN_PATTERN)?.[1];
+    if (!fence && delimiter) {
+      fence = delimiter;
+      fn(line, index, true);
+      return;
     }
+    if (fence) {
+      const closes = delimiter
+        && delimiter[0] === fence[0]
+        && delimiter.length >= fence.length
+        && !line.trim().slice(delimiter.length).trim();
+      fn(line, index, true);
+      if (closes) fence = null;
+      return;
+    }
+    fn(line, index, false);
+  });
+}
+
+// GitHub-style heading anchors, numbered when repeated
+function createAnchorTracker() {
+  const seen = new Map();
+  return {
+    next(headingText) {
+      const base = plainHeading(headingText)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .trim()
+        .replace(/\s/g, '-');
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      return count === 0 ? base : `${base}-${count}`;
+    }
+  };
+}
+
+function plainHeading(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .trim();
+}
+
+function decodeAnchor(anchor) {
+  try {
+    return decodeURIComponent(anchor).toLowerCase();
+  } catch {
+    return anchor.toLowerCase();
+  }
+}
+
+function restoreLinks(content, links = []) {
+  let restored = content;
+  let cursor = 0;
 
-    const indexPath = path.join(location, 'index.md');
-    await fs.writeFile(indexPath, indexContent, 'utf8');
+  for (const { original, rewritten } of links) {
+    const at = restored.indexOf(rewritten, cursor);
+    if (at < 0) continue; // Link edited away after sharding
+    restored = restored.slice(0, at) + original + restored.slice(at + rewritten.length);
+    cursor = at + original.length;
   }
+
+  return restored;
+}
+
+function uniqueFileName(slug, usedNames) {
+  let filename = `${slug}.md`;
+  for (let counter = 2; usedNames.has(filename); counter++) {
+    filename = `${slug}-${counter}.md`;
+  }
+  usedNames.add(filename);
+  return filename;
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+async function readManifest(directory) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(directory, SHARD_MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function readShardFile(directory, filename) {
+  const filePath = path.join(directory, filename);
+  const [content, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+  return { content, stats };
 }
 
-module.exports = { ShardingManager };
+export default ShardingManager;
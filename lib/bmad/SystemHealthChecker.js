@@ -173,11 +173,12 @@ export class SystemHealthChecker {
     try {
       const CodeExecutionEngine = (await import('../execution/CodeExecutionEngine.js')).default;
       const executor = new CodeExecutionEngine();
+      const sandbox = await executor.sandbox.resolveMode(executor.options.sandbox);
       
       return {
         status: 'healthy',
         available: true,
-        details: { sandboxed: true },
+        details: { sandboxed: sandbox !== 'none', sandbox },
         timestamp: new Date()
       };
     } catch (error) {
@@ -5,7 +5,7 @@
  * Reduced from 1600+ lines to ~200 lines by applying single responsibility principle
  */
 
-import { WorkflowStatus } from './types.js';
+import { ApprovalStatus, WorkflowStatus } from './types.js';
 import WorkflowParser from './WorkflowParser.js';
 import { AgentLoader } from './AgentLoader.js';
 import logger from '../utils/logger.js';
@@ -16,11 +16,23 @@ import WorkflowLifecycleManager from './services/WorkflowLifecycleManager.js';
 import UserInteractionService from './services/UserInteractionService.js';
 import ArtifactManager from './services/ArtifactManager.js';
 import WorkflowStepExecutor from './services/WorkflowStepExecutor.js';
+import StoryService from './services/StoryService.js';
+import ChecklistRunService from './services/ChecklistRunService.js';
+import QualityGateManager from './services/QualityGateManager.js';
+import RemediationService, { REMEDIATION_ELICITATION_TYPE } from './services/RemediationService.js';
+import ApprovalService, { APPROVAL_ELICITATION_TYPE } from './services/ApprovalService.js';
+import WorkflowForkService from './services/WorkflowForkService.js';
+import { CheckpointManager } from './engine/CheckpointManager.js';
 
 // Core components
 import ContextBuilder from './core/ContextBuilder.js';
 import ResponseValidator from './core/ResponseValidator.js';
 import ErrorRecoveryManager from './core/ErrorRecoveryManager.js';
+import { BudgetManager, BUDGET_ELICITATION_TYPE } from '../ai/services/BudgetManager.js';
+import { aiCallRecorder, AICallRecorder, RecordingMode } from '../ai/services/AICallRecorder.js';
+
+// Workflows in these states do not run again, so their record/replay sessions and cached context are released
+const FINISHED_STATUSES = [WorkflowStatus.COMPLETED, WorkflowStatus.ERROR, WorkflowStatus.CANCELLED];
 
 class WorkflowManagerV2 {
   constructor(options = {}) {
@@ -41,6 +53,24 @@ class WorkflowManagerV2 {
     this.lifecycleManager = new WorkflowLifecycleManager(this.pusherService);
     this.userInteractionService = new UserInteractionService(this.pusherService, options.messageService);
     this.artifactManager = new ArtifactManager(options.gitService);
+    this.storyService = new StoryService();
+    this.checklistRunService = new ChecklistRunService();
+    this.remediationService = new RemediationService({
+      qualityGateManager: new QualityGateManager(options.qualityGates),
+      aiService: this.aiService,
+      agentLoader: this.agentLoader,
+      lifecycleManager: this.lifecycleManager,
+      userInteractionService: this.userInteractionService
+    });
+    this.checkpointManager = new CheckpointManager(null);
+    this.forkService = new WorkflowForkService({
+      lifecycleManager: this.lifecycleManager,
+      artifactManager: this.artifactManager
+    });
+    this.approvalService = new ApprovalService({
+      lifecycleManager: this.lifecycleManager,
+      userInteractionService: this.userInteractionService
+    });
     
     // Step executor (handles different step types)
     this.stepExecutor = new WorkflowStepExecutor({
@@ -51,15 +81,24 @@ class WorkflowManagerV2 {
       aiService: this.aiService,
       userInteractionService: this.userInteractionService,
       artifactManager: this.artifactManager,
-      lifecycleManager: this.lifecycleManager
+      lifecycleManager: this.lifecycleManager,
+      storyService: this.storyService,
+      checklistRunService: this.checklistRunService,
+      remediationService: this.remediationService,
+      approvalService: this.approvalService
     });
     
     // Workflow executor (main execution logic)
     this.workflowExecutor = new WorkflowExecutor(
       this.stepExecutor,
       this.lifecycleManager,
-      this.userInteractionService
+      this.userInteractionService,
+      this.pusherService,
+      new BudgetManager(),
+      this.checkpointManager
     );
+
+    this.runningWorkflows = new Set(); // workflowIds with an executeWorkflow in progress
   }
 
   async initialize() {
@@ -96,7 +135,7 @@ class WorkflowManagerV2 {
       const workflow = this.createWorkflowInstance(workflowId, dynamicWorkflow, userPrompt, options);
 
       // Save initial workflow
-      await this.lifecycleManager.saveWorkflow(workflow);
+      await this.lifecycleManager.createWorkflow(workflow);
       logger.info(`🚀 Workflow created: ${workflowId} with ${dynamicWorkflow.steps.length} steps`);
 
       // Start async execution
@@ -122,6 +161,10 @@ class WorkflowManagerV2 {
    * Execute workflow (delegates to WorkflowExecutor)
    */
   async executeWorkflow(workflowId) {
+    // Recorded or replayed runs route their AI calls through the recording
+    await aiCallRecorder.attach(workflowId);
+    this.runningWorkflows.add(workflowId);
+
     try {
       return await this.workflowExecutor.executeWorkflow(workflowId);
     } catch (error) {
@@ -131,6 +174,9 @@ class WorkflowManagerV2 {
         return await this.workflowExecutor.executeWorkflow(workflowId);
       }
       throw error;
+    } finally {
+      this.runningWorkflows.delete(workflowId);
+      await this.releaseWorkflow(workflowId);
     }
   }
 
@@ -154,7 +200,13 @@ class WorkflowManagerV2 {
   }
 
   async cancelWorkflow(workflowId) {
-    return await this.lifecycleManager.cancelWorkflow(workflowId);
+    const workflow = await this.lifecycleManager.cancelWorkflow(workflowId);
+    // A running execution releases it once it stops, so its last calls are still recorded or replayed
+    if (!this.runningWorkflows.has(workflowId)) {
+      aiCallRecorder.detach(workflowId);
+      this.contextBuilder.forgetWorkflow(workflowId);
+    }
+    return workflow;
   }
 
   async completeWorkflow(workflowId) {
@@ -174,6 +226,17 @@ class WorkflowManagerV2 {
   // ===== USER INTERACTION (Delegated) =====
 
   async resumeWorkflowWithElicitation(workflowId, elicitationResponse, agentName, userId = null) {
+    const workflow = await this.lifecycleManager.loadWorkflow(workflowId);
+    if (workflow?.elicitationDetails?.type === BUDGET_ELICITATION_TYPE) {
+      return await this.resolveBudgetElicitation(workflow, elicitationResponse);
+    }
+    if (workflow?.elicitationDetails?.type === REMEDIATION_ELICITATION_TYPE) {
+      return await this.resolveRemediationElicitation(workflow, elicitationResponse);
+    }
+    if (workflow?.elicitationDetails?.type === APPROVAL_ELICITATION_TYPE) {
+      return await this.resolveApprovalElicitation(workflow, elicitationResponse, userId);
+    }
+
     return await this.userInteractionService.resumeWorkflowWithElicitation(
       workflowId, elicitationResponse, agentName, userId
     );
@@ -181,6 +244,91 @@ class WorkflowManagerV2 {
 
   // ===== PRIVATE HELPER METHODS =====
 
+  /**
+   * Drop the record/replay session and cached history summary of a workflow that completed,
+   * failed or was cancelled
+   * Every recorded call is saved before its result is returned, so nothing is lost; paused
+   * workflows keep theirs until they resume or finish.
+   */
+  async releaseWorkflow(workflowId) {
+    try {
+      const status = await this.lifecycleManager.getWorkflowStatus(workflowId);
+      if (!status || FINISHED_STATUSES.includes(status)) {
+        aiCallRecorder.detach(workflowId);
+        this.contextBuilder.forgetWorkflow(workflowId);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not release session of ${workflowId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Answer to a soft budget cap: "continue" runs past that scope's soft cap, anything else cancels
+   */
+  async resolveBudgetElicitation(workflow, elicitationResponse) {
+    const { workflowId } = workflow;
+    const scope = workflow.elicitationDetails.sectionId?.replace('budget:', '');
+    const answer = String(elicitationResponse).trim().toLowerCase();
+    const proceed = ['1', 'y', 'yes', 'continue', 'ok'].includes(answer);
+
+    workflow.elicitationDetails = null;
+
+    if (!proceed) {
+      await this.lifecycleManager.saveWorkflow(workflow);
+      await this.cancelWorkflow(workflowId);
+      logger.info(`🛑 [BUDGET] Workflow ${workflowId} cancelled at ${scope} soft cap`);
+      return { status: WorkflowStatus.CANCELLED, workflowId, budgetDecision: 'stop' };
+    }
+
+    workflow.budget = workflow.budget || {};
+    workflow.budget.acknowledged = [...new Set([...(workflow.budget.acknowledged || []), scope])];
+    await this.lifecycleManager.saveWorkflow(workflow);
+    await this.resumeWorkflow(workflowId);
+
+    logger.info(`▶️ [BUDGET] Workflow ${workflowId} continuing past ${scope} soft cap`);
+    return { status: WorkflowStatus.RUNNING, workflowId, budgetDecision: 'continue' };
+  }
+
+  /**
+   * Answer to a quality gate escalation: "retry" runs more dev fix rounds, "accept" continues
+   * with the failures, anything else cancels
+   */
+  async resolveRemediationElicitation(workflow, elicitationResponse) {
+    const { workflowId } = workflow;
+    const decision = this.remediationService.resolveEscalation(workflow, elicitationResponse);
+    await this.lifecycleManager.saveWorkflow(workflow);
+
+    if (decision === 'stop') {
+      await this.cancelWorkflow(workflowId);
+      logger.info(`🛑 [REMEDIATION] Workflow ${workflowId} cancelled at failing quality gates`);
+      return { status: WorkflowStatus.CANCELLED, workflowId, remediationDecision: decision };
+    }
+
+    await this.resumeWorkflow(workflowId);
+    logger.info(`▶️ [REMEDIATION] Workflow ${workflowId} resuming with decision: ${decision}`);
+    return { status: WorkflowStatus.RUNNING, workflowId, remediationDecision: decision };
+  }
+
+  /**
+   * Reviewer decision on a step approval: approve continues, request changes re-runs the
+   * step with the comments, reject cancels the workflow
+   */
+  async resolveApprovalElicitation(workflow, elicitationResponse, userId) {
+    const { workflowId } = workflow;
+    const { status, comments } = this.approvalService.resolveApproval(workflow, elicitationResponse, userId);
+    await this.lifecycleManager.saveWorkflow(workflow);
+
+    if (status === ApprovalStatus.REJECTED) {
+      await this.cancelWorkflow(workflowId);
+      logger.info(`🛑 [APPROVAL] Workflow ${workflowId} cancelled - output rejected`);
+      return { status: WorkflowStatus.CANCELLED, workflowId, approvalDecision: status, comments };
+    }
+
+    await this.resumeWorkflow(workflowId);
+    logger.info(`▶️ [APPROVAL] Workflow ${workflowId} resuming: ${status}`);
+    return { status: WorkflowStatus.RUNNING, workflowId, approvalDecision: status, comments };
+  }
+
   createWorkflowInstance(workflowId, dynamicWorkflow, userPrompt, options) {
     return {
       id: workflowId,
@@ -193,6 +341,19 @@ class WorkflowManagerV2 {
       userPrompt: userPrompt.trim(),
       userId: options.userId,
       status: WorkflowStatus.RUNNING,
+      budget: {
+        ...BudgetManager.normalizeLimits(options.budget),
+        teamInstanceId: options.teamContext?.teamInstanceId || null,
+        acknowledged: []
+      },
+      approvalPolicy: {
+        requiresApproval: Boolean(options.requiresApproval ?? options.teamContext?.requiresApproval)
+      },
+      ...(options.recording && { recording: options.recording }),
+      ...(options.record && !options.recording && {
+        recording: { mode: RecordingMode.RECORD, recordingId: AICallRecorder.generateRecordingId() }
+      }),
+      ...(options.trigger && { trigger: options.trigger }),
       bmadWorkflowData: { 
         sequence: dynamicWorkflow.steps, 
         currentStep: 0 
@@ -274,14 +435,11 @@ class WorkflowManagerV2 {
         return recoveryResult;
       } else {
         // Mark workflow as error
-        workflow.status = WorkflowStatus.ERROR;
-        workflow.errors.push({
+        await this.lifecycleManager.failWorkflow(workflow, {
           error: error.message,
-          timestamp: new Date(),
           step: workflow.bmadWorkflowData?.currentStep,
           recoveryAttempted: true
         });
-        await this.lifecycleManager.saveWorkflow(workflow);
         return { success: false };
       }
       
@@ -301,8 +459,62 @@ class WorkflowManagerV2 {
     return []; // Placeholder for compatibility
   }
 
-  async getWorkflowCheckpoints(workflowId) {
-    return []; // Placeholder - integrate with CheckpointManager if needed
+  async getWorkflowCheckpoints(workflowId, limit = 100) {
+    const { default: WorkflowCheckpoint } = await import('../database/models/WorkflowCheckpoint.js');
+    return await WorkflowCheckpoint.findByWorkflow(workflowId, limit);
+  }
+
+  // ===== RECORD / REPLAY =====
+
+  /**
+   * Run the recorded workflow again with every AI call answered from its recording
+   * Starts a new workflow from the same template and prompt; see getReplayReport for divergences.
+   */
+  async replayRecording(recordingId, options = {}) {
+    const { default: Workflow } = await import('../database/models/Workflow.js');
+    const source = await Workflow.findOne({ 'recording.recordingId': recordingId, 'recording.mode': RecordingMode.RECORD })
+      .select('workflowId title prompt template approvalPolicy')
+      .lean();
+    if (!source) {
+      throw new Error(`Recording ${recordingId} not found`);
+    }
+
+    logger.info(`🎞️ [REPLAY] Replaying ${recordingId} recorded by ${source.workflowId}`);
+    return await this.startWorkflow(source.prompt, {
+      sequence: source.template,
+      userId: options.userId,
+      name: options.name || `Replay: ${source.title}`,
+      requiresApproval: source.approvalPolicy?.requiresApproval,
+      recording: { mode: RecordingMode.REPLAY, recordingId, strict: Boolean(options.strict) }
+    });
+  }
+
+  async getReplayReport(workflowId) {
+    return await aiCallRecorder.getReplayReport(workflowId);
+  }
+
+  // ===== FORKING (Delegated) =====
+
+  /**
+   * Branch a new workflow from one of workflowId's checkpoints
+   * With options.start the fork runs from the checkpoint's step right away; otherwise it stays paused.
+   */
+  async forkWorkflow(workflowId, checkpointId, options = {}) {
+    const fork = await this.forkService.forkFromCheckpoint({ workflowId, checkpointId, name: options.name });
+
+    if (options.start) {
+      await this.resumeWorkflow(fork.workflowId);
+    }
+
+    return {
+      workflowId: fork.workflowId,
+      status: options.start ? WorkflowStatus.RUNNING : fork.status,
+      fork: fork.fork
+    };
+  }
+
+  async compareWorkflows(leftId, rightId, options = {}) {
+    return await this.forkService.compareWorkflows(leftId, rightId, options);
   }
 
   async resumeFromRollback(workflowId) {
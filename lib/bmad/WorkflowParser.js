@@ -10,13 +10,13 @@ import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
 
 // Get the current file's directory for reliable path resolution
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// (named moduleDir so the CommonJS test transform does not redeclare __dirname)
+const moduleDir = path.dirname(fileURLToPath(import.meta.url));
 
 class WorkflowParser {
   constructor() {
     // Use reliable path resolution instead of process.cwd()
-    const projectRoot = path.join(__dirname, '..', '..');
+    const projectRoot = path.join(moduleDir, '..', '..');
     this.workflowsDir = path.join(projectRoot, '.bmad-core', 'workflows');
   }
 
@@ -118,6 +118,11 @@ class WorkflowParser {
    */
   async parseSequenceStep(sequenceItem, index) {
 
+    // Fan-out groups run their branches concurrently and join on completion
+    if (Array.isArray(sequenceItem.parallel)) {
+      return await this.parseParallelStep(sequenceItem, index);
+    }
+
     const step = {
       id: `step_${index}`,
       index,
@@ -212,9 +217,14 @@ class WorkflowParser {
     step.creates = sequenceItem.creates;
     step.requires = sequenceItem.requires;
     step.uses = sequenceItem.uses;
+    step.validates = sequenceItem.validates;
+    step.checklist = sequenceItem.checklist; // Checklist the step is gated on
+    step.qualityGates = sequenceItem.quality_gates; // true | false | { max_attempts, fail_on, gates }
+    step.approval = sequenceItem.approval; // true | false | { instructions }
     step.repeats = sequenceItem.repeats;
     step.timeout = sequenceItem.timeout || 120000;
     step.command = sequenceItem.command; // Add this line to parse the command
+    step.dependsOn = this.normalizeList(sequenceItem.depends_on);
 
     // Phase 3: Parse conditional pathing directives
     if (sequenceItem.onSuccess) {
@@ -240,6 +250,125 @@ class WorkflowParser {
     return step;
   }
 
+  /**
+   * Parse a `parallel:` fan-out group from YAML
+   * Each branch is parsed like a regular sequence step. Branches wait only for the
+   * siblings named in their `depends_on` or producing an artifact they `require`.
+   * @param {Object} sequenceItem - Sequence item holding a `parallel` list
+   * @param {number} index - Step index in sequence
+   * @returns {Object} Parsed parallel step object
+   */
+  async parseParallelStep(sequenceItem, index) {
+    const groupName = sequenceItem.step || `parallel_${index}`;
+    const branches = [];
+
+    for (let i = 0; i < sequenceItem.parallel.length; i++) {
+      const branchItem = sequenceItem.parallel[i];
+      if (branchItem?.parallel) {
+        throw new Error(`Nested parallel groups are not supported (step ${index}, branch ${i})`);
+      }
+
+      const branch = await this.parseSequenceStep(branchItem, index);
+      branch.id = `step_${index}_${i}`;
+      branch.branchIndex = i;
+      branch.parallelGroup = groupName;
+      branches.push(branch);
+    }
+
+    if (branches.length === 0) {
+      throw new Error(`Parallel group '${groupName}' has no branches`);
+    }
+
+    const agents = branches.map(branch => branch.agent).filter(Boolean);
+
+    return {
+      id: `step_${index}`,
+      index,
+      type: 'parallel',
+      step: groupName,
+      stepName: groupName,
+      role: sequenceItem.role || `Parallel: ${agents.join(' + ')}`,
+      description: sequenceItem.description || sequenceItem.notes || '',
+      notes: sequenceItem.notes,
+      condition: sequenceItem.condition,
+      optional: sequenceItem.optional || false,
+      dependsOn: this.normalizeList(sequenceItem.depends_on),
+      branches,
+      branchDependencies: this.resolveBranchDependencies(branches),
+      produces: branches.flatMap(branch => this.normalizeList(branch.creates)),
+      timeout: sequenceItem.timeout || Math.max(...branches.map(branch => branch.timeout || 120000)),
+      original: sequenceItem
+    };
+  }
+
+  /**
+   * Build the dependency map between branches of a parallel group
+   * `depends_on` may name a sibling by step name, agent id or created artifact;
+   * a `requires` entry created by a sibling adds an implicit dependency.
+   * @param {Array<Object>} branches - Parsed branch steps
+   * @returns {Object} Map of branch id to the branch ids it waits for
+   */
+  resolveBranchDependencies(branches) {
+    const byName = new Map();
+    const producers = new Map();
+
+    for (const branch of branches) {
+      if (branch.step) byName.set(branch.step, branch.id);
+      if (branch.agent && !byName.has(branch.agent)) byName.set(branch.agent, branch.id);
+      this.normalizeList(branch.creates).forEach(artifact => producers.set(artifact, branch.id));
+    }
+
+    const dependencies = {};
+    for (const branch of branches) {
+      const label = branch.step || branch.agent || branch.id;
+      const waitsFor = new Set();
+
+      for (const ref of branch.dependsOn || []) {
+        const target = byName.get(ref) || producers.get(ref);
+        if (!target) {
+          throw new Error(`Parallel branch '${label}' depends on unknown sibling '${ref}'`);
+        }
+        if (target === branch.id) {
+          throw new Error(`Parallel branch '${label}' cannot depend on itself`);
+        }
+        waitsFor.add(target);
+      }
+
+      for (const artifact of this.normalizeList(branch.requires)) {
+        const producer = producers.get(artifact);
+        if (producer && producer !== branch.id) {
+          waitsFor.add(producer);
+        }
+      }
+
+      dependencies[branch.id] = Array.from(waitsFor);
+    }
+
+    // Reject cycles up front - they would deadlock the join at runtime
+    const visited = new Set();
+    const visit = (id, trail) => {
+      if (trail.includes(id)) {
+        throw new Error(`Circular depends_on in parallel group: ${[...trail, id].join(' -> ')}`);
+      }
+      if (visited.has(id)) return;
+      dependencies[id].forEach(dep => visit(dep, [...trail, id]));
+      visited.add(id);
+    };
+    Object.keys(dependencies).forEach(id => visit(id, []));
+
+    return dependencies;
+  }
+
+  /**
+   * Normalize a scalar-or-list YAML value into an array
+   * @param {*} value - Value such as `creates`, `requires` or `depends_on`
+   * @returns {Array} Array of non-empty entries
+   */
+  normalizeList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : [value]).filter(Boolean);
+  }
+
   /**
    * Infer agent ID from step name
    * @param {string} stepName - Step name (e.g., 'enhancement_classification')
@@ -289,7 +418,7 @@ class WorkflowParser {
     }
 
     // Validate agent references
-    for (const step of workflow.steps) {
+    for (const step of this.flattenSteps(workflow.steps)) {
       if (step.agent && !this.validateAgent(step.agent)) {
         logger.warn(`⚠️ [WorkflowParser] Unknown agent: ${step.agent} in step ${step.index}`);
       }
@@ -298,26 +427,36 @@ class WorkflowParser {
     // Validate artifact dependencies
     const createdArtifacts = new Set();
     for (const step of workflow.steps) {
-      // Check if required artifacts exist
-      if (step.requires) {
-        const requires = Array.isArray(step.requires) ? step.requires : [step.requires];
-        for (const artifact of requires) {
-          if (!createdArtifacts.has(artifact)) {
+      // Branches of a parallel group may consume artifacts of their siblings
+      const groupSteps = step.type === 'parallel' ? step.branches : [step];
+      const groupArtifacts = step.type === 'parallel' ? new Set(step.produces) : new Set();
+
+      for (const groupStep of groupSteps) {
+        for (const artifact of this.normalizeList(groupStep.requires)) {
+          if (!createdArtifacts.has(artifact) && !groupArtifacts.has(artifact)) {
             logger.warn(`⚠️ [WorkflowParser] Step ${step.index} requires '${artifact}' but it's not created by any previous step`);
           }
         }
       }
 
       // Track created artifacts
-      if (step.creates) {
-        const creates = Array.isArray(step.creates) ? step.creates : [step.creates];
-        creates.forEach(artifact => createdArtifacts.add(artifact));
-      }
+      groupSteps.forEach(groupStep => {
+        this.normalizeList(groupStep.creates).forEach(artifact => createdArtifacts.add(artifact));
+      });
     }
 
     logger.info(`✅ [WorkflowParser] Workflow validation complete: ${workflow.steps.length} steps, ${createdArtifacts.size} artifacts`);
   }
 
+  /**
+   * Expand parallel groups into their branch steps
+   * @param {Array<Object>} steps - Parsed workflow steps
+   * @returns {Array<Object>} Steps with parallel groups replaced by their branches
+   */
+  flattenSteps(steps = []) {
+    return steps.flatMap(step => (step.type === 'parallel' ? step.branches : [step]));
+  }
+
   validateAgent(agent) {
     const baseAgents = ['analyst', 'pm', 'architect', 'ux-expert', 'dev', 'qa', 'sm', 'po', 'system', 'bmad-orchestrator', 'various'];
 
@@ -484,8 +623,8 @@ class WorkflowParser {
   extractAgentsFromSteps(steps) {
     const agents = new Set();
     if (!steps) return [];
-    
-    steps.forEach(step => {
+
+    this.flattenSteps(steps).forEach(step => {
       if (step.agent && step.agent !== 'bmad-orchestrator') {
         agents.add(step.agent);
       }
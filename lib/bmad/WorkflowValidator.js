@@ -0,0 +1,331 @@
+/**
+ * BMAD Workflow Definition Validator
+ * Static checks for workflow YAML before it is ever executed: agents, artifact
+ * dependencies, routing targets and referenced templates/tasks.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import WorkflowParser from './WorkflowParser.js';
+import { AgentLoader } from './AgentLoader.js';
+import logger from '../utils/logger.js';
+
+// Agent ids that are handled by the engine itself rather than an agent file
+const BUILT_IN_AGENTS = ['system', 'bmad-orchestrator', 'various', 'user'];
+
+// `*-tmpl` or `*-tmpl.yaml` mentions inside step notes
+const TEMPLATE_REFERENCE = /\b([a-z0-9][a-z0-9-]*-tmpl)(?:\.ya?ml)?\b/gi;
+
+// Route values that mean "fall through to the following step"
+const CONTINUE_TARGETS = ['to_next_step', 'next', 'continue'];
+
+class WorkflowValidator {
+  constructor(options = {}) {
+    this.agentLoader = options.agentLoader || new AgentLoader();
+    this.parser = options.parser || new WorkflowParser();
+    this.bmadCoreDir = options.bmadCoreDir || path.join(process.cwd(), '.bmad-core');
+  }
+
+  /**
+   * Validate a workflow definition
+   * @param {string|Object} definition - YAML text, a parsed document or its `workflow` section
+   * @returns {Promise<Object>} { valid, errors, warnings, stats }
+   */
+  async validate(definition) {
+    const issues = [];
+    const report = (severity, code, message, location = {}) => {
+      issues.push({ severity, code, message, ...location });
+    };
+
+    let workflow;
+    try {
+      workflow = this.normalizeDefinition(definition);
+    } catch (error) {
+      report('error', 'INVALID_YAML', `Workflow YAML could not be parsed: ${error.message}`);
+      return this.buildResult(issues, {});
+    }
+
+    if (!workflow || typeof workflow !== 'object') {
+      report('error', 'MISSING_WORKFLOW', "Workflow definition must contain a 'workflow' section");
+      return this.buildResult(issues, {});
+    }
+
+    if (!workflow.name) {
+      report('error', 'MISSING_NAME', 'Workflow is missing required field: name', { field: 'name' });
+    }
+
+    if (!Array.isArray(workflow.sequence) || workflow.sequence.length === 0) {
+      report('error', 'EMPTY_SEQUENCE', 'Workflow must have at least one step in its sequence', { field: 'sequence' });
+      return this.buildResult(issues, {});
+    }
+
+    const steps = await this.parseSteps(workflow.sequence, report);
+    const stepNames = new Set(steps.flatMap(({ step }) => this.stepLabels(step)));
+
+    await this.checkAgents(steps, report);
+    this.checkArtifacts(steps, report);
+    await this.checkRouting(steps, stepNames, report);
+    await this.checkReferences(steps, report);
+
+    return this.buildResult(issues, {
+      steps: steps.length,
+      agents: this.parser.extractAgentsFromSteps(steps.map(({ step }) => step)).length,
+      artifacts: steps.flatMap(({ step }) => this.createdBy(step)).length
+    });
+  }
+
+  /**
+   * Accept raw YAML, the whole document or just the `workflow` section
+   */
+  normalizeDefinition(definition) {
+    const data = typeof definition === 'string' ? yaml.load(definition) : definition;
+    return data?.workflow || data;
+  }
+
+  /**
+   * Parse each sequence item with the runtime parser so validation sees exactly
+   * what the executor would run
+   */
+  async parseSteps(sequence, report) {
+    const steps = [];
+
+    for (let index = 0; index < sequence.length; index++) {
+      const item = sequence[index];
+      if (!item || typeof item !== 'object') {
+        report('error', 'INVALID_STEP', `Step ${index + 1} is not a mapping`, { stepIndex: index });
+        continue;
+      }
+
+      try {
+        const step = await this.parser.parseSequenceStep(item, index);
+        steps.push({ index, step, item });
+      } catch (error) {
+        report('error', 'INVALID_STEP', error.message, { stepIndex: index });
+      }
+    }
+
+    return steps;
+  }
+
+  /**
+   * Every agent (including `a/b` alternatives and route agents) must resolve through AgentLoader
+   */
+  async checkAgents(steps, report) {
+    const resolved = new Map();
+    const exists = async (agentId) => {
+      if (!resolved.has(agentId)) {
+        resolved.set(agentId, BUILT_IN_AGENTS.includes(agentId) || await this.agentLoader.agentExists(agentId));
+      }
+      return resolved.get(agentId);
+    };
+
+    for (const { index, step } of steps) {
+      // The parser silently downgrades agent-less steps to skipped control steps
+      if (step.type === 'workflow_control' && !step.agent) {
+        report('warning', 'MISSING_AGENT', `Step ${index + 1} has no agent and will be skipped`, { stepIndex: index, field: 'agent' });
+      }
+
+      const candidates = this.executableSteps(step).map(target => ({ agent: target.agent, field: 'agent' }));
+
+      Object.entries(step.routes || {}).forEach(([routeName, route]) => {
+        if (route?.agent) candidates.push({ agent: route.agent, field: `routes.${routeName}.agent` });
+      });
+
+      for (const { agent, field } of candidates) {
+        if (!agent) continue;
+        for (const agentId of String(agent).split('/').map(id => id.trim())) {
+          if (!(await exists(agentId))) {
+            report('error', 'UNKNOWN_AGENT', `Step ${index + 1} references unknown agent '${agentId}'`, { stepIndex: index, field });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Each `requires` artifact must be created by an earlier step (or a sibling branch)
+   */
+  checkArtifacts(steps, report) {
+    const created = new Map();
+
+    for (const { index, step } of steps) {
+      const siblings = new Set(step.type === 'parallel' ? step.produces : []);
+
+      for (const target of this.executableSteps(step)) {
+        for (const artifact of this.parser.normalizeList(target.requires)) {
+          if (created.has(artifact) || siblings.has(artifact)) continue;
+
+          const suggestion = this.closestMatch(artifact, [...created.keys(), ...siblings]);
+          report(
+            'error',
+            'MISSING_ARTIFACT',
+            `Step ${index + 1} requires '${artifact}' but no earlier step creates it` +
+              (suggestion ? ` (did you mean '${suggestion}'?)` : ''),
+            { stepIndex: index, field: 'requires' }
+          );
+        }
+      }
+
+      for (const artifact of this.createdBy(step)) {
+        if (created.has(artifact) && !step.optional && !step.condition) {
+          report(
+            'warning',
+            'DUPLICATE_ARTIFACT',
+            `Step ${index + 1} creates '${artifact}' which step ${created.get(artifact) + 1} already created`,
+            { stepIndex: index, field: 'creates' }
+          );
+        }
+        if (!created.has(artifact)) created.set(artifact, index);
+      }
+    }
+  }
+
+  /**
+   * Routing targets, `goto` jumps and `depends_on` must point at steps that exist
+   */
+  async checkRouting(steps, stepNames, report) {
+    const earlier = new Set();
+
+    for (const { index, step } of steps) {
+      const targets = [];
+
+      Object.entries(step.routes || {}).forEach(([routeName, route]) => {
+        if (!route || typeof route !== 'object') return;
+        const target = route.next_step || route.goto;
+        if (target) targets.push({ target, field: `routes.${routeName}` });
+        if (route.continue && !CONTINUE_TARGETS.includes(route.continue)) {
+          targets.push({ target: route.continue, field: `routes.${routeName}.continue` });
+        }
+      });
+
+      // Array form used by some templates: routingOptions: [{ option, next_step }]
+      (Array.isArray(step.original?.routingOptions) ? step.original.routingOptions : []).forEach(option => {
+        if (option?.next_step) targets.push({ target: option.next_step, field: `routingOptions.${option.option}` });
+      });
+
+      if (step.onSuccess?.goto) targets.push({ target: step.onSuccess.goto, field: 'onSuccess.goto' });
+      if (step.onFailure?.goto) targets.push({ target: step.onFailure.goto, field: 'onFailure.goto' });
+
+      for (const { target, field } of targets) {
+        if (!stepNames.has(target)) {
+          report('error', 'UNKNOWN_ROUTE_TARGET', `Step ${index + 1} routes to unknown step '${target}'`, { stepIndex: index, field });
+        }
+      }
+
+      if (step.type === 'routing' && Object.keys(step.routes || {}).length === 0) {
+        report('warning', 'EMPTY_ROUTES', `Routing step ${index + 1} has no routes`, { stepIndex: index, field: 'routes' });
+      }
+
+      for (const dependency of step.dependsOn || []) {
+        if (!earlier.has(dependency)) {
+          report('error', 'UNKNOWN_DEPENDENCY', `Step ${index + 1} depends on '${dependency}' which is not an earlier step`, { stepIndex: index, field: 'depends_on' });
+        }
+      }
+
+      this.stepLabels(step).forEach(label => earlier.add(label));
+    }
+  }
+
+  /**
+   * Templates named in notes and `uses:` tasks/templates must exist in .bmad-core
+   */
+  async checkReferences(steps, report) {
+    for (const { index, step } of steps) {
+      const targets = [...this.executableSteps(step), ...Object.values(step.routes || {}).filter(Boolean)];
+
+      for (const target of targets) {
+        const rawNotes = target.original?.notes ?? target.notes;
+        const notes = typeof rawNotes === 'string' ? rawNotes : '';
+        for (const match of notes.matchAll(TEMPLATE_REFERENCE)) {
+          const templateId = match[1].toLowerCase();
+          if (!this.referenceExists('templates', templateId)) {
+            report('error', 'UNKNOWN_TEMPLATE', `Step ${index + 1} notes reference missing template '${templateId}'`, { stepIndex: index, field: 'notes' });
+          }
+        }
+
+        if (typeof target.uses === 'string') {
+          const reference = target.uses.replace(/\.(ya?ml|md)$/, '');
+          if (!this.referenceExists('templates', reference) && !this.referenceExists('tasks', reference)) {
+            report('error', 'UNKNOWN_REFERENCE', `Step ${index + 1} uses '${target.uses}' which is neither a template nor a task`, { stepIndex: index, field: 'uses' });
+          }
+        }
+      }
+    }
+  }
+
+  // ===== HELPERS =====
+
+  referenceExists(folder, name) {
+    const extensions = folder === 'tasks' ? ['.md'] : ['.yaml', '.yml', '.md'];
+    return extensions.some(extension => fs.existsSync(path.join(this.bmadCoreDir, folder, `${name}${extension}`)));
+  }
+
+  /**
+   * Steps that actually run an agent (parallel groups expand into their branches)
+   */
+  executableSteps(step) {
+    return this.parser.flattenSteps([step]).filter(target => target.type !== 'workflow_control');
+  }
+
+  createdBy(step) {
+    return this.executableSteps(step).flatMap(target => this.parser.normalizeList(target.creates));
+  }
+
+  /**
+   * Names a step can be referenced by from `goto`, `next_step` or `depends_on`
+   */
+  stepLabels(step) {
+    return [step.step, step.controlAction, ...this.executableSteps(step).flatMap(target => [target.step, target.agent])]
+      .filter(Boolean);
+  }
+
+  /**
+   * Suggest the closest known name for likely typos (edit distance <= 3)
+   */
+  closestMatch(value, candidates) {
+    let best = null;
+    let bestDistance = 4;
+
+    for (const candidate of candidates) {
+      const distance = this.editDistance(value.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  }
+
+  buildResult(issues, stats) {
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+
+    logger.info(`🧪 [WorkflowValidator] ${errors.length} errors, ${warnings.length} warnings`);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      stats
+    };
+  }
+}
+
+export { WorkflowValidator };
+export default WorkflowValidator;
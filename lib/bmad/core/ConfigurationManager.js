@@ -93,6 +93,8 @@ class ConfigurationManager {
       devDebugLog: '.ai/debug-log.md',
       devStoryLocation: 'docs/stories',
       slashPrefix: 'BMad',
+      // Provider/model per agent, step type and complexity tier (see lib/ai/ModelRouter.js)
+      modelRouting: {},
       // Additional system defaults
       bmadCore: {
         agentsPath: '.bmad-core/agents',
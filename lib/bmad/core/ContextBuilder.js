@@ -8,19 +8,45 @@
  * - User interaction context
  * - Agent persona and capabilities
  * - Step requirements and outputs
+ * - Fitting all of the above into the target model's token budget
  */
 
 import logger from '../../utils/logger.js';
+import { TokenCounter } from '../../ai/utils/TokenCounter.js';
+import { summarizeHistory } from '../../ai/summarizer.js';
+
+// Below this many free tokens a truncated artifact is not worth including
+const MIN_USEFUL_TOKENS = 200;
 
 class ContextBuilder {
   constructor(options = {}) {
     this.maxContentLength = options.maxContentLength || 2000;
     this.includeFileContents = options.includeFileContents || false;
     this.maxHistoryItems = options.maxHistoryItems || 10;
+
+    // Token budget: a share of the model window (after reserving output), capped
+    this.maxContextTokens = options.maxContextTokens || 32000;
+    this.contextWindowShare = options.contextWindowShare || 0.5;
+    this.reservedOutputTokens = options.reservedOutputTokens || 8192;
+    this.repositoryShare = options.repositoryShare || 0.25;
+    this.summarizer = options.summarizer || summarizeHistory;
+    // Least recently used first; the oldest entries are evicted past the cap
+    this.maxCachedSummaries = options.maxCachedSummaries || 100;
+    this.historySummaries = new Map(); // workflowId -> { count, content, type }
+  }
+
+  /**
+   * Drop what is cached for a workflow that will not run again
+   */
+  forgetWorkflow(workflowId) {
+    this.historySummaries.delete(workflowId);
   }
 
   /**
    * Build comprehensive agent execution context
+   * @param {Object} [options] - { provider, model, tokenBudget, aiService, userId }
+   * @returns {Promise<Object>} Sections plus `prompt` (the budgeted text for the model)
+   *   and `usage` (tokens used, what was included, truncated or dropped)
    */
   async buildAgentContext(agent, step, workflow, options = {}) {
     logger.info(`🔧 [CONTEXT] Building agent context for ${agent.name || step.agent}`);
@@ -48,10 +74,210 @@ class ContextBuilder {
       requirements: this.buildRequirementsContext(step, workflow.context?.artifacts)
     };
 
-    logger.info(`✅ [CONTEXT] Built comprehensive context: ${Object.keys(context).length} sections`);
+    const { prompt, usage } = await this.assembleWithinBudget(context, step, workflow, options);
+    context.prompt = prompt;
+    context.usage = usage;
+
+    logger.info(`✅ [CONTEXT] Built comprehensive context: ${usage.used}/${usage.budget} tokens, ${usage.dropped.length} pieces dropped`);
     return context;
   }
 
+  /**
+   * Token budget for one call: explicit budget, or a share of the model's window
+   */
+  resolveTokenBudget(target, tokenBudget = null) {
+    if (tokenBudget > 0) {
+      return tokenBudget;
+    }
+    const window = TokenCounter.contextWindow(target);
+    const available = Math.max(0, window - this.reservedOutputTokens);
+    return Math.min(this.maxContextTokens, Math.floor(available * this.contextWindowShare));
+  }
+
+  /**
+   * Assemble the context text in priority order until the budget runs out:
+   * requirement status > required artifacts > conversation history > repository > other artifacts
+   */
+  async assembleWithinBudget(context, step, workflow, options = {}) {
+    const target = { provider: options.provider || null, model: options.model || null };
+    const budget = this.resolveTokenBudget(target, options.tokenBudget);
+    const usage = {
+      provider: target.provider,
+      model: target.model,
+      contextWindow: TokenCounter.contextWindow(target),
+      budget,
+      used: 0,
+      sections: {},
+      included: [],
+      dropped: []
+    };
+    const parts = [];
+
+    const remaining = () => budget - usage.used;
+    const include = (section, name, text, mode, force = false) => {
+      const tokens = TokenCounter.count(text, target);
+      if (!force && tokens > remaining()) {
+        return false;
+      }
+      parts.push(text);
+      usage.used += tokens;
+      usage.sections[section] = (usage.sections[section] || 0) + tokens;
+      usage.included.push({ section, name, mode, tokens });
+      return true;
+    };
+    const drop = (section, name, text, reason = 'token_budget') => {
+      usage.dropped.push({ section, name, tokens: TokenCounter.count(text, target), reason });
+    };
+
+    // Requirement status always goes in - the agent must know what is missing
+    if (context.requirements.hasRequirements) {
+      include('requirements', 'requirements', this.renderRequirements(context.requirements), 'full', true);
+    }
+
+    const ranked = this.rankArtifacts(workflow.context?.artifacts, step);
+
+    // Required artifacts: full content, truncated if that is all that fits
+    for (const { name, artifact } of ranked.filter(item => item.required)) {
+      const text = this.renderArtifact(name, artifact.content);
+      if (include('artifacts', name, text, 'full')) continue;
+
+      if (remaining() >= MIN_USEFUL_TOKENS) {
+        const header = this.renderArtifact(name, '');
+        const body = TokenCounter.truncate(artifact.content, remaining() - TokenCounter.count(header, target), target);
+        if (include('artifacts', name, this.renderArtifact(name, body), 'truncated')) continue;
+      }
+      drop('artifacts', name, text);
+    }
+
+    await this.includeHistory(workflow, options, target, { include, drop, remaining });
+
+    // Repository: full, condensed, or nothing; never more than its share of the budget
+    if (context.repository.available) {
+      const full = this.renderSection('Repository', context.repository);
+      const condensed = this.renderSection('Repository', await this.buildRepositoryContextCondensed(workflow.repositoryAnalysis));
+      const repositoryBudget = Math.floor(budget * this.repositoryShare);
+
+      const fitsShare = TokenCounter.count(full, target) <= repositoryBudget;
+
+      if (!fitsShare || !include('repository', 'repository', full, 'full')) {
+        if (include('repository', 'repository', condensed, 'condensed')) {
+          drop('repository', 'repository details', full, 'condensed');
+        } else {
+          drop('repository', 'repository', condensed);
+        }
+      }
+    }
+
+    // Everything else as previews, most relevant first
+    for (const { name, artifact } of ranked.filter(item => !item.required)) {
+      const text = this.renderArtifact(name, this.createContentPreview(artifact.content));
+      if (!include('artifacts', name, text, 'preview')) {
+        drop('artifacts', name, text);
+      }
+    }
+
+    return { prompt: parts.join('\n\n'), usage };
+  }
+
+  /**
+   * Recent exchanges verbatim, older ones summarized; oldest recent items go first when short on room
+   */
+  async includeHistory(workflow, options, target, { include, drop, remaining }) {
+    const history = workflow.context?.elicitationHistory || [];
+    if (history.length === 0) {
+      return;
+    }
+
+    const older = history.slice(0, -this.maxHistoryItems);
+    let recent = history.slice(-this.maxHistoryItems);
+
+    if (older.length > 0) {
+      const summary = await this.summarizeOlderHistory(workflow, older, options);
+      const text = `## Earlier conversation (summary of ${older.length} exchanges)\n${summary.content}`;
+      if (!include('history', 'summary', text, summary.type)) {
+        drop('history', `${older.length} earlier exchanges`, text);
+      }
+    }
+
+    while (recent.length > 0) {
+      const text = this.renderHistory(recent);
+      if (include('history', 'recent', text, 'full')) {
+        return;
+      }
+      // Drop the oldest item and retry, or give up once nothing could fit
+      if (remaining() <= 0) {
+        drop('history', `${recent.length} recent exchanges`, text);
+        return;
+      }
+      drop('history', `exchange ${history.length - recent.length + 1}`, this.renderHistory(recent.slice(0, 1)));
+      recent = recent.slice(1);
+    }
+  }
+
+  /**
+   * Summary of history older than the verbatim window, cached per workflow until it grows
+   */
+  async summarizeOlderHistory(workflow, older, options = {}) {
+    const cached = this.historySummaries.get(workflow.workflowId);
+    if (cached && cached.count === older.length) {
+      this.cacheSummary(workflow.workflowId, cached);
+      return cached;
+    }
+
+    const summary = await this.summarizer(older, {
+      aiService: options.aiService,
+      userId: options.userId || workflow.userId?.toString(),
+      workflowId: workflow.workflowId
+    });
+    const entry = { count: older.length, content: summary.content, type: summary.type };
+    if (workflow.workflowId) {
+      this.cacheSummary(workflow.workflowId, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Store a summary as the most recently used, evicting the least recently used past the cap
+   */
+  cacheSummary(workflowId, entry) {
+    this.historySummaries.delete(workflowId);
+    this.historySummaries.set(workflowId, entry);
+    while (this.historySummaries.size > this.maxCachedSummaries) {
+      this.historySummaries.delete(this.historySummaries.keys().next().value);
+    }
+  }
+
+  /**
+   * Order artifacts by relevance to a step: required (in `requires` order) first,
+   * then those named in the step's notes/action, then same type as what it creates, newest first
+   */
+  rankArtifacts(artifacts, step = {}) {
+    if (!artifacts || artifacts.size === 0) {
+      return [];
+    }
+
+    const requires = Array.isArray(step.requires) ? step.requires : (step.requires ? [step.requires] : []);
+    const mentions = `${step.notes || ''} ${step.action || ''} ${step.condition || ''}`.toLowerCase();
+    const createsType = step.creates ? this.classifyArtifact(step.creates) : null;
+
+    return Array.from(artifacts.entries())
+      .filter(([, artifact]) => artifact?.content)
+      .map(([name, artifact]) => {
+        const requiredIndex = requires.indexOf(name);
+        let score = 0;
+        if (requiredIndex !== -1) score += 100 + (requires.length - requiredIndex);
+        if (mentions.includes(name.toLowerCase()) || mentions.includes(name.replace(/\.[^.]+$/, '').toLowerCase())) score += 40;
+        if (createsType && this.classifyArtifact(name) === createsType) score += 10;
+        return {
+          name,
+          artifact,
+          score,
+          required: requiredIndex !== -1,
+          createdAt: new Date(artifact.metadata?.createdAt || 0).getTime()
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt);
+  }
   /**
    * Build workflow routing context for AI decision making
    */
@@ -279,10 +505,11 @@ class ContextBuilder {
 
     requirements.forEach(req => {
       if (artifacts && artifacts.has(req)) {
+        // Content is placed (and budgeted) by assembleWithinBudget
         fulfilled[req] = {
           name: req,
           available: true,
-          artifact: artifacts.get(req)
+          size: artifacts.get(req)?.content?.length || 0
         };
       } else {
         missing.push(req);
@@ -300,6 +527,30 @@ class ContextBuilder {
   }
 
   // Helper methods
+  renderRequirements(requirements) {
+    const lines = [
+      ...Object.keys(requirements.requirements).map(name => `- ${name}: available`),
+      ...requirements.missingRequirements.map(name => `- ${name}: MISSING`)
+    ];
+    return `## Required inputs\n${lines.join('\n')}`;
+  }
+
+  renderArtifact(name, content) {
+    return `## Artifact: ${name}\n${content || ''}`.trimEnd();
+  }
+
+  renderHistory(items) {
+    const lines = items.map(item => {
+      const question = `**${item.agent || 'system'}:** ${item.message || ''}`;
+      return item.userResponse ? `${question}\n**user:** ${item.userResponse}` : question;
+    });
+    return `## Recent conversation\n${lines.join('\n\n')}`;
+  }
+
+  renderSection(title, data) {
+    return `## ${title}\n${JSON.stringify(data, null, 2)}`;
+  }
+
   extractAgentCapabilities(agent) {
     const capabilities = [];
     
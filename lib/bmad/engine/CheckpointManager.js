@@ -14,8 +14,20 @@ class CheckpointManager {
       return null;
     }
 
+    return this.createFromWorkflow(workflow, checkpointType, description);
+  }
+
+  /**
+   * Snapshot an already-loaded workflow
+   * Besides the rollback state this keeps the workflow context, artifact contents and step
+   * context, so a new workflow can be forked from the checkpoint later.
+   */
+  async createFromWorkflow(workflow, checkpointType, description = '') {
+    const workflowId = workflow.workflowId;
+
     try {
       const checkpointId = this.generateCheckpointId();
+      const { artifacts, ...workflowContext } = workflow.context || {};
       
       const checkpointData = {
         checkpointId,
@@ -25,14 +37,17 @@ class CheckpointManager {
         step: workflow.bmadWorkflowData?.currentStep || workflow.executionContext?.currentStep || 0,
         currentAgent: workflow.currentAgent,
         status: (workflow.status || 'initializing').toLowerCase(),
-        userId: workflow.userId,
+        userId: workflow.userId?.toString(),
         
         state: {
           artifacts: JSON.parse(JSON.stringify(workflow.bmadWorkflowData?.artifacts || [])),
           messages: JSON.parse(JSON.stringify(workflow.bmadWorkflowData?.messages || [])),
           errors: JSON.parse(JSON.stringify(workflow.errors || [])),
           context: JSON.parse(JSON.stringify(workflow.repositoryAnalysis || {})),
-          metadata: JSON.parse(JSON.stringify(workflow.metadata || {}))
+          metadata: JSON.parse(JSON.stringify(workflow.metadata || {})),
+          workflowContext: JSON.parse(JSON.stringify(workflowContext)),
+          artifactContents: JSON.parse(JSON.stringify(artifactEntries(artifacts))),
+          stepContext: JSON.parse(JSON.stringify(workflow.bmadWorkflowData?.context || {}))
         }
       };
 
@@ -49,6 +64,31 @@ class CheckpointManager {
     }
   }
 
+  /**
+   * Checkpoint the workflow before its current step runs
+   * A step resumed after an elicitation runs again; its first checkpoint is kept.
+   */
+  async createBeforeStep(workflow, step) {
+    const stepIndex = workflow.bmadWorkflowData?.currentStep || 0;
+
+    try {
+      const existing = await WorkflowCheckpoint.exists({
+        workflowId: workflow.workflowId,
+        type: 'before_step',
+        step: stepIndex
+      });
+      if (existing) {
+        return null;
+      }
+    } catch (error) {
+      logger.warn(`⚠️ [CHECKPOINT] Could not look up checkpoints for ${workflow.workflowId}: ${error.message}`);
+      return null;
+    }
+
+    const label = step?.step || step?.name || step?.agent || 'step';
+    return this.createFromWorkflow(workflow, 'before_step', `Before step ${stepIndex + 1}: ${label}`);
+  }
+
   async rollback(workflowId, checkpointId) {
     const workflow = await this.workflowEngine.loadWorkflowFromDatabase(workflowId);
     if (!workflow) {
@@ -118,4 +158,12 @@ class CheckpointManager {
   }
 }
 
+// Artifacts are a Map in memory and [name, artifact] entries once saved
+function artifactEntries(artifacts) {
+  if (!artifacts) return [];
+  if (artifacts instanceof Map) return Array.from(artifacts.entries());
+  if (Array.isArray(artifacts)) return artifacts;
+  return Object.entries(artifacts);
+}
+
 module.exports = { CheckpointManager };
@@ -100,7 +100,7 @@ class DecisionEngine {
       logger.info(`🧠 [DECISION AI] Making decision for: ${step.action}`);
       
       // Call AI service to make the decision
-      const response = await this.workflowEngine.aiService.call(decisionPrompt, agent, 'simple', {}, userId);
+      const response = await this.workflowEngine.aiService.call(decisionPrompt, agent, 'simple', { stepType: 'routing' }, userId);
       
       if (!response || !response.content) {
         throw new Error('AI decision response was empty');
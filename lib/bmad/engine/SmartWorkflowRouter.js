@@ -73,7 +73,7 @@ Respond in JSON format:
 }`;
 
     const agent = { name: 'smart-router', id: 'smart-router' };
-    const response = await this.aiService.call(prompt, agent, 'simple', context);
+    const response = await this.aiService.call(prompt, agent, 'simple', { ...context, stepType: 'routing' });
     
     if (response && response.content) {
       try {
@@ -116,7 +116,8 @@ Respond in JSON format:
         confidence: analysis.confidence,
         recommendedWorkflow: analysis.recommendedWorkflow,
         reasoning: analysis.reasoning,
-        action: 'send_routing_acknowledgment'
+        action: 'send_routing_acknowledgment',
+        stepType: 'routing'
       };
 
       const response = await this.aiService.call('', orchestratorAgent, 'simple', context);
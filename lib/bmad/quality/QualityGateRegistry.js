@@ -0,0 +1,108 @@
+/**
+ * Quality Gate Registry
+ * Pluggable gates run by QualityGateManager. A gate is a plain object:
+ *
+ *   {
+ *     id: 'secrets',                      // Key used in workflow configuration and results
+ *     name: 'Secret Detection',
+ *     description: '...',
+ *     failOn: 'high',                     // Default severity threshold
+ *     remediation: '...',                 // Optional - recommended action when the gate fails
+ *     priority: 'high',                   // Optional - recommendation priority when no finding sets one
+ *     appliesTo(input) { return true; },  // Optional - skip gates with nothing to check
+ *     async run(input, options) {         // input: { files, artifacts, codeChanges, workflowId, ... }
+ *       return { findings: [{ severity, rule, message, file, line, column }], result, message, passed };
+ *     }
+ *   }
+ *
+ * A gate fails when any finding is at or above its threshold, or when it reports passed: false.
+ */
+
+import { QualityGateSeverity } from '../types.js';
+
+const SEVERITY_ORDER = Object.values(QualityGateSeverity);
+
+/**
+ * Rank of a severity (info = 0 ... critical = 4); unknown severities rank as info
+ */
+export function severityRank(severity) {
+  return Math.max(0, SEVERITY_ORDER.indexOf(severity));
+}
+
+export function meetsThreshold(severity, threshold) {
+  return severityRank(severity) >= severityRank(threshold);
+}
+
+export function isSeverity(value) {
+  return SEVERITY_ORDER.includes(value);
+}
+
+/**
+ * Source files a gate can inspect - code changes plus code artifacts with content, deduplicated by path
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function collectSourceFiles({ codeChanges = [], artifacts = [] } = {}) {
+  const files = new Map();
+  const candidates = [
+    ...codeChanges,
+    ...artifacts.filter(artifact => ['code', 'implementation', 'test', 'configuration'].includes(artifact.type))
+  ];
+
+  for (const candidate of candidates) {
+    const filePath = candidate.path || candidate.name;
+    if (filePath && typeof candidate.content === 'string' && !files.has(filePath)) {
+      files.set(filePath, { path: filePath, content: candidate.content });
+    }
+  }
+
+  return [...files.values()];
+}
+
+export class QualityGateRegistry {
+  constructor() {
+    this.gates = new Map();
+  }
+
+  /**
+   * Add a gate; registering an existing id replaces it
+   */
+  register(gate) {
+    if (!gate?.id || typeof gate.run !== 'function') {
+      throw new Error('Quality gates need an id and a run(input, options) function');
+    }
+    if (gate.failOn && !isSeverity(gate.failOn)) {
+      throw new Error(`Quality gate ${gate.id} has an invalid failOn severity: ${gate.failOn}`);
+    }
+
+    this.gates.set(gate.id, { name: gate.id, failOn: QualityGateSeverity.HIGH, ...gate });
+    return this;
+  }
+
+  unregister(gateId) {
+    return this.gates.delete(gateId);
+  }
+
+  get(gateId) {
+    return this.gates.get(gateId) || null;
+  }
+
+  has(gateId) {
+    return this.gates.has(gateId);
+  }
+
+  /**
+   * Registered gates in registration order
+   */
+  list() {
+    return [...this.gates.values()];
+  }
+
+  /**
+   * Metadata for configuration UIs and APIs
+   */
+  describe() {
+    return this.list().map(({ id, name, description, failOn }) => ({ id, name, description, failOn }));
+  }
+}
+
+export default QualityGateRegistry;
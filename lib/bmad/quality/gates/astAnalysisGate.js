@@ -0,0 +1,276 @@
+/**
+ * AST Analysis Gate
+ * Parses JS/TS/JSX with @babel/parser and checks the syntax tree, so strings, comments
+ * and identifiers that merely look like risky calls are not flagged.
+ * Rule severities can be changed or turned off per workflow with options.rules.
+ */
+
+import { parse } from '@babel/parser';
+import { QualityGateSeverity } from '../../types.js';
+import { collectSourceFiles } from '../QualityGateRegistry.js';
+
+const { INFO, LOW, MEDIUM, HIGH } = QualityGateSeverity;
+
+export const AST_RULES = {
+  'no-eval': HIGH,
+  'no-new-function': HIGH,
+  'command-injection': HIGH,
+  'string-timer': MEDIUM,
+  'unsafe-html': MEDIUM,
+  'no-debugger': MEDIUM,
+  'parse-error': MEDIUM,
+  'deep-loop-nesting': MEDIUM,
+  'await-in-loop': LOW,
+  'long-function': LOW,
+  'loose-equality': LOW,
+  'console-log': INFO
+};
+
+const SOURCE_FILE = /\.(?:[cm]?jsx?|tsx?)$/i;
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'errors', 'tokens']);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const LOOP_REPEATED_KEYS = new Set(['body', 'test', 'update']);
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod']);
+const CHILD_PROCESS_MODULES = new Set(['child_process', 'node:child_process']);
+const SHELL_CALLS = new Set(['exec', 'execSync']);
+
+/**
+ * Parse a source file, tolerating recoverable syntax errors
+ * @returns {{ ast: Object|null, errors: Array<Object> }}
+ */
+export function parseSource(content, filePath = 'file.js') {
+  const isTypeScript = /\.tsx?$/i.test(filePath);
+  const plugins = isTypeScript
+    ? (/\.tsx$/i.test(filePath) ? ['typescript', 'jsx'] : ['typescript'])
+    : ['jsx'];
+
+  try {
+    const ast = parse(content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      plugins: [...plugins, 'decorators-legacy']
+    });
+    return { ast, errors: ast.errors || [] };
+  } catch (error) {
+    return { ast: null, errors: [error] };
+  }
+}
+
+/**
+ * Analyze one JS/TS file
+ * @param {string} content
+ * @param {string} filePath
+ * @param {Object} [options] - { rules: { ruleId: severity|'off' }, maxFunctionLines = 80, maxLoopDepth = 3 }
+ * @returns {Array<Object>} findings
+ */
+export function analyzeSource(content, filePath, options = {}) {
+  const rules = { ...AST_RULES, ...options.rules };
+  const maxFunctionLines = options.maxFunctionLines ?? 80;
+  const maxLoopDepth = options.maxLoopDepth ?? 3;
+  const findings = [];
+
+  const report = (rule, node, message) => {
+    const severity = rules[rule];
+    if (!severity || severity === 'off') return;
+    const loc = node.loc?.start || node.loc || {};
+    findings.push({ severity, rule, message, file: filePath, line: loc.line ?? null, column: loc.column != null ? loc.column + 1 : null });
+  };
+
+  const { ast, errors } = parseSource(content, filePath);
+  for (const error of errors) {
+    report('parse-error', error, `Syntax error: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`);
+  }
+  if (!ast) return findings;
+
+  const shellBindings = collectChildProcessBindings(ast);
+
+  walk(ast.program, { loopDepth: 0 }, (node, state) => {
+    switch (node.type) {
+      case 'CallExpression':
+      case 'NewExpression': {
+        const callee = calleeName(node.callee);
+        const firstArg = node.arguments[0];
+
+        if (callee === 'eval' && node.type === 'CallExpression') {
+          report('no-eval', node, 'eval() executes arbitrary code');
+        } else if (callee === 'Function') {
+          report('no-new-function', node, 'Function constructor executes arbitrary code');
+        } else if (['setTimeout', 'setInterval', 'window.setTimeout', 'window.setInterval'].includes(callee) && isStringValue(firstArg)) {
+          report('string-timer', node, `${callee}() with a string argument is evaluated like eval()`);
+        } else if (['document.write', 'document.writeln'].includes(callee)) {
+          report('unsafe-html', node, `${callee}() injects unescaped HTML`);
+        } else if (callee === 'console.log') {
+          report('console-log', node, 'console.log left in code - use the logger');
+        } else if (isShellCall(node.callee, shellBindings) && firstArg && !isStaticString(firstArg)) {
+          report('command-injection', node, 'Shell command built from dynamic input - use execFile/spawn with an argument array');
+        }
+        break;
+      }
+
+      case 'AssignmentExpression': {
+        const property = node.left.type === 'MemberExpression' && propertyName(node.left);
+        if (['innerHTML', 'outerHTML'].includes(property) && !isStaticString(node.right)) {
+          report('unsafe-html', node, `Assigning dynamic content to ${property} allows XSS`);
+        }
+        break;
+      }
+
+      case 'JSXAttribute':
+        if (node.name?.name === 'dangerouslySetInnerHTML') {
+          report('unsafe-html', node, 'dangerouslySetInnerHTML renders unescaped HTML');
+        }
+        break;
+
+      case 'DebuggerStatement':
+        report('no-debugger', node, 'debugger statement left in code');
+        break;
+
+      case 'BinaryExpression':
+        if (['==', '!='].includes(node.operator) && !isNullish(node.left) && !isNullish(node.right)) {
+          report('loose-equality', node, `Use ${node.operator}= instead of ${node.operator} to avoid type coercion`);
+        }
+        break;
+
+      case 'AwaitExpression':
+        if (state.loopDepth > 0 && !state.inForAwait) {
+          report('await-in-loop', node, 'await inside a loop runs sequentially - consider Promise.all');
+        }
+        break;
+
+      default:
+        if (LOOP_TYPES.has(node.type) && state.loopDepth + 1 === maxLoopDepth) {
+          report('deep-loop-nesting', node, `Loops nested ${maxLoopDepth} deep - O(n^${maxLoopDepth}) or worse`);
+        }
+        if (FUNCTION_TYPES.has(node.type) && node.loc) {
+          const lines = node.loc.end.line - node.loc.start.line + 1;
+          if (lines > maxFunctionLines) {
+            report('long-function', node, `${functionName(node)} is ${lines} lines long (limit ${maxFunctionLines})`);
+          }
+        }
+    }
+  });
+
+  return findings;
+}
+
+export const astAnalysisGate = {
+  id: 'ast-analysis',
+  name: 'Code Analysis',
+  description: 'Syntax-tree checks for unsafe code execution, XSS sinks, shell injection and performance smells in JS/TS',
+  failOn: HIGH,
+  remediation: 'Fix the flagged code before proceeding',
+  appliesTo: input => collectSourceFiles(input).some(file => SOURCE_FILE.test(file.path)),
+  async run(input, options = {}) {
+    const files = collectSourceFiles(input).filter(file => SOURCE_FILE.test(file.path) && !/\.d\.ts$/i.test(file.path));
+    const findings = files.flatMap(file => analyzeSource(file.content, file.path, options));
+
+    return {
+      findings,
+      result: { filesAnalyzed: files.length },
+      message: `${files.length} files analyzed, ${findings.length} findings`
+    };
+  }
+};
+
+// ========== PRIVATE HELPER METHODS ==========
+
+/**
+ * Depth-first walk; loop depth resets at function boundaries
+ */
+function walk(node, state, visit) {
+  visit(node, state);
+
+  const isLoop = LOOP_TYPES.has(node.type);
+  const baseState = FUNCTION_TYPES.has(node.type) ? { loopDepth: 0 } : state;
+
+  for (const [key, value] of Object.entries(node)) {
+    if (SKIPPED_KEYS.has(key) || !value || typeof value !== 'object') continue;
+
+    const childState = isLoop && LOOP_REPEATED_KEYS.has(key)
+      ? { loopDepth: baseState.loopDepth + 1, inForAwait: node.type === 'ForOfStatement' && node.await }
+      : baseState;
+
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (child && typeof child.type === 'string') walk(child, childState, visit);
+    }
+  }
+}
+
+/**
+ * Local names bound to child_process shell calls: { functions: Set, namespaces: Set }
+ */
+function collectChildProcessBindings(ast) {
+  const bindings = { functions: new Set(), namespaces: new Set() };
+
+  walk(ast.program, { loopDepth: 0 }, (node) => {
+    if (node.type === 'ImportDeclaration' && CHILD_PROCESS_MODULES.has(node.source.value)) {
+      for (const specifier of node.specifiers) {
+        if (specifier.type === 'ImportSpecifier') {
+          if (SHELL_CALLS.has(specifier.imported.name)) bindings.functions.add(specifier.local.name);
+        } else {
+          bindings.namespaces.add(specifier.local.name);
+        }
+      }
+    }
+
+    const isRequire = node.type === 'VariableDeclarator'
+      && node.init?.type === 'CallExpression'
+      && node.init.callee.name === 'require'
+      && CHILD_PROCESS_MODULES.has(node.init.arguments[0]?.value);
+    if (isRequire) {
+      if (node.id.type === 'Identifier') {
+        bindings.namespaces.add(node.id.name);
+      } else if (node.id.type === 'ObjectPattern') {
+        for (const property of node.id.properties) {
+          if (SHELL_CALLS.has(property.key?.name) && property.value?.type === 'Identifier') {
+            bindings.functions.add(property.value.name);
+          }
+        }
+      }
+    }
+  });
+
+  return bindings;
+}
+
+function isShellCall(callee, bindings) {
+  if (callee.type === 'Identifier') return bindings.functions.has(callee.name);
+  return callee.type === 'MemberExpression'
+    && callee.object.type === 'Identifier'
+    && bindings.namespaces.has(callee.object.name)
+    && SHELL_CALLS.has(propertyName(callee));
+}
+
+function calleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier') {
+    return `${callee.object.name}.${propertyName(callee)}`;
+  }
+  return null;
+}
+
+function propertyName(member) {
+  if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+  return member.property.type === 'StringLiteral' ? member.property.value : null;
+}
+
+function isStringValue(node) {
+  return node?.type === 'StringLiteral' || node?.type === 'TemplateLiteral';
+}
+
+function isStaticString(node) {
+  return node?.type === 'StringLiteral' || (node?.type === 'TemplateLiteral' && node.expressions.length === 0);
+}
+
+function isNullish(node) {
+  return node.type === 'NullLiteral' || (node.type === 'Identifier' && node.name === 'undefined');
+}
+
+function functionName(node) {
+  const name = node.id?.name || node.key?.name;
+  return name ? `Function ${name}` : 'Anonymous function';
+}
+
+export default astAnalysisGate;
@@ -0,0 +1,186 @@
+/**
+ * Dependency Audit Gate
+ * Checks package.json / package-lock.json against a local advisory database file
+ * (data/npm-advisories.json by default) so audits run offline and reproducibly.
+ * Lockfile versions are exact; manifest ranges are checked at their lowest allowed version.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import semver from 'semver';
+import { QualityGateSeverity } from '../../types.js';
+import { collectSourceFiles, isSeverity } from '../QualityGateRegistry.js';
+
+export const DEFAULT_ADVISORY_DATABASE = path.join(process.cwd(), 'lib', 'bmad', 'quality', 'data', 'npm-advisories.json');
+
+const MANIFEST_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+const advisoryCache = new Map();
+
+/**
+ * Load an advisory database file (cached per path)
+ * @returns {Promise<Array<Object>>} advisories
+ */
+export async function loadAdvisories(databasePath = DEFAULT_ADVISORY_DATABASE) {
+  if (!advisoryCache.has(databasePath)) {
+    const data = JSON.parse(await fs.readFile(databasePath, 'utf8'));
+    advisoryCache.set(databasePath, Array.isArray(data) ? data : data.advisories || []);
+  }
+  return advisoryCache.get(databasePath);
+}
+
+/**
+ * Installed packages from a package-lock.json (lockfileVersion 1-3)
+ * @returns {Array<{name, version, dev, location}>}
+ */
+export function readLockfile(lockfile) {
+  const packages = [];
+
+  if (lockfile?.packages) {
+    for (const [location, entry] of Object.entries(lockfile.packages)) {
+      if (!location || !entry.version) continue;
+      const name = entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      packages.push({ name, version: entry.version, dev: Boolean(entry.dev), location });
+    }
+    return packages;
+  }
+
+  const visit = (dependencies = {}, parent = '') => {
+    for (const [name, entry] of Object.entries(dependencies)) {
+      const location = `${parent}node_modules/${name}`;
+      if (entry.version) packages.push({ name, version: entry.version, dev: Boolean(entry.dev), location });
+      visit(entry.dependencies, `${location}/`);
+    }
+  };
+  visit(lockfile?.dependencies);
+  return packages;
+}
+
+/**
+ * Declared dependencies from a package.json, resolved to the lowest version each range allows
+ */
+export function readManifest(manifest) {
+  const packages = [];
+
+  for (const field of MANIFEST_FIELDS) {
+    for (const [name, range] of Object.entries(manifest?.[field] || {})) {
+      // git, file and url specs cannot be checked against advisories
+      const version = semver.validRange(range) ? semver.minVersion(range)?.version : null;
+      if (version) {
+        packages.push({ name, version, range, dev: field === 'devDependencies', location: `package.json#${field}` });
+      }
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Match packages against advisories
+ * @param {Array<Object>} packages - from readLockfile() / readManifest()
+ * @param {Array<Object>} advisories
+ * @param {Object} [options] - { ignore: [advisory id or CVE] }
+ * @returns {Array<Object>} findings
+ */
+export function auditPackages(packages, advisories, options = {}) {
+  const ignored = new Set(options.ignore || []);
+  const byPackage = new Map();
+  for (const advisory of advisories) {
+    if (ignored.has(advisory.id) || ignored.has(advisory.cve)) continue;
+    byPackage.set(advisory.package, [...(byPackage.get(advisory.package) || []), advisory]);
+  }
+
+  const findings = [];
+  const reported = new Set();
+
+  for (const pkg of packages) {
+    for (const advisory of byPackage.get(pkg.name) || []) {
+      const key = `${advisory.id}:${pkg.name}@${pkg.version}`;
+      if (reported.has(key) || !semver.valid(pkg.version)) continue;
+      if (!semver.satisfies(pkg.version, advisory.vulnerableVersions, { includePrerelease: true })) continue;
+
+      reported.add(key);
+      findings.push({
+        severity: normalizeSeverity(advisory.severity),
+        rule: advisory.id,
+        message: `${pkg.name}@${pkg.version}: ${advisory.title}${advisory.patchedVersions ? ` (fixed in ${advisory.patchedVersions})` : ' (no fix available)'}`,
+        file: pkg.location.startsWith('package.json') ? 'package.json' : 'package-lock.json',
+        package: pkg.name,
+        version: pkg.version,
+        dev: pkg.dev,
+        cve: advisory.cve || null
+      });
+    }
+  }
+
+  return findings;
+}
+
+export const dependencyAuditGate = {
+  id: 'dependencies',
+  name: 'Dependency Vulnerabilities',
+  description: 'npm dependencies checked against the local advisory database',
+  failOn: QualityGateSeverity.HIGH,
+  remediation: 'Upgrade vulnerable dependencies to a patched version',
+  appliesTo: input => Boolean(input.projectPath)
+    || collectSourceFiles(input).some(file => /(?:^|\/)package(?:-lock)?\.json$/.test(file.path)),
+  async run(input, options = {}) {
+    const { manifest, lockfile } = await readProjectFiles(input);
+    if (!manifest && !lockfile) {
+      return { findings: [], result: { packagesChecked: 0 }, message: 'No package.json or package-lock.json to audit' };
+    }
+
+    // The lockfile has exact versions; fall back to manifest ranges without one
+    const packages = lockfile ? readLockfile(lockfile) : readManifest(manifest);
+    const advisories = await loadAdvisories(options.advisoryDatabase || DEFAULT_ADVISORY_DATABASE);
+    const findings = auditPackages(packages, advisories, options);
+
+    return {
+      findings,
+      result: {
+        packagesChecked: packages.length,
+        source: lockfile ? 'package-lock.json' : 'package.json',
+        advisoriesLoaded: advisories.length
+      },
+      message: findings.length === 0
+        ? `${packages.length} packages checked, no known vulnerabilities`
+        : `${findings.length} vulnerable packages found`
+    };
+  }
+};
+
+// ========== PRIVATE HELPER METHODS ==========
+
+async function readProjectFiles(input) {
+  const files = collectSourceFiles(input);
+  const fromInput = name => files.find(file => path.basename(file.path) === name && !file.path.includes('node_modules'));
+  const { projectPath } = input;
+
+  const read = async (name) => {
+    const file = fromInput(name);
+    if (file) return parseJson(file.content);
+    if (!projectPath) return null;
+    try {
+      return parseJson(await fs.readFile(path.join(projectPath, name), 'utf8'));
+    } catch {
+      return null;
+    }
+  };
+
+  return { manifest: await read('package.json'), lockfile: await read('package-lock.json') };
+}
+
+function parseJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+function normalizeSeverity(severity) {
+  const value = String(severity || '').toLowerCase();
+  if (value === 'moderate') return QualityGateSeverity.MEDIUM;
+  return isSeverity(value) ? value : QualityGateSeverity.MEDIUM;
+}
+
+export default dependencyAuditGate;
@@ -0,0 +1,11 @@
+/**
+ * Built-in quality gates, registered by QualityGateManager in this order
+ */
+
+import secretsGate from './secretsGate.js';
+import dependencyAuditGate from './dependencyAuditGate.js';
+import astAnalysisGate from './astAnalysisGate.js';
+
+export { secretsGate, dependencyAuditGate, astAnalysisGate };
+
+export const BUILTIN_GATES = [secretsGate, dependencyAuditGate, astAnalysisGate];
@@ -0,0 +1,151 @@
+/**
+ * Secret Detection Gate
+ * Finds credentials committed in code: provider-specific token formats, private keys,
+ * credentialed connection strings, and high-entropy values assigned to secret-looking names.
+ * Lines containing `quality-gate: allow-secret` are skipped.
+ */
+
+import { QualityGateSeverity } from '../../types.js';
+import { collectSourceFiles } from '../QualityGateRegistry.js';
+
+const { CRITICAL, HIGH, MEDIUM } = QualityGateSeverity;
+
+// Provider formats - these are unambiguous, so any match is reported
+const PROVIDER_PATTERNS = [
+  { rule: 'aws-access-key-id', severity: CRITICAL, message: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { rule: 'aws-secret-access-key', severity: CRITICAL, message: 'AWS secret access key', pattern: /aws.{0,20}(?:secret|sk).{0,20}?['"]([A-Za-z0-9/+=]{40})['"]/gi, group: 1 },
+  { rule: 'github-token', severity: CRITICAL, message: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{60,})\b/g },
+  { rule: 'gitlab-token', severity: CRITICAL, message: 'GitLab personal access token', pattern: /\bglpat-[A-Za-z0-9_-]{20}\b/g },
+  { rule: 'anthropic-api-key', severity: CRITICAL, message: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{32,}/g },
+  { rule: 'openai-api-key', severity: CRITICAL, message: 'OpenAI API key', pattern: /\bsk-(?!ant-)(?:proj-|svcacct-)?[A-Za-z0-9_-]{40,}/g },
+  { rule: 'google-api-key', severity: HIGH, message: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { rule: 'stripe-secret-key', severity: CRITICAL, message: 'Stripe live secret key', pattern: /\b[sr]k_live_[A-Za-z0-9]{24,}\b/g },
+  { rule: 'slack-token', severity: CRITICAL, message: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+  { rule: 'slack-webhook', severity: HIGH, message: 'Slack incoming webhook URL', pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+/g },
+  { rule: 'sendgrid-api-key', severity: CRITICAL, message: 'SendGrid API key', pattern: /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}\b/g },
+  { rule: 'npm-token', severity: CRITICAL, message: 'npm access token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { rule: 'private-key', severity: CRITICAL, message: 'Private key block', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g },
+  { rule: 'credentialed-connection-string', severity: HIGH, message: 'Connection string with embedded password', pattern: /\b(?:mongodb(?:\+srv)?|postgres(?:ql)?|mysql|redis|rediss|amqps?):\/\/[^\s:'"/@]+:([^\s@'"/]+)@/g, group: 1 }
+];
+
+// name = "value" / name: 'value' where the name looks like a credential
+const SECRET_ASSIGNMENT_PATTERN = /([A-Za-z0-9_.-]*(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret|auth[_-]?key)[A-Za-z0-9_.-]*)["']?\s*[:=]\s*["'`]([^"'`\s]{8,})["'`]/gi;
+const STRING_LITERAL_PATTERN = /["'`]([A-Za-z0-9+/=_-]{24,})["'`]/g;
+
+const PLACEHOLDER_PATTERN = /^(?:x+|\*+|\.+|<[^>]*>|\$\{[^}]*\}|\{\{[^}]*\}\}|%[A-Z_]+%)$|your[_-]|example|changeme|change[_-]me|dummy|sample|placeholder|redacted|replace[_-]?me|^test|^fake|process\.env/i;
+const SKIPPED_FILES = /(?:^|\/)(?:package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$|\.min\.js$|\.(?:png|jpe?g|gif|ico|woff2?|ttf|pdf)$/i;
+const ALLOW_MARKER = /quality-gate:\s*allow-secret/;
+
+/**
+ * Shannon entropy in bits per character
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Scan one file for secrets
+ * @param {string} content
+ * @param {string} filePath
+ * @param {Object} [options] - { allowlist: [string|RegExp], minEntropy: { base64, hex } }
+ * @returns {Array<Object>} findings
+ */
+export function scanForSecrets(content, filePath, options = {}) {
+  if (SKIPPED_FILES.test(filePath || '')) return [];
+
+  const minEntropy = { base64: 4.5, hex: 3.5, ...options.minEntropy };
+  const allowlist = (options.allowlist || []).map(entry => entry instanceof RegExp ? entry : new RegExp(escapeRegExp(entry)));
+  const findings = [];
+  const reported = new Set();
+
+  const report = (lineNumber, column, value, finding) => {
+    const key = `${lineNumber}:${value}`;
+    if (reported.has(key) || allowlist.some(pattern => pattern.test(value))) return;
+    reported.add(key);
+    findings.push({ ...finding, file: filePath, line: lineNumber, column, evidence: redact(value) });
+  };
+
+  String(content).split('\n').forEach((line, index) => {
+    if (ALLOW_MARKER.test(line)) return;
+    const lineNumber = index + 1;
+
+    for (const { rule, severity, message, pattern, group } of PROVIDER_PATTERNS) {
+      for (const match of line.matchAll(pattern)) {
+        const value = group ? match[group] : match[0];
+        if (PLACEHOLDER_PATTERN.test(value)) continue;
+        report(lineNumber, match.index + 1, value, { rule, severity, message });
+      }
+    }
+
+    for (const match of line.matchAll(SECRET_ASSIGNMENT_PATTERN)) {
+      const [, name, value] = match;
+      if (PLACEHOLDER_PATTERN.test(value) || isLikelyReference(value)) continue;
+      const entropy = shannonEntropy(value);
+      report(lineNumber, match.index + 1, value, {
+        rule: 'hardcoded-credential',
+        severity: entropy >= 3.5 ? HIGH : MEDIUM,
+        message: `Hardcoded value assigned to "${name}" (entropy ${entropy.toFixed(2)})`
+      });
+    }
+
+    for (const match of line.matchAll(STRING_LITERAL_PATTERN)) {
+      const value = match[1];
+      if (PLACEHOLDER_PATTERN.test(value) || isLikelyReference(value)) continue;
+      const isHex = /^[0-9a-f]+$/i.test(value);
+      const entropy = shannonEntropy(value);
+      if (entropy >= (isHex ? minEntropy.hex : minEntropy.base64) && /\d/.test(value) && /[A-Za-z]/.test(value)) {
+        report(lineNumber, match.index + 1, value, {
+          rule: 'high-entropy-string',
+          severity: MEDIUM,
+          message: `High-entropy ${isHex ? 'hex' : 'base64'} string (entropy ${entropy.toFixed(2)}) may be a secret`
+        });
+      }
+    }
+  });
+
+  return findings;
+}
+
+export const secretsGate = {
+  id: 'secrets',
+  name: 'Secret Detection',
+  description: 'Provider token formats, private keys and high-entropy credentials in changed files',
+  failOn: HIGH,
+  remediation: 'Remove secrets from the code and rotate the exposed credentials',
+  appliesTo: input => collectSourceFiles(input).length > 0,
+  async run(input, options = {}) {
+    const files = collectSourceFiles(input);
+    const findings = files.flatMap(file => scanForSecrets(file.content, file.path, options));
+
+    return {
+      findings,
+      result: { filesScanned: files.length, filesWithSecrets: new Set(findings.map(f => f.file)).size },
+      message: findings.length === 0
+        ? `No secrets found in ${files.length} files`
+        : `${findings.length} potential secrets found`
+    };
+  }
+};
+
+// Identifiers, paths and module names are not secrets
+function isLikelyReference(value) {
+  return /^[a-z]+(?:[._-][a-z]+)+$/i.test(value)
+    || /^[A-Z][A-Z0-9_]+$/.test(value)
+    || /^(?:\.{0,2}\/|https?:\/\/|sha\d+-)/.test(value);
+}
+
+function redact(value) {
+  return value.length <= 8 ? '*'.repeat(value.length) : `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 4, 12))}`;
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default secretsGate;
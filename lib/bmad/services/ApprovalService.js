@@ -0,0 +1,170 @@
+/**
+ * Approval Service
+ * Human sign-off on what a step produced. A gated step pauses the workflow with an
+ * elicitation card showing the artifact; the reviewer approves, requests changes or rejects.
+ *
+ * Gates are declared per step in workflow YAML (`approval: true | false | { instructions }`)
+ * or for every artifact-producing step by the team (teamConfig.constraints.requiresApproval).
+ *
+ * Every request and decision is recorded in workflow.approvals. The pending round for a step
+ * lives in bmadWorkflowData.context.approvals[gateKey] so the step can pick the decision up
+ * when the workflow resumes.
+ */
+
+import logger from '../../utils/logger.js';
+import { ApprovalStatus, WorkflowStatus } from '../types.js';
+
+/** elicitationDetails.type used while a step waits for sign-off */
+export const APPROVAL_ELICITATION_TYPE = 'step_approval';
+
+const PREVIEW_LENGTH = 4000;
+const APPROVE_ANSWERS = ['1', 'approve', 'approved', 'yes', 'y', 'ok', 'lgtm'];
+const REJECT_ANSWERS = ['3', 'reject', 'rejected'];
+
+/**
+ * Read a reviewer's answer: "approve", "reject", "request changes: <comments>",
+ * or { action, comments } from the approvals API. Any other text is treated as requested changes.
+ * @returns {{status: string, comments: string}}
+ */
+export function parseApprovalResponse(response) {
+  const { action, comments } = typeof response === 'object' && response !== null
+    ? { action: response.action, comments: response.comments }
+    : { action: response, comments: null };
+
+  const answer = String(action || '').trim();
+  const keyword = answer.toLowerCase();
+
+  if (APPROVE_ANSWERS.includes(keyword)) {
+    return { status: ApprovalStatus.APPROVED, comments: comments?.trim() || '' };
+  }
+  if (REJECT_ANSWERS.includes(keyword)) {
+    return { status: ApprovalStatus.REJECTED, comments: comments?.trim() || '' };
+  }
+
+  const feedback = comments ?? answer.replace(/^(?:2|request[ _-]changes|changes)\s*[:\-–]?\s*/i, '');
+  return { status: ApprovalStatus.CHANGES_REQUESTED, comments: String(feedback).trim() };
+}
+
+export class ApprovalService {
+  constructor(dependencies = {}) {
+    this.lifecycleManager = dependencies.lifecycleManager;
+    this.userInteractionService = dependencies.userInteractionService;
+  }
+
+  /**
+   * Approval settings for a step, or null when it runs without sign-off
+   * Step YAML wins over the team policy, so `approval: false` opts a step out.
+   */
+  getStepApproval(step, workflow) {
+    if (step.approval === false) {
+      return null;
+    }
+    if (step.approval) {
+      return step.approval === true ? {} : step.approval;
+    }
+    return workflow.approvalPolicy?.requiresApproval && step.creates ? {} : null;
+  }
+
+  /**
+   * Record a pending approval for the step's output and pause with an approve / request-changes / reject card
+   * @param {Object} params - { workflow, step, gateKey, agent, content, config }
+   * @returns {Promise<Object>} the approval record
+   */
+  async requestApproval({ workflow, step, gateKey, agent, content, config = {} }) {
+    const previous = this.getState(workflow, gateKey);
+    const round = (previous?.round || 0) + 1;
+    const agentId = agent?.id || step.agent;
+    const artifactName = step.creates || step.step || gateKey;
+
+    const record = {
+      approvalId: `approval_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      stepKey: gateKey,
+      stepName: step.step || null,
+      agentId,
+      artifactName,
+      round,
+      status: ApprovalStatus.PENDING,
+      requestedAt: new Date()
+    };
+    workflow.approvals = [...(workflow.approvals || []), record];
+    this.setState(workflow, gateKey, { approvalId: record.approvalId, status: ApprovalStatus.PENDING, round, content });
+
+    if (round > 1) {
+      await this.userInteractionService?.presentRevisedWork(workflow.workflowId, agent || {}, step, { content });
+    }
+
+    await this.lifecycleManager.saveWorkflow(workflow);
+    await this.lifecycleManager.pauseWorkflow(workflow.workflowId, {
+      type: APPROVAL_ELICITATION_TYPE,
+      sectionTitle: `Review ${artifactName}${round > 1 ? ` (revision ${round - 1})` : ''}`,
+      sectionId: `approval:${gateKey}`,
+      agentId,
+      instruction: this.buildInstruction(artifactName, content, config),
+      options: ['approve', 'request changes', 'reject']
+    });
+    workflow.status = WorkflowStatus.PAUSED_FOR_ELICITATION;
+
+    logger.info(`⏸️ [APPROVAL] ${workflow.workflowId} waiting for sign-off on ${artifactName} (round ${round})`);
+    return record;
+  }
+
+  /**
+   * Record the reviewer's decision on the pending approval
+   * @returns {{gateKey: string, status: string, comments: string, record: Object|null}}
+   */
+  resolveApproval(workflow, response, reviewerId = null) {
+    const gateKey = workflow.elicitationDetails?.sectionId?.replace('approval:', '');
+    const state = this.getState(workflow, gateKey);
+    const { status, comments } = parseApprovalResponse(response);
+
+    const record = (workflow.approvals || []).find(approval => approval.approvalId === state?.approvalId) || null;
+    if (record) {
+      record.status = status;
+      record.comments = comments || null;
+      record.reviewedBy = reviewerId || null;
+      record.reviewedAt = new Date();
+    }
+    if (state) {
+      this.setState(workflow, gateKey, { ...state, status, comments });
+    }
+    workflow.elicitationDetails = null;
+
+    logger.info(`📝 [APPROVAL] ${workflow.workflowId} ${gateKey}: ${status}${reviewerId ? ` by ${reviewerId}` : ''}`);
+    return { gateKey, status, comments, record };
+  }
+
+  getState(workflow, gateKey) {
+    return workflow.bmadWorkflowData?.context?.approvals?.[gateKey] || null;
+  }
+
+  setState(workflow, gateKey, state) {
+    const context = workflow.bmadWorkflowData.context || {};
+    const approvals = { ...context.approvals };
+    if (state) {
+      approvals[gateKey] = state;
+    } else {
+      delete approvals[gateKey];
+    }
+    workflow.bmadWorkflowData.context = { ...context, approvals };
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  buildInstruction(artifactName, content, config) {
+    const text = String(content || '');
+    const preview = text.length > PREVIEW_LENGTH
+      ? `${text.slice(0, PREVIEW_LENGTH)}\n\n_…truncated, see the ${artifactName} artifact for the full text_`
+      : text;
+
+    return [
+      `Please review **${artifactName}** before the workflow continues.`,
+      config.instructions || null,
+      '---',
+      preview,
+      '---',
+      'Reply "approve" to continue, "request changes: <your comments>" to send it back for revision, or "reject" to stop the workflow.'
+    ].filter(Boolean).join('\n\n');
+  }
+}
+
+export default ApprovalService;
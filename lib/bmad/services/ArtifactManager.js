@@ -1,13 +1,19 @@
 /**
  * Artifact Management Service
  * Handles artifact creation, storage, and repository integration
+ * Every save appends an immutable ArtifactVersion (author, step, reason), so earlier
+ * revisions can be listed, diffed and restored.
  */
 
+import { createHash } from 'crypto';
 import logger from '../../utils/logger.js';
+import { diffText, unifiedDiff } from '../../utils/textDiff.js';
+import { integrationEventBus, LifecycleEvent } from '../../integrations/IntegrationEventBus.js';
 
 class ArtifactManager {
-  constructor(gitService) {
+  constructor(gitService, eventBus = integrationEventBus) {
     this.gitService = gitService;
+    this.eventBus = eventBus;
     this.repositoryContext = null; // For compatibility with GitHubArtifactManager
   }
 
@@ -44,8 +50,9 @@ class ArtifactManager {
 
   /**
    * Save approved artifact with metadata
+   * @param {Object} [options] - { stepName, reason } recorded on the new version
    */
-  async saveArtifact(artifactName, aiResponse, workflow, agent) {
+  async saveArtifact(artifactName, aiResponse, workflow, agent, options = {}) {
     const artifactData = {
       name: artifactName,
       content: aiResponse.content,
@@ -72,7 +79,18 @@ class ArtifactManager {
     if (!workflow.context.artifacts) {
       workflow.context.artifacts = new Map();
     }
+    const previous = workflow.context.artifacts.get(artifactName);
     workflow.context.artifacts.set(artifactName, artifactData);
+
+    const version = await this.recordVersionSafely(workflow.workflowId, artifactName, aiResponse.content, {
+      author: { type: 'agent', id: agent.id || agent.role, name: agent.name || agent.role },
+      step: workflow.bmadWorkflowData.currentStep,
+      stepName: options.stepName,
+      reason: options.reason || (previous ? 'revised' : 'created'),
+      provider: aiResponse.provider,
+      model: aiResponse.model
+    }, previous);
+    artifactData.metadata.version = version?.version ?? null;
     
     // Save to user's repository if available
     if (workflow.context?.githubContext?.gitService) {
@@ -89,6 +107,15 @@ class ArtifactManager {
       artifactData.metadata.savedToRepository = false;
     }
 
+    await this.eventBus?.emit(LifecycleEvent.ARTIFACT_CREATED, workflow, {
+      artifactName,
+      agentId: agent.id || agent.role || agent.name,
+      step: workflow.bmadWorkflowData.currentStep,
+      version: artifactData.metadata.version,
+      revised: Boolean(previous),
+      length: aiResponse.content?.length || 0
+    });
+
     return artifactData;
   }
 
@@ -155,8 +182,9 @@ class ArtifactManager {
 
   /**
    * Update artifact content
+   * @param {Object} [options] - { author: { type, id, name }, reason, restoredFrom } for the new version
    */
-  async updateArtifact(workflowId, artifactName, newContent, lifecycleManager) {
+  async updateArtifact(workflowId, artifactName, newContent, lifecycleManager, options = {}) {
     const workflow = await lifecycleManager.loadWorkflow(workflowId);
     if (!workflow) {
       throw new Error(`Workflow ${workflowId} not found`);
@@ -167,8 +195,17 @@ class ArtifactManager {
     }
 
     const artifact = workflow.context.artifacts.get(artifactName);
+    await this.ensureBaseline(workflowId, artifactName, artifact);
+
+    const version = await this.recordVersion(workflowId, artifactName, newContent, {
+      author: options.author || { type: 'user' },
+      step: workflow.bmadWorkflowData?.currentStep,
+      reason: options.reason || 'edited',
+      restoredFrom: options.restoredFrom
+    });
+
     artifact.content = newContent;
-    artifact.metadata.updatedAt = new Date();
+    artifact.metadata = { ...artifact.metadata, updatedAt: new Date(), version: version.version };
     
     workflow.context.artifacts.set(artifactName, artifact);
     await lifecycleManager.saveWorkflow(workflow);
@@ -186,6 +223,103 @@ class ArtifactManager {
     return artifact;
   }
 
+  // ===== VERSIONS =====
+
+  /**
+   * Append an immutable version of an artifact
+   * @param {Object} details - { author: { type, id, name }, step, stepName, reason, restoredFrom, provider, model }
+   * @returns {Promise<Object>} ArtifactVersion
+   */
+  async recordVersion(workflowId, artifactName, content, details = {}) {
+    const ArtifactVersion = await loadVersionModel();
+    const text = String(content ?? '');
+
+    // Two saves racing for the same number: the unique index rejects one, which retries once
+    for (let attempt = 0; ; attempt++) {
+      const latest = await ArtifactVersion.findLatest(workflowId, artifactName).select('version').lean();
+      try {
+        return await ArtifactVersion.create({
+          workflowId,
+          artifactName,
+          version: (latest?.version || 0) + 1,
+          content: text,
+          contentHash: createHash('sha256').update(text).digest('hex'),
+          size: Buffer.byteLength(text, 'utf8'),
+          author: details.author || { type: 'system' },
+          step: details.step ?? null,
+          stepName: details.stepName || null,
+          reason: details.reason || null,
+          restoredFrom: details.restoredFrom ?? null,
+          provider: details.provider,
+          model: details.model
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt > 0) throw error;
+      }
+    }
+  }
+
+  /**
+   * Versions of an artifact, newest first, without content
+   */
+  async listVersions(workflowId, artifactName) {
+    const ArtifactVersion = await loadVersionModel();
+    return await ArtifactVersion.findVersions(workflowId, artifactName).lean();
+  }
+
+  /**
+   * One version with its content, or null
+   */
+  async getVersion(workflowId, artifactName, version) {
+    const ArtifactVersion = await loadVersionModel();
+    return await ArtifactVersion.findOne({ workflowId, artifactName, version: Number(version) }).lean();
+  }
+
+  /**
+   * Side-by-side rows, stats and a unified patch between two versions
+   * @returns {Promise<Object|null>} null when either version does not exist
+   */
+  async diffVersions(workflowId, artifactName, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(workflowId, artifactName, fromVersion),
+      this.getVersion(workflowId, artifactName, toVersion)
+    ]);
+    if (!from || !to) {
+      return null;
+    }
+
+    const { rows, stats } = diffText(from.content, to.content);
+    return {
+      artifactName,
+      from: describeVersion(from),
+      to: describeVersion(to),
+      rows,
+      stats,
+      patch: unifiedDiff(from.content, to.content, {
+        fromLabel: `${artifactName}@v${from.version}`,
+        toLabel: `${artifactName}@v${to.version}`
+      })
+    };
+  }
+
+  /**
+   * Make an earlier version current again - recorded as a new version, history is kept
+   */
+  async restoreVersion(workflowId, artifactName, version, lifecycleManager, author = { type: 'user' }) {
+    const target = await this.getVersion(workflowId, artifactName, version);
+    if (!target) {
+      throw new Error(`Version ${version} of ${artifactName} not found`);
+    }
+
+    const artifact = await this.updateArtifact(workflowId, artifactName, target.content, lifecycleManager, {
+      author,
+      reason: `restored v${target.version}`,
+      restoredFrom: target.version
+    });
+    logger.info(`⏪ Restored ${artifactName} to v${target.version} in workflow ${workflowId}`);
+    return artifact;
+  }
+
   /**
    * Delete artifact
    */
@@ -231,6 +365,52 @@ class ArtifactManager {
       averageSize: artifacts.size > 0 ? Math.round(totalSize / artifacts.size) : 0
     };
   }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  /**
+   * Artifacts saved before versioning existed get their current content recorded as v1
+   */
+  async ensureBaseline(workflowId, artifactName, artifact) {
+    if (!artifact) return;
+    const ArtifactVersion = await loadVersionModel();
+    const latest = await ArtifactVersion.findLatest(workflowId, artifactName).select('version').lean();
+    if (latest) return;
+
+    await this.recordVersion(workflowId, artifactName, artifact.content, {
+      author: { type: 'agent', name: artifact.metadata?.agent },
+      step: artifact.metadata?.step,
+      reason: 'baseline'
+    });
+  }
+
+  /**
+   * Versioning during agent steps must not fail the step
+   */
+  async recordVersionSafely(workflowId, artifactName, content, details, previous) {
+    try {
+      await this.ensureBaseline(workflowId, artifactName, previous);
+      return await this.recordVersion(workflowId, artifactName, content, details);
+    } catch (error) {
+      logger.warn(`⚠️ Could not record a version of ${artifactName}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+async function loadVersionModel() {
+  const { default: ArtifactVersion } = await import('../../database/models/ArtifactVersion.js');
+  return ArtifactVersion;
+}
+
+function describeVersion(version) {
+  return {
+    version: version.version,
+    author: version.author,
+    reason: version.reason,
+    stepName: version.stepName,
+    createdAt: version.createdAt
+  };
 }
 
 export default ArtifactManager;
\ No newline at end of file
@@ -0,0 +1,390 @@
+/**
+ * Checklist Run Service
+ * Executes BMAD checklists against workflow artifacts and stores each run against the workflow.
+ * Items are checked deterministically where the artifact structure answers them, the AI
+ * judges the rest, and users can override any item - the run status is the gate outcome.
+ */
+
+import logger from '../../utils/logger.js';
+import { ChecklistManager } from '../ChecklistManager.js';
+import { ChecklistItemResult, ChecklistRunStatus } from '../types.js';
+import { aiCallRecorder } from '../../ai/services/AICallRecorder.js';
+
+const JUDGED_RESULTS = [
+  ChecklistItemResult.PASS,
+  ChecklistItemResult.FAIL,
+  ChecklistItemResult.PARTIAL,
+  ChecklistItemResult.NOT_APPLICABLE
+];
+
+const RESULT_ALIASES = {
+  na: ChecklistItemResult.NOT_APPLICABLE,
+  'n/a': ChecklistItemResult.NOT_APPLICABLE,
+  'not applicable': ChecklistItemResult.NOT_APPLICABLE,
+  passed: ChecklistItemResult.PASS,
+  failed: ChecklistItemResult.FAIL
+};
+
+// Keep prompts within a reasonable context budget for large artifacts
+const MAX_ARTIFACT_CHARS = 60000;
+
+/**
+ * Checks that read the answer straight off the artifact's structure.
+ * The first rule whose pattern matches an item's text (and whose `unless` does not)
+ * evaluates it; a rule may return null to hand the item to the AI after all.
+ */
+const DETERMINISTIC_CHECKS = [
+  {
+    pattern: /acceptance criteria.*\b(defined|listed|documented|specified|present)\b/i,
+    unless: /\b(met|satisfied|fulfilled|implemented|verified)\b/i, // Whether they are met takes judgement
+    check: content => sectionListCheck(content, /acceptance criteria/i, 'Acceptance Criteria')
+  },
+  {
+    pattern: /\bfile list\b|(files?|changes).*\b(created|modified|changed)\b.*\b(listed|documented)\b/i,
+    check: content => sectionListCheck(content, /file list/i, 'File List')
+  },
+  {
+    pattern: /\b(all )?tasks?\b.*\b(complete[d]?|checked|marked)\b/i,
+    check: content => {
+      const boxes = matchingLines(content, /^\s*[-*]\s+\[( |x|X)\]/);
+      if (boxes.length === 0) return null;
+      const open = boxes.filter(line => /\[ \]/.test(line));
+      if (open.length === 0) {
+        return result(ChecklistItemResult.PASS, boxes.slice(0, 3), `All ${boxes.length} tasks are checked off`);
+      }
+      return result(
+        open.length === boxes.length ? ChecklistItemResult.FAIL : ChecklistItemResult.PARTIAL,
+        open.slice(0, 5),
+        `${open.length} of ${boxes.length} tasks are still open`
+      );
+    }
+  },
+  {
+    pattern: /\b(placeholders?|todos?|tbd)\b/i,
+    check: content => {
+      const placeholders = matchingLines(content, /\b(TODO|TBD|FIXME)\b|\{\{[^}]+\}\}|\[insert[^\]]*\]/i);
+      return placeholders.length > 0
+        ? result(ChecklistItemResult.FAIL, placeholders.slice(0, 5), 'Unresolved placeholders remain')
+        : result(ChecklistItemResult.PASS, [], 'No TODO/TBD markers or template placeholders found');
+    }
+  },
+  {
+    pattern: /\bas an?\b.*\bi want\b.*\bso that\b/i,
+    check: content => {
+      const story = content.match(/\*{0,2}as an?\*{0,2}\s[^\n]+(?:\n[^\n]+){0,2}?\s\*{0,2}so that\*{0,2}\s[^\n]+/i);
+      return story
+        ? result(ChecklistItemResult.PASS, [story[0].trim()], 'Story statement follows the user story format')
+        : result(ChecklistItemResult.FAIL, [], 'No "As a ..., I want ..., so that ..." statement found');
+    }
+  }
+];
+
+/**
+ * Evaluate an item from the artifact structure alone
+ * @returns {Object|null} { result, evidence, rationale }, or null when the item needs judgement
+ */
+export function evaluateDeterministic(item, content) {
+  const rule = DETERMINISTIC_CHECKS.find(candidate =>
+    candidate.pattern.test(item.text) && !candidate.unless?.test(item.text)
+  );
+  return rule ? rule.check(String(content)) : null;
+}
+
+/**
+ * Prompt asking the AI to judge checklist items against an artifact
+ */
+export function buildJudgementPrompt(checklist, items, content, artifactName) {
+  const artifact = content.length > MAX_ARTIFACT_CHARS
+    ? `${content.slice(0, MAX_ARTIFACT_CHARS)}\n\n[... artifact truncated ...]`
+    : content;
+  const itemLines = items.map(item =>
+    `- ${item.id} [${item.section}] ${item.text}${item.guidance ? `\n  Guidance: ${item.guidance.replace(/\s+/g, ' ')}` : ''}`
+  );
+
+  return `You are verifying the BMAD checklist "${checklist.title || checklist.name}" against the artifact "${artifactName || 'artifact'}".
+${checklist.instructions?.length ? `\nChecklist instructions:\n${checklist.instructions.join('\n\n')}\n` : ''}
+<artifact>
+${artifact}
+</artifact>
+
+Evaluate each checklist item below against the artifact only.
+- result: "pass", "fail", "partial" (partly satisfied) or "n/a" (does not apply to this artifact)
+- evidence: short quotes copied verbatim from the artifact that support the result
+- rationale: one sentence
+
+Items:
+${itemLines.join('\n')}
+
+Respond with JSON only, as an array:
+[{"id": "1.1", "result": "pass", "evidence": ["exact quote"], "rationale": "..."}]`;
+}
+
+/**
+ * Read the AI's judgements for the given items
+ * Quotes that do not appear in the artifact are dropped, and a pass the model cannot
+ * back with a single verbatim quote is downgraded to partial.
+ * @returns {Map<string, Object>} item id -> { result, evidence, rationale }
+ */
+export function parseJudgements(aiContent, items, content) {
+  const judgements = new Map();
+  const parsed = extractJsonArray(aiContent);
+  const itemIds = new Set(items.map(item => item.id));
+  const haystack = normalizeWhitespace(content);
+
+  for (const entry of parsed) {
+    const id = entry?.id != null ? String(entry.id) : null;
+    const raw = String(entry?.result || '').trim().toLowerCase();
+    const judged = RESULT_ALIASES[raw] || raw;
+    if (!itemIds.has(id) || !JUDGED_RESULTS.includes(judged)) continue;
+
+    const evidence = (Array.isArray(entry.evidence) ? entry.evidence : [entry.evidence])
+      .filter(quote => typeof quote === 'string' && quote.trim())
+      .filter(quote => haystack.includes(normalizeWhitespace(quote)));
+    const unsupported = judged === ChecklistItemResult.PASS && evidence.length === 0;
+
+    judgements.set(id, {
+      result: unsupported ? ChecklistItemResult.PARTIAL : judged,
+      evidence,
+      rationale: [entry.rationale, unsupported && 'No verifiable evidence quoted - downgraded from pass']
+        .filter(Boolean).join(' ')
+    });
+  }
+
+  return judgements;
+}
+
+/**
+ * Count item results (overrides win) and derive the run status
+ * @returns {{status: string, summary: Object}}
+ */
+export function summarizeItems(items) {
+  const summary = { total: items.length, pass: 0, fail: 0, partial: 0, notApplicable: 0, pending: 0 };
+  const keys = {
+    [ChecklistItemResult.PASS]: 'pass',
+    [ChecklistItemResult.FAIL]: 'fail',
+    [ChecklistItemResult.PARTIAL]: 'partial',
+    [ChecklistItemResult.NOT_APPLICABLE]: 'notApplicable',
+    [ChecklistItemResult.PENDING]: 'pending'
+  };
+
+  for (const item of items) {
+    summary[keys[item.override?.result || item.result] || 'pending']++;
+  }
+
+  let status = ChecklistRunStatus.PASSED;
+  if (summary.fail > 0) status = ChecklistRunStatus.FAILED;
+  else if (summary.pending > 0) status = ChecklistRunStatus.PENDING;
+  else if (summary.partial > 0) status = ChecklistRunStatus.CONCERNS;
+
+  return { status, summary };
+}
+
+/**
+ * Content of a workflow artifact, whichever shape workflow.context.artifacts was loaded in
+ * (Map, [name, data] entries, or a plain object)
+ */
+export function resolveArtifactContent(workflow, artifactName) {
+  const artifacts = workflow?.context?.artifacts;
+  if (!artifacts || !artifactName) return null;
+
+  let artifact;
+  if (artifacts instanceof Map) artifact = artifacts.get(artifactName);
+  else if (Array.isArray(artifacts)) artifact = artifacts.find(([name]) => name === artifactName)?.[1];
+  else artifact = artifacts[artifactName];
+
+  return typeof artifact === 'string' ? artifact : artifact?.content ?? null;
+}
+
+/**
+ * Whether a run lets the workflow continue - concerns pass with a warning
+ */
+export function isGatePassing(run) {
+  return [ChecklistRunStatus.PASSED, ChecklistRunStatus.CONCERNS].includes(run?.status);
+}
+
+class ChecklistRunService {
+  constructor({ checklistManager = null, aiService = null } = {}) {
+    this.checklistManager = checklistManager || new ChecklistManager();
+    this.aiService = aiService;
+  }
+
+  /**
+   * Run a checklist against an artifact and store the run against the workflow
+   * @param {Object} params
+   * @param {string} params.checklistName - e.g. 'story-dod-checklist'
+   * @param {string} params.content - Artifact content to check
+   * @param {string} [params.artifactName]
+   * @param {Object} params.workflow - Workflow document (workflowId, userId)
+   * @param {string} [params.stepId] - Workflow step this run gates
+   * @param {string} [params.trigger] - 'workflow' | 'manual'
+   * @param {string} [params.createdBy] - User ID or agent ID
+   * @param {Object} [params.aiService] - AIServiceV2-style service; defaults to the constructor's
+   * @returns {Promise<Object>} Saved ChecklistRun document
+   */
+  async runChecklist({ checklistName, content, artifactName = null, workflow, stepId = null, trigger = 'manual', createdBy = null, aiService = null }) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new Error(`Nothing to check: ${artifactName || 'the artifact'} has no content`);
+    }
+
+    const checklist = await this.checklistManager.loadChecklist(checklistName);
+    const { items, evaluatedWith } = await this.evaluateChecklist(checklist, content, {
+      artifactName,
+      aiService: aiService || this.aiService,
+      userId: workflow.userId?.toString(),
+      workflowId: workflow.workflowId
+    });
+
+    const { default: ChecklistRun } = await import('../../database/models/ChecklistRun.js');
+    const run = new ChecklistRun({
+      userId: workflow.userId,
+      workflowId: workflow.workflowId,
+      stepId,
+      trigger,
+      checklistName,
+      checklistTitle: checklist.title,
+      artifactName,
+      items,
+      evaluatedWith,
+      createdBy,
+      completedAt: new Date()
+    });
+    this.applySummary(run);
+    await run.save();
+
+    logger.info(`📋 [CHECKLIST] ${checklistName} on ${artifactName || 'artifact'} for ${workflow.workflowId}: ${run.status} (${run.summary.pass}/${run.summary.total} pass)`);
+    return run;
+  }
+
+  /**
+   * Evaluate every checklist item - deterministic checks first, one AI call for the rest
+   * Items the AI could not judge (no service, failed call, missing from its answer) stay pending.
+   * @returns {Promise<{items: Array<Object>, evaluatedWith: Object|null}>}
+   */
+  async evaluateChecklist(checklist, content, { artifactName = null, aiService = null, userId = null, workflowId = null } = {}) {
+    const items = checklist.items.map(item => {
+      const evaluation = evaluateDeterministic(item, content);
+      return {
+        itemId: item.id,
+        section: item.section,
+        text: item.text,
+        method: evaluation ? 'deterministic' : 'none',
+        result: evaluation?.result || ChecklistItemResult.PENDING,
+        evidence: evaluation?.evidence || [],
+        rationale: evaluation?.rationale || null
+      };
+    });
+
+    const judgementItems = checklist.items.filter((item, index) => items[index].method === 'none');
+    if (judgementItems.length === 0) {
+      return { items, evaluatedWith: null };
+    }
+    // A replayed workflow is answered from its recording, initialized or not
+    if (!aiService?.initialized && !(aiService && aiCallRecorder.isReplaying(workflowId))) {
+      logger.warn(`⚠️ [CHECKLIST] AI service unavailable - ${judgementItems.length} items of ${checklist.name} left for manual review`);
+      return { items, evaluatedWith: null };
+    }
+
+    try {
+      const response = await aiService.call(buildJudgementPrompt(checklist, judgementItems, content, artifactName), {
+        agent: { id: 'qa', name: 'QA' },
+        complexity: 'moderate',
+        context: { workflowId, stepType: 'checklist' },
+        userId,
+        stepType: 'checklist'
+      });
+
+      const judgements = parseJudgements(response?.content, judgementItems, content);
+      for (const evaluated of items) {
+        const judgement = judgements.get(evaluated.itemId);
+        if (judgement) Object.assign(evaluated, { method: 'ai', ...judgement });
+      }
+
+      return { items, evaluatedWith: { provider: response?.provider, model: response?.model } };
+    } catch (error) {
+      logger.error(`❌ [CHECKLIST] AI evaluation of ${checklist.name} failed: ${error.message}`);
+      return { items, evaluatedWith: null };
+    }
+  }
+
+  /**
+   * Override one item's result and re-derive the run status
+   * @throws {Error} For unknown items or results that are not pass/fail/partial/n/a
+   */
+  async overrideItem(run, itemId, { result: overrideResult, note = null, userId = null }) {
+    if (!JUDGED_RESULTS.includes(overrideResult)) {
+      throw new Error(`Invalid checklist result: ${overrideResult}. Allowed: ${JUDGED_RESULTS.join(', ')}`);
+    }
+
+    const item = run.items.find(candidate => candidate.itemId === itemId);
+    if (!item) {
+      throw new Error(`Checklist item ${itemId} not found in run ${run._id}`);
+    }
+
+    item.override = { result: overrideResult, note, overriddenBy: userId, overriddenAt: new Date() };
+    this.applySummary(run);
+    await run.save();
+
+    logger.info(`✏️ [CHECKLIST] Item ${itemId} of run ${run._id} overridden to ${overrideResult} - run is ${run.status}`);
+    return run;
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  applySummary(run) {
+    const { status, summary } = summarizeItems(run.items);
+    run.status = status;
+    run.summary = summary;
+    return run;
+  }
+}
+
+function result(itemResult, evidence, rationale) {
+  return { result: itemResult, evidence, rationale };
+}
+
+function matchingLines(content, pattern) {
+  return content.split('\n').filter(line => pattern.test(line)).map(line => line.trim());
+}
+
+// Pass when a heading matching `headingPattern` is followed by at least one list item
+function sectionListCheck(content, headingPattern, label) {
+  const lines = content.split('\n');
+  const start = lines.findIndex(line => /^#{1,6}\s/.test(line) && headingPattern.test(line));
+  if (start < 0) {
+    return result(ChecklistItemResult.FAIL, [], `No "${label}" section found`);
+  }
+
+  const level = lines[start].match(/^#+/)[0].length;
+  const body = [];
+  for (const line of lines.slice(start + 1)) {
+    const heading = line.match(/^(#{1,6})\s/);
+    if (heading && heading[1].length <= level) break;
+    body.push(line);
+  }
+
+  const entries = body.filter(line => /^\s*(?:[-*+]|\d+[.)])\s+\S/.test(line)).map(line => line.trim());
+  return entries.length > 0
+    ? result(ChecklistItemResult.PASS, [lines[start].trim(), ...entries.slice(0, 3)], `${label} lists ${entries.length} entries`)
+    : result(ChecklistItemResult.FAIL, [lines[start].trim()], `${label} section is empty`);
+}
+
+function extractJsonArray(text = '') {
+  const fenced = String(text).match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : String(text);
+  const start = candidate.indexOf('[');
+  const end = candidate.lastIndexOf(']');
+  if (start < 0 || end <= start) return [];
+
+  try {
+    const parsed = JSON.parse(candidate.slice(start, end + 1));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function normalizeWhitespace(text) {
+  return String(text).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+export default ChecklistRunService;
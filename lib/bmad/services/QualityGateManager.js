@@ -1,28 +1,89 @@
 /**
  * Quality Gate Manager
- * Implements quality gates and validation for production workflows
+ * Runs the gates in a QualityGateRegistry for a workflow step and stores the results on the workflow.
+ *
+ * Configuration is merged from the constructor options, the workflow's `qualityGates`
+ * and the `config` passed to runQualityGates (later wins):
+ *
+ *   {
+ *     failOn: 'high',                                  // Threshold for every gate without its own
+ *     gates: {
+ *       secrets: { enabled: true, failOn: 'medium', options: { allowlist: ['sk-test-fixture'] } },
+ *       documentation: { enabled: false }
+ *     }
+ *   }
  */
 
 import logger from '../../utils/logger.js';
 import CodeExecutionEngine from '../../execution/CodeExecutionEngine.js';
-import GitIntegrationService from '../../integrations/GitIntegrationService.js';
+import { QualityGateRegistry, meetsThreshold, severityRank, isSeverity } from '../quality/QualityGateRegistry.js';
+import { BUILTIN_GATES } from '../quality/gates/index.js';
+import { QualityGateSeverity } from '../types.js';
+
+// Results kept per workflow - older runs are dropped
+const MAX_STORED_RESULTS = 50;
+const MAX_STORED_FINDINGS = 100;
 
 export class QualityGateManager {
   constructor(options = {}) {
     this.options = {
       testCoverageThreshold: options.testCoverageThreshold || 80,
-      performanceThreshold: options.performanceThreshold || 30000, // 30 seconds
-      securityScanEnabled: options.securityScanEnabled !== false,
       lintingRequired: options.lintingRequired !== false,
-      codeReviewRequired: options.codeReviewRequired !== false,
+      persistResults: options.persistResults !== false,
       ...options
     };
-    
-    this.executionEngine = new CodeExecutionEngine();
+
+    this.executionEngine = options.executionEngine || new CodeExecutionEngine();
+    this.registry = options.registry || this.createDefaultRegistry();
   }
 
   /**
-   * Run all quality gates for a workflow step
+   * Registry with the execution-backed gates (linting, testing, documentation) and the built-in analyzers
+   */
+  createDefaultRegistry() {
+    const registry = new QualityGateRegistry();
+
+    registry.register({
+      id: 'linting',
+      name: 'Code Quality (Linting)',
+      description: 'Project linter run against changed files',
+      remediation: 'Fix linting errors before proceeding',
+      priority: 'high',
+      appliesTo: input => this.options.lintingRequired && input.codeChanges.length > 0,
+      run: async input => this.runLintingGate(input.codeChanges, input.workflowId, input.agentId)
+    });
+
+    registry.register({
+      id: 'testing',
+      name: 'Testing',
+      description: 'Test suite results and coverage',
+      remediation: 'Improve test coverage and fix failing tests',
+      priority: 'critical',
+      appliesTo: input => input.artifacts.some(a => a.type === 'code' || a.type === 'implementation'),
+      run: async input => this.runTestingGate(input.artifacts, input.workflowId, input.agentId)
+    });
+
+    for (const gate of BUILTIN_GATES) {
+      registry.register(gate);
+    }
+
+    registry.register({
+      id: 'documentation',
+      name: 'Documentation',
+      description: 'README and inline documentation coverage',
+      remediation: 'Improve documentation coverage',
+      priority: 'low',
+      run: async input => this.runDocumentationGate(input.artifacts, input.codeChanges)
+    });
+
+    return registry;
+  }
+
+  /**
+   * Run all enabled quality gates for a workflow step
+   * @param {Object} params - { workflowId, stepId, agentId, artifacts, codeChanges, repository,
+   *   userContext, projectPath, workflow, config }
+   * @returns {Promise<Object>} { gateId, passed, gates, summary, recommendations }
    */
   async runQualityGates(params) {
     const {
@@ -32,84 +93,125 @@ export class QualityGateManager {
       artifacts = [],
       codeChanges = [],
       repository = null,
-      userContext = null
+      userContext = null,
+      projectPath = null
     } = params;
 
     const gateId = `${workflowId}_${stepId}_${Date.now()}`;
-    const gateExecution = {
-      id: gateId,
-      workflowId,
-      stepId,
-      agentId,
-      startTime: new Date(),
-      status: 'running',
-      gates: {},
-      overallResult: null
-    };
-
-    // Quality gate results now stored in workflow database
+    const workflow = params.workflow || await this.loadWorkflow(workflowId);
+    const config = this.resolveConfig(workflow?.qualityGates, params.config);
+    const input = { workflowId, stepId, agentId, artifacts, codeChanges, repository, userContext, projectPath };
+    const gates = {};
 
     try {
       logger.info(`🚦 Starting quality gates: ${gateId}`);
 
-      // Gate 1: Code Quality (Linting)
-      if (this.options.lintingRequired && codeChanges.length > 0) {
-        gateExecution.gates.linting = await this.runLintingGate(codeChanges, workflowId, agentId);
-      }
-
-      // Gate 2: Testing
-      if (artifacts.some(a => a.type === 'code' || a.type === 'implementation')) {
-        gateExecution.gates.testing = await this.runTestingGate(artifacts, workflowId, agentId);
-      }
-
-      // Gate 3: Security Scanning
-      if (this.options.securityScanEnabled && codeChanges.length > 0) {
-        gateExecution.gates.security = await this.runSecurityGate(codeChanges, workflowId, agentId);
-      }
+      for (const gate of this.registry.list()) {
+        const gateConfig = config.gates[gate.id] || {};
+        if (gateConfig.enabled === false) continue;
+        if (gate.appliesTo && !gate.appliesTo(input)) continue;
 
-      // Gate 4: Performance Analysis
-      if (artifacts.some(a => a.type === 'code' || a.type === 'implementation')) {
-        gateExecution.gates.performance = await this.runPerformanceGate(artifacts, workflowId, agentId);
+        gates[gate.id] = await this.executeGate(gate, input, {
+          ...gateConfig,
+          failOn: gateConfig.failOn || config.failOn || gate.failOn
+        });
       }
 
-      // Gate 5: Documentation Check
-      gateExecution.gates.documentation = await this.runDocumentationGate(artifacts, codeChanges);
-
-      // Gate 6: Code Review (if repository provided)
-      if (this.options.codeReviewRequired && repository && userContext) {
-        gateExecution.gates.codeReview = await this.runCodeReviewGate(
-          repository, 
-          codeChanges, 
-          userContext,
-          workflowId
-        );
-      }
+      const overallResult = this.calculateOverallResult(gates);
+      const recommendations = this.generateRecommendations(gates);
 
-      // Calculate overall result
-      gateExecution.overallResult = this.calculateOverallResult(gateExecution.gates);
-      gateExecution.status = gateExecution.overallResult.passed ? 'passed' : 'failed';
-      gateExecution.endTime = new Date();
+      logger.info(`🚦 Quality gates completed: ${gateId} - ${overallResult.passed ? 'passed' : 'failed'}`);
 
-      logger.info(`🚦 Quality gates completed: ${gateId} - ${gateExecution.status}`);
+      await this.saveResults(workflowId, {
+        gateRunId: gateId,
+        stepId,
+        agentId,
+        passed: overallResult.passed,
+        summary: overallResult.summary,
+        gates,
+        recommendations
+      });
 
       return {
         gateId,
-        passed: gateExecution.overallResult.passed,
-        gates: gateExecution.gates,
-        summary: gateExecution.overallResult.summary,
-        recommendations: this.generateRecommendations(gateExecution.gates)
+        passed: overallResult.passed,
+        gates,
+        summary: overallResult.summary,
+        recommendations
       };
 
     } catch (error) {
-      gateExecution.status = 'error';
-      gateExecution.error = error.message;
-      gateExecution.endTime = new Date();
-
       logger.error(`❌ Quality gates failed: ${gateId} - ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Run one gate and apply its severity threshold. Gate errors fail the gate instead of the run.
+   */
+  async executeGate(gate, input, { failOn, options = {} }) {
+    const startTime = new Date();
+    const execution = { id: gate.id, name: gate.name, failOn, startTime };
+
+    try {
+      const output = await gate.run(input, options) || {};
+      const findings = output.findings || [];
+      const blocking = findings.filter(finding => meetsThreshold(finding.severity, failOn));
+
+      execution.passed = output.passed !== false && !output.error && blocking.length === 0;
+      execution.status = output.error ? 'error' : (execution.passed ? 'passed' : 'failed');
+      execution.findingCounts = this.countFindings(findings);
+      execution.blockingFindings = blocking.length;
+      // Worst first so the stored slice keeps what matters
+      execution.findings = [...findings].sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+      execution.result = output.result;
+      execution.message = output.message
+        || (blocking.length > 0 ? `${blocking.length} findings at or above ${failOn}` : `${findings.length} findings below ${failOn}`);
+      if (output.error) execution.error = output.error;
+
+    } catch (error) {
+      logger.error(`❌ [QUALITY] Gate ${gate.id} failed to execute: ${error.message}`);
+      execution.status = 'error';
+      execution.passed = false;
+      execution.error = error.message;
+      execution.findings = [];
+      execution.message = `${gate.name} failed to execute`;
+    }
+
+    execution.endTime = new Date();
+    execution.duration = execution.endTime - startTime;
+    return execution;
+  }
+
+  /**
+   * Merge quality gate configuration layers - constructor options, workflow, per-run config
+   * @returns {{ failOn: string|null, gates: Object }}
+   */
+  resolveConfig(...layers) {
+    const config = { failOn: null, gates: {} };
+
+    for (const layer of [{ failOn: this.options.failOn, gates: this.options.gates }, ...layers]) {
+      if (!layer) continue;
+      if (layer.failOn) {
+        if (!isSeverity(layer.failOn)) throw new Error(`Invalid quality gate threshold: ${layer.failOn}`);
+        config.failOn = layer.failOn;
+      }
+      for (const [gateId, gateConfig] of Object.entries(layer.gates || {})) {
+        if (gateConfig?.failOn && !isSeverity(gateConfig.failOn)) {
+          throw new Error(`Invalid threshold for quality gate ${gateId}: ${gateConfig.failOn}`);
+        }
+        const current = config.gates[gateId] || {};
+        config.gates[gateId] = {
+          ...current,
+          ...gateConfig,
+          options: { ...current.options, ...gateConfig?.options }
+        };
+      }
+    }
+
+    return config;
+  }
+
   /**
    * Gate 1: Code Quality (Linting)
    */
@@ -137,6 +239,7 @@ export class QualityGateManager {
           lintResults.push({
             file: change.path,
             issues: result.issues,
+            messages: this.findFileResult(result.issues.files, change.path)?.messages || [],
             success: result.success
           });
         }
@@ -203,22 +306,39 @@ export class QualityGateManager {
             agentId
           });
 
-          const coverage = this.extractCoverage(testResult.output);
+          const { testsRun } = testResult;
+          const coverage = testsRun.coverage?.lines ?? this.extractCoverage(testResult.output);
           const coverageThreshold = this.options.testCoverageThreshold;
 
-          gate.passed = testResult.success && coverage >= coverageThreshold;
+          gate.passed = testResult.success && testsRun.failed === 0 && coverage >= coverageThreshold;
           gate.status = gate.passed ? 'passed' : 'failed';
           gate.result = {
-            testsRun: testResult.testsRun.total,
-            testsPassed: testResult.testsRun.passed,
-            testsFailed: testResult.testsRun.failed,
+            testsRun: testsRun.total,
+            testsPassed: testsRun.passed,
+            testsFailed: testsRun.failed,
+            testsSkipped: testsRun.skipped,
             coverage,
+            coverageSummary: testsRun.coverage,
             coverageThreshold,
-            framework: testResult.framework
+            framework: testResult.framework,
+            files: testsRun.files,
+            // Keep the gate payload small - failing tests carry the useful detail
+            failures: testsRun.tests
+              .filter(test => test.status === 'failed')
+              .slice(0, 50)
+              .map(test => ({
+                name: test.fullName,
+                file: test.file,
+                message: test.failureMessages.join('\n').slice(0, 2000)
+              }))
           };
-          gate.message = gate.passed
-            ? `All tests pass with ${coverage}% coverage`
-            : `Tests failed or coverage below ${coverageThreshold}% (actual: ${coverage}%)`;
+          if (gate.passed) {
+            gate.message = `All ${testsRun.total} tests pass with ${coverage}% coverage`;
+          } else if (testsRun.failed > 0 || !testResult.success) {
+            gate.message = `${testsRun.failed} of ${testsRun.total} tests failed`;
+          } else {
+            gate.message = `Coverage below ${coverageThreshold}% (actual: ${coverage}%)`;
+          }
         } else {
           gate.passed = true; // Assume tests pass if we can't run them
           gate.status = 'passed';
@@ -239,116 +359,6 @@ export class QualityGateManager {
     return gate;
   }
 
-  /**
-   * Gate 3: Security Scanning
-   */
-  async runSecurityGate(codeChanges, workflowId, agentId) {
-    const gate = {
-      name: 'Security Scanning',
-      status: 'running',
-      startTime: new Date()
-    };
-
-    try {
-      const securityIssues = [];
-
-      // Basic security pattern matching
-      for (const change of codeChanges) {
-        const issues = this.scanForSecurityIssues(change.content, change.path);
-        if (issues.length > 0) {
-          securityIssues.push({
-            file: change.path,
-            issues
-          });
-        }
-      }
-
-      const criticalIssues = securityIssues.reduce(
-        (sum, file) => sum + file.issues.filter(i => i.severity === 'critical').length, 
-        0
-      );
-
-      gate.passed = criticalIssues === 0;
-      gate.status = gate.passed ? 'passed' : 'failed';
-      gate.result = {
-        totalFiles: codeChanges.length,
-        filesWithIssues: securityIssues.length,
-        totalIssues: securityIssues.reduce((sum, f) => sum + f.issues.length, 0),
-        criticalIssues,
-        files: securityIssues
-      };
-      gate.message = gate.passed
-        ? 'No critical security issues found'
-        : `${criticalIssues} critical security issues found`;
-
-    } catch (error) {
-      gate.status = 'error';
-      gate.passed = false;
-      gate.error = error.message;
-      gate.message = 'Security scanning failed';
-    }
-
-    gate.endTime = new Date();
-    gate.duration = gate.endTime - gate.startTime;
-    return gate;
-  }
-
-  /**
-   * Gate 4: Performance Analysis
-   */
-  async runPerformanceGate(artifacts, workflowId, agentId) {
-    const gate = {
-      name: 'Performance Analysis',
-      status: 'running',
-      startTime: new Date()
-    };
-
-    try {
-      const performanceIssues = [];
-
-      // Analyze code for performance anti-patterns
-      for (const artifact of artifacts) {
-        if (artifact.type === 'code' && artifact.content) {
-          const issues = this.analyzePerformance(artifact.content, artifact.path || artifact.name);
-          if (issues.length > 0) {
-            performanceIssues.push({
-              file: artifact.path || artifact.name,
-              issues
-            });
-          }
-        }
-      }
-
-      const highImpactIssues = performanceIssues.reduce(
-        (sum, file) => sum + file.issues.filter(i => i.impact === 'high').length,
-        0
-      );
-
-      gate.passed = highImpactIssues === 0;
-      gate.status = gate.passed ? 'passed' : 'failed';
-      gate.result = {
-        totalFiles: artifacts.filter(a => a.type === 'code').length,
-        filesWithIssues: performanceIssues.length,
-        totalIssues: performanceIssues.reduce((sum, f) => sum + f.issues.length, 0),
-        highImpactIssues,
-        files: performanceIssues
-      };
-      gate.message = gate.passed
-        ? 'No high-impact performance issues found'
-        : `${highImpactIssues} high-impact performance issues found`;
-
-    } catch (error) {
-      gate.status = 'error';
-      gate.passed = false;
-      gate.error = error.message;
-      gate.message = 'Performance analysis failed';
-    }
-
-    gate.endTime = new Date();
-    gate.duration = gate.endTime - gate.startTime;
-    return gate;
-  }
-
   /**
    * Gate 5: Documentation Check
    */
@@ -406,62 +416,6 @@ export class QualityGateManager {
     return gate;
   }
 
-  /**
-   * Gate 6: Code Review
-   */
-  async runCodeReviewGate(repository, codeChanges, userContext, workflowId) {
-    const gate = {
-      name: 'Code Review',
-      status: 'running',
-      startTime: new Date()
-    };
-
-    try {
-      // This would integrate with GitHub PR reviews
-      // For now, we'll do a basic automated review
-      const reviewIssues = [];
-
-      for (const change of codeChanges) {
-        const issues = this.performAutomatedCodeReview(change.content, change.path);
-        if (issues.length > 0) {
-          reviewIssues.push({
-            file: change.path,
-            issues
-          });
-        }
-      }
-
-      const blockerIssues = reviewIssues.reduce(
-        (sum, file) => sum + file.issues.filter(i => i.severity === 'blocker').length,
-        0
-      );
-
-      gate.passed = blockerIssues === 0;
-      gate.status = gate.passed ? 'passed' : 'failed';
-      gate.result = {
-        totalFiles: codeChanges.length,
-        filesWithIssues: reviewIssues.length,
-        totalIssues: reviewIssues.reduce((sum, f) => sum + f.issues.length, 0),
-        blockerIssues,
-        files: reviewIssues,
-        reviewType: 'automated'
-      };
-      gate.message = gate.passed
-        ? 'Automated code review passed'
-        : `${blockerIssues} blocking issues found in code review`;
-
-    } catch (error) {
-      gate.status = 'error';
-      gate.passed = false;
-      gate.error = error.message;
-      gate.message = 'Code review failed';
-    }
-
-    gate.endTime = new Date();
-    gate.duration = gate.endTime - gate.startTime;
-    return gate;
-  }
-
   // ========== HELPER METHODS ==========
 
   calculateOverallResult(gates) {
@@ -481,68 +435,78 @@ export class QualityGateManager {
     };
   }
 
+  /**
+   * One recommendation per failed gate; priority follows the worst blocking finding
+   */
   generateRecommendations(gates) {
-    const recommendations = [];
-
-    Object.values(gates).forEach(gate => {
-      if (!gate.passed) {
-        switch (gate.name) {
-          case 'Code Quality (Linting)':
-            recommendations.push({
-              gate: gate.name,
-              priority: 'high',
-              action: 'Fix linting errors before proceeding',
-              details: `${gate.result?.totalErrors} errors need to be resolved`
-            });
-            break;
-          case 'Testing':
-            recommendations.push({
-              gate: gate.name,
-              priority: 'critical',
-              action: 'Improve test coverage and fix failing tests',
-              details: gate.message
-            });
-            break;
-          case 'Security Scanning':
-            recommendations.push({
-              gate: gate.name,
-              priority: 'critical',
-              action: 'Address security vulnerabilities immediately',
-              details: `${gate.result?.criticalIssues} critical security issues found`
-            });
-            break;
-          case 'Performance Analysis':
-            recommendations.push({
-              gate: gate.name,
-              priority: 'medium',
-              action: 'Optimize performance bottlenecks',
-              details: `${gate.result?.highImpactIssues} high-impact performance issues`
-            });
-            break;
-          case 'Documentation':
-            recommendations.push({
-              gate: gate.name,
-              priority: 'low',
-              action: 'Improve documentation coverage',
-              details: gate.message
-            });
-            break;
-          case 'Code Review':
-            recommendations.push({
-              gate: gate.name,
-              priority: 'high',
-              action: 'Address code review feedback',
-              details: `${gate.result?.blockerIssues} blocking issues`
-            });
-            break;
-        }
-      }
-    });
+    const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+    const recommendations = Object.values(gates)
+      .filter(gate => !gate.passed)
+      .map(gate => {
+        const definition = this.registry.get(gate.id);
+        const blocking = gate.findings.filter(finding => meetsThreshold(finding.severity, gate.failOn));
+        const worst = blocking[0]?.severity;
+
+        return {
+          gate: gate.name,
+          gateId: gate.id,
+          priority: worst ? (worst === QualityGateSeverity.INFO ? 'low' : worst) : (definition?.priority || 'high'),
+          action: definition?.remediation || `Resolve ${gate.name} findings before proceeding`,
+          details: gate.error || gate.message,
+          findings: blocking.slice(0, 5).map(finding => `${finding.file ? `${finding.file}:${finding.line ?? '?'} ` : ''}${finding.message}`)
+        };
+      });
+
+    return recommendations.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
+  }
 
-    return recommendations.sort((a, b) => {
-      const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-      return priorityOrder[a.priority] - priorityOrder[b.priority];
-    });
+  countFindings(findings) {
+    const counts = Object.fromEntries(Object.values(QualityGateSeverity).map(severity => [severity, 0]));
+    for (const finding of findings) {
+      counts[isSeverity(finding.severity) ? finding.severity : QualityGateSeverity.INFO]++;
+    }
+    return counts;
+  }
+
+  async loadWorkflow(workflowId) {
+    if (!workflowId || !this.options.persistResults) return null;
+    try {
+      const { default: Workflow } = await import('../../database/models/Workflow.js');
+      return await Workflow.findOne({ workflowId }).select('qualityGates.failOn qualityGates.gates').lean();
+    } catch (error) {
+      logger.warn(`⚠️ [QUALITY] Could not load quality gate config for ${workflowId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Append a run to workflow.qualityGates.results, keeping the most recent MAX_STORED_RESULTS
+   */
+  async saveResults(workflowId, run) {
+    if (!workflowId || !this.options.persistResults) return;
+
+    const gates = Object.fromEntries(Object.entries(run.gates).map(([id, gate]) => [id, {
+      name: gate.name,
+      status: gate.status,
+      passed: gate.passed,
+      failOn: gate.failOn,
+      message: gate.message,
+      error: gate.error,
+      findingCounts: gate.findingCounts,
+      blockingFindings: gate.blockingFindings,
+      findings: gate.findings.slice(0, MAX_STORED_FINDINGS),
+      duration: gate.duration
+    }]));
+
+    try {
+      const { default: Workflow } = await import('../../database/models/Workflow.js');
+      await Workflow.updateOne(
+        { workflowId },
+        { $push: { 'qualityGates.results': { $each: [{ ...run, gates, ranAt: new Date() }], $slice: -MAX_STORED_RESULTS } } }
+      );
+    } catch (error) {
+      logger.warn(`⚠️ [QUALITY] Could not save quality gate results for ${workflowId}: ${error.message}`);
+    }
   }
 
   shouldLintFile(filePath) {
@@ -560,62 +524,16 @@ export class QualityGateManager {
     return paths.length > 0 ? paths[0] : null;
   }
 
+  findFileResult(files = [], filePath) {
+    return files.find(file => file.file === filePath || file.file.endsWith(`/${filePath}`));
+  }
+
   extractCoverage(testOutput) {
     // Basic coverage extraction from test output
     const coverageMatch = testOutput.match(/(\d+)%\s+coverage/i);
     return coverageMatch ? parseInt(coverageMatch[1]) : 0;
   }
 
-  scanForSecurityIssues(content, filePath) {
-    const issues = [];
-    const patterns = [
-      { pattern: /password\s*=\s*["'][^"']+["']/gi, severity: 'critical', message: 'Hardcoded password' },
-      { pattern: /api[_-]?key\s*=\s*["'][^"']+["']/gi, severity: 'critical', message: 'Hardcoded API key' },
-      { pattern: /eval\s*\(/gi, severity: 'high', message: 'Use of eval() function' },
-      { pattern: /innerHTML\s*=/gi, severity: 'medium', message: 'Potential XSS via innerHTML' },
-      { pattern: /document\.write/gi, severity: 'medium', message: 'Use of document.write' }
-    ];
-
-    patterns.forEach(({ pattern, severity, message }) => {
-      const matches = content.match(pattern);
-      if (matches) {
-        issues.push({
-          severity,
-          message,
-          occurrences: matches.length,
-          pattern: pattern.source
-        });
-      }
-    });
-
-    return issues;
-  }
-
-  analyzePerformance(content, filePath) {
-    const issues = [];
-    const patterns = [
-      { pattern: /for\s*\([^)]*\)\s*{\s*for\s*\([^)]*\)/gi, impact: 'high', message: 'Nested loops detected' },
-      { pattern: /document\.querySelector/gi, impact: 'medium', message: 'DOM queries in loops' },
-      { pattern: /new\s+Date\(\)/gi, impact: 'low', message: 'Date object creation' },
-      { pattern: /JSON\.parse\s*\(/gi, impact: 'medium', message: 'JSON parsing' },
-      { pattern: /\.forEach\s*\(/gi, impact: 'low', message: 'forEach usage (consider for...of)' }
-    ];
-
-    patterns.forEach(({ pattern, impact, message }) => {
-      const matches = content.match(pattern);
-      if (matches && matches.length > 5) { // Only flag if many occurrences
-        issues.push({
-          impact,
-          message,
-          occurrences: matches.length,
-          suggestion: 'Consider optimization'
-        });
-      }
-    });
-
-    return issues;
-  }
-
   hasInlineDocumentation(content) {
     const docPatterns = [
       /\/\*\*[\s\S]*?\*\//g, // JSDoc
@@ -625,36 +543,6 @@ export class QualityGateManager {
 
     return docPatterns.some(pattern => pattern.test(content));
   }
-
-  performAutomatedCodeReview(content, filePath) {
-    const issues = [];
-    const patterns = [
-      { pattern: /function\s+\w+\s*\([^)]*\)\s*{[^}]{500,}/gi, severity: 'major', message: 'Function too long (>500 chars)' },
-      { pattern: /console\.log/gi, severity: 'minor', message: 'Console.log statements found' },
-      { pattern: /TODO|FIXME|HACK/gi, severity: 'info', message: 'TODO/FIXME comments found' },
-      { pattern: /var\s+/gi, severity: 'minor', message: 'Use let/const instead of var' },
-      { pattern: /==(?!=)/g, severity: 'minor', message: 'Use === instead of ==' }
-    ];
-
-    patterns.forEach(({ pattern, severity, message }) => {
-      const matches = content.match(pattern);
-      if (matches) {
-        issues.push({
-          severity,
-          message,
-          occurrences: matches.length,
-          line: this.findLineNumber(content, matches[0])
-        });
-      }
-    });
-
-    return issues;
-  }
-
-  findLineNumber(content, match) {
-    const lines = content.substring(0, content.indexOf(match)).split('\n');
-    return lines.length;
-  }
 }
 
 export default QualityGateManager;
\ No newline at end of file
@@ -0,0 +1,409 @@
+/**
+ * Quality Gate Remediation Service
+ * Closes the loop between quality gates and the dev agent:
+ *
+ *   run gates -> failed lint/test/security gates become a structured fix request for `dev`
+ *   -> the returned patch is committed to the working branch (gitTools.createCommit), or to
+ *      bmad/remediation-<workflowId> when there is none - never to the default branch
+ *   -> gates re-run, up to maxAttempts -> still failing: pause with an elicitation card
+ *
+ * Loop state lives in bmadWorkflowData.context.remediation[gateKey] so the user's answer
+ * ("retry", "accept" or "stop") can pick it up when the workflow resumes.
+ */
+
+import logger from '../../utils/logger.js';
+import { WorkflowStatus } from '../types.js';
+
+/** elicitationDetails.type used when remediation gives up and asks the user */
+export const REMEDIATION_ELICITATION_TYPE = 'quality_gate_remediation';
+
+/** Gates whose failures the dev agent is asked to fix */
+export const REMEDIABLE_GATES = ['linting', 'testing', 'secrets', 'dependencies', 'ast-analysis'];
+
+export const RemediationStatus = {
+  PASSED: 'passed',
+  ESCALATED: 'escalated',
+  RETRY: 'retry',
+  ACCEPTED: 'accepted'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_FINDINGS_PER_GATE = 20;
+const FILE_PATH_PATTERN = /^(?!\/)(?!.*\.\.)[\w@.-]+(?:\/[\w@.-]+)*\.[\w]+$/;
+
+/**
+ * Files in an agent response: fenced code blocks labelled with a path, either in the
+ * info string (```js src/app.js, ```js title="src/app.js") or on the line above (File: `src/app.js`)
+ * @returns {Array<{path: string, content: string}>} last block wins per path
+ */
+export function extractCodeChanges(content) {
+  const changes = new Map();
+  const blockPattern = /```([^\n`]*)\n([\s\S]*?)```/g;
+
+  for (const match of String(content || '').matchAll(blockPattern)) {
+    const infoPath = match[1].split(/[\s:]+/)
+      .map(token => token.replace(/^(?:title|file|path)=/, '').replace(/^["'`]|["'`]$/g, ''))
+      .find(token => FILE_PATH_PATTERN.test(token));
+
+    const preceding = content.slice(0, match.index).trimEnd().split('\n').pop() || '';
+    const labelPath = ((preceding.match(/`([^`]+)`/) || preceding.match(/(?:file|path)\s*:\s*(\S+)/i) || preceding.match(/^#+\s*(\S+)\s*$/) || [])[1] || '')
+      .replace(/[*:,;)]+$/, '');
+
+    const filePath = infoPath || (FILE_PATH_PATTERN.test(labelPath) ? labelPath : null);
+    if (filePath) {
+      changes.set(filePath, { path: filePath, content: match[2] });
+    }
+  }
+
+  return [...changes.values()];
+}
+
+/**
+ * Structured fix request for the dev agent - failing gates with their findings and the files involved
+ */
+export function buildFixRequest(gateResult, codeChanges, { attempt, maxAttempts, step } = {}) {
+  const failures = failingGates(gateResult).map(gate => ({
+    gate: gate.id,
+    name: gate.name,
+    message: gate.error || gate.message,
+    findings: gateFindings(gate).slice(0, MAX_FINDINGS_PER_GATE)
+  }));
+
+  return {
+    type: 'quality_gate_fix_request',
+    step: step?.step || null,
+    attempt,
+    maxAttempts,
+    failures,
+    files: codeChanges.map(change => ({ path: change.path, content: change.content }))
+  };
+}
+
+/**
+ * Read the dev agent's patch: { summary, changes: [{ path, content }] }
+ * Paths must be relative and stay inside the repository.
+ * @returns {{summary: string, changes: Array<{path, content}>}|null}
+ */
+export function parsePatch(content) {
+  const text = String(content || '').replace(/^[\s\S]*?```(?:json)?\s*\n(?=\s*\{)/, '').replace(/\n```[\s\S]*$/, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  let patch;
+  try {
+    patch = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+
+  const changes = (Array.isArray(patch.changes) ? patch.changes : [])
+    .filter(change => FILE_PATH_PATTERN.test(change?.path || '') && typeof change.content === 'string')
+    .map(change => ({ path: change.path, content: change.content }));
+
+  return changes.length > 0 ? { summary: String(patch.summary || '').trim(), changes } : null;
+}
+
+/**
+ * Gates that block the loop - failed gates the dev agent can act on
+ */
+export function failingGates(gateResult) {
+  return Object.values(gateResult?.gates || {})
+    .filter(gate => !gate.passed && REMEDIABLE_GATES.includes(gate.id));
+}
+
+export class RemediationService {
+  constructor(dependencies = {}) {
+    this.qualityGateManager = dependencies.qualityGateManager;
+    this.aiService = dependencies.aiService;
+    this.agentLoader = dependencies.agentLoader;
+    this.lifecycleManager = dependencies.lifecycleManager;
+    this.userInteractionService = dependencies.userInteractionService;
+    this.gitTools = dependencies.gitTools || null;
+    this.maxAttempts = dependencies.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  }
+
+  /**
+   * Run quality gates on a step's code and drive fix attempts until they pass or the limit is hit
+   * @param {Object} params - { workflow, step, gateKey, codeChanges, config }
+   *   config: step-level `quality_gates` - { max_attempts, fail_on, gates }
+   * @returns {Promise<{status: string, attempts: Array<Object>, gateResult: Object}>}
+   */
+  async run({ workflow, step, gateKey, codeChanges, config = {} }) {
+    const { workflowId } = workflow;
+    const maxAttempts = config.max_attempts ?? config.maxAttempts
+      ?? workflow.qualityGates?.maxRemediationAttempts ?? this.maxAttempts;
+    const state = this.getState(workflow, gateKey) || { attempts: [] };
+    let files = codeChanges;
+    let attempt = 0;
+
+    let gateResult = await this.runGates(workflow, step, files, config);
+
+    while (failingGates(gateResult).length > 0 && attempt < maxAttempts) {
+      attempt++;
+      logger.info(`🔧 [REMEDIATION] ${workflowId} ${gateKey}: fix attempt ${attempt}/${maxAttempts} for ${failingGates(gateResult).map(gate => gate.id).join(', ')}`);
+
+      const record = await this.attemptFix(workflow, step, gateResult, files, { attempt, maxAttempts });
+      state.attempts.push(record);
+      if (!record.changes) {
+        continue;
+      }
+
+      files = mergeChanges(files, record.changes);
+      delete record.changes;
+      gateResult = await this.runGates(workflow, step, files, config);
+      record.passedAfter = failingGates(gateResult).length === 0;
+    }
+
+    const failing = failingGates(gateResult);
+    const status = failing.length === 0 ? RemediationStatus.PASSED : RemediationStatus.ESCALATED;
+    this.setState(workflow, gateKey, {
+      ...state,
+      status,
+      gateRunId: gateResult.gateId,
+      failing: failing.map(gate => gate.id),
+      codeChanges: status === RemediationStatus.PASSED ? undefined : files
+    });
+
+    if (status === RemediationStatus.PASSED) {
+      if (attempt > 0) {
+        await this.userInteractionService?.sendInfoMessage(
+          workflowId,
+          'dev',
+          `🔧 Quality gates pass after ${attempt} fix attempt${attempt === 1 ? '' : 's'}`
+        );
+      }
+      return { status, attempts: state.attempts, gateResult };
+    }
+
+    await this.escalate(workflow, step, gateKey, gateResult, attempt);
+    return { status, attempts: state.attempts, gateResult };
+  }
+
+  /**
+   * One round: ask dev for a patch and commit it to the working branch
+   * @returns {Promise<Object>} attempt record; `changes` is set when a usable patch came back
+   */
+  async attemptFix(workflow, step, gateResult, files, { attempt, maxAttempts }) {
+    const record = {
+      attempt,
+      failedGates: failingGates(gateResult).map(gate => gate.id),
+      gateRunId: gateResult.gateId,
+      at: new Date()
+    };
+
+    try {
+      const devAgent = await this.agentLoader.loadAgent('dev');
+      const fixRequest = buildFixRequest(gateResult, files, { attempt, maxAttempts, step });
+      const response = await this.aiService.call(this.buildFixPrompt(devAgent, fixRequest), {
+        agent: devAgent,
+        complexity: 'complex',
+        context: { workflowId: workflow.workflowId, stepType: 'remediation' },
+        userId: workflow.userId?.toString(),
+        stepType: 'remediation'
+      });
+
+      const patch = parsePatch(response?.content);
+      if (!patch) {
+        record.error = 'dev agent did not return a usable patch';
+        return record;
+      }
+
+      record.summary = patch.summary;
+      record.files = patch.changes.map(change => change.path);
+      record.commit = await this.commitPatch(workflow, patch, attempt);
+      record.changes = patch.changes;
+    } catch (error) {
+      logger.warn(`⚠️ [REMEDIATION] Fix attempt ${attempt} failed for ${workflow.workflowId}: ${error.message}`);
+      record.error = error.message;
+    }
+
+    return record;
+  }
+
+  /**
+   * Commit a patch to the working branch; without a connected repository it is only applied in the workflow
+   * Without a working branch one is created for the fixes (and becomes the working branch), so
+   * unreviewed agent patches never land on the default or target branch.
+   * @returns {Promise<string|null>} commit description from gitTools
+   */
+  async commitPatch(workflow, patch, attempt) {
+    const repository = resolveRepository(workflow);
+    if (!repository) {
+      logger.info(`📄 [REMEDIATION] No repository connected to ${workflow.workflowId} - patch kept in workflow only`);
+      return null;
+    }
+
+    const gitTools = this.gitTools || await import('../../ai/tools/gitTools.js');
+    const userId = workflow.userId?.toString();
+    let branch = workflow.context?.workingBranch;
+    if (!branch) {
+      branch = `bmad/remediation-${workflow.workflowId}`;
+      await gitTools.createBranch({ branchName: branch, owner: repository.owner, repo: repository.name, userId });
+      workflow.context = { ...workflow.context, workingBranch: branch };
+      logger.info(`🌿 [REMEDIATION] No working branch for ${workflow.workflowId} - committing fixes to ${branch}`);
+    }
+
+    return await gitTools.createCommit({
+      message: `fix: ${patch.summary || 'resolve quality gate failures'} (remediation attempt ${attempt})`,
+      changes: patch.changes,
+      owner: repository.owner,
+      repo: repository.name,
+      branch,
+      userId
+    });
+  }
+
+  /**
+   * Save the loop state and pause with an elicitation card listing what still fails
+   */
+  async escalate(workflow, step, gateKey, gateResult, attempts) {
+    const elicitation = {
+      type: REMEDIATION_ELICITATION_TYPE,
+      sectionTitle: 'Quality gates still failing',
+      sectionId: `remediation:${gateKey}`,
+      agentId: 'dev',
+      instruction: [
+        `Quality gates still fail for ${step.step || gateKey} after ${attempts} fix attempt${attempts === 1 ? '' : 's'}:`,
+        ...describeFailures(gateResult),
+        'Reply "retry" for another round of fixes, "accept" to continue with these failures, or "stop" to cancel the workflow.'
+      ].join('\n'),
+      options: ['retry', 'accept', 'stop']
+    };
+
+    await this.lifecycleManager.saveWorkflow(workflow);
+    await this.lifecycleManager.pauseWorkflow(workflow.workflowId, elicitation);
+    workflow.status = WorkflowStatus.PAUSED_FOR_ELICITATION;
+
+    logger.info(`⏸️ [REMEDIATION] ${workflow.workflowId} escalated at ${gateKey}: ${failingGates(gateResult).map(gate => gate.id).join(', ')}`);
+  }
+
+  /**
+   * Record the user's answer to an escalation card
+   * @returns {string} decision - 'retry' | 'accept' | 'stop'
+   */
+  resolveEscalation(workflow, elicitationResponse) {
+    const gateKey = workflow.elicitationDetails?.sectionId?.replace('remediation:', '');
+    const answer = String(elicitationResponse).trim().toLowerCase();
+    const decision = ['1', 'retry', 'again', 'fix'].includes(answer) ? 'retry'
+      : ['2', 'accept', 'continue', 'yes', 'y', 'ok'].includes(answer) ? 'accept'
+        : 'stop';
+
+    const state = this.getState(workflow, gateKey);
+    if (state && decision !== 'stop') {
+      this.setState(workflow, gateKey, {
+        ...state,
+        status: decision === 'retry' ? RemediationStatus.RETRY : RemediationStatus.ACCEPTED
+      });
+    }
+    workflow.elicitationDetails = null;
+    return decision;
+  }
+
+  getState(workflow, gateKey) {
+    return workflow.bmadWorkflowData?.context?.remediation?.[gateKey] || null;
+  }
+
+  setState(workflow, gateKey, state) {
+    const context = workflow.bmadWorkflowData.context || {};
+    const remediation = { ...context.remediation };
+    if (state) {
+      remediation[gateKey] = state;
+    } else {
+      delete remediation[gateKey];
+    }
+    workflow.bmadWorkflowData.context = { ...context, remediation };
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  async runGates(workflow, step, codeChanges, config) {
+    const projectPath = workflow.context?.projectPath || null;
+    const gates = {
+      // The linter needs a checkout to run in
+      ...(projectPath ? {} : { linting: { enabled: false } }),
+      ...config.gates
+    };
+
+    return await this.qualityGateManager.runQualityGates({
+      workflowId: workflow.workflowId,
+      stepId: step.id || step.step,
+      agentId: step.agent,
+      workflow,
+      projectPath,
+      codeChanges: codeChanges.map(change => ({ ...change, projectPath })),
+      // No path on artifacts - the testing gate should not guess a project directory from them
+      artifacts: codeChanges.map(change => ({
+        name: change.path,
+        type: /(?:^|[/.])(?:test|spec)s?[/.]/i.test(change.path) ? 'test' : 'code',
+        content: change.content
+      })),
+      config: { failOn: config.fail_on || config.failOn, gates }
+    });
+  }
+
+  buildFixPrompt(agent, fixRequest) {
+    return `You are ${agent?.agent?.name || 'the developer'} fixing code that failed automated quality gates (attempt ${fixRequest.attempt} of ${fixRequest.maxAttempts}).
+
+Fix every failure listed below with the smallest change that resolves it. Do not remove tests or disable checks to make a gate pass. Secrets must be replaced with environment variables, and vulnerable dependencies upgraded to a patched version.
+
+FIX REQUEST:
+${JSON.stringify(fixRequest, null, 2)}
+
+Respond with only a JSON object, no commentary:
+{"summary": "one line describing the fix", "changes": [{"path": "relative/file/path", "content": "complete new file content"}]}`;
+  }
+}
+
+function mergeChanges(files, changes) {
+  const merged = new Map(files.map(file => [file.path, file]));
+  for (const change of changes) {
+    merged.set(change.path, { ...merged.get(change.path), ...change });
+  }
+  return [...merged.values()];
+}
+
+function gateFindings(gate) {
+  if (gate.findings?.length > 0) {
+    return gate.findings
+      .filter(finding => finding.severity !== 'info')
+      .map(({ severity, rule, file, line, message }) => ({ severity, rule, file, line, message }));
+  }
+
+  // Execution-backed gates report through their result instead of findings
+  if (gate.id === 'testing') {
+    return (gate.result?.failures || []).map(failure => ({ rule: 'test-failure', file: failure.file, message: `${failure.name}: ${failure.message}` }));
+  }
+  if (gate.id === 'linting') {
+    return (gate.result?.files || []).flatMap(file => (file.messages || [])
+      .filter(message => message.severity === 'error')
+      .map(message => ({ rule: message.rule, file: file.file, line: message.line, message: message.message })));
+  }
+  return [];
+}
+
+function describeFailures(gateResult) {
+  return failingGates(gateResult).map(gate => {
+    const first = gateFindings(gate)[0];
+    const where = first?.file ? ` (${first.file}${first.line ? `:${first.line}` : ''} ${first.message})` : '';
+    return `- ${gate.name}: ${gate.error || gate.message}${where}`;
+  });
+}
+
+/**
+ * owner/name of the workflow's connected repository, from metadata.github or the GitHub context
+ */
+function resolveRepository(workflow) {
+  const github = workflow.metadata?.github || {};
+  const repository = workflow.context?.githubRepository || workflow.context?.githubContext?.repository || {};
+  const owner = github.owner || repository.owner;
+  const name = github.name || repository.name;
+  if (!owner || !name) return null;
+
+  return {
+    owner: typeof owner === 'object' ? owner.login : owner,
+    name
+  };
+}
+
+export default RemediationService;
@@ -0,0 +1,216 @@
+/**
+ * Story Service
+ * Keeps the story backlog in sync with the story documents agents write during workflows
+ */
+
+import logger from '../../utils/logger.js';
+import { StoryStatus } from '../types.js';
+import { jiraStorySync } from '../../integrations/JiraStorySync.js';
+
+// story.md, 1.2.story.md, docs/stories/1.2.story.md
+const STORY_ARTIFACT_PATTERN = /(^|[/.])story\.md$/i;
+
+const STATUS_ALIASES = {
+  draft: StoryStatus.DRAFT,
+  approved: StoryStatus.APPROVED,
+  ready: StoryStatus.APPROVED,
+  'in progress': StoryStatus.IN_DEVELOPMENT,
+  inprogress: StoryStatus.IN_DEVELOPMENT,
+  'in development': StoryStatus.IN_DEVELOPMENT,
+  review: StoryStatus.REVIEW,
+  'ready for review': StoryStatus.REVIEW,
+  done: StoryStatus.DONE,
+  completed: StoryStatus.DONE
+};
+
+/**
+ * Whether an artifact produced by a workflow step is a story document
+ */
+export function isStoryArtifact(artifactName) {
+  return typeof artifactName === 'string' && STORY_ARTIFACT_PATTERN.test(artifactName.trim());
+}
+
+/**
+ * Extract backlog fields from a story document (BMAD story template)
+ * @param {string} content - Story markdown
+ * @returns {Object} { epicNumber, storyNumber, title, status, description, acceptanceCriteria,
+ *   storyPoints, devAgentRecord, qaResults } - fields missing from the document are null/empty
+ */
+export function parseStoryMarkdown(content = '') {
+  const text = String(content).replace(/\r\n?/g, '\n');
+  const sections = splitSections(text, 2);
+
+  const heading = text.match(/^#\s+Story\s+(\d+)\.(\d+)\s*[:\-–]?\s*(.*)$/im) || text.match(/^#\s+(.+)$/m);
+  const [epicNumber, storyNumber, title] = heading?.length === 4
+    ? [Number(heading[1]), Number(heading[2]), heading[3].trim()]
+    : [null, null, heading?.[1].trim() || null];
+
+  const statusText = firstLine(sections.status)?.replace(/[*_`]/g, '').trim().toLowerCase();
+  const pointsMatch = text.match(/story\s*points?\**\s*[:|-]\s*\**\s*(\d+(?:\.\d+)?)/i);
+
+  const devSections = splitSections(sections['dev agent record'] || '', 3);
+  const hasDevRecord = Object.values(devSections).some(value => value.trim());
+  const qaText = (sections['qa results'] || '').trim();
+  const gate = qaText.match(/gate(?:\s*status)?\**\s*:\s*\**\s*(PASS|CONCERNS|FAIL|WAIVED)/i);
+
+  return {
+    epicNumber,
+    storyNumber,
+    title,
+    status: STATUS_ALIASES[statusText] || null,
+    description: (sections.story || '').replace(/\*\*/g, '').replace(/\s*\n\s*/g, ' ').trim(),
+    acceptanceCriteria: listItems(sections['acceptance criteria']),
+    storyPoints: pointsMatch ? Number(pointsMatch[1]) : null,
+    devAgentRecord: hasDevRecord
+      ? {
+        agentModel: firstLine(devSections['agent model used']) || null,
+        debugLog: listItems(devSections['debug log references']),
+        completionNotes: listItems(devSections['completion notes list'] || devSections['completion notes']),
+        fileList: listItems(devSections['file list'])
+      }
+      : null,
+    qaResults: qaText
+      ? { gate: gate ? gate[1].toUpperCase() : null, notes: qaText }
+      : null
+  };
+}
+
+class StoryService {
+  constructor({ jiraSync = jiraStorySync } = {}) {
+    this.jiraSync = jiraSync;
+  }
+
+  /**
+   * Create or update the backlog story for a story artifact saved by a workflow step
+   * Stories are matched by workflow and "{epic}.{story}" number, so revising a draft
+   * updates it instead of adding a duplicate. Stories are then mirrored to Jira for users who
+   * sync them there. Never throws - the workflow keeps going.
+   * @returns {Promise<Object|null>} Story document, or null when nothing was synced
+   */
+  async syncFromArtifact(artifactName, aiResponse, workflow, agent) {
+    if (!isStoryArtifact(artifactName) || !aiResponse?.content) {
+      return null;
+    }
+
+    const userId = workflow?.userId;
+    if (!userId) {
+      logger.warn(`⚠️ [STORIES] Skipping ${artifactName} for workflow ${workflow?.workflowId}: no user`);
+      return null;
+    }
+
+    try {
+      const { default: Story } = await import('../../database/models/Story.js');
+      const parsed = parseStoryMarkdown(aiResponse.content);
+      const agentId = agent?.id || agent?.name || 'sm';
+
+      let story = parsed.epicNumber != null
+        ? await Story.findOne({
+          workflowId: workflow.workflowId,
+          epicNumber: parsed.epicNumber,
+          storyNumber: parsed.storyNumber
+        })
+        : null;
+      const isNew = !story;
+
+      if (isNew) {
+        const status = parsed.status || StoryStatus.DRAFT;
+        story = new Story({
+          userId,
+          workflowId: workflow.workflowId,
+          status,
+          statusHistory: [{ from: null, to: status, changedBy: agentId, note: `Drafted in ${artifactName}` }],
+          source: 'workflow',
+          artifactName,
+          createdBy: agentId
+        });
+      }
+
+      this.applyParsedStory(story, parsed, {
+        content: aiResponse.content,
+        agentId,
+        model: aiResponse.model
+      });
+
+      if (!isNew && parsed.status && parsed.status !== story.status) {
+        if (story.canTransitionTo(parsed.status)) {
+          story.transitionTo(parsed.status, { changedBy: agentId, note: `Updated in ${artifactName}` });
+        } else {
+          logger.warn(`⚠️ [STORIES] Ignoring status ${parsed.status} for story ${story.storyKey}: not reachable from ${story.status}`);
+        }
+      }
+
+      await story.save();
+      logger.info(`📝 [STORIES] ${isNew ? 'Created' : 'Updated'} story ${story.storyKey || story._id} from ${artifactName}`);
+
+      await this.jiraSync?.syncStory(story);
+      return story;
+    } catch (error) {
+      logger.error(`❌ [STORIES] Failed to sync ${artifactName}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  applyParsedStory(story, parsed, { content, agentId, model }) {
+    story.content = content;
+    story.title = parsed.title || story.title || 'Untitled story';
+    if (parsed.epicNumber != null) {
+      story.epicNumber = parsed.epicNumber;
+      story.storyNumber = parsed.storyNumber;
+      story.epicName = story.epicName || `Epic ${parsed.epicNumber}`;
+    }
+    if (parsed.description) story.description = parsed.description;
+    if (parsed.acceptanceCriteria.length > 0) story.acceptanceCriteria = parsed.acceptanceCriteria;
+    if (parsed.storyPoints != null) story.storyPoints = parsed.storyPoints;
+
+    // Agent records are attributed to the dev/QA agent when that agent wrote them
+    if (parsed.devAgentRecord) {
+      const isDev = agentId === 'dev';
+      story.devAgentRecord = {
+        ...parsed.devAgentRecord,
+        agent: isDev ? agentId : story.devAgentRecord?.agent,
+        agentModel: parsed.devAgentRecord.agentModel || (isDev ? model : story.devAgentRecord?.agentModel),
+        updatedAt: new Date()
+      };
+    }
+    if (parsed.qaResults) {
+      story.qaResults = {
+        ...parsed.qaResults,
+        agent: agentId === 'qa' ? agentId : story.qaResults?.agent,
+        reviewedAt: new Date()
+      };
+    }
+  }
+}
+
+// Markdown sections keyed by lower-cased heading text at the given level
+function splitSections(text, level) {
+  const sections = {};
+  const marker = '#'.repeat(level);
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading && heading[1].length <= level) {
+      current = heading[1] === marker ? heading[2].toLowerCase() : null;
+      if (current) sections[current] = '';
+      continue;
+    }
+    if (current) sections[current] += `${line}\n`;
+  }
+
+  return sections;
+}
+
+function listItems(text = '') {
+  return text.split('\n')
+    .map(line => line.match(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s*)?(.*)$/)?.[1].trim())
+    .filter(Boolean);
+}
+
+function firstLine(text = '') {
+  return text.split('\n').map(line => line.trim()).find(Boolean);
+}
+
+export default StoryService;
@@ -5,12 +5,19 @@
 
 import logger from '../../utils/logger.js';
 import { WorkflowStatus } from '../types.js';
+import { WorkflowId } from '../../utils/workflowId.js';
+import { BudgetManager, BudgetStatus } from '../../ai/services/BudgetManager.js';
+import { integrationEventBus, LifecycleEvent } from '../../integrations/IntegrationEventBus.js';
 
 class WorkflowExecutor {
-  constructor(stepExecutor, lifecycleManager, userInteractionService) {
+  constructor(stepExecutor, lifecycleManager, userInteractionService, pusherService = null, budgetManager = null, checkpointManager = null, eventBus = integrationEventBus) {
     this.stepExecutor = stepExecutor;
     this.lifecycleManager = lifecycleManager;
     this.userInteractionService = userInteractionService;
+    this.pusherService = pusherService;
+    this.budgetManager = budgetManager;
+    this.checkpointManager = checkpointManager;
+    this.eventBus = eventBus;
   }
 
   /**
@@ -41,32 +48,54 @@ class WorkflowExecutor {
       const stepIndex = workflow.bmadWorkflowData.currentStep;
       const step = sequence[stepIndex];
 
+      if (await this.enforceBudget(workflowId, workflow)) {
+        logger.info(`⏸️ Workflow paused by budget before step ${stepIndex + 1}`);
+        break;
+      }
+
+      // Every step can be forked from: snapshot what it starts with
+      await this.checkpointManager?.createBeforeStep(workflow, step);
+
       logger.info(`🎯 Executing step ${stepIndex + 1}/${sequence.length}: ${step.step || 'unnamed'}`);
 
       try {
-        const stepResult = await this.stepExecutor.executeStep(workflowId, step, workflow);
-        
+        const unmet = this.unmetDependencies(workflow, step, stepIndex);
+        if (unmet.length > 0) {
+          const error = `depends on ${unmet.map(name => `'${name}'`).join(', ')} which did not complete`;
+          await this.lifecycleManager.failWorkflow(workflow, { step: stepIndex, error });
+          throw new Error(`Step ${stepIndex + 1} failed: ${error}`);
+        }
+
+        const stepResult = step.type === 'parallel'
+          ? await this.executeParallelStep(workflowId, step, workflow)
+          : await this.stepExecutor.executeStep(workflowId, step, workflow);
+
         if (stepResult.status === 'waiting_for_user') {
           logger.info(`⏸️ Workflow paused waiting for user input at step ${stepIndex + 1}`);
           break;
         }
 
         if (stepResult.status === 'error') {
-          workflow.status = WorkflowStatus.ERROR;
-          workflow.errors = workflow.errors || [];
-          workflow.errors.push({
+          await this.lifecycleManager.failWorkflow(workflow, {
             step: stepIndex,
-            error: stepResult.error,
-            timestamp: new Date()
+            error: stepResult.error
           });
-          await this.lifecycleManager.saveWorkflow(workflow);
           throw new Error(`Step ${stepIndex + 1} failed: ${stepResult.error}`);
         }
 
         // Move to next step
+        this.markStepCompleted(workflow, stepIndex);
         workflow.bmadWorkflowData.currentStep++;
         await this.lifecycleManager.saveWorkflow(workflow);
 
+        await this.eventBus?.emit(LifecycleEvent.STEP_COMPLETED, workflow, {
+          stepIndex,
+          stepName: step.step || null,
+          agentId: step.agent || null,
+          artifactName: step.creates || null,
+          ...(step.type === 'parallel' && { artifacts: step.produces || [] })
+        });
+
       } catch (error) {
         logger.error(`❌ Step ${stepIndex + 1} execution failed: ${error.message}`);
         throw error;
@@ -82,12 +111,234 @@ class WorkflowExecutor {
     return workflow;
   }
 
+  /**
+   * Check spend caps before the next step
+   * Hard caps pause the run until the budget is raised; a soft cap pauses with an
+   * elicitation asking whether to continue, once per scope.
+   * @returns {Promise<boolean>} true when the workflow was paused
+   */
+  async enforceBudget(workflowId, workflow) {
+    if (!this.budgetManager) {
+      return false;
+    }
+
+    let budget;
+    try {
+      budget = await this.budgetManager.getBudgetStatus({ userId: workflow.userId, workflowId });
+    } catch (error) {
+      logger.warn(`⚠️ [BUDGET] Could not evaluate budget for ${workflowId}: ${error.message}`);
+      return false;
+    }
+
+    // Caps may have been raised (or a soft cap acknowledged) since this run loaded the workflow
+    if (budget.workflowBudget) {
+      workflow.budget = budget.workflowBudget;
+    }
+
+    const hardScope = budget.scopes.find(scope => scope.status === BudgetStatus.HARD);
+    if (hardScope) {
+      await this.lifecycleManager.pauseWorkflow(workflowId);
+      workflow.status = WorkflowStatus.PAUSED;
+      await this.userInteractionService?.sendErrorMessage(
+        workflowId,
+        new Error(`${BudgetManager.describe(hardScope)}. Raise the budget and resume the workflow to continue.`),
+        { budget: { status: budget.status, remaining: budget.remaining } }
+      );
+      return true;
+    }
+
+    const acknowledged = workflow.budget?.acknowledged || [];
+    const softScope = budget.scopes.find(scope =>
+      scope.status === BudgetStatus.SOFT && !acknowledged.includes(scope.scope)
+    );
+    if (softScope) {
+      await this.lifecycleManager.pauseWorkflow(workflowId, BudgetManager.softCapElicitation(softScope));
+      workflow.status = WorkflowStatus.PAUSED_FOR_ELICITATION;
+      return true;
+    }
+
+    return false;
+  }
+
   /**
    * Execute a single workflow step
    */
   async executeStep(workflowId, step, workflow) {
     return await this.stepExecutor.executeStep(workflowId, step, workflow);
   }
+
+  /**
+   * Names in a step's `depends_on` that no completed earlier step answers to
+   * Steps skipped by routing or jumps never complete, so steps depending on them cannot run.
+   */
+  unmetDependencies(workflow, step, stepIndex) {
+    if (!step.dependsOn?.length) {
+      return [];
+    }
+
+    const sequence = workflow.bmadWorkflowData.sequence;
+    const completed = this.getCompletedSteps(workflow, stepIndex);
+    const satisfied = new Set(completed
+      .filter(index => index < stepIndex && sequence[index])
+      .flatMap(index => this.stepLabels(sequence[index])));
+
+    return step.dependsOn.filter(dependency => !satisfied.has(dependency));
+  }
+
+  /**
+   * Indexes of the top-level steps that completed, kept in bmadWorkflowData.context
+   */
+  getCompletedSteps(workflow, stepIndex) {
+    workflow.bmadWorkflowData.context = workflow.bmadWorkflowData.context || {};
+    const context = workflow.bmadWorkflowData.context;
+    // Runs started before steps were recorded completed everything before their current step
+    context.completedSteps = context.completedSteps || [...Array(stepIndex).keys()];
+    return context.completedSteps;
+  }
+
+  markStepCompleted(workflow, stepIndex) {
+    const completed = this.getCompletedSteps(workflow, stepIndex);
+    if (!completed.includes(stepIndex)) {
+      completed.push(stepIndex);
+    }
+  }
+
+  /**
+   * Names a step can be referenced by in `depends_on` (as WorkflowValidator resolves them)
+   */
+  stepLabels(step) {
+    const targets = [step, ...(step.branches || []), ...Object.values(step.routes || {}).filter(Boolean)];
+    return [step.controlAction, ...targets.flatMap(target => [target.step, target.agent])].filter(Boolean);
+  }
+
+  /**
+   * Execute a parallel fan-out group
+   * Each branch starts as soon as the siblings it depends on have succeeded, and the
+   * group joins once every branch has settled. Finished branches are recorded in
+   * bmadWorkflowData.context so resuming a paused group does not run them twice.
+   *
+   * Branches share the workflow document: its saves are serialized by the lifecycle
+   * manager, running branches are tracked by branch id (two branches may use the same
+   * agent), and the group's bookkeeping is saved once more at the join.
+   */
+  async executeParallelStep(workflowId, step, workflow) {
+    const branchesById = new Map(step.branches.map(branch => [branch.id, branch]));
+    const dependencies = step.branchDependencies || {};
+    const state = this.getParallelState(workflow, step.id);
+    const running = new Map(); // branch id -> agent
+    const runs = new Map();
+
+    logger.info(`🔀 Fanning out ${step.branches.length} parallel branches for ${step.step}`);
+
+    const runBranch = (branch) => {
+      if (!runs.has(branch.id)) {
+        const waitFor = (dependencies[branch.id] || []).map(depId => runBranch(branchesById.get(depId)));
+
+        runs.set(branch.id, Promise.all(waitFor).then(async (depResults) => {
+          if (branch.skip || state.completed.includes(branch.id)) {
+            return { status: 'success', branchId: branch.id, skipped: true };
+          }
+          if (depResults.some(result => result.status !== 'success')) {
+            return { status: 'blocked', branchId: branch.id };
+          }
+          return await this.executeBranch(workflowId, branch, workflow, step, state, running);
+        }));
+      }
+      return runs.get(branch.id);
+    };
+
+    const results = await Promise.all(step.branches.map(runBranch));
+    state.active = [];
+
+    const failed = results.filter(result => result.status === 'error');
+    if (failed.length === 0 && results.some(result => result.status !== 'success')) {
+      // Siblings may have finished after the paused branch saved
+      await this.lifecycleManager.saveWorkflow(workflow);
+    }
+
+    if (failed.length > 0) {
+      return {
+        status: 'error',
+        error: failed.map(result => `${result.branchId}: ${result.error}`).join('; '),
+        branches: results
+      };
+    }
+
+    if (results.some(result => result.status !== 'success')) {
+      logger.info(`⏸️ Parallel group ${step.step} waiting on ${results.filter(r => r.status !== 'success').length} branches`);
+      return { status: 'waiting_for_user', branches: results };
+    }
+
+    delete workflow.bmadWorkflowData.context.parallel[step.id];
+    logger.info(`🔗 Parallel group ${step.step} joined: ${results.length} branches completed`);
+
+    return {
+      status: 'success',
+      branches: results,
+      artifactsCreated: step.produces || []
+    };
+  }
+
+  /**
+   * Run one branch of a parallel group and publish its progress
+   */
+  async executeBranch(workflowId, branch, workflow, group, state, running) {
+    running.set(branch.id, branch.agent);
+    state.active = [...running.values()];
+    await this.notifyBranch(workflowId, 'activated', branch, group);
+
+    const result = await this.stepExecutor.executeStep(workflowId, branch, workflow);
+
+    running.delete(branch.id);
+    state.active = [...running.values()];
+    if (result.status === 'success') {
+      state.completed.push(branch.id);
+    }
+    await this.notifyBranch(workflowId, 'completed', branch, group, result);
+
+    return { ...result, branchId: branch.id };
+  }
+
+  /**
+   * Persisted bookkeeping for a parallel group (completed branch ids, active agents)
+   */
+  getParallelState(workflow, stepId) {
+    workflow.bmadWorkflowData.context = workflow.bmadWorkflowData.context || {};
+    const context = workflow.bmadWorkflowData.context;
+    context.parallel = context.parallel || {};
+    context.parallel[stepId] = context.parallel[stepId] || { completed: [], active: [] };
+    return context.parallel[stepId];
+  }
+
+  /**
+   * Send agent-activated / agent-completed events flagged as concurrent so the
+   * live view keeps sibling agents active instead of completing them
+   */
+  async notifyBranch(workflowId, phase, branch, group, result = {}) {
+    if (!this.pusherService || !branch.agent) return;
+
+    const channelName = WorkflowId.toChannelName(workflowId);
+    const metadata = {
+      stepId: branch.id,
+      parallelGroup: group.step,
+      concurrent: true
+    };
+
+    try {
+      if (phase === 'activated') {
+        await this.pusherService.triggerAgentActivated(channelName, branch.agent, metadata);
+      } else {
+        await this.pusherService.triggerAgentCompleted(channelName, branch.agent, {
+          ...metadata,
+          status: result.status === 'success' ? 'completed' : result.status,
+          artifactCreated: result.artifactCreated,
+          error: result.error
+        });
+      }
+    } catch (error) {
+      logger.warn(`Failed to send parallel branch ${phase} event: ${error.message}`);
+    }
+  }
 }
 
 export default WorkflowExecutor;
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * Workflow Fork Service
+ * Branches a new workflow from any checkpoint of an existing run, so an alternative
+ * (a different architecture decision, another prompt answer) can be tried without touching
+ * the original. The fork copies the artifacts, messages and context the checkpoint saw and
+ * continues from the checkpoint's step; it keeps a link to its parent in workflow.fork.
+ *
+ * Checkpoints are taken before every step (CheckpointManager.createBeforeStep).
+ */
+
+import logger from '../../utils/logger.js';
+import { WorkflowStatus } from '../types.js';
+import { WorkflowId } from '../../utils/workflowId.js';
+import { diffText, unifiedDiff } from '../../utils/textDiff.js';
+
+const MAX_LINEAGE_DEPTH = 25;
+
+export class WorkflowForkService {
+  constructor(dependencies = {}) {
+    this.lifecycleManager = dependencies.lifecycleManager;
+    this.artifactManager = dependencies.artifactManager;
+  }
+
+  /**
+   * Create a new workflow from a checkpoint of workflowId
+   * The fork is left PAUSED at the checkpoint's step; resume it to run the remaining steps.
+   * @returns {Promise<Object>} the saved fork
+   */
+  async forkFromCheckpoint({ workflowId, checkpointId, name = null }) {
+    const parent = await this.lifecycleManager.loadWorkflow(workflowId);
+    if (!parent) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    const WorkflowCheckpoint = await loadCheckpointModel();
+    const checkpoint = await WorkflowCheckpoint.findOne({ checkpointId, workflowId }).lean();
+    if (!checkpoint) {
+      throw new Error(`Checkpoint ${checkpointId} not found for workflow ${workflowId}`);
+    }
+
+    const source = typeof parent.toObject === 'function' ? parent.toObject() : parent;
+    const fork = this.buildFork(source, checkpoint, name);
+
+    await this.lifecycleManager.saveWorkflow(fork);
+    logger.info(`🌿 [FORK] ${fork.workflowId} forked from ${workflowId} at step ${checkpoint.step + 1}`);
+
+    // The fork's history starts with the contents it inherited
+    const reason = `forked from ${workflowId} at step ${checkpoint.step + 1}`;
+    for (const [artifactName, artifact] of checkpoint.state?.artifactContents || []) {
+      try {
+        await this.artifactManager?.recordVersion(fork.workflowId, artifactName, artifact?.content, {
+          author: { type: 'system', id: 'fork' },
+          step: artifact?.metadata?.step ?? null,
+          reason
+        });
+      } catch (error) {
+        logger.warn(`⚠️ [FORK] Could not record ${artifactName} in ${fork.workflowId}: ${error.message}`);
+      }
+    }
+
+    return fork;
+  }
+
+  /**
+   * Side-by-side summary of two workflows: where they diverged and how each artifact differs
+   * With options.artifactName the matching entry also carries diff rows and a unified patch.
+   */
+  async compareWorkflows(leftId, rightId, options = {}) {
+    const [left, right] = await Promise.all([
+      this.lifecycleManager.loadWorkflow(leftId),
+      this.lifecycleManager.loadWorkflow(rightId)
+    ]);
+    if (!left) throw new Error(`Workflow ${leftId} not found`);
+    if (!right) throw new Error(`Workflow ${rightId} not found`);
+
+    const leftArtifacts = toArtifactMap(left.context?.artifacts);
+    const rightArtifacts = toArtifactMap(right.context?.artifacts);
+    const names = [...new Set([...leftArtifacts.keys(), ...rightArtifacts.keys()])].sort();
+
+    const artifacts = names.map(artifactName => {
+      const leftArtifact = leftArtifacts.get(artifactName);
+      const rightArtifact = rightArtifacts.get(artifactName);
+      const entry = {
+        artifactName,
+        status: artifactStatus(leftArtifact, rightArtifact),
+        left: describeArtifact(leftArtifact),
+        right: describeArtifact(rightArtifact),
+        stats: null
+      };
+
+      if (leftArtifact && rightArtifact) {
+        const { rows, stats } = diffText(leftArtifact.content || '', rightArtifact.content || '');
+        entry.stats = stats;
+        if (artifactName === options.artifactName) {
+          entry.rows = rows;
+          entry.patch = unifiedDiff(leftArtifact.content || '', rightArtifact.content || '', {
+            fromLabel: `${leftId}/${artifactName}`,
+            toLabel: `${rightId}/${artifactName}`
+          });
+        }
+      }
+      return entry;
+    });
+
+    return {
+      left: describeWorkflow(left),
+      right: describeWorkflow(right),
+      divergedAtStep: await this.findDivergenceStep(left, right),
+      artifacts
+    };
+  }
+
+  /**
+   * First step the two runs did not share, or null when they are unrelated
+   * Walks both parent chains to the nearest common ancestor; a run shares every step before
+   * the step it (or the fork it descends from) branched off that ancestor.
+   */
+  async findDivergenceStep(left, right) {
+    const [leftLineage, rightLineage] = await Promise.all([
+      this.getLineage(left),
+      this.getLineage(right)
+    ]);
+
+    const rightIndex = new Map(rightLineage.map((entry, index) => [entry.workflowId, index]));
+    const leftIndex = leftLineage.findIndex(entry => rightIndex.has(entry.workflowId));
+    if (leftIndex === -1) {
+      return null;
+    }
+
+    const branchStep = (lineage, ancestorIndex) => ancestorIndex === 0
+      ? Infinity
+      : Math.min(...lineage.slice(0, ancestorIndex).map(entry => entry.checkpointStep));
+
+    const step = Math.min(
+      branchStep(leftLineage, leftIndex),
+      branchStep(rightLineage, rightIndex.get(leftLineage[leftIndex].workflowId))
+    );
+    return Number.isFinite(step) ? step : null;
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  /**
+   * The workflow and its ancestors, nearest first: [{ workflowId, checkpointStep }]
+   * checkpointStep is where that workflow branched off the next one in the list.
+   */
+  async getLineage(workflow) {
+    const lineage = [];
+    let current = workflow;
+
+    while (current && lineage.length < MAX_LINEAGE_DEPTH) {
+      lineage.push({ workflowId: current.workflowId, checkpointStep: current.fork?.checkpointStep ?? 0 });
+      const parentId = current.fork?.parentWorkflowId;
+      current = parentId ? await this.lifecycleManager.loadWorkflow(parentId) : null;
+    }
+
+    return lineage;
+  }
+
+  buildFork(source, checkpoint, name) {
+    const workflowId = WorkflowId.generate();
+    const state = checkpoint.state || {};
+    const checkpointTime = new Date(checkpoint.timestamp || checkpoint.createdAt || Date.now());
+    const stepNumber = checkpoint.step + 1;
+    const now = new Date();
+    const title = name?.trim() || `${source.title} (fork @ step ${stepNumber})`;
+
+    const messages = clone(state.messages || []);
+    messages.push({
+      id: `fork_${Date.now()}`,
+      from: 'system',
+      to: 'user',
+      type: 'system',
+      content: {
+        message: `Forked from ${source.workflowId} at step ${stepNumber}`,
+        parentWorkflowId: source.workflowId,
+        checkpointId: checkpoint.checkpointId
+      },
+      timestamp: now
+    });
+
+    return {
+      id: workflowId,
+      workflowId,
+      title: title.slice(0, 200),
+      description: source.description || '',
+      template: source.template,
+      prompt: source.prompt,
+      userId: source.userId,
+      status: WorkflowStatus.PAUSED,
+      currentAgent: checkpoint.currentAgent || null,
+      budget: {
+        soft: clone(source.budget?.soft || {}),
+        hard: clone(source.budget?.hard || {}),
+        teamInstanceId: source.budget?.teamInstanceId || null,
+        acknowledged: []
+      },
+      qualityGates: {
+        failOn: source.qualityGates?.failOn ?? null,
+        gates: clone(source.qualityGates?.gates || {}),
+        maxRemediationAttempts: source.qualityGates?.maxRemediationAttempts ?? 3,
+        results: clone((source.qualityGates?.results || []).filter(result => new Date(result.ranAt) <= checkpointTime))
+      },
+      approvalPolicy: clone(source.approvalPolicy || { requiresApproval: false }),
+      approvals: clone((source.approvals || []).filter(approval => new Date(approval.requestedAt) <= checkpointTime)),
+      repositoryAnalysis: clone(source.repositoryAnalysis),
+      metadata: clone(state.metadata || source.metadata || {}),
+      fork: {
+        parentWorkflowId: source.workflowId,
+        rootWorkflowId: source.fork?.rootWorkflowId || source.workflowId,
+        checkpointId: checkpoint.checkpointId,
+        checkpointStep: checkpoint.step,
+        forkedAt: now
+      },
+      bmadWorkflowData: {
+        sequence: clone(source.bmadWorkflowData?.sequence || []),
+        currentStep: checkpoint.step,
+        totalSteps: source.bmadWorkflowData?.totalSteps || source.bmadWorkflowData?.sequence?.length || 0,
+        messages,
+        context: clone(state.stepContext || {})
+      },
+      context: {
+        ...clone(state.workflowContext || {}),
+        artifacts: new Map(clone(state.artifactContents || []))
+      },
+      errors: [],
+      pausedAt: now,
+      startTime: now,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+}
+
+async function loadCheckpointModel() {
+  const { default: WorkflowCheckpoint } = await import('../../database/models/WorkflowCheckpoint.js');
+  return WorkflowCheckpoint;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function toArtifactMap(artifacts) {
+  if (!artifacts) return new Map();
+  if (artifacts instanceof Map) return artifacts;
+  return new Map(Array.isArray(artifacts) ? artifacts : Object.entries(artifacts));
+}
+
+function artifactStatus(left, right) {
+  if (!right) return 'only_left';
+  if (!left) return 'only_right';
+  return (left.content || '') === (right.content || '') ? 'same' : 'changed';
+}
+
+function describeArtifact(artifact) {
+  if (!artifact) return null;
+  return {
+    version: artifact.metadata?.version ?? null,
+    step: artifact.metadata?.step ?? null,
+    agent: artifact.metadata?.agent || null,
+    size: Buffer.byteLength(artifact.content || '', 'utf8')
+  };
+}
+
+function describeWorkflow(workflow) {
+  return {
+    workflowId: workflow.workflowId,
+    title: workflow.title,
+    status: workflow.status,
+    currentStep: workflow.bmadWorkflowData?.currentStep || 0,
+    totalSteps: workflow.bmadWorkflowData?.sequence?.length || 0,
+    fork: workflow.fork?.parentWorkflowId ? workflow.fork : null
+  };
+}
+
+export default WorkflowForkService;
@@ -6,10 +6,13 @@
 import logger from '../../utils/logger.js';
 import Workflow from '../../database/models/Workflow.js';
 import { WorkflowStatus } from '../types.js';
+import { integrationEventBus, LifecycleEvent } from '../../integrations/IntegrationEventBus.js';
 
 class WorkflowLifecycleManager {
-  constructor(pusherService) {
+  constructor(pusherService, eventBus = integrationEventBus) {
     this.pusherService = pusherService;
+    this.eventBus = eventBus;
+    this.pendingSaves = new Map(); // workflowId -> last queued save
   }
 
   /**
@@ -40,19 +43,41 @@ class WorkflowLifecycleManager {
 
   /**
    * Save workflow to database
+   * Saves of one workflow run one at a time, so branches of a parallel group that save
+   * concurrently cannot land out of order and overwrite newer state with an older copy.
    */
   async saveWorkflow(workflowData) {
+    const workflowId = workflowData.workflowId;
+    const previous = this.pendingSaves.get(workflowId) || Promise.resolve();
+    const save = previous.catch(() => {}).then(() => this.writeWorkflow(workflowData));
+
+    this.pendingSaves.set(workflowId, save);
     try {
-      // Convert Map to Array for storage
-      if (workflowData.context?.artifacts instanceof Map) {
-        workflowData.context.artifacts = Array.from(workflowData.context.artifacts.entries());
+      return await save;
+    } finally {
+      if (this.pendingSaves.get(workflowId) === save) {
+        this.pendingSaves.delete(workflowId);
       }
+    }
+  }
 
+  async writeWorkflow(workflowData) {
+    try {
       workflowData.updatedAt = new Date();
 
+      // Store artifacts as an Array without touching the live Map other steps still use
+      let update = workflowData;
+      if (workflowData.context?.artifacts instanceof Map) {
+        const fields = typeof workflowData.toObject === 'function' ? workflowData.toObject() : workflowData;
+        update = {
+          ...fields,
+          context: { ...workflowData.context, artifacts: Array.from(workflowData.context.artifacts.entries()) }
+        };
+      }
+
       const result = await Workflow.findOneAndUpdate(
         { workflowId: workflowData.workflowId },
-        workflowData,
+        update,
         { upsert: true, new: true }
       ).exec();
 
@@ -63,6 +88,20 @@ class WorkflowLifecycleManager {
     }
   }
 
+  /**
+   * Save a newly created workflow and announce its start
+   */
+  async createWorkflow(workflowData) {
+    const workflow = await this.saveWorkflow(workflowData);
+
+    await this.eventBus?.emit(LifecycleEvent.WORKFLOW_STARTED, workflowData, {
+      prompt: workflowData.prompt,
+      steps: workflowData.bmadWorkflowData?.sequence?.length || 0
+    });
+
+    return workflow;
+  }
+
   /**
    * Get workflow status
    */
@@ -73,17 +112,43 @@ class WorkflowLifecycleManager {
 
   /**
    * Pause workflow
+   * With elicitationDetails the workflow waits for the user's answer (PAUSED_FOR_ELICITATION)
    */
-  async pauseWorkflow(workflowId) {
+  async pauseWorkflow(workflowId, elicitationDetails = null) {
     const workflow = await this.loadWorkflow(workflowId);
     if (!workflow) {
       throw new Error(`Workflow ${workflowId} not found`);
     }
 
-    workflow.status = WorkflowStatus.PAUSED;
+    workflow.status = elicitationDetails ? WorkflowStatus.PAUSED_FOR_ELICITATION : WorkflowStatus.PAUSED;
+    workflow.pausedAt = new Date();
+    if (elicitationDetails) {
+      workflow.elicitationDetails = elicitationDetails;
+    }
     await this.saveWorkflow(workflow);
 
-    logger.info(`⏸️ Workflow ${workflowId} paused`);
+    if (elicitationDetails && this.pusherService?.triggerElicitationRequest) {
+      try {
+        await this.pusherService.triggerElicitationRequest(workflowId, elicitationDetails);
+      } catch (error) {
+        logger.warn('Failed to send elicitation request event:', error.message);
+      }
+    }
+
+    const step = workflow.bmadWorkflowData?.currentStep;
+    await this.eventBus?.emit(LifecycleEvent.WORKFLOW_PAUSED, workflow, {
+      reason: elicitationDetails ? 'elicitation' : 'paused',
+      step
+    });
+    if (elicitationDetails) {
+      await this.eventBus?.emit(LifecycleEvent.ELICITATION_REQUESTED, workflow, {
+        elicitation: elicitationDetails,
+        step,
+        agentId: elicitationDetails.agentId
+      });
+    }
+
+    logger.info(`⏸️ Workflow ${workflowId} paused${elicitationDetails ? ' for elicitation' : ''}`);
     return workflow;
   }
 
@@ -151,10 +216,41 @@ class WorkflowLifecycleManager {
       }
     }
 
+    await this.eventBus?.emit(LifecycleEvent.WORKFLOW_COMPLETED, workflow, {
+      prompt: workflow.prompt,
+      artifactCount: workflow.context?.artifacts?.size ?? workflow.context?.artifacts?.length ?? 0,
+      durationMs: workflow.startTime ? workflow.completedAt - new Date(workflow.startTime) : null
+    });
+
     logger.info(`✅ Workflow ${workflowId} completed`);
     return workflow;
   }
 
+  /**
+   * Mark a workflow as failed and record the error
+   * Announced once: a workflow that is already in ERROR only gets the error appended.
+   * @param {Object} errorEntry - { error, step, ... } pushed onto workflow.errors
+   */
+  async failWorkflow(workflow, errorEntry) {
+    const alreadyFailed = workflow.status === WorkflowStatus.ERROR;
+
+    workflow.status = WorkflowStatus.ERROR;
+    workflow.errors = workflow.errors || [];
+    workflow.errors.push({ timestamp: new Date(), ...errorEntry });
+    await this.saveWorkflow(workflow);
+
+    if (!alreadyFailed) {
+      await this.eventBus?.emit(LifecycleEvent.WORKFLOW_FAILED, workflow, {
+        prompt: workflow.prompt,
+        error: errorEntry.error,
+        step: errorEntry.step
+      });
+    }
+
+    logger.info(`❌ Workflow ${workflow.workflowId} failed: ${errorEntry.error}`);
+    return workflow;
+  }
+
   /**
    * Get workflow artifacts
    */
@@ -181,9 +277,12 @@ class WorkflowLifecycleManager {
       const artifactsToRemove = [];
       
       for (let i = stepIndex; i < sequence.length; i++) {
-        if (sequence[i].creates && workflow.context.artifacts.has(sequence[i].creates)) {
-          artifactsToRemove.push(sequence[i].creates);
-        }
+        const created = sequence[i].type === 'parallel' ? sequence[i].produces || [] : [sequence[i].creates];
+        created.forEach(artifact => {
+          if (artifact && workflow.context.artifacts.has(artifact)) {
+            artifactsToRemove.push(artifact);
+          }
+        });
       }
       
       artifactsToRemove.forEach(artifact => {
@@ -191,6 +290,19 @@ class WorkflowLifecycleManager {
       });
     }
 
+    // Forget steps and partial progress of parallel groups that will run again
+    const completedSteps = workflow.bmadWorkflowData.context?.completedSteps;
+    if (completedSteps) {
+      workflow.bmadWorkflowData.context.completedSteps = completedSteps.filter(index => index < stepIndex);
+    }
+
+    const parallelState = workflow.bmadWorkflowData.context?.parallel;
+    if (parallelState) {
+      workflow.bmadWorkflowData.sequence.slice(stepIndex).forEach(step => {
+        delete parallelState[step.id];
+      });
+    }
+
     await this.saveWorkflow(workflow);
     logger.info(`🔄 Workflow ${workflowId} reset to step ${stepIndex}`);
     
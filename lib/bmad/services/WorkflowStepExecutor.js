@@ -4,6 +4,9 @@
  */
 
 import logger from '../../utils/logger.js';
+import { ApprovalStatus, WorkflowStatus } from '../types.js';
+import { isGatePassing, resolveArtifactContent } from './ChecklistRunService.js';
+import { extractCodeChanges, RemediationStatus } from './RemediationService.js';
 
 class WorkflowStepExecutor {
   constructor(dependencies) {
@@ -15,6 +18,10 @@ class WorkflowStepExecutor {
     this.userInteractionService = dependencies.userInteractionService;
     this.artifactManager = dependencies.artifactManager;
     this.lifecycleManager = dependencies.lifecycleManager;
+    this.storyService = dependencies.storyService;
+    this.checklistRunService = dependencies.checklistRunService;
+    this.remediationService = dependencies.remediationService;
+    this.approvalService = dependencies.approvalService;
   }
 
   /**
@@ -60,8 +67,51 @@ class WorkflowStepExecutor {
       throw new Error(`Agent '${agentName}' not found`);
     }
 
-    // Build context for agent
-    const context = await this.contextBuilder.buildAgentContext(agent, step, workflow);
+    // A gate that failed before the pause may have been overridden to passing since
+    const overriddenGate = await this.findPassedChecklistGate(step, workflow);
+    if (overriddenGate) {
+      return {
+        status: 'success',
+        agent: agent.name || agentName,
+        artifactCreated: step.creates,
+        checklistRun: this.describeChecklistRun(overriddenGate)
+      };
+    }
+
+    // The user answered a quality gate escalation: accept moves on, retry re-runs only the fix loop
+    const remediation = await this.resumeRemediation(step, workflow, agent);
+    if (remediation) {
+      return remediation;
+    }
+
+    // A reviewer signed off on this step's output while the workflow was paused
+    const approval = this.approvalService?.getState(workflow, this.getGateKey(step));
+    if (approval?.status === ApprovalStatus.APPROVED) {
+      this.approvalService.setState(workflow, this.getGateKey(step), null);
+      logger.info(`✅ [APPROVAL] ${step.creates || step.step} approved - continuing`);
+      return {
+        status: 'success',
+        agent: agent.name || agentName,
+        artifactCreated: step.creates,
+        approval: { status: approval.status, round: approval.round }
+      };
+    }
+
+    // Build context for agent, budgeted for the model the call is routed to
+    let context = await this.contextBuilder.buildAgentContext(agent, step, workflow, {
+      ...this.resolveContextTarget(agent, step),
+      aiService: this.aiService,
+      userId: workflow.userId?.toString()
+    });
+    this.recordContextUsage(workflow, step, context.usage);
+
+    // Requested changes: revise the previous version with the reviewer's comments
+    if (approval?.status === ApprovalStatus.CHANGES_REQUESTED) {
+      const modification = await this.userInteractionService.handleModificationRequest(
+        workflowId, agent, step, context, workflow, approval.comments, { content: approval.content }
+      );
+      context = { ...modification.adjustedContext, previousVersion: approval.content };
+    }
     
     // Execute AI work with validation and error recovery
     try {
@@ -69,7 +119,13 @@ class WorkflowStepExecutor {
       
       // Handle artifact creation if step specifies it
       if (step.creates) {
-        await this.artifactManager.saveArtifact(step.creates, aiResponse, workflow, agent);
+        await this.artifactManager.saveArtifact(step.creates, aiResponse, workflow, agent, {
+          stepName: step.step,
+          reason: approval?.status === ApprovalStatus.CHANGES_REQUESTED ? `revised after review: ${approval.comments}` : null
+        });
+
+        // Story documents (creates: story.md) also land in the story backlog
+        await this.storyService?.syncFromArtifact(step.creates, aiResponse, workflow, agent);
         
         // Send completion message
         await this.userInteractionService.sendInfoMessage(
@@ -79,12 +135,47 @@ class WorkflowStepExecutor {
         );
       }
 
+      // Steps that name a checklist only complete when it passes
+      const checklistRun = await this.runChecklistGate(workflowId, step, workflow, agent, aiResponse);
+      if (checklistRun && !isGatePassing(checklistRun)) {
+        return {
+          status: 'waiting_for_user',
+          agent: agent.name || agentName,
+          artifactCreated: step.creates,
+          checklistRun: this.describeChecklistRun(checklistRun)
+        };
+      }
+
+      // Code from the step goes through quality gates, with dev fixing what fails
+      const qualityGates = await this.runQualityGateLoop(step, workflow, aiResponse);
+      if (qualityGates?.status === RemediationStatus.ESCALATED) {
+        return {
+          status: 'waiting_for_user',
+          agent: agent.name || agentName,
+          artifactCreated: step.creates,
+          qualityGates: this.describeRemediation(qualityGates)
+        };
+      }
+
+      // Steps with an approval gate wait for the reviewer before completing
+      const approvalRequest = await this.requestStepApproval(step, workflow, agent, aiResponse);
+      if (approvalRequest) {
+        return {
+          status: 'waiting_for_user',
+          agent: agent.name || agentName,
+          artifactCreated: step.creates,
+          approval: { approvalId: approvalRequest.approvalId, status: approvalRequest.status, round: approvalRequest.round }
+        };
+      }
+
       return { 
         status: 'success', 
         agent: agent.name || agentName,
         provider: aiResponse.provider,
         outputLength: aiResponse.content?.length || 0,
-        artifactCreated: step.creates
+        artifactCreated: step.creates,
+        checklistRun: checklistRun ? this.describeChecklistRun(checklistRun) : undefined,
+        qualityGates: qualityGates ? this.describeRemediation(qualityGates) : undefined
       };
 
     } catch (error) {
@@ -113,17 +204,20 @@ class WorkflowStepExecutor {
     const agentPrompt = this.buildAgentPrompt(agent, step, context, workflow);
     
     logger.info(`🤖 Calling AI service for agent ${agent.name || step.agent}...`);
+
+    // AIServiceV2 options: attribute usage to the workflow so budgets and UsageLog see it
+    const callOptions = (complexity, callContext) => ({
+      agent,
+      complexity,
+      context: { ...callContext, workflowId: workflow.workflowId },
+      userId: workflow.userId?.toString(),
+      stepType: step.creates ? 'document' : callContext?.stepType
+    });
     
     // AI service call with error recovery
     let aiResponse;
     try {
-      aiResponse = await this.aiService.call(
-        agentPrompt,
-        agent,
-        'complex',
-        context,
-        workflow.userId
-      );
+      aiResponse = await this.aiService.call(agentPrompt, callOptions('complex', context));
 
       if (!aiResponse || !aiResponse.content) {
         throw new Error(`AI service returned empty response`);
@@ -138,7 +232,7 @@ class WorkflowStepExecutor {
         step,
         context,
         workflow,
-        retryCallback: () => this.aiService.call(agentPrompt, agent, 'complex', context, workflow.userId)
+        retryCallback: () => this.aiService.call(agentPrompt, callOptions('complex', context))
       });
       
       if (recoveryResult.success && recoveryResult.requiresRetry) {
@@ -147,10 +241,7 @@ class WorkflowStepExecutor {
         const complexity = recoveryResult.strategy === 'use_fallback_model' ? 'simple' : 'complex';
         aiResponse = await this.aiService.call(
           agentPrompt,
-          agent,
-          complexity,
-          recoveryResult.adjustedContext || context,
-          workflow.userId
+          callOptions(complexity, recoveryResult.adjustedContext || context)
         );
       } else if (recoveryResult.fallback) {
         aiResponse = {
@@ -314,6 +405,7 @@ class WorkflowStepExecutor {
       
       const response = await aiService.call(prompt, null, 1, {
         action: 'workflow_routing',
+        stepType: 'routing',
         workflowId: workflowContext.workflowTemplate
       }, 'system');
 
@@ -383,10 +475,257 @@ ${step.creates ? `Create: ${step.creates}` : ''}
 ${step.notes ? `Notes: ${step.notes}` : ''}
 
 User request: ${workflow.userPrompt}
-
+${context?.prompt ? `\n# Context\n\n${context.prompt}\n` : ''}${context?.userFeedback ? `
+# Reviewer feedback
+
+Your previous version was sent back with these comments:
+${context.userFeedback}
+${context.previousVersion ? `\nPrevious version:\n${context.previousVersion}\n` : ''}
+Revise your work to address every comment.
+` : ''}
 Please complete this task according to your role and expertise.`;
   }
 
+  /**
+   * Provider and model the agent call is expected to use (routing policy, else first provider)
+   */
+  resolveContextTarget(agent, step) {
+    const route = this.aiService?.modelRouter?.resolve({
+      agent,
+      stepType: step.creates ? 'document' : null,
+      complexity: 'complex'
+    });
+    return {
+      provider: route?.provider || this.aiService?.core?.providerPriority?.[0] || null,
+      model: route?.model || null
+    };
+  }
+
+  /**
+   * Checklist a step is gated on: `checklist: story-dod-checklist`, or a `uses:` entry naming a checklist
+   */
+  getStepChecklist(step) {
+    return step.checklist || [].concat(step.uses || []).find(name => /-checklist$/.test(name)) || null;
+  }
+
+  /**
+   * Run the step's checklist against what the step produced (or the artifact it validates)
+   * A failed or undecided run pauses the workflow; resuming re-runs the step unless the
+   * run was overridden to passing in the meantime. Runs that cannot start (missing checklist
+   * file, empty artifact) are logged and do not block the workflow.
+   * @returns {Promise<Object|null>} ChecklistRun, or null when the step has no gate
+   */
+  async runChecklistGate(workflowId, step, workflow, agent, aiResponse) {
+    const checklistName = this.getStepChecklist(step);
+    if (!checklistName || !this.checklistRunService) {
+      return null;
+    }
+
+    const validated = step.validates && step.validates !== 'all_artifacts'
+      ? resolveArtifactContent(workflow, step.validates)
+      : null;
+    const artifactName = step.creates || (validated ? step.validates : null);
+
+    let run;
+    try {
+      run = await this.checklistRunService.runChecklist({
+        checklistName,
+        content: validated || aiResponse.content,
+        artifactName,
+        workflow,
+        stepId: this.getGateKey(step),
+        trigger: 'workflow',
+        createdBy: agent.id || step.agent,
+        aiService: this.aiService
+      });
+    } catch (error) {
+      logger.warn(`⚠️ [CHECKLIST] Could not run ${checklistName} for step ${step.step}: ${error.message}`);
+      return null;
+    }
+
+    if (isGatePassing(run)) {
+      await this.userInteractionService.sendInfoMessage(
+        workflowId,
+        agent.name || step.agent,
+        `📋 ${checklistName} ${run.status} (${run.summary.pass}/${run.summary.total} items pass)`
+      );
+      return run;
+    }
+
+    const context = workflow.bmadWorkflowData.context || {};
+    workflow.bmadWorkflowData.context = {
+      ...context,
+      checklistGates: { ...context.checklistGates, [this.getGateKey(step)]: run._id.toString() }
+    };
+    workflow.status = WorkflowStatus.PAUSED;
+    workflow.pausedAt = new Date();
+    await this.lifecycleManager.saveWorkflow(workflow);
+
+    const { summary } = run;
+    await this.userInteractionService.sendErrorMessage(
+      workflowId,
+      new Error(`${checklistName} did not pass for ${artifactName || step.step}: ${summary.fail} failed, ${summary.pending} awaiting review. Override items or resume the workflow to redo the step.`),
+      { checklistRun: this.describeChecklistRun(run) }
+    );
+    logger.info(`⏸️ [CHECKLIST] Workflow ${workflowId} paused at ${step.step}: ${checklistName} ${run.status}`);
+    return run;
+  }
+
+  /**
+   * Gate run recorded for this step before the workflow paused, if it now passes
+   */
+  async findPassedChecklistGate(step, workflow) {
+    const gateKey = this.getGateKey(step);
+    const runId = workflow.bmadWorkflowData?.context?.checklistGates?.[gateKey];
+    if (!runId) {
+      return null;
+    }
+
+    const { default: ChecklistRun } = await import('../../database/models/ChecklistRun.js');
+    const run = await ChecklistRun.findById(runId);
+
+    const remaining = { ...workflow.bmadWorkflowData.context.checklistGates };
+    delete remaining[gateKey];
+    workflow.bmadWorkflowData.context = { ...workflow.bmadWorkflowData.context, checklistGates: remaining };
+
+    if (!isGatePassing(run)) {
+      return null;
+    }
+    logger.info(`✅ [CHECKLIST] ${run.checklistName} for step ${step.step} passed after overrides - continuing`);
+    return run;
+  }
+
+  /**
+   * Quality gate settings for a step - `quality_gates: true | { max_attempts, fail_on, gates }`.
+   * Dev steps are gated by default; `quality_gates: false` opts out.
+   */
+  getStepQualityGates(step) {
+    if (step.qualityGates === false) {
+      return null;
+    }
+    if (step.qualityGates) {
+      return step.qualityGates === true ? {} : step.qualityGates;
+    }
+    return step.agent === 'dev' ? {} : null;
+  }
+
+  /**
+   * Run quality gates over the files in the step's response and let dev fix failures
+   * Steps without labelled code blocks are not gated. Loop errors are logged and do not block.
+   * @returns {Promise<Object|null>} RemediationService.run() result
+   */
+  async runQualityGateLoop(step, workflow, aiResponse) {
+    const config = this.getStepQualityGates(step);
+    if (!config || !this.remediationService) {
+      return null;
+    }
+
+    const codeChanges = extractCodeChanges(aiResponse.content);
+    if (codeChanges.length === 0) {
+      return null;
+    }
+
+    try {
+      return await this.remediationService.run({ workflow, step, gateKey: this.getGateKey(step), codeChanges, config });
+    } catch (error) {
+      logger.warn(`⚠️ [REMEDIATION] Quality gates could not run for step ${step.step}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Pick up a remediation escalation the user has answered
+   * @returns {Promise<Object|null>} step result, or null to execute the step normally
+   */
+  async resumeRemediation(step, workflow, agent) {
+    const gateKey = this.getGateKey(step);
+    const state = this.remediationService?.getState(workflow, gateKey);
+    const result = { agent: agent.name || step.agent, artifactCreated: step.creates };
+
+    if (state?.status === RemediationStatus.ACCEPTED) {
+      logger.info(`✅ [REMEDIATION] Continuing past failing quality gates for ${step.step}: ${state.failing.join(', ')}`);
+      return { ...result, status: 'success', qualityGates: { status: state.status, failing: state.failing } };
+    }
+
+    if (state?.status === RemediationStatus.RETRY) {
+      const outcome = await this.remediationService.run({
+        workflow,
+        step,
+        gateKey,
+        codeChanges: state.codeChanges || [],
+        config: this.getStepQualityGates(step) || {}
+      });
+      return {
+        ...result,
+        status: outcome.status === RemediationStatus.PASSED ? 'success' : 'waiting_for_user',
+        qualityGates: this.describeRemediation(outcome)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Ask for sign-off on the step's output when the step or team requires it
+   * @returns {Promise<Object|null>} pending approval record, or null when the step is not gated
+   */
+  async requestStepApproval(step, workflow, agent, aiResponse) {
+    const config = this.approvalService?.getStepApproval(step, workflow);
+    if (!config || aiResponse.isRecoveryResponse) {
+      return null;
+    }
+
+    return await this.approvalService.requestApproval({
+      workflow,
+      step,
+      gateKey: this.getGateKey(step),
+      agent,
+      content: aiResponse.content,
+      config
+    });
+  }
+
+  describeRemediation({ status, attempts, gateResult }) {
+    return {
+      status,
+      gateRunId: gateResult.gateId,
+      passed: gateResult.passed,
+      attempts: attempts.length,
+      summary: gateResult.summary
+    };
+  }
+
+  getGateKey(step) {
+    return step.id || step.step || `${step.agent}:${step.creates || 'output'}`;
+  }
+
+  describeChecklistRun(run) {
+    return {
+      id: run._id.toString(),
+      checklist: run.checklistName,
+      status: run.status,
+      summary: run.summary
+    };
+  }
+
+  /**
+   * Keep the latest context report on the workflow so the live view can show "context used"
+   */
+  recordContextUsage(workflow, step, usage) {
+    if (!usage || !workflow.bmadWorkflowData) {
+      return;
+    }
+    workflow.bmadWorkflowData.context = {
+      ...workflow.bmadWorkflowData.context,
+      contextUsage: {
+        ...usage,
+        step: step.step || null,
+        agent: step.agent || null,
+        recordedAt: new Date().toISOString()
+      }
+    };
+  }
+
   buildRoutingPrompt(workflowContext, step) {
     return `You are a BMAD workflow execution engine. Analyze the current workflow state and make an intelligent routing decision.
 
@@ -45,6 +45,58 @@ const ArtifactType = {
   ANALYSIS: 'analysis'
 };
 
+// Story lifecycle - stories move forward one status at a time; review can send
+// a story back to development and an approved story back to draft
+const StoryStatus = {
+  DRAFT: 'draft',
+  APPROVED: 'approved',
+  IN_DEVELOPMENT: 'in_development',
+  REVIEW: 'review',
+  DONE: 'done'
+};
+
+const StoryStatusTransitions = {
+  [StoryStatus.DRAFT]: [StoryStatus.APPROVED],
+  [StoryStatus.APPROVED]: [StoryStatus.DRAFT, StoryStatus.IN_DEVELOPMENT],
+  [StoryStatus.IN_DEVELOPMENT]: [StoryStatus.REVIEW],
+  [StoryStatus.REVIEW]: [StoryStatus.IN_DEVELOPMENT, StoryStatus.DONE],
+  [StoryStatus.DONE]: []
+};
+
+// Checklist item outcomes - pending items still need AI or human judgement
+const ChecklistItemResult = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  PARTIAL: 'partial',
+  NOT_APPLICABLE: 'n/a',
+  PENDING: 'pending'
+};
+
+// Checklist run outcome, derived from item results (overrides win)
+const ChecklistRunStatus = {
+  PENDING: 'pending',
+  PASSED: 'passed',
+  CONCERNS: 'concerns',
+  FAILED: 'failed'
+};
+
+// Quality gate finding severities, lowest first - a gate fails on findings at or above its threshold
+const QualityGateSeverity = {
+  INFO: 'info',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+  CRITICAL: 'critical'
+};
+
+// Human sign-off on a step's output
+const ApprovalStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested',
+  REJECTED: 'rejected'
+};
+
 const DependencyType = {
   TASK: 'tasks',
   TEMPLATE: 'templates',
@@ -87,6 +139,12 @@ module.exports = {
   AgentStatus,
   MessageType,
   ArtifactType,
+  StoryStatus,
+  StoryStatusTransitions,
+  ChecklistItemResult,
+  ChecklistRunStatus,
+  QualityGateSeverity,
+  ApprovalStatus,
   DependencyType,
   ValidationSchemas
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * One AI call captured while a workflow was being recorded (see AICallRecorder)
+ * A recording is every record sharing a recordingId, in sequence order. Replays answer
+ * AI calls from these records instead of calling a provider.
+ */
+const AICallRecordSchema = new mongoose.Schema({
+  recordingId: { type: String, required: true, immutable: true },
+  workflowId: { type: String, required: true, immutable: true }, // the recorded run
+  sequence: { type: Number, required: true, min: 1, immutable: true },
+
+  method: { type: String, enum: ['call', 'callWithTools'], required: true, immutable: true },
+  agentId: { type: String, default: null, immutable: true },
+  stepType: { type: String, default: null, immutable: true },
+  complexity: { type: String, default: null, immutable: true },
+
+  prompt: { type: String, default: '', immutable: true },
+  promptHash: { type: String, required: true, immutable: true }, // sha256 of prompt
+
+  // What the AI service returned (tool-calling steps trimmed to calls and results), or the error it threw
+  response: { type: mongoose.Schema.Types.Mixed, default: null, immutable: true },
+  toolResults: { type: [mongoose.Schema.Types.Mixed], default: [], immutable: true },
+  error: { type: String, default: null, immutable: true },
+
+  provider: { type: String, immutable: true },
+  model: { type: String, immutable: true },
+  durationMs: { type: Number, default: 0, immutable: true }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'ai_call_records'
+});
+
+// Indexes
+AICallRecordSchema.index({ recordingId: 1, sequence: 1 }, { unique: true });
+AICallRecordSchema.index({ workflowId: 1, createdAt: -1 });
+
+// Recordings are append-only
+AICallRecordSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function() {
+  throw new Error('Recorded AI calls are immutable');
+});
+
+// Static methods
+AICallRecordSchema.statics.findRecording = function(recordingId) {
+  return this.find({ recordingId }).sort({ sequence: 1 });
+};
+
+const AICallRecord = mongoose.models.AICallRecord || mongoose.model('AICallRecord', AICallRecordSchema);
+
+export default AICallRecord;
@@ -270,6 +270,18 @@ const AgentTeamSchema = new mongoose.Schema({
     },
   },
   
+  // Spend caps for this deployment (spend itself is summed from UsageLog)
+  budget: {
+    soft: {
+      cost: { type: Number, default: null },
+      tokens: { type: Number, default: null },
+    },
+    hard: {
+      cost: { type: Number, default: null },
+      tokens: { type: Number, default: null },
+    },
+  },
+  
   // Collaboration & Access Control
   collaborators: [{
     userId: {
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * Immutable snapshot of a workflow artifact
+ * Every save of an artifact (agent output, user edit, restore) appends a version through
+ * ArtifactManager; the latest version mirrors workflow.context.artifacts. Versions are never
+ * updated or deleted individually.
+ */
+const ArtifactVersionSchema = new mongoose.Schema({
+  workflowId: { type: String, required: true, immutable: true },
+  artifactName: { type: String, required: true, immutable: true },
+  version: { type: Number, required: true, min: 1, immutable: true },
+
+  content: { type: String, default: '', immutable: true },
+  contentHash: { type: String, immutable: true }, // sha256 of content
+  size: { type: Number, default: 0, immutable: true },
+
+  // Who produced this version
+  author: {
+    type: { type: String, enum: ['agent', 'user', 'system'], required: true, immutable: true },
+    id: { type: String, immutable: true }, // agent ID or user ID
+    name: { type: String, immutable: true }
+  },
+  step: { type: Number, default: null, immutable: true }, // bmadWorkflowData.currentStep when saved
+  stepName: { type: String, default: null, immutable: true },
+  reason: { type: String, default: null, immutable: true }, // e.g. "created", "user edit", "restored v2"
+  restoredFrom: { type: Number, default: null, immutable: true },
+  provider: { type: String, immutable: true },
+  model: { type: String, immutable: true }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+ArtifactVersionSchema.index({ workflowId: 1, artifactName: 1, version: -1 }, { unique: true });
+
+// Versions are append-only
+ArtifactVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function() {
+  throw new Error('Artifact versions are immutable');
+});
+
+// Static methods
+ArtifactVersionSchema.statics.findVersions = function(workflowId, artifactName) {
+  return this.find({ workflowId, artifactName })
+    .select('-content')
+    .sort({ version: -1 });
+};
+
+ArtifactVersionSchema.statics.findLatest = function(workflowId, artifactName) {
+  return this.findOne({ workflowId, artifactName }).sort({ version: -1 });
+};
+
+const ArtifactVersion = mongoose.models.ArtifactVersion || mongoose.model('ArtifactVersion', ArtifactVersionSchema);
+
+export default ArtifactVersion;
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import { ChecklistItemResult, ChecklistRunStatus } from '../../bmad/types.js';
+
+const RESULTS = Object.values(ChecklistItemResult);
+
+// A user's correction of an item result
+const OverrideSchema = new mongoose.Schema({
+  result: { type: String, enum: RESULTS, required: true },
+  note: String,
+  overriddenBy: String, // User ID
+  overriddenAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One checklist item evaluated against the target artifact
+const ChecklistRunItemSchema = new mongoose.Schema({
+  itemId: { type: String, required: true }, // "{section}.{item}", e.g. "1.2"
+  section: String,
+  text: { type: String, required: true },
+  method: { type: String, enum: ['deterministic', 'ai', 'none'], default: 'none' },
+  result: { type: String, enum: RESULTS, default: ChecklistItemResult.PENDING },
+  evidence: { type: [String], default: [] }, // Verbatim quotes from the artifact
+  rationale: String,
+  override: { type: OverrideSchema, default: null }
+}, { _id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Result after any user override - this is what the gate uses
+ChecklistRunItemSchema.virtual('effectiveResult').get(function() {
+  return this.override?.result || this.result;
+});
+
+/**
+ * One execution of a BMAD checklist (e.g. story-dod-checklist) against a workflow artifact
+ * Created by lib/bmad/services/ChecklistRunService.js, either as a workflow step gate
+ * or on demand from /api/workflows/[workflowId]/checklists.
+ */
+const ChecklistRunSchema = new mongoose.Schema({
+  // Ownership and links
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workflowId: { type: String, required: true }, // Workflow.workflowId
+  stepId: String, // Workflow step the run gates, for step-triggered runs
+  trigger: { type: String, enum: ['workflow', 'manual'], default: 'manual' },
+
+  // What was checked
+  checklistName: { type: String, required: true },
+  checklistTitle: String,
+  artifactName: String,
+
+  // Outcome
+  items: { type: [ChecklistRunItemSchema], default: [] },
+  status: {
+    type: String,
+    enum: Object.values(ChecklistRunStatus),
+    default: ChecklistRunStatus.PENDING
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    pass: { type: Number, default: 0 },
+    fail: { type: Number, default: 0 },
+    partial: { type: Number, default: 0 },
+    notApplicable: { type: Number, default: 0 },
+    pending: { type: Number, default: 0 }
+  },
+  evaluatedWith: {
+    provider: String,
+    model: String
+  },
+  createdBy: String, // User ID or agent ID
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+ChecklistRunSchema.index({ workflowId: 1, createdAt: -1 });
+ChecklistRunSchema.index({ userId: 1, createdAt: -1 });
+
+// Static methods
+ChecklistRunSchema.statics.findWorkflowRuns = function(workflowId, filters = {}) {
+  const query = { workflowId };
+  if (filters.userId) query.userId = filters.userId;
+  if (filters.checklistName) query.checklistName = filters.checklistName;
+  if (filters.artifactName) query.artifactName = filters.artifactName;
+  if (filters.status) query.status = filters.status;
+
+  return this.find(query).sort({ createdAt: -1 });
+};
+
+const ChecklistRun = mongoose.models.ChecklistRun || mongoose.model('ChecklistRun', ChecklistRunSchema);
+
+export default ChecklistRun;
@@ -10,7 +10,7 @@ const IntegrationSchema = new mongoose.Schema({
   pluginId: {
     type: String,
     required: true,
-    enum: ['github', 'slack', 'jira'],
+    enum: ['github', 'slack', 'jira', 'webhook'],
   },
   name: {
     type: String,
@@ -24,6 +24,24 @@ const IntegrationSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Workflow lifecycle events delivered to this integration (see IntegrationEventBus)
+  // Empty filter lists match everything.
+  subscriptions: [{
+    _id: false,
+    event: {
+      type: String,
+      required: true,
+      enum: ['workflow.started', 'workflow.completed', 'workflow.failed', 'workflow.paused', 'step.completed', 'artifact.created', 'elicitation.requested'],
+    },
+    filter: {
+      templates: [String],
+      agents: [String],
+      artifacts: [String],
+    },
+  }],
+  deliveryPolicy: {
+    maxAttempts: { type: Number, default: 3, min: 1, max: 10 },
+  },
   lastUsed: {
     type: Date,
     default: null,
@@ -42,6 +60,7 @@ const IntegrationSchema = new mongoose.Schema({
 
 // Index for efficient queries
 IntegrationSchema.index({ userId: 1, pluginId: 1 });
+IntegrationSchema.index({ userId: 1, 'subscriptions.event': 1 });
 
 // Update the updatedAt field before saving
 IntegrationSchema.pre('save', function(next) {
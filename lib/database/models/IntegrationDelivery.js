@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * One lifecycle event delivered (or being delivered) to one integration (see IntegrationEventBus)
+ * Each attempt is appended, so failed deliveries show every error along the way.
+ */
+const IntegrationDeliverySchema = new mongoose.Schema({
+  integrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Integration', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  pluginId: { type: String, required: true },
+
+  eventId: { type: String, required: true },
+  eventType: { type: String, required: true },
+  workflowId: { type: String, index: true },
+  event: { type: mongoose.Schema.Types.Mixed, required: true }, // the payload delivered
+
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: [{
+    attempt: Number,
+    at: { type: Date, default: Date.now },
+    durationMs: Number,
+    error: String,
+  }],
+  lastError: { type: String, default: null },
+  response: { type: mongoose.Schema.Types.Mixed, default: null }, // what the plugin returned
+  deliveredAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'integration_deliveries'
+});
+
+// Indexes
+IntegrationDeliverySchema.index({ integrationId: 1, createdAt: -1 });
+IntegrationDeliverySchema.index({ eventId: 1, integrationId: 1 }, { unique: true });
+
+// Static methods
+IntegrationDeliverySchema.statics.findByIntegration = function(integrationId, { status, limit = 50 } = {}) {
+  return this.find({ integrationId, ...(status && { status }) })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+const IntegrationDelivery = mongoose.models.IntegrationDelivery || mongoose.model('IntegrationDelivery', IntegrationDeliverySchema);
+
+export default IntegrationDelivery;
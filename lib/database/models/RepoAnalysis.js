@@ -38,6 +38,24 @@ const MetricsSchema = new mongoose.Schema({
   }
 });
 
+// Analyzed commits kept per analysis
+const MAX_HISTORY_ENTRIES = 30;
+
+// One analyzed commit (incremental re-analysis keeps a history per analysis)
+const AnalysisHistorySchema = new mongoose.Schema({
+  commitSha: String,
+  analyzedAt: { type: Date, default: Date.now },
+  mode: { type: String, enum: ['full', 'incremental'], default: 'full' },
+  changes: {
+    added: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 }
+  },
+  metrics: mongoose.Schema.Types.Mixed, // { fileCount, totalLines, totalSize, languageCount, languages: { name: lines } }
+  delta: mongoose.Schema.Types.Mixed, // Same shape, change since the previous entry
+  duration: Number
+}, { _id: false });
+
 const RepoAnalysisSchema = new mongoose.Schema({
   // Repository info
   repositoryId: { type: Number, required: true }, // GitHub repo ID
@@ -46,6 +64,7 @@ const RepoAnalysisSchema = new mongoose.Schema({
   fullName: { type: String, required: true },
   url: String,
   branch: { type: String, default: 'main' },
+  commitSha: String, // Head commit of the branch when last analyzed
   
   // User info
   userId: { 
@@ -65,6 +84,7 @@ const RepoAnalysisSchema = new mongoose.Schema({
   summary: String, // AI-generated summary
   metrics: MetricsSchema,
   fileIndex: [FileIndexSchema],
+  history: { type: [AnalysisHistorySchema], default: [] }, // Oldest first, capped
   insights: {
     summary: {
       total: { type: Number, default: 0 },
@@ -93,6 +113,20 @@ const RepoAnalysisSchema = new mongoose.Schema({
     contributors: { type: Array, default: [] }, // Top contributors
     version: { type: String, default: '1.0' } // Git history schema version
   },
+  retrievalIndex: {
+    status: {
+      type: String,
+      enum: ['none', 'building', 'ready', 'failed'],
+      default: 'none'
+    },
+    method: { type: String, enum: ['bm25', 'hybrid'] }, // hybrid = BM25 + embeddings
+    chunkCount: { type: Number, default: 0 }, // Chunks stored in RepoIndexChunk
+    avgChunkLength: { type: Number, default: 0 }, // Average terms per chunk (BM25)
+    embeddingProvider: String,
+    embeddingModel: String,
+    builtAt: Date,
+    error: String
+  },
 
   // Analysis metadata
   analyzedAt: Date,
@@ -145,6 +179,10 @@ RepoAnalysisSchema.methods.markAsCompleted = function(results) {
   if (results.metrics) this.metrics = results.metrics;
   if (results.fileIndex) this.fileIndex = results.fileIndex;
   if (results.duration) this.duration = results.duration;
+  if (results.commitSha) this.commitSha = results.commitSha;
+  if (results.historyEntry) {
+    this.history = [...(this.history || []), results.historyEntry].slice(-MAX_HISTORY_ENTRIES);
+  }
   return this.save();
 };
 
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/**
+ * Line-ranged chunk of a repository file, searchable for repo chat
+ * Built during repository analysis (see lib/ai/retrieval/RepoRetrievalIndex.js)
+ */
+const RepoIndexChunkSchema = new mongoose.Schema({
+  analysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RepoAnalysis',
+    required: true
+  },
+  path: { type: String, required: true },
+  startLine: { type: Number, required: true }, // 1-based, inclusive
+  endLine: { type: Number, required: true },
+  text: { type: String, required: true },
+
+  // BM25
+  terms: [String], // Distinct terms, for candidate lookup
+  termFreqs: {
+    type: Map,
+    of: Number,
+    default: new Map()
+  },
+  length: { type: Number, default: 0 }, // Total terms in the chunk
+
+  // Optional embedding (hybrid retrieval)
+  embedding: { type: [Number], default: undefined, select: false }
+}, {
+  timestamps: true
+});
+
+// Indexes
+RepoIndexChunkSchema.index({ analysisId: 1, terms: 1 });
+RepoIndexChunkSchema.index({ analysisId: 1, path: 1, startLine: 1 });
+
+const RepoIndexChunk = mongoose.models.RepoIndexChunk || mongoose.model('RepoIndexChunk', RepoIndexChunkSchema);
+
+export default RepoIndexChunk;
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import { StoryStatus, StoryStatusTransitions } from '../../bmad/types.js';
+
+// One status change in a story's lifecycle
+const StatusChangeSchema = new mongoose.Schema({
+  from: String, // null for the initial status
+  to: { type: String, required: true },
+  changedAt: { type: Date, default: Date.now },
+  changedBy: String, // User ID or agent ID
+  note: String
+}, { _id: false });
+
+/**
+ * User story in the BMAD backlog
+ * Drafted by the SM agent when a workflow step `creates: story.md` (see
+ * lib/bmad/services/StoryService.js) or created manually from the story manager.
+ */
+const StorySchema = new mongoose.Schema({
+  // Ownership and links
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workflowId: String, // Workflow.workflowId of the workflow that drafted the story
+
+  // Position in the backlog
+  epicNumber: Number,
+  epicName: String,
+  storyNumber: Number,
+
+  // Story content
+  title: {
+    type: String,
+    required: [true, 'Story title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: { type: String, default: '' }, // "As a ..., I want ..., so that ..."
+  acceptanceCriteria: { type: [String], default: [] },
+  storyPoints: { type: Number, min: 0 },
+  assignee: String,
+  content: String, // Full story markdown
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: Object.values(StoryStatus),
+    default: StoryStatus.DRAFT
+  },
+  statusHistory: { type: [StatusChangeSchema], default: [] },
+
+  // Agent records
+  devAgentRecord: {
+    agent: String,
+    agentModel: String,
+    debugLog: { type: [String], default: [] },
+    completionNotes: { type: [String], default: [] },
+    fileList: { type: [String], default: [] },
+    updatedAt: Date
+  },
+  qaResults: {
+    agent: String,
+    gate: { type: String, enum: ['PASS', 'CONCERNS', 'FAIL', 'WAIVED'] },
+    notes: String,
+    reviewedAt: Date
+  },
+
+  // Jira mirror of the story (see lib/integrations/JiraStorySync.js)
+  jira: {
+    integrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Integration' },
+    issueKey: String,
+    epicKey: String,
+    status: String, // Last known Jira status name
+    contentHash: String, // Summary/description last written to the issue
+    postedComments: { type: [String], default: undefined }, // Dev/QA records already commented
+    syncedAt: Date,
+    lastError: String
+  },
+
+  // Origin
+  source: { type: String, enum: ['manual', 'workflow'], default: 'manual' },
+  artifactName: String, // Workflow artifact the story was drafted in
+  createdBy: String // User ID or agent ID
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+StorySchema.index({ userId: 1, status: 1 });
+StorySchema.index({ userId: 1, createdAt: -1 });
+StorySchema.index({ workflowId: 1, epicNumber: 1, storyNumber: 1 });
+StorySchema.index({ 'jira.integrationId': 1, 'jira.issueKey': 1 }, { sparse: true });
+
+// Virtual for the "{epic}.{story}" key used in story file names
+StorySchema.virtual('storyKey').get(function() {
+  if (this.epicNumber == null || this.storyNumber == null) return null;
+  return `${this.epicNumber}.${this.storyNumber}`;
+});
+
+// Instance methods
+StorySchema.methods.canTransitionTo = function(status) {
+  return (StoryStatusTransitions[this.status] || []).includes(status);
+};
+
+StorySchema.methods.transitionTo = function(status, { changedBy = null, note = null } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Invalid story status transition: ${this.status} → ${status}`);
+  }
+  this.statusHistory.push({ from: this.status, to: status, changedAt: new Date(), changedBy, note });
+  this.status = status;
+  return this;
+};
+
+// Static methods
+StorySchema.statics.findUserStories = function(userId, filters = {}) {
+  const query = { userId };
+  if (filters.workflowId) query.workflowId = filters.workflowId;
+  if (filters.status) query.status = filters.status;
+  if (filters.epicNumber != null) query.epicNumber = filters.epicNumber;
+
+  return this.find(query)
+    .select('-content')
+    .sort({ epicNumber: 1, storyNumber: 1, createdAt: -1 });
+};
+
+const Story = mongoose.models.Story || mongoose.model('Story', StorySchema);
+
+export default Story;
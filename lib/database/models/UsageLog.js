@@ -10,7 +10,7 @@ const usageLogSchema = new mongoose.Schema({
   provider: {
     type: String,
     required: [true, 'Provider is required'],
-    enum: ['gemini', 'openai', 'anthropic'],
+    enum: ['gemini', 'openai', 'anthropic', 'openaiCompatible'],
     index: true
   },
   model: {
@@ -71,6 +71,15 @@ const usageLogSchema = new mongoose.Schema({
     type: String,
     enum: ['workflow', 'direct', 'elicitation', 'agent_execution'],
     default: 'direct'
+  },
+  // Model routing attribution
+  stepType: {
+    type: String,
+    default: null
+  },
+  routeSource: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt
@@ -81,6 +90,7 @@ const usageLogSchema = new mongoose.Schema({
 usageLogSchema.index({ userId: 1, timestamp: -1 });
 usageLogSchema.index({ provider: 1, timestamp: -1 });
 usageLogSchema.index({ userId: 1, provider: 1, timestamp: -1 });
+usageLogSchema.index({ userId: 1, model: 1, timestamp: -1 });
 
 // Index for timeframe queries (last 24 hours, week, etc.)
 usageLogSchema.index({ timestamp: -1 });
@@ -130,6 +140,20 @@ usageLogSchema.statics.getUserUsageStats = async function(userId, timeframe = nu
   ];
   
   const providerStats = await this.aggregate(pipeline);
+
+  // Per-model breakdown (provider + model)
+  const modelStats = await this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: { provider: '$provider', model: '$model' },
+        requests: { $sum: 1 },
+        totalTokens: { $sum: '$totalTokens' },
+        totalCost: { $sum: '$estimatedCost' }
+      }
+    },
+    { $sort: { totalCost: -1 } }
+  ]);
   
   // Get overall stats
   const overallStats = await this.aggregate([
@@ -172,10 +196,47 @@ usageLogSchema.statics.getUserUsageStats = async function(userId, timeframe = nu
     averageTokensPerRequest: Math.round(overall.averageTokensPerRequest || 0),
     averageCostPerRequest: parseFloat((overall.averageCostPerRequest || 0).toFixed(6)),
     providers,
+    models: modelStats.map(stat => ({
+      provider: stat._id.provider,
+      model: stat._id.model,
+      requests: stat.requests,
+      totalTokens: stat.totalTokens,
+      totalCost: stat.totalCost
+    })),
     timeframe: timeframe || 'all'
   };
 };
 
+// Static method to sum spend for a budget scope (see lib/ai/services/BudgetManager.js)
+usageLogSchema.statics.getSpend = async function({ userId = null, workflowId = null, since = null } = {}) {
+  const matchStage = {};
+  if (userId) {
+    matchStage.userId = new mongoose.Types.ObjectId(userId);
+  }
+  if (workflowId) {
+    matchStage.workflowId = Array.isArray(workflowId) ? { $in: workflowId } : workflowId;
+  }
+  if (since) {
+    matchStage.timestamp = { $gte: since };
+  }
+
+  const [totals] = await this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: null,
+        tokens: { $sum: '$totalTokens' },
+        cost: { $sum: '$estimatedCost' }
+      }
+    }
+  ]);
+
+  return {
+    tokens: totals?.tokens || 0,
+    cost: totals?.cost || 0
+  };
+};
+
 // Static method to log usage
 usageLogSchema.statics.logUsage = async function(usageDetails) {
   try {
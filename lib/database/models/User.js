@@ -98,12 +98,42 @@ const UserSchema = new mongoose.Schema({
       default: null,
       // This will be automatically encrypted/decrypted
     },
+    anthropic: {
+      type: String,
+      default: null,
+      // This will be automatically encrypted/decrypted
+    },
+    // Self-hosted OpenAI-compatible endpoint (Ollama, vLLM, ...)
+    openaiCompatible: {
+      baseUrl: { type: String, default: null },
+      model: { type: String, default: null },
+      apiKey: { type: String, default: null }, // encrypted, optional
+      exclusive: { type: Boolean, default: false }, // never fall back to hosted providers
+      pricePerMillionTokens: { type: Number, default: null, min: 0 }, // counts toward dollar budgets
+    },
     updatedAt: {
       type: Date,
       default: Date.now,
     },
   },
 
+  // AI spend caps (spend itself is summed from UsageLog per period)
+  budget: {
+    period: {
+      type: String,
+      enum: ['daily', 'monthly'],
+      default: 'monthly',
+    },
+    soft: {
+      cost: { type: Number, default: null },
+      tokens: { type: Number, default: null },
+    },
+    hard: {
+      cost: { type: Number, default: null },
+      tokens: { type: Number, default: null },
+    },
+  },
+
   // User Preferences
   preferences: {
     theme: {
@@ -238,11 +268,29 @@ UserSchema.methods.setApiKeys = function(apiKeys) {
     logger.info('🔐 Setting Gemini key (first 10 chars):', apiKeys.gemini.substring(0, 10));
     this.apiKeys.gemini = encrypt(apiKeys.gemini); // Encrypt before storing
   }
+
+  if (apiKeys.anthropic) {
+    logger.info('🔐 Setting Anthropic key (first 10 chars):', apiKeys.anthropic.substring(0, 10));
+    this.apiKeys.anthropic = encrypt(apiKeys.anthropic); // Encrypt before storing
+  }
+
+  if (apiKeys.openaiCompatible?.baseUrl) {
+    logger.info('🔐 Setting OpenAI-compatible endpoint:', apiKeys.openaiCompatible.baseUrl);
+    this.apiKeys.openaiCompatible = {
+      baseUrl: apiKeys.openaiCompatible.baseUrl,
+      model: apiKeys.openaiCompatible.model,
+      apiKey: apiKeys.openaiCompatible.apiKey ? encrypt(apiKeys.openaiCompatible.apiKey) : null,
+      exclusive: !!apiKeys.openaiCompatible.exclusive,
+      pricePerMillionTokens: apiKeys.openaiCompatible.pricePerMillionTokens ?? null
+    };
+  }
   
   this.apiKeys.updatedAt = new Date();
   logger.info('💾 Final apiKeys object before save:', {
     hasOpenai: !!this.apiKeys.openai,
     hasGemini: !!this.apiKeys.gemini,
+    hasAnthropic: !!this.apiKeys.anthropic,
+    hasOpenaiCompatible: !!this.apiKeys.openaiCompatible?.baseUrl,
     openaiLength: this.apiKeys.openai?.length,
     geminiLength: this.apiKeys.gemini?.length,
     updatedAt: this.apiKeys.updatedAt
@@ -252,15 +300,25 @@ UserSchema.methods.setApiKeys = function(apiKeys) {
 
 UserSchema.methods.getApiKeys = function() {
   if (!this.apiKeys) {
-    return { openai: null, gemini: null };
+    return { openai: null, gemini: null, anthropic: null, openaiCompatible: null };
   }
   
   const decryptedOpenAI = this.apiKeys.openai ? decrypt(this.apiKeys.openai) : null;
   const decryptedGemini = this.apiKeys.gemini ? decrypt(this.apiKeys.gemini) : null;
+  const decryptedAnthropic = this.apiKeys.anthropic ? decrypt(this.apiKeys.anthropic) : null;
+  const compatible = this.apiKeys.openaiCompatible;
 
   return {
     openai: decryptedOpenAI,
     gemini: decryptedGemini,
+    anthropic: decryptedAnthropic,
+    openaiCompatible: compatible?.baseUrl ? {
+      baseUrl: compatible.baseUrl,
+      model: compatible.model,
+      apiKey: compatible.apiKey ? decrypt(compatible.apiKey) : null,
+      exclusive: !!compatible.exclusive,
+      pricePerMillionTokens: compatible.pricePerMillionTokens ?? null
+    } : null,
     updatedAt: this.apiKeys.updatedAt
   };
 };
@@ -269,13 +327,32 @@ UserSchema.methods.clearApiKeys = function() {
   this.apiKeys = {
     openai: null,
     gemini: null,
+    anthropic: null,
+    openaiCompatible: { baseUrl: null, model: null, apiKey: null, exclusive: false },
     updatedAt: new Date()
   };
   return this;
 };
 
+UserSchema.methods.clearApiKey = function(provider) {
+  if (!this.apiKeys) {
+    return this;
+  }
+
+  this.apiKeys[provider] = provider === 'openaiCompatible'
+    ? { baseUrl: null, model: null, apiKey: null }
+    : null;
+  this.apiKeys.updatedAt = new Date();
+  return this;
+};
+
 UserSchema.methods.hasApiKeys = function() {
-  return !!(this.apiKeys?.openai || this.apiKeys?.gemini);
+  return !!(
+    this.apiKeys?.openai ||
+    this.apiKeys?.gemini ||
+    this.apiKeys?.anthropic ||
+    this.apiKeys?.openaiCompatible?.baseUrl
+  );
 };
 
 // Static Methods
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * A lifecycle event the webhook plugin could not deliver after all retries (see webhook-plugin.js)
+ * The event is kept as emitted, so redelivery renders it with the integration's current template.
+ */
+const WebhookDeadLetterSchema = new mongoose.Schema({
+  integrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Integration', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+  eventId: { type: String, required: true },
+  eventType: { type: String, required: true },
+  workflowId: { type: String, index: true },
+  event: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  url: { type: String, required: true },
+  attempts: { type: Number, default: 0 }, // HTTP requests made, redeliveries included
+  lastStatusCode: { type: Number, default: null },
+  lastError: { type: String, default: null },
+
+  status: {
+    type: String,
+    enum: ['dead', 'redelivered'],
+    default: 'dead'
+  },
+  redeliveredAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'webhook_dead_letters'
+});
+
+// Indexes
+WebhookDeadLetterSchema.index({ integrationId: 1, status: 1, createdAt: -1 });
+
+// Static methods
+WebhookDeadLetterSchema.statics.findByIntegration = function(integrationId, { status, limit = 50 } = {}) {
+  return this.find({ integrationId, ...(status && { status }) })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+const WebhookDeadLetter = mongoose.models.WebhookDeadLetter || mongoose.model('WebhookDeadLetter', WebhookDeadLetterSchema);
+
+export default WebhookDeadLetter;
@@ -235,12 +235,124 @@ const WorkflowSchema = new mongoose.Schema({
     },
   },
   
+  // Spend caps for this instance (spend itself is summed from UsageLog)
+  budget: {
+    soft: {
+      cost: { type: Number, default: null },
+      tokens: { type: Number, default: null },
+    },
+    hard: {
+      cost: { type: Number, default: null },
+      tokens: { type: Number, default: null },
+    },
+    teamInstanceId: { type: String, default: null, index: true },
+    acknowledged: [String], // scopes whose soft cap the user chose to run past
+  },
+
+  // Quality gate configuration (see QualityGateManager) and recent results, newest last
+  qualityGates: {
+    failOn: {
+      type: String,
+      enum: ['info', 'low', 'medium', 'high', 'critical'],
+      default: null,
+    },
+    gates: {
+      type: mongoose.Schema.Types.Mixed, // { [gateId]: { enabled, failOn, options } }
+      default: {},
+    },
+    // Dev fix rounds before failing gates are escalated to the user
+    maxRemediationAttempts: {
+      type: Number,
+      min: 0,
+      max: 10,
+      default: 3,
+    },
+    results: [{
+      gateRunId: String,
+      stepId: String,
+      agentId: String,
+      passed: Boolean,
+      summary: String,
+      gates: mongoose.Schema.Types.Mixed,
+      recommendations: mongoose.Schema.Types.Mixed,
+      ranAt: { type: Date, default: Date.now },
+    }],
+  },
+  
+  // Human sign-off: team policy and every request/decision, oldest first (see ApprovalService)
+  approvalPolicy: {
+    requiresApproval: { type: Boolean, default: false }, // every artifact-producing step
+  },
+  approvals: [{
+    approvalId: String,
+    stepKey: String,
+    stepName: String,
+    agentId: String,
+    artifactName: String,
+    round: { type: Number, default: 1 },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'changes_requested', 'rejected'],
+      default: 'pending',
+    },
+    comments: String,
+    requestedAt: { type: Date, default: Date.now },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: Date,
+  }],
+  
+  // Set on workflows forked from another run's checkpoint (see WorkflowForkService)
+  fork: {
+    parentWorkflowId: { type: String, default: null, index: true },
+    rootWorkflowId: { type: String, default: null },
+    checkpointId: String,
+    checkpointStep: Number, // index of the first step the fork runs itself
+    forkedAt: Date,
+  },
+  
+  // AI call record/replay (see AICallRecorder): 'record' captures this run's AI calls,
+  // 'replay' answers them from recordingId instead of calling a provider
+  recording: {
+    mode: { type: String, enum: ['record', 'replay'] },
+    recordingId: { type: String, index: true },
+    strict: { type: Boolean, default: false }, // replay: fail on the first divergence
+    consumed: [Number], // replay: sequences already answered
+    divergences: [{
+      type: { type: String, enum: ['prompt_changed', 'missing_call'] },
+      sequence: Number,
+      method: String,
+      agentId: String,
+      stepType: String,
+      expectedHash: String,
+      actualHash: String,
+      stats: mongoose.Schema.Types.Mixed, // line diff stats, recorded prompt vs replayed prompt
+      detectedAt: { type: Date, default: Date.now },
+    }],
+  },
+
+  // Set on workflows launched by an external event (see GitHubWebhookService)
+  trigger: {
+    source: { type: String, enum: ['github_webhook'] },
+    github: {
+      event: String, // e.g. 'issues.labeled', 'pull_request.opened', 'push'
+      deliveryId: { type: String, index: true }, // X-GitHub-Delivery; redeliveries launch nothing
+      repository: String, // owner/name
+      number: Number, // issue or pull request number
+      ref: String,
+      label: String,
+      url: String,
+      sender: String,
+    },
+  },
+
   // BMAD-specific fields
   elicitationDetails: {
     sectionTitle: String,
     instruction: String,
     sectionId: String,
     agentId: String,
+    type: String,
+    options: [String],
   },
   
   // BMAD workflow data with proper schema structure
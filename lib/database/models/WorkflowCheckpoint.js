@@ -37,6 +37,7 @@ const WorkflowCheckpointSchema = new mongoose.Schema({
       'before_agent_bmad-orchestrator',
       'before_agent_system',
       'before_agent_various',
+      'before_step',
       'workflow_completed',
       'resume_from_rollback',
       'manual_checkpoint'
@@ -69,7 +70,7 @@ const WorkflowCheckpointSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['initializing', 'running', 'paused', 'completed', 'error', 'cancelled', 'rolling_back', 'rolled_back']
+    enum: ['initializing', 'running', 'paused', 'paused_for_elicitation', 'completed', 'error', 'cancelled', 'rolling_back', 'rolled_back']
   },
   
   // Serialized workflow state
@@ -97,6 +98,22 @@ const WorkflowCheckpointSchema = new mongoose.Schema({
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {}
+    },
+
+    // Enough to branch a new workflow from this point (see WorkflowForkService)
+    workflowContext: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    artifactContents: {
+      type: [mongoose.Schema.Types.Mixed], // [name, artifact] entries of workflow.context.artifacts
+      default: []
+    },
+
+    stepContext: {
+      type: mongoose.Schema.Types.Mixed, // bmadWorkflowData.context
+      default: {}
     }
   },
   
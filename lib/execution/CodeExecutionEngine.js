@@ -4,7 +4,7 @@
  * Supports multiple runtime environments and execution contexts
  */
 
-import { spawn, exec } from 'child_process';
+import { exec } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
@@ -12,6 +12,8 @@ import crypto from 'crypto';
 import os from 'os';
 import logger from '../utils/logger.js';
 import { redisService } from '../utils/redis.js';
+import SandboxRunner from './SandboxRunner.js';
+import ResultParser from './ResultParser.js';
 
 const execAsync = promisify(exec);
 
@@ -23,9 +25,23 @@ export class CodeExecutionEngine {
       allowedCommands: options.allowedCommands || this.getDefaultAllowedCommands(),
       workspaceRoot: options.workspaceRoot || path.join(os.tmpdir(), 'bmad-execution'),
       enableDocker: options.enableDocker || false,
+      // 'docker' | 'process' | 'none' | 'auto' (docker when available, else process)
+      sandbox: options.sandbox || (options.enableDocker ? 'docker' : 'auto'),
+      network: options.network || false,
+      // Let the process sandbox run code without namespace isolation on hosts that cannot create namespaces
+      allowUnisolated: options.allowUnisolated ?? process.env.SANDBOX_ALLOW_UNISOLATED === 'true',
       ...options
     };
 
+    this.sandbox = new SandboxRunner({
+      maxMemory: this.options.maxMemory,
+      network: this.options.network,
+      workspaceRoot: this.options.workspaceRoot,
+      allowUnisolated: this.options.allowUnisolated
+    });
+
+    this.resultParser = new ResultParser();
+
     // Redis keys:
     // execution:active:{executionId} - Active execution state (5min TTL)
     // execution:history:{workflowId} - Execution history per workflow (24h TTL)
@@ -47,7 +63,8 @@ export class CodeExecutionEngine {
       agentId,
       context = {},
       files = [],
-      dependencies = []
+      dependencies = [],
+      onOutput
     } = params;
 
     const executionId = this.generateExecutionId();
@@ -78,7 +95,7 @@ export class CodeExecutionEngine {
       }
       
       // Execute code based on runtime
-      const result = await this.executeInRuntime(code, language, runtime, workspace, context);
+      const result = await this.executeInRuntime(code, language, runtime, workspace, context, onOutput);
       
       execution.status = 'completed';
       execution.endTime = new Date();
@@ -138,7 +155,7 @@ export class CodeExecutionEngine {
     const {
       projectPath,
       testFramework = 'auto',
-      testPattern = '**/*.test.js',
+      testPattern = null, // jest: test path regex, mocha: spec glob; the framework's own config when unset
       workflowId,
       agentId
     } = params;
@@ -149,7 +166,8 @@ export class CodeExecutionEngine {
         ? await this.detectTestFramework(projectPath)
         : testFramework;
 
-      const testCommand = this.getTestCommand(detectedFramework, testPattern);
+      const coverage = await this.supportsCoverage(projectPath, detectedFramework);
+      const testCommand = this.getTestCommand(detectedFramework, testPattern, { coverage });
       
       const result = await this.executeCommand({
         command: testCommand,
@@ -159,6 +177,8 @@ export class CodeExecutionEngine {
         timeout: this.options.timeout
       });
 
+      const testsRun = this.parseTestResults(result.stdout, detectedFramework);
+
       return {
         success: result.exitCode === 0,
         framework: detectedFramework,
@@ -166,7 +186,8 @@ export class CodeExecutionEngine {
         errors: result.stderr,
         exitCode: result.exitCode,
         duration: result.duration,
-        testsRun: this.parseTestResults(result.stdout, detectedFramework)
+        testsRun,
+        coverage: testsRun.coverage
       };
       
     } catch (error) {
@@ -244,7 +265,8 @@ export class CodeExecutionEngine {
         workingDirectory: projectPath,
         workflowId,
         agentId,
-        timeout: 60000 // 1 minute for linting
+        timeout: 60000, // 1 minute for linting
+        persistChanges: fix
       });
 
       return {
@@ -254,7 +276,8 @@ export class CodeExecutionEngine {
         output: result.stdout,
         errors: result.stderr,
         exitCode: result.exitCode,
-        issues: this.parseLintResults(result.stdout, detectedLinter)
+        // Prettier reports unformatted files on stderr
+        issues: this.parseLintResults(`${result.stdout}\n${result.stderr}`, detectedLinter)
       };
       
     } catch (error) {
@@ -273,7 +296,10 @@ export class CodeExecutionEngine {
       environment = {},
       timeout = this.options.timeout,
       workflowId,
-      agentId
+      agentId,
+      language,
+      persistChanges = false,
+      onOutput
     } = params;
 
     // Security check
@@ -281,6 +307,19 @@ export class CodeExecutionEngine {
       throw new Error(`Command not allowed: ${command}`);
     }
 
+    const sandboxMode = await this.sandbox.resolveMode(this.options.sandbox);
+    if (sandboxMode !== 'none') {
+      return await this.executeSandboxedCommand(sandboxMode, {
+        command,
+        workingDirectory,
+        environment,
+        timeout,
+        language,
+        persistChanges,
+        onOutput
+      });
+    }
+
     const startTime = Date.now();
     
     try {
@@ -317,6 +356,38 @@ export class CodeExecutionEngine {
     }
   }
 
+  /**
+   * Run a command against a project inside the sandbox.
+   * Docker mounts the project itself; the process sandbox works on a temporary copy
+   * and only writes changes back when `persistChanges` is set (e.g. lint --fix).
+   */
+  async executeSandboxedCommand(sandboxMode, params) {
+    const { command, workingDirectory, environment, timeout, language, persistChanges, onOutput } = params;
+
+    if (sandboxMode === 'docker') {
+      const image = this.getDockerImage(language || await this.detectProjectLanguage(workingDirectory));
+      const result = await this.sandbox.runDocker(command, {
+        image,
+        workspace: workingDirectory,
+        environment,
+        timeout,
+        onOutput
+      });
+      return { ...result, command, workingDirectory, sandbox: sandboxMode };
+    }
+
+    const workspace = await this.sandbox.createTempWorkspace(workingDirectory);
+    try {
+      const result = await this.sandbox.runProcess(command, { workspace, environment, timeout, onOutput });
+      if (persistChanges && result.exitCode === 0) {
+        await this.sandbox.syncBack(workspace, workingDirectory);
+      }
+      return { ...result, command, workingDirectory, sandbox: sandboxMode };
+    } finally {
+      await this.cleanupWorkspace(workspace);
+    }
+  }
+
   /**
    * Get active execution by ID
    */
@@ -360,6 +431,10 @@ export class CodeExecutionEngine {
 
   // ========== PRIVATE HELPER METHODS ==========
 
+  quoteShellArg(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+
   generateExecutionId() {
     return `exec_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
   }
@@ -404,12 +479,12 @@ export class CodeExecutionEngine {
     await execAsync(command, { timeout: 120000 }); // 2 minutes for dependencies
   }
 
-  async executeInRuntime(code, language, runtime, workspace, context) {
+  async executeInRuntime(code, language, runtime, workspace, context, onOutput) {
     const runtimeHandlers = {
-      node: () => this.executeNodeJS(code, workspace, context),
-      python: () => this.executePython(code, workspace, context),
-      shell: () => this.executeShell(code, workspace, context),
-      docker: () => this.executeDocker(code, language, workspace, context)
+      node: () => this.executeNodeJS(code, workspace, context, onOutput),
+      python: () => this.executePython(code, workspace, context, onOutput),
+      shell: () => this.executeShell(code, workspace, context, onOutput),
+      docker: () => this.executeDocker(code, language, workspace, context, onOutput)
     };
 
     const handler = runtimeHandlers[runtime];
@@ -420,11 +495,38 @@ export class CodeExecutionEngine {
     return await handler();
   }
 
-  async executeNodeJS(code, workspace, context) {
-    const scriptPath = path.join(workspace, 'script.js');
-    
-    // Wrap code with context injection
-    const wrappedCode = `
+  async executeNodeJS(code, workspace, context, onOutput) {
+    const command = await this.writeScript(code, 'javascript', workspace, context);
+    return await this.runScript(command, 'javascript', workspace, onOutput);
+  }
+
+  async executePython(code, workspace, context, onOutput) {
+    const command = await this.writeScript(code, 'python', workspace, context);
+    return await this.runScript(command, 'python', workspace, onOutput);
+  }
+
+  async executeShell(code, workspace, context, onOutput) {
+    const command = await this.writeScript(code, 'shell', workspace, context);
+    return await this.runScript(command, 'shell', workspace, onOutput);
+  }
+
+  async executeDocker(code, language, workspace, context, onOutput) {
+    if (!(await this.sandbox.isDockerAvailable())) {
+      throw new Error('Docker execution requested but Docker is not available');
+    }
+
+    const command = await this.writeScript(code, language, workspace, context);
+    return await this.runScript(command, language, workspace, onOutput, 'docker');
+  }
+
+  /**
+   * Write code to a script in the workspace with the context injected
+   * @returns {Promise<string>} Command (relative to the workspace) that runs the script
+   */
+  async writeScript(code, language, workspace, context) {
+    if (language === 'javascript' || language === 'typescript') {
+      // Wrap code with context injection
+      const wrappedCode = `
 const context = ${JSON.stringify(context)};
 const console = {
   log: (...args) => process.stdout.write(args.join(' ') + '\\n'),
@@ -433,19 +535,12 @@ const console = {
 
 ${code}
 `;
+      await fs.writeFile(path.join(workspace, 'script.js'), wrappedCode);
+      return 'node script.js';
+    }
 
-    await fs.writeFile(scriptPath, wrappedCode);
-    
-    return await execAsync(`node ${scriptPath}`, {
-      cwd: workspace,
-      timeout: this.options.timeout
-    });
-  }
-
-  async executePython(code, workspace, context) {
-    const scriptPath = path.join(workspace, 'script.py');
-    
-    const wrappedCode = `
+    if (language === 'python') {
+      const wrappedCode = `
 import json
 import sys
 
@@ -453,37 +548,69 @@ context = ${JSON.stringify(context)}
 
 ${code}
 `;
+      await fs.writeFile(path.join(workspace, 'script.py'), wrappedCode);
+      return 'python3 script.py';
+    }
 
-    await fs.writeFile(scriptPath, wrappedCode);
-    
-    return await execAsync(`python3 ${scriptPath}`, {
-      cwd: workspace,
-      timeout: this.options.timeout
-    });
-  }
-
-  async executeShell(code, workspace, context) {
     const scriptPath = path.join(workspace, 'script.sh');
-    
     await fs.writeFile(scriptPath, code);
     await fs.chmod(scriptPath, '755');
-    
-    return await execAsync(`bash ${scriptPath}`, {
-      cwd: workspace,
-      timeout: this.options.timeout
-    });
+    return 'bash script.sh';
   }
 
-  async executeDocker(code, language, workspace, context) {
-    if (!this.options.enableDocker) {
-      throw new Error('Docker execution not enabled');
+  /**
+   * Run a workspace script in the configured sandbox.
+   * Rejects on a non-zero exit like the unsandboxed execAsync path does.
+   */
+  async runScript(command, language, workspace, onOutput, sandboxMode = null) {
+    const mode = sandboxMode || await this.sandbox.resolveMode(this.options.sandbox);
+
+    if (mode === 'none') {
+      return await execAsync(command, {
+        cwd: workspace,
+        timeout: this.options.timeout
+      });
     }
 
-    const containerName = `bmad-exec-${Date.now()}`;
-    const dockerImage = this.getDockerImage(language);
-    
-    // Implementation for Docker execution would go here
-    throw new Error('Docker execution not yet implemented');
+    const result = mode === 'docker'
+      ? await this.sandbox.runDocker(command, {
+        image: this.getDockerImage(language),
+        workspace,
+        timeout: this.options.timeout,
+        onOutput
+      })
+      : await this.sandbox.runProcess(command, {
+        workspace,
+        timeout: this.options.timeout,
+        onOutput
+      });
+
+    if (result.exitCode !== 0) {
+      const error = new Error(result.error || result.stderr || `Process exited with code ${result.exitCode}`);
+      error.code = result.timedOut ? 'EXECUTION_TIMEOUT' : 'EXECUTION_ERROR';
+      error.stdout = result.stdout;
+      error.stderr = result.stderr;
+      throw error;
+    }
+
+    return { stdout: result.stdout, stderr: result.stderr, sandbox: mode };
+  }
+
+  async detectProjectLanguage(projectPath) {
+    try {
+      const files = await fs.readdir(projectPath);
+
+      if (files.includes('tsconfig.json')) return 'typescript';
+      if (files.includes('package.json')) return 'javascript';
+      if (files.includes('requirements.txt') || files.includes('pyproject.toml')) return 'python';
+      if (files.includes('go.mod')) return 'go';
+      if (files.includes('pom.xml') || files.includes('build.gradle')) return 'java';
+      if (files.includes('Cargo.toml')) return 'rust';
+    } catch {
+      // Unreadable project - fall through to the generic image
+    }
+
+    return 'shell';
   }
 
   async detectTestFramework(projectPath) {
@@ -500,10 +627,52 @@ ${code}
       
       return 'node'; // Default to basic node execution
     } catch {
-      return 'node';
+      return (await this.isPythonTestProject(projectPath)) ? 'pytest' : 'node';
     }
   }
 
+  async isPythonTestProject(projectPath) {
+    try {
+      const files = await fs.readdir(projectPath);
+      if (files.includes('pytest.ini') || files.includes('conftest.py')) return true;
+
+      for (const file of ['pyproject.toml', 'setup.cfg', 'requirements.txt', 'requirements-dev.txt']) {
+        if (files.includes(file) && (await fs.readFile(path.join(projectPath, file), 'utf8')).includes('pytest')) {
+          return true;
+        }
+      }
+    } catch {
+      // Unreadable project
+    }
+    return false;
+  }
+
+  /**
+   * Only request coverage when the runner can produce it without extra installs
+   */
+  async supportsCoverage(projectPath, framework) {
+    if (framework === 'jest') return true;
+
+    try {
+      if (framework === 'vitest') {
+        const packageJson = JSON.parse(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8'));
+        const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+        return Boolean(deps['@vitest/coverage-v8'] || deps['@vitest/coverage-istanbul']);
+      }
+
+      if (framework === 'pytest') {
+        const files = await fs.readdir(projectPath);
+        for (const file of files.filter(name => /^(requirements.*\.txt|pyproject\.toml|setup\.cfg)$/.test(name))) {
+          if ((await fs.readFile(path.join(projectPath, file), 'utf8')).includes('pytest-cov')) return true;
+        }
+      }
+    } catch {
+      // Missing manifest - run without coverage
+    }
+
+    return false;
+  }
+
   async detectBuildTool(projectPath) {
     const files = await fs.readdir(projectPath);
     
@@ -533,11 +702,16 @@ ${code}
     }
   }
 
-  getTestCommand(framework, pattern) {
+  getTestCommand(framework, pattern = null, { coverage = false } = {}) {
+    // The pattern is passed as a single quoted argument, never as shell syntax
+    const patternArg = pattern ? ` ${this.quoteShellArg(pattern)}` : '';
+
+    // Machine-readable reporters so ResultParser can report per-test results
     const commands = {
-      jest: `jest ${pattern}`,
-      mocha: `mocha ${pattern}`,
-      vitest: `vitest run`,
+      jest: `jest --json${coverage ? ' --coverage' : ''}${patternArg}`,
+      mocha: `mocha${patternArg}`,
+      vitest: `vitest run --reporter=json${coverage ? ' --coverage.enabled' : ''}`,
+      pytest: `python3 -m pytest -v -rfE${coverage ? ' --cov=. --cov-report=term' : ''}`,
       cypress: `cypress run`,
       node: `node -e "console.log('No tests configured')"`
     };
@@ -560,8 +734,8 @@ ${code}
 
   getLintCommand(linter, fix) {
     const commands = {
-      eslint: `eslint . ${fix ? '--fix' : ''}`,
-      prettier: `prettier --check . ${fix ? '--write' : ''}`,
+      eslint: `eslint . --format json ${fix ? '--fix' : ''}`,
+      prettier: fix ? 'prettier --write .' : 'prettier --check .',
       tslint: `tslint -p . ${fix ? '--fix' : ''}`,
       none: 'echo "No linter configured"'
     };
@@ -597,29 +771,11 @@ ${code}
   }
 
   parseTestResults(output, framework) {
-    // Basic parsing - could be enhanced for each framework
-    const passMatch = output.match(/(\d+) passing/);
-    const failMatch = output.match(/(\d+) failing/);
-    
-    return {
-      passed: passMatch ? parseInt(passMatch[1]) : 0,
-      failed: failMatch ? parseInt(failMatch[1]) : 0,
-      total: (passMatch ? parseInt(passMatch[1]) : 0) + (failMatch ? parseInt(failMatch[1]) : 0)
-    };
+    return this.resultParser.parseTestResults(output, framework);
   }
 
   parseLintResults(output, linter) {
-    // Basic parsing - could be enhanced for each linter
-    const lines = output.split('\n');
-    const issues = lines.filter(line => 
-      line.includes('error') || line.includes('warning')
-    ).length;
-    
-    return {
-      errors: lines.filter(l => l.includes('error')).length,
-      warnings: lines.filter(l => l.includes('warning')).length,
-      total: issues
-    };
+    return this.resultParser.parseLintResults(output, linter);
   }
 
   isCommandAllowed(command) {
@@ -649,7 +805,8 @@ ${code}
       python: 'python:3.9-alpine',
       java: 'openjdk:11-alpine',
       go: 'golang:1.19-alpine',
-      rust: 'rust:1.65-alpine'
+      rust: 'rust:1.65-alpine',
+      shell: 'bash:5'
     };
     
     return images[language] || 'alpine:latest';
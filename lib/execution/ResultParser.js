@@ -0,0 +1,513 @@
+/**
+ * Result Parser
+ * Turns raw test runner and linter output into structured results: totals,
+ * per-file and per-test outcomes with failure messages, and coverage summaries.
+ *
+ * Supported formats: Jest/Vitest JSON reporter, JUnit XML, pytest (-v -rfE),
+ * ESLint JSON formatter and `prettier --check`. Anything else falls back to the
+ * mocha-style "N passing / N failing" summary.
+ */
+
+const TEST_STATUS = {
+  passed: 'passed',
+  failed: 'failed',
+  pending: 'skipped',
+  skipped: 'skipped',
+  todo: 'skipped',
+  disabled: 'skipped',
+  focused: 'passed'
+};
+
+const PYTEST_STATUS = {
+  PASSED: 'passed',
+  XPASS: 'passed',
+  FAILED: 'failed',
+  ERROR: 'failed',
+  SKIPPED: 'skipped',
+  XFAIL: 'skipped'
+};
+
+export class ResultParser {
+  /**
+   * Parse test runner output
+   * @param {string} output - Runner stdout (stderr may be appended for text formats)
+   * @param {string} framework - Detected framework (jest, vitest, pytest, junit, mocha...)
+   * @returns {Object} { framework, format, passed, failed, skipped, total, duration, files, tests, coverage }
+   */
+  parseTestResults(output = '', framework = 'auto') {
+    const text = String(output || '');
+
+    if (framework === 'jest' || framework === 'vitest' || framework === 'auto') {
+      const report = this.extractJson(text, '{');
+      if (report && Array.isArray(report.testResults)) {
+        return this.parseJestJson(report, framework === 'auto' ? 'jest' : framework);
+      }
+    }
+
+    if (/<testsuites?[\s>]/.test(text)) {
+      return { ...this.parseJUnitXml(text), framework };
+    }
+
+    if (framework === 'pytest' || /=+ .*\b(passed|failed|error)\b.* in [\d.]+s/.test(text)) {
+      return this.parsePytest(text);
+    }
+
+    return this.parseSummaryText(text, framework);
+  }
+
+  /**
+   * Parse linter output
+   * @param {string} output - Linter stdout/stderr
+   * @param {string} linter - eslint | prettier | other
+   * @returns {Object} { linter, format, errors, warnings, total, fixable, files }
+   */
+  parseLintResults(output = '', linter = 'eslint') {
+    const text = String(output || '');
+
+    if (linter === 'eslint') {
+      const report = this.extractJson(text, '[');
+      if (Array.isArray(report)) {
+        return this.parseEslintJson(report);
+      }
+    }
+
+    if (linter === 'prettier') {
+      return this.parsePrettierCheck(text);
+    }
+
+    // Unknown formatter - count lines that mention errors or warnings
+    const lines = text.split('\n');
+    const errors = lines.filter(line => line.includes('error')).length;
+    const warnings = lines.filter(line => line.includes('warning')).length;
+
+    return { linter, format: 'text', errors, warnings, total: errors + warnings, fixable: 0, files: [] };
+  }
+
+  // ========== TEST FORMATS ==========
+
+  parseJestJson(report, framework) {
+    const tests = [];
+    const files = report.testResults.map(fileResult => {
+      const fileTests = (fileResult.assertionResults || []).map(assertion => ({
+        name: assertion.title,
+        fullName: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' '),
+        file: fileResult.name,
+        status: TEST_STATUS[assertion.status] || 'failed',
+        duration: assertion.duration ?? null,
+        failureMessages: (assertion.failureMessages || []).map(message => this.stripAnsi(message))
+      }));
+      tests.push(...fileTests);
+
+      const counts = this.countStatuses(fileTests);
+      return {
+        file: fileResult.name,
+        status: fileResult.status === 'passed' && counts.failed === 0 ? 'passed' : 'failed',
+        ...counts,
+        duration: fileResult.endTime && fileResult.startTime ? fileResult.endTime - fileResult.startTime : null,
+        // Suite-level failures (syntax errors, failed imports) carry no assertion results
+        message: fileResult.message ? this.stripAnsi(fileResult.message) : null
+      };
+    });
+
+    const counts = this.countStatuses(tests);
+    const failedSuites = files.filter(file => file.status === 'failed' && file.failed === 0).length;
+
+    return {
+      framework,
+      format: 'json',
+      passed: report.numPassedTests ?? counts.passed,
+      failed: (report.numFailedTests ?? counts.failed) + failedSuites,
+      skipped: report.numPendingTests !== undefined
+        ? report.numPendingTests + (report.numTodoTests || 0)
+        : counts.skipped,
+      total: (report.numTotalTests ?? tests.length) + failedSuites,
+      duration: files.reduce((sum, file) => sum + (file.duration || 0), 0) || null,
+      files,
+      tests,
+      coverage: report.coverageMap ? this.summarizeCoverageMap(report.coverageMap) : null
+    };
+  }
+
+  parseJUnitXml(xml) {
+    const tests = [];
+    const testcasePattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+    for (const match of xml.matchAll(testcasePattern)) {
+      const attributes = this.parseXmlAttributes(match[1]);
+      const body = match[2] || '';
+      const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+
+      let status = 'passed';
+      if (failure) status = 'failed';
+      else if (/<skipped\b/.test(body)) status = 'skipped';
+
+      const failureAttributes = failure ? this.parseXmlAttributes(failure[2]) : {};
+      const failureMessages = failure
+        ? [[failureAttributes.message, this.decodeXml(this.stripCdata(failure[3] || '')).trim()].filter(Boolean).join('\n')]
+        : [];
+
+      tests.push({
+        name: attributes.name,
+        fullName: attributes.classname ? `${attributes.classname} ${attributes.name}` : attributes.name,
+        file: attributes.file || attributes.classname || null,
+        status,
+        duration: attributes.time ? Math.round(parseFloat(attributes.time) * 1000) : null,
+        failureMessages
+      });
+    }
+
+    const counts = this.countStatuses(tests);
+    return {
+      framework: 'junit',
+      format: 'junit',
+      ...counts,
+      total: tests.length,
+      duration: tests.reduce((sum, test) => sum + (test.duration || 0), 0) || null,
+      files: this.groupTestsByFile(tests),
+      tests,
+      coverage: null
+    };
+  }
+
+  parsePytest(text) {
+    const tests = new Map();
+    const lines = text.split('\n');
+
+    // Verbose lines: tests/test_api.py::test_login PASSED [ 50%]
+    for (const line of lines) {
+      const match = line.match(/^(\S+?\.py)::(\S.*?)\s+(PASSED|FAILED|ERROR|SKIPPED|XFAIL|XPASS)\b/);
+      if (match) {
+        const [, file, name, outcome] = match;
+        tests.set(`${file}::${name}`, {
+          name,
+          fullName: `${file}::${name}`,
+          file,
+          status: PYTEST_STATUS[outcome],
+          duration: null,
+          failureMessages: []
+        });
+      }
+    }
+
+    // Failure tracebacks: ____ test_login ____ blocks in the FAILURES/ERRORS sections
+    const failureSections = text.split(/^=+ (?:FAILURES|ERRORS) =+$/m).slice(1);
+    for (const section of failureSections) {
+      const body = section.split(/^=+ .* =+$/m)[0];
+      const blocks = body.split(/^_{3,} (.+?) _{3,}$/m);
+      for (let i = 1; i < blocks.length; i += 2) {
+        const title = blocks[i].replace(/^ERROR (?:at \w+ of )?/, '');
+        const test = [...tests.values()].find(candidate => candidate.name === title || candidate.fullName.endsWith(`::${title}`));
+        if (test) test.failureMessages.push(blocks[i + 1].trim());
+      }
+    }
+
+    // Short summary (-rfE): FAILED tests/test_api.py::test_login - AssertionError: ...
+    for (const line of lines) {
+      const match = line.match(/^(FAILED|ERROR) (\S+?::\S+)(?: - (.*))?$/);
+      if (!match) continue;
+      const test = tests.get(match[2]);
+      if (test && test.failureMessages.length === 0 && match[3]) {
+        test.failureMessages.push(match[3]);
+      }
+    }
+
+    const testList = [...tests.values()];
+    const summary = this.parsePytestSummary(text);
+    const counts = this.countStatuses(testList);
+
+    return {
+      framework: 'pytest',
+      format: 'pytest',
+      passed: summary.passed ?? counts.passed,
+      failed: summary.failed ?? counts.failed,
+      skipped: summary.skipped ?? counts.skipped,
+      total: summary.total ?? testList.length,
+      duration: summary.duration,
+      files: this.groupTestsByFile(testList),
+      tests: testList,
+      coverage: this.parsePytestCoverage(text)
+    };
+  }
+
+  parsePytestSummary(text) {
+    const summaryLine = text.match(/^=+ (.*\b(?:passed|failed|error|errors|skipped)\b.*?) in ([\d.]+)s/m);
+    if (!summaryLine) return { duration: null };
+
+    const count = (pattern) => {
+      const match = summaryLine[1].match(new RegExp(`(\\d+) ${pattern}`));
+      return match ? parseInt(match[1], 10) : 0;
+    };
+
+    const passed = count('passed') + count('xpassed');
+    const failed = count('failed') + count('errors?');
+    const skipped = count('skipped') + count('xfailed');
+
+    return {
+      passed,
+      failed,
+      skipped,
+      total: passed + failed + skipped,
+      duration: Math.round(parseFloat(summaryLine[2]) * 1000)
+    };
+  }
+
+  /**
+   * pytest-cov terminal report: "TOTAL    120     30    75%"
+   */
+  parsePytestCoverage(text) {
+    const total = text.match(/^TOTAL\s+\d+\s+\d+(?:\s+\d+\s+\d+)?\s+(\d+(?:\.\d+)?)%/m);
+    if (!total) return null;
+    const percent = parseFloat(total[1]);
+    return { lines: percent, statements: percent, functions: null, branches: null };
+  }
+
+  parseSummaryText(text, framework) {
+    const count = (pattern) => {
+      const match = text.match(pattern);
+      return match ? parseInt(match[1], 10) : 0;
+    };
+
+    const passed = count(/(\d+) passing/);
+    const failed = count(/(\d+) failing/);
+    const skipped = count(/(\d+) pending/);
+
+    return {
+      framework,
+      format: 'text',
+      passed,
+      failed,
+      skipped,
+      total: passed + failed + skipped,
+      duration: null,
+      files: [],
+      tests: [],
+      coverage: this.parseCoverageText(text)
+    };
+  }
+
+  /**
+   * Istanbul text summary ("All files | 85.5 | 70 | 90 | 86") or "NN% coverage"
+   */
+  parseCoverageText(text) {
+    const table = text.match(/All files\s*\|\s*([\d.]+)\s*\|\s*([\d.]+)\s*\|\s*([\d.]+)\s*\|\s*([\d.]+)/);
+    if (table) {
+      return {
+        statements: parseFloat(table[1]),
+        branches: parseFloat(table[2]),
+        functions: parseFloat(table[3]),
+        lines: parseFloat(table[4])
+      };
+    }
+
+    const simple = text.match(/(\d+(?:\.\d+)?)%\s+coverage/i);
+    if (simple) {
+      const percent = parseFloat(simple[1]);
+      return { lines: percent, statements: percent, functions: null, branches: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Summarize an Istanbul coverage map (as embedded by `jest --json --coverage`)
+   */
+  summarizeCoverageMap(coverageMap) {
+    const totals = {
+      statements: [0, 0],
+      functions: [0, 0],
+      branches: [0, 0],
+      lines: [0, 0]
+    };
+
+    for (const entry of Object.values(coverageMap)) {
+      const data = entry?.data || entry;
+      if (!data?.s) continue;
+
+      Object.values(data.s).forEach(hits => this.tally(totals.statements, hits));
+      Object.values(data.f || {}).forEach(hits => this.tally(totals.functions, hits));
+      Object.values(data.b || {}).forEach(branch => branch.forEach(hits => this.tally(totals.branches, hits)));
+
+      // A line counts as covered when any statement starting on it ran
+      const lines = new Map();
+      Object.entries(data.statementMap || {}).forEach(([id, location]) => {
+        const line = location.start.line;
+        lines.set(line, (lines.get(line) || 0) + (data.s[id] || 0));
+      });
+      lines.forEach(hits => this.tally(totals.lines, hits));
+    }
+
+    const percent = ([covered, total]) => (total === 0 ? 100 : Math.round((covered / total) * 10000) / 100);
+
+    return {
+      statements: percent(totals.statements),
+      functions: percent(totals.functions),
+      branches: percent(totals.branches),
+      lines: percent(totals.lines)
+    };
+  }
+
+  // ========== LINT FORMATS ==========
+
+  parseEslintJson(report) {
+    const files = report
+      .filter(file => file.messages?.length > 0)
+      .map(file => ({
+        file: file.filePath,
+        errors: file.errorCount ?? file.messages.filter(message => message.severity === 2).length,
+        warnings: file.warningCount ?? file.messages.filter(message => message.severity === 1).length,
+        messages: file.messages.map(message => ({
+          line: message.line ?? null,
+          column: message.column ?? null,
+          severity: message.severity === 2 || message.fatal ? 'error' : 'warning',
+          rule: message.ruleId || null,
+          message: message.message
+        }))
+      }));
+
+    const errors = files.reduce((sum, file) => sum + file.errors, 0);
+    const warnings = files.reduce((sum, file) => sum + file.warnings, 0);
+
+    return {
+      linter: 'eslint',
+      format: 'json',
+      errors,
+      warnings,
+      total: errors + warnings,
+      fixable: report.reduce((sum, file) => sum + (file.fixableErrorCount || 0) + (file.fixableWarningCount || 0), 0),
+      files
+    };
+  }
+
+  /**
+   * `prettier --check` lists each unformatted file as "[warn] path" and files it
+   * cannot parse as "[error] path: SyntaxError ...". Both fail the check.
+   */
+  parsePrettierCheck(text) {
+    const files = [];
+
+    for (const line of text.split('\n')) {
+      const unformatted = line.match(/^\[warn\] (.+)$/);
+      if (unformatted && !/Code style issues|Run Prettier/.test(unformatted[1])) {
+        files.push({
+          file: unformatted[1].trim(),
+          errors: 1,
+          warnings: 0,
+          messages: [{ line: null, column: null, severity: 'error', rule: 'prettier/format', message: 'File is not formatted' }]
+        });
+        continue;
+      }
+
+      const syntaxError = line.match(/^\[error\] ([^:]+): (.+?)(?: \((\d+):(\d+)\))?$/);
+      if (syntaxError && !/No files matching|No parser/.test(line)) {
+        files.push({
+          file: syntaxError[1].trim(),
+          errors: 1,
+          warnings: 0,
+          messages: [{
+            line: syntaxError[3] ? parseInt(syntaxError[3], 10) : null,
+            column: syntaxError[4] ? parseInt(syntaxError[4], 10) : null,
+            severity: 'error',
+            rule: 'prettier/syntax',
+            message: syntaxError[2]
+          }]
+        });
+      }
+    }
+
+    return {
+      linter: 'prettier',
+      format: 'prettier',
+      errors: files.length,
+      warnings: 0,
+      total: files.length,
+      fixable: files.filter(file => file.messages[0].rule === 'prettier/format').length,
+      files
+    };
+  }
+
+  // ========== HELPERS ==========
+
+  /**
+   * Pull a JSON document out of output that may have log lines around it
+   */
+  extractJson(text, opener) {
+    const trimmed = text.trim();
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      // Fall through to searching for the document boundaries
+    }
+
+    const closer = opener === '{' ? '}' : ']';
+    const start = trimmed.indexOf(opener === '{' ? '{"' : '[{');
+    const end = trimmed.lastIndexOf(closer);
+    if (start === -1 || end <= start) return null;
+
+    try {
+      return JSON.parse(trimmed.slice(start, end + 1));
+    } catch {
+      return null;
+    }
+  }
+
+  countStatuses(tests) {
+    return {
+      passed: tests.filter(test => test.status === 'passed').length,
+      failed: tests.filter(test => test.status === 'failed').length,
+      skipped: tests.filter(test => test.status === 'skipped').length
+    };
+  }
+
+  groupTestsByFile(tests) {
+    const byFile = new Map();
+    tests.forEach(test => {
+      const key = test.file || 'unknown';
+      if (!byFile.has(key)) byFile.set(key, []);
+      byFile.get(key).push(test);
+    });
+
+    return [...byFile.entries()].map(([file, fileTests]) => {
+      const counts = this.countStatuses(fileTests);
+      return {
+        file,
+        status: counts.failed > 0 ? 'failed' : 'passed',
+        ...counts,
+        duration: fileTests.reduce((sum, test) => sum + (test.duration || 0), 0) || null,
+        message: null
+      };
+    });
+  }
+
+  tally(bucket, hits) {
+    bucket[1] += 1;
+    if (hits > 0) bucket[0] += 1;
+  }
+
+  parseXmlAttributes(source = '') {
+    const attributes = {};
+    for (const match of source.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+      attributes[match[1]] = this.decodeXml(match[2]);
+    }
+    return attributes;
+  }
+
+  stripCdata(text) {
+    return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  }
+
+  decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&amp;/g, '&');
+  }
+
+  stripAnsi(text) {
+    return String(text).replace(/\u001b\[[0-9;]*m/g, '');
+  }
+}
+
+export default ResultParser;
@@ -0,0 +1,326 @@
+/**
+ * Sandbox Runner
+ * Runs untrusted commands either inside a throwaway Docker container or, on hosts
+ * without Docker, as a resource-limited process in its own namespaces.
+ *
+ * The process sandbox uses unshare for new network and pid namespaces. Without root it also
+ * enters an unprivileged user namespace (`unshare -r`), so it works for any user on kernels that
+ * allow those; as root it drops to `sandboxUid` with setpriv instead. Where namespaces are not
+ * available it refuses to run, unless unisolated processes were allowed explicitly with
+ * `allowUnisolated` or SANDBOX_ALLOW_UNISOLATED=true.
+ */
+
+import { spawn, execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// Output kept in memory per stream; the rest is still streamed to onOutput
+const MAX_BUFFER = 10 * 1024 * 1024;
+
+// Environment passed through to sandboxed processes - everything else (API keys,
+// database URLs, tokens) stays on the host
+const PASSTHROUGH_ENV = ['PATH', 'LANG', 'LC_ALL', 'TZ'];
+
+export class SandboxRunner {
+  constructor(options = {}) {
+    this.options = {
+      maxMemory: options.maxMemory || '1g',
+      cpus: options.cpus || '1',
+      pidsLimit: options.pidsLimit || 256,
+      maxFileSize: options.maxFileSize || '512m',
+      network: options.network || false,
+      sandboxUid: options.sandboxUid ?? 65534, // nobody
+      sandboxGid: options.sandboxGid ?? 65534,
+      allowUnisolated: options.allowUnisolated ?? process.env.SANDBOX_ALLOW_UNISOLATED === 'true',
+      workspaceRoot: options.workspaceRoot || path.join(os.tmpdir(), 'bmad-execution'),
+      ...options
+    };
+
+    this.dockerAvailable = null;
+    this.namespaceIsolationAvailable = null;
+  }
+
+  /**
+   * Check (once) whether a Docker daemon is reachable
+   */
+  async isDockerAvailable() {
+    if (this.dockerAvailable === null) {
+      try {
+        await execFileAsync('docker', ['info', '--format', '{{.ServerVersion}}'], { timeout: 5000 });
+        this.dockerAvailable = true;
+      } catch {
+        this.dockerAvailable = false;
+      }
+    }
+    return this.dockerAvailable;
+  }
+
+  /**
+   * Pick the strongest sandbox this host supports
+   * @param {string} requested - 'docker' | 'process' | 'none' | 'auto'
+   */
+  async resolveMode(requested = 'auto') {
+    if (requested !== 'auto') {
+      if (requested === 'docker' && !(await this.isDockerAvailable())) {
+        throw new Error('Docker sandbox requested but Docker is not available');
+      }
+      return requested;
+    }
+
+    return (await this.isDockerAvailable()) ? 'docker' : 'process';
+  }
+
+  /**
+   * Run a shell command inside a container with the workspace mounted read-write
+   * @param {string} command - Shell command to run inside the container
+   * @param {Object} params - { image, workspace, environment, timeout, onOutput }
+   */
+  async runDocker(command, params) {
+    const { image, workspace, environment = {}, timeout, onOutput } = params;
+    const containerName = `bmad-exec-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+    const args = [
+      'run', '--rm',
+      '--name', containerName,
+      '--network', this.options.network ? 'bridge' : 'none',
+      '--memory', String(this.options.maxMemory),
+      '--memory-swap', String(this.options.maxMemory),
+      '--cpus', String(this.options.cpus),
+      '--pids-limit', String(this.options.pidsLimit),
+      '--cap-drop', 'ALL',
+      '--security-opt', 'no-new-privileges',
+      '--user', `${process.getuid?.() ?? 1000}:${process.getgid?.() ?? 1000}`,
+      '-v', `${path.resolve(workspace)}:/workspace:rw`,
+      '-w', '/workspace',
+      '-e', 'HOME=/tmp',
+      '-e', 'CI=1',
+      ...Object.entries(environment).flatMap(([key, value]) => ['-e', `${key}=${value}`]),
+      image,
+      'sh', '-c', command
+    ];
+
+    logger.info(`🐳 [Sandbox] Running in ${image} (${containerName}): ${command}`);
+
+    return await this.spawnWithTimeout('docker', args, {
+      timeout,
+      onOutput,
+      onTimeout: () => execFile('docker', ['kill', containerName], () => {})
+    });
+  }
+
+  /**
+   * Run a shell command as an isolated process with rlimits and a scrubbed environment.
+   * The command runs in new pid and (unless network access is enabled) network namespaces,
+   * in a user namespace when the server is not root, or as `sandboxUid` when it is.
+   * @param {string} command - Shell command to run
+   * @param {Object} params - { workspace, environment, timeout, onOutput }
+   * @throws {Error} when the host cannot isolate the process and unisolated runs are not allowed
+   */
+  async runProcess(command, params) {
+    const { workspace, environment = {}, timeout, onOutput } = params;
+    const isRoot = process.getuid?.() === 0;
+    const isolated = await this.isNamespaceIsolationAvailable(isRoot);
+
+    if (!isolated) {
+      if (!this.options.allowUnisolated) {
+        throw new Error('Process sandbox cannot create namespaces (unshare, unprivileged user namespaces) to isolate the process. Use the Docker sandbox, or set SANDBOX_ALLOW_UNISOLATED=true to run code without it.');
+      }
+      logger.warn(`⚠️ [Sandbox] Running without namespace isolation${isRoot ? '' : ' as the server user'} because unisolated runs are allowed`);
+    }
+
+    if (isRoot) {
+      await this.chownRecursive(workspace, this.options.sandboxUid, this.options.sandboxGid);
+    }
+
+    const limits = [
+      `ulimit -v ${Math.floor(this.parseSize(this.options.maxMemory) / 1024)}`,
+      `ulimit -f ${Math.floor(this.parseSize(this.options.maxFileSize) / 1024)}`,
+      `ulimit -t ${Math.max(1, Math.ceil(timeout / 1000))}`,
+      'ulimit -n 1024'
+    ].join(' && ');
+
+    let file = 'sh';
+    let args = ['-c', `${limits} && ${command}`];
+    let dropPrivileges = isRoot;
+
+    if (isolated) {
+      args = [...this.namespaceArgs(isRoot), file, ...args];
+      file = 'unshare';
+      dropPrivileges = false;
+    }
+
+    const env = { HOME: workspace, TMPDIR: workspace, CI: '1', ...environment };
+    PASSTHROUGH_ENV.forEach(key => {
+      if (process.env[key] && !env[key]) env[key] = process.env[key];
+    });
+
+    const identity = isRoot ? `uid ${this.options.sandboxUid}` : (isolated ? 'user namespace' : 'current user');
+    logger.info(`🔒 [Sandbox] Running as ${identity}: ${command}`);
+
+    return await this.spawnWithTimeout(file, args, {
+      cwd: workspace,
+      env,
+      timeout,
+      onOutput,
+      ...(dropPrivileges && { uid: this.options.sandboxUid, gid: this.options.sandboxGid }),
+      detached: true // own process group so a timeout kills the whole tree
+    });
+  }
+
+  /**
+   * Copy a project into a fresh temporary workspace
+   * node_modules directories are symlinked rather than copied, so they are shared with the project.
+   * @returns {Promise<string>} Path to the copy
+   */
+  async createTempWorkspace(sourcePath) {
+    const workspace = path.join(this.options.workspaceRoot, `sandbox_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`);
+    const linked = [];
+
+    await fs.mkdir(workspace, { recursive: true });
+    await fs.cp(sourcePath, workspace, {
+      recursive: true,
+      filter: (source) => {
+        const name = path.basename(source);
+        if (name === 'node_modules') {
+          linked.push(source);
+          return false;
+        }
+        return name !== '.git';
+      }
+    });
+
+    for (const source of linked) {
+      await fs.symlink(path.resolve(source), path.join(workspace, path.relative(sourcePath, source)), 'dir');
+    }
+    return workspace;
+  }
+
+  /**
+   * Copy files changed in the sandbox (e.g. `eslint --fix`) back to the project
+   */
+  async syncBack(workspace, targetPath) {
+    await fs.cp(workspace, targetPath, {
+      recursive: true,
+      force: true,
+      filter: (source) => !source.split(path.sep).includes('node_modules')
+    });
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  spawnWithTimeout(file, args, { timeout, onOutput, onTimeout, ...spawnOptions }) {
+    const startTime = Date.now();
+
+    return new Promise((resolve) => {
+      const child = spawn(file, args, { ...spawnOptions, stdio: ['ignore', 'pipe', 'pipe'] });
+      const output = { stdout: '', stderr: '' };
+      let timedOut = false;
+
+      const collect = (stream) => (chunk) => {
+        const text = chunk.toString();
+        if (output[stream].length < MAX_BUFFER) {
+          output[stream] += text.slice(0, MAX_BUFFER - output[stream].length);
+        }
+        if (onOutput) {
+          try {
+            onOutput(stream, text);
+          } catch (error) {
+            logger.warn(`⚠️ [Sandbox] Output listener failed: ${error.message}`);
+          }
+        }
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      const timer = timeout ? setTimeout(() => {
+        timedOut = true;
+        logger.warn(`⏱️ [Sandbox] Command exceeded ${timeout}ms, terminating`);
+        if (onTimeout) onTimeout();
+        try {
+          // Negative pid targets the whole process group when detached
+          process.kill(spawnOptions.detached ? -child.pid : child.pid, 'SIGKILL');
+        } catch {
+          child.kill('SIGKILL');
+        }
+      }, timeout) : null;
+
+      const finish = (exitCode, error) => {
+        if (timer) clearTimeout(timer);
+        resolve({
+          stdout: output.stdout,
+          stderr: error ? `${output.stderr}${error.message}` : output.stderr,
+          exitCode,
+          duration: Date.now() - startTime,
+          timedOut,
+          ...(timedOut && { error: `Execution timed out after ${timeout}ms` })
+        });
+      };
+
+      child.on('error', (error) => finish(127, error));
+      child.on('close', (code, signal) => finish(code ?? (signal ? 137 : 1)));
+    });
+  }
+
+  setprivArgs() {
+    return ['setpriv', `--reuid=${this.options.sandboxUid}`, `--regid=${this.options.sandboxGid}`, '--clear-groups'];
+  }
+
+  /**
+   * unshare arguments up to the command: root enters the namespaces first and drops the uid after,
+   * other users need a user namespace (mapped to root inside it) to create the others
+   */
+  namespaceArgs(isRoot) {
+    return [
+      ...(isRoot ? [] : ['--user', '--map-root-user']),
+      ...(this.options.network ? [] : ['--net']),
+      '--pid', '--fork', '--mount-proc',
+      ...(isRoot ? this.setprivArgs() : [])
+    ];
+  }
+
+  async isNamespaceIsolationAvailable(isRoot) {
+    if (this.namespaceIsolationAvailable === null) {
+      try {
+        await execFileAsync('unshare', [...this.namespaceArgs(isRoot), 'true'], { timeout: 5000 });
+        this.namespaceIsolationAvailable = true;
+      } catch {
+        this.namespaceIsolationAvailable = false;
+      }
+    }
+    return this.namespaceIsolationAvailable;
+  }
+
+  async chownRecursive(target, uid, gid) {
+    await fs.chown(target, uid, gid);
+    const entries = await fs.readdir(target, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(target, entry.name);
+      if (entry.isDirectory()) {
+        await this.chownRecursive(entryPath, uid, gid);
+      } else if (!entry.isSymbolicLink()) {
+        await fs.chown(entryPath, uid, gid);
+      }
+    }
+  }
+
+  /**
+   * Convert Docker-style sizes ('512m', '1g') to bytes
+   */
+  parseSize(size) {
+    const match = String(size).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/);
+    if (!match) {
+      throw new Error(`Invalid size: ${size}`);
+    }
+    const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+    return Math.floor(parseFloat(match[1]) * units[match[2]]);
+  }
+}
+
+export default SandboxRunner;
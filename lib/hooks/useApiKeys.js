@@ -38,6 +38,8 @@ export function useApiKeys() {
         setApiKeys({
           hasOpenai: data.apiKeys?.hasOpenai || false,
           hasGemini: data.apiKeys?.hasGemini || false,
+          hasAnthropic: data.apiKeys?.hasAnthropic || false,
+          hasOpenaiCompatible: data.apiKeys?.hasOpenaiCompatible || false,
           loading: false,
           error: null,
           updatedAt: data.apiKeys?.updatedAt
@@ -56,7 +58,7 @@ export function useApiKeys() {
     fetchApiKeys();
   }, [session, status]);
 
-  const hasAnyKeys = apiKeys.hasOpenai || apiKeys.hasGemini;
+  const hasAnyKeys = apiKeys.hasOpenai || apiKeys.hasGemini || apiKeys.hasAnthropic || apiKeys.hasOpenaiCompatible;
   const missingProviders = [];
   
   if (!apiKeys.hasOpenai) missingProviders.push('openai');
@@ -0,0 +1,284 @@
+/**
+ * GitHub Webhook Service
+ * Verifies signed GitHub webhook deliveries and launches the BMAD workflows mapped to them
+ *
+ * Mappings live on the user's GitHub integration (Integration.config.webhook):
+ *   {
+ *     secret: 'webhook secret',                   // falls back to GITHUB_WEBHOOK_SECRET
+ *     rules: [
+ *       { event: 'issues.labeled', label: 'bmad:bugfix', workflow: 'bug-fix-workflow', repository: 'owner/name' },
+ *       { event: 'pull_request.opened', workflow: 'code-review-workflow', branch: 'main' },
+ *       { event: 'push', branch: 'main', workflow: 'brownfield-fullstack' }
+ *     ]
+ *   }
+ * A rule without a repository applies to every repository the integration receives events for.
+ * Workflows run as the integration's owner, with the issue or pull request body as the prompt.
+ *
+ * Integrations without their own secret are verified with the server-wide GITHUB_WEBHOOK_SECRET,
+ * which anyone's repository can send deliveries with. For those only rules with a repository
+ * run, and only when that repository is owned by the integration user's GitHub account.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { pluginManager } from './plugin-architecture.js';
+import logger from '../utils/logger.js';
+
+export const SUPPORTED_EVENTS = ['issues.labeled', 'pull_request.opened', 'push'];
+
+export class GitHubWebhookService {
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+  }
+
+  /**
+   * Check an X-Hub-Signature-256 header ('sha256=<hex>') against the raw request body
+   */
+  static verifySignature(rawBody, signature, secret) {
+    if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = Buffer.from(`sha256=${createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+    const received = Buffer.from(signature);
+    return expected.length === received.length && timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Validate webhook rules before they are saved on an integration
+   * @throws {Error} naming the first invalid rule
+   */
+  static normalizeRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('rules must be an array');
+    }
+
+    return rules.map((rule, index) => {
+      const where = `rules[${index}]`;
+      if (!SUPPORTED_EVENTS.includes(rule?.event)) {
+        throw new Error(`${where}.event must be one of ${SUPPORTED_EVENTS.join(', ')}`);
+      }
+      // Template ids become file names in .bmad-core/workflows
+      if (typeof rule.workflow !== 'string' || !/^[\w-]+$/.test(rule.workflow)) {
+        throw new Error(`${where}.workflow must be a workflow template id`);
+      }
+      if (rule.repository && !/^[\w.-]+\/[\w.-]+$/.test(rule.repository)) {
+        throw new Error(`${where}.repository must look like owner/name`);
+      }
+
+      return {
+        event: rule.event,
+        workflow: rule.workflow,
+        ...(rule.repository && { repository: rule.repository }),
+        ...(rule.label && rule.event === 'issues.labeled' && { label: String(rule.label) }),
+        ...(rule.branch && rule.event !== 'issues.labeled' && { branch: String(rule.branch) })
+      };
+    });
+  }
+
+  /**
+   * 'issues' + action 'labeled' -> 'issues.labeled'; push deliveries carry no action
+   */
+  static eventKey(event, payload) {
+    return payload?.action ? `${event}.${payload.action}` : event;
+  }
+
+  /**
+   * Rules of one integration that apply to a delivery
+   */
+  static matchRules(rules, eventKey, payload) {
+    const repository = payload.repository?.full_name?.toLowerCase();
+
+    return (Array.isArray(rules) ? rules : []).filter(rule => {
+      if (!rule?.workflow || rule.event !== eventKey) return false;
+      if (rule.repository && rule.repository.toLowerCase() !== repository) return false;
+
+      switch (eventKey) {
+        case 'issues.labeled':
+          return !rule.label || rule.label === payload.label?.name;
+        case 'pull_request.opened':
+          return !rule.branch || rule.branch === payload.pull_request?.base?.ref;
+        case 'push':
+          return !payload.deleted && (!rule.branch || `refs/heads/${rule.branch}` === payload.ref);
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Workflow prompt for a delivery: the issue or pull request itself, or the pushed commits
+   */
+  static buildPrompt(eventKey, payload) {
+    const repository = payload.repository?.full_name;
+
+    if (eventKey === 'push') {
+      const branch = payload.ref?.replace('refs/heads/', '');
+      const commits = (payload.commits || []).map(commit => `- ${commit.id?.slice(0, 7)} ${commit.message}`);
+      return [`Changes were pushed to ${branch} in ${repository}.`, '', 'Commits:', ...commits].join('\n');
+    }
+
+    const item = eventKey === 'issues.labeled' ? payload.issue : payload.pull_request;
+    const kind = eventKey === 'issues.labeled' ? 'Issue' : 'Pull request';
+    return [
+      `${kind} #${item.number} in ${repository}: ${item.title}`,
+      '',
+      item.body?.trim() || '(no description)',
+      '',
+      `Source: ${item.html_url}`
+    ].join('\n');
+  }
+
+  /**
+   * Handle one webhook delivery
+   * @param {Object} delivery - { event, deliveryId, signature, rawBody } from the request headers and body
+   * @returns {Promise<Object>} { status, ... } where status is an HTTP status for the route
+   */
+  async handleDelivery({ event, deliveryId, signature, rawBody }) {
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      return { status: 400, error: 'Invalid JSON payload' };
+    }
+
+    const integrations = await this.findVerifiedIntegrations(rawBody, signature);
+    if (integrations.length === 0) {
+      logger.warn(`⚠️ [GITHUB WEBHOOK] Rejected ${event} delivery ${deliveryId}: signature did not verify`);
+      return { status: 401, error: 'Invalid signature' };
+    }
+
+    if (event === 'ping') {
+      return { status: 200, event, message: 'pong' };
+    }
+
+    const eventKey = GitHubWebhookService.eventKey(event, payload);
+    if (!SUPPORTED_EVENTS.includes(eventKey)) {
+      return { status: 202, event: eventKey, launched: [], message: 'Event ignored' };
+    }
+
+    if (deliveryId && await this.isRedelivery(deliveryId)) {
+      logger.info(`🔁 [GITHUB WEBHOOK] Delivery ${deliveryId} already handled`);
+      return { status: 200, event: eventKey, launched: [], message: 'Delivery already handled' };
+    }
+
+    const launched = [];
+    for (const verified of integrations) {
+      for (const rule of await this.rulesFor(verified, eventKey, payload)) {
+        launched.push(await this.launchWorkflow(verified.integration, rule, { eventKey, deliveryId, payload }));
+      }
+    }
+
+    await pluginManager.triggerHook(`github.${eventKey}`, { deliveryId, payload, launched });
+
+    logger.info(`🐙 [GITHUB WEBHOOK] ${eventKey} on ${payload.repository?.full_name}: ${launched.filter(run => run.workflowId).length}/${launched.length} workflow(s) started`);
+    return { status: 202, event: eventKey, launched };
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  /**
+   * Active GitHub integrations with webhook rules whose secret signed this delivery
+   * @returns {Promise<Object[]>} { integration, sharedSecret } - sharedSecret when only
+   *   GITHUB_WEBHOOK_SECRET verified it because the integration has no secret of its own
+   */
+  async findVerifiedIntegrations(rawBody, signature) {
+    const { default: Integration } = await import('../database/models/Integration.js');
+    const integrations = await Integration.find({
+      pluginId: 'github',
+      isActive: true,
+      'config.webhook.rules.0': { $exists: true }
+    }).lean();
+
+    return integrations
+      .map(integration => ({ integration, sharedSecret: !integration.config.webhook.secret }))
+      .filter(({ integration, sharedSecret }) => GitHubWebhookService.verifySignature(
+        rawBody,
+        signature,
+        sharedSecret ? process.env.GITHUB_WEBHOOK_SECRET : integration.config.webhook.secret
+      ));
+  }
+
+  /**
+   * Rules of a verified integration to run for a delivery
+   */
+  async rulesFor({ integration, sharedSecret }, eventKey, payload) {
+    const rules = GitHubWebhookService.matchRules(integration.config?.webhook?.rules, eventKey, payload);
+    if (!sharedSecret || rules.length === 0) {
+      return rules;
+    }
+
+    const pinned = rules.filter(rule => rule.repository);
+    if (pinned.length === 0 || !(await this.ownsRepository(integration.userId, payload.repository))) {
+      logger.warn(`⚠️ [GITHUB WEBHOOK] Skipped ${rules.length} rule(s) of integration ${integration._id}: without a webhook secret of its own, only rules for the user's repositories run (got ${payload.repository?.full_name})`);
+      return [];
+    }
+    return pinned;
+  }
+
+  async ownsRepository(userId, repository) {
+    if (repository?.owner?.id === undefined) {
+      return false;
+    }
+    const { default: User } = await import('../database/models/User.js');
+    const user = await User.findById(userId).select('githubId').lean();
+    return Boolean(user?.githubId) && String(user.githubId) === String(repository.owner.id);
+  }
+
+  async isRedelivery(deliveryId) {
+    const { default: Workflow } = await import('../database/models/Workflow.js');
+    return Boolean(await Workflow.exists({ 'trigger.github.deliveryId': deliveryId }));
+  }
+
+  async launchWorkflow(integration, rule, { eventKey, deliveryId, payload }) {
+    const userId = integration.userId.toString();
+    const repository = payload.repository?.full_name;
+    const item = payload.issue || payload.pull_request;
+    const target = item ? `#${item.number}` : payload.ref?.replace('refs/heads/', '');
+
+    try {
+      try {
+        await this.orchestrator.aiService?.initialize(null, userId);
+      } catch (aiError) {
+        logger.warn(`⚠️ [GITHUB WEBHOOK] AIService initialization failed for ${userId}: ${aiError.message}`);
+      }
+
+      const result = await this.orchestrator.startWorkflow(GitHubWebhookService.buildPrompt(eventKey, payload), {
+        sequence: rule.workflow,
+        userId,
+        name: `${repository} ${target}: ${item?.title || eventKey}`,
+        description: `Started by GitHub ${eventKey} on ${repository}`,
+        tags: ['github', eventKey],
+        trigger: {
+          source: 'github_webhook',
+          github: {
+            event: eventKey,
+            deliveryId,
+            repository,
+            number: item?.number,
+            ref: payload.ref || item?.head?.ref,
+            label: payload.label?.name,
+            url: item?.html_url || payload.compare,
+            sender: payload.sender?.login
+          }
+        }
+      });
+
+      await this.touchIntegration(integration._id);
+      return { integrationId: integration._id.toString(), workflow: rule.workflow, workflowId: result.workflowId };
+    } catch (error) {
+      logger.error(`❌ [GITHUB WEBHOOK] Could not start ${rule.workflow} for ${repository} ${target}: ${error.message}`);
+      return { integrationId: integration._id.toString(), workflow: rule.workflow, error: error.message };
+    }
+  }
+
+  async touchIntegration(integrationId) {
+    try {
+      const { default: Integration } = await import('../database/models/Integration.js');
+      await Integration.updateOne({ _id: integrationId }, { lastUsed: new Date() });
+    } catch (error) {
+      logger.warn(`⚠️ [GITHUB WEBHOOK] Could not update integration ${integrationId}: ${error.message}`);
+    }
+  }
+}
+
+export default GitHubWebhookService;
@@ -0,0 +1,333 @@
+/**
+ * Integration Event Bus
+ * Typed workflow lifecycle events, published through the PluginManager hook system and
+ * delivered to the integrations that subscribe to them
+ *
+ * WorkflowLifecycleManager, WorkflowExecutor, ArtifactManager and AgentCommunicator call emit().
+ * Each event is triggered as the PluginManager hook named after its type; the bus listens on those hooks
+ * and delivers the event to every active Integration of the workflow's owner with a matching
+ * subscription (Integration.subscriptions: event type plus optional template / agent /
+ * artifact filters) by calling the plugin's handleEvent(). Deliveries are logged as
+ * IntegrationDelivery documents and retried with exponential backoff, unless the plugin marks
+ * its error as final (error.retryable === false).
+ */
+
+import { pluginManager } from './plugin-architecture.js';
+import logger from '../utils/logger.js';
+
+export const LifecycleEvent = {
+  WORKFLOW_STARTED: 'workflow.started',
+  WORKFLOW_COMPLETED: 'workflow.completed',
+  WORKFLOW_FAILED: 'workflow.failed',
+  WORKFLOW_PAUSED: 'workflow.paused',
+  STEP_COMPLETED: 'step.completed',
+  ARTIFACT_CREATED: 'artifact.created',
+  ELICITATION_REQUESTED: 'elicitation.requested'
+};
+
+export const LIFECYCLE_EVENTS = Object.values(LifecycleEvent);
+
+export const DeliveryStatus = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+// Fields event.data must carry, per event type
+const REQUIRED_DATA = {
+  [LifecycleEvent.WORKFLOW_STARTED]: ['prompt'],
+  [LifecycleEvent.WORKFLOW_COMPLETED]: ['artifactCount'],
+  [LifecycleEvent.WORKFLOW_FAILED]: ['error'],
+  [LifecycleEvent.WORKFLOW_PAUSED]: ['reason'],
+  [LifecycleEvent.STEP_COMPLETED]: ['stepIndex'],
+  [LifecycleEvent.ARTIFACT_CREATED]: ['artifactName', 'agentId'],
+  [LifecycleEvent.ELICITATION_REQUESTED]: ['elicitation']
+};
+
+// Built-in plugins, registered on first delivery when no route has registered them yet
+const PLUGIN_MODULES = {
+  github: () => import('./github-plugin.js'),
+  slack: () => import('./slack-plugin.js'),
+  jira: () => import('./jira-plugin.js'),
+  webhook: () => import('./webhook-plugin.js')
+};
+
+export class IntegrationEventBus {
+  constructor({ manager = pluginManager, maxAttempts = 3, retryDelayMs = 2000, sleep = null } = {}) {
+    this.pluginManager = manager;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.plugins = new Map(); // integrationId -> { updatedAt, plugin } initialized with that integration's config
+    this.pending = new Set(); // deliveries in flight
+    this.detachHooks = null;
+  }
+
+  /**
+   * Build a lifecycle event for a workflow
+   * @throws {Error} for unknown types or missing data fields
+   */
+  static createEvent(type, workflow, data = {}) {
+    if (!LIFECYCLE_EVENTS.includes(type)) {
+      throw new Error(`Unknown lifecycle event: ${type}`);
+    }
+    const missing = REQUIRED_DATA[type].filter(field => data[field] === undefined || data[field] === null);
+    if (!workflow?.workflowId) {
+      missing.unshift('workflowId');
+    }
+    if (missing.length > 0) {
+      throw new Error(`${type} event is missing ${missing.join(', ')}`);
+    }
+
+    return {
+      id: `evt_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      type,
+      occurredAt: new Date().toISOString(),
+      workflowId: workflow.workflowId,
+      userId: workflow.userId?.toString() || null,
+      template: workflow.template || null,
+      title: workflow.title || workflow.name || null,
+      data
+    };
+  }
+
+  /**
+   * Whether a subscription wants an event; empty filter lists match everything
+   */
+  static matchesSubscription(subscription, event) {
+    if (subscription?.event !== event.type) return false;
+
+    const { templates = [], agents = [], artifacts = [] } = subscription.filter || {};
+    const allows = (values, value) => values.length === 0 || values.includes(value);
+
+    return allows(templates, event.template) &&
+      allows(agents, event.data.agentId) &&
+      allows(artifacts, event.data.artifactName);
+  }
+
+  /**
+   * Validate subscriptions before they are saved on an integration
+   * @throws {Error} naming the first invalid subscription
+   */
+  static normalizeSubscriptions(subscriptions) {
+    if (!Array.isArray(subscriptions)) {
+      throw new Error('subscriptions must be an array');
+    }
+
+    return subscriptions.map((subscription, index) => {
+      if (!LIFECYCLE_EVENTS.includes(subscription?.event)) {
+        throw new Error(`subscriptions[${index}].event must be one of ${LIFECYCLE_EVENTS.join(', ')}`);
+      }
+      const list = (name) => {
+        const values = subscription.filter?.[name] ?? [];
+        if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || !value.trim())) {
+          throw new Error(`subscriptions[${index}].filter.${name} must be a list of names`);
+        }
+        return values.map(value => value.trim());
+      };
+
+      return {
+        event: subscription.event,
+        filter: { templates: list('templates'), agents: list('agents'), artifacts: list('artifacts') }
+      };
+    });
+  }
+
+  /**
+   * Listen on the PluginManager hook of every lifecycle event (once)
+   */
+  attach() {
+    if (this.detachHooks) return;
+
+    const detachers = LIFECYCLE_EVENTS.map(type =>
+      this.pluginManager.registerHook(type, event => this.dispatch(event))
+    );
+    this.detachHooks = () => {
+      detachers.forEach(detach => detach());
+      this.detachHooks = null;
+    };
+  }
+
+  detach() {
+    this.detachHooks?.();
+  }
+
+  /**
+   * Publish a lifecycle event to every hook registered for its type
+   * Never throws: integrations must not be able to break a workflow.
+   * @returns {Promise<Object|null>} the event, or null when it was invalid
+   */
+  async emit(type, workflow, data = {}) {
+    let event;
+    try {
+      event = IntegrationEventBus.createEvent(type, workflow, data);
+    } catch (error) {
+      logger.warn(`⚠️ [EVENTS] Dropped event: ${error.message}`);
+      return null;
+    }
+
+    this.attach();
+    const results = await this.pluginManager.triggerHook(type, event);
+    results
+      .filter(result => !result.success)
+      .forEach(result => logger.warn(`⚠️ [EVENTS] ${type} hook failed for ${event.workflowId}: ${result.error}`));
+
+    return event;
+  }
+
+  /**
+   * Log and start a delivery to each subscribed integration of the event's owner
+   * Resolves once the deliveries are logged; attempts and retries continue in the background.
+   * @returns {Promise<string[]>} ids of the IntegrationDelivery records
+   */
+  async dispatch(event) {
+    if (!event.userId) return [];
+
+    const { default: Integration } = await import('../database/models/Integration.js');
+    const integrations = await Integration.find({
+      userId: event.userId,
+      isActive: true,
+      'subscriptions.event': event.type
+    }).lean();
+
+    const subscribed = integrations.filter(integration =>
+      integration.subscriptions.some(subscription => IntegrationEventBus.matchesSubscription(subscription, event))
+    );
+    if (subscribed.length === 0) return [];
+
+    const { default: IntegrationDelivery } = await import('../database/models/IntegrationDelivery.js');
+    const deliveryIds = [];
+    for (const integration of subscribed) {
+      const delivery = await IntegrationDelivery.create({
+        integrationId: integration._id,
+        userId: integration.userId,
+        pluginId: integration.pluginId,
+        eventId: event.id,
+        eventType: event.type,
+        workflowId: event.workflowId,
+        event
+      });
+      deliveryIds.push(delivery._id.toString());
+      this.track(this.deliver(delivery._id, integration, event));
+    }
+
+    logger.info(`📣 [EVENTS] ${event.type} for ${event.workflowId} → ${subscribed.length} integration(s)`);
+    return deliveryIds;
+  }
+
+  /**
+   * Wait for every delivery in flight, retries included
+   */
+  async drain() {
+    while (this.pending.size > 0) {
+      await Promise.allSettled([...this.pending]);
+    }
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+  }
+
+  async deliver(deliveryId, integration, event) {
+    const maxAttempts = integration.deliveryPolicy?.maxAttempts || this.maxAttempts;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const plugin = await this.getPlugin(integration);
+        const result = await plugin.handleEvent(event, {
+          integrationId: integration._id,
+          userId: integration.userId,
+          deliveryPolicy: integration.deliveryPolicy
+        });
+        const status = result?.skipped ? DeliveryStatus.SKIPPED : DeliveryStatus.DELIVERED;
+        await this.logAttempt(deliveryId, { status, attempt, startedAt, response: result });
+        return status;
+      } catch (error) {
+        const exhausted = attempt === maxAttempts || error.retryable === false;
+        await this.logAttempt(deliveryId, {
+          status: exhausted ? DeliveryStatus.FAILED : DeliveryStatus.PENDING,
+          attempt,
+          startedAt,
+          error
+        });
+
+        if (exhausted) {
+          logger.warn(`⚠️ [EVENTS] ${event.type} delivery to ${integration.pluginId} integration ${integration._id} failed after ${attempt} attempt(s): ${error.message}`);
+          return DeliveryStatus.FAILED;
+        }
+
+        // Re-initialize the plugin for the next attempt (expired tokens, dropped connections)
+        this.plugins.delete(integration._id.toString());
+        await this.sleep(this.retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * Plugin instance initialized with the integration's config, reused until the integration changes
+   */
+  async getPlugin(integration) {
+    const key = integration._id.toString();
+    const updatedAt = new Date(integration.updatedAt || 0).getTime();
+    const cached = this.plugins.get(key);
+    if (cached?.updatedAt === updatedAt) {
+      return cached.plugin;
+    }
+
+    let template = this.pluginManager.getPlugin(integration.pluginId);
+    if (!template && PLUGIN_MODULES[integration.pluginId]) {
+      const { default: Plugin } = await PLUGIN_MODULES[integration.pluginId]();
+      if (!this.pluginManager.getPlugin(integration.pluginId)) {
+        this.pluginManager.registerPlugin(integration.pluginId, new Plugin());
+      }
+      template = this.pluginManager.getPlugin(integration.pluginId);
+    }
+    if (!template) {
+      throw new Error(`Plugin ${integration.pluginId} not found`);
+    }
+
+    const plugin = new template.constructor();
+    await plugin.initialize(integration.config, await this.getUserContext(integration));
+    this.plugins.set(key, { updatedAt, plugin });
+    return plugin;
+  }
+
+  // OAuth tokens for plugins that act as the user (GitHub)
+  async getUserContext(integration) {
+    if (integration.pluginId !== 'github') return null;
+
+    const { User } = await import('../database/models/index.js');
+    const user = await User.findById(integration.userId).select('githubAccessToken githubId googleId').lean();
+    return {
+      githubAccessToken: user?.githubAccessToken,
+      googleId: user?.googleId,
+      githubId: user?.githubId
+    };
+  }
+
+  // A delivery log that cannot be written must not stop the delivery itself
+  async logAttempt(deliveryId, { status, attempt, startedAt, response = null, error = null }) {
+    try {
+      const { default: IntegrationDelivery } = await import('../database/models/IntegrationDelivery.js');
+      await IntegrationDelivery.updateOne({ _id: deliveryId }, {
+        $set: {
+          status,
+          lastError: error?.message || null,
+          ...(response && { response: JSON.parse(JSON.stringify(response)) }),
+          ...(status === DeliveryStatus.DELIVERED && { deliveredAt: new Date() })
+        },
+        $push: { attempts: { attempt, at: new Date(startedAt), durationMs: Date.now() - startedAt, error: error?.message } }
+      });
+    } catch (logError) {
+      logger.warn(`⚠️ [EVENTS] Could not log delivery ${deliveryId}: ${logError.message}`);
+    }
+  }
+}
+
+export const integrationEventBus = new IntegrationEventBus();
+export default integrationEventBus;
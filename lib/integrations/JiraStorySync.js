@@ -0,0 +1,371 @@
+/**
+ * Jira Story Sync
+ * Mirrors the BMAD story backlog into Jira and brings Jira status changes back
+ *
+ * Outbound (syncStory), for users with an active Jira integration whose config has
+ * syncStories and a defaultProject: each story becomes a Story issue with its acceptance
+ * criteria, filed under an Epic issue for its epic; BMAD status changes transition the issue
+ * (transitionIssue); dev and QA agent records are posted as comments (addComment). The issue
+ * keys, the last known Jira status and the comments already posted are stored on the story
+ * (Story.jira), so running the sync again only sends what changed.
+ *
+ * Inbound (applyIssueUpdate): the integration's signed Jira webhook moves the BMAD story to the
+ * status its issue was moved to, through the story lifecycle (in_development -> review -> done).
+ *
+ * Status names come from DEFAULT_STATUS_MAP, overridable per integration with config.statusMap.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import JiraPlugin from './jira-plugin.js';
+import { GitHubWebhookService } from './GitHubWebhookService.js';
+import { StoryStatus, StoryStatusTransitions } from '../bmad/types.js';
+import logger from '../utils/logger.js';
+
+// BMAD story status -> Jira status name
+export const DEFAULT_STATUS_MAP = {
+  [StoryStatus.DRAFT]: 'To Do',
+  [StoryStatus.APPROVED]: 'To Do',
+  [StoryStatus.IN_DEVELOPMENT]: 'In Progress',
+  [StoryStatus.REVIEW]: 'In Review',
+  [StoryStatus.DONE]: 'Done'
+};
+
+// Jira statuses missing from the map fall back to their status category
+const CATEGORY_STATUS = {
+  indeterminate: StoryStatus.IN_DEVELOPMENT,
+  done: StoryStatus.DONE
+};
+
+export class JiraStorySync {
+  constructor({ createPlugin = null } = {}) {
+    this.createPlugin = createPlugin || (async (integration) => {
+      const plugin = new JiraPlugin();
+      await plugin.initialize(integration.config);
+      return plugin;
+    });
+    this.plugins = new Map(); // integrationId -> { updatedAt, plugin }
+  }
+
+  static statusMap(integration) {
+    return { ...DEFAULT_STATUS_MAP, ...integration.config?.statusMap };
+  }
+
+  /**
+   * BMAD story status for a Jira status ({ name, statusCategory: { key } })
+   * @returns {string|null} null when the Jira status maps to several BMAD statuses or none
+   */
+  static storyStatusFor(jiraStatus, statusMap = DEFAULT_STATUS_MAP) {
+    const name = jiraStatus?.name?.toLowerCase();
+    const matches = Object.keys(statusMap).filter(status => statusMap[status]?.toLowerCase() === name);
+
+    if (matches.length > 0) {
+      return matches.length === 1 ? matches[0] : null;
+    }
+    return CATEGORY_STATUS[jiraStatus?.statusCategory?.key] || null;
+  }
+
+  /**
+   * Statuses a story passes through to get from one status to another
+   * @returns {string[]|null} the steps after `from`, or null when `to` is unreachable
+   */
+  static transitionPath(from, to) {
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+
+    while (queue.length > 0) {
+      const status = queue.shift();
+      if (status === to) {
+        const path = [];
+        for (let step = to; step !== from; step = previous.get(step)) {
+          path.unshift(step);
+        }
+        return path;
+      }
+      for (const next of StoryStatusTransitions[status] || []) {
+        if (!previous.has(next)) {
+          previous.set(next, status);
+          queue.push(next);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create or update the Jira issues mirroring a story
+   * Never throws - stories are saved whether or not Jira is reachable; failures are kept in
+   * story.jira.lastError and retried on the next sync.
+   * @returns {Promise<Object|null>} { issueKey, epicKey, created, transitioned, comments }, or
+   *   null when the story's owner does not sync stories to Jira
+   */
+  async syncStory(story) {
+    let integration;
+    try {
+      integration = await this.findIntegration(story);
+    } catch (error) {
+      logger.warn(`⚠️ [JIRA SYNC] Could not look up Jira integration for story ${story._id}: ${error.message}`);
+      return null;
+    }
+    if (!integration) return null;
+
+    const state = {
+      ...this.readState(story),
+      integrationId: integration._id
+    };
+    const result = { created: false, transitioned: false, comments: 0 };
+
+    try {
+      const plugin = await this.getPlugin(integration);
+      const projectKey = integration.config.defaultProject;
+
+      state.epicKey = await this.ensureEpic(plugin, story, state, projectKey);
+      result.created = await this.ensureIssue(plugin, story, state, projectKey);
+      result.transitioned = await this.syncStatus(plugin, story, state, JiraStorySync.statusMap(integration));
+      result.comments = await this.postAgentComments(plugin, story, state);
+
+      state.lastError = null;
+      logger.info(`🔁 [JIRA SYNC] Story ${story.storyKey || story._id} mirrored to ${state.issueKey}`);
+    } catch (error) {
+      state.lastError = error.message;
+      logger.warn(`⚠️ [JIRA SYNC] Story ${story.storyKey || story._id} sync failed: ${error.message}`);
+    }
+
+    state.syncedAt = new Date();
+    await this.saveState(story, state);
+    return { ...result, issueKey: state.issueKey, epicKey: state.epicKey, error: state.lastError };
+  }
+
+  /**
+   * Apply a Jira webhook delivery (jira:issue_updated) to the story mirrored by the issue
+   * @returns {Promise<Object>} { status, error? } plus what was done, for the route to answer with
+   */
+  async applyIssueUpdate({ integrationId, signature, rawBody }) {
+    const { default: Integration } = await import('../database/models/Integration.js');
+    const integration = mongoose.isValidObjectId(integrationId)
+      ? await Integration.findOne({ _id: integrationId, pluginId: 'jira', isActive: true }).lean()
+      : null;
+    if (!integration) {
+      return { status: 404, error: 'Jira integration not found' };
+    }
+
+    // Jira Cloud signs webhooks like GitHub: X-Hub-Signature: sha256=<HMAC of the body>
+    if (!GitHubWebhookService.verifySignature(rawBody, signature, integration.config?.webhookSecret)) {
+      return { status: 401, error: 'Invalid signature' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      return { status: 400, error: 'Invalid JSON payload' };
+    }
+
+    const statusChange = payload.changelog?.items?.find(item => item.field === 'status');
+    if (payload.webhookEvent !== 'jira:issue_updated' || !statusChange || !payload.issue?.key) {
+      return { status: 202, ignored: 'not an issue status change' };
+    }
+
+    const { default: Story } = await import('../database/models/Story.js');
+    const story = await Story.findOne({ 'jira.integrationId': integration._id, 'jira.issueKey': payload.issue.key });
+    if (!story) {
+      return { status: 202, ignored: `${payload.issue.key} does not mirror a BMAD story` };
+    }
+
+    const jiraStatus = payload.issue.fields?.status || { name: statusChange.toString };
+    const target = JiraStorySync.storyStatusFor(jiraStatus, JiraStorySync.statusMap(integration));
+    const path = target ? JiraStorySync.transitionPath(story.status, target) : null;
+
+    // Remember where the issue is, so the next outbound sync only transitions it when needed
+    story.jira.status = jiraStatus.name;
+    story.jira.syncedAt = new Date();
+
+    if (!path) {
+      await story.save();
+      return {
+        status: 202,
+        storyId: story._id.toString(),
+        ignored: `Jira status ${jiraStatus.name} has no reachable story status from ${story.status}`
+      };
+    }
+
+    const changedBy = `jira:${payload.user?.accountId || payload.user?.displayName || 'webhook'}`;
+    path.forEach(status => story.transitionTo(status, {
+      changedBy,
+      note: `Moved to ${jiraStatus.name} in Jira (${payload.issue.key})`
+    }));
+    await story.save();
+
+    logger.info(`🔁 [JIRA SYNC] ${payload.issue.key} moved to ${jiraStatus.name}: story ${story.storyKey || story._id} is now ${story.status}`);
+    return { status: 200, storyId: story._id.toString(), storyStatus: story.status, steps: path };
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  // The integration the story is mirrored through, or the owner's story-syncing Jira integration
+  async findIntegration(story) {
+    const { default: Integration } = await import('../database/models/Integration.js');
+
+    const integration = story.jira?.integrationId
+      ? await Integration.findOne({ _id: story.jira.integrationId, isActive: true }).lean()
+      : await Integration.findOne({
+        userId: story.userId,
+        pluginId: 'jira',
+        isActive: true,
+        'config.syncStories': true
+      }).lean();
+
+    if (integration && !integration.config?.defaultProject) {
+      logger.warn(`⚠️ [JIRA SYNC] Jira integration ${integration._id} syncs stories but has no default project`);
+      return null;
+    }
+    return integration;
+  }
+
+  async getPlugin(integration) {
+    const key = integration._id.toString();
+    const updatedAt = new Date(integration.updatedAt || 0).getTime();
+    const cached = this.plugins.get(key);
+    if (cached?.updatedAt === updatedAt) {
+      return cached.plugin;
+    }
+
+    const plugin = await this.createPlugin(integration);
+    this.plugins.set(key, { updatedAt, plugin });
+    return plugin;
+  }
+
+  readState(story) {
+    const jira = story.jira || {};
+    return {
+      issueKey: jira.issueKey || null,
+      epicKey: jira.epicKey || null,
+      status: jira.status || null,
+      contentHash: jira.contentHash || null,
+      postedComments: [...(jira.postedComments || [])],
+      lastError: jira.lastError || null
+    };
+  }
+
+  async saveState(story, state) {
+    story.jira = state;
+    try {
+      const { default: Story } = await import('../database/models/Story.js');
+      await Story.updateOne({ _id: story._id }, { $set: { jira: state } });
+    } catch (error) {
+      logger.error(`❌ [JIRA SYNC] Could not store Jira keys for story ${story._id}: ${error.message}`);
+    }
+  }
+
+  // One Epic issue per BMAD epic, shared by the stories of that epic
+  async ensureEpic(plugin, story, state, projectKey) {
+    if (state.epicKey || story.epicNumber == null) {
+      return state.epicKey;
+    }
+
+    const { default: Story } = await import('../database/models/Story.js');
+    const sibling = await Story.findOne({
+      userId: story.userId,
+      workflowId: story.workflowId || null,
+      epicNumber: story.epicNumber,
+      'jira.integrationId': state.integrationId,
+      'jira.epicKey': { $ne: null }
+    }).select('jira.epicKey').lean();
+    if (sibling?.jira?.epicKey) {
+      return sibling.jira.epicKey;
+    }
+
+    const epicName = story.epicName || `Epic ${story.epicNumber}`;
+    const epic = await plugin.createIssue({
+      projectKey,
+      issueType: 'Epic',
+      summary: epicName.startsWith(`Epic ${story.epicNumber}`) ? epicName : `Epic ${story.epicNumber}: ${epicName}`,
+      description: `BMAD epic ${story.epicNumber}${story.workflowId ? ` from workflow ${story.workflowId}` : ''}.`,
+      labels: ['bmad-epic']
+    });
+    // Stored right away so a failure further on does not create the epic twice
+    state.epicKey = epic.key;
+    await this.saveState(story, state);
+    return epic.key;
+  }
+
+  // @returns {Promise<boolean>} whether the issue was created
+  async ensureIssue(plugin, story, state, projectKey) {
+    const contentHash = hash([
+      JiraPlugin.storySummary(story),
+      story.description,
+      story.acceptanceCriteria,
+      story.storyPoints
+    ]);
+
+    if (!state.issueKey) {
+      const issue = await plugin.createStoryIssue({ projectKey, epicKey: state.epicKey, story });
+      state.issueKey = issue.key;
+      state.contentHash = contentHash;
+      state.status = null; // the project's initial status, whatever it is called
+      await this.saveState(story, state);
+      return true;
+    }
+
+    if (state.contentHash !== contentHash) {
+      await plugin.updateStoryIssue({ issueKey: state.issueKey, story });
+      state.contentHash = contentHash;
+    }
+    return false;
+  }
+
+  // @returns {Promise<boolean>} whether the issue was transitioned
+  async syncStatus(plugin, story, state, statusMap) {
+    const target = statusMap[story.status];
+    if (!target || state.status?.toLowerCase() === target.toLowerCase()) {
+      return false;
+    }
+
+    const result = await plugin.transitionIssueToStatus({ issueKey: state.issueKey, status: target });
+    state.status = target;
+    return !result.unchanged;
+  }
+
+  // @returns {Promise<number>} comments posted
+  async postAgentComments(plugin, story, state) {
+    let posted = 0;
+
+    for (const { id, comment } of agentComments(story)) {
+      if (state.postedComments.includes(id)) continue;
+
+      await plugin.addComment({ issueKey: state.issueKey, comment });
+      state.postedComments.push(id);
+      posted++;
+    }
+    return posted;
+  }
+}
+
+// Dev and QA agent records as issue comments, identified by their content
+function agentComments(story) {
+  const comments = [];
+
+  const dev = story.devAgentRecord;
+  if (dev?.completionNotes?.length || dev?.fileList?.length) {
+    const lines = [`🧑‍💻 Dev agent${dev.agentModel ? ` (${dev.agentModel})` : ''} update`];
+    dev.completionNotes?.forEach(note => lines.push(`- ${note}`));
+    if (dev.fileList?.length) lines.push(`Files: ${dev.fileList.join(', ')}`);
+    const comment = lines.join('\n');
+    comments.push({ id: `dev:${hash(comment)}`, comment });
+  }
+
+  const qa = story.qaResults;
+  if (qa?.gate || qa?.notes) {
+    const comment = `🧪 QA review${qa.gate ? ` - gate ${qa.gate}` : ''}\n${qa.notes || ''}`.trim();
+    comments.push({ id: `qa:${hash(comment)}`, comment });
+  }
+
+  return comments;
+}
+
+function hash(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value ?? null)).digest('hex').slice(0, 16);
+}
+
+export const jiraStorySync = new JiraStorySync();
+export default jiraStorySync;
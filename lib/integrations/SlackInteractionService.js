@@ -0,0 +1,259 @@
+/**
+ * Slack Interaction Service
+ * Answers agent elicitations from Slack
+ *
+ * SlackPlugin posts elicitation.requested events as interactive messages: one button per option
+ * and an "Answer…" button that opens a free-text modal. Slack sends clicks and modal submissions
+ * to /api/integrations/slack/interactivity, signed with the Slack app's signing secret.
+ *
+ * The integration, workflow and agent come from the button value or modal metadata, which the
+ * sender controls, so a request is only accepted when it verifies with that integration's own
+ * signing secret (Integration.config.signingSecret - there is no shared fallback) and comes from
+ * the workspace its bot token belongs to. Answers resume the workflow through
+ * BmadOrchestrator.resumeWorkflowWithElicitation as the integration's owner, and the question
+ * message is replaced with who answered what.
+ *
+ * Slack gives up on requests that take longer than 3 seconds, so resuming the workflow is
+ * returned as a followUp for the route to run after it has responded.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import mongoose from 'mongoose';
+import {
+  SlackPlugin,
+  escapeMrkdwn,
+  ELICITATION_OPTION_ACTION,
+  ELICITATION_ANSWER_ACTION,
+  ELICITATION_VIEW,
+  ELICITATION_ANSWER_BLOCK,
+  ELICITATION_ANSWER_INPUT
+} from './slack-plugin.js';
+import { WorkflowStatus } from '../bmad/types.js';
+import logger from '../utils/logger.js';
+
+// Requests signed longer ago than this are treated as replays
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+// chat.update keeps the old blocks (and their buttons) unless new ones are sent
+const replaceWith = (text) => ({ text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }] });
+
+export class SlackInteractionService {
+  constructor(orchestrator, { createPlugin = null } = {}) {
+    this.orchestrator = orchestrator;
+    this.createPlugin = createPlugin || (async (integration) => {
+      const plugin = new SlackPlugin();
+      await plugin.initialize(integration.config);
+      return plugin;
+    });
+  }
+
+  /**
+   * Check an X-Slack-Signature header ('v0=<hex>') against 'v0:<timestamp>:<raw body>'
+   */
+  static verifySignature(rawBody, timestamp, signature, secret, now = Date.now()) {
+    if (!secret || typeof signature !== 'string' || !signature.startsWith('v0=')) {
+      return false;
+    }
+
+    const signedAt = Number(timestamp);
+    if (!Number.isFinite(signedAt) || Math.abs(now / 1000 - signedAt) > MAX_REQUEST_AGE_SECONDS) {
+      return false;
+    }
+
+    const expected = Buffer.from(`v0=${createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`);
+    const received = Buffer.from(signature);
+    return expected.length === received.length && timingSafeEqual(expected, received);
+  }
+
+  /**
+   * The workflow, answer and Slack message an interaction refers to
+   * @returns {Object|null} { kind: 'option'|'open'|'submit', integrationId, workflowId, agentId,
+   *   response, channel, ts }, or null for interactions that are not elicitation answers
+   */
+  static readInteraction(payload) {
+    try {
+      if (payload.type === 'block_actions') {
+        const action = payload.actions?.[0];
+        const isOption = action?.action_id?.startsWith(`${ELICITATION_OPTION_ACTION}_`);
+        if (!isOption && action?.action_id !== ELICITATION_ANSWER_ACTION) {
+          return null;
+        }
+        return {
+          ...JSON.parse(action.value),
+          kind: isOption ? 'option' : 'open',
+          channel: payload.container?.channel_id || payload.channel?.id,
+          ts: payload.container?.message_ts || payload.message?.ts
+        };
+      }
+
+      if (payload.type === 'view_submission' && payload.view?.callback_id === ELICITATION_VIEW) {
+        const input = payload.view.state?.values?.[ELICITATION_ANSWER_BLOCK]?.[ELICITATION_ANSWER_INPUT];
+        return {
+          ...JSON.parse(payload.view.private_metadata),
+          kind: 'submit',
+          response: input?.value?.trim() || ''
+        };
+      }
+    } catch {
+      // Values and metadata we did not write
+    }
+    return null;
+  }
+
+  /**
+   * Handle one interactivity request
+   * @param {Object} request - { rawBody, timestamp, signature } from the request body and headers
+   * @returns {Promise<Object>} { status, error?, body?, followUp? } where status is an HTTP status
+   *   for the route, body the JSON to answer Slack with and followUp the work to run afterwards
+   */
+  async handleInteraction({ rawBody, timestamp, signature }) {
+    let payload;
+    try {
+      payload = JSON.parse(new URLSearchParams(rawBody).get('payload'));
+    } catch {
+      return { status: 400, error: 'Invalid interaction payload' };
+    }
+    if (!payload?.type) {
+      return { status: 400, error: 'Invalid interaction payload' };
+    }
+
+    const interaction = SlackInteractionService.readInteraction(payload);
+    if (!interaction) {
+      return { status: 200, ignored: `${payload.type} is not an elicitation answer` };
+    }
+
+    const integration = await this.findIntegration(interaction.integrationId);
+    if (!integration) {
+      return { status: 404, error: 'Slack integration not found' };
+    }
+
+    if (!SlackInteractionService.verifySignature(rawBody, timestamp, signature, integration.config?.signingSecret)) {
+      logger.warn(`⚠️ [SLACK] Rejected ${payload.type} for integration ${integration._id}: signature did not verify`);
+      return { status: 401, error: 'Invalid signature' };
+    }
+
+    // Other workspaces installed on the same Slack app sign with the same secret
+    const plugin = await this.connect(integration);
+    if (!plugin?.teamId || payload.team?.id !== plugin.teamId) {
+      logger.warn(`⚠️ [SLACK] Rejected ${payload.type} for integration ${integration._id}: sent from workspace ${payload.team?.id || 'unknown'}`);
+      return { status: 403, error: 'Interaction is not from this integration\'s workspace' };
+    }
+
+    const workflow = await this.findWorkflow(integration, interaction.workflowId);
+    const waiting = workflow?.status === WorkflowStatus.PAUSED_FOR_ELICITATION;
+    const slackUserId = payload.user?.id;
+
+    switch (interaction.kind) {
+      case 'open': {
+        if (!waiting) {
+          return { status: 200, followUp: () => this.closeQuestion(integration, interaction, plugin) };
+        }
+        // Trigger ids expire after 3 seconds, so the modal has to open before Slack is answered
+        await plugin.openView({
+          trigger_id: payload.trigger_id,
+          view: SlackPlugin.elicitationAnswerView({ ...interaction, elicitation: workflow.elicitationDetails })
+        });
+        return { status: 200 };
+      }
+
+      case 'submit': {
+        const error = !interaction.response
+          ? 'Enter an answer'
+          : !waiting && 'This workflow is no longer waiting for an answer';
+        if (error) {
+          return { status: 200, body: { response_action: 'errors', errors: { [ELICITATION_ANSWER_BLOCK]: error } } };
+        }
+        return { status: 200, followUp: () => this.answer(integration, interaction, slackUserId, plugin) };
+      }
+
+      default:
+        if (!waiting) {
+          return { status: 200, followUp: () => this.closeQuestion(integration, interaction, plugin) };
+        }
+        return { status: 200, followUp: () => this.answer(integration, interaction, slackUserId, plugin) };
+    }
+  }
+
+  /**
+   * Resume the workflow with a Slack answer
+   * Never throws - it runs after Slack has been answered; the question message shows the answer
+   * and failures are replied in its thread.
+   * @returns {Promise<Object>} { resumed, error? }
+   */
+  async answer(integration, { workflowId, agentId, response, channel, ts }, slackUserId, plugin = null) {
+    plugin = plugin || await this.connect(integration);
+    await this.callSlack(plugin, 'updateMessage', {
+      channel,
+      ts,
+      ...replaceWith(`✅ <@${slackUserId}> answered: ${escapeMrkdwn(response)}`)
+    });
+
+    try {
+      await this.orchestrator.resumeWorkflowWithElicitation(workflowId, response, agentId, integration.userId.toString());
+      logger.info(`💬 [SLACK] Workflow ${workflowId} resumed with an answer from Slack user ${slackUserId}`);
+      return { resumed: true };
+    } catch (error) {
+      logger.error(`❌ [SLACK] Could not resume workflow ${workflowId} with a Slack answer: ${error.message}`);
+      await this.callSlack(plugin, 'sendMessage', {
+        channel,
+        thread_ts: ts,
+        text: `⚠️ Could not resume the workflow: ${error.message}. Answer from the BMAD dashboard instead.`
+      });
+      return { resumed: false, error: error.message };
+    }
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  async findIntegration(integrationId) {
+    if (!mongoose.isValidObjectId(integrationId)) {
+      return null;
+    }
+    const { default: Integration } = await import('../database/models/Integration.js');
+    return await Integration.findOne({ _id: integrationId, pluginId: 'slack', isActive: true }).lean();
+  }
+
+  /**
+   * Only the integration owner's workflows can be answered through their Slack app
+   */
+  async findWorkflow(integration, workflowId) {
+    const { default: Workflow } = await import('../database/models/Workflow.js');
+    return await Workflow.findOne({ workflowId, userId: integration.userId })
+      .select('status elicitationDetails')
+      .lean();
+  }
+
+  /**
+   * Replace the buttons of a question that was answered elsewhere, e.g. in the dashboard
+   */
+  async closeQuestion(integration, { channel, ts }, plugin = null) {
+    await this.callSlack(plugin || await this.connect(integration), 'updateMessage', {
+      channel,
+      ts,
+      ...replaceWith('☑️ This question is closed: the workflow is no longer waiting for an answer.')
+    });
+  }
+
+  async connect(integration) {
+    try {
+      return await this.createPlugin(integration);
+    } catch (error) {
+      logger.warn(`⚠️ [SLACK] Could not connect integration ${integration._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async callSlack(plugin, action, data) {
+    if (!plugin || !data.channel) {
+      return null;
+    }
+    try {
+      return await plugin[action](data);
+    } catch (error) {
+      logger.warn(`⚠️ [SLACK] ${action} in ${data.channel} failed: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+export default SlackInteractionService;
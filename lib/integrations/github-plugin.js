@@ -417,61 +417,62 @@ export class GitHubPlugin extends BasePlugin {
    */
   async getRepositoryContents(owner, repo, branch = 'main') {
     try {
-      // RATE LIMITING & CACHING: Use intelligent caching for repository contents
-      const cacheKey = this.generateCacheKey(`repos/${owner}/${repo}/contents`, { branch });
-      
-      return await this.makeRateLimitedRequest(
-        async () => {
-          let branchData;
-          
-          // Try the specified branch first
-          try {
-            const response = await this.octokit.rest.repos.getBranch({
-              owner,
-              repo,
-              branch
-            });
-            branchData = response.data;
-          } catch (branchError) {
-            // If main branch fails, try master
-            if (branch === 'main' && branchError.status === 404) {
-              logger.info(`Branch 'main' not found, trying 'master' for ${owner}/${repo}`);
-              const response = await this.octokit.rest.repos.getBranch({
-                owner,
-                repo,
-                branch: 'master'
-              });
-              branchData = response.data;
-            } else {
-              throw branchError;
-            }
-          }
-
-          const treeSha = branchData.commit.sha;
-
-          // Use the Octokit git.getTree method to get all files recursively
-          const treeResponse = await this.octokit.rest.git.getTree({
-            owner,
-            repo,
-            tree_sha: treeSha,
-            recursive: true
-          });
-
-          // Return just the filtered data, makeRateLimitedRequest will handle response.data
-          return {
-            data: treeResponse.data.tree.filter(item => item.type === 'blob'), // Only return files, not folders
-            headers: treeResponse.headers
-          };
-        },
-        cacheKey,
-        'contents'
-      );
+      const head = await this.getBranchHead(owner, repo, branch);
+      return await this.getRepositoryTree(owner, repo, head.sha);
     } catch (error) {
       logger.error(`Failed to get repository contents for ${owner}/${repo}:`, error);
       throw new Error(`Failed to get repository contents: ${error.message}`);
     }
   }
 
+  /**
+   * Resolve a branch to its head commit (never cached - this is what detects new commits)
+   * Falls back from 'main' to 'master' like the other content helpers
+   * @returns {Promise<{sha: string, branch: string}>}
+   */
+  async getBranchHead(owner, repo, branch = 'main') {
+    try {
+      const response = await this.octokit.rest.repos.getBranch({ owner, repo, branch });
+      this.updateRateLimitInfo(response.headers || {});
+      return { sha: response.data.commit.sha, branch };
+    } catch (branchError) {
+      if (branch === 'main' && branchError.status === 404) {
+        logger.info(`Branch 'main' not found, trying 'master' for ${owner}/${repo}`);
+        const response = await this.octokit.rest.repos.getBranch({ owner, repo, branch: 'master' });
+        return { sha: response.data.commit.sha, branch: 'master' };
+      }
+      throw branchError;
+    }
+  }
+
+  /**
+   * Get every file (blob) in the tree of a commit
+   * Cached by commit SHA - a commit's tree never changes
+   */
+  async getRepositoryTree(owner, repo, commitSha) {
+    const cacheKey = this.generateCacheKey(`repos/${owner}/${repo}/tree`, { sha: commitSha });
+
+    return await this.makeRateLimitedRequest(
+      async () => {
+        // Use the Octokit git.getTree method to get all files recursively
+        const treeResponse = await this.octokit.rest.git.getTree({
+          owner,
+          repo,
+          tree_sha: commitSha,
+          recursive: true
+        });
+
+        // Return just the filtered data, makeRateLimitedRequest will handle response.data
+        return {
+          data: treeResponse.data.tree.filter(item => item.type === 'blob'), // Only return files, not folders
+          headers: treeResponse.headers
+        };
+      },
+      cacheKey,
+      'contents'
+    );
+  }
+
   /**
    * Get file content from repository
    */
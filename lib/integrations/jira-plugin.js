@@ -23,6 +23,10 @@ export class JiraPlugin extends BasePlugin {
     this.registerAction('getProjects', this.getProjects);
     this.registerAction('getIssueTypes', this.getIssueTypes);
     this.registerAction('createWorkflowIssue', this.createWorkflowIssue);
+    this.registerAction('createStoryIssue', this.createStoryIssue);
+    this.registerAction('updateStoryIssue', this.updateStoryIssue);
+    this.registerAction('getTransitions', this.getTransitions);
+    this.registerAction('transitionIssueToStatus', this.transitionIssueToStatus);
   }
 
   async initialize(config) {
@@ -68,6 +72,8 @@ export class JiraPlugin extends BasePlugin {
 
   /**
    * Create a new issue
+   * The description is plain text or an Atlassian document; parentKey files the issue
+   * under an epic.
    */
   async createIssue(data) {
     const { 
@@ -77,6 +83,7 @@ export class JiraPlugin extends BasePlugin {
       description, 
       priority = 'Medium',
       assignee,
+      parentKey,
       labels = [],
       components = []
     } = data;
@@ -86,25 +93,18 @@ export class JiraPlugin extends BasePlugin {
         project: { key: projectKey },
         issuetype: { name: issueType },
         summary,
-        description: {
-          type: 'doc',
-          version: 1,
-          content: [
-            {
-              type: 'paragraph',
-              content: [
-                {
-                  type: 'text',
-                  text: description
-                }
-              ]
-            }
-          ]
-        },
+        description: typeof description === 'string'
+          ? { type: 'doc', version: 1, content: [this.toParagraph(description)] }
+          : description,
         priority: { name: priority }
       }
     };
     
+    // File under the parent issue (epic) if provided
+    if (parentKey) {
+      issueData.fields.parent = { key: parentKey };
+    }
+    
     // Add assignee if provided
     if (assignee) {
       issueData.fields.assignee = { emailAddress: assignee };
@@ -285,6 +285,49 @@ export class JiraPlugin extends BasePlugin {
     return { success: true };
   }
 
+  /**
+   * Transitions available from an issue's current status
+   */
+  async getTransitions(data) {
+    const { issueKey } = data;
+    
+    const response = await fetch(`${this.baseUrl}/issue/${issueKey}/transitions`, {
+      headers: this.headers
+    });
+    
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(`Failed to get transitions: ${error.errorMessages?.[0] || response.statusText}`);
+    }
+    
+    const result = await response.json();
+    return result.transitions || [];
+  }
+
+  /**
+   * Move an issue to the status with the given name, through whichever transition leads there
+   * An issue already in that status is left alone.
+   */
+  async transitionIssueToStatus(data) {
+    const { issueKey, status, comment } = data;
+    const wanted = status.toLowerCase();
+    
+    const transitions = await this.getTransitions({ issueKey });
+    const transition = transitions.find(t => t.to?.name?.toLowerCase() === wanted) ||
+      transitions.find(t => t.name?.toLowerCase() === wanted);
+    
+    if (!transition) {
+      const issue = await this.getIssue({ issueKey, expand: '' });
+      if (issue.fields?.status?.name?.toLowerCase() === wanted) {
+        return { success: true, unchanged: true };
+      }
+      throw new Error(`No transition to "${status}" is available for ${issueKey}`);
+    }
+    
+    await this.transitionIssue({ issueKey, transitionId: transition.id, comment });
+    return { success: true, transitionId: transition.id };
+  }
+
   /**
    * Get all projects
    */
@@ -385,6 +428,106 @@ export class JiraPlugin extends BasePlugin {
     });
   }
 
+  /**
+   * Create a Story issue for a BMAD story, with its acceptance criteria, under an epic
+   */
+  async createStoryIssue(data) {
+    const { projectKey, epicKey, story, issueType = 'Story' } = data;
+    
+    return await this.createIssue({
+      projectKey,
+      issueType,
+      summary: JiraPlugin.storySummary(story),
+      description: this.buildStoryDocument(story),
+      parentKey: epicKey,
+      labels: ['bmad-story']
+    });
+  }
+
+  /**
+   * Rewrite a Story issue's summary and description from its BMAD story
+   */
+  async updateStoryIssue(data) {
+    const { issueKey, story } = data;
+    
+    return await this.updateIssue({
+      issueKey,
+      fields: {
+        summary: JiraPlugin.storySummary(story),
+        description: this.buildStoryDocument(story)
+      }
+    });
+  }
+
+  static storySummary(story) {
+    const key = story.epicNumber != null && story.storyNumber != null
+      ? `${story.epicNumber}.${story.storyNumber}`
+      : null;
+    return key ? `Story ${key}: ${story.title}` : story.title;
+  }
+
+  /**
+   * File finished and failed workflows as issues in the integration's default project
+   */
+  async handleEvent(event) {
+    const statuses = { 'workflow.completed': 'COMPLETED', 'workflow.failed': 'ERROR' };
+    if (!statuses[event.type]) {
+      return await super.handleEvent(event);
+    }
+    if (!this.config.defaultProject) {
+      throw new Error('JIRA project is required: set a default project on the integration');
+    }
+
+    return await this.createWorkflowIssue({
+      workflowId: event.workflowId,
+      workflowName: event.title || event.workflowId,
+      status: statuses[event.type],
+      userPrompt: event.data.prompt,
+      artifactCount: event.data.artifactCount,
+      duration: event.data.durationMs,
+      errors: event.data.error ? [{ error: event.data.error, step: event.data.step }] : [],
+      projectKey: this.config.defaultProject
+    });
+  }
+
+  /**
+   * Story description, acceptance criteria and points as an Atlassian document
+   */
+  buildStoryDocument(story) {
+    const content = [];
+    
+    if (story.description) {
+      content.push(this.toParagraph(story.description));
+    }
+    
+    const criteria = (story.acceptanceCriteria || []).filter(Boolean);
+    if (criteria.length > 0) {
+      content.push({
+        type: 'heading',
+        attrs: { level: 3 },
+        content: [{ type: 'text', text: 'Acceptance Criteria' }]
+      });
+      content.push({
+        type: 'orderedList',
+        content: criteria.map(criterion => ({ type: 'listItem', content: [this.toParagraph(criterion)] }))
+      });
+    }
+    
+    if (story.storyPoints != null) {
+      content.push(this.toParagraph(`Story points: ${story.storyPoints}`));
+    }
+    content.push(this.toParagraph('Mirrored from the BMAD story backlog.'));
+    
+    return { type: 'doc', version: 1, content };
+  }
+
+  toParagraph(text) {
+    return {
+      type: 'paragraph',
+      content: [{ type: 'text', text }]
+    };
+  }
+
   /**
    * Format duration from milliseconds to human readable format
    */
@@ -71,12 +71,25 @@ export class PluginManager {
 
   /**
    * Register a hook for plugin events
+   * @returns {Function} removes the hook again
    */
   registerHook(event, callback) {
     if (!this.hooks.has(event)) {
       this.hooks.set(event, []);
     }
     this.hooks.get(event).push(callback);
+    return () => this.unregisterHook(event, callback);
+  }
+
+  /**
+   * Remove a hook registered with registerHook
+   */
+  unregisterHook(event, callback) {
+    const callbacks = this.hooks.get(event) || [];
+    const index = callbacks.indexOf(callback);
+    if (index !== -1) {
+      callbacks.splice(index, 1);
+    }
   }
 
   /**
@@ -100,9 +113,11 @@ export class PluginManager {
 
   /**
    * Execute plugin action
+   * @param {BasePlugin} [instance] - plugin initialized with an integration's config; the
+   *   registered plugin is used when omitted
    */
-  async executePluginAction(pluginId, action, data) {
-    const plugin = this.plugins.get(pluginId);
+  async executePluginAction(pluginId, action, data, instance = null) {
+    const plugin = instance || this.plugins.get(pluginId);
     if (!plugin) {
       throw new Error(`Plugin ${pluginId} not found`);
     }
@@ -148,6 +163,15 @@ export class BasePlugin {
     this.status = 'inactive';
   }
 
+  /**
+   * Handle a workflow lifecycle event delivered by IntegrationEventBus
+   * Plugins that act on events override this; a skipped result is logged as such. The bus
+   * passes the integration as a second argument: { integrationId, userId, deliveryPolicy }.
+   */
+  async handleEvent(event) {
+    return { skipped: true, reason: `${this.name} does not handle ${event.type} events` };
+  }
+
   /**
    * Register an action
    */
@@ -6,6 +6,27 @@
 import { BasePlugin } from './plugin-architecture.js';
 import logger from '../utils/logger.js';
 
+// Block Kit ids of interactive elicitation messages, read back by SlackInteractionService
+export const ELICITATION_OPTION_ACTION = 'bmad_elicitation_option';
+export const ELICITATION_ANSWER_ACTION = 'bmad_elicitation_answer';
+export const ELICITATION_VIEW = 'bmad_elicitation_view';
+export const ELICITATION_ANSWER_BLOCK = 'bmad_elicitation_answer';
+export const ELICITATION_ANSWER_INPUT = 'answer';
+
+// An actions block holds at most 25 elements; the last one is the free-text "Answer" button
+const MAX_OPTION_BUTTONS = 20;
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// mrkdwn treats these as control characters (<!channel>, <url|label>), so agent output must not carry them
+export const escapeMrkdwn = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Escaped and truncated without cutting an entity in half
+const mrkdwn = (text, max) => {
+  const escaped = escapeMrkdwn(text);
+  return escaped.length > max ? `${escaped.slice(0, max - 1).replace(/&[a-z]*$/, '')}…` : escaped;
+};
+
 export class SlackPlugin extends BasePlugin {
   constructor() {
     super('Slack Integration', '1.0.0', 'Send notifications and messages to Slack channels');
@@ -21,6 +42,9 @@ export class SlackPlugin extends BasePlugin {
     this.registerAction('uploadFile', this.uploadFile);
     this.registerAction('getChannels', this.getChannels);
     this.registerAction('getUsers', this.getUsers);
+    this.registerAction('sendElicitationRequest', this.sendElicitationRequest);
+    this.registerAction('updateMessage', this.updateMessage);
+    this.registerAction('openView', this.openView);
   }
 
   async initialize(config) {
@@ -35,9 +59,10 @@ export class SlackPlugin extends BasePlugin {
       'Content-Type': 'application/json'
     };
     
-    // Test the connection
+    // Test the connection; the workspace it answers for is the only one interactions are accepted from
     try {
-      await this.testConnection();
+      const auth = await this.testConnection();
+      this.teamId = auth.team_id || null;
       logger.info('Slack plugin initialized successfully');
     } catch (error) {
       throw new Error(`Slack plugin initialization failed: ${error.message}`);
@@ -199,6 +224,158 @@ export class SlackPlugin extends BasePlugin {
     });
   }
 
+  /**
+   * Ask the channel an agent's elicitation question with one button per option and an
+   * "Answer" button for free text; clicks come back to /api/integrations/slack/interactivity
+   */
+  async sendElicitationRequest(data) {
+    const { channel, integrationId, workflowId, workflowName, elicitation } = data;
+
+    if (!integrationId) {
+      throw new Error('integrationId is required to route Slack answers back to the workflow');
+    }
+
+    return await this.sendMessage({
+      channel,
+      text: `❓ ${escapeMrkdwn(workflowName || workflowId)} is waiting for your input: ${mrkdwn(elicitation.sectionTitle || elicitation.instruction || 'answer below', 3000)}`,
+      blocks: SlackPlugin.elicitationBlocks({ integrationId, workflowId, workflowName, elicitation })
+    });
+  }
+
+  /**
+   * Replace the text and blocks of a message the bot posted
+   */
+  async updateMessage(data) {
+    const { channel, ts, text, blocks } = data;
+
+    const response = await fetch(`${this.baseUrl}/chat.update`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({
+        channel,
+        ts,
+        text,
+        ...(blocks && { blocks })
+      })
+    });
+
+    const result = await response.json();
+
+    if (!result.ok) {
+      throw new Error(`Failed to update message: ${result.error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Open a modal for the user who triggered an interaction (trigger ids expire after 3 seconds)
+   */
+  async openView(data) {
+    const { trigger_id, view } = data;
+
+    const response = await fetch(`${this.baseUrl}/views.open`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({ trigger_id, view })
+    });
+
+    const result = await response.json();
+
+    if (!result.ok) {
+      throw new Error(`Failed to open view: ${result.error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Elicitation options as buttons: plain string options (budget, remediation, approval cards)
+   * answer with their text, numbered agent options answer with their number
+   */
+  static elicitationOptions(options = []) {
+    return options.slice(0, MAX_OPTION_BUTTONS).map((option, index) => {
+      if (typeof option === 'string') {
+        return { label: option, response: option };
+      }
+      const number = option.number ?? index + 1;
+      return { label: `${number}. ${option.text}`, response: String(number) };
+    });
+  }
+
+  static elicitationBlocks({ integrationId, workflowId, workflowName, elicitation }) {
+    const agent = elicitation.agentId || 'agent';
+    const context = { integrationId, workflowId, agentId: elicitation.agentId };
+
+    const buttons = SlackPlugin.elicitationOptions(elicitation.options).map(({ label, response }, index) => ({
+      type: 'button',
+      action_id: `${ELICITATION_OPTION_ACTION}_${index}`,
+      text: { type: 'plain_text', text: truncate(label, 75) },
+      value: JSON.stringify({ ...context, response })
+    }));
+    buttons.push({
+      type: 'button',
+      action_id: ELICITATION_ANSWER_ACTION,
+      style: 'primary',
+      text: { type: 'plain_text', text: 'Answer…' },
+      value: JSON.stringify(context)
+    });
+
+    return [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `❓ *${escapeMrkdwn(workflowName || workflowId)}*: the ${escapeMrkdwn(agent)} needs your input${elicitation.sectionTitle ? ` on *${escapeMrkdwn(elicitation.sectionTitle)}*` : ''}`
+        }
+      },
+      ...(elicitation.instruction ? [{
+        type: 'section',
+        text: { type: 'mrkdwn', text: mrkdwn(elicitation.instruction, 3000) }
+      }] : []),
+      { type: 'actions', elements: buttons },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `Workflow \`${escapeMrkdwn(workflowId)}\` · BMAD Workflow System` }]
+      }
+    ];
+  }
+
+  /**
+   * Modal asking for a free-text answer; metadata carries the workflow and the message to update
+   */
+  static elicitationAnswerView({ integrationId, workflowId, agentId, channel, ts, elicitation = {} }) {
+    const options = SlackPlugin.elicitationOptions(elicitation.options);
+
+    return {
+      type: 'modal',
+      callback_id: ELICITATION_VIEW,
+      private_metadata: JSON.stringify({ integrationId, workflowId, agentId, channel, ts }),
+      title: { type: 'plain_text', text: 'Answer the agent' },
+      submit: { type: 'plain_text', text: 'Send' },
+      close: { type: 'plain_text', text: 'Cancel' },
+      blocks: [
+        ...(elicitation.instruction || elicitation.sectionTitle ? [{
+          type: 'section',
+          text: { type: 'mrkdwn', text: mrkdwn(elicitation.instruction || elicitation.sectionTitle, 3000) }
+        }] : []),
+        {
+          type: 'input',
+          block_id: ELICITATION_ANSWER_BLOCK,
+          label: { type: 'plain_text', text: 'Your answer' },
+          element: {
+            type: 'plain_text_input',
+            action_id: ELICITATION_ANSWER_INPUT,
+            multiline: true
+          },
+          ...(options.length > 0 && {
+            hint: { type: 'plain_text', text: truncate(`Options: ${options.map(option => option.label).join(' · ')}`, 2000) }
+          })
+        }
+      ]
+    };
+  }
+
   /**
    * Create a new channel
    */
@@ -354,6 +531,43 @@ export class SlackPlugin extends BasePlugin {
     
     return results;
   }
+
+  /**
+   * Post a workflow lifecycle event to the integration's default channel
+   * Elicitation requests become interactive messages when the event bus passes the integration id
+   */
+  async handleEvent(event, context = {}) {
+    const channel = this.config.defaultChannel;
+    if (!channel) {
+      throw new Error('Slack channel is required: set a default channel on the integration');
+    }
+
+    const workflowName = event.title || event.workflowId;
+    const { data } = event;
+
+    switch (event.type) {
+      case 'workflow.started':
+        return await this.sendWorkflowNotification({ channel, workflowId: event.workflowId, workflowName, status: 'RUNNING', userPrompt: data.prompt });
+      case 'workflow.completed':
+        return await this.sendWorkflowNotification({ channel, workflowId: event.workflowId, workflowName, status: 'COMPLETED', duration: data.durationMs, artifactCount: data.artifactCount });
+      case 'workflow.failed':
+        return await this.sendWorkflowNotification({ channel, workflowId: event.workflowId, workflowName, status: 'ERROR', errorMessage: data.error });
+      case 'workflow.paused':
+        return await this.sendMessage({ channel, text: `⏸️ ${workflowName} paused (${data.reason})` });
+      case 'step.completed':
+        return await this.sendMessage({ channel, text: `☑️ ${workflowName}: step ${data.stepIndex + 1} ${data.stepName || ''} done${data.agentId ? ` by ${data.agentId}` : ''}` });
+      case 'artifact.created':
+        return await this.sendMessage({ channel, text: `📄 ${workflowName}: ${data.artifactName} ${data.revised ? 'revised' : 'created'} by ${data.agentId}${data.version ? ` (v${data.version})` : ''}` });
+      case 'elicitation.requested':
+        // Answers are only accepted with the integration's own signing secret
+        if (context.integrationId && this.config.signingSecret) {
+          return await this.sendElicitationRequest({ channel, integrationId: context.integrationId, workflowId: event.workflowId, workflowName, elicitation: data.elicitation });
+        }
+        return await this.sendMessage({ channel, text: `❓ ${escapeMrkdwn(workflowName)} is waiting for your input: ${mrkdwn(data.elicitation.sectionTitle || data.elicitation.instruction || 'open the workflow to answer', 3000)}` });
+      default:
+        return await super.handleEvent(event);
+    }
+  }
 }
 
 export default SlackPlugin;
\ No newline at end of file
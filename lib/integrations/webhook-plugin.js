@@ -0,0 +1,298 @@
+/**
+ * Webhook Integration Plugin
+ * Delivers workflow and artifact lifecycle events as JSON to a user-configured URL
+ *
+ * The request body is the event itself, or the integration's Handlebars payload template
+ * rendered with it. With a secret, every request is signed the way GitHub signs its webhooks:
+ * X-BMAD-Signature-256: sha256=<HMAC-SHA256 of the body>. Network errors, timeouts, 429 and
+ * 5xx responses are retried with exponential backoff; events that still cannot be delivered
+ * go to the integration's dead-letter list (WebhookDeadLetter) for redelivery.
+ *
+ * URLs whose host resolves to loopback, private or link-local addresses are refused when the
+ * integration is saved and again before every delivery (EndpointGuard, admin allow-list in
+ * WEBHOOK_ALLOWED_HOSTS), and redirects are not followed.
+ */
+
+import crypto from 'crypto';
+import Handlebars from 'handlebars';
+import { BasePlugin } from './plugin-architecture.js';
+import { IntegrationEventBus, LifecycleEvent } from './IntegrationEventBus.js';
+import { EndpointGuard } from '../ai/utils/EndpointGuard.js';
+import logger from '../utils/logger.js';
+
+export const SIGNATURE_HEADER = 'X-BMAD-Signature-256';
+
+// Set by the plugin on every request, custom headers cannot replace them
+const RESERVED_HEADERS = ['content-type', 'x-bmad-event', 'x-bmad-delivery', SIGNATURE_HEADER.toLowerCase()];
+
+// Payload templates render JSON, so nothing is HTML-escaped; {{json value}} embeds any value safely.
+// A closing brace right after an expression reads as a triple stash: write "{{json title}} }".
+const templates = Handlebars.create();
+templates.registerHelper('json', value => JSON.stringify(value ?? null));
+
+export class WebhookPlugin extends BasePlugin {
+  constructor() {
+    super('Webhook', '1.0.0', 'POST signed JSON workflow and artifact events to any URL');
+
+    this.maxAttempts = 3;
+    this.retryDelayMs = 1000;
+    this.timeoutMs = 10000;
+    this.sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    this.checkUrl = url => EndpointGuard.check(url, { allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS });
+    this.renderTemplate = null;
+
+    // Register available actions
+    this.registerAction('sendEvent', this.sendEvent);
+    this.registerAction('sendTestEvent', this.sendTestEvent);
+  }
+
+  async initialize(config) {
+    await super.initialize(config);
+
+    // Validate required configuration
+    this.validateConfig(['url']);
+    WebhookPlugin.validateUrl(this.config.url);
+    await this.assertUrlAllowed(this.config.url);
+    WebhookPlugin.validateHeaders(this.config.headers);
+
+    this.renderTemplate = this.config.payloadTemplate
+      ? WebhookPlugin.compileTemplate(this.config.payloadTemplate)
+      : null;
+
+    logger.info('Webhook plugin initialized successfully');
+  }
+
+  /**
+   * HMAC-SHA256 signature of a request body, as sent in X-BMAD-Signature-256
+   */
+  static sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  static validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`Webhook url is not a valid URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Webhook url must use http or https');
+    }
+  }
+
+  static validateHeaders(headers) {
+    if (headers === undefined || headers === null) return;
+
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new Error('Webhook headers must be an object of header names to values');
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      if (!/^[!#$%&'*+.^`|~\w-]+$/.test(name) || typeof value !== 'string') {
+        throw new Error(`Webhook header ${name} must be a valid header name with a string value`);
+      }
+      if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+        throw new Error(`Webhook header ${name} is set by the plugin and cannot be overridden`);
+      }
+    }
+  }
+
+  /**
+   * Compile a payload template; the template is rendered with the event as its context
+   * @throws {Error} for templates Handlebars cannot parse
+   */
+  static compileTemplate(source) {
+    try {
+      templates.parse(source);
+    } catch (error) {
+      throw new Error(`Invalid payload template: ${error.message}`);
+    }
+    return templates.compile(source, { noEscape: true });
+  }
+
+  // Timeouts, network errors, rate limits and server errors may succeed later
+  static isRetryableStatus(statusCode) {
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+  }
+
+  /**
+   * Handle a workflow lifecycle event delivered by IntegrationEventBus
+   * Retries happen here, so a failure is final for the bus; the event is dead-lettered.
+   * @param {Object} context - { integrationId, userId, deliveryPolicy } of the integration
+   */
+  async handleEvent(event, context = {}) {
+    try {
+      return await this.deliver(event, { maxAttempts: context.deliveryPolicy?.maxAttempts });
+    } catch (error) {
+      await this.deadLetter(event, error, context);
+      error.retryable = false;
+      throw error;
+    }
+  }
+
+  /**
+   * POST an event to the configured URL, retrying with exponential backoff
+   * @returns {Promise<Object>} { delivered, url, statusCode, attempts, durationMs }
+   * @throws {Error} with statusCode and attempts once the delivery is given up
+   */
+  async deliver(event, { maxAttempts = this.maxAttempts } = {}) {
+    const { url } = this.config;
+    const body = this.renderBody(event);
+    const headers = this.buildHeaders(event, body);
+    const startedAt = Date.now();
+
+    // The host may resolve elsewhere than when the integration was saved
+    await this.assertUrlAllowed(url);
+
+    let attempt = 0;
+    let outcome;
+    while (attempt < maxAttempts) {
+      attempt++;
+      outcome = await this.post(url, headers, body);
+      if (outcome.ok) {
+        logger.info(`📤 [WEBHOOK] ${event.type} delivered to ${url} (attempt ${attempt})`);
+        return { delivered: true, url, statusCode: outcome.statusCode, attempts: attempt, durationMs: Date.now() - startedAt };
+      }
+      if (!outcome.retryable || attempt === maxAttempts) break;
+
+      logger.warn(`⚠️ [WEBHOOK] ${event.type} delivery to ${url} failed (attempt ${attempt}): ${outcome.message}`);
+      await this.sleep(this.retryDelayMs * 2 ** (attempt - 1));
+    }
+
+    const error = new Error(`Webhook delivery to ${url} failed after ${attempt} attempt(s): ${outcome.message}`);
+    error.statusCode = outcome.statusCode;
+    error.attempts = attempt;
+    throw error;
+  }
+
+  /**
+   * Deliver an event built by the caller
+   */
+  async sendEvent(data) {
+    const { event } = data;
+    if (!event?.type) {
+      throw new Error('An event with a type is required');
+    }
+    return await this.deliver(event);
+  }
+
+  /**
+   * Deliver a sample workflow.completed event once, without retries, so the result is
+   * shown right away
+   * The receiver's status is only logged, so the test cannot be used to probe other servers.
+   */
+  async sendTestEvent() {
+    const event = IntegrationEventBus.createEvent(LifecycleEvent.WORKFLOW_COMPLETED, {
+      workflowId: 'workflow_test',
+      template: 'greenfield-fullstack',
+      title: 'Webhook test event'
+    }, {
+      prompt: 'Build a todo app',
+      artifactCount: 3,
+      durationMs: 90000,
+      test: true
+    });
+
+    let result;
+    try {
+      result = await this.deliver(event, { maxAttempts: 1 });
+    } catch (error) {
+      if (error.attempts === 0) throw error;
+      logger.warn(`⚠️ [WEBHOOK] Test event not delivered: ${error.message}`);
+      throw new Error('Webhook test event was not delivered. Check that the url accepts POST requests.');
+    }
+    return { delivered: true, attempts: result.attempts, durationMs: result.durationMs, eventId: event.id, eventType: event.type };
+  }
+
+  // ========== PRIVATE HELPER METHODS ==========
+
+  /**
+   * @throws {Error} without the guard's reason, which is only logged
+   */
+  async assertUrlAllowed(url) {
+    const guard = await this.checkUrl(url);
+    if (!guard.allowed) {
+      logger.warn(`⚠️ [WEBHOOK] Refused ${url}: ${guard.reason}`);
+      const error = new Error('Webhook url points to an address that is not allowed. Ask an administrator to allow-list it.');
+      error.attempts = 0;
+      throw error;
+    }
+  }
+
+  renderBody(event) {
+    if (!this.renderTemplate) {
+      return JSON.stringify(event);
+    }
+
+    const body = this.renderTemplate(event);
+    try {
+      JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Payload template did not render valid JSON: ${error.message}`);
+    }
+    return body;
+  }
+
+  buildHeaders(event, body) {
+    return {
+      'User-Agent': 'BMAD-Webhook/1.0',
+      ...this.config.headers,
+      'Content-Type': 'application/json',
+      'X-BMAD-Event': event.type,
+      'X-BMAD-Delivery': event.id,
+      ...(this.config.secret && { [SIGNATURE_HEADER]: WebhookPlugin.sign(body, this.config.secret) })
+    };
+  }
+
+  /**
+   * One HTTP attempt
+   * @returns {Promise<Object>} { ok, statusCode, message, retryable }
+   */
+  async post(url, headers, body) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        // A redirect could lead to an address the guard refused; 3xx responses count as failures
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      return {
+        ok: response.ok,
+        statusCode: response.status,
+        message: `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`,
+        retryable: WebhookPlugin.isRetryableStatus(response.status)
+      };
+    } catch (error) {
+      return { ok: false, statusCode: null, message: error.cause?.message || error.message, retryable: true };
+    }
+  }
+
+  // A dead letter that cannot be written must not hide the delivery failure itself
+  async deadLetter(event, error, { integrationId, userId } = {}) {
+    if (!integrationId) return;
+
+    try {
+      const { default: WebhookDeadLetter } = await import('../database/models/WebhookDeadLetter.js');
+      await WebhookDeadLetter.create({
+        integrationId,
+        userId,
+        eventId: event.id,
+        eventType: event.type,
+        workflowId: event.workflowId,
+        event,
+        url: this.config.url,
+        attempts: error.attempts || 0,
+        lastStatusCode: error.statusCode || null,
+        lastError: error.message
+      });
+      logger.warn(`🪦 [WEBHOOK] ${event.type} for ${event.workflowId} dead-lettered for integration ${integrationId}`);
+    } catch (deadLetterError) {
+      logger.error(`❌ [WEBHOOK] Could not dead-letter ${event.id}: ${deadLetterError.message}`);
+    }
+  }
+}
+
+export default WebhookPlugin;
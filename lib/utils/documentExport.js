@@ -0,0 +1,724 @@
+import PDFDocument from 'pdfkit';
+import archiver from 'archiver';
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  Footer,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from 'docx';
+
+/**
+ * BMAD document export renderers
+ * Turns markdown documents into PDF and DOCX files (headings, tables, code blocks, lists,
+ * quotes and the BMAD metadata header) and packs several exports into a zip archive.
+ */
+
+const EXPORT_STYLES = {
+  accent: '#2563eb',
+  text: '#333333',
+  muted: '#6b7280',
+  border: '#e5e7eb',
+  codeBackground: '#f3f4f6',
+  tableHeaderBackground: '#f9fafb',
+};
+
+const PDF_MARGIN = 72; // 1in
+const PDF_FONT_SIZES = { body: 11, code: 9, table: 9, meta: 9, headings: [22, 18, 15, 13, 12, 11] };
+
+// Half-points, as docx expects
+const DOCX_FONT_SIZES = { body: 22, code: 18, meta: 18, headings: [28, 24, 22, 22, 22, 22] };
+const DOCX_HEADINGS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6,
+];
+const DOCX_ORDERED_LIST = 'bmad-ordered-list';
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+// The standard PDF fonts have no emoji glyphs (BMAD headings often start with one)
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\uFE0F\u200D]/gu;
+const INLINE_PATTERN = /\\([\\`*_{}[\]()#+\-.!|])|(`+)([\s\S]*?)\2|\*\*([\s\S]+?)\*\*|(?<!\w)__([\s\S]+?)__(?!\w)|\*([^*\s][^*]*?)\*|(?<!\w)_([^_\s][^_]*?)_(?!\w)|!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/;
+
+// ========== MARKDOWN PARSING ==========
+
+/**
+ * Split markdown into the blocks the renderers understand
+ * @param {string} markdown
+ * @returns {Array<Object>} { type: heading|paragraph|code|table|list|blockquote|hr, ... }
+ */
+export function parseMarkdownBlocks(markdown = '') {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Closing fence
+      blocks.push({ type: 'code', language: fence[2] || null, text: code.join('\n') });
+      continue;
+    }
+
+    // Template instructions and export markers are not part of the document
+    if (line.trim().startsWith('<!--')) {
+      while (i < lines.length && !lines[i].includes('-->')) i++;
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1].trim());
+        i++;
+      }
+      blocks.push({ type: 'blockquote', text: quoted.filter(Boolean).join(' ') });
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const items = [];
+      while (i < lines.length && lines[i].trim()) {
+        const item = lines[i].match(LIST_ITEM_PATTERN);
+        if (item) {
+          items.push({
+            text: item[3].trim(),
+            depth: Math.floor(item[1].replace(/\t/g, '  ').length / 2),
+            ordered: /\d/.test(item[2]),
+          });
+        } else if (startsBlock(lines, i)) {
+          break;
+        } else {
+          // Continuation line of the previous item
+          items[items.length - 1].text += ` ${lines[i].trim()}`;
+        }
+        i++;
+      }
+      blocks.push({ type: 'list', ordered: items[0].ordered, items });
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+  }
+
+  return blocks;
+}
+
+/**
+ * Split inline markdown into styled runs
+ * @param {string} text
+ * @returns {Array<{text, bold?, italic?, code?, link?}>}
+ */
+export function parseInline(text = '', style = {}) {
+  const runs = [];
+  const source = String(text);
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (value, runStyle = style) => {
+    if (value) runs.push({ text: value, ...runStyle });
+  };
+
+  // Own instance per call - emphasis is parsed recursively
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  while ((match = pattern.exec(source)) !== null) {
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = pattern.lastIndex;
+
+    const [, escaped, , code, strong, strongAlt, em, emAlt, label, href] = match;
+    if (escaped !== undefined) {
+      pushText(escaped);
+    } else if (code !== undefined) {
+      pushText(code.trim(), { ...style, code: true });
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      runs.push(...parseInline(strong ?? strongAlt, { ...style, bold: true }));
+    } else if (em !== undefined || emAlt !== undefined) {
+      runs.push(...parseInline(em ?? emAlt, { ...style, italic: true }));
+    } else if (match[0].startsWith('!')) {
+      pushText(label); // Images are exported as their alt text
+    } else {
+      runs.push(...parseInline(label || href, { ...style, link: href }));
+    }
+  }
+
+  pushText(source.slice(lastIndex));
+  return runs;
+}
+
+/**
+ * Inline markdown without its markers
+ */
+export function plainText(text = '') {
+  return parseInline(text).map(run => run.text).join('');
+}
+
+/**
+ * Label/value pairs for the BMAD metadata header of an exported document
+ * @param {Object} details - { documentId, title, format, exportedAt, metadata }
+ */
+export function buildMetadataHeader({ documentId, title, format, exportedAt = new Date(), metadata = {} }) {
+  const entries = [
+    ['Title', title],
+    ['Document ID', documentId],
+    ['Format', format],
+    ['Generated', exportedAt.toISOString()],
+    ...Object.entries(metadata || {}).map(([key, value]) => [humanizeKey(key), value]),
+  ];
+
+  return entries
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => ({ label, value: String(value) }));
+}
+
+// ========== PDF ==========
+
+/**
+ * Render a markdown document as an A4 PDF
+ * @param {Object} document - { documentId, title, content, options }
+ * @returns {Promise<Buffer>}
+ */
+export async function renderPdf({ documentId, title, content, options = {} }) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PDF_MARGIN,
+    bufferPages: true,
+    compress: options.compress !== false,
+    info: {
+      Title: title,
+      Author: 'BMAD System',
+      Subject: `BMAD document export for ${documentId}`,
+      Creator: 'BMAD Document Export',
+    },
+  });
+  const output = collectStream(doc);
+
+  if (options.includeBmadHeader !== false) {
+    drawPdfMetadata(doc, buildMetadataHeader({ documentId, title, format: 'PDF', metadata: options.metadata }));
+  }
+
+  for (const block of parseMarkdownBlocks(content)) {
+    drawPdfBlock(doc, block);
+  }
+
+  drawPdfFooters(doc, title);
+  doc.end();
+
+  return output;
+}
+
+function drawPdfMetadata(doc, entries) {
+  doc.font('Helvetica-Bold').fontSize(PDF_FONT_SIZES.meta).fillColor(EXPORT_STYLES.accent)
+    .text('BMAD Document Export');
+
+  for (const { label, value } of entries) {
+    doc.font('Helvetica-Bold').fillColor(EXPORT_STYLES.muted).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(pdfText(value));
+  }
+
+  doc.moveDown(0.5);
+  drawPdfRule(doc);
+  doc.moveDown();
+}
+
+function drawPdfBlock(doc, block) {
+  const left = doc.page.margins.left;
+  const width = pdfContentWidth(doc);
+
+  switch (block.type) {
+    case 'heading': {
+      const size = PDF_FONT_SIZES.headings[block.level - 1];
+      ensurePdfSpace(doc, size * 3);
+      doc.moveDown(block.level <= 2 ? 0.8 : 0.5);
+      doc.font('Helvetica-Bold').fontSize(size).fillColor(EXPORT_STYLES.accent)
+        .text(pdfText(plainText(block.text)).trim(), left, doc.y, { width });
+      if (block.level <= 2) {
+        doc.moveDown(0.2);
+        drawPdfRule(doc);
+      }
+      doc.moveDown(0.4);
+      break;
+    }
+    case 'paragraph':
+      drawPdfRuns(doc, parseInline(block.text), { x: left, width });
+      doc.moveDown(0.6);
+      break;
+    case 'list': {
+      const counters = [];
+      for (const item of block.items) {
+        counters.length = item.depth + 1;
+        counters[item.depth] = (counters[item.depth] || 0) + 1;
+        const marker = item.ordered ? `${counters[item.depth]}. ` : '• ';
+        const indent = 14 + item.depth * 16;
+        drawPdfRuns(doc, [{ text: marker }, ...parseInline(item.text)], { x: left + indent, width: width - indent });
+        doc.moveDown(0.15);
+      }
+      doc.moveDown(0.45);
+      break;
+    }
+    case 'blockquote': {
+      const top = doc.y;
+      const page = doc.page;
+      drawPdfRuns(doc, parseInline(block.text, { italic: true }), { x: left + 14, width: width - 14, color: EXPORT_STYLES.muted });
+      if (doc.page === page) {
+        doc.save().lineWidth(3).strokeColor('#3b82f6').moveTo(left + 2, top).lineTo(left + 2, doc.y).stroke().restore();
+      }
+      doc.moveDown(0.6);
+      break;
+    }
+    case 'code':
+      drawPdfCode(doc, block.text, { x: left, width });
+      doc.moveDown(0.6);
+      break;
+    case 'table':
+      drawPdfTable(doc, block, { x: left, width });
+      doc.moveDown(0.6);
+      break;
+    case 'hr':
+      drawPdfRule(doc);
+      doc.moveDown(0.6);
+      break;
+  }
+}
+
+function drawPdfRuns(doc, runs, { x, width, color = EXPORT_STYLES.text }) {
+  doc.fontSize(PDF_FONT_SIZES.body);
+  const visible = runs
+    .map(run => ({ ...run, text: pdfText(run.text) }))
+    .filter(run => run.text);
+  if (visible.length === 0) return;
+
+  doc.x = x;
+  visible.forEach((run, index) => {
+    doc.font(pdfFont(run)).fillColor(run.link ? EXPORT_STYLES.accent : color);
+    doc.text(run.text, {
+      width,
+      continued: index < visible.length - 1,
+      link: run.link || null,
+      underline: Boolean(run.link),
+    });
+  });
+  doc.x = doc.page.margins.left;
+}
+
+function drawPdfCode(doc, code, { x, width }) {
+  const padding = 8;
+  const textOptions = { width: width - padding * 2 };
+  let lines = code.split('\n');
+
+  doc.font('Courier').fontSize(PDF_FONT_SIZES.code);
+
+  // Long blocks continue on the next page with their own background
+  while (lines.length > 0) {
+    ensurePdfSpace(doc, doc.currentLineHeight(true) + padding * 2);
+    const available = pdfBottom(doc) - doc.y - padding * 2;
+    const segment = [];
+    let height = 0;
+
+    for (const line of lines) {
+      const printable = pdfText(line) || ' ';
+      const lineHeight = doc.heightOfString(printable, textOptions);
+      if (segment.length > 0 && height + lineHeight > available) break;
+      segment.push(printable);
+      height += lineHeight;
+    }
+    lines = lines.slice(segment.length);
+
+    const top = doc.y;
+    doc.save().roundedRect(x, top, width, height + padding * 2, 4).fill(EXPORT_STYLES.codeBackground).restore();
+    doc.fillColor(EXPORT_STYLES.text).text(segment.join('\n'), x + padding, top + padding, textOptions);
+    doc.x = x;
+    doc.y = top + height + padding * 2;
+    if (lines.length > 0) doc.addPage();
+  }
+}
+
+function drawPdfTable(doc, { header, rows }, { x, width }) {
+  const padding = 4;
+  const columnCount = Math.max(header.length, ...rows.map(row => row.length));
+  const columnWidth = width / columnCount;
+  const cellOptions = { width: columnWidth - padding * 2 };
+
+  const drawRow = (cells, isHeader) => {
+    doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(PDF_FONT_SIZES.table);
+    const texts = Array.from({ length: columnCount }, (_, index) => pdfText(plainText(cells[index] || '')));
+    const height = Math.max(...texts.map(text => doc.heightOfString(text || ' ', cellOptions))) + padding * 2;
+
+    if (doc.y + height > pdfBottom(doc)) {
+      doc.addPage();
+      // Repeat the header row on every page the table spans
+      if (!isHeader) drawRow(header, true);
+      doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(PDF_FONT_SIZES.table);
+    }
+
+    const top = doc.y;
+    texts.forEach((text, index) => {
+      const cellX = x + index * columnWidth;
+      if (isHeader) {
+        doc.save().rect(cellX, top, columnWidth, height).fill(EXPORT_STYLES.tableHeaderBackground).restore();
+      }
+      doc.save().lineWidth(0.5).rect(cellX, top, columnWidth, height).stroke(EXPORT_STYLES.border).restore();
+      doc.fillColor(EXPORT_STYLES.text).text(text, cellX + padding, top + padding, cellOptions);
+    });
+    doc.x = x;
+    doc.y = top + height;
+  };
+
+  drawRow(header, true);
+  rows.forEach(row => drawRow(row, false));
+}
+
+function drawPdfRule(doc) {
+  const left = doc.page.margins.left;
+  doc.save().lineWidth(1).strokeColor(EXPORT_STYLES.border)
+    .moveTo(left, doc.y).lineTo(left + pdfContentWidth(doc), doc.y).stroke().restore();
+}
+
+function drawPdfFooters(doc, title) {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise add a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(EXPORT_STYLES.muted).text(
+      `${pdfText(title)} - Page ${index - range.start + 1} of ${range.count}`,
+      doc.page.margins.left,
+      doc.page.height - bottomMargin / 2,
+      { width: pdfContentWidth(doc), align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+function ensurePdfSpace(doc, height) {
+  if (doc.y + height > pdfBottom(doc)) {
+    doc.addPage();
+  }
+}
+
+function pdfBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function pdfContentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function pdfText(text) {
+  return text.replace(EMOJI_PATTERN, '');
+}
+
+function pdfFont(run) {
+  if (run.code) return 'Courier';
+  if (run.bold && run.italic) return 'Helvetica-BoldOblique';
+  if (run.bold) return 'Helvetica-Bold';
+  if (run.italic) return 'Helvetica-Oblique';
+  return 'Helvetica';
+}
+
+// ========== DOCX ==========
+
+/**
+ * Render a markdown document as a Word document
+ * @param {Object} document - { documentId, title, content, options }
+ * @returns {Promise<Buffer>}
+ */
+export async function renderDocx({ documentId, title, content, options = {} }) {
+  const children = [];
+
+  if (options.includeBmadHeader !== false) {
+    children.push(...docxMetadata(buildMetadataHeader({ documentId, title, format: 'DOCX', metadata: options.metadata })));
+  }
+
+  let listCount = 0;
+  for (const block of parseMarkdownBlocks(content)) {
+    if (block.type === 'list') listCount++;
+    children.push(...docxBlock(block, listCount));
+  }
+
+  const doc = new Document({
+    creator: 'BMAD System',
+    title,
+    description: `BMAD document export for ${documentId}`,
+    styles: {
+      default: {
+        document: { run: { font: 'Calibri', size: DOCX_FONT_SIZES.body, color: hex(EXPORT_STYLES.text) } },
+        ...Object.fromEntries(DOCX_FONT_SIZES.headings.map((size, index) => [
+          `heading${index + 1}`,
+          { run: { size, bold: true, color: hex(EXPORT_STYLES.accent) }, paragraph: { spacing: { before: 240, after: 120 } } },
+        ])),
+      },
+    },
+    numbering: {
+      config: [{
+        reference: DOCX_ORDERED_LIST,
+        levels: Array.from({ length: 6 }, (_, level) => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+        })),
+      }],
+    },
+    sections: [{
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [new TextRun({
+              children: [`${title} - Page `, PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES],
+              size: 16,
+              color: hex(EXPORT_STYLES.muted),
+            })],
+          })],
+        }),
+      },
+      children,
+    }],
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+function docxMetadata(entries) {
+  const metaRun = { size: DOCX_FONT_SIZES.meta, color: hex(EXPORT_STYLES.muted) };
+
+  return [
+    new Paragraph({
+      children: [new TextRun({ text: 'BMAD Document Export', bold: true, size: DOCX_FONT_SIZES.meta, color: hex(EXPORT_STYLES.accent) })],
+    }),
+    ...entries.map(({ label, value }) => new Paragraph({
+      children: [
+        new TextRun({ text: `${label}: `, bold: true, ...metaRun }),
+        new TextRun({ text: value, ...metaRun }),
+      ],
+    })),
+    new Paragraph({
+      border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: hex(EXPORT_STYLES.border), space: 4 } },
+      spacing: { after: 240 },
+      children: [],
+    }),
+  ];
+}
+
+function docxBlock(block, listInstance) {
+  switch (block.type) {
+    case 'heading':
+      return [new Paragraph({ heading: DOCX_HEADINGS[block.level - 1], children: docxRuns(parseInline(block.text)) })];
+    case 'paragraph':
+      return [new Paragraph({ spacing: { after: 160 }, children: docxRuns(parseInline(block.text)) })];
+    case 'list':
+      return block.items.map(item => new Paragraph({
+        ...(item.ordered
+          ? { numbering: { reference: DOCX_ORDERED_LIST, level: Math.min(item.depth, 5), instance: listInstance } }
+          : { bullet: { level: Math.min(item.depth, 5) } }),
+        children: docxRuns(parseInline(item.text)),
+      }));
+    case 'blockquote':
+      return [new Paragraph({
+        indent: { left: 360 },
+        spacing: { after: 160 },
+        border: { left: { style: BorderStyle.SINGLE, size: 18, color: '3B82F6', space: 8 } },
+        children: docxRuns(parseInline(block.text, { italic: true }), { color: hex(EXPORT_STYLES.muted) }),
+      })];
+    case 'code':
+      return [new Paragraph({
+        shading: { type: ShadingType.CLEAR, color: 'auto', fill: hex(EXPORT_STYLES.codeBackground) },
+        spacing: { after: 160 },
+        children: block.text.split('\n').map((line, index) => new TextRun({
+          text: line,
+          break: index > 0 ? 1 : undefined,
+          font: 'Consolas',
+          size: DOCX_FONT_SIZES.code,
+        })),
+      })];
+    case 'table':
+      return [docxTable(block), new Paragraph({ children: [] })];
+    case 'hr':
+      return [new Paragraph({
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: hex(EXPORT_STYLES.border), space: 1 } },
+        children: [],
+      })];
+    default:
+      return [];
+  }
+}
+
+function docxTable({ header, rows }) {
+  const columnCount = Math.max(header.length, ...rows.map(row => row.length));
+  const toRow = (cells, isHeader) => new TableRow({
+    tableHeader: isHeader,
+    children: Array.from({ length: columnCount }, (_, index) => new TableCell({
+      ...(isHeader && { shading: { type: ShadingType.CLEAR, color: 'auto', fill: hex(EXPORT_STYLES.tableHeaderBackground) } }),
+      margins: { top: 60, bottom: 60, left: 100, right: 100 },
+      children: [new Paragraph({ children: docxRuns(parseInline(cells[index] || '', isHeader ? { bold: true } : {})) })],
+    })),
+  });
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [toRow(header, true), ...rows.map(row => toRow(row, false))],
+  });
+}
+
+function docxRuns(runs, base = {}) {
+  return runs.map(run => {
+    const textRun = new TextRun({
+      text: run.text,
+      bold: run.bold,
+      italics: run.italic,
+      ...base,
+      ...(run.code && {
+        font: 'Consolas',
+        shading: { type: ShadingType.CLEAR, color: 'auto', fill: hex(EXPORT_STYLES.codeBackground) },
+      }),
+      ...(run.link && { color: hex(EXPORT_STYLES.accent), underline: {} }),
+    });
+    return run.link ? new ExternalHyperlink({ link: run.link, children: [textRun] }) : textRun;
+  });
+}
+
+// ========== ARCHIVES ==========
+
+/**
+ * Zip several exported files
+ * @param {Array<{name: string, content: Buffer|string}>} entries - Duplicate names get a numeric suffix
+ * @returns {Promise<Buffer>}
+ */
+export async function createZipArchive(entries) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const output = collectStream(archive);
+  const usedNames = new Set();
+
+  for (const entry of entries) {
+    archive.append(entry.content, { name: uniqueName(entry.name, usedNames) });
+  }
+
+  await archive.finalize();
+  return output;
+}
+
+// ========== PRIVATE HELPER METHODS ==========
+
+function isTableStart(lines, index) {
+  return lines[index].includes('|')
+    && index + 1 < lines.length
+    && lines[index + 1].includes('-')
+    && TABLE_DIVIDER_PATTERN.test(lines[index + 1]);
+}
+
+function startsBlock(lines, index) {
+  const line = lines[index];
+  return FENCE_PATTERN.test(line)
+    || HEADING_PATTERN.test(line)
+    || RULE_PATTERN.test(line)
+    || QUOTE_PATTERN.test(line)
+    || LIST_ITEM_PATTERN.test(line)
+    || isTableStart(lines, index);
+}
+
+function splitTableRow(line) {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function humanizeKey(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .replace(/^\w/, char => char.toUpperCase());
+}
+
+function uniqueName(name, usedNames) {
+  let candidate = name;
+  const dot = name.lastIndexOf('.');
+  const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+  for (let counter = 2; usedNames.has(candidate); counter++) {
+    candidate = `${base}_${counter}${extension}`;
+  }
+  usedNames.add(candidate);
+  return candidate;
+}
+
+function collectStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function hex(color) {
+  return color.replace('#', '').toUpperCase();
+}
@@ -0,0 +1,185 @@
+/**
+ * Incremental repository analysis helpers
+ * Diff a stored file index against a commit tree (by blob SHA), reconcile insights with
+ * the changed files, and snapshot metrics for the per-commit analysis history.
+ */
+
+/**
+ * Compare the stored file index with the files of a new tree
+ * @param {Array<{path, sha}>} previousIndex - RepoAnalysis.fileIndex
+ * @param {Array<{path, sha}>} files - Tree blobs that pass the analysis filters
+ * @returns {{added: Array, modified: Array, removed: Array, unchanged: Array}}
+ *   added/modified are tree entries to process; removed/unchanged are previous index entries
+ */
+export function diffFileTree(previousIndex = [], files = []) {
+  const previousByPath = new Map(previousIndex.map(entry => [entry.path, entry]));
+  const currentPaths = new Set();
+  const added = [];
+  const modified = [];
+  const unchanged = [];
+
+  for (const file of files) {
+    currentPaths.add(file.path);
+    const previous = previousByPath.get(file.path);
+
+    if (!previous) {
+      added.push(file);
+    } else if (!previous.sha || previous.sha !== file.sha) {
+      modified.push(file);
+    } else {
+      unchanged.push(previous);
+    }
+  }
+
+  const removed = previousIndex.filter(entry => !currentPaths.has(entry.path));
+
+  return { added, modified, removed, unchanged };
+}
+
+/**
+ * Compact metrics snapshot for the analysis history
+ */
+export function snapshotMetrics(metrics) {
+  if (!metrics) {
+    return null;
+  }
+
+  const languages = {};
+  const entries = metrics.languages instanceof Map
+    ? Array.from(metrics.languages.entries())
+    : Object.entries(metrics.languages || {});
+  for (const [language, stats] of entries) {
+    languages[language] = stats?.lines || 0;
+  }
+
+  return {
+    fileCount: metrics.fileCount || 0,
+    totalLines: metrics.totalLines || 0,
+    totalSize: metrics.totalSize || 0,
+    languageCount: metrics.languageCount || 0,
+    languages
+  };
+}
+
+/**
+ * Change between two metric snapshots (languages only lists those that changed)
+ */
+export function metricsDelta(previous, current) {
+  if (!previous || !current) {
+    return null;
+  }
+
+  const languages = {};
+  for (const language of new Set([...Object.keys(previous.languages || {}), ...Object.keys(current.languages || {})])) {
+    const change = (current.languages?.[language] || 0) - (previous.languages?.[language] || 0);
+    if (change !== 0) {
+      languages[language] = change;
+    }
+  }
+
+  return {
+    fileCount: current.fileCount - previous.fileCount,
+    totalLines: current.totalLines - previous.totalLines,
+    totalSize: current.totalSize - previous.totalSize,
+    languageCount: current.languageCount - previous.languageCount,
+    languages
+  };
+}
+
+/**
+ * History entry for one analyzed commit
+ * @param {Object} entry - { commitSha, mode, changes, metrics, duration }
+ * @param {Object|null} previousEntry - Latest existing history entry
+ */
+export function buildHistoryEntry({ commitSha, mode, changes, metrics, duration }, previousEntry = null) {
+  const snapshot = snapshotMetrics(metrics);
+  return {
+    commitSha,
+    analyzedAt: new Date(),
+    mode,
+    changes: {
+      added: changes?.added?.length || 0,
+      modified: changes?.modified?.length || 0,
+      removed: changes?.removed?.length || 0
+    },
+    metrics: snapshot,
+    delta: metricsDelta(previousEntry?.metrics, snapshot),
+    duration
+  };
+}
+
+/**
+ * Update insights in place after files changed
+ * - paths of removed files are dropped; an insight left with no files is dropped
+ * - insights about modified files are flagged `stale` until insights are regenerated
+ * @returns {{insights: Object, removed: number, stale: number}}
+ */
+export function reconcileInsights(insights, { modified = [], removed = [] } = {}) {
+  if (!insights?.categories) {
+    return { insights, removed: 0, stale: 0 };
+  }
+
+  const removedPaths = new Set(removed.map(file => file.path));
+  const modifiedPaths = new Set(modified.map(file => file.path));
+  let removedCount = 0;
+  let staleCount = 0;
+
+  const categories = {};
+  for (const [category, items] of Object.entries(insights.categories)) {
+    categories[category] = (items || []).reduce((kept, insight) => {
+      const files = insight.files || [];
+      const remaining = files.filter(path => !removedPaths.has(path));
+
+      if (files.length > 0 && remaining.length === 0) {
+        removedCount++;
+        return kept;
+      }
+
+      const stale = insight.stale || remaining.some(path => modifiedPaths.has(path));
+      if (stale && !insight.stale) {
+        staleCount++;
+      }
+      kept.push({ ...insight, files: remaining, ...(stale && { stale: true }) });
+      return kept;
+    }, []);
+  }
+
+  return {
+    insights: { ...insights, categories, summary: calculateInsightsSummary({ categories }) },
+    removed: removedCount,
+    stale: staleCount
+  };
+}
+
+/**
+ * Insight counts by type across all categories
+ */
+export function calculateInsightsSummary(insights) {
+  let critical = 0;
+  let warnings = 0;
+  let suggestions = 0;
+
+  Object.values(insights.categories).forEach(category => {
+    category.forEach(insight => {
+      switch (insight.type) {
+        case 'bug':
+          critical++;
+          break;
+        case 'warning':
+          warnings++;
+          break;
+        case 'suggestion':
+        case 'info':
+          suggestions++;
+          break;
+      }
+    });
+  });
+
+  return {
+    total: critical + warnings + suggestions,
+    critical,
+    warnings,
+    suggestions
+  };
+}
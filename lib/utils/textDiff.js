@@ -0,0 +1,77 @@
+/**
+ * Line diff for artifact versions
+ * Produces side-by-side rows (left = older text, right = newer text) for the document
+ * viewer, plus a unified patch for download or display.
+ */
+
+import { createTwoFilesPatch, diffLines } from 'diff';
+
+/**
+ * Side-by-side diff of two texts
+ * Removed lines followed by added lines are paired into "changed" rows.
+ * @returns {{rows: Array<{type: string, left: ?{number, text}, right: ?{number, text}}>,
+ *   stats: {added: number, removed: number, changed: number, unchanged: number}}}
+ */
+export function diffText(before = '', after = '') {
+  const rows = [];
+  const stats = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  let leftNumber = 1;
+  let rightNumber = 1;
+  let pendingRemoved = [];
+
+  const left = text => ({ number: leftNumber++, text });
+  const right = text => ({ number: rightNumber++, text });
+
+  const flushRemoved = () => {
+    for (const text of pendingRemoved) {
+      rows.push({ type: 'removed', left: left(text), right: null });
+      stats.removed++;
+    }
+    pendingRemoved = [];
+  };
+
+  for (const part of diffLines(before, after)) {
+    const lines = splitLines(part.value);
+
+    if (part.removed) {
+      flushRemoved();
+      pendingRemoved = lines;
+    } else if (part.added) {
+      const paired = Math.min(pendingRemoved.length, lines.length);
+      for (let i = 0; i < paired; i++) {
+        rows.push({ type: 'changed', left: left(pendingRemoved[i]), right: right(lines[i]) });
+        stats.changed++;
+      }
+      pendingRemoved = pendingRemoved.slice(paired);
+      flushRemoved();
+      for (const text of lines.slice(paired)) {
+        rows.push({ type: 'added', left: null, right: right(text) });
+        stats.added++;
+      }
+    } else {
+      flushRemoved();
+      for (const text of lines) {
+        rows.push({ type: 'equal', left: left(text), right: right(text) });
+        stats.unchanged++;
+      }
+    }
+  }
+  flushRemoved();
+
+  return { rows, stats };
+}
+
+/**
+ * Unified patch between two texts
+ */
+export function unifiedDiff(before = '', after = '', { fromLabel = 'before', toLabel = 'after', context = 3 } = {}) {
+  return createTwoFilesPatch(fromLabel, toLabel, before, after, '', '', { context });
+}
+
+// ========== PRIVATE HELPER METHODS ==========
+
+function splitLines(value) {
+  const lines = value.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
@@ -22,7 +22,10 @@ const protectedRoutes = [
 // Define public routes that don't require authentication
 const publicRoutes = [
   '/api/bmad/test', // Test endpoint for BMAD system
-  '/api/workflows/templates' // Public workflow templates endpoint
+  '/api/workflows/templates', // Public workflow templates endpoint
+  '/api/integrations/github/webhook', // GitHub deliveries, verified by HMAC signature
+  '/api/integrations/jira/webhook', // Jira issue updates, verified by HMAC signature
+  '/api/integrations/slack/interactivity' // Slack elicitation answers, verified by signing secret
 ];
 
 // Define user-only routes (admin cannot access)
@@ -1,7 +1,7 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  // Server external packages (moved from experimental)
-  serverExternalPackages: ['mongoose', 'mongodb', '@mongodb-js/zstd', 'mongodb-client-encryption'],
+  // Server external packages (moved from experimental); pdfkit loads its font metrics from disk
+  serverExternalPackages: ['mongoose', 'mongodb', '@mongodb-js/zstd', 'mongodb-client-encryption', 'pdfkit'],
   
   // Fix for Vercel deployment issues
   experimental: {
@@ -0,0 +1,205 @@
+/**
+ * AIServiceCore Unit Tests
+ *
+ * Anthropic and OpenAI-compatible providers: fallback order, model routing,
+ * usage normalization, key validation and cost estimation.
+ */
+
+import { AIServiceCore } from '../../../../lib/ai/core/AIServiceCore.js';
+import { ModelRouter } from '../../../../lib/ai/ModelRouter.js';
+import { ApiKeyValidator } from '../../../../lib/ai/utils/ApiKeyValidator.js';
+import { UsageTracker } from '../../../../lib/ai/services/UsageTracker.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../lib/utils/redis.js', () => ({
+  redisService: { isAvailable: () => false },
+}));
+
+const anthropicClient = (create) => ({ messages: { create } });
+const openaiClient = (create) => ({ chat: { completions: { create } } });
+
+describe('AIServiceCore providers', () => {
+  const fastRetry = { maxRetries: 1, baseDelay: 1 };
+
+  // Retries wait on setTimeout between attempts, which never fires under the global fake timers
+  beforeEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('puts a configured endpoint first and ignores unknown providers in custom priority', () => {
+    const core = new AIServiceCore({
+      anthropic: anthropicClient(jest.fn()),
+      openaiCompatible: openaiClient(jest.fn()),
+    }, { openaiCompatibleModel: 'llama3.1' });
+
+    expect(core.providerPriority).toEqual(['openaiCompatible', 'anthropic']);
+
+    core.setProviderPriority(['anthropic', 'gemini', 'openaiCompatible', 'bogus']);
+    expect(core.providerPriority).toEqual(['anthropic', 'openaiCompatible']);
+  });
+
+  test('never leaves an exclusive endpoint, even for routed calls', async () => {
+    const anthropicCreate = jest.fn();
+    const compatibleCreate = jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'));
+    const core = new AIServiceCore({
+      anthropic: anthropicClient(anthropicCreate),
+      openaiCompatible: openaiClient(compatibleCreate),
+    }, { ...fastRetry, openaiCompatibleModel: 'llama3.1', openaiCompatibleExclusive: true, providerPriority: ['anthropic'] });
+
+    expect(core.providerPriority).toEqual(['openaiCompatible']);
+    core.setProviderPriority(['anthropic', 'openaiCompatible']);
+    expect(core.providerPriority).toEqual(['openaiCompatible']);
+
+    await expect(core.call('Keep this local', { route: { provider: 'anthropic', model: 'claude-sonnet-4-20250514' } }))
+      .rejects.toThrow('All AI providers failed');
+    expect(compatibleCreate).toHaveBeenCalledWith(expect.objectContaining({ model: 'llama3.1' }));
+    expect(anthropicCreate).not.toHaveBeenCalled();
+  });
+
+  test('normalizes Anthropic usage to prompt/completion tokens', async () => {
+    const create = jest.fn().mockResolvedValue({
+      model: 'claude-3-5-haiku-20241022',
+      content: [{ type: 'text', text: 'Hello ' }, { type: 'text', text: 'world' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 12, output_tokens: 3 },
+    });
+    const core = new AIServiceCore({ anthropic: anthropicClient(create) }, fastRetry);
+
+    const result = await core.call('Say hello', { maxTokens: 50 });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'claude-3-5-haiku-latest',
+      max_tokens: 50,
+      messages: [{ role: 'user', content: 'Say hello' }],
+    }));
+    expect(result).toMatchObject({
+      content: 'Hello world',
+      provider: 'anthropic',
+      usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 },
+    });
+  });
+
+  test('falls back from the routed provider to the OpenAI-compatible endpoint and opens the failing circuit', async () => {
+    const anthropicCreate = jest.fn().mockRejectedValue(new Error('overloaded'));
+    const compatibleCreate = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: 'local answer' } }],
+    });
+    const core = new AIServiceCore({
+      anthropic: anthropicClient(anthropicCreate),
+      openaiCompatible: openaiClient(compatibleCreate),
+    }, { ...fastRetry, openaiCompatibleModel: 'qwen2.5-coder', anthropicFailureThreshold: 1 });
+
+    const result = await core.call('Write code', { route: { provider: 'anthropic', model: null } });
+
+    expect(anthropicCreate).toHaveBeenCalledTimes(2); // initial attempt + one retry
+    expect(compatibleCreate).toHaveBeenCalledWith(expect.objectContaining({ model: 'qwen2.5-coder' }));
+    expect(result.provider).toBe('openaiCompatible');
+    // Servers that omit usage still report an estimate
+    expect(result.usage.total_tokens).toBeGreaterThan(0);
+    expect(core.healthStats.anthropic.errorCount).toBe(1);
+    expect(core.getCircuitBreaker('anthropic').getStatus().state).toBe('OPEN');
+
+    core.resetCircuitBreakers();
+    expect(core.getCircuitBreaker('anthropic').getStatus().state).toBe('CLOSED');
+  });
+
+  test('tries the routed provider and model first, then falls back', async () => {
+    const openaiCreate = jest.fn().mockRejectedValue(new Error('model not found'));
+    const anthropicCreate = jest.fn().mockResolvedValue({
+      content: [{ type: 'text', text: 'fallback' }],
+      usage: { input_tokens: 1, output_tokens: 1 },
+    });
+    const core = new AIServiceCore({
+      anthropic: anthropicClient(anthropicCreate),
+      openai: openaiClient(openaiCreate),
+    }, fastRetry);
+
+    const result = await core.call('Pick next step', { route: { provider: 'openai', model: 'gpt-4o-mini' } });
+
+    expect(openaiCreate).toHaveBeenCalledWith(expect.objectContaining({ model: 'gpt-4o-mini' }));
+    expect(anthropicCreate).toHaveBeenCalledWith(expect.objectContaining({ model: 'claude-3-5-haiku-latest' }));
+    expect(result).toMatchObject({ provider: 'anthropic', model: 'claude-3-5-haiku-latest' });
+  });
+
+  test('orders routed calls with the ModelRouter it was given', async () => {
+    const modelRouter = new ModelRouter();
+    jest.spyOn(modelRouter, 'orderProviders');
+    jest.spyOn(modelRouter, 'modelFor');
+    const anthropicCreate = jest.fn().mockResolvedValue({
+      content: [{ type: 'text', text: 'routed' }],
+      usage: { input_tokens: 1, output_tokens: 1 },
+    });
+    const core = new AIServiceCore({
+      anthropic: anthropicClient(anthropicCreate),
+      openaiCompatible: openaiClient(jest.fn()),
+    }, { ...fastRetry, openaiCompatibleModel: 'llama3.1', modelRouter });
+    const route = { provider: 'anthropic', model: 'claude-sonnet-4-20250514' };
+
+    await core.call('Design the API', { route });
+
+    expect(modelRouter.orderProviders).toHaveBeenCalledWith(['openaiCompatible', 'anthropic'], route);
+    expect(modelRouter.modelFor).toHaveBeenCalledWith('anthropic', route);
+    expect(anthropicCreate).toHaveBeenCalledWith(expect.objectContaining({ model: 'claude-sonnet-4-20250514' }));
+  });
+
+  test('reports health for configured providers only', async () => {
+    const core = new AIServiceCore({
+      openaiCompatible: openaiClient(jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'))),
+    }, { openaiCompatibleModel: 'llama3.1' });
+
+    await expect(core.checkProviderHealth('openaiCompatible')).resolves.toMatchObject({
+      healthy: false,
+      provider: 'openaiCompatible',
+      error: 'connect ECONNREFUSED',
+    });
+    await expect(core.checkProviderHealth('anthropic')).resolves.toEqual({ healthy: false, error: 'Provider not available' });
+  });
+});
+
+describe('ApiKeyValidator', () => {
+  test('validates Anthropic keys', () => {
+    expect(ApiKeyValidator.validateAnthropic('sk-ant-REDACTED').valid).toBe(true);
+    expect(ApiKeyValidator.validateAnthropic('sk-proj-abcdefghijklmnopqrstuvwxyz')).toMatchObject({ valid: false });
+  });
+
+  test('validates OpenAI-compatible endpoint configs', () => {
+    expect(ApiKeyValidator.validateOpenAICompatible({ baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' }).valid).toBe(true);
+    expect(ApiKeyValidator.validateOpenAICompatible({ baseUrl: 'ftp://host', model: 'x' }).error).toMatch(/http/);
+    expect(ApiKeyValidator.validateOpenAICompatible({ baseUrl: 'http://localhost:8000/v1', model: ' ' }).error).toMatch(/Model/);
+
+    const result = ApiKeyValidator.validateAll({ openaiCompatible: { baseUrl: 'not a url', model: 'm' } });
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/^openaiCompatible:/);
+  });
+
+  test('treats an endpoint without keys as a configured provider', () => {
+    expect(ApiKeyValidator.hasAnyKey({ openaiCompatible: { baseUrl: 'http://localhost:11434/v1' } })).toBe(true);
+    expect(ApiKeyValidator.hasAnyKey({ openai: null, openaiCompatible: null })).toBe(false);
+  });
+});
+
+describe('UsageTracker.estimateCost', () => {
+  test('prices providers per token and leaves self-hosted endpoints free', () => {
+    expect(UsageTracker.estimateCost('anthropic', { promptTokens: 1000, completionTokens: 1000 })).toBeCloseTo(0.0048);
+    expect(UsageTracker.estimateCost('gemini', { totalTokens: 1000 })).toBeCloseTo(0.001);
+    expect(UsageTracker.estimateCost('openaiCompatible', { promptTokens: 5000, completionTokens: 5000 })).toBe(0);
+    expect(UsageTracker.estimateCost('unknown', { totalTokens: 10 })).toBe(0);
+  });
+
+  test('prices the model that served the call, falling back to the provider price', () => {
+    const tokens = { promptTokens: 1000, completionTokens: 1000 };
+
+    expect(UsageTracker.estimateCost('anthropic', tokens, 'claude-opus-4-20250514')).toBeCloseTo(0.09);
+    expect(UsageTracker.estimateCost('openai', tokens, 'gpt-4o-2024-08-06')).toBeCloseTo(0.0125);
+    expect(UsageTracker.estimateCost('openai', tokens, 'gpt-4o-mini')).toBeCloseTo(0.00075);
+    expect(UsageTracker.estimateCost('gemini', tokens, 'models/gemini-2.5-pro')).toBeCloseTo(0.01125);
+    expect(UsageTracker.estimateCost('anthropic', tokens, 'claude-next')).toBeCloseTo(0.0048);
+    expect(UsageTracker.estimateCost('openaiCompatible', tokens, 'gpt-4o')).toBe(0);
+  });
+});
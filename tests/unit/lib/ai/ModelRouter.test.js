@@ -0,0 +1,129 @@
+/**
+ * ModelRouter Unit Tests
+ *
+ * Routing policy precedence, complexity tiers, rule shorthand,
+ * policy validation and provider ordering.
+ */
+
+import { ModelRouter } from '../../../../lib/ai/ModelRouter.js';
+import logger from '../../../../lib/utils/logger.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const policy = {
+  default: { provider: 'gemini', model: 'gemini-2.5-flash' },
+  stepTypes: {
+    routing: 'openai/gpt-4o-mini',
+  },
+  complexity: {
+    complex: { provider: 'anthropic', model: 'claude-sonnet-4-20250514' },
+  },
+  agents: {
+    architect: {
+      default: { provider: 'anthropic', model: 'claude-opus-4-1' },
+    },
+  },
+};
+
+describe('ModelRouter', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('returns null without a policy', () => {
+    const router = new ModelRouter();
+    expect(router.hasPolicy()).toBe(false);
+    expect(router.resolve({ agent: 'dev', stepType: 'routing', complexity: 4 })).toBeNull();
+  });
+
+  test('applies the most specific rule first', () => {
+    const router = new ModelRouter(policy);
+
+    expect(router.resolve({ agent: { id: 'architect' }, stepType: 'routing', complexity: 4 }))
+      .toEqual({ provider: 'anthropic', model: 'claude-opus-4-1', source: 'agents.architect.default' });
+    expect(router.resolve({ agent: { id: 'dev' }, stepType: 'routing', complexity: 4 }))
+      .toEqual({ provider: 'openai', model: 'gpt-4o-mini', source: 'modelRouting.stepTypes.routing' });
+    expect(router.resolve({ agent: 'dev', complexity: 'complex' }))
+      .toEqual({ provider: 'anthropic', model: 'claude-sonnet-4-20250514', source: 'modelRouting.complexity.complex' });
+    expect(router.resolve({ agent: 'dev', complexity: 2 }))
+      .toEqual({ provider: 'gemini', model: 'gemini-2.5-flash', source: 'modelRouting.default' });
+  });
+
+  test('lets core-config override the policy shipped in an agent file', () => {
+    const router = new ModelRouter({
+      agents: { qa: { stepTypes: { document: 'openai/gpt-4o' } } },
+    });
+    const agent = {
+      id: 'qa',
+      modelRouting: {
+        default: 'gemini/gemini-2.5-pro',
+        stepTypes: { document: 'anthropic/claude-3-5-haiku-latest' },
+      },
+    };
+
+    expect(router.resolve({ agent, stepType: 'document' }))
+      .toMatchObject({ provider: 'openai', model: 'gpt-4o', source: 'agents.qa.stepTypes.document' });
+    expect(router.resolve({ agent, stepType: 'elicitation' }))
+      .toMatchObject({ provider: 'gemini', model: 'gemini-2.5-pro', source: 'agents.qa.default' });
+  });
+
+  test('maps numeric and named complexity onto tiers', () => {
+    expect(ModelRouter.complexityTier(1)).toBe('simple');
+    expect(ModelRouter.complexityTier(3)).toBe('moderate');
+    expect(ModelRouter.complexityTier(4)).toBe('complex');
+    expect(ModelRouter.complexityTier('medium')).toBe('moderate');
+    expect(ModelRouter.complexityTier('extreme')).toBeNull();
+    expect(ModelRouter.complexityTier(undefined)).toBeNull();
+  });
+
+  test('keeps slashes in shorthand model names', () => {
+    expect(ModelRouter.normalizeRule('openaiCompatible/meta-llama/Llama-3.1-8B'))
+      .toEqual({ provider: 'openaiCompatible', model: 'meta-llama/Llama-3.1-8B' });
+    expect(ModelRouter.normalizeRule('anthropic')).toEqual({ provider: 'anthropic', model: null });
+    expect(ModelRouter.normalizeRule({ model: 'gpt-4o' })).toBeNull();
+  });
+
+  test('warns about unknown providers, step types and tiers', () => {
+    const router = new ModelRouter({
+      stepTypes: { planning: 'openai/gpt-4o' },
+      complexity: { simple: 'mistral/small' },
+      agents: { pm: { default: { model: 'gpt-4o' } } },
+    });
+
+    const warnings = logger.warn.mock.calls.map(([message]) => message);
+    expect(warnings).toHaveLength(3);
+    expect(warnings[0]).toMatch(/stepTypes\.planning is not a known step type/);
+    expect(warnings[1]).toMatch(/complexity\.simple uses unknown provider "mistral"/);
+    expect(warnings[2]).toMatch(/agents\.pm\.default must be/);
+    expect(router.hasPolicy()).toBe(true);
+  });
+
+  test('puts the routed provider first and keeps the rest as fallbacks', () => {
+    const router = new ModelRouter();
+    const priority = ['gemini', 'openai', 'anthropic'];
+    const route = { provider: 'anthropic', model: 'claude-sonnet-4-20250514' };
+
+    expect(router.orderProviders(priority, route)).toEqual(['anthropic', 'gemini', 'openai']);
+    expect(router.orderProviders(priority, { provider: 'openaiCompatible' })).toEqual(priority);
+    expect(router.orderProviders(priority, null)).toEqual(priority);
+    expect(router.modelFor('anthropic', route)).toBe('claude-sonnet-4-20250514');
+    expect(router.modelFor('gemini', route)).toBeNull();
+  });
+
+  test('prefers a configured endpoint and keeps an exclusive one on its own', () => {
+    const router = new ModelRouter();
+    const configured = ['gemini', 'anthropic', 'openaiCompatible'];
+
+    expect(ModelRouter.providerPriority(configured)).toEqual(['openaiCompatible', 'gemini', 'anthropic']);
+    expect(ModelRouter.providerPriority(['gemini', 'openai'], { openaiCompatibleExclusive: true })).toEqual(['gemini', 'openai']);
+
+    const exclusive = ModelRouter.providerPriority(configured, { openaiCompatibleExclusive: true });
+    expect(exclusive).toEqual(['openaiCompatible']);
+    expect(router.orderProviders(exclusive, { provider: 'anthropic' })).toEqual(['openaiCompatible']);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Repository retrieval primitives
+ *
+ * Chunking with line ranges, code-aware tokenizing, BM25 ranking,
+ * rank fusion and path#Lstart-Lend citation resolution.
+ */
+
+import {
+  chunkFile,
+  tokenize,
+  termFrequencies,
+  bm25Rank,
+  reciprocalRankFusion,
+  formatAnchor,
+  resolveCitations,
+  formatRetrievedContext,
+} from '../../../../../lib/ai/retrieval/textIndex.js';
+
+const numberedLines = (count) => Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+
+const indexed = (chunk) => {
+  const termFreqs = termFrequencies(chunk);
+  return { ...chunk, termFreqs, length: Object.values(termFreqs).reduce((a, b) => a + b, 0) };
+};
+
+describe('chunkFile', () => {
+  test('splits into overlapping, 1-based inclusive line ranges', () => {
+    const chunks = chunkFile('src/a.js', numberedLines(130).join('\n'), { maxLines: 60, overlap: 10 });
+
+    expect(chunks.map(({ startLine, endLine }) => [startLine, endLine])).toEqual([
+      [1, 60],
+      [51, 110],
+      [101, 130],
+    ]);
+    expect(chunks[1].text.split('\n')[0]).toBe('line 51');
+    expect(chunks[2].path).toBe('src/a.js');
+  });
+
+  test('prefers breaking on a blank line', () => {
+    const lines = numberedLines(80);
+    lines[44] = '';
+    const [first, second] = chunkFile('src/b.js', lines.join('\n'), { maxLines: 60, overlap: 0 });
+
+    expect(first.endLine).toBe(45);
+    expect(second.startLine).toBe(46);
+  });
+
+  test('returns nothing for empty content', () => {
+    expect(chunkFile('empty.js', '  \n ')).toEqual([]);
+  });
+});
+
+describe('tokenize', () => {
+  test('splits identifiers and drops stopwords and short tokens', () => {
+    expect(tokenize('const parseHTTPResponse = read_file_content(id);')).toEqual([
+      'parsehttpresponse', 'parse', 'http', 'response',
+      'read_file_content', 'read', 'file', 'content',
+    ]);
+  });
+});
+
+describe('bm25Rank', () => {
+  test('ranks the chunk that matches more rare terms first', () => {
+    const chunks = [
+      { path: 'lib/auth/session.js', startLine: 1, endLine: 20, text: 'function createSession(user) { return token; }' },
+      { path: 'lib/utils/format.js', startLine: 1, endLine: 10, text: 'function formatDate(date) { return date; }' },
+      { path: 'lib/auth/token.js', startLine: 5, endLine: 30, text: 'function verifyToken(token) { return token; }' },
+    ].map(indexed);
+    const avgLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length;
+
+    const ranked = bm25Rank(tokenize('where is the session token created?'), chunks, { totalChunks: 3, avgLength });
+
+    expect(ranked[0].path).toBe('lib/auth/session.js');
+    expect(ranked.map(chunk => chunk.path)).not.toContain('lib/utils/format.js');
+  });
+
+  test('accepts term frequencies stored as a Map', () => {
+    const chunk = { path: 'a.js', startLine: 1, endLine: 2, termFreqs: new Map([['router', 2]]), length: 2 };
+    expect(bm25Rank(['router'], [chunk], { totalChunks: 10, avgLength: 2 })[0].score).toBeGreaterThan(0);
+  });
+});
+
+describe('reciprocalRankFusion', () => {
+  test('favours items ranked well in both lists', () => {
+    const a = { path: 'a.js', startLine: 1, endLine: 5 };
+    const b = { path: 'b.js', startLine: 1, endLine: 5 };
+    const c = { path: 'c.js', startLine: 1, endLine: 5 };
+
+    const fused = reciprocalRankFusion([[a, b], [b, c]]);
+
+    expect(fused.map(item => item.path)).toEqual(['b.js', 'a.js', 'c.js']);
+  });
+});
+
+describe('citations', () => {
+  const retrieved = [
+    { path: 'lib/auth/session.js', startLine: 10, endLine: 14, text: 'a\nb\nc\nd\ne', score: 4 },
+    { path: 'lib/auth/token.js', startLine: 1, endLine: 3, text: 'x\ny\nz', score: 2 },
+  ];
+
+  test('formats anchors for chunks and stored citations', () => {
+    expect(formatAnchor(retrieved[0])).toBe('lib/auth/session.js#L10-L14');
+    expect(formatAnchor({ filePath: 'README.md', lineStart: 3, lineEnd: 3 })).toBe('README.md#L3');
+    expect(formatAnchor({ filePath: 'README.md' })).toBe('README.md');
+  });
+
+  test('resolves exact anchors to the cited lines of a retrieved chunk', () => {
+    const citations = resolveCitations(
+      'Sessions are created in lib/auth/session.js#L11-L12 and checked in src/other.js#L7.',
+      retrieved
+    );
+
+    expect(citations).toEqual([
+      { filePath: 'lib/auth/session.js', lineStart: 11, lineEnd: 12, code: 'b\nc', relevance: 1 },
+      { filePath: 'src/other.js', lineStart: 7, lineEnd: 7, code: null, relevance: 0.5 },
+    ]);
+  });
+
+  test('falls back to retrieved chunks whose file is mentioned', () => {
+    const citations = resolveCitations('Tokens are verified in lib/auth/token.js.', retrieved);
+
+    expect(citations).toEqual([
+      { filePath: 'lib/auth/token.js', lineStart: 1, lineEnd: 3, code: 'x\ny\nz', relevance: 0.5 },
+    ]);
+    expect(resolveCitations('', retrieved)).toEqual([]);
+  });
+
+  test('lists retrieved chunks with their anchors in the prompt', () => {
+    const section = formatRetrievedContext(retrieved);
+
+    expect(section).toContain('[1] lib/auth/session.js#L10-L14');
+    expect(section).toContain('[2] lib/auth/token.js#L1-L3');
+    expect(formatRetrievedContext([])).toBe('');
+  });
+});
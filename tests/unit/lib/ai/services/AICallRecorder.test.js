@@ -0,0 +1,181 @@
+/**
+ * AICallRecorder Unit Tests
+ *
+ * Recording calls and failures through intercept, replaying them without provider calls,
+ * prompt divergences (reported, or fatal in strict mode), missing calls and JSON fixtures.
+ */
+
+import { AICallRecorder, RecordingMode, DivergenceType } from '../../../../../lib/ai/services/AICallRecorder.js';
+import AICallRecord from '../../../../../lib/database/models/AICallRecord.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../../lib/database/models/AICallRecord.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(), findOne: jest.fn(), findRecording: jest.fn() }
+}));
+
+jest.mock('../../../../../lib/database/models/Workflow.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn(), updateOne: jest.fn() }
+}));
+
+const query = (value) => {
+  const chain = { sort: () => chain, select: () => chain, lean: () => Promise.resolve(value) };
+  return chain;
+};
+
+const architect = { id: 'architect' };
+
+function recordedCall(sequence, prompt, overrides = {}) {
+  return {
+    recordingId: 'recording_1',
+    sequence,
+    method: 'call',
+    agentId: 'architect',
+    stepType: null,
+    prompt,
+    promptHash: AICallRecorder.hashPrompt(prompt),
+    response: { content: `answer ${sequence}`, provider: 'openai' },
+    error: null,
+    ...overrides
+  };
+}
+
+describe('AICallRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    recorder = new AICallRecorder();
+  });
+
+  test('calls straight through when the workflow is not recorded', async () => {
+    const execute = jest.fn().mockResolvedValue({ content: 'live' });
+
+    await expect(recorder.intercept('call', { prompt: 'hi', context: { workflowId: 'workflow_1' } }, execute))
+      .resolves.toEqual({ content: 'live' });
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(AICallRecord.create).not.toHaveBeenCalled();
+  });
+
+  test('records responses, tool results and failures in sequence', async () => {
+    Workflow.findOne.mockReturnValue(query({ recording: { mode: RecordingMode.RECORD, recordingId: 'recording_1' } }));
+    AICallRecord.findOne.mockReturnValue(query({ sequence: 2 }));
+    await recorder.attach('workflow_1');
+
+    const request = { prompt: 'Design it', agent: architect, complexity: 3, stepType: 'tools', context: { workflowId: 'workflow_1' } };
+    const result = {
+      content: 'Done',
+      provider: 'openai',
+      model: 'gpt-4o',
+      steps: [{ text: 'Done', request: { body: 'large' }, toolResults: [{ toolCallId: 't1', toolName: 'write_file', input: { path: 'a.md' }, output: 'ok' }] }]
+    };
+    await recorder.intercept('callWithTools', request, async () => result);
+    await expect(recorder.intercept('call', request, async () => { throw new Error('rate limited'); }))
+      .rejects.toThrow('rate limited');
+
+    const [first, second] = AICallRecord.create.mock.calls.map(([record]) => record);
+    expect(first).toMatchObject({
+      recordingId: 'recording_1',
+      workflowId: 'workflow_1',
+      sequence: 3,
+      method: 'callWithTools',
+      agentId: 'architect',
+      stepType: 'tools',
+      complexity: '3',
+      promptHash: AICallRecorder.hashPrompt('Design it'),
+      toolResults: [{ toolCallId: 't1', toolName: 'write_file', input: { path: 'a.md' }, output: 'ok' }],
+      provider: 'openai',
+      error: null
+    });
+    expect(first.response.steps[0]).not.toHaveProperty('request');
+    expect(second).toMatchObject({ sequence: 4, method: 'call', response: null, error: 'rate limited' });
+  });
+
+  test('a failed save does not fail the recorded call', async () => {
+    Workflow.findOne.mockReturnValue(query({ recording: { mode: RecordingMode.RECORD, recordingId: 'recording_1' } }));
+    AICallRecord.findOne.mockReturnValue(query(null));
+    AICallRecord.create.mockRejectedValue(new Error('db down'));
+    await recorder.attach('workflow_1');
+
+    await expect(recorder.intercept('call', { prompt: 'p', context: { workflowId: 'workflow_1' } }, async () => ({ content: 'ok' })))
+      .resolves.toEqual({ content: 'ok' });
+  });
+
+  test('replays recorded answers without calling the provider', async () => {
+    Workflow.findOne.mockReturnValue(query({ recording: { mode: RecordingMode.REPLAY, recordingId: 'recording_1', consumed: [1] } }));
+    AICallRecord.findRecording.mockReturnValue(query([
+      recordedCall(1, 'Write the PRD', { agentId: 'pm' }),
+      recordedCall(2, 'Design it'),
+      recordedCall(3, 'Fix it', { error: 'rate limited' })
+    ]));
+    await recorder.attach('workflow_2');
+    const execute = jest.fn();
+    const request = (prompt) => ({ prompt, agent: architect, context: { workflowId: 'workflow_2' } });
+
+    await expect(recorder.intercept('call', request('Design it'), execute))
+      .resolves.toEqual({ content: 'answer 2', provider: 'openai', replay: { recordingId: 'recording_1', sequence: 2 } });
+    await expect(recorder.intercept('call', request('Fix it'), execute)).rejects.toThrow('rate limited');
+
+    expect(execute).not.toHaveBeenCalled();
+    expect(recorder.isReplaying('workflow_2')).toBe(true);
+    expect(Workflow.updateOne).toHaveBeenCalledWith({ workflowId: 'workflow_2' }, { $addToSet: { 'recording.consumed': 2 } });
+  });
+
+  test('reports changed prompts, and fails on them in strict mode', async () => {
+    const fixture = { recordingId: 'recording_1', calls: [recordedCall(1, 'Monolith\nPostgres'), recordedCall(2, 'Review')] };
+    const session = recorder.replayFrom('workflow_3', fixture);
+    const request = { prompt: 'Microservices\nPostgres', agent: architect, context: { workflowId: 'workflow_3' } };
+
+    await expect(recorder.intercept('call', request, jest.fn())).resolves.toMatchObject({ content: 'answer 1' });
+    expect(session.divergences).toEqual([expect.objectContaining({
+      type: DivergenceType.PROMPT_CHANGED,
+      sequence: 1,
+      agentId: 'architect',
+      expectedHash: AICallRecorder.hashPrompt('Monolith\nPostgres'),
+      actualHash: AICallRecorder.hashPrompt('Microservices\nPostgres'),
+      stats: { added: 0, removed: 0, changed: 1, unchanged: 1 }
+    })]);
+    expect(Workflow.updateOne).not.toHaveBeenCalled();
+
+    const strict = recorder.replayFrom('workflow_4', fixture, { strict: true });
+    await expect(recorder.intercept('call', { ...request, context: { workflowId: 'workflow_4' } }, jest.fn()))
+      .rejects.toThrow('Replay of recording_1 diverged at call 1: prompt for architect changed');
+    expect(strict.divergences).toHaveLength(1);
+  });
+
+  test('fails calls the recording does not have', async () => {
+    const session = recorder.replayFrom('workflow_5', { recordingId: 'recording_1', calls: [recordedCall(1, 'Design it')] });
+    const request = { prompt: 'Design it', agent: architect, context: { workflowId: 'workflow_5' } };
+
+    await recorder.intercept('call', request, jest.fn());
+    await expect(recorder.intercept('call', request, jest.fn()))
+      .rejects.toThrow('Replay of recording_1 has no recorded call left for architect');
+    await expect(recorder.intercept('callWithTools', { ...request, agent: { id: 'dev' } }, jest.fn()))
+      .rejects.toThrow('no recorded callWithTools left for dev');
+    expect(session.divergences.map(divergence => divergence.type))
+      .toEqual([DivergenceType.MISSING_CALL, DivergenceType.MISSING_CALL]);
+  });
+
+  test('builds a replay report from the stored recording', async () => {
+    Workflow.findOne.mockReturnValue(query({
+      recording: { mode: RecordingMode.REPLAY, recordingId: 'recording_1', strict: false, consumed: [1], divergences: [{ type: 'prompt_changed', sequence: 1 }] }
+    }));
+    AICallRecord.findRecording.mockReturnValue(query([recordedCall(1, 'a'), recordedCall(2, 'b')]));
+
+    const report = await recorder.getReplayReport('workflow_2');
+    expect(report).toMatchObject({ recordingId: 'recording_1', strict: false, totalCalls: 2, replayedCalls: 1 });
+    expect(report.unusedCalls.map(call => call.sequence)).toEqual([2]);
+    expect(report.divergences).toHaveLength(1);
+
+    Workflow.findOne.mockReturnValue(query({ recording: { mode: RecordingMode.RECORD, recordingId: 'recording_1' } }));
+    expect(await recorder.getReplayReport('workflow_1')).toBeNull();
+  });
+});
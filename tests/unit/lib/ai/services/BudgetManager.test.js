@@ -0,0 +1,178 @@
+/**
+ * BudgetManager Unit Tests
+ *
+ * Cap validation, evaluation against spend, period boundaries,
+ * soft cap elicitations, the no-database fallback and caps hit by per-model pricing.
+ */
+
+import { BudgetManager, BudgetStatus, BUDGET_ELICITATION_TYPE } from '../../../../../lib/ai/services/BudgetManager.js';
+import { UsageTracker } from '../../../../../lib/ai/services/UsageTracker.js';
+import { ModelRouter } from '../../../../../lib/ai/ModelRouter.js';
+import UsageLog from '../../../../../lib/database/models/UsageLog.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import AgentTeam from '../../../../../lib/database/models/AgentTeam.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockConnection = { readyState: 0 };
+jest.mock('mongoose', () => ({
+  __esModule: true,
+  default: { connection: mockConnection, isValidObjectId: () => false },
+}));
+
+const lean = (value) => ({ select: () => ({ lean: () => Promise.resolve(value) }) });
+
+jest.mock('../../../../../lib/database/models/UsageLog.js', () => ({ __esModule: true, default: { getSpend: jest.fn() } }));
+jest.mock('../../../../../lib/database/models/Workflow.js', () => ({ __esModule: true, default: { findOne: jest.fn(), find: jest.fn() } }));
+jest.mock('../../../../../lib/database/models/AgentTeam.js', () => ({ __esModule: true, default: { findOne: jest.fn() } }));
+jest.mock('../../../../../lib/database/models/User.js', () => ({ __esModule: true, default: { findById: jest.fn() } }));
+
+describe('BudgetManager', () => {
+  test('normalizes caps and treats empty values as no cap', () => {
+    expect(BudgetManager.normalizeLimits({ soft: { cost: '2.5', tokens: '' }, hard: { cost: 5, tokens: 1000.4 } }))
+      .toEqual({ soft: { cost: 2.5, tokens: null }, hard: { cost: 5, tokens: 1000 } });
+    expect(BudgetManager.normalizeLimits(undefined))
+      .toEqual({ soft: { cost: null, tokens: null }, hard: { cost: null, tokens: null } });
+    expect(BudgetManager.hasLimits(BudgetManager.normalizeLimits({ hard: { tokens: 0 } }))).toBe(false);
+  });
+
+  test('rejects negative values and soft caps above hard caps', () => {
+    expect(() => BudgetManager.normalizeLimits({ hard: { cost: -1 } })).toThrow('hard.cost must be a positive number');
+    expect(() => BudgetManager.normalizeLimits({ soft: { tokens: 'lots' } })).toThrow('soft.tokens');
+    expect(() => BudgetManager.normalizeLimits({ soft: { cost: 10 }, hard: { cost: 5 } }))
+      .toThrow('soft.cost cannot exceed hard.cost');
+  });
+
+  test('evaluates spend against soft and hard caps', () => {
+    const limits = { soft: { cost: 1, tokens: null }, hard: { cost: 2, tokens: 10000 } };
+
+    expect(BudgetManager.evaluate(limits, { cost: 0.5, tokens: 4000 })).toEqual({
+      status: BudgetStatus.OK,
+      exceeded: [],
+      remaining: { cost: 1.5, tokens: 6000 },
+    });
+    expect(BudgetManager.evaluate(limits, { cost: 1.2, tokens: 4000 }).status).toBe(BudgetStatus.SOFT);
+
+    const hard = BudgetManager.evaluate(limits, { cost: 0.1, tokens: 12000 });
+    expect(hard.status).toBe(BudgetStatus.HARD);
+    expect(hard.exceeded).toEqual([{ level: 'hard', metric: 'tokens', limit: 10000, spent: 12000 }]);
+    expect(hard.remaining.tokens).toBe(0);
+
+    // Without a hard cap the soft cap is what remains
+    expect(BudgetManager.evaluate({ soft: { tokens: 500 } }, { tokens: 200 }).remaining)
+      .toEqual({ cost: null, tokens: 300 });
+  });
+
+  test('starts budget periods at UTC day and month boundaries', () => {
+    const now = new Date('2024-03-15T18:30:00Z');
+    expect(BudgetManager.periodStart('daily', now).toISOString()).toBe('2024-03-15T00:00:00.000Z');
+    expect(BudgetManager.periodStart('monthly', now).toISOString()).toBe('2024-03-01T00:00:00.000Z');
+  });
+
+  test('builds a soft cap elicitation for the scope that was hit', () => {
+    const scope = {
+      scope: 'workflow',
+      status: BudgetStatus.SOFT,
+      exceeded: [{ level: 'soft', metric: 'cost', limit: 1, spent: 1.234 }],
+    };
+
+    expect(BudgetManager.describe(scope)).toBe('workflow soft cap of $1.00 reached ($1.23 spent)');
+    expect(BudgetManager.softCapElicitation(scope)).toMatchObject({
+      type: BUDGET_ELICITATION_TYPE,
+      sectionId: 'budget:workflow',
+      options: ['continue', 'stop'],
+      instruction: expect.stringContaining('Reply "continue"'),
+    });
+  });
+
+  test('allows calls when nothing is attributed or no database is connected', async () => {
+    const manager = new BudgetManager();
+
+    await expect(manager.checkBudget({})).resolves.toMatchObject({ allowed: true, status: BudgetStatus.OK });
+    await expect(manager.checkBudget({ workflowId: 'workflow_1' })).resolves.toMatchObject({ allowed: true, scopes: [] });
+  });
+
+  test('blocks only on hard caps', async () => {
+    const manager = new BudgetManager();
+    const softScope = { scope: 'user', status: BudgetStatus.SOFT, exceeded: [], remaining: {} };
+    const hardScope = {
+      scope: 'team',
+      status: BudgetStatus.HARD,
+      exceeded: [{ level: 'hard', metric: 'tokens', limit: 5000, spent: 5200 }],
+      remaining: { cost: null, tokens: 0 },
+    };
+
+    manager.getBudgetStatus = jest.fn().mockResolvedValue({ status: 'soft', scopes: [softScope], remaining: {} });
+    await expect(manager.checkBudget({ userId: 'u1' })).resolves.toMatchObject({ allowed: true, status: 'soft' });
+
+    manager.getBudgetStatus = jest.fn().mockResolvedValue({ status: 'hard', scopes: [softScope, hardScope], remaining: {} });
+    await expect(manager.checkBudget({ userId: 'u1', workflowId: 'w1' })).resolves.toMatchObject({
+      allowed: false,
+      reason: 'team hard cap of 5,000 tokens reached (5,200 tokens spent)',
+    });
+
+    manager.getBudgetStatus = jest.fn().mockRejectedValue(new Error('connection reset'));
+    await expect(manager.checkBudget({ userId: 'u1' })).resolves.toMatchObject({ allowed: true });
+  });
+
+  describe('with usage priced per model', () => {
+    // Calls logged the way AIServiceV2 logs them: cost priced for the model that served the call
+    let usage;
+    const logCall = (provider, model, tokens, endpoint = null) => usage.push({
+      totalTokens: tokens.promptTokens + tokens.completionTokens,
+      estimatedCost: UsageTracker.estimateCost(provider, tokens, model, endpoint),
+    });
+
+    beforeEach(() => {
+      usage = [];
+      mockConnection.readyState = 1;
+      UsageLog.getSpend.mockImplementation(async () => ({
+        tokens: usage.reduce((sum, call) => sum + call.totalTokens, 0),
+        cost: usage.reduce((sum, call) => sum + call.estimatedCost, 0),
+      }));
+      Workflow.findOne.mockReturnValue(lean({ workflowId: 'workflow_1', userId: null, budget: { hard: { cost: 1 } } }));
+      AgentTeam.findOne.mockReturnValue(lean(null));
+    });
+
+    afterEach(() => {
+      mockConnection.readyState = 0;
+    });
+
+    test('trips the hard cap when calls are routed to an expensive model', async () => {
+      const router = new ModelRouter({ agents: { architect: { default: 'anthropic/claude-opus-4-20250514' } } });
+      const route = router.resolve({ agent: 'architect' });
+      const tokens = { promptTokens: 20000, completionTokens: 10000 };
+      const manager = new BudgetManager();
+
+      logCall(route.provider, route.model, tokens);
+
+      // The same tokens at the provider's default (Haiku) price stay far below the cap
+      expect(UsageTracker.estimateCost(route.provider, tokens)).toBeLessThan(0.1);
+      await expect(manager.checkBudget({ workflowId: 'workflow_1' })).resolves.toMatchObject({
+        allowed: false,
+        status: BudgetStatus.HARD,
+        reason: 'workflow hard cap of $1.00 reached ($1.05 spent)',
+      });
+      expect(UsageLog.getSpend).toHaveBeenCalledWith({ workflowId: 'workflow_1' });
+    });
+
+    test('counts a self-hosted endpoint toward dollar caps at the price set for it', async () => {
+      const tokens = { promptTokens: 1500000, completionTokens: 500000 };
+      const manager = new BudgetManager();
+
+      logCall('openaiCompatible', 'llama3.1:70b', tokens);
+      await expect(manager.checkBudget({ workflowId: 'workflow_1' })).resolves.toMatchObject({ allowed: true });
+
+      logCall('openaiCompatible', 'llama3.1:70b', tokens, { pricePerMillionTokens: 0.5 });
+      await expect(manager.checkBudget({ workflowId: 'workflow_1' })).resolves.toMatchObject({
+        allowed: false,
+        reason: 'workflow hard cap of $1.00 reached ($1.00 spent)',
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * EndpointGuard Unit Tests
+ *
+ * User-supplied OpenAI-compatible base URLs: schemes, internal address ranges,
+ * DNS answers, the admin allow-list and the guarded fetch given to SDK clients.
+ */
+
+import { EndpointGuard } from '../../../../../lib/ai/utils/EndpointGuard.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const resolvesTo = (...addresses) => jest.fn().mockResolvedValue(
+  addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }))
+);
+
+describe('EndpointGuard', () => {
+  test('accepts http(s) endpoints on public addresses', async () => {
+    const resolve = resolvesTo('203.0.113.10');
+
+    await expect(EndpointGuard.check('https://llm.example.com/v1', { resolve })).resolves.toEqual({ allowed: true });
+    expect(resolve).toHaveBeenCalledWith('llm.example.com');
+    await expect(EndpointGuard.check('http://8.8.8.8:8000/v1', { resolve })).resolves.toEqual({ allowed: true });
+  });
+
+  test('refuses other schemes, credentials and unparseable URLs', async () => {
+    const resolve = resolvesTo('203.0.113.10');
+
+    for (const baseUrl of ['file:///etc/passwd', 'gopher://llm.example.com', 'https://user:pw@llm.example.com/v1', 'not a url']) {
+      await expect(EndpointGuard.check(baseUrl, { resolve })).resolves.toMatchObject({ allowed: false });
+    }
+  });
+
+  test('refuses loopback, private, link-local and metadata addresses', async () => {
+    const internal = [
+      'http://localhost:11434/v1',
+      'http://127.0.0.1:11434/v1',
+      'http://10.1.2.3/v1',
+      'http://172.20.0.5/v1',
+      'http://192.168.1.20/v1',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]:8000/v1',
+      'http://[fd00::5]/v1',
+      'http://[::ffff:127.0.0.1]/v1'
+    ];
+    const resolve = resolvesTo('127.0.0.1');
+
+    for (const baseUrl of internal) {
+      await expect(EndpointGuard.check(baseUrl, { resolve, allowedHosts: '' })).resolves.toMatchObject({ allowed: false });
+    }
+  });
+
+  test('refuses names with any internal answer or none at all', async () => {
+    await expect(EndpointGuard.check('https://rebind.example.com/v1', { resolve: resolvesTo('203.0.113.10', '10.0.0.1') }))
+      .resolves.toMatchObject({ allowed: false, reason: expect.stringContaining('10.0.0.1') });
+
+    const notFound = Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+    await expect(EndpointGuard.check('https://missing.example.com/v1', { resolve: jest.fn().mockRejectedValue(notFound) }))
+      .resolves.toMatchObject({ allowed: false, reason: expect.stringContaining('ENOTFOUND') });
+  });
+
+  test('lets admins allow-list self-hosted servers by name or address', async () => {
+    const resolve = resolvesTo('10.0.0.7');
+    const allowedHosts = ' localhost, Ollama.internal ,10.0.0.5';
+
+    await expect(EndpointGuard.check('http://localhost:11434/v1', { resolve, allowedHosts })).resolves.toEqual({ allowed: true });
+    await expect(EndpointGuard.check('http://ollama.internal:11434/v1', { resolve, allowedHosts })).resolves.toEqual({ allowed: true });
+    await expect(EndpointGuard.check('http://10.0.0.5/v1', { resolve, allowedHosts })).resolves.toEqual({ allowed: true });
+    await expect(EndpointGuard.check('http://10.0.0.6/v1', { resolve, allowedHosts })).resolves.toMatchObject({ allowed: false });
+    expect(resolve).not.toHaveBeenCalled();
+  });
+
+  test('guarded fetch checks the base URL once and never follows redirects', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: true });
+    const resolve = resolvesTo('203.0.113.10');
+    const guarded = EndpointGuard.guardedFetch('https://llm.example.com/v1', { fetch, resolve });
+
+    await guarded('https://llm.example.com/v1/chat/completions', { method: 'POST', redirect: 'follow' });
+    await guarded('https://llm.example.com/v1/chat/completions', { method: 'POST' });
+
+    expect(resolve).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('https://llm.example.com/v1/chat/completions', { method: 'POST', redirect: 'error' });
+  });
+
+  test('guarded fetch refuses requests to internal addresses without saying why', async () => {
+    const fetch = jest.fn();
+    const guarded = EndpointGuard.guardedFetch('https://rebind.example.com/v1', { fetch, resolve: resolvesTo('169.254.169.254') });
+
+    const request = guarded('https://rebind.example.com/v1/chat/completions', { method: 'POST' });
+    await expect(request).rejects.toThrow('not allowed');
+    await expect(request).rejects.not.toThrow(/169\.254/);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -12,6 +12,16 @@
 import { AgentCommunicator } from '../../../../lib/bmad/AgentCommunicator.js';
 import { MessageType } from '../../../../lib/bmad/types.js';
 import { EventEmitter } from 'events';
+import Workflow from '../../../../lib/database/models/Workflow.js';
+
+jest.mock('../../../../lib/database/mongodb.js', () => ({
+  connectMongoose: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../../../../lib/database/models/Workflow.js', () => ({
+  __esModule: true,
+  default: { findOneAndUpdate: jest.fn() }
+}));
 
 describe('AgentCommunicator', () => {
   let communicator;
@@ -708,4 +718,29 @@ describe('AgentCommunicator', () => {
       expect(typeof communicator.cleanup).toBe('function');
     });
   });
+
+  describe('Elicitation Requests', () => {
+    test('pauses the workflow and emits the lifecycle events integrations answer from', async () => {
+      const workflow = { workflowId: 'workflow_1', userId: 'user-1', bmadWorkflowData: { currentStep: 2 } };
+      Workflow.findOneAndUpdate.mockResolvedValue(workflow);
+      const eventBus = { emit: jest.fn().mockResolvedValue({}) };
+      const pusherService = { trigger: jest.fn() };
+      communicator = new AgentCommunicator(null, null, pusherService, eventBus);
+
+      await communicator.handleElicitationRequestMessage({
+        workflowId: 'workflow_1',
+        from: 'pm',
+        content: { sectionTitle: 'Goals', instruction: 'Pick an option', options: ['1', '2'] }
+      });
+
+      const elicitation = { sectionTitle: 'Goals', instruction: 'Pick an option', options: ['1', '2'], agentId: 'pm' };
+      expect(Workflow.findOneAndUpdate).toHaveBeenCalledWith(
+        { workflowId: 'workflow_1' },
+        expect.objectContaining({ status: 'PAUSED_FOR_ELICITATION', elicitationDetails: elicitation }),
+        { new: true }
+      );
+      expect(eventBus.emit).toHaveBeenCalledWith('workflow.paused', workflow, { reason: 'elicitation', step: 2 });
+      expect(eventBus.emit).toHaveBeenCalledWith('elicitation.requested', workflow, { elicitation, step: 2, agentId: 'pm' });
+    });
+  });
 });
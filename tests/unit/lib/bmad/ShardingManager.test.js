@@ -0,0 +1,126 @@
+/**
+ * ShardingManager Unit Tests
+ *
+ * Covers heading-depth splitting, keeping code blocks and tables whole, rewriting
+ * intra-document links, and byte-for-byte reassembly.
+ */
+
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { ShardingManager, SHARD_MANIFEST_FILE } from '../../../../lib/bmad/ShardingManager.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const PRD = `# Checkout PRD
+
+Intro with a link to [the stack](#tech-stack).
+
+## Goals
+
+- Ship checkout
+
+## Tech Stack
+
+| Layer | Choice |
+| ----- | ------ |
+| API   | Next.js |
+
+### Database
+
+MongoDB, see [goals](#goals) and [epic one][epic].
+
+\`\`\`bash
+## not a heading
+npm run dev
+\`\`\`
+
+## Epic 1: Payments
+
+Details, back to [database](#database).
+
+[epic]: #epic-1-payments
+`;
+
+describe('ShardingManager', () => {
+  let sharding;
+
+  beforeEach(() => {
+    sharding = new ShardingManager();
+  });
+
+  test('splits at the configured heading depth, ignoring headings in code blocks', () => {
+    const h2 = sharding.shardContent(PRD);
+    expect(h2.title).toBe('Checkout PRD');
+    expect(h2.shards.map(shard => shard.filename)).toEqual([
+      'goals.md',
+      'tech-stack.md',
+      'epic-1-payments.md'
+    ]);
+    expect(h2.shards[1].content).toContain('## not a heading');
+
+    const h3 = sharding.shardContent(PRD, { depth: 3 });
+    expect(h3.shards.map(shard => [shard.filename, shard.level, shard.parent])).toEqual([
+      ['goals.md', 2, null],
+      ['tech-stack.md', 2, null],
+      ['tech-stack-database.md', 3, 'tech-stack.md'],
+      ['epic-1-payments.md', 2, null]
+    ]);
+    expect(h3.index.content).toContain('  - [Database](./tech-stack-database.md)');
+  });
+
+  test('keeps tables and code blocks whole when capping shard size', () => {
+    const rows = Array.from({ length: 30 }, (_, i) => `| row ${i} | value ${i} |`).join('\n');
+    const code = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n\n');
+    const doc = `## Big\n\nSome words here.\n\n| a | b |\n| - | - |\n${rows}\n\nMore text.\n\n\`\`\`\n${code}\n\`\`\`\n\nTail.\n`;
+
+    const { shards } = sharding.shardContent(doc, { maxWords: 10 });
+
+    expect(shards.length).toBeGreaterThan(1);
+    expect(shards[1].title).toBe('Big (Part 2)');
+    const tableShards = shards.filter(shard => shard.content.includes('| row '));
+    expect(tableShards).toHaveLength(1);
+    expect(tableShards[0].content).toContain(rows);
+    const codeShards = shards.filter(shard => shard.content.includes('line '));
+    expect(codeShards).toHaveLength(1);
+    expect(codeShards[0].content).toContain(code);
+  });
+
+  test('rewrites links to headings that moved to another shard', () => {
+    const { index, shards } = sharding.shardContent(PRD, { depth: 3 });
+    const byName = Object.fromEntries(shards.map(shard => [shard.filename, shard.content]));
+
+    expect(index.content).toContain('[the stack](./tech-stack.md#tech-stack)');
+    expect(byName['tech-stack-database.md']).toContain('[goals](./goals.md#goals)');
+    expect(byName['epic-1-payments.md']).toContain('[database](./tech-stack-database.md#database)');
+    expect(byName['epic-1-payments.md']).toContain('[epic]: #epic-1-payments');
+  });
+
+  test('reassembles shards into the original document byte-for-byte', () => {
+    const crlf = PRD.replace(/\n/g, '\r\n').replace(/\r\n$/, '');
+
+    for (const doc of [PRD, crlf, 'No headings at all', '']) {
+      for (const options of [{}, { depth: 3 }, { depth: 3, maxWords: 3 }]) {
+        expect(sharding.reassemble(sharding.shardContent(doc, options))).toBe(doc);
+      }
+    }
+  });
+
+  test('writes a manifest and reassembles from disk', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'shards-'));
+    try {
+      await sharding.writeShards(sharding.shardContent(PRD, { depth: 3 }), dir);
+
+      const files = await fs.readdir(dir);
+      expect(files).toEqual(expect.arrayContaining(['index.md', SHARD_MANIFEST_FILE, 'tech-stack-database.md']));
+      await expect(sharding.reassembleDirectory(dir)).resolves.toBe(PRD);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
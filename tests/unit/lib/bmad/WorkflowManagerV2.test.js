@@ -0,0 +1,95 @@
+/**
+ * WorkflowManagerV2 Unit Tests
+ *
+ * Record/replay sessions and cached history summaries are released once a workflow
+ * completes, fails or is cancelled, and kept while it is paused or still running.
+ */
+
+import WorkflowManagerV2 from '../../../../lib/bmad/WorkflowManagerV2.js';
+import { aiCallRecorder } from '../../../../lib/ai/services/AICallRecorder.js';
+import { WorkflowStatus } from '../../../../lib/bmad/types.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../lib/pusher/config.js', () => ({ pusherServer: null }));
+
+describe('WorkflowManagerV2 recording sessions', () => {
+  let manager;
+  let status;
+
+  beforeEach(() => {
+    status = WorkflowStatus.RUNNING;
+    jest.spyOn(aiCallRecorder, 'attach').mockResolvedValue({ mode: 'record' });
+    jest.spyOn(aiCallRecorder, 'detach');
+
+    // The collaborators executeWorkflow and cancelWorkflow use, without the rest of the engine
+    manager = Object.create(WorkflowManagerV2.prototype);
+    manager.runningWorkflows = new Set();
+    manager.contextBuilder = { forgetWorkflow: jest.fn() };
+    manager.workflowExecutor = { executeWorkflow: jest.fn(async () => ({ status })) };
+    manager.lifecycleManager = {
+      getWorkflowStatus: jest.fn(async () => status),
+      cancelWorkflow: jest.fn(async () => {
+        status = WorkflowStatus.CANCELLED;
+        return { status };
+      }),
+    };
+    manager.handleWorkflowError = jest.fn().mockResolvedValue({ success: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('detaches once the workflow has completed or failed', async () => {
+    manager.workflowExecutor.executeWorkflow.mockImplementation(async () => {
+      status = WorkflowStatus.COMPLETED;
+    });
+    await manager.executeWorkflow('workflow_1');
+    expect(aiCallRecorder.attach).toHaveBeenCalledWith('workflow_1');
+    expect(aiCallRecorder.detach).toHaveBeenCalledWith('workflow_1');
+    expect(manager.contextBuilder.forgetWorkflow).toHaveBeenCalledWith('workflow_1');
+
+    aiCallRecorder.detach.mockClear();
+    manager.workflowExecutor.executeWorkflow.mockImplementation(async () => {
+      status = WorkflowStatus.ERROR;
+      throw new Error('step failed');
+    });
+    await expect(manager.executeWorkflow('workflow_2')).rejects.toThrow('step failed');
+    expect(aiCallRecorder.detach).toHaveBeenCalledWith('workflow_2');
+  });
+
+  test('keeps the session of a paused workflow until it is cancelled', async () => {
+    manager.workflowExecutor.executeWorkflow.mockImplementation(async () => {
+      status = WorkflowStatus.PAUSED_FOR_ELICITATION;
+    });
+    await manager.executeWorkflow('workflow_1');
+    expect(aiCallRecorder.detach).not.toHaveBeenCalled();
+    expect(manager.contextBuilder.forgetWorkflow).not.toHaveBeenCalled();
+
+    await manager.cancelWorkflow('workflow_1');
+    expect(aiCallRecorder.detach).toHaveBeenCalledWith('workflow_1');
+    expect(manager.contextBuilder.forgetWorkflow).toHaveBeenCalledWith('workflow_1');
+  });
+
+  test('a running workflow that is cancelled detaches only when execution stops', async () => {
+    let finishStep;
+    manager.workflowExecutor.executeWorkflow.mockImplementation(() => new Promise(resolve => {
+      finishStep = resolve;
+    }));
+
+    const execution = manager.executeWorkflow('workflow_1');
+    await Promise.resolve();
+    await manager.cancelWorkflow('workflow_1');
+    expect(aiCallRecorder.detach).not.toHaveBeenCalled();
+
+    finishStep();
+    await execution;
+    expect(aiCallRecorder.detach).toHaveBeenCalledWith('workflow_1');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * WorkflowValidator Unit Tests
+ *
+ * Static checks on workflow definitions: agents, artifact dependencies,
+ * routing targets and template references.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WorkflowValidator from '../../../../lib/bmad/WorkflowValidator.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const KNOWN_AGENTS = ['analyst', 'pm', 'architect', 'ux-expert', 'po', 'dev', 'qa'];
+
+describe('WorkflowValidator', () => {
+  let bmadCoreDir;
+  let validator;
+
+  beforeAll(() => {
+    bmadCoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-core-'));
+    fs.mkdirSync(path.join(bmadCoreDir, 'templates'));
+    fs.mkdirSync(path.join(bmadCoreDir, 'tasks'));
+    fs.writeFileSync(path.join(bmadCoreDir, 'templates', 'prd-tmpl.yaml'), 'template: {}');
+    fs.writeFileSync(path.join(bmadCoreDir, 'tasks', 'create-doc.md'), '# Create doc');
+  });
+
+  afterAll(() => {
+    fs.rmSync(bmadCoreDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    validator = new WorkflowValidator({
+      bmadCoreDir,
+      agentLoader: { agentExists: jest.fn(async (id) => KNOWN_AGENTS.includes(id)) },
+    });
+  });
+
+  test('accepts a consistent workflow from YAML text', async () => {
+    const result = await validator.validate(`
+workflow:
+  name: Greenfield
+  sequence:
+    - agent: analyst
+      creates: project-brief.md
+    - agent: pm
+      creates: prd.md
+      requires: project-brief.md
+      uses: create-doc
+      notes: "Create the PRD using prd-tmpl"
+    - parallel:
+        - agent: architect
+          creates: architecture.md
+          requires: prd.md
+        - agent: po
+          requires: [architecture.md]
+    - workflow_end:
+        action: project_complete
+`);
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.stats).toEqual({ steps: 4, agents: 4, artifacts: 3 });
+  });
+
+  test('reports unknown agents, including a/b alternatives', async () => {
+    const result = await validator.validate({
+      name: 'Agents',
+      sequence: [{ agent: 'pm/wizard', creates: 'prd.md' }],
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      expect.objectContaining({ code: 'UNKNOWN_AGENT', stepIndex: 0, message: expect.stringContaining("'wizard'") }),
+    ]);
+  });
+
+  test('requires artifacts to be created by an earlier step and suggests typos', async () => {
+    const result = await validator.validate({
+      name: 'Artifacts',
+      sequence: [
+        { agent: 'architect', requires: 'prd.md', creates: 'architecture.md' },
+        { agent: 'pm', creates: 'prd.md' },
+        { agent: 'po', requires: 'architecure.md' },
+      ],
+    });
+
+    expect(result.errors.map(error => [error.code, error.stepIndex])).toEqual([
+      ['MISSING_ARTIFACT', 0],
+      ['MISSING_ARTIFACT', 2],
+    ]);
+    expect(result.errors[1].message).toContain("did you mean 'architecture.md'");
+  });
+
+  test('checks routing targets and depends_on against existing steps', async () => {
+    const result = await validator.validate({
+      workflow: {
+        name: 'Routing',
+        sequence: [
+          { agent: 'analyst', step: 'classify' },
+          {
+            step: 'route',
+            routes: {
+              small: { agent: 'pm', next_step: 'classify' },
+              large: { agent: 'ghost', next_step: 'nowhere' },
+            },
+          },
+          { agent: 'dev', depends_on: ['classify', 'later'], onFailure: { goto: 'missing_step' } },
+        ],
+      },
+    });
+
+    expect(result.errors.map(error => error.code).sort()).toEqual([
+      'UNKNOWN_AGENT',
+      'UNKNOWN_DEPENDENCY',
+      'UNKNOWN_ROUTE_TARGET',
+      'UNKNOWN_ROUTE_TARGET',
+    ]);
+  });
+
+  test('flags missing templates referenced in notes or uses', async () => {
+    const result = await validator.validate({
+      name: 'Templates',
+      sequence: [
+        { agent: 'pm', creates: 'prd.md', notes: 'Use brownfield-prd-tmpl.yaml', uses: 'missing-task' },
+      ],
+    });
+
+    expect(result.errors.map(error => error.code)).toEqual(['UNKNOWN_TEMPLATE', 'UNKNOWN_REFERENCE']);
+  });
+
+  test('returns a single error for unparseable YAML or an empty sequence', async () => {
+    const broken = await validator.validate('workflow: [unclosed');
+    expect(broken.errors).toEqual([expect.objectContaining({ code: 'INVALID_YAML' })]);
+
+    const empty = await validator.validate({ name: 'Empty', sequence: [] });
+    expect(empty.errors).toEqual([expect.objectContaining({ code: 'EMPTY_SEQUENCE' })]);
+  });
+});
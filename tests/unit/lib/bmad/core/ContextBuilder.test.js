@@ -0,0 +1,178 @@
+/**
+ * ContextBuilder Unit Tests
+ *
+ * Token-budgeted context assembly: artifact ranking by `requires`,
+ * history summarization, repository condensing and the dropped-pieces report.
+ */
+
+import ContextBuilder from '../../../../../lib/bmad/core/ContextBuilder.js';
+import { TokenCounter } from '../../../../../lib/ai/utils/TokenCounter.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const agent = { name: 'Winston', role: 'architect' };
+const words = (count, word = 'lorem') => Array.from({ length: count }, () => word).join(' ');
+
+const createWorkflow = ({ artifacts = {}, history = [], repositoryAnalysis = null } = {}) => ({
+  workflowId: 'workflow_1700000000000_ctxtest',
+  userPrompt: 'Build a todo app',
+  bmadWorkflowData: { sequence: [{}, {}, {}], currentStep: 1 },
+  repositoryAnalysis,
+  context: {
+    artifacts: new Map(Object.entries(artifacts).map(([name, content], index) => [
+      name,
+      { name, content, metadata: { createdAt: new Date(1700000000000 + index * 1000).toISOString() } },
+    ])),
+    elicitationHistory: history,
+  },
+});
+
+describe('ContextBuilder token budget', () => {
+  test('ranks required artifacts first, then mentioned ones, newest first', () => {
+    const builder = new ContextBuilder();
+    const workflow = createWorkflow({
+      artifacts: { 'brief.md': 'b', 'notes.md': 'n', 'prd.md': 'p', 'front-end-spec.md': 'f' },
+    });
+
+    const ranked = builder.rankArtifacts(workflow.context.artifacts, {
+      requires: ['prd.md', 'front-end-spec.md'],
+      notes: 'Check the brief before designing',
+      creates: 'architecture.md',
+    });
+
+    expect(ranked.map(item => item.name)).toEqual(['prd.md', 'front-end-spec.md', 'brief.md', 'notes.md']);
+    expect(ranked.filter(item => item.required)).toHaveLength(2);
+  });
+
+  test('keeps required artifacts in full and reports what did not fit', async () => {
+    const builder = new ContextBuilder();
+    const workflow = createWorkflow({
+      artifacts: { 'prd.md': words(300, 'requirement'), 'brief.md': words(800), 'research.md': words(800) },
+    });
+
+    const context = await builder.buildAgentContext(agent, { step: 'architecture', requires: 'prd.md' }, workflow, {
+      provider: 'openai',
+      tokenBudget: 1600,
+    });
+
+    expect(context.usage.used).toBeLessThanOrEqual(1600);
+    expect(context.usage.included).toContainEqual(expect.objectContaining({ name: 'prd.md', mode: 'full' }));
+    expect(context.prompt).toContain('## Artifact: prd.md');
+    expect(context.prompt).toContain('- prd.md: available');
+    expect(context.usage.dropped).toEqual([
+      // Unrequired artifacts compete on recency; the oldest one is left out
+      expect.objectContaining({ section: 'artifacts', name: 'brief.md', reason: 'token_budget' }),
+    ]);
+    // Requirements report sizes; the content itself is only placed once
+    expect(context.requirements.requirements['prd.md'].artifact).toBeUndefined();
+  });
+
+  test('truncates a required artifact that cannot fit whole', async () => {
+    const builder = new ContextBuilder();
+    const workflow = createWorkflow({ artifacts: { 'prd.md': words(4000, 'requirement\n') } });
+
+    const context = await builder.buildAgentContext(agent, { step: 'epics', requires: ['prd.md', 'arch.md'] }, workflow, {
+      provider: 'anthropic',
+      tokenBudget: 1000,
+    });
+
+    expect(context.usage.included).toContainEqual(expect.objectContaining({ name: 'prd.md', mode: 'truncated' }));
+    expect(context.usage.used).toBeLessThanOrEqual(1000);
+    expect(context.prompt).toContain('- arch.md: MISSING');
+  });
+
+  test('summarizes history older than the verbatim window once per growth', async () => {
+    const summarizer = jest.fn().mockResolvedValue({ content: '- user wants offline support', type: 'ai-summary' });
+    const builder = new ContextBuilder({ maxHistoryItems: 2, summarizer });
+    const history = Array.from({ length: 5 }, (_, index) => ({
+      agent: 'pm', message: `Question ${index}`, userResponse: `Answer ${index}`,
+    }));
+    const workflow = createWorkflow({ history });
+    const aiService = { initialized: true };
+
+    const context = await builder.buildAgentContext(agent, { step: 'prd' }, workflow, { tokenBudget: 4000, aiService });
+    await builder.buildAgentContext(agent, { step: 'prd' }, workflow, { tokenBudget: 4000, aiService });
+
+    expect(summarizer).toHaveBeenCalledTimes(1);
+    expect(summarizer).toHaveBeenCalledWith(history.slice(0, 3), expect.objectContaining({ aiService }));
+    expect(context.prompt).toContain('Earlier conversation (summary of 3 exchanges)');
+    expect(context.prompt).toContain('Answer 4');
+    expect(context.prompt).not.toContain('Answer 2');
+    expect(context.usage.included).toContainEqual(expect.objectContaining({ section: 'history', mode: 'ai-summary' }));
+  });
+
+  test('keeps at most maxCachedSummaries summaries, evicting the least recently used', async () => {
+    const summarizer = jest.fn(async (older) => ({ content: `- ${older.length} earlier`, type: 'ai-summary' }));
+    const builder = new ContextBuilder({ maxHistoryItems: 1, maxCachedSummaries: 2, summarizer });
+    const history = Array.from({ length: 3 }, (_, index) => ({
+      agent: 'pm', message: `Question ${index}`, userResponse: `Answer ${index}`,
+    }));
+    const build = (workflowId) => builder.buildAgentContext(
+      agent, { step: 'prd' }, { ...createWorkflow({ history }), workflowId }, { tokenBudget: 4000 }
+    );
+
+    await build('workflow_a');
+    await build('workflow_b');
+    await build('workflow_a');
+    await build('workflow_c');
+
+    expect([...builder.historySummaries.keys()]).toEqual(['workflow_a', 'workflow_c']);
+    expect(summarizer).toHaveBeenCalledTimes(3);
+
+    builder.forgetWorkflow('workflow_a');
+    expect([...builder.historySummaries.keys()]).toEqual(['workflow_c']);
+  });
+
+  test('condenses repository analysis that exceeds its share', async () => {
+    const builder = new ContextBuilder({ repositoryShare: 0.1 });
+    const workflow = createWorkflow({
+      repositoryAnalysis: {
+        fullName: 'acme/shop',
+        summary: 'Storefront',
+        metrics: {
+          fileCount: 120,
+          totalLines: 40000,
+          largestFiles: Array.from({ length: 10 }, (_, index) => ({ path: `src/module${index}/index.js`, language: 'JavaScript', lines: 900 })),
+        },
+        dependencies: Array.from({ length: 80 }, (_, index) => `package-${index}`),
+      },
+    });
+
+    const context = await builder.buildAgentContext(agent, { step: 'architecture' }, workflow, { tokenBudget: 2000 });
+
+    expect(context.usage.included).toContainEqual(expect.objectContaining({ section: 'repository', mode: 'condensed' }));
+    expect(context.usage.dropped).toContainEqual(expect.objectContaining({ name: 'repository details', reason: 'condensed' }));
+  });
+
+  test('derives the budget from the model window', () => {
+    const builder = new ContextBuilder();
+
+    expect(builder.resolveTokenBudget({ provider: 'gemini', model: 'gemini-2.5-flash' })).toBe(32000);
+    expect(builder.resolveTokenBudget({ provider: 'openaiCompatible', model: 'llama3.1' })).toBe(0);
+    expect(new ContextBuilder({ reservedOutputTokens: 2048 }).resolveTokenBudget({ provider: 'openaiCompatible' })).toBe(3072);
+    expect(builder.resolveTokenBudget({ provider: 'openai' }, 1500)).toBe(1500);
+  });
+});
+
+describe('TokenCounter', () => {
+  test('counts per provider and charges non-Latin text per character', () => {
+    const text = 'a'.repeat(70);
+    expect(TokenCounter.count(text, { provider: 'anthropic' })).toBe(20);
+    expect(TokenCounter.count(text, { provider: 'openai' })).toBe(18);
+    expect(TokenCounter.count('日本語', { provider: 'openai' })).toBe(3);
+    expect(TokenCounter.count({ a: 1 })).toBe(2);
+    expect(TokenCounter.count(null)).toBe(0);
+  });
+
+  test('knows context windows by model prefix and provider', () => {
+    expect(TokenCounter.contextWindow({ provider: 'openai', model: 'gpt-4o-mini' })).toBe(128000);
+    expect(TokenCounter.contextWindow({ provider: 'anthropic', model: 'claude-sonnet-4-20250514' })).toBe(200000);
+    expect(TokenCounter.contextWindow({ provider: 'openaiCompatible', model: 'gpt-4o' })).toBe(8192);
+    expect(TokenCounter.contextWindow({})).toBe(8192);
+  });
+});
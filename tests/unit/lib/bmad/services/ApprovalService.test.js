@@ -0,0 +1,112 @@
+/**
+ * ApprovalService Unit Tests
+ *
+ * Covers which steps need sign-off, pausing with the review card, recording the
+ * reviewer's decision, and revision rounds after requested changes.
+ */
+
+import ApprovalService, {
+  APPROVAL_ELICITATION_TYPE,
+  parseApprovalResponse
+} from '../../../../../lib/bmad/services/ApprovalService.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const step = { step: 'create_prd', agent: 'pm', creates: 'prd.md' };
+
+function createWorkflow(overrides = {}) {
+  return {
+    workflowId: 'wf-1',
+    userId: 'user-1',
+    approvals: [],
+    bmadWorkflowData: { context: {} },
+    ...overrides
+  };
+}
+
+function createService() {
+  return new ApprovalService({
+    lifecycleManager: { saveWorkflow: jest.fn(), pauseWorkflow: jest.fn() },
+    userInteractionService: { presentRevisedWork: jest.fn() }
+  });
+}
+
+describe('parseApprovalResponse', () => {
+  test('reads keywords, numbered options and API actions', () => {
+    expect(parseApprovalResponse('Approve')).toEqual({ status: 'approved', comments: '' });
+    expect(parseApprovalResponse('3')).toEqual({ status: 'rejected', comments: '' });
+    expect(parseApprovalResponse('request changes: add a rollout plan')).toEqual({
+      status: 'changes_requested', comments: 'add a rollout plan'
+    });
+    expect(parseApprovalResponse('The goals section is too vague')).toEqual({
+      status: 'changes_requested', comments: 'The goals section is too vague'
+    });
+    expect(parseApprovalResponse({ action: 'request changes', comments: ' split epic 2 ' })).toEqual({
+      status: 'changes_requested', comments: 'split epic 2'
+    });
+  });
+});
+
+describe('ApprovalService', () => {
+  test('gates steps declared in YAML or by the team policy', () => {
+    const service = createService();
+    const teamGated = createWorkflow({ approvalPolicy: { requiresApproval: true } });
+
+    expect(service.getStepApproval({ ...step, approval: { instructions: 'Check scope' } }, createWorkflow()))
+      .toEqual({ instructions: 'Check scope' });
+    expect(service.getStepApproval(step, createWorkflow())).toBeNull();
+    expect(service.getStepApproval(step, teamGated)).toEqual({});
+    expect(service.getStepApproval({ ...step, approval: false }, teamGated)).toBeNull();
+    expect(service.getStepApproval({ step: 'classify', agent: 'analyst' }, teamGated)).toBeNull();
+  });
+
+  test('records a pending approval and pauses with the artifact and actions', async () => {
+    const service = createService();
+    const workflow = createWorkflow();
+
+    const record = await service.requestApproval({
+      workflow, step, gateKey: 'create_prd', agent: { id: 'pm' }, content: '# PRD\n\nGoals', config: { instructions: 'Check scope' }
+    });
+
+    expect(record).toMatchObject({ stepKey: 'create_prd', artifactName: 'prd.md', round: 1, status: 'pending' });
+    expect(workflow.approvals).toEqual([record]);
+    expect(service.lifecycleManager.pauseWorkflow).toHaveBeenCalledWith('wf-1', expect.objectContaining({
+      type: APPROVAL_ELICITATION_TYPE,
+      sectionTitle: 'Review prd.md',
+      sectionId: 'approval:create_prd',
+      agentId: 'pm',
+      options: ['approve', 'request changes', 'reject'],
+      instruction: expect.stringContaining('# PRD\n\nGoals')
+    }));
+    expect(service.lifecycleManager.saveWorkflow.mock.invocationCallOrder[0])
+      .toBeLessThan(service.lifecycleManager.pauseWorkflow.mock.invocationCallOrder[0]);
+    expect(service.userInteractionService.presentRevisedWork).not.toHaveBeenCalled();
+  });
+
+  test('records the reviewer and starts a revision round after requested changes', async () => {
+    const service = createService();
+    const workflow = createWorkflow();
+    const first = await service.requestApproval({ workflow, step, gateKey: 'create_prd', content: 'v1' });
+    workflow.elicitationDetails = { type: APPROVAL_ELICITATION_TYPE, sectionId: 'approval:create_prd' };
+
+    const decision = service.resolveApproval(workflow, 'request changes: add metrics', 'reviewer-1');
+
+    expect(decision).toMatchObject({ gateKey: 'create_prd', status: 'changes_requested', comments: 'add metrics' });
+    expect(first).toMatchObject({ status: 'changes_requested', reviewedBy: 'reviewer-1', reviewedAt: expect.any(Date) });
+    expect(service.getState(workflow, 'create_prd')).toMatchObject({ status: 'changes_requested', content: 'v1' });
+    expect(workflow.elicitationDetails).toBeNull();
+
+    const second = await service.requestApproval({ workflow, step, gateKey: 'create_prd', content: 'v2' });
+
+    expect(second.round).toBe(2);
+    expect(service.userInteractionService.presentRevisedWork).toHaveBeenCalledWith('wf-1', {}, step, { content: 'v2' });
+    expect(service.lifecycleManager.pauseWorkflow).toHaveBeenLastCalledWith('wf-1', expect.objectContaining({
+      sectionTitle: 'Review prd.md (revision 1)'
+    }));
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * ArtifactManager Versioning Unit Tests
+ *
+ * Covers recording a version on every save (agent output, user edit, restore), keeping
+ * pre-versioning content as a baseline, and diffing two versions.
+ */
+
+import ArtifactManager from '../../../../../lib/bmad/services/ArtifactManager.js';
+import ArtifactVersion from '../../../../../lib/database/models/ArtifactVersion.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// In-memory stand-in for the ArtifactVersion collection
+jest.mock('../../../../../lib/database/models/ArtifactVersion.js', () => {
+  const store = [];
+  const matches = (query) => (doc) => Object.entries(query).every(([key, value]) => doc[key] === value);
+  const chain = (result) => ({ select: () => chain(result), lean: () => Promise.resolve(result) });
+
+  return {
+    store,
+    create: jest.fn(async (doc) => {
+      const saved = { ...doc, createdAt: new Date() };
+      store.push(saved);
+      return saved;
+    }),
+    findLatest: jest.fn((workflowId, artifactName) => chain(
+      store.filter(matches({ workflowId, artifactName })).sort((a, b) => b.version - a.version)[0] || null
+    )),
+    findVersions: jest.fn((workflowId, artifactName) => chain(
+      store.filter(matches({ workflowId, artifactName })).sort((a, b) => b.version - a.version)
+    )),
+    findOne: jest.fn((query) => chain(store.find(matches(query)) || null))
+  };
+});
+
+function createWorkflow(artifacts = new Map()) {
+  return {
+    workflowId: 'wf-1',
+    template: 'greenfield',
+    context: { artifacts },
+    bmadWorkflowData: { currentStep: 2 }
+  };
+}
+
+describe('ArtifactManager versioning', () => {
+  let manager;
+  let workflow;
+  let lifecycleManager;
+
+  beforeEach(() => {
+    ArtifactVersion.store.length = 0;
+    jest.clearAllMocks();
+    manager = new ArtifactManager();
+    workflow = createWorkflow();
+    lifecycleManager = { loadWorkflow: jest.fn().mockResolvedValue(workflow), saveWorkflow: jest.fn() };
+  });
+
+  test('records agent saves and user edits as numbered versions with author and reason', async () => {
+    const pm = { id: 'pm', name: 'John' };
+    await manager.saveArtifact('prd.md', { content: 'v1', provider: 'openai', model: 'gpt-4o' }, workflow, pm, { stepName: 'create_prd' });
+    await manager.saveArtifact('prd.md', { content: 'v2' }, workflow, pm, { reason: 'revised after review: add metrics' });
+    await manager.updateArtifact('wf-1', 'prd.md', 'v3', lifecycleManager, {
+      author: { type: 'user', id: 'user-1', name: 'Dana' }
+    });
+
+    const versions = await manager.listVersions('wf-1', 'prd.md');
+    expect(versions.map(version => [version.version, version.author.type, version.reason])).toEqual([
+      [3, 'user', 'edited'],
+      [2, 'agent', 'revised after review: add metrics'],
+      [1, 'agent', 'created']
+    ]);
+    expect(versions[2]).toMatchObject({ stepName: 'create_prd', step: 2, provider: 'openai', size: 2 });
+    expect(workflow.context.artifacts.get('prd.md')).toMatchObject({ content: 'v3', metadata: { version: 3 } });
+  });
+
+  test('keeps content saved before versioning as a baseline', async () => {
+    workflow.context.artifacts.set('architecture.md', { content: 'legacy', metadata: { agent: 'Winston', step: 1 } });
+
+    await manager.updateArtifact('wf-1', 'architecture.md', 'edited', lifecycleManager);
+
+    const versions = await manager.listVersions('wf-1', 'architecture.md');
+    expect(versions.map(version => [version.version, version.content, version.reason])).toEqual([
+      [2, 'edited', 'edited'],
+      [1, 'legacy', 'baseline']
+    ]);
+  });
+
+  test('restores an earlier version as a new version and diffs any two', async () => {
+    const agent = { id: 'pm', name: 'John' };
+    await manager.saveArtifact('prd.md', { content: 'Goal: A\nScope\n' }, workflow, agent);
+    await manager.saveArtifact('prd.md', { content: 'Goal: B\nScope\n' }, workflow, agent);
+
+    await manager.restoreVersion('wf-1', 'prd.md', 1, lifecycleManager, { type: 'user', id: 'user-1' });
+
+    const restored = await manager.getVersion('wf-1', 'prd.md', 3);
+    expect(restored).toMatchObject({ content: 'Goal: A\nScope\n', restoredFrom: 1, reason: 'restored v1' });
+
+    const diff = await manager.diffVersions('wf-1', 'prd.md', 1, 2);
+    expect(diff.from).toMatchObject({ version: 1, reason: 'created' });
+    expect(diff.rows[0]).toMatchObject({ type: 'changed', left: { text: 'Goal: A' }, right: { text: 'Goal: B' } });
+    expect(diff.stats).toEqual({ added: 0, removed: 0, changed: 1, unchanged: 1 });
+    expect(await manager.diffVersions('wf-1', 'prd.md', 1, 9)).toBeNull();
+    await expect(manager.restoreVersion('wf-1', 'prd.md', 9, lifecycleManager)).rejects.toThrow('Version 9 of prd.md not found');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * QualityGateManager Unit Tests
+ *
+ * Covers running registered gates with severity thresholds, merging per-workflow
+ * configuration, isolating gate errors, and persisting results on the workflow.
+ */
+
+import QualityGateManager from '../../../../../lib/bmad/services/QualityGateManager.js';
+import { QualityGateRegistry } from '../../../../../lib/bmad/quality/QualityGateRegistry.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../../lib/execution/CodeExecutionEngine.js', () => jest.fn());
+
+jest.mock('../../../../../lib/database/models/Workflow.js', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+const finding = (severity, rule = 'rule') => ({ severity, rule, message: `${severity} finding`, file: 'src/a.js', line: 1 });
+
+function createManager(gates, options = {}) {
+  const registry = new QualityGateRegistry();
+  gates.forEach(gate => registry.register(gate));
+  return new QualityGateManager({ registry, ...options });
+}
+
+describe('QualityGateManager', () => {
+  beforeEach(() => {
+    Workflow.findOne.mockReturnValue({ select: () => ({ lean: () => Promise.resolve(null) }) });
+    Workflow.updateOne.mockResolvedValue({});
+  });
+
+  test('fails gates on findings at or above their threshold', async () => {
+    const manager = createManager([
+      { id: 'secrets', name: 'Secrets', run: async () => ({ findings: [finding('critical')] }) },
+      { id: 'analysis', name: 'Analysis', failOn: 'high', run: async () => ({ findings: [finding('medium'), finding('info')] }) },
+      { id: 'skipped', name: 'Skipped', appliesTo: () => false, run: jest.fn() }
+    ]);
+
+    const result = await manager.runQualityGates({ workflowId: 'wf-1', stepId: 'dev' });
+
+    expect(result.passed).toBe(false);
+    expect(Object.keys(result.gates)).toEqual(['secrets', 'analysis']);
+    expect(result.gates.secrets).toMatchObject({ status: 'failed', failOn: 'high', blockingFindings: 1 });
+    expect(result.gates.analysis).toMatchObject({
+      status: 'passed',
+      findingCounts: { info: 1, low: 0, medium: 1, high: 0, critical: 0 }
+    });
+    expect(result.recommendations).toEqual([expect.objectContaining({
+      gateId: 'secrets', priority: 'critical', findings: ['src/a.js:1 critical finding']
+    })]);
+    expect(manager.registry.get('skipped').run).not.toHaveBeenCalled();
+  });
+
+  test('applies workflow configuration and per-run overrides', async () => {
+    const run = jest.fn().mockResolvedValue({ findings: [finding('medium')] });
+    const manager = createManager([
+      { id: 'analysis', name: 'Analysis', run },
+      { id: 'docs', name: 'Docs', run: jest.fn() }
+    ]);
+    const workflow = {
+      qualityGates: {
+        failOn: 'medium',
+        gates: { docs: { enabled: false }, analysis: { options: { maxFunctionLines: 40 } } }
+      }
+    };
+
+    const strict = await manager.runQualityGates({ workflowId: 'wf-1', stepId: 'dev', workflow });
+    expect(strict.gates.analysis).toMatchObject({ passed: false, failOn: 'medium' });
+    expect(strict.gates.docs).toBeUndefined();
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ workflowId: 'wf-1' }), { maxFunctionLines: 40 });
+
+    const relaxed = await manager.runQualityGates({
+      workflowId: 'wf-1', stepId: 'dev', workflow, config: { gates: { analysis: { failOn: 'critical' } } }
+    });
+    expect(relaxed.gates.analysis).toMatchObject({ passed: true, failOn: 'critical' });
+
+    expect(() => manager.resolveConfig({ failOn: 'severe' })).toThrow('Invalid quality gate threshold');
+  });
+
+  test('records gate errors as failures and persists a capped result history', async () => {
+    const manager = createManager([
+      { id: 'broken', name: 'Broken', run: async () => { throw new Error('parser crashed'); } }
+    ]);
+
+    const result = await manager.runQualityGates({ workflowId: 'wf-1', stepId: 'qa', agentId: 'qa' });
+
+    expect(result.gates.broken).toMatchObject({ status: 'error', passed: false, error: 'parser crashed' });
+    expect(Workflow.updateOne).toHaveBeenCalledWith(
+      { workflowId: 'wf-1' },
+      { $push: { 'qualityGates.results': { $each: [expect.objectContaining({
+        gateRunId: result.gateId, stepId: 'qa', passed: false, ranAt: expect.any(Date)
+      })], $slice: -50 } } }
+    );
+  });
+
+  test('registers the built-in gates by default', () => {
+    const manager = new QualityGateManager({ persistResults: false });
+
+    expect(manager.registry.describe().map(gate => gate.id)).toEqual([
+      'linting', 'testing', 'secrets', 'dependencies', 'ast-analysis', 'documentation'
+    ]);
+  });
+});
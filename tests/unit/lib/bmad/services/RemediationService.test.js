@@ -0,0 +1,218 @@
+/**
+ * RemediationService Unit Tests
+ *
+ * Covers reading files and patches from agent output, the fix loop that commits dev
+ * patches and re-runs gates, and escalation to the user when gates keep failing.
+ */
+
+import RemediationService, {
+  REMEDIATION_ELICITATION_TYPE,
+  RemediationStatus,
+  buildFixRequest,
+  extractCodeChanges,
+  parsePatch
+} from '../../../../../lib/bmad/services/RemediationService.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const failedRun = (gateId = 'run-1') => ({
+  gateId,
+  passed: false,
+  gates: {
+    secrets: {
+      id: 'secrets', name: 'Secret Detection', passed: false, message: '1 finding',
+      findings: [{ severity: 'critical', rule: 'github-token', file: 'src/client.js', line: 3, message: 'GitHub token' }]
+    },
+    documentation: { id: 'documentation', name: 'Documentation', passed: false, message: 'No docs' }
+  }
+});
+
+const passedRun = (gateId = 'run-2') => ({
+  gateId,
+  passed: true,
+  gates: { secrets: { id: 'secrets', name: 'Secret Detection', passed: true, findings: [] } }
+});
+
+const patchResponse = JSON.stringify({
+  summary: 'read token from env',
+  changes: [{ path: 'src/client.js', content: 'export const token = process.env.GITHUB_TOKEN;\n' }]
+});
+
+function createWorkflow(overrides = {}) {
+  return {
+    workflowId: 'wf-1',
+    userId: 'user-1',
+    metadata: { github: { owner: 'acme', name: 'shop', targetBranch: 'develop' } },
+    context: {},
+    bmadWorkflowData: { context: {} },
+    ...overrides
+  };
+}
+
+function createService(gateRuns, overrides = {}) {
+  const runQualityGates = jest.fn();
+  gateRuns.forEach(run => runQualityGates.mockResolvedValueOnce(run));
+
+  return new RemediationService({
+    qualityGateManager: { runQualityGates },
+    aiService: { call: jest.fn().mockResolvedValue({ content: patchResponse }) },
+    agentLoader: { loadAgent: jest.fn().mockResolvedValue({ agent: { name: 'James' } }) },
+    lifecycleManager: { saveWorkflow: jest.fn(), pauseWorkflow: jest.fn() },
+    userInteractionService: { sendInfoMessage: jest.fn() },
+    gitTools: {
+      createBranch: jest.fn().mockResolvedValue('Created branch'),
+      createCommit: jest.fn().mockResolvedValue('Created commit abc123')
+    },
+    ...overrides
+  });
+}
+
+const step = { step: 'implement_story', agent: 'dev' };
+const files = [{ path: 'src/client.js', content: 'export const token = "ghp_x";\n' }];
+
+describe('agent output parsing', () => {
+  test('extractCodeChanges reads paths from info strings and label lines', () => {
+    const content = [
+      'Here is the change:',
+      '```js src/app.js',
+      'export default 1;',
+      '```',
+      '**File:** `tests/app.test.js`',
+      '```js',
+      'test("ok", () => {});',
+      '```',
+      '```bash',
+      'npm test',
+      '```'
+    ].join('\n');
+
+    expect(extractCodeChanges(content)).toEqual([
+      { path: 'src/app.js', content: 'export default 1;\n' },
+      { path: 'tests/app.test.js', content: 'test("ok", () => {});\n' }
+    ]);
+  });
+
+  test('parsePatch accepts fenced JSON and drops paths outside the repository', () => {
+    const content = '```json\n' + JSON.stringify({
+      summary: 'fix',
+      changes: [
+        { path: 'src/a.js', content: 'a' },
+        { path: '../outside.js', content: 'b' },
+        { path: '/etc/passwd', content: 'c' }
+      ]
+    }) + '\n```';
+
+    expect(parsePatch(content)).toEqual({ summary: 'fix', changes: [{ path: 'src/a.js', content: 'a' }] });
+    expect(parsePatch('no json here')).toBeNull();
+  });
+
+  test('buildFixRequest lists only remediable failures with their findings', () => {
+    const request = buildFixRequest(failedRun(), files, { attempt: 1, maxAttempts: 3, step });
+
+    expect(request).toMatchObject({ type: 'quality_gate_fix_request', step: 'implement_story', attempt: 1, files });
+    expect(request.failures).toEqual([{
+      gate: 'secrets',
+      name: 'Secret Detection',
+      message: '1 finding',
+      findings: [{ severity: 'critical', rule: 'github-token', file: 'src/client.js', line: 3, message: 'GitHub token' }]
+    }]);
+  });
+});
+
+describe('RemediationService', () => {
+  test('commits the dev patch to the working branch and re-runs gates until they pass', async () => {
+    const service = createService([failedRun(), passedRun()]);
+    const workflow = createWorkflow({ context: { workingBranch: 'feature/checkout' } });
+
+    const result = await service.run({ workflow, step, gateKey: 'step_2', codeChanges: files });
+
+    expect(result.status).toBe(RemediationStatus.PASSED);
+    expect(service.aiService.call).toHaveBeenCalledWith(
+      expect.stringContaining('"gate": "secrets"'),
+      expect.objectContaining({ stepType: 'remediation', userId: 'user-1' })
+    );
+    expect(service.gitTools.createCommit).toHaveBeenCalledWith({
+      message: 'fix: read token from env (remediation attempt 1)',
+      changes: [{ path: 'src/client.js', content: 'export const token = process.env.GITHUB_TOKEN;\n' }],
+      owner: 'acme',
+      repo: 'shop',
+      branch: 'feature/checkout',
+      userId: 'user-1'
+    });
+    expect(service.gitTools.createBranch).not.toHaveBeenCalled();
+    expect(service.qualityGateManager.runQualityGates.mock.calls[1][0].codeChanges[0].content)
+      .toContain('process.env.GITHUB_TOKEN');
+    expect(service.getState(workflow, 'step_2')).toMatchObject({
+      status: RemediationStatus.PASSED,
+      gateRunId: 'run-2',
+      attempts: [expect.objectContaining({ attempt: 1, failedGates: ['secrets'], passedAfter: true })]
+    });
+  });
+
+  test('commits to a remediation branch, never the target branch, when there is no working branch', async () => {
+    const service = createService([failedRun('run-1'), failedRun('run-2'), passedRun()]);
+    const workflow = createWorkflow();
+
+    await service.run({ workflow, step, gateKey: 'step_2', codeChanges: files });
+
+    expect(service.gitTools.createBranch).toHaveBeenCalledTimes(1);
+    expect(service.gitTools.createBranch).toHaveBeenCalledWith({
+      branchName: 'bmad/remediation-wf-1', owner: 'acme', repo: 'shop', userId: 'user-1'
+    });
+    expect(service.gitTools.createCommit).toHaveBeenCalledTimes(2);
+    service.gitTools.createCommit.mock.calls.forEach(([commit]) => expect(commit.branch).toBe('bmad/remediation-wf-1'));
+    expect(workflow.context.workingBranch).toBe('bmad/remediation-wf-1');
+  });
+
+  test('does not commit when the remediation branch cannot be created', async () => {
+    const service = createService([failedRun('run-1'), passedRun()]);
+    service.gitTools.createBranch.mockRejectedValue(new Error('Failed to create branch: 403'));
+    const workflow = createWorkflow();
+
+    await service.run({ workflow, step, gateKey: 'step_2', codeChanges: files });
+
+    expect(service.gitTools.createCommit).not.toHaveBeenCalled();
+    expect(service.getState(workflow, 'step_2').attempts[0]).toMatchObject({ error: 'Failed to create branch: 403' });
+  });
+
+  test('escalates with an elicitation card once the attempt limit is reached', async () => {
+    const service = createService([failedRun('run-1'), failedRun('run-2'), failedRun('run-3')]);
+    const workflow = createWorkflow({ qualityGates: { maxRemediationAttempts: 2 } });
+
+    const result = await service.run({ workflow, step, gateKey: 'step_2', codeChanges: files });
+
+    expect(result.status).toBe(RemediationStatus.ESCALATED);
+    expect(service.aiService.call).toHaveBeenCalledTimes(2);
+    expect(service.lifecycleManager.pauseWorkflow).toHaveBeenCalledWith('wf-1', expect.objectContaining({
+      type: REMEDIATION_ELICITATION_TYPE,
+      sectionId: 'remediation:step_2',
+      options: ['retry', 'accept', 'stop'],
+      instruction: expect.stringContaining('- Secret Detection: 1 finding (src/client.js:3 GitHub token)')
+    }));
+    expect(service.getState(workflow, 'step_2')).toMatchObject({
+      status: RemediationStatus.ESCALATED,
+      failing: ['secrets'],
+      codeChanges: [expect.objectContaining({ path: 'src/client.js' })]
+    });
+  });
+
+  test('records the user decision on an escalated loop', () => {
+    const service = createService([]);
+    const workflow = createWorkflow({ elicitationDetails: { sectionId: 'remediation:step_2' } });
+    service.setState(workflow, 'step_2', { status: RemediationStatus.ESCALATED, attempts: [] });
+
+    expect(service.resolveEscalation(workflow, 'Retry')).toBe('retry');
+    expect(service.getState(workflow, 'step_2').status).toBe(RemediationStatus.RETRY);
+    expect(workflow.elicitationDetails).toBeNull();
+
+    workflow.elicitationDetails = { sectionId: 'remediation:step_2' };
+    expect(service.resolveEscalation(workflow, 'accept')).toBe('accept');
+    expect(service.getState(workflow, 'step_2').status).toBe(RemediationStatus.ACCEPTED);
+    expect(service.resolveEscalation(workflow, 'no thanks')).toBe('stop');
+  });
+});
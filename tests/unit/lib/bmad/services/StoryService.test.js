@@ -0,0 +1,108 @@
+/**
+ * StoryService Unit Tests
+ *
+ * Covers recognising story artifacts, parsing BMAD story documents into backlog
+ * fields, and the story status lifecycle.
+ */
+
+import { isStoryArtifact, parseStoryMarkdown } from '../../../../../lib/bmad/services/StoryService.js';
+import { StoryStatus, StoryStatusTransitions } from '../../../../../lib/bmad/types.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const STORY = `Here is the next story.
+
+# Story 1.2: Password reset
+
+## Status
+Approved
+
+## Story
+**As a** registered user,
+**I want** to reset my password,
+**so that** I can regain access
+
+## Acceptance Criteria
+1. User can request a reset email
+2. Reset links expire after 24 hours
+
+Story Points: 5
+
+## Tasks / Subtasks
+- [ ] Add reset endpoint (AC: 1)
+
+## Dev Agent Record
+
+### Agent Model Used
+gpt-4o
+
+### Completion Notes List
+- Endpoint added
+
+### File List
+- app/api/auth/reset/route.js
+
+## QA Results
+**Gate:** CONCERNS - token expiry untested
+`;
+
+describe('isStoryArtifact', () => {
+  test('matches story documents only', () => {
+    expect(isStoryArtifact('story.md')).toBe(true);
+    expect(isStoryArtifact('1.2.story.md')).toBe(true);
+    expect(isStoryArtifact('docs/stories/1.2.story.md')).toBe(true);
+    expect(isStoryArtifact('user-story.md')).toBe(false);
+    expect(isStoryArtifact('prd.md')).toBe(false);
+    expect(isStoryArtifact(undefined)).toBe(false);
+  });
+});
+
+describe('parseStoryMarkdown', () => {
+  test('extracts backlog fields and agent records', () => {
+    expect(parseStoryMarkdown(STORY)).toEqual({
+      epicNumber: 1,
+      storyNumber: 2,
+      title: 'Password reset',
+      status: StoryStatus.APPROVED,
+      description: 'As a registered user, I want to reset my password, so that I can regain access',
+      acceptanceCriteria: ['User can request a reset email', 'Reset links expire after 24 hours'],
+      storyPoints: 5,
+      devAgentRecord: {
+        agentModel: 'gpt-4o',
+        debugLog: [],
+        completionNotes: ['Endpoint added'],
+        fileList: ['app/api/auth/reset/route.js'],
+      },
+      qaResults: { gate: 'CONCERNS', notes: '**Gate:** CONCERNS - token expiry untested' },
+    });
+  });
+
+  test('falls back to the first heading for documents without a story number', () => {
+    const parsed = parseStoryMarkdown('# Checkout flow\n\n## Status\nIn Progress\n');
+
+    expect(parsed).toMatchObject({
+      epicNumber: null,
+      storyNumber: null,
+      title: 'Checkout flow',
+      status: StoryStatus.IN_DEVELOPMENT,
+      acceptanceCriteria: [],
+      devAgentRecord: null,
+      qaResults: null,
+    });
+  });
+});
+
+describe('StoryStatusTransitions', () => {
+  test('moves forward one step and allows review to send work back', () => {
+    expect(StoryStatusTransitions.draft).toEqual(['approved']);
+    expect(StoryStatusTransitions.review).toEqual(['in_development', 'done']);
+    expect(StoryStatusTransitions.done).toEqual([]);
+    Object.values(StoryStatusTransitions).flat()
+      .forEach(status => expect(Object.values(StoryStatus)).toContain(status));
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * WorkflowExecutor Unit Tests
+ *
+ * Covers parallel fan-out groups: parsing `parallel:` / `depends_on:` and
+ * running independent branches concurrently before joining, top-level
+ * `depends_on:`, pausing on budget caps between steps, and step lifecycle events.
+ */
+
+import WorkflowExecutor from '../../../../../lib/bmad/services/WorkflowExecutor.js';
+import WorkflowLifecycleManager from '../../../../../lib/bmad/services/WorkflowLifecycleManager.js';
+import Workflow from '../../../../../lib/database/models/Workflow.js';
+import WorkflowParser from '../../../../../lib/bmad/WorkflowParser.js';
+import { WorkflowStatus } from '../../../../../lib/bmad/types.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../../lib/database/models/Workflow.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn(), findOneAndUpdate: jest.fn() }
+}));
+
+const parallelItem = {
+  step: 'design_phase',
+  parallel: [
+    { agent: 'ux-expert', creates: 'front-end-spec.md', requires: 'prd.md' },
+    { agent: 'architect', creates: 'architecture.md', requires: 'prd.md' },
+    { agent: 'po', step: 'review_design', requires: ['front-end-spec.md', 'architecture.md'] },
+  ],
+};
+
+const createWorkflow = (sequence) => ({
+  workflowId: 'workflow_1700000000000_abcdefg',
+  status: WorkflowStatus.RUNNING,
+  bmadWorkflowData: { sequence, currentStep: 0 },
+  context: { artifacts: new Map() },
+  errors: [],
+});
+
+describe('WorkflowParser parallel groups', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new WorkflowParser();
+  });
+
+  test('parses branches and derives sibling dependencies from requires', async () => {
+    const step = await parser.parseSequenceStep(parallelItem, 2);
+
+    expect(step.type).toBe('parallel');
+    expect(step.branches.map(branch => branch.agent)).toEqual(['ux-expert', 'architect', 'po']);
+    expect(step.produces).toEqual(['front-end-spec.md', 'architecture.md']);
+    expect(step.branchDependencies).toEqual({
+      step_2_0: [],
+      step_2_1: [],
+      step_2_2: ['step_2_0', 'step_2_1'],
+    });
+  });
+
+  test('resolves explicit depends_on by step name or agent', async () => {
+    const step = await parser.parseSequenceStep({
+      parallel: [
+        { agent: 'analyst', step: 'research' },
+        { agent: 'pm', depends_on: 'research' },
+        { agent: 'qa', depends_on: ['pm'] },
+      ],
+    }, 0);
+
+    expect(step.branchDependencies.step_0_1).toEqual(['step_0_0']);
+    expect(step.branchDependencies.step_0_2).toEqual(['step_0_1']);
+  });
+
+  test('rejects unknown and circular dependencies', async () => {
+    await expect(parser.parseSequenceStep({
+      parallel: [{ agent: 'pm', depends_on: 'missing' }],
+    }, 0)).rejects.toThrow("depends on unknown sibling 'missing'");
+
+    await expect(parser.parseSequenceStep({
+      parallel: [
+        { agent: 'pm', depends_on: 'architect' },
+        { agent: 'architect', depends_on: 'pm' },
+      ],
+    }, 0)).rejects.toThrow('Circular depends_on');
+  });
+});
+
+describe('WorkflowExecutor parallel execution', () => {
+  let parser;
+  let lifecycleManager;
+  let pusherService;
+
+  beforeEach(() => {
+    // Branches are released between turns of the event loop (setImmediate)
+    jest.useRealTimers();
+    parser = new WorkflowParser();
+    pusherService = {
+      triggerAgentActivated: jest.fn().mockResolvedValue(true),
+      triggerAgentCompleted: jest.fn().mockResolvedValue(true),
+    };
+  });
+
+  const setup = (workflow, executeStep) => {
+    lifecycleManager = {
+      loadWorkflow: jest.fn().mockResolvedValue(workflow),
+      saveWorkflow: jest.fn().mockResolvedValue(workflow),
+      completeWorkflow: jest.fn().mockResolvedValue(workflow),
+      failWorkflow: jest.fn(async (failed) => { failed.status = WorkflowStatus.ERROR; return failed; }),
+    };
+    return new WorkflowExecutor({ executeStep }, lifecycleManager, null, pusherService);
+  };
+
+  test('runs independent branches concurrently and joins before dependents', async () => {
+    const step = await parser.parseSequenceStep(parallelItem, 0);
+    const workflow = createWorkflow([step]);
+    const events = [];
+    const pending = {};
+
+    const executeStep = jest.fn((workflowId, branch) => {
+      events.push(`start:${branch.agent}`);
+      return new Promise(resolve => {
+        pending[branch.agent] = () => {
+          events.push(`end:${branch.agent}`);
+          resolve({ status: 'success', artifactCreated: branch.creates });
+        };
+      });
+    });
+    const executor = setup(workflow, executeStep);
+
+    const run = executor.executeWorkflow(workflow.workflowId);
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Both designers are active at the same time, the reviewer waits
+    expect(events).toEqual(['start:ux-expert', 'start:architect']);
+
+    pending['architect']();
+    pending['ux-expert']();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(events.slice(-1)).toEqual(['start:po']);
+
+    pending['po']();
+    await run;
+
+    expect(workflow.bmadWorkflowData.currentStep).toBe(1);
+    expect(lifecycleManager.completeWorkflow).toHaveBeenCalledWith(workflow.workflowId);
+    expect(pusherService.triggerAgentActivated).toHaveBeenCalledWith(
+      `workflow-${workflow.workflowId}`,
+      'architect',
+      expect.objectContaining({ concurrent: true, parallelGroup: 'design_phase' })
+    );
+    expect(workflow.bmadWorkflowData.context.parallel.step_0).toBeUndefined();
+  });
+
+  test('fails the group when a branch errors and skips its dependents', async () => {
+    const step = await parser.parseSequenceStep(parallelItem, 0);
+    const workflow = createWorkflow([step]);
+    const executeStep = jest.fn(async (workflowId, branch) => (
+      branch.agent === 'architect'
+        ? { status: 'error', error: 'model timeout' }
+        : { status: 'success' }
+    ));
+    const executor = setup(workflow, executeStep);
+
+    await expect(executor.executeWorkflow(workflow.workflowId)).rejects.toThrow('step_0_1: model timeout');
+
+    expect(executeStep.mock.calls.map(([, branch]) => branch.agent)).toEqual(['ux-expert', 'architect']);
+    expect(workflow.status).toBe(WorkflowStatus.ERROR);
+    expect(workflow.bmadWorkflowData.context.parallel.step_0.completed).toEqual(['step_0_0']);
+  });
+
+  test('does not re-run completed branches when a paused group resumes', async () => {
+    const step = await parser.parseSequenceStep(parallelItem, 0);
+    const workflow = createWorkflow([step]);
+    workflow.bmadWorkflowData.context = {
+      parallel: { step_0: { completed: ['step_0_0', 'step_0_1'], active: [] } },
+    };
+    const executeStep = jest.fn().mockResolvedValue({ status: 'success' });
+    const executor = setup(workflow, executeStep);
+
+    await executor.executeWorkflow(workflow.workflowId);
+
+    expect(executeStep).toHaveBeenCalledTimes(1);
+    expect(executeStep.mock.calls[0][1].agent).toBe('po');
+  });
+
+  test('serializes concurrent branch saves and keeps the artifacts map usable', async () => {
+    const step = await parser.parseSequenceStep({
+      step: 'build',
+      parallel: [
+        { agent: 'dev', step: 'api', creates: 'api.md' },
+        { agent: 'dev', step: 'ui', creates: 'ui.md' },
+      ],
+    }, 0);
+    const workflow = createWorkflow([step]);
+    const writes = [];
+    let inFlight = 0;
+    Workflow.findOneAndUpdate.mockImplementation((filter, update) => ({
+      exec: async () => {
+        inFlight++;
+        expect(inFlight).toBe(1);
+        writes.push(update.context.artifacts);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return update;
+      }
+    }));
+
+    const lifecycle = new WorkflowLifecycleManager(null, null);
+    lifecycle.loadWorkflow = jest.fn().mockResolvedValue(workflow);
+    lifecycle.completeWorkflow = jest.fn();
+    const executeStep = jest.fn(async (workflowId, branch, shared) => {
+      expect(shared.bmadWorkflowData.context.parallel.step_0.active).toContain('dev');
+      shared.context.artifacts.set(branch.creates, { content: branch.step });
+      await lifecycle.saveWorkflow(shared);
+      shared.context.artifacts.get(branch.creates);
+      return { status: 'success', artifactCreated: branch.creates };
+    });
+    const executor = new WorkflowExecutor({ executeStep }, lifecycle, null, null);
+
+    await executor.executeWorkflow(workflow.workflowId);
+
+    expect(workflow.context.artifacts).toBeInstanceOf(Map);
+    expect([...workflow.context.artifacts.keys()]).toEqual(['api.md', 'ui.md']);
+    expect(writes[0]).toEqual(expect.arrayContaining([['api.md', { content: 'api' }]]));
+    expect(writes[writes.length - 1].map(([name]) => name)).toEqual(['api.md', 'ui.md']);
+    expect(workflow.bmadWorkflowData.context.parallel.step_0).toBeUndefined();
+    expect(lifecycle.completeWorkflow).toHaveBeenCalledWith(workflow.workflowId);
+  });
+});
+
+describe('WorkflowExecutor top-level depends_on', () => {
+  test('runs a step once the steps it depends on completed and fails it otherwise', async () => {
+    const parser = new WorkflowParser();
+    const sequence = [
+      await parser.parseSequenceStep({ agent: 'analyst', step: 'research', creates: 'brief.md' }, 0),
+      await parser.parseSequenceStep({ agent: 'pm', creates: 'prd.md', depends_on: 'research' }, 1),
+    ];
+    const workflow = createWorkflow(sequence);
+    const lifecycleManager = {
+      loadWorkflow: jest.fn().mockResolvedValue(workflow),
+      saveWorkflow: jest.fn().mockResolvedValue(workflow),
+      completeWorkflow: jest.fn().mockResolvedValue(workflow),
+      failWorkflow: jest.fn().mockResolvedValue(workflow),
+    };
+    const executeStep = jest.fn().mockResolvedValue({ status: 'success' });
+    const executor = new WorkflowExecutor({ executeStep }, lifecycleManager, null, null);
+
+    await executor.executeWorkflow(workflow.workflowId);
+    expect(executeStep).toHaveBeenCalledTimes(2);
+    expect(workflow.bmadWorkflowData.context.completedSteps).toEqual([0, 1]);
+
+    // Jumped past 'research': the product manager cannot start
+    const skipped = createWorkflow(sequence);
+    skipped.bmadWorkflowData.currentStep = 1;
+    skipped.bmadWorkflowData.context = { completedSteps: [] };
+    lifecycleManager.loadWorkflow.mockResolvedValue(skipped);
+    executeStep.mockClear();
+
+    await expect(executor.executeWorkflow(skipped.workflowId))
+      .rejects.toThrow("Step 2 failed: depends on 'research' which did not complete");
+    expect(executeStep).not.toHaveBeenCalled();
+    expect(lifecycleManager.failWorkflow).toHaveBeenCalledWith(skipped, {
+      step: 1,
+      error: "depends on 'research' which did not complete"
+    });
+  });
+});
+
+describe('WorkflowExecutor budget caps', () => {
+  const softScope = {
+    scope: 'workflow',
+    status: 'soft',
+    exceeded: [{ level: 'soft', metric: 'cost', limit: 1, spent: 1.5 }],
+  };
+
+  const setup = (workflow, budgetStatus) => {
+    const lifecycleManager = {
+      loadWorkflow: jest.fn().mockResolvedValue(workflow),
+      saveWorkflow: jest.fn().mockResolvedValue(workflow),
+      completeWorkflow: jest.fn().mockResolvedValue(workflow),
+      pauseWorkflow: jest.fn().mockResolvedValue(workflow),
+    };
+    const executeStep = jest.fn().mockResolvedValue({ status: 'success' });
+    const budgetManager = { getBudgetStatus: jest.fn().mockResolvedValue(budgetStatus) };
+    const executor = new WorkflowExecutor({ executeStep }, lifecycleManager, null, null, budgetManager);
+    return { executor, executeStep, lifecycleManager };
+  };
+
+  test('pauses with a continue/stop elicitation at a soft cap', async () => {
+    const workflow = createWorkflow([{ agent: 'pm', creates: 'prd.md' }]);
+    const { executor, executeStep, lifecycleManager } = setup(workflow, {
+      status: 'soft',
+      scopes: [softScope],
+      workflowBudget: { acknowledged: [] },
+    });
+
+    await executor.executeWorkflow(workflow.workflowId);
+
+    expect(executeStep).not.toHaveBeenCalled();
+    expect(lifecycleManager.pauseWorkflow).toHaveBeenCalledWith(
+      workflow.workflowId,
+      expect.objectContaining({ type: 'budget_soft_cap', sectionId: 'budget:workflow' })
+    );
+    expect(workflow.status).toBe(WorkflowStatus.PAUSED_FOR_ELICITATION);
+    expect(lifecycleManager.completeWorkflow).not.toHaveBeenCalled();
+  });
+
+  test('keeps running past an acknowledged soft cap but stops at a hard cap', async () => {
+    const workflow = createWorkflow([{ agent: 'pm' }]);
+    const acknowledged = setup(workflow, {
+      status: 'soft',
+      scopes: [softScope],
+      workflowBudget: { acknowledged: ['workflow'] },
+    });
+
+    await acknowledged.executor.executeWorkflow(workflow.workflowId);
+    expect(acknowledged.executeStep).toHaveBeenCalledTimes(1);
+
+    const blockedWorkflow = createWorkflow([{ agent: 'pm' }]);
+    const blocked = setup(blockedWorkflow, {
+      status: 'hard',
+      scopes: [{ ...softScope, status: 'hard', exceeded: [{ level: 'hard', metric: 'cost', limit: 1, spent: 1.5 }] }],
+      workflowBudget: null,
+    });
+
+    await blocked.executor.executeWorkflow(blockedWorkflow.workflowId);
+    expect(blocked.executeStep).not.toHaveBeenCalled();
+    expect(blocked.lifecycleManager.pauseWorkflow).toHaveBeenCalledWith(blockedWorkflow.workflowId);
+    expect(blockedWorkflow.status).toBe(WorkflowStatus.PAUSED);
+  });
+});
+
+describe('WorkflowExecutor lifecycle events', () => {
+  test('announces each completed step and reports failures through the lifecycle manager', async () => {
+    const workflow = createWorkflow([{ agent: 'pm', step: 'write_prd', creates: 'prd.md' }, { agent: 'architect', creates: 'architecture.md' }]);
+    const lifecycleManager = {
+      loadWorkflow: jest.fn().mockResolvedValue(workflow),
+      saveWorkflow: jest.fn().mockResolvedValue(workflow),
+      completeWorkflow: jest.fn().mockResolvedValue(workflow),
+      failWorkflow: jest.fn().mockResolvedValue(workflow),
+    };
+    const executeStep = jest.fn()
+      .mockResolvedValueOnce({ status: 'success' })
+      .mockResolvedValueOnce({ status: 'error', error: 'model timeout' });
+    const eventBus = { emit: jest.fn() };
+    const executor = new WorkflowExecutor({ executeStep }, lifecycleManager, null, null, null, null, eventBus);
+
+    await expect(executor.executeWorkflow(workflow.workflowId)).rejects.toThrow('Step 2 failed: model timeout');
+
+    expect(eventBus.emit).toHaveBeenCalledTimes(1);
+    expect(eventBus.emit).toHaveBeenCalledWith('step.completed', workflow, {
+      stepIndex: 0,
+      stepName: 'write_prd',
+      agentId: 'pm',
+      artifactName: 'prd.md'
+    });
+    expect(lifecycleManager.failWorkflow).toHaveBeenCalledWith(workflow, { step: 1, error: 'model timeout' });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * WorkflowForkService Unit Tests
+ *
+ * Covers forking a workflow from a checkpoint (copied artifacts, messages and context, parent
+ * link, versions recorded for the fork) and comparing two runs artifact by artifact.
+ */
+
+import WorkflowForkService from '../../../../../lib/bmad/services/WorkflowForkService.js';
+import WorkflowCheckpoint from '../../../../../lib/database/models/WorkflowCheckpoint.js';
+import { WorkflowStatus } from '../../../../../lib/bmad/types.js';
+
+jest.mock('../../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../../lib/database/models/WorkflowCheckpoint.js', () => ({
+  findOne: jest.fn()
+}));
+
+const sequence = [
+  { agent: 'pm', creates: 'prd.md' },
+  { agent: 'architect', creates: 'architecture.md' },
+  { agent: 'dev', creates: 'implementation' }
+];
+
+function createParent() {
+  return {
+    workflowId: 'workflow_parent',
+    title: 'Todo app',
+    template: 'greenfield-fullstack',
+    prompt: 'Build a todo app with sharing',
+    userId: 'user-1',
+    status: WorkflowStatus.COMPLETED,
+    budget: { soft: { cost: 5 }, hard: { cost: 10 }, acknowledged: ['workflow'] },
+    bmadWorkflowData: {
+      sequence,
+      currentStep: 3,
+      messages: [{ from: 'pm', to: 'user', type: 'agent', content: 'PRD' }, { from: 'architect', to: 'user', type: 'agent', content: 'Arch' }],
+      context: { approvals: { step_1: { status: 'approved' } } }
+    },
+    context: {
+      artifacts: new Map([
+        ['prd.md', { content: 'Goal: todos\n', metadata: { step: 0, version: 1 } }],
+        ['architecture.md', { content: 'Monolith\nPostgres\n', metadata: { step: 1, version: 1 } }]
+      ])
+    }
+  };
+}
+
+const checkpointAtArchitecture = {
+  checkpointId: 'checkpoint_1',
+  workflowId: 'workflow_parent',
+  step: 1,
+  currentAgent: 'architect',
+  timestamp: new Date(),
+  state: {
+    messages: [{ from: 'pm', to: 'user', type: 'agent', content: 'PRD' }],
+    workflowContext: { initiatedBy: 'user-1', routingDecisions: {} },
+    artifactContents: [['prd.md', { content: 'Goal: todos\n', metadata: { step: 0, version: 1 } }]],
+    stepContext: {},
+    metadata: {}
+  }
+};
+
+describe('WorkflowForkService', () => {
+  let store;
+  let service;
+  let artifactManager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = new Map([['workflow_parent', createParent()]]);
+    const lifecycleManager = {
+      loadWorkflow: jest.fn(async (id) => store.get(id) || null),
+      saveWorkflow: jest.fn(async (workflow) => { store.set(workflow.workflowId, workflow); return workflow; })
+    };
+    artifactManager = { recordVersion: jest.fn() };
+    service = new WorkflowForkService({ lifecycleManager, artifactManager });
+    WorkflowCheckpoint.findOne.mockReturnValue({ lean: () => Promise.resolve(checkpointAtArchitecture) });
+  });
+
+  test('forks a paused copy of the run as it was at the checkpoint', async () => {
+    const fork = await service.forkFromCheckpoint({ workflowId: 'workflow_parent', checkpointId: 'checkpoint_1' });
+
+    expect(fork.workflowId).not.toBe('workflow_parent');
+    expect(fork).toMatchObject({
+      title: 'Todo app (fork @ step 2)',
+      status: WorkflowStatus.PAUSED,
+      currentAgent: 'architect',
+      budget: { soft: { cost: 5 }, hard: { cost: 10 }, acknowledged: [] },
+      fork: { parentWorkflowId: 'workflow_parent', rootWorkflowId: 'workflow_parent', checkpointId: 'checkpoint_1', checkpointStep: 1 }
+    });
+    expect(fork.bmadWorkflowData.currentStep).toBe(1);
+    expect(fork.bmadWorkflowData.sequence).toEqual(sequence);
+    expect(fork.bmadWorkflowData.messages.map(message => message.from)).toEqual(['pm', 'system']);
+    expect([...fork.context.artifacts.keys()]).toEqual(['prd.md']);
+    expect(fork.context.initiatedBy).toBe('user-1');
+
+    expect(artifactManager.recordVersion).toHaveBeenCalledWith(fork.workflowId, 'prd.md', 'Goal: todos\n', expect.objectContaining({
+      author: { type: 'system', id: 'fork' },
+      reason: 'forked from workflow_parent at step 2'
+    }));
+
+    // The original run is untouched
+    expect(store.get('workflow_parent').context.artifacts.has('architecture.md')).toBe(true);
+  });
+
+  test('rejects unknown workflows and checkpoints', async () => {
+    await expect(service.forkFromCheckpoint({ workflowId: 'missing', checkpointId: 'checkpoint_1' }))
+      .rejects.toThrow('Workflow missing not found');
+
+    WorkflowCheckpoint.findOne.mockReturnValue({ lean: () => Promise.resolve(null) });
+    await expect(service.forkFromCheckpoint({ workflowId: 'workflow_parent', checkpointId: 'nope' }))
+      .rejects.toThrow('Checkpoint nope not found for workflow workflow_parent');
+  });
+
+  test('compares a fork with its parent and finds where they diverged', async () => {
+    const fork = await service.forkFromCheckpoint({ workflowId: 'workflow_parent', checkpointId: 'checkpoint_1', name: 'Microservices' });
+    fork.context.artifacts.set('architecture.md', { content: 'Microservices\nPostgres\n', metadata: { step: 1 } });
+    fork.context.artifacts.set('services.md', { content: 'api\nworker\n', metadata: { step: 1 } });
+
+    const comparison = await service.compareWorkflows('workflow_parent', fork.workflowId, { artifactName: 'architecture.md' });
+
+    expect(comparison.divergedAtStep).toBe(1);
+    expect(comparison.right).toMatchObject({ title: 'Microservices', fork: { parentWorkflowId: 'workflow_parent' } });
+    expect(comparison.artifacts.map(artifact => [artifact.artifactName, artifact.status])).toEqual([
+      ['architecture.md', 'changed'],
+      ['prd.md', 'same'],
+      ['services.md', 'only_right']
+    ]);
+
+    const architecture = comparison.artifacts[0];
+    expect(architecture.stats).toEqual({ added: 0, removed: 0, changed: 1, unchanged: 1 });
+    expect(architecture.rows[0]).toMatchObject({ type: 'changed', left: { text: 'Monolith' }, right: { text: 'Microservices' } });
+    expect(comparison.artifacts[1].rows).toBeUndefined();
+  });
+
+  test('finds the divergence step between sibling forks and reports unrelated runs as null', async () => {
+    const first = await service.forkFromCheckpoint({ workflowId: 'workflow_parent', checkpointId: 'checkpoint_1' });
+    WorkflowCheckpoint.findOne.mockReturnValue({ lean: () => Promise.resolve({ ...checkpointAtArchitecture, step: 2 }) });
+    const second = await service.forkFromCheckpoint({ workflowId: 'workflow_parent', checkpointId: 'checkpoint_2' });
+    store.set('workflow_other', { ...createParent(), workflowId: 'workflow_other' });
+
+    expect(await service.findDivergenceStep(first, second)).toBe(1);
+    expect(await service.findDivergenceStep(second, store.get('workflow_parent'))).toBe(2);
+    expect(await service.findDivergenceStep(first, store.get('workflow_other'))).toBeNull();
+  });
+});
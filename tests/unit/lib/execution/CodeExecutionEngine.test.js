@@ -0,0 +1,239 @@
+/**
+ * CodeExecutionEngine Unit Tests
+ *
+ * Covers sandboxed execution: Docker container flags and the
+ * rlimit/scrubbed-environment process fallback, which runs in its own
+ * namespaces (rootless too) and refuses to run without them unless that is allowed.
+ *
+ * These suites spawn real processes, so they run on real timers.
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import CodeExecutionEngine from '../../../../lib/execution/CodeExecutionEngine.js';
+import SandboxRunner from '../../../../lib/execution/SandboxRunner.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../lib/utils/redis.js', () => ({
+  redisService: { isAvailable: () => false },
+}));
+
+describe('SandboxRunner', () => {
+  let workspaceRoot;
+
+  beforeEach(async () => {
+    jest.useRealTimers();
+    workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workspaceRoot, { recursive: true, force: true });
+  });
+
+  test('builds an isolated docker run with memory limit and no network', async () => {
+    const runner = new SandboxRunner({ maxMemory: '512m' });
+    runner.spawnWithTimeout = jest.fn().mockResolvedValue({ stdout: 'ok', stderr: '', exitCode: 0 });
+
+    await runner.runDocker('npm test', { image: 'node:18-alpine', workspace: workspaceRoot, timeout: 1000 });
+
+    const [file, args, options] = runner.spawnWithTimeout.mock.calls[0];
+    expect(file).toBe('docker');
+    expect(args.join(' ')).toContain('--network none');
+    expect(args.join(' ')).toContain('--memory 512m');
+    expect(args).toContain(`${workspaceRoot}:/workspace:rw`);
+    expect(args.slice(-4)).toEqual(['node:18-alpine', 'sh', '-c', 'npm test']);
+    expect(options.timeout).toBe(1000);
+  });
+
+  test('runs processes with a scrubbed environment and streams output', async () => {
+    process.env.SANDBOX_TEST_SECRET = 'do-not-leak';
+    const runner = new SandboxRunner({ workspaceRoot, allowUnisolated: true });
+    const chunks = [];
+
+    const result = await runner.runProcess('echo "secret=${SANDBOX_TEST_SECRET:-none}"; echo oops >&2', {
+      workspace: workspaceRoot,
+      timeout: 10000,
+      onOutput: (stream, text) => chunks.push([stream, text]),
+    });
+
+    delete process.env.SANDBOX_TEST_SECRET;
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout.trim()).toBe('secret=none');
+    expect(result.stderr.trim()).toBe('oops');
+    expect(chunks).toEqual(expect.arrayContaining([['stdout', 'secret=none\n']]));
+  });
+
+  test('kills processes that exceed the timeout', async () => {
+    const runner = new SandboxRunner({ workspaceRoot, allowUnisolated: true });
+
+    const result = await runner.runProcess('sleep 5', { workspace: workspaceRoot, timeout: 200 });
+
+    expect(result.timedOut).toBe(true);
+    expect(result.exitCode).not.toBe(0);
+    expect(result.duration).toBeLessThan(4000);
+  });
+
+  test('isolates processes in a user namespace when the server is not root', async () => {
+    const getuid = jest.spyOn(process, 'getuid').mockReturnValue(1000);
+    try {
+      const runner = new SandboxRunner({ workspaceRoot });
+      runner.isNamespaceIsolationAvailable = jest.fn().mockResolvedValue(true);
+      runner.spawnWithTimeout = jest.fn().mockResolvedValue({ stdout: '', stderr: '', exitCode: 0 });
+
+      await runner.runProcess('npm test', { workspace: workspaceRoot, timeout: 1000 });
+
+      const [file, args, options] = runner.spawnWithTimeout.mock.calls[0];
+      expect(file).toBe('unshare');
+      expect(args.slice(0, 7)).toEqual(['--user', '--map-root-user', '--net', '--pid', '--fork', '--mount-proc', 'sh']);
+      expect(args).not.toContain('setpriv');
+      expect(options).not.toHaveProperty('uid');
+    } finally {
+      getuid.mockRestore();
+    }
+  });
+
+  test('runs the rootless sandbox as pid 1 of its own namespace', async () => {
+    const getuid = jest.spyOn(process, 'getuid').mockReturnValue(1000);
+    try {
+      const runner = new SandboxRunner({ workspaceRoot });
+      if (!(await runner.isNamespaceIsolationAvailable(false))) {
+        return; // the kernel does not allow unprivileged user namespaces
+      }
+
+      const result = await runner.runProcess('echo $$', { workspace: workspaceRoot, timeout: 10000 });
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout.trim()).toBe('1');
+    } finally {
+      getuid.mockRestore();
+    }
+  });
+
+  test('refuses to run processes it cannot isolate unless that is allowed', async () => {
+    const getuid = jest.spyOn(process, 'getuid').mockReturnValue(1000);
+    try {
+      const runner = new SandboxRunner({ workspaceRoot });
+      runner.isNamespaceIsolationAvailable = jest.fn().mockResolvedValue(false);
+      runner.spawnWithTimeout = jest.fn().mockResolvedValue({ stdout: '', stderr: '', exitCode: 0 });
+
+      await expect(runner.runProcess('curl https://example.com', { workspace: workspaceRoot, timeout: 1000 }))
+        .rejects.toThrow('Process sandbox cannot create namespaces');
+      expect(runner.spawnWithTimeout).not.toHaveBeenCalled();
+
+      runner.options.allowUnisolated = true;
+      await runner.runProcess('true', { workspace: workspaceRoot, timeout: 1000 });
+      expect(runner.spawnWithTimeout).toHaveBeenCalledWith('sh', expect.any(Array), expect.not.objectContaining({ uid: expect.anything() }));
+    } finally {
+      getuid.mockRestore();
+    }
+  });
+
+  test('links node_modules into temporary workspaces instead of copying them', async () => {
+    const project = path.join(workspaceRoot, 'project');
+    await fs.mkdir(path.join(project, 'node_modules', 'left-pad'), { recursive: true });
+    await fs.mkdir(path.join(project, 'packages', 'api', 'node_modules'), { recursive: true });
+    await fs.writeFile(path.join(project, 'index.js'), 'module.exports = 1;');
+    const runner = new SandboxRunner({ workspaceRoot });
+
+    const workspace = await runner.createTempWorkspace(project);
+
+    expect(await fs.readFile(path.join(workspace, 'index.js'), 'utf8')).toBe('module.exports = 1;');
+    expect(await fs.readlink(path.join(workspace, 'node_modules'))).toBe(path.join(project, 'node_modules'));
+    expect(await fs.readlink(path.join(workspace, 'packages', 'api', 'node_modules')))
+      .toBe(path.join(project, 'packages', 'api', 'node_modules'));
+    expect((await fs.lstat(path.join(workspace, 'node_modules'))).isSymbolicLink()).toBe(true);
+  });
+
+  test('parses docker-style memory sizes', () => {
+    const runner = new SandboxRunner();
+    expect(runner.parseSize('1g')).toBe(1024 ** 3);
+    expect(runner.parseSize('512m')).toBe(512 * 1024 ** 2);
+    expect(() => runner.parseSize('lots')).toThrow('Invalid size');
+  });
+});
+
+describe('CodeExecutionEngine sandboxing', () => {
+  let workspaceRoot;
+
+  beforeEach(async () => {
+    jest.useRealTimers();
+    workspaceRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'engine-test-'));
+    // The sandbox uid must be able to traverse into its workspace
+    await fs.chmod(workspaceRoot, 0o755);
+  });
+
+  afterEach(async () => {
+    await fs.rm(workspaceRoot, { recursive: true, force: true });
+  });
+
+  test('executes node code in the process sandbox', async () => {
+    const engine = new CodeExecutionEngine({ sandbox: 'process', workspaceRoot, timeout: 20000, allowUnisolated: true });
+
+    const result = await engine.executeCode({
+      code: 'console.log(context.greeting)',
+      runtime: 'node',
+      context: { greeting: 'hello' },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.sandbox).toBe('process');
+    expect(result.stdout.trim()).toBe('hello');
+  });
+
+  test('runs project commands on a temporary copy unless changes are persisted', async () => {
+    const project = path.join(workspaceRoot, 'project');
+    await fs.mkdir(project);
+    await fs.writeFile(path.join(project, 'file.txt'), 'original');
+    const engine = new CodeExecutionEngine({ sandbox: 'process', workspaceRoot, allowUnisolated: true });
+
+    const result = await engine.executeCommand({ command: 'echo changed > file.txt', workingDirectory: project });
+    expect(result.exitCode).toBe(0);
+    expect(await fs.readFile(path.join(project, 'file.txt'), 'utf8')).toBe('original');
+
+    await engine.executeCommand({ command: 'echo changed > file.txt', workingDirectory: project, persistChanges: true });
+    expect((await fs.readFile(path.join(project, 'file.txt'), 'utf8')).trim()).toBe('changed');
+  });
+
+  test('routes docker runtime through the container sandbox using getDockerImage', async () => {
+    const engine = new CodeExecutionEngine({ workspaceRoot });
+    engine.sandbox.isDockerAvailable = jest.fn().mockResolvedValue(true);
+    engine.sandbox.runDocker = jest.fn().mockResolvedValue({ stdout: '42\n', stderr: '', exitCode: 0 });
+
+    const result = await engine.executeCode({ code: 'print(42)', language: 'python', runtime: 'docker' });
+
+    expect(result.stdout).toBe('42\n');
+    expect(engine.sandbox.runDocker).toHaveBeenCalledWith(
+      'python3 script.py',
+      expect.objectContaining({ image: 'python:3.9-alpine' })
+    );
+  });
+
+  test('rejects the docker runtime when docker is unavailable', async () => {
+    const engine = new CodeExecutionEngine({ workspaceRoot });
+    engine.sandbox.isDockerAvailable = jest.fn().mockResolvedValue(false);
+
+    await expect(engine.executeCode({ code: 'echo hi', language: 'shell', runtime: 'docker' }))
+      .rejects.toMatchObject({ success: false, error: expect.stringContaining('Docker is not available') });
+  });
+
+  test('passes test patterns as one quoted argument', async () => {
+    const engine = new CodeExecutionEngine({ workspaceRoot });
+
+    expect(engine.getTestCommand('jest', null)).toBe('jest --json');
+    expect(engine.getTestCommand('jest', 'src/api', { coverage: true })).toBe("jest --json --coverage 'src/api'");
+
+    // The shell sees the whole pattern as a single argument
+    const pattern = "x'; touch pwned; echo '";
+    const command = engine.getTestCommand('mocha', pattern);
+    expect(execFileSync('sh', ['-c', command.replace(/^mocha/, 'printf %s')], { cwd: workspaceRoot }).toString()).toBe(pattern);
+    await expect(fs.access(path.join(workspaceRoot, 'pwned'))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * ResultParser Unit Tests
+ *
+ * Structured parsing of Jest/Vitest JSON, JUnit XML, pytest,
+ * ESLint JSON and Prettier check output.
+ */
+
+import ResultParser from '../../../../lib/execution/ResultParser.js';
+
+const jestReport = {
+  numTotalTests: 3,
+  numPassedTests: 1,
+  numFailedTests: 1,
+  numPendingTests: 1,
+  numTodoTests: 0,
+  success: false,
+  testResults: [
+    {
+      name: '/app/src/math.test.js',
+      status: 'failed',
+      message: '',
+      startTime: 1000,
+      endTime: 1250,
+      assertionResults: [
+        { ancestorTitles: ['math'], title: 'adds', fullName: 'math adds', status: 'passed', duration: 3, failureMessages: [] },
+        { ancestorTitles: ['math'], title: 'divides', fullName: 'math divides', status: 'failed', duration: 5, failureMessages: ['\u001b[31mExpected: 2\u001b[39m'] },
+        { ancestorTitles: ['math'], title: 'later', fullName: 'math later', status: 'pending', duration: null, failureMessages: [] },
+      ],
+    },
+  ],
+  coverageMap: {
+    '/app/src/math.js': {
+      statementMap: {
+        0: { start: { line: 1 } },
+        1: { start: { line: 2 } },
+        2: { start: { line: 3 } },
+        3: { start: { line: 3 } },
+      },
+      s: { 0: 1, 1: 0, 2: 4, 3: 0 },
+      f: { 0: 1, 1: 0 },
+      b: { 0: [1, 0] },
+    },
+  },
+};
+
+describe('ResultParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ResultParser();
+  });
+
+  describe('test results', () => {
+    test('parses Jest JSON with per-test results and coverage', () => {
+      const output = `> app@1.0.0 test\n${JSON.stringify(jestReport)}\n`;
+      const result = parser.parseTestResults(output, 'jest');
+
+      expect(result).toMatchObject({ framework: 'jest', format: 'json', passed: 1, failed: 1, skipped: 1, total: 3, duration: 250 });
+      expect(result.files).toEqual([
+        expect.objectContaining({ file: '/app/src/math.test.js', status: 'failed', passed: 1, failed: 1, skipped: 1 }),
+      ]);
+      expect(result.tests[1]).toMatchObject({ fullName: 'math divides', status: 'failed', failureMessages: ['Expected: 2'] });
+      expect(result.coverage).toEqual({ statements: 50, functions: 50, branches: 50, lines: 66.67 });
+    });
+
+    test('counts Vitest suites that failed before running any test', () => {
+      const report = {
+        numTotalTests: 0,
+        numPassedTests: 0,
+        numFailedTests: 0,
+        testResults: [{ name: 'src/broken.test.ts', status: 'failed', message: 'SyntaxError: Unexpected token', assertionResults: [] }],
+      };
+      const result = parser.parseTestResults(JSON.stringify(report), 'vitest');
+
+      expect(result).toMatchObject({ framework: 'vitest', failed: 1, total: 1 });
+      expect(result.files[0].message).toBe('SyntaxError: Unexpected token');
+    });
+
+    test('parses JUnit XML', () => {
+      const xml = `<?xml version="1.0"?>
+<testsuites>
+  <testsuite name="api" tests="3">
+    <testcase classname="api.LoginTest" name="accepts valid" time="0.012"/>
+    <testcase classname="api.LoginTest" name="rejects invalid" time="0.5">
+      <failure message="expected 401 &amp; got 200"><![CDATA[at LoginTest.java:42]]></failure>
+    </testcase>
+    <testcase classname="api.LogoutTest" name="clears session"><skipped/></testcase>
+  </testsuite>
+</testsuites>`;
+      const result = parser.parseTestResults(xml, 'maven');
+
+      expect(result).toMatchObject({ format: 'junit', passed: 1, failed: 1, skipped: 1, total: 3, duration: 512 });
+      expect(result.tests[1].failureMessages).toEqual(['expected 401 & got 200\nat LoginTest.java:42']);
+      expect(result.files.map(file => [file.file, file.status])).toEqual([
+        ['api.LoginTest', 'failed'],
+        ['api.LogoutTest', 'passed'],
+      ]);
+    });
+
+    test('parses verbose pytest output with tracebacks and coverage', () => {
+      const output = `
+============================= test session starts ==============================
+tests/test_api.py::test_login PASSED                                     [ 33%]
+tests/test_api.py::test_logout FAILED                                    [ 66%]
+tests/test_util.py::test_slow SKIPPED (slow)                             [100%]
+
+=================================== FAILURES ===================================
+_________________________________ test_logout __________________________________
+
+    def test_logout():
+>       assert session is None
+E       AssertionError: assert {'id': 1} is None
+
+tests/test_api.py:12: AssertionError
+---------- coverage: platform linux, python 3.11.4 -----------
+Name              Stmts   Miss  Cover
+-------------------------------------
+TOTAL               120     30    75%
+=========================== short test summary info ============================
+FAILED tests/test_api.py::test_logout - AssertionError: assert {'id': 1} is None
+==================== 1 failed, 1 passed, 1 skipped in 0.42s ====================
+`;
+      const result = parser.parseTestResults(output, 'pytest');
+
+      expect(result).toMatchObject({ format: 'pytest', passed: 1, failed: 1, skipped: 1, total: 3, duration: 420 });
+      expect(result.tests.find(test => test.name === 'test_logout').failureMessages[0]).toContain('AssertionError');
+      expect(result.files.map(file => file.file)).toEqual(['tests/test_api.py', 'tests/test_util.py']);
+      expect(result.coverage.lines).toBe(75);
+    });
+
+    test('falls back to mocha-style summaries', () => {
+      const result = parser.parseTestResults('  4 passing (20ms)\n  1 failing\n', 'mocha');
+      expect(result).toMatchObject({ format: 'text', passed: 4, failed: 1, total: 5 });
+    });
+  });
+
+  describe('lint results', () => {
+    test('parses the ESLint JSON formatter', () => {
+      const report = [
+        { filePath: '/app/src/a.js', errorCount: 0, warningCount: 0, messages: [] },
+        {
+          filePath: '/app/src/b.js',
+          errorCount: 1,
+          warningCount: 1,
+          fixableErrorCount: 1,
+          fixableWarningCount: 0,
+          messages: [
+            { ruleId: 'semi', severity: 2, message: 'Missing semicolon.', line: 3, column: 10 },
+            { ruleId: 'no-unused-vars', severity: 1, message: "'x' is unused.", line: 1, column: 7 },
+          ],
+        },
+      ];
+      const result = parser.parseLintResults(JSON.stringify(report), 'eslint');
+
+      expect(result).toMatchObject({ linter: 'eslint', errors: 1, warnings: 1, total: 2, fixable: 1 });
+      expect(result.files).toHaveLength(1);
+      expect(result.files[0].messages[0]).toEqual({ line: 3, column: 10, severity: 'error', rule: 'semi', message: 'Missing semicolon.' });
+    });
+
+    test('parses prettier --check output', () => {
+      const output = `Checking formatting...
+[warn] src/a.js
+[error] src/broken.js: SyntaxError: Unexpected token (4:2)
+[warn] Code style issues found in the above file. Run Prettier with --write to fix.`;
+      const result = parser.parseLintResults(output, 'prettier');
+
+      expect(result).toMatchObject({ linter: 'prettier', errors: 2, fixable: 1 });
+      expect(result.files.map(file => file.file)).toEqual(['src/a.js', 'src/broken.js']);
+      expect(result.files[1].messages[0]).toMatchObject({ line: 4, column: 2, rule: 'prettier/syntax' });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * GitHubWebhookService Unit Tests
+ *
+ * Signature verification, rule validation and matching, and deliveries starting the mapped
+ * workflows through the orchestrator (redeliveries and unsigned requests start nothing).
+ */
+
+import { createHmac } from 'crypto';
+import { GitHubWebhookService } from '../../../../lib/integrations/GitHubWebhookService.js';
+import { pluginManager } from '../../../../lib/integrations/plugin-architecture.js';
+import Integration from '../../../../lib/database/models/Integration.js';
+import Workflow from '../../../../lib/database/models/Workflow.js';
+import User from '../../../../lib/database/models/User.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../lib/database/models/Integration.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn(), updateOne: jest.fn() }
+}));
+
+jest.mock('../../../../lib/database/models/Workflow.js', () => ({
+  __esModule: true,
+  default: { exists: jest.fn() }
+}));
+
+jest.mock('../../../../lib/database/models/User.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() }
+}));
+
+const SECRET = 'webhook-secret-0123456789';
+const sign = (body, secret = SECRET) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const labeledIssue = {
+  action: 'labeled',
+  label: { name: 'bmad:bugfix' },
+  issue: { number: 42, title: 'Login fails on Safari', body: 'Clicking sign in does nothing.', html_url: 'https://github.com/acme/app/issues/42' },
+  repository: { full_name: 'acme/app' },
+  sender: { login: 'octocat' }
+};
+
+const integration = {
+  _id: 'integration-1',
+  userId: { toString: () => 'user-1' },
+  pluginId: 'github',
+  config: {
+    webhook: {
+      secret: SECRET,
+      rules: [
+        { event: 'issues.labeled', label: 'bmad:bugfix', workflow: 'bug-fix-workflow', repository: 'acme/app' },
+        { event: 'issues.labeled', label: 'bmad:feature', workflow: 'greenfield-fullstack' },
+        { event: 'push', branch: 'main', workflow: 'brownfield-fullstack' }
+      ]
+    }
+  }
+};
+
+describe('GitHubWebhookService', () => {
+  let orchestrator;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    orchestrator = {
+      aiService: { initialize: jest.fn().mockResolvedValue(true) },
+      startWorkflow: jest.fn().mockResolvedValue({ workflowId: 'workflow_1', status: 'running' })
+    };
+    service = new GitHubWebhookService(orchestrator);
+    Integration.find.mockReturnValue({ lean: () => Promise.resolve([integration]) });
+    Workflow.exists.mockResolvedValue(null);
+  });
+
+  test('verifies HMAC signatures over the raw body', () => {
+    const body = JSON.stringify(labeledIssue);
+
+    expect(GitHubWebhookService.verifySignature(body, sign(body), SECRET)).toBe(true);
+    expect(GitHubWebhookService.verifySignature(body, sign(body, 'other-secret'), SECRET)).toBe(false);
+    expect(GitHubWebhookService.verifySignature(`${body} `, sign(body), SECRET)).toBe(false);
+    expect(GitHubWebhookService.verifySignature(body, 'sha1=abc', SECRET)).toBe(false);
+    expect(GitHubWebhookService.verifySignature(body, sign(body), undefined)).toBe(false);
+  });
+
+  test('validates rules and matches them by event, label, branch and repository', () => {
+    expect(() => GitHubWebhookService.normalizeRules([{ event: 'issues.closed', workflow: 'x' }])).toThrow('rules[0].event');
+    expect(() => GitHubWebhookService.normalizeRules([{ event: 'push', workflow: '../secrets' }])).toThrow('rules[0].workflow');
+    expect(GitHubWebhookService.normalizeRules([{ event: 'push', workflow: 'deploy', branch: 'main', label: 'ignored' }]))
+      .toEqual([{ event: 'push', workflow: 'deploy', branch: 'main' }]);
+
+    const rules = integration.config.webhook.rules;
+    expect(GitHubWebhookService.matchRules(rules, 'issues.labeled', labeledIssue).map(rule => rule.workflow))
+      .toEqual(['bug-fix-workflow']);
+    expect(GitHubWebhookService.matchRules(rules, 'issues.labeled', { ...labeledIssue, repository: { full_name: 'acme/other' } }))
+      .toEqual([]);
+    expect(GitHubWebhookService.matchRules(rules, 'push', { ref: 'refs/heads/main', repository: { full_name: 'acme/app' } }))
+      .toHaveLength(1);
+    expect(GitHubWebhookService.matchRules(rules, 'push', { ref: 'refs/heads/dev', repository: { full_name: 'acme/app' } }))
+      .toEqual([]);
+  });
+
+  test('starts the mapped workflow with the issue as the prompt', async () => {
+    const hook = jest.fn();
+    pluginManager.registerHook('github.issues.labeled', hook);
+    const rawBody = JSON.stringify(labeledIssue);
+
+    const result = await service.handleDelivery({ event: 'issues', deliveryId: 'delivery-1', signature: sign(rawBody), rawBody });
+
+    expect(result).toEqual({
+      status: 202,
+      event: 'issues.labeled',
+      launched: [{ integrationId: 'integration-1', workflow: 'bug-fix-workflow', workflowId: 'workflow_1' }]
+    });
+    expect(orchestrator.aiService.initialize).toHaveBeenCalledWith(null, 'user-1');
+
+    const [prompt, options] = orchestrator.startWorkflow.mock.calls[0];
+    expect(prompt).toContain('Issue #42 in acme/app: Login fails on Safari');
+    expect(prompt).toContain('Clicking sign in does nothing.');
+    expect(options).toMatchObject({
+      sequence: 'bug-fix-workflow',
+      userId: 'user-1',
+      trigger: {
+        source: 'github_webhook',
+        github: { event: 'issues.labeled', deliveryId: 'delivery-1', repository: 'acme/app', number: 42, label: 'bmad:bugfix', sender: 'octocat' }
+      }
+    });
+    expect(hook).toHaveBeenCalledWith(expect.objectContaining({ deliveryId: 'delivery-1', launched: result.launched }));
+    expect(Integration.updateOne).toHaveBeenCalledWith({ _id: 'integration-1' }, { lastUsed: expect.any(Date) });
+  });
+
+  test('rejects unsigned deliveries and ignores redeliveries', async () => {
+    const rawBody = JSON.stringify(labeledIssue);
+
+    await expect(service.handleDelivery({ event: 'issues', deliveryId: 'delivery-1', signature: sign(rawBody, 'wrong-secret'), rawBody }))
+      .resolves.toEqual({ status: 401, error: 'Invalid signature' });
+    await expect(service.handleDelivery({ event: 'issues', signature: sign('nope'), rawBody: 'nope' }))
+      .resolves.toEqual({ status: 400, error: 'Invalid JSON payload' });
+
+    Workflow.exists.mockResolvedValue({ _id: 'existing' });
+    await expect(service.handleDelivery({ event: 'issues', deliveryId: 'delivery-1', signature: sign(rawBody), rawBody }))
+      .resolves.toMatchObject({ status: 200, launched: [] });
+    expect(Workflow.exists).toHaveBeenCalledWith({ 'trigger.github.deliveryId': 'delivery-1' });
+
+    expect(orchestrator.startWorkflow).not.toHaveBeenCalled();
+  });
+
+  test('only runs repository rules for the user\'s own repositories when verified by the shared secret', async () => {
+    const SHARED_SECRET = 'server-wide-secret';
+    process.env.GITHUB_WEBHOOK_SECRET = SHARED_SECRET;
+    const withoutSecret = { ...integration, config: { webhook: { rules: integration.config.webhook.rules } } };
+    Integration.find.mockReturnValue({ lean: () => Promise.resolve([withoutSecret]) });
+    const githubUser = (githubId) => User.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ githubId }) }) });
+
+    try {
+      // Someone else's repository: nothing runs, not even the rules without a repository
+      githubUser('1001');
+      const foreign = JSON.stringify({ ...labeledIssue, repository: { full_name: 'acme/app', owner: { id: 2002 } } });
+      await expect(service.handleDelivery({ event: 'issues', deliveryId: 'delivery-3', signature: sign(foreign, SHARED_SECRET), rawBody: foreign }))
+        .resolves.toMatchObject({ status: 202, launched: [] });
+      expect(User.findById).toHaveBeenCalledWith(withoutSecret.userId);
+
+      const feature = JSON.stringify({ ...labeledIssue, label: { name: 'bmad:feature' }, repository: { full_name: 'acme/app', owner: { id: 1001 } } });
+      await expect(service.handleDelivery({ event: 'issues', deliveryId: 'delivery-4', signature: sign(feature, SHARED_SECRET), rawBody: feature }))
+        .resolves.toMatchObject({ status: 202, launched: [] });
+      expect(orchestrator.startWorkflow).not.toHaveBeenCalled();
+
+      // The user's own repository, with a rule pinned to it
+      const own = JSON.stringify({ ...labeledIssue, repository: { full_name: 'acme/app', owner: { id: 1001 } } });
+      const result = await service.handleDelivery({ event: 'issues', deliveryId: 'delivery-5', signature: sign(own, SHARED_SECRET), rawBody: own });
+      expect(result.launched).toEqual([{ integrationId: 'integration-1', workflow: 'bug-fix-workflow', workflowId: 'workflow_1' }]);
+
+      // An integration with its own secret is never verified by the shared one
+      Integration.find.mockReturnValue({ lean: () => Promise.resolve([integration]) });
+      await expect(service.handleDelivery({ event: 'issues', deliveryId: 'delivery-6', signature: sign(own, SHARED_SECRET), rawBody: own }))
+        .resolves.toMatchObject({ status: 401 });
+    } finally {
+      delete process.env.GITHUB_WEBHOOK_SECRET;
+    }
+  });
+
+  test('reports workflows that fail to start without failing the delivery', async () => {
+    orchestrator.startWorkflow.mockRejectedValue(new Error('Workflow "bug-fix-workflow" not found.'));
+    const rawBody = JSON.stringify(labeledIssue);
+
+    const result = await service.handleDelivery({ event: 'issues', deliveryId: 'delivery-2', signature: sign(rawBody), rawBody });
+
+    expect(result.status).toBe(202);
+    expect(result.launched).toEqual([
+      { integrationId: 'integration-1', workflow: 'bug-fix-workflow', error: 'Workflow "bug-fix-workflow" not found.' }
+    ]);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * IntegrationEventBus Unit Tests
+ *
+ * Event validation, subscription filters, delivery through PluginManager hooks to the
+ * workflow owner's subscribed integrations, and retries with a delivery log.
+ */
+
+import { IntegrationEventBus, LifecycleEvent, DeliveryStatus } from '../../../../lib/integrations/IntegrationEventBus.js';
+import { PluginManager, BasePlugin } from '../../../../lib/integrations/plugin-architecture.js';
+import Integration from '../../../../lib/database/models/Integration.js';
+import IntegrationDelivery from '../../../../lib/database/models/IntegrationDelivery.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../lib/database/models/Integration.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() }
+}));
+
+jest.mock('../../../../lib/database/models/IntegrationDelivery.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(), updateOne: jest.fn() }
+}));
+
+const handleEvent = jest.fn();
+
+class RecordingPlugin extends BasePlugin {
+  constructor() {
+    super('Recording Plugin', '1.0.0', 'Collects delivered events');
+  }
+
+  async handleEvent(event) {
+    return handleEvent(event, this.config);
+  }
+}
+
+const workflow = { workflowId: 'workflow_1', userId: { toString: () => 'user-1' }, template: 'greenfield-fullstack', title: 'Todo app' };
+
+const integration = (overrides = {}) => ({
+  _id: { toString: () => 'integration-1' },
+  userId: 'user-1',
+  pluginId: 'recording',
+  config: { channel: '#builds' },
+  updatedAt: new Date('2026-01-01'),
+  subscriptions: [{ event: LifecycleEvent.ARTIFACT_CREATED, filter: { artifacts: ['prd.md'] } }],
+  ...overrides
+});
+
+describe('IntegrationEventBus', () => {
+  let manager;
+  let bus;
+  let sleep;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager = new PluginManager();
+    manager.registerPlugin('recording', new RecordingPlugin());
+    sleep = jest.fn().mockResolvedValue();
+    bus = new IntegrationEventBus({ manager, sleep, retryDelayMs: 100 });
+    handleEvent.mockResolvedValue({ ok: true });
+    IntegrationDelivery.create.mockImplementation(async (record) => ({ _id: `delivery-${record.eventType}`, ...record }));
+  });
+
+  afterEach(() => bus.detach());
+
+  test('validates event types and their required data', () => {
+    const event = IntegrationEventBus.createEvent(LifecycleEvent.STEP_COMPLETED, workflow, { stepIndex: 0 });
+    expect(event).toMatchObject({
+      type: 'step.completed',
+      workflowId: 'workflow_1',
+      userId: 'user-1',
+      template: 'greenfield-fullstack',
+      title: 'Todo app',
+      data: { stepIndex: 0 }
+    });
+    expect(event.id).toMatch(/^evt_/);
+
+    expect(() => IntegrationEventBus.createEvent('workflow.exploded', workflow)).toThrow('Unknown lifecycle event');
+    expect(() => IntegrationEventBus.createEvent(LifecycleEvent.WORKFLOW_FAILED, workflow, {})).toThrow('workflow.failed event is missing error');
+    expect(() => IntegrationEventBus.createEvent(LifecycleEvent.WORKFLOW_PAUSED, {}, {})).toThrow('missing workflowId, reason');
+  });
+
+  test('matches subscriptions by event type and filters', () => {
+    const event = IntegrationEventBus.createEvent(LifecycleEvent.ARTIFACT_CREATED, workflow, { artifactName: 'prd.md', agentId: 'pm' });
+
+    expect(IntegrationEventBus.matchesSubscription({ event: 'artifact.created' }, event)).toBe(true);
+    expect(IntegrationEventBus.matchesSubscription({ event: 'artifact.created', filter: { agents: ['pm'], templates: ['greenfield-fullstack'] } }, event)).toBe(true);
+    expect(IntegrationEventBus.matchesSubscription({ event: 'artifact.created', filter: { artifacts: ['architecture.md'] } }, event)).toBe(false);
+    expect(IntegrationEventBus.matchesSubscription({ event: 'step.completed' }, event)).toBe(false);
+
+    expect(() => IntegrationEventBus.normalizeSubscriptions([{ event: 'artifact.deleted' }])).toThrow('subscriptions[0].event');
+    expect(IntegrationEventBus.normalizeSubscriptions([{ event: 'workflow.failed', filter: { agents: [' dev '] } }]))
+      .toEqual([{ event: 'workflow.failed', filter: { templates: [], agents: ['dev'], artifacts: [] } }]);
+  });
+
+  test('delivers events through PluginManager hooks to subscribed integrations and logs them', async () => {
+    const listener = jest.fn();
+    manager.registerHook(LifecycleEvent.ARTIFACT_CREATED, listener);
+    Integration.find.mockReturnValue({
+      lean: () => Promise.resolve([
+        integration(),
+        integration({ _id: { toString: () => 'integration-2' }, subscriptions: [{ event: 'artifact.created', filter: { artifacts: ['other.md'] } }] })
+      ])
+    });
+
+    const event = await bus.emit(LifecycleEvent.ARTIFACT_CREATED, workflow, { artifactName: 'prd.md', agentId: 'pm' });
+    await bus.drain();
+
+    expect(listener).toHaveBeenCalledWith(event);
+    expect(Integration.find).toHaveBeenCalledWith({ userId: 'user-1', isActive: true, 'subscriptions.event': 'artifact.created' });
+    expect(IntegrationDelivery.create).toHaveBeenCalledTimes(1);
+    expect(IntegrationDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+      pluginId: 'recording',
+      eventId: event.id,
+      eventType: 'artifact.created',
+      workflowId: 'workflow_1'
+    }));
+    expect(handleEvent).toHaveBeenCalledWith(event, { channel: '#builds' });
+    expect(IntegrationDelivery.updateOne).toHaveBeenCalledWith({ _id: 'delivery-artifact.created' }, expect.objectContaining({
+      $set: expect.objectContaining({ status: DeliveryStatus.DELIVERED, lastError: null, response: { ok: true }, deliveredAt: expect.any(Date) })
+    }));
+  });
+
+  test('retries failed deliveries with backoff and records every attempt', async () => {
+    Integration.find.mockReturnValue({ lean: () => Promise.resolve([integration({ deliveryPolicy: { maxAttempts: 3 } })]) });
+    handleEvent.mockRejectedValue(new Error('channel_not_found'));
+
+    await bus.emit(LifecycleEvent.ARTIFACT_CREATED, workflow, { artifactName: 'prd.md', agentId: 'pm' });
+    await bus.drain();
+
+    expect(handleEvent).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([100, 200]);
+    const statuses = IntegrationDelivery.updateOne.mock.calls.map(([, update]) => update.$set.status);
+    expect(statuses).toEqual([DeliveryStatus.PENDING, DeliveryStatus.PENDING, DeliveryStatus.FAILED]);
+    expect(IntegrationDelivery.updateOne.mock.calls[2][1].$push.attempts).toMatchObject({ attempt: 3, error: 'channel_not_found' });
+  });
+
+  test('does not retry failures the plugin marks as final', async () => {
+    Integration.find.mockReturnValue({ lean: () => Promise.resolve([integration({ deliveryPolicy: { maxAttempts: 3 } })]) });
+    handleEvent.mockRejectedValue(Object.assign(new Error('dead-lettered'), { retryable: false }));
+
+    await bus.emit(LifecycleEvent.ARTIFACT_CREATED, workflow, { artifactName: 'prd.md', agentId: 'pm' });
+    await bus.drain();
+
+    expect(handleEvent).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+    expect(IntegrationDelivery.updateOne.mock.calls[0][1].$set.status).toBe(DeliveryStatus.FAILED);
+  });
+
+  test('logs skipped deliveries and never lets integrations break the emitter', async () => {
+    Integration.find.mockReturnValue({ lean: () => Promise.resolve([integration()]) });
+    handleEvent.mockResolvedValue({ skipped: true, reason: 'not interested' });
+
+    await bus.emit(LifecycleEvent.ARTIFACT_CREATED, workflow, { artifactName: 'prd.md', agentId: 'pm' });
+    await bus.drain();
+    expect(IntegrationDelivery.updateOne.mock.calls[0][1].$set.status).toBe(DeliveryStatus.SKIPPED);
+
+    Integration.find.mockReturnValue({ lean: () => Promise.reject(new Error('db down')) });
+    await expect(bus.emit(LifecycleEvent.ARTIFACT_CREATED, workflow, { artifactName: 'prd.md', agentId: 'pm' }))
+      .resolves.toMatchObject({ type: 'artifact.created' });
+    await expect(bus.emit(LifecycleEvent.WORKFLOW_FAILED, workflow, {})).resolves.toBeNull();
+  });
+});
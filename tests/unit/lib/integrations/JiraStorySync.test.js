@@ -0,0 +1,208 @@
+/**
+ * JiraStorySync Unit Tests
+ *
+ * Status mapping between BMAD stories and Jira issues, idempotent mirroring of stories and
+ * epics with agent comments, and status changes coming back from signed Jira webhooks.
+ */
+
+import crypto from 'crypto';
+import { JiraStorySync, DEFAULT_STATUS_MAP } from '../../../../lib/integrations/JiraStorySync.js';
+import { StoryStatus } from '../../../../lib/bmad/types.js';
+import Integration from '../../../../lib/database/models/Integration.js';
+import Story from '../../../../lib/database/models/Story.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../lib/database/models/Integration.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn() }
+}));
+
+jest.mock('../../../../lib/database/models/Story.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn(), updateOne: jest.fn() }
+}));
+
+const INTEGRATION_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const integration = {
+  _id: INTEGRATION_ID,
+  userId: 'user-1',
+  pluginId: 'jira',
+  updatedAt: new Date('2026-01-01'),
+  config: { defaultProject: 'BMAD', syncStories: true, webhookSecret: 'jira-secret' }
+};
+
+const lean = (value) => ({ lean: () => Promise.resolve(value) });
+const select = (value) => ({ select: () => lean(value) });
+
+const storyFixture = (overrides = {}) => ({
+  _id: 'story-1',
+  userId: 'user-1',
+  workflowId: 'workflow_1',
+  epicNumber: 1,
+  epicName: 'Accounts',
+  storyNumber: 2,
+  storyKey: '1.2',
+  title: 'Password reset',
+  description: 'As a user, I want to reset my password',
+  acceptanceCriteria: ['User can request a reset email', 'Links expire after 24 hours'],
+  status: StoryStatus.APPROVED,
+  ...overrides
+});
+
+describe('JiraStorySync', () => {
+  let plugin;
+  let sync;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    plugin = {
+      createIssue: jest.fn().mockResolvedValue({ key: 'BMAD-1' }),
+      createStoryIssue: jest.fn().mockResolvedValue({ key: 'BMAD-2' }),
+      updateStoryIssue: jest.fn().mockResolvedValue({ success: true }),
+      transitionIssueToStatus: jest.fn().mockResolvedValue({ success: true, transitionId: '21' }),
+      addComment: jest.fn().mockResolvedValue({ id: '100' })
+    };
+    sync = new JiraStorySync({ createPlugin: jest.fn().mockResolvedValue(plugin) });
+    Integration.findOne.mockReturnValue(lean(integration));
+    Story.findOne.mockReturnValue(select(null));
+  });
+
+  test('maps statuses both ways and walks the story lifecycle', () => {
+    expect(JiraStorySync.storyStatusFor({ name: 'In Progress' })).toBe(StoryStatus.IN_DEVELOPMENT);
+    expect(JiraStorySync.storyStatusFor({ name: 'DONE' })).toBe(StoryStatus.DONE);
+    expect(JiraStorySync.storyStatusFor({ name: 'To Do' })).toBeNull(); // draft or approved
+    expect(JiraStorySync.storyStatusFor({ name: 'Coding', statusCategory: { key: 'indeterminate' } })).toBe(StoryStatus.IN_DEVELOPMENT);
+    expect(JiraStorySync.storyStatusFor({ name: 'QA', statusCategory: { key: 'indeterminate' } }, { ...DEFAULT_STATUS_MAP, review: 'QA' }))
+      .toBe(StoryStatus.REVIEW);
+
+    expect(JiraStorySync.transitionPath(StoryStatus.APPROVED, StoryStatus.DONE))
+      .toEqual([StoryStatus.IN_DEVELOPMENT, StoryStatus.REVIEW, StoryStatus.DONE]);
+    expect(JiraStorySync.transitionPath(StoryStatus.REVIEW, StoryStatus.REVIEW)).toEqual([]);
+    expect(JiraStorySync.transitionPath(StoryStatus.DONE, StoryStatus.IN_DEVELOPMENT)).toBeNull();
+  });
+
+  test('mirrors a story as a Story issue under its epic and stores the issue keys', async () => {
+    const story = storyFixture();
+
+    const result = await sync.syncStory(story);
+
+    expect(Integration.findOne).toHaveBeenCalledWith({ userId: 'user-1', pluginId: 'jira', isActive: true, 'config.syncStories': true });
+    expect(plugin.createIssue).toHaveBeenCalledWith(expect.objectContaining({
+      projectKey: 'BMAD',
+      issueType: 'Epic',
+      summary: 'Epic 1: Accounts'
+    }));
+    expect(plugin.createStoryIssue).toHaveBeenCalledWith({ projectKey: 'BMAD', epicKey: 'BMAD-1', story });
+    expect(plugin.transitionIssueToStatus).toHaveBeenCalledWith({ issueKey: 'BMAD-2', status: 'To Do' });
+    expect(result).toMatchObject({ issueKey: 'BMAD-2', epicKey: 'BMAD-1', created: true, error: null });
+    expect(Story.updateOne).toHaveBeenLastCalledWith({ _id: 'story-1' }, {
+      $set: { jira: expect.objectContaining({ integrationId: INTEGRATION_ID, issueKey: 'BMAD-2', epicKey: 'BMAD-1', status: 'To Do', lastError: null }) }
+    });
+
+    // Stories of the same epic reuse its Epic issue
+    Story.findOne.mockReturnValue(select({ jira: { epicKey: 'BMAD-1' } }));
+    await sync.syncStory(storyFixture({ _id: 'story-2', storyNumber: 3, storyKey: '1.3' }));
+    expect(plugin.createIssue).toHaveBeenCalledTimes(1);
+    expect(plugin.createStoryIssue).toHaveBeenLastCalledWith(expect.objectContaining({ epicKey: 'BMAD-1' }));
+  });
+
+  test('syncs again idempotently: only status changes, edits and new agent records are sent', async () => {
+    const story = storyFixture();
+    await sync.syncStory(story);
+    jest.clearAllMocks();
+    Integration.findOne.mockReturnValue(lean(integration));
+
+    await sync.syncStory(story);
+    expect(Integration.findOne).toHaveBeenCalledWith({ _id: INTEGRATION_ID, isActive: true });
+    expect(plugin.createIssue).not.toHaveBeenCalled();
+    expect(plugin.createStoryIssue).not.toHaveBeenCalled();
+    expect(plugin.updateStoryIssue).not.toHaveBeenCalled();
+    expect(plugin.transitionIssueToStatus).not.toHaveBeenCalled();
+
+    story.status = StoryStatus.IN_DEVELOPMENT;
+    story.acceptanceCriteria = [...story.acceptanceCriteria, 'Reset is rate limited'];
+    story.devAgentRecord = { agentModel: 'gpt-4o', completionNotes: ['Endpoint added'], fileList: ['app/api/auth/reset/route.js'] };
+    story.qaResults = { gate: 'CONCERNS', notes: 'Token expiry untested' };
+
+    const result = await sync.syncStory(story);
+    await sync.syncStory(story);
+
+    expect(result).toMatchObject({ created: false, transitioned: true, comments: 2 });
+    expect(plugin.updateStoryIssue).toHaveBeenCalledTimes(1);
+    expect(plugin.transitionIssueToStatus).toHaveBeenCalledTimes(1);
+    expect(plugin.transitionIssueToStatus).toHaveBeenCalledWith({ issueKey: 'BMAD-2', status: 'In Progress' });
+    expect(plugin.addComment).toHaveBeenCalledTimes(2);
+    expect(plugin.addComment.mock.calls[0][0].comment).toContain('Dev agent (gpt-4o)');
+    expect(plugin.addComment.mock.calls[1][0].comment).toContain('gate CONCERNS');
+  });
+
+  test('keeps the keys it has when Jira fails part way and never throws', async () => {
+    plugin.createStoryIssue.mockRejectedValue(new Error('Failed to create issue: Issue type Story not found'));
+    const story = storyFixture();
+
+    const result = await sync.syncStory(story);
+
+    expect(result).toMatchObject({ epicKey: 'BMAD-1', issueKey: null, error: expect.stringContaining('Issue type Story') });
+    expect(story.jira).toMatchObject({ epicKey: 'BMAD-1', lastError: expect.stringContaining('Issue type Story') });
+
+    Integration.findOne.mockReturnValue(lean(null));
+    await expect(sync.syncStory(storyFixture({ jira: undefined }))).resolves.toBeNull();
+  });
+
+  describe('applyIssueUpdate', () => {
+    const sign = (body, secret = 'jira-secret') => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    const delivery = (status, issueKey = 'BMAD-2') => JSON.stringify({
+      webhookEvent: 'jira:issue_updated',
+      user: { accountId: 'acc-1' },
+      issue: { key: issueKey, fields: { status } },
+      changelog: { items: [{ field: 'status', fromString: 'In Progress', toString: status.name }] }
+    });
+
+    let story;
+    beforeEach(() => {
+      story = {
+        ...storyFixture({ status: StoryStatus.IN_DEVELOPMENT }),
+        jira: { integrationId: INTEGRATION_ID, issueKey: 'BMAD-2', status: 'In Progress' },
+        transitionTo: jest.fn(function(status) { this.status = status; }),
+        save: jest.fn().mockResolvedValue()
+      };
+      Story.findOne.mockResolvedValue(story);
+    });
+
+    test('moves the mirrored story through its lifecycle to the Jira status', async () => {
+      const rawBody = delivery({ name: 'Done', statusCategory: { key: 'done' } });
+
+      const result = await sync.applyIssueUpdate({ integrationId: INTEGRATION_ID, signature: sign(rawBody), rawBody });
+
+      expect(result).toMatchObject({ status: 200, storyStatus: StoryStatus.DONE, steps: [StoryStatus.REVIEW, StoryStatus.DONE] });
+      expect(story.transitionTo).toHaveBeenCalledWith(StoryStatus.REVIEW, { changedBy: 'jira:acc-1', note: 'Moved to Done in Jira (BMAD-2)' });
+      expect(story.jira.status).toBe('Done');
+      expect(story.save).toHaveBeenCalled();
+    });
+
+    test('rejects bad signatures and ignores unrelated deliveries', async () => {
+      const rawBody = delivery({ name: 'Done' });
+
+      await expect(sync.applyIssueUpdate({ integrationId: INTEGRATION_ID, signature: sign(rawBody, 'wrong'), rawBody }))
+        .resolves.toMatchObject({ status: 401 });
+      await expect(sync.applyIssueUpdate({ integrationId: 'not-an-id', signature: sign(rawBody), rawBody }))
+        .resolves.toMatchObject({ status: 404 });
+
+      const comment = JSON.stringify({ webhookEvent: 'comment_created', issue: { key: 'BMAD-2' } });
+      await expect(sync.applyIssueUpdate({ integrationId: INTEGRATION_ID, signature: sign(comment), rawBody: comment }))
+        .resolves.toMatchObject({ status: 202 });
+
+      Story.findOne.mockResolvedValue(null);
+      await expect(sync.applyIssueUpdate({ integrationId: INTEGRATION_ID, signature: sign(rawBody), rawBody }))
+        .resolves.toMatchObject({ status: 202, ignored: 'BMAD-2 does not mirror a BMAD story' });
+      expect(story.transitionTo).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * SlackInteractionService Unit Tests
+ *
+ * Interactive elicitation messages, signed Slack interactivity requests, and resuming the
+ * waiting workflow with answers from buttons and the free-text modal.
+ */
+
+import crypto from 'crypto';
+import { SlackInteractionService } from '../../../../lib/integrations/SlackInteractionService.js';
+import { SlackPlugin, ELICITATION_ANSWER_ACTION, ELICITATION_VIEW } from '../../../../lib/integrations/slack-plugin.js';
+import Integration from '../../../../lib/database/models/Integration.js';
+import Workflow from '../../../../lib/database/models/Workflow.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../lib/database/models/Integration.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn() }
+}));
+
+jest.mock('../../../../lib/database/models/Workflow.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn() }
+}));
+
+const INTEGRATION_ID = '64b7f0c2a1b2c3d4e5f60718';
+const SIGNING_SECRET = 'slack-signing-secret';
+const TEAM_ID = 'T123';
+
+const integration = {
+  _id: INTEGRATION_ID,
+  userId: 'user-1',
+  pluginId: 'slack',
+  config: { botToken: 'xoxb-1', defaultChannel: 'C1', signingSecret: SIGNING_SECRET }
+};
+
+const elicitation = {
+  type: 'step_approval',
+  agentId: 'analyst',
+  sectionTitle: 'Approve the project brief',
+  instruction: 'Review **project-brief.md** before the PM starts',
+  options: ['approve', 'request changes', 'reject']
+};
+
+const lean = (value) => ({ lean: () => Promise.resolve(value) });
+const select = (value) => ({ select: () => lean(value) });
+
+const blockActions = (action, overrides = {}) => ({
+  type: 'block_actions',
+  team: { id: TEAM_ID },
+  user: { id: 'U123' },
+  trigger_id: 'trigger-1',
+  container: { channel_id: 'C1', message_ts: '1700000000.000100' },
+  actions: [action],
+  ...overrides
+});
+
+const signedRequest = (payload, { secret = SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+  const rawBody = new URLSearchParams({ payload: JSON.stringify(payload) }).toString();
+  const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+  return { rawBody, timestamp: String(timestamp), signature };
+};
+
+describe('SlackInteractionService', () => {
+  let orchestrator;
+  let plugin;
+  let service;
+  let buttons;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    orchestrator = { resumeWorkflowWithElicitation: jest.fn().mockResolvedValue({ status: 'RUNNING' }) };
+    plugin = {
+      teamId: TEAM_ID,
+      updateMessage: jest.fn().mockResolvedValue({ ok: true }),
+      sendMessage: jest.fn().mockResolvedValue({ ok: true }),
+      openView: jest.fn().mockResolvedValue({ ok: true })
+    };
+    service = new SlackInteractionService(orchestrator, { createPlugin: jest.fn().mockResolvedValue(plugin) });
+    Integration.findOne.mockReturnValue(lean(integration));
+    Workflow.findOne.mockReturnValue(select({ status: 'PAUSED_FOR_ELICITATION', elicitationDetails: elicitation }));
+
+    const blocks = SlackPlugin.elicitationBlocks({ integrationId: INTEGRATION_ID, workflowId: 'workflow_1', workflowName: 'Todo app', elicitation });
+    buttons = blocks.find(block => block.type === 'actions').elements;
+  });
+
+  test('posts elicitations as messages with a button per option and a free-text answer button', async () => {
+    expect(buttons.map(button => button.text.text)).toEqual(['approve', 'request changes', 'reject', 'Answer…']);
+    expect(JSON.parse(buttons[0].value)).toEqual({ integrationId: INTEGRATION_ID, workflowId: 'workflow_1', agentId: 'analyst', response: 'approve' });
+    expect(buttons[3].action_id).toBe(ELICITATION_ANSWER_ACTION);
+
+    // Numbered agent options answer with their number
+    expect(SlackPlugin.elicitationOptions([{ number: 1, text: 'Expand section' }, { number: 2, text: 'Critique' }]))
+      .toEqual([{ label: '1. Expand section', response: '1' }, { label: '2. Critique', response: '2' }]);
+
+    const slack = new SlackPlugin();
+    slack.config = { defaultChannel: 'C1', signingSecret: SIGNING_SECRET };
+    slack.sendMessage = jest.fn().mockResolvedValue({ ok: true });
+    await slack.handleEvent(
+      { type: 'elicitation.requested', workflowId: 'workflow_1', title: 'Todo app', data: { elicitation } },
+      { integrationId: INTEGRATION_ID }
+    );
+    expect(slack.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'C1',
+      blocks: expect.arrayContaining([expect.objectContaining({ type: 'actions' })])
+    }));
+  });
+
+  test('verifies Slack signatures and rejects stale requests', () => {
+    const now = Date.now();
+    const { rawBody, timestamp, signature } = signedRequest({ type: 'block_actions' }, { timestamp: Math.floor(now / 1000) });
+
+    expect(SlackInteractionService.verifySignature(rawBody, timestamp, signature, SIGNING_SECRET, now)).toBe(true);
+    expect(SlackInteractionService.verifySignature(rawBody, timestamp, signature, 'other-secret', now)).toBe(false);
+    expect(SlackInteractionService.verifySignature(`${rawBody}&x=1`, timestamp, signature, SIGNING_SECRET, now)).toBe(false);
+    expect(SlackInteractionService.verifySignature(rawBody, timestamp, signature, SIGNING_SECRET, now + 6 * 60 * 1000)).toBe(false);
+    expect(SlackInteractionService.verifySignature(rawBody, timestamp, signature, undefined, now)).toBe(false);
+  });
+
+  test('resumes the workflow with the clicked option after answering Slack', async () => {
+    const result = await service.handleInteraction(signedRequest(blockActions(buttons[0])));
+
+    expect(result).toMatchObject({ status: 200, followUp: expect.any(Function) });
+    expect(Workflow.findOne).toHaveBeenCalledWith({ workflowId: 'workflow_1', userId: 'user-1' });
+    expect(orchestrator.resumeWorkflowWithElicitation).not.toHaveBeenCalled();
+
+    await expect(result.followUp()).resolves.toEqual({ resumed: true });
+    expect(orchestrator.resumeWorkflowWithElicitation).toHaveBeenCalledWith('workflow_1', 'approve', 'analyst', 'user-1');
+    expect(plugin.updateMessage).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'C1',
+      ts: '1700000000.000100',
+      text: '✅ <@U123> answered: approve'
+    }));
+  });
+
+  test('opens a modal for free-text answers and resumes with the submitted text', async () => {
+    const opened = await service.handleInteraction(signedRequest(blockActions(buttons[3])));
+
+    expect(opened).toEqual({ status: 200 });
+    const { trigger_id, view } = plugin.openView.mock.calls[0][0];
+    expect(trigger_id).toBe('trigger-1');
+    expect(view.callback_id).toBe(ELICITATION_VIEW);
+
+    const submission = (value) => ({
+      type: 'view_submission',
+      team: { id: TEAM_ID },
+      user: { id: 'U123' },
+      view: { ...view, state: { values: { [view.blocks[1].block_id]: { answer: { value } } } } }
+    });
+
+    const result = await service.handleInteraction(signedRequest(submission('  request changes: add success metrics ')));
+    await result.followUp();
+    expect(orchestrator.resumeWorkflowWithElicitation)
+      .toHaveBeenCalledWith('workflow_1', 'request changes: add success metrics', 'analyst', 'user-1');
+    expect(plugin.updateMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C1', ts: '1700000000.000100' }));
+
+    // Answered elsewhere in the meantime: the modal shows an error instead of closing
+    Workflow.findOne.mockReturnValue(select({ status: 'RUNNING' }));
+    await expect(service.handleInteraction(signedRequest(submission('approve')))).resolves.toMatchObject({
+      status: 200,
+      body: { response_action: 'errors', errors: { [view.blocks[1].block_id]: 'This workflow is no longer waiting for an answer' } }
+    });
+  });
+
+  test('rejects bad signatures, unknown integrations and workflows that are not waiting', async () => {
+    await expect(service.handleInteraction(signedRequest(blockActions(buttons[0]), { secret: 'wrong' })))
+      .resolves.toMatchObject({ status: 401 });
+
+    Integration.findOne.mockReturnValue(lean(null));
+    await expect(service.handleInteraction(signedRequest(blockActions(buttons[0])))).resolves.toMatchObject({ status: 404 });
+
+    Integration.findOne.mockReturnValue(lean(integration));
+    Workflow.findOne.mockReturnValue(select(null)); // another user's workflow
+    const result = await service.handleInteraction(signedRequest(blockActions(buttons[0])));
+    await result.followUp();
+    expect(orchestrator.resumeWorkflowWithElicitation).not.toHaveBeenCalled();
+    expect(plugin.updateMessage.mock.calls[0][0].text).toContain('This question is closed');
+
+    await expect(service.handleInteraction(signedRequest(blockActions({ action_id: 'other_app', value: 'x' }))))
+      .resolves.toMatchObject({ status: 200, ignored: expect.any(String) });
+    await expect(service.handleInteraction({ rawBody: 'payload=not-json', timestamp: '1', signature: 'v0=1' }))
+      .resolves.toMatchObject({ status: 400 });
+  });
+
+  test('only accepts answers signed with the integration\'s own secret from its own workspace', async () => {
+    // No shared fallback secret: an integration without its own secret cannot be answered from Slack
+    process.env.SLACK_SIGNING_SECRET = SIGNING_SECRET;
+    Integration.findOne.mockReturnValue(lean({ ...integration, config: { ...integration.config, signingSecret: undefined } }));
+    await expect(service.handleInteraction(signedRequest(blockActions(buttons[0])))).resolves.toMatchObject({ status: 401 });
+    delete process.env.SLACK_SIGNING_SECRET;
+
+    // Another workspace installed on the same app signs with the same secret
+    Integration.findOne.mockReturnValue(lean(integration));
+    await expect(service.handleInteraction(signedRequest(blockActions(buttons[0], { team: { id: 'T999' } }))))
+      .resolves.toMatchObject({ status: 403 });
+    expect(Workflow.findOne).not.toHaveBeenCalled();
+    expect(orchestrator.resumeWorkflowWithElicitation).not.toHaveBeenCalled();
+
+    // Without a signing secret, elicitations are posted without buttons
+    const slack = new SlackPlugin();
+    slack.config = { defaultChannel: 'C1' };
+    slack.sendMessage = jest.fn().mockResolvedValue({ ok: true });
+    await slack.handleEvent(
+      { type: 'elicitation.requested', workflowId: 'workflow_1', title: 'Todo app', data: { elicitation } },
+      { integrationId: INTEGRATION_ID }
+    );
+    expect(slack.sendMessage.mock.calls[0][0].blocks).toBeUndefined();
+  });
+
+  test('escapes agent text so it cannot mention channels or add links', () => {
+    const blocks = SlackPlugin.elicitationBlocks({
+      integrationId: INTEGRATION_ID,
+      workflowId: 'workflow_1',
+      workflowName: 'Todo <app>',
+      elicitation: { ...elicitation, sectionTitle: 'Scope <!here>', instruction: 'Ping <!channel> & see <https://evil.example|docs>' }
+    });
+    const text = blocks.filter(block => block.type === 'section').map(block => block.text.text).join('\n');
+
+    expect(text).toContain('Ping &lt;!channel&gt; &amp; see &lt;https://evil.example|docs&gt;');
+    expect(text).toContain('Todo &lt;app&gt;');
+    expect(text).toContain('Scope &lt;!here&gt;');
+    expect(text).not.toMatch(/<!|<https/);
+  });
+
+  test('reports a failed resume in the message thread', async () => {
+    orchestrator.resumeWorkflowWithElicitation.mockRejectedValue(new Error('Workflow workflow_1 is not paused'));
+
+    const result = await service.handleInteraction(signedRequest(blockActions(buttons[2])));
+
+    await expect(result.followUp()).resolves.toEqual({ resumed: false, error: 'Workflow workflow_1 is not paused' });
+    expect(plugin.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'C1',
+      thread_ts: '1700000000.000100',
+      text: expect.stringContaining('Could not resume the workflow')
+    }));
+  });
+});
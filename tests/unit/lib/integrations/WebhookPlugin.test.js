@@ -0,0 +1,173 @@
+/**
+ * WebhookPlugin Unit Tests
+ *
+ * Config validation, signed and templated JSON requests, retries with exponential backoff
+ * and dead-lettering of events that cannot be delivered.
+ */
+
+import crypto from 'crypto';
+import { WebhookPlugin, SIGNATURE_HEADER } from '../../../../lib/integrations/webhook-plugin.js';
+import WebhookDeadLetter from '../../../../lib/database/models/WebhookDeadLetter.js';
+
+jest.mock('../../../../lib/utils/logger.js', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../../../lib/database/models/WebhookDeadLetter.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn() }
+}));
+
+const event = {
+  id: 'evt_1',
+  type: 'artifact.created',
+  occurredAt: '2026-01-01T00:00:00.000Z',
+  workflowId: 'workflow_1',
+  userId: 'user-1',
+  template: 'greenfield-fullstack',
+  title: 'Todo "app"',
+  data: { artifactName: 'prd.md', agentId: 'pm' }
+};
+
+const respond = (status, statusText = '') => ({ ok: status >= 200 && status < 300, status, statusText });
+
+describe('WebhookPlugin', () => {
+  let plugin;
+  let checkUrl;
+
+  const createPlugin = async (config = {}) => {
+    plugin = new WebhookPlugin();
+    plugin.sleep = jest.fn().mockResolvedValue();
+    plugin.checkUrl = checkUrl;
+    await plugin.initialize({ url: 'https://hooks.example.com/bmad', ...config });
+    return plugin;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    checkUrl = jest.fn().mockResolvedValue({ allowed: true });
+    global.fetch = jest.fn().mockResolvedValue(respond(200));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('validates the url, custom headers and payload template', async () => {
+    await expect(createPlugin({ url: undefined })).rejects.toThrow('Missing required configuration: url');
+    await expect(createPlugin({ url: 'ftp://example.com' })).rejects.toThrow('must use http or https');
+    await expect(createPlugin({ headers: { 'X-Team': 42 } })).rejects.toThrow('Webhook header X-Team');
+    await expect(createPlugin({ headers: { [SIGNATURE_HEADER]: 'sha256=forged' } })).rejects.toThrow('cannot be overridden');
+    await expect(createPlugin({ payloadTemplate: '{"type": {{#if type}}' })).rejects.toThrow('Invalid payload template');
+    await expect(createPlugin({ headers: { Authorization: 'Bearer abc' } })).resolves.toBeInstanceOf(WebhookPlugin);
+  });
+
+  test('posts the event as signed JSON with custom headers', async () => {
+    await createPlugin({ secret: 'top-secret', headers: { Authorization: 'Bearer abc' } });
+
+    const result = await plugin.handleEvent(event, { integrationId: 'integration-1' });
+
+    expect(result).toMatchObject({ delivered: true, statusCode: 200, attempts: 1 });
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/bmad');
+    expect(JSON.parse(request.body)).toEqual(event);
+    expect(request.headers).toMatchObject({
+      Authorization: 'Bearer abc',
+      'Content-Type': 'application/json',
+      'X-BMAD-Event': 'artifact.created',
+      'X-BMAD-Delivery': 'evt_1'
+    });
+    const expected = crypto.createHmac('sha256', 'top-secret').update(request.body).digest('hex');
+    expect(request.headers[SIGNATURE_HEADER]).toBe(`sha256=${expected}`);
+  });
+
+  test('renders payload templates with the event and rejects templates that are not JSON', async () => {
+    await createPlugin({ payloadTemplate: '{"text": {{json title}}, "file": "{{data.artifactName}}"}' });
+
+    await plugin.deliver(event);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ text: 'Todo "app"', file: 'prd.md' });
+
+    await createPlugin({ payloadTemplate: '{"text": {{title}} }' });
+    await expect(plugin.deliver(event)).rejects.toThrow('Payload template did not render valid JSON');
+  });
+
+  test('retries network errors and server errors with exponential backoff', async () => {
+    await createPlugin();
+    fetch
+      .mockRejectedValueOnce(Object.assign(new Error('fetch failed'), { cause: new Error('ECONNREFUSED') }))
+      .mockResolvedValueOnce(respond(503, 'Service Unavailable'))
+      .mockResolvedValueOnce(respond(202));
+
+    const result = await plugin.deliver(event, { maxAttempts: 4 });
+
+    expect(result).toMatchObject({ delivered: true, statusCode: 202, attempts: 3 });
+    expect(plugin.sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+
+    fetch.mockClear().mockResolvedValue(respond(404, 'Not Found'));
+    await expect(plugin.deliver(event, { maxAttempts: 4 })).rejects.toMatchObject({
+      message: expect.stringContaining('failed after 1 attempt(s): HTTP 404 Not Found'),
+      statusCode: 404
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('dead-letters events it gives up on and marks the failure as final for the event bus', async () => {
+    await createPlugin();
+    fetch.mockResolvedValue(respond(500, 'Internal Server Error'));
+
+    const error = await plugin.handleEvent(event, {
+      integrationId: 'integration-1',
+      userId: 'user-1',
+      deliveryPolicy: { maxAttempts: 2 }
+    }).catch(e => e);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(error.retryable).toBe(false);
+    expect(WebhookDeadLetter.create).toHaveBeenCalledWith(expect.objectContaining({
+      integrationId: 'integration-1',
+      eventId: 'evt_1',
+      eventType: 'artifact.created',
+      url: 'https://hooks.example.com/bmad',
+      attempts: 2,
+      lastStatusCode: 500,
+      event
+    }));
+  });
+
+  test('sends a test event once without retrying', async () => {
+    await createPlugin();
+    fetch.mockResolvedValue(respond(502, 'Bad Gateway'));
+
+    const failure = plugin.actions.sendTestEvent({});
+    await expect(failure).rejects.toThrow('Webhook test event was not delivered');
+    await expect(failure).rejects.not.toThrow(/502|Bad Gateway/);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(WebhookDeadLetter.create).not.toHaveBeenCalled();
+
+    fetch.mockResolvedValue(respond(200));
+    const result = await plugin.actions.sendTestEvent({});
+    expect(result).toMatchObject({ delivered: true, eventType: 'workflow.completed' });
+    expect(result).not.toHaveProperty('statusCode');
+    expect(JSON.parse(fetch.mock.calls[1][1].body).data).toMatchObject({ test: true });
+  });
+
+  test('refuses internal addresses when saved and before each delivery, and does not follow redirects', async () => {
+    checkUrl.mockResolvedValueOnce({ allowed: false, reason: 'resolves to internal address 10.0.0.1' });
+    await expect(createPlugin({ url: 'http://10.0.0.1/hook' })).rejects.toThrow('not allowed');
+
+    await createPlugin();
+    await plugin.deliver(event);
+    expect(fetch).toHaveBeenCalledWith('https://hooks.example.com/bmad', expect.objectContaining({ redirect: 'manual' }));
+
+    // The host now resolves to an internal address
+    checkUrl.mockResolvedValueOnce({ allowed: false, reason: 'resolves to internal address 169.254.169.254' });
+    fetch.mockClear();
+    await expect(plugin.handleEvent(event, { integrationId: 'int-1', userId: 'user-1' })).rejects.toThrow('not allowed');
+    expect(fetch).not.toHaveBeenCalled();
+    expect(checkUrl).toHaveBeenLastCalledWith('https://hooks.example.com/bmad');
+    expect(WebhookDeadLetter.create).toHaveBeenCalledWith(expect.objectContaining({ attempts: 0 }));
+  });
+});
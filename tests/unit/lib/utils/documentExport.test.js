@@ -0,0 +1,145 @@
+/**
+ * BMAD document export renderers
+ *
+ * Markdown block and inline parsing, the metadata header, and the PDF, DOCX
+ * and zip outputs of the document export API.
+ */
+
+import {
+  parseMarkdownBlocks,
+  parseInline,
+  buildMetadataHeader,
+  renderPdf,
+  renderDocx,
+  createZipArchive,
+} from '../../../../lib/utils/documentExport.js';
+
+const PRD = `# 📄 Product Requirements
+
+<!-- Template instruction: remove before sharing -->
+Goals for **v1** with \`inline code\`
+across two lines.
+
+| Requirement | Priority |
+|---|:---:|
+| Login \\| SSO | **High** |
+| Export | Medium |
+
+\`\`\`js
+const answer = 42;
+  nested();
+\`\`\`
+
+- Epic one
+  - Story 1.1
+- Epic two
+continued
+
+1. First
+2. Second
+
+> Stakeholder note
+
+---
+`;
+
+describe('parseMarkdownBlocks', () => {
+  test('keeps headings, tables, code, lists and quotes and drops comments', () => {
+    const blocks = parseMarkdownBlocks(PRD);
+
+    expect(blocks.map(block => block.type)).toEqual([
+      'heading', 'paragraph', 'table', 'code', 'list', 'list', 'blockquote', 'hr',
+    ]);
+    expect(blocks[0]).toEqual({ type: 'heading', level: 1, text: '📄 Product Requirements' });
+    expect(blocks[1].text).toBe('Goals for **v1** with `inline code` across two lines.');
+    expect(blocks[2]).toEqual({
+      type: 'table',
+      header: ['Requirement', 'Priority'],
+      rows: [['Login | SSO', '**High**'], ['Export', 'Medium']],
+    });
+    expect(blocks[3]).toEqual({ type: 'code', language: 'js', text: 'const answer = 42;\n  nested();' });
+    expect(blocks[4].items).toEqual([
+      { text: 'Epic one', depth: 0, ordered: false },
+      { text: 'Story 1.1', depth: 1, ordered: false },
+      { text: 'Epic two continued', depth: 0, ordered: false },
+    ]);
+    expect(blocks[5]).toMatchObject({ ordered: true, items: [{ text: 'First' }, { text: 'Second' }] });
+  });
+});
+
+describe('parseInline', () => {
+  test('splits emphasis, code and links into runs', () => {
+    expect(parseInline('a **b _c_** `d` [e](https://x.dev) snake_case \\*')).toEqual([
+      { text: 'a ' },
+      { text: 'b ', bold: true },
+      { text: 'c', bold: true, italic: true },
+      { text: ' ' },
+      { text: 'd', code: true },
+      { text: ' ' },
+      { text: 'e', link: 'https://x.dev' },
+      { text: ' snake_case ' },
+      { text: '*' },
+    ]);
+  });
+});
+
+describe('buildMetadataHeader', () => {
+  test('lists the export details and extra metadata', () => {
+    const header = buildMetadataHeader({
+      documentId: 'prd-1',
+      title: 'PRD',
+      format: 'PDF',
+      exportedAt: new Date('2026-01-02T03:04:05Z'),
+      metadata: { workflowId: 'wf-9', agent_name: 'pm', empty: '' },
+    });
+
+    expect(header).toEqual([
+      { label: 'Title', value: 'PRD' },
+      { label: 'Document ID', value: 'prd-1' },
+      { label: 'Format', value: 'PDF' },
+      { label: 'Generated', value: '2026-01-02T03:04:05.000Z' },
+      { label: 'Workflow Id', value: 'wf-9' },
+      { label: 'Agent name', value: 'pm' },
+    ]);
+  });
+});
+
+describe('binary renderers', () => {
+  // docx and archiver finish their streams on timers, which never fire under the global fake timers
+  beforeEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('renders a PDF with heading and code fonts', async () => {
+    const pdf = await renderPdf({
+      documentId: 'prd-1',
+      title: 'PRD',
+      content: PRD,
+      options: { compress: false },
+    });
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    const source = pdf.toString('latin1');
+    expect(source).toContain('/BaseFont /Helvetica-Bold');
+    expect(source).toContain('/BaseFont /Courier');
+  });
+
+  test('renders a DOCX package', async () => {
+    const docx = await renderDocx({ documentId: 'prd-1', title: 'PRD', content: PRD });
+
+    expect(docx.subarray(0, 2).toString()).toBe('PK');
+    expect(docx.toString('latin1')).toContain('word/document.xml');
+  });
+
+  test('zips exports and renames duplicate file names', async () => {
+    const zip = await createZipArchive([
+      { name: 'prd.md', content: '# PRD' },
+      { name: 'prd.md', content: '# PRD v2' },
+    ]);
+    const listing = zip.toString('latin1');
+
+    expect(zip.subarray(0, 2).toString()).toBe('PK');
+    expect(listing).toContain('prd.md');
+    expect(listing).toContain('prd_2.md');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Incremental repository analysis helpers
+ *
+ * Blob SHA diffing, metric snapshots and deltas for the analysis history,
+ * and in-place insight reconciliation.
+ */
+
+import {
+  diffFileTree,
+  snapshotMetrics,
+  metricsDelta,
+  buildHistoryEntry,
+  reconcileInsights,
+  calculateInsightsSummary,
+} from '../../../../lib/utils/repoAnalysisDiff.js';
+
+describe('diffFileTree', () => {
+  test('classifies files by path and blob SHA', () => {
+    const previousIndex = [
+      { path: 'src/a.js', sha: 'a1', lines: 10 },
+      { path: 'src/b.js', sha: 'b1', lines: 20 },
+      { path: 'src/old.js', sha: 'o1', lines: 5 },
+      { path: 'src/legacy.js', lines: 3 }, // indexed before SHAs were stored
+    ];
+    const files = [
+      { path: 'src/a.js', sha: 'a1' },
+      { path: 'src/b.js', sha: 'b2' },
+      { path: 'src/legacy.js', sha: 'l1' },
+      { path: 'src/new.js', sha: 'n1' },
+    ];
+
+    const { added, modified, removed, unchanged } = diffFileTree(previousIndex, files);
+
+    expect(added.map(f => f.path)).toEqual(['src/new.js']);
+    expect(modified.map(f => f.path)).toEqual(['src/b.js', 'src/legacy.js']);
+    expect(removed.map(f => f.path)).toEqual(['src/old.js']);
+    // Unchanged entries keep their stored index data
+    expect(unchanged).toEqual([{ path: 'src/a.js', sha: 'a1', lines: 10 }]);
+  });
+});
+
+describe('metric history', () => {
+  const before = {
+    fileCount: 10,
+    totalLines: 1000,
+    totalSize: 4096,
+    languageCount: 2,
+    languages: new Map([['JavaScript', { lines: 800 }], ['CSS', { lines: 200 }]]),
+  };
+  const after = {
+    fileCount: 11,
+    totalLines: 950,
+    totalSize: 4000,
+    languageCount: 2,
+    languages: { JavaScript: { lines: 750 }, TypeScript: { lines: 200 } },
+  };
+
+  test('snapshots metrics with lines per language', () => {
+    expect(snapshotMetrics(before)).toEqual({
+      fileCount: 10,
+      totalLines: 1000,
+      totalSize: 4096,
+      languageCount: 2,
+      languages: { JavaScript: 800, CSS: 200 },
+    });
+    expect(snapshotMetrics(null)).toBeNull();
+  });
+
+  test('reports only the languages that changed', () => {
+    expect(metricsDelta(snapshotMetrics(before), snapshotMetrics(after))).toEqual({
+      fileCount: 1,
+      totalLines: -50,
+      totalSize: -96,
+      languageCount: 0,
+      languages: { JavaScript: -50, CSS: -200, TypeScript: 200 },
+    });
+    expect(metricsDelta(null, snapshotMetrics(after))).toBeNull();
+  });
+
+  test('builds a history entry relative to the previous one', () => {
+    const first = buildHistoryEntry({ commitSha: 'c1', mode: 'full', changes: { added: [{}, {}] }, metrics: before });
+    const second = buildHistoryEntry({
+      commitSha: 'c2',
+      mode: 'incremental',
+      changes: { added: [{}], modified: [{}, {}], removed: [] },
+      metrics: after,
+      duration: 1200,
+    }, first);
+
+    expect(first).toMatchObject({ commitSha: 'c1', changes: { added: 2, modified: 0, removed: 0 }, delta: null });
+    expect(second).toMatchObject({
+      commitSha: 'c2',
+      mode: 'incremental',
+      changes: { added: 1, modified: 2, removed: 0 },
+      delta: { fileCount: 1, totalLines: -50 },
+      duration: 1200,
+    });
+  });
+});
+
+describe('reconcileInsights', () => {
+  const insights = {
+    summary: { total: 3, critical: 1, warnings: 1, suggestions: 1 },
+    categories: {
+      security: [{ title: 'Unvalidated input', type: 'bug', files: ['src/api.js'] }],
+      codeQuality: [
+        { title: 'Long module', type: 'warning', files: ['src/old.js', 'src/util.js'] },
+        { title: 'Dead file', type: 'suggestion', files: ['src/old.js'] },
+      ],
+      testing: [{ title: 'No tests', type: 'info', files: [] }],
+    },
+    generatedAt: new Date('2026-01-01'),
+  };
+
+  test('drops removed files, flags insights about modified files and recounts', () => {
+    const result = reconcileInsights(insights, {
+      modified: [{ path: 'src/api.js' }],
+      removed: [{ path: 'src/old.js' }],
+    });
+
+    expect(result.removed).toBe(1);
+    expect(result.stale).toBe(1);
+    expect(result.insights.categories.security[0]).toMatchObject({ stale: true, files: ['src/api.js'] });
+    expect(result.insights.categories.codeQuality).toEqual([
+      { title: 'Long module', type: 'warning', files: ['src/util.js'] },
+    ]);
+    // Insights without files are repository-wide and kept as they are
+    expect(result.insights.categories.testing).toHaveLength(1);
+    expect(result.insights.summary).toEqual({ total: 3, critical: 1, warnings: 1, suggestions: 1 });
+    expect(result.insights.generatedAt).toEqual(insights.generatedAt);
+  });
+
+  test('counts insight types for the summary', () => {
+    expect(calculateInsightsSummary({ categories: { a: [{ type: 'bug' }, { type: 'other' }], b: [] } }))
+      .toEqual({ total: 1, critical: 1, warnings: 0, suggestions: 0 });
+  });
+});
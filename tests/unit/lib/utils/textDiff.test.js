@@ -0,0 +1,43 @@
+/**
+ * Text Diff Unit Tests
+ *
+ * Covers side-by-side rows (pairing removed and added lines into changes) and the unified patch.
+ */
+
+import { diffText, unifiedDiff } from '../../../../lib/utils/textDiff.js';
+
+describe('diffText', () => {
+  test('pairs replaced lines and numbers both sides independently', () => {
+    const before = '# PRD\nGoal: ship v1\nOld note\nFooter\n';
+    const after = '# PRD\nGoal: ship v2\nFooter\nNew appendix\n';
+
+    const { rows, stats } = diffText(before, after);
+
+    expect(rows.map(row => [row.type, row.left?.number ?? null, row.right?.number ?? null])).toEqual([
+      ['equal', 1, 1],
+      ['changed', 2, 2],
+      ['removed', 3, null],
+      ['equal', 4, 3],
+      ['added', null, 4]
+    ]);
+    expect(rows[1]).toMatchObject({ left: { text: 'Goal: ship v1' }, right: { text: 'Goal: ship v2' } });
+    expect(stats).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 2 });
+  });
+
+  test('treats identical and empty texts as unchanged', () => {
+    expect(diffText('a\nb', 'a\nb').stats).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 2 });
+    expect(diffText('', 'new line').rows).toEqual([
+      { type: 'added', left: null, right: { number: 1, text: 'new line' } }
+    ]);
+  });
+});
+
+describe('unifiedDiff', () => {
+  test('labels both sides of the patch', () => {
+    const patch = unifiedDiff('a\nb\n', 'a\nc\n', { fromLabel: 'prd.md@v1', toLabel: 'prd.md@v2' });
+
+    expect(patch).toContain('--- prd.md@v1');
+    expect(patch).toContain('+++ prd.md@v2');
+    expect(patch).toContain('-b\n+c');
+  });
+});